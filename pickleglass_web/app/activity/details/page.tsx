@@ -9,7 +9,15 @@ import {
   SessionDetails,
   Transcript,
   AiMessage,
+  SessionSpeaker,
+  SessionMinutes,
+  SummarySection,
   getSessionDetails,
+  getSessionMinutes,
+  generateSessionMinutes,
+  exportSessionMinutes,
+  getSessionSpeakers,
+  renameSpeaker,
   deleteSession,
 } from '@/utils/api'
 
@@ -24,6 +32,17 @@ const Section = ({ title, children }: { title: string, children: React.ReactNode
     </div>
 );
 
+// Sections of a summary written with a summary template; null for the built-in format
+const parseSummarySections = (sectionsJson?: string | null): SummarySection[] | null => {
+    if (!sectionsJson) return null;
+    try {
+        const sections = JSON.parse(sectionsJson);
+        return Array.isArray(sections) ? sections : null;
+    } catch {
+        return null;
+    }
+};
+
 function SessionDetailsContent() {
   const userInfo = useRedirectIfNotAuth() as UserProfile | null;
   const [sessionDetails, setSessionDetails] = useState<SessionDetails | null>(null);
@@ -32,6 +51,28 @@ function SessionDetailsContent() {
   const sessionId = searchParams.get('sessionId');
   const router = useRouter();
   const [deleting, setDeleting] = useState(false);
+  const [speakers, setSpeakers] = useState<SessionSpeaker[]>([]);
+  const [minutes, setMinutes] = useState<SessionMinutes | null>(null);
+  const [generatingMinutes, setGeneratingMinutes] = useState(false);
+
+  const fetchSpeakers = async () => {
+    try {
+      setSpeakers(await getSessionSpeakers(sessionId as string));
+    } catch (error) {
+      // Speaker names are optional; the transcript still shows the saved labels
+      console.warn('Failed to load speakers:', error);
+      setSpeakers([]);
+    }
+  };
+
+  const fetchMinutes = async () => {
+    try {
+      setMinutes(await getSessionMinutes(sessionId as string));
+    } catch (error) {
+      console.warn('Failed to load minutes:', error);
+      setMinutes(null);
+    }
+  };
 
   useEffect(() => {
     if (userInfo && sessionId) {
@@ -40,6 +81,10 @@ function SessionDetailsContent() {
         try {
           const details = await getSessionDetails(sessionId as string);
           setSessionDetails(details);
+          if (details.session.session_type === 'listen') {
+            await fetchSpeakers();
+            await fetchMinutes();
+          }
         } catch (error) {
           console.error('Failed to load session details:', error);
         } finally {
@@ -50,6 +95,51 @@ function SessionDetailsContent() {
     }
   }, [userInfo, sessionId]);
 
+  const handleGenerateMinutes = async () => {
+    if (!sessionId) return;
+    setGeneratingMinutes(true);
+    try {
+      await generateSessionMinutes(sessionId);
+      await fetchMinutes();
+    } catch (error) {
+      alert(error instanceof Error ? error.message : 'Failed to generate minutes.');
+      console.error(error);
+    } finally {
+      setGeneratingMinutes(false);
+    }
+  };
+
+  const handleExportMinutes = async (format: 'markdown' | 'html') => {
+    if (!sessionId) return;
+    try {
+      const blob = await exportSessionMinutes(sessionId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `minutes-${sessionId}.${format === 'markdown' ? 'md' : 'html'}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Failed to export minutes.');
+      console.error(error);
+    }
+  };
+
+  const handleRenameSpeaker = async (speaker: SessionSpeaker) => {
+    if (!sessionId) return;
+    const name = window.prompt('Speaker name', speaker.name)?.trim();
+    if (!name || name === speaker.name) return;
+    try {
+      await renameSpeaker(sessionId, speaker.speaker_id, name);
+      const details = await getSessionDetails(sessionId);
+      setSessionDetails(details);
+      await fetchSpeakers();
+    } catch (error) {
+      alert('Failed to rename speaker.');
+      console.error(error);
+    }
+  };
+
   const handleDelete = async () => {
     if (!sessionId) return;
     if (!window.confirm('Are you sure you want to delete this activity? This cannot be undone.')) return;
@@ -90,6 +180,7 @@ function SessionDetailsContent() {
   }
   
   const askMessages = sessionDetails.ai_messages || [];
+  const summarySections = parseSummarySections(sessionDetails.summary?.sections_json);
 
   return (
     <div className="min-h-screen bg-[#FDFCF9] text-gray-800">
@@ -128,6 +219,25 @@ function SessionDetailsContent() {
 
                 {sessionDetails.summary && (
                     <Section title="Summary">
+                        {summarySections ? (
+                            summarySections.filter(section => section.items.length > 0).map(section => (
+                                <div key={section.key} className="mt-4 first:mt-0">
+                                    <h3 className="font-semibold text-gray-700 mb-2">{section.title}:</h3>
+                                    {section.type === 'text' ? (
+                                        <p className="text-gray-600">{section.items.join(' ')}</p>
+                                    ) : section.type === 'numbered' ? (
+                                        <ol className="list-decimal list-inside space-y-1 text-gray-600">
+                                            {section.items.map((item, index) => <li key={index}>{item}</li>)}
+                                        </ol>
+                                    ) : (
+                                        <ul className="list-disc list-inside space-y-1 text-gray-600">
+                                            {section.items.map((item, index) => <li key={index}>{item}</li>)}
+                                        </ul>
+                                    )}
+                                </div>
+                            ))
+                        ) : (
+                        <>
                         <p className="text-lg italic text-gray-600 mb-4">"{sessionDetails.summary.tldr}"</p>
                         
                         {sessionDetails.summary.bullet_json && JSON.parse(sessionDetails.summary.bullet_json).length > 0 &&
@@ -140,6 +250,8 @@ function SessionDetailsContent() {
                                 </ul>
                             </div>
                         }
+                        </>
+                        )}
 
                         {sessionDetails.summary.action_json && JSON.parse(sessionDetails.summary.action_json).length > 0 &&
                             <div className="mt-4">
@@ -154,8 +266,97 @@ function SessionDetailsContent() {
                     </Section>
                 )}
                 
+                {sessionDetails.session.session_type === 'listen' && (
+                    <Section title="Meeting Minutes">
+                        {minutes ? (
+                            <div className="space-y-4">
+                                {minutes.minutes.attendees.length > 0 && (
+                                    <p><span className="font-semibold">Attendees: </span>{minutes.minutes.attendees.join(', ')}</p>
+                                )}
+                                {minutes.minutes.decisions.length > 0 && (
+                                    <div>
+                                        <h3 className="font-semibold text-gray-700 mb-2">Decisions:</h3>
+                                        <ul className="list-disc list-inside space-y-1 text-gray-600">
+                                            {minutes.minutes.decisions.map((decision, index) => <li key={index}>{decision}</li>)}
+                                        </ul>
+                                    </div>
+                                )}
+                                {minutes.minutes.action_items.length > 0 && (
+                                    <div>
+                                        <h3 className="font-semibold text-gray-700 mb-2">Action Items:</h3>
+                                        <table className="w-full text-sm border border-gray-200">
+                                            <thead className="bg-gray-50 text-left">
+                                                <tr>
+                                                    <th className="px-3 py-2 border-b border-gray-200">Task</th>
+                                                    <th className="px-3 py-2 border-b border-gray-200">Owner</th>
+                                                    <th className="px-3 py-2 border-b border-gray-200">Due</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {minutes.minutes.action_items.map((item, index) => (
+                                                    <tr key={index}>
+                                                        <td className="px-3 py-2 border-b border-gray-100">{item.task}</td>
+                                                        <td className="px-3 py-2 border-b border-gray-100">{item.owner || 'Unassigned'}</td>
+                                                        <td className="px-3 py-2 border-b border-gray-100">{item.due_date || '—'}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
+                                {minutes.minutes.open_questions.length > 0 && (
+                                    <div>
+                                        <h3 className="font-semibold text-gray-700 mb-2">Open Questions:</h3>
+                                        <ul className="list-disc list-inside space-y-1 text-gray-600">
+                                            {minutes.minutes.open_questions.map((question, index) => <li key={index}>{question}</li>)}
+                                        </ul>
+                                    </div>
+                                )}
+                            </div>
+                        ) : (
+                            <p className="text-sm text-gray-500">
+                                {generatingMinutes ? 'Generating minutes...' : 'Minutes are written when a meeting ends. None have been generated for this session yet.'}
+                            </p>
+                        )}
+                        <div className="flex flex-wrap gap-2 pt-2">
+                            {minutes && (
+                                <>
+                                    <button onClick={() => handleExportMinutes('markdown')} className="px-3 py-1.5 rounded text-sm border border-gray-200 bg-white hover:bg-gray-50">
+                                        Export Markdown
+                                    </button>
+                                    <button onClick={() => handleExportMinutes('html')} className="px-3 py-1.5 rounded text-sm border border-gray-200 bg-white hover:bg-gray-50">
+                                        Export HTML
+                                    </button>
+                                </>
+                            )}
+                            <button
+                                onClick={handleGenerateMinutes}
+                                disabled={generatingMinutes}
+                                className={`px-3 py-1.5 rounded text-sm border border-gray-200 bg-white hover:bg-gray-50 ${generatingMinutes ? 'opacity-50 cursor-not-allowed' : ''}`}
+                            >
+                                {generatingMinutes ? 'Generating...' : minutes ? 'Regenerate' : 'Generate Minutes'}
+                            </button>
+                        </div>
+                    </Section>
+                )}
+
                 {sessionDetails.transcripts && sessionDetails.transcripts.length > 0 && (
                     <Section title="Listen: Transcript">
+                        {speakers.length > 0 && (
+                            <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                                <span className="text-gray-500">Speakers:</span>
+                                {speakers.map((speaker) => (
+                                    <button
+                                        key={speaker.speaker_id}
+                                        onClick={() => handleRenameSpeaker(speaker)}
+                                        title="Rename speaker"
+                                        className="px-2 py-0.5 rounded-full border border-gray-200 bg-gray-50 hover:bg-gray-100 text-gray-700"
+                                    >
+                                        {speaker.name}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
                         <div className="space-y-3">
                             {Array.isArray(sessionDetails.transcripts) && sessionDetails.transcripts.map((item) => (
                                 <p key={item.id} className="text-gray-700">
@@ -1,16 +1,29 @@
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import Link from 'next/link'
 import { useRedirectIfNotAuth } from '@/utils/auth'
 import {
   UserProfile,
   Activity,
-  getActivities
+  AwayActivityKind,
+  AwayPeriod,
+  getActivities,
+  getAwayPeriods,
+  resolveAwayPeriod,
+  subscribeToLiveEvents,
+  exportActivitiesCalendar,
+  importActivitiesCalendar
 } from '@/utils/api'
-import { Download, AlertCircle } from 'lucide-react'
+import { Download, Upload, CalendarDays, AlertCircle } from 'lucide-react'
+import TimeBlockPlanner from '@/components/TimeBlockPlanner'
 import { getEnvironmentFeatures, isElectronEnvironmentAsync, debugEnvironmentDetection } from '@/utils/environment'
 
+const AWAY_ANSWERS: { kind: AwayActivityKind; label: string }[] = [
+  { kind: 'meeting', label: 'Meeting' },
+  { kind: 'reading', label: 'Reading on paper' },
+  { kind: 'break', label: 'Break' },
+]
 
 export default function ActivityPage() {
   const userInfo = useRedirectIfNotAuth() as UserProfile | null;
@@ -18,6 +31,9 @@ export default function ActivityPage() {
   const [isLoading, setIsLoading] = useState(true)
   const [environmentFeatures, setEnvironmentFeatures] = useState(getEnvironmentFeatures())
   const [envCheckComplete, setEnvCheckComplete] = useState(false)
+  const [calendarMessage, setCalendarMessage] = useState<string | null>(null)
+  const [awayPeriods, setAwayPeriods] = useState<AwayPeriod[]>([])
+  const calendarInputRef = useRef<HTMLInputElement>(null)
 
   const fetchActivities = async () => {
     try {
@@ -33,8 +49,68 @@ export default function ActivityPage() {
     }
   }
 
+  // Absences are only known to the desktop app; elsewhere there is nothing to ask about
+  const fetchAwayPeriods = async () => {
+    try {
+      setAwayPeriods(await getAwayPeriods())
+    } catch (error) {
+      setAwayPeriods([])
+    }
+  }
+
   useEffect(() => {
     fetchActivities()
+    fetchAwayPeriods()
+  }, [])
+
+  const handleAwayAnswer = async (period: AwayPeriod, kind: AwayActivityKind | null) => {
+    try {
+      await resolveAwayPeriod(period.id, kind)
+    } catch (error) {
+      console.error('Failed to record away period:', error)
+    }
+    fetchAwayPeriods()
+  }
+
+  const handleCalendarExport = async () => {
+    try {
+      const blob = await exportActivitiesCalendar('month')
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `glass-activities-${new Date().toISOString().split('T')[0]}.ics`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to export calendar:', error)
+      setCalendarMessage('Calendar export failed')
+    }
+  }
+
+  const handleCalendarImport = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const result = await importActivitiesCalendar(await file.text())
+      setCalendarMessage(`Imported ${result.created} planned activities (${result.updated} updated, ${result.skipped} skipped)`)
+    } catch (error) {
+      console.error('Failed to import calendar:', error)
+      setCalendarMessage(error instanceof Error ? error.message : 'Calendar import failed')
+    }
+  }
+
+  // Reload the list whenever the desktop app starts or closes an activity, and ask about absences on return
+  useEffect(() => {
+    return subscribeToLiveEvents((liveEvent) => {
+      if (liveEvent.event === 'activity-started' || liveEvent.event === 'activity-ended') {
+        fetchActivities()
+      }
+      if (liveEvent.event === 'away-ended') {
+        fetchAwayPeriods()
+      }
+    })
   }, [])
 
   // Additional environment check for Electron context
@@ -107,8 +183,51 @@ export default function ActivityPage() {
           <h1 className="text-xl font-medium text-gray-900 mb-2">
             {getGreeting()}, {userInfo.display_name}
           </h1>
-          <p className="text-gray-600 text-sm">Here's your recent activity</p>
+          <div className="flex items-center justify-between">
+            <p className="text-gray-600 text-sm">Here's your recent activity</p>
+            <div className="flex items-center gap-2">
+              <button onClick={handleCalendarExport} className="btn btn-secondary gap-2 text-xs">
+                <CalendarDays className="h-4 w-4" />
+                <span>Export .ics</span>
+              </button>
+              <button onClick={() => calendarInputRef.current?.click()} className="btn btn-secondary gap-2 text-xs">
+                <Upload className="h-4 w-4" />
+                <span>Import plan</span>
+              </button>
+              <input
+                ref={calendarInputRef}
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleCalendarImport}
+                className="hidden"
+              />
+            </div>
+          </div>
+          {calendarMessage && (
+            <p className="mt-2 text-xs text-gray-500">{calendarMessage}</p>
+          )}
         </div>
+        {awayPeriods.map((period) => (
+          <div key={period.id} className="card p-4 mb-4">
+            <p className="text-sm text-gray-900">
+              You were away {Math.max(1, Math.round(period.duration_ms / 60000))} min
+              {' '}({new Date(period.start_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              –{new Date(period.end_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})
+              {' '}— was this a meeting, reading on paper, or a break?
+            </p>
+            <div className="mt-3 flex items-center gap-2">
+              {AWAY_ANSWERS.map(({ kind, label }) => (
+                <button key={kind} onClick={() => handleAwayAnswer(period, kind)} className="btn btn-secondary text-xs">
+                  {label}
+                </button>
+              ))}
+              <button onClick={() => handleAwayAnswer(period, null)} className="text-xs text-gray-500 hover:text-gray-700 ml-2">
+                Don't record
+              </button>
+            </div>
+          </div>
+        ))}
+        {environmentFeatures.activityTracking && <TimeBlockPlanner />}
         <div>
           {isLoading ? (
             <div className="text-center py-16">
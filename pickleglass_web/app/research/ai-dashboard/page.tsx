@@ -2,6 +2,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { subscribeToLiveEvents } from '@/utils/api';
 
 interface ProductivityScore {
   score: number | null;
@@ -29,6 +30,7 @@ interface ProductivityStats {
 
 interface AIStatus {
   enabled: boolean;
+  mode?: 'ai' | 'heuristic';
   analysisHistory: number;
   screenshotHistory: number;
   lastAnalysis: number | null;
@@ -164,16 +166,17 @@ export default function AIDashboard() {
     fetchInsights(selectedTimeframe);
   }, [selectedTimeframe]);
 
-  // Auto-refresh current score every 30 seconds
+  // Refresh the score and history as soon as the desktop app reports a new analysis
   useEffect(() => {
-    const interval = setInterval(() => {
-      if (aiStatus?.enabled) {
+    if (!aiStatus?.mode) return;
+
+    return subscribeToLiveEvents((liveEvent) => {
+      if (liveEvent.event === 'analysis' || liveEvent.event === 'analysis-update') {
         fetchCurrentScore();
+        fetchAnalysisHistory();
       }
-    }, 30000);
-
-    return () => clearInterval(interval);
-  }, [aiStatus]);
+    });
+  }, [aiStatus?.mode]);
 
   const getScoreColor = (score: number) => {
     if (score >= 8) return 'text-green-600';
@@ -201,30 +204,6 @@ export default function AIDashboard() {
     );
   }
 
-  if (!aiStatus?.enabled) {
-    return (
-      <div className="min-h-screen bg-gray-50 p-8">
-        <div className="max-w-7xl mx-auto">
-          <div className="bg-white rounded-lg shadow p-6">
-            <h1 className="text-3xl font-bold text-gray-900 mb-4">AI Analysis Dashboard</h1>
-            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
-              <h3 className="text-lg font-medium text-yellow-800 mb-2">AI Analysis Not Available</h3>
-              <p className="text-yellow-700 mb-4">
-                AI analysis requires a valid API key for Gemini or OpenAI. Please configure your API keys in settings to enable advanced productivity insights.
-              </p>
-              <button
-                onClick={() => router.push('/settings')}
-                className="bg-yellow-600 text-white px-4 py-2 rounded hover:bg-yellow-700"
-              >
-                Configure API Keys
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="min-h-screen bg-gray-50 p-8">
       <div className="max-w-7xl mx-auto">
@@ -247,6 +226,21 @@ export default function AIDashboard() {
           </div>
         )}
 
+        {aiStatus?.mode === 'heuristic' && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+            <h3 className="text-lg font-medium text-yellow-800 mb-2">Running on local analysis</h3>
+            <p className="text-yellow-700 mb-4">
+              No AI provider is configured, so activity is scored from the active application and window title. Configure a Gemini or OpenAI API key for screenshot-based analysis.
+            </p>
+            <button
+              onClick={() => router.push('/settings')}
+              className="bg-yellow-600 text-white px-4 py-2 rounded hover:bg-yellow-700"
+            >
+              Configure API Keys
+            </button>
+          </div>
+        )}
+
         {/* AI Status and Controls */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
           <div className="bg-white rounded-lg shadow p-6">
@@ -5,7 +5,8 @@ import Link from 'next/link'
 import { useRedirectIfNotAuth } from '@/utils/auth'
 import {
   UserProfile,
-  apiCall
+  apiCall,
+  subscribeToLiveEvents
 } from '@/utils/api'
 import { getEnvironmentFeatures, isActivityTrackingAvailable, isElectronEnvironmentAsync, debugEnvironmentDetection } from '@/utils/environment'
 import ZoteroConnector from '@/components/ZoteroConnector'
@@ -206,7 +207,6 @@ export default function ResearchPage() {
   const [insights, setInsights] = useState<InsightData | null>(null)
   const [isLoadingTracking, setIsLoadingTracking] = useState(false)
   const [lastRefresh, setLastRefresh] = useState<number>(Date.now())
-  const [autoRefresh, setAutoRefresh] = useState(true)
   const [researchProjects, setResearchProjects] = useState<ResearchProject[]>([])
   const [environmentFeatures, setEnvironmentFeatures] = useState(getEnvironmentFeatures())
   const [envCheckComplete, setEnvCheckComplete] = useState(false)
@@ -502,13 +502,24 @@ export default function ResearchPage() {
     checkEnvironment();
   }, [userInfo, refreshData])
 
-  // Auto-refresh data every 30 seconds when tracking is active
+  // Live updates pushed from the desktop app replace periodic polling
   useEffect(() => {
-    if (!autoRefresh || !trackingStatus?.isTracking) return
-    
-    const interval = setInterval(refreshData, 30000)
-    return () => clearInterval(interval)
-  }, [autoRefresh, trackingStatus?.isTracking, refreshData])
+    if (!userInfo || !environmentFeatures.activityTracking) return
+
+    return subscribeToLiveEvents((liveEvent) => {
+      if (liveEvent.event === 'status-update') {
+        setTrackingStatus(prev => (prev ? { ...prev, ...liveEvent.data } : liveEvent.data))
+      } else if (liveEvent.event === 'analysis' || liveEvent.event === 'analysis-update') {
+        fetchProductivityScore()
+        fetchInsights()
+      } else if (liveEvent.event.startsWith('project-') || liveEvent.event === 'workspace-imported') {
+        fetchResearchProjects()
+      } else {
+        fetchTrackingStatus()
+      }
+      setLastRefresh(Date.now())
+    })
+  }, [userInfo, environmentFeatures.activityTracking, fetchTrackingStatus, fetchProductivityScore, fetchInsights, fetchResearchProjects])
 
   // Calculate research metrics
   const calculateMetrics = (): ResearchMetrics => {
@@ -1,11 +1,135 @@
 'use client'
 
+import { useState, useEffect } from 'react'
 import { useRedirectIfNotAuth } from '@/utils/auth'
+import { UsageReport, UsageTotals, BudgetPeriodStatus, getUsageReport, setUsageBudget } from '@/utils/api'
+
+const PERIODS = [7, 30, 90]
+
+const FEATURE_LABELS: Record<string, string> = {
+  ask: 'Ask',
+  listen: 'Listen summaries & minutes',
+  activity: 'Activity analysis',
+  research: 'Research analysis & insights',
+  other: 'Other',
+}
+
+const formatCost = (value: number) => (value > 0 && value < 0.01 ? '< $0.01' : `$${value.toFixed(2)}`)
+
+const formatTokens = (value: number) =>
+  value >= 1e6 ? `${(value / 1e6).toFixed(1)}M` : value >= 1e3 ? `${(value / 1e3).toFixed(1)}k` : String(value)
+
+const toLimitInput = (value: number | null) => (value === null ? '' : String(value))
+
+const parseLimitInput = (value: string) => (value.trim() === '' ? null : Number(value))
+
+function BudgetBar({ label, status }: { label: string; status: BudgetPeriodStatus }) {
+  const percent = status.limit_usd ? Math.min(100, (status.spent_usd / status.limit_usd) * 100) : 0
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-700">{label}</span>
+        <span className="text-gray-900 font-medium">
+          {formatCost(status.spent_usd)}
+          {status.limit_usd !== null ? ` of ${formatCost(status.limit_usd)}` : ' (no limit)'}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className={`h-2 rounded-full ${status.exceeded ? 'bg-red-500' : percent >= 80 ? 'bg-amber-500' : 'bg-gray-900'}`}
+          style={{ width: `${status.limit_usd !== null ? percent : 0}%` }}
+        />
+      </div>
+    </div>
+  )
+}
+
+function UsageTable({ title, rows, labels }: {
+  title: string
+  rows: Array<UsageTotals & { name: string }>
+  labels?: Record<string, string>
+}) {
+  return (
+    <div className="card p-6">
+      <h3 className="font-semibold text-gray-900 mb-4">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No AI calls in this period.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="pb-2 font-medium"></th>
+              <th className="pb-2 font-medium text-right">Calls</th>
+              <th className="pb-2 font-medium text-right">Input tokens</th>
+              <th className="pb-2 font-medium text-right">Output tokens</th>
+              <th className="pb-2 font-medium text-right">Est. cost</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map(row => (
+              <tr key={row.name}>
+                <td className="py-2 text-gray-900">{labels?.[row.name] || row.name}</td>
+                <td className="py-2 text-right text-gray-700">{row.requests}</td>
+                <td className="py-2 text-right text-gray-700">{formatTokens(row.input_tokens)}</td>
+                <td className="py-2 text-right text-gray-700">{formatTokens(row.output_tokens)}</td>
+                <td className="py-2 text-right text-gray-900">{formatCost(row.cost_usd)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
 
 export default function BillingPage() {
   const userInfo = useRedirectIfNotAuth()
+  const [days, setDays] = useState(30)
+  const [report, setReport] = useState<UsageReport | null>(null)
+  const [dailyLimit, setDailyLimit] = useState('')
+  const [monthlyLimit, setMonthlyLimit] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null)
 
-  if (!userInfo) {
+  useEffect(() => {
+    if (!userInfo) return
+
+    const fetchReport = async () => {
+      try {
+        const result = await getUsageReport(days)
+        setReport(result)
+        setDailyLimit(toLimitInput(result.budget.daily.limit_usd))
+        setMonthlyLimit(toLimitInput(result.budget.monthly.limit_usd))
+      } catch (error) {
+        console.error('Failed to fetch AI usage:', error)
+        setMessage({ type: 'error', text: 'Could not load AI usage. Is the desktop app running?' })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchReport()
+  }, [userInfo, days])
+
+  const handleSaveBudget = async () => {
+    setIsSaving(true)
+    setMessage(null)
+    try {
+      const budget = await setUsageBudget({
+        daily_limit_usd: parseLimitInput(dailyLimit),
+        monthly_limit_usd: parseLimitInput(monthlyLimit),
+      })
+      setReport(current => current && { ...current, budget })
+      setMessage({ type: 'success', text: 'Budget saved.' })
+    } catch (error) {
+      console.error('Failed to save AI budget:', error)
+      setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Failed to save budget.' })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!userInfo || isLoading) {
     return (
       <div className="min-h-screen bg-stone-50 flex items-center justify-center">
         <div className="text-center">
@@ -19,9 +143,16 @@ export default function BillingPage() {
   const tabs = [
     { id: 'profile', name: 'Personal profile', href: '/settings' },
     { id: 'privacy', name: 'Data & privacy', href: '/settings/privacy' },
+    { id: 'productivity', name: 'Productivity ratings', href: '/settings/productivity' },
+    { id: 'summary-templates', name: 'Summary templates', href: '/settings/summary-templates' },
     { id: 'billing', name: 'Billing', href: '/settings/billing' },
   ]
 
+  // Bars show cost, or tokens when every call was free (local models, Glass key)
+  const byCost = report ? report.daily.some(day => day.cost_usd > 0) : false
+  const dayValue = (day: UsageTotals) => (byCost ? day.cost_usd : day.input_tokens + day.output_tokens)
+  const maxDayValue = report ? Math.max(...report.daily.map(dayValue), 0) : 0
+
   return (
     <div className="bg-stone-50 min-h-screen">
       <div className="px-8 py-8">
@@ -29,7 +160,7 @@ export default function BillingPage() {
           <p className="text-xs text-gray-500 mb-1">Settings</p>
           <h1 className="text-3xl font-bold text-gray-900">Personal settings</h1>
         </div>
-        
+
         <div className="mb-8">
           <nav className="flex space-x-10">
             {tabs.map((tab) => (
@@ -48,12 +179,127 @@ export default function BillingPage() {
           </nav>
         </div>
 
-        <div className="flex items-center justify-center h-96">
-          <h2 className="text-8xl font-black bg-gradient-to-r from-black to-gray-500 bg-clip-text text-transparent">
-            Cl*ely For Free
-          </h2>
-        </div>
+        {report && (
+          <div className="space-y-6">
+            <div className="card p-6">
+              <h3 className="font-semibold text-gray-900 mb-1">AI Budget</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Estimated spend on your own API keys. When a limit is reached, automatic activity and research
+                analysis switches to local estimates until the day or month ends or the limit is raised. Ask and
+                Listen keep working.
+              </p>
+
+              {report.budget.exceeded && (
+                <div className="mb-4 rounded-md bg-red-50 px-4 py-3 text-sm text-red-700">
+                  The {report.budget.exceeded_period} budget is spent; automatic analysis is paused.
+                </div>
+              )}
+
+              <div className="space-y-4 mb-6">
+                <BudgetBar label="Today" status={report.budget.daily} />
+                <BudgetBar label="This month" status={report.budget.monthly} />
+              </div>
+
+              <div className="flex items-end gap-4">
+                <label className="text-sm text-gray-700">
+                  Daily limit (USD)
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.5"
+                    value={dailyLimit}
+                    onChange={(e) => setDailyLimit(e.target.value)}
+                    className="input w-32 mt-1 block"
+                    placeholder="No limit"
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Monthly limit (USD)
+                  <input
+                    type="number"
+                    min={0}
+                    step="1"
+                    value={monthlyLimit}
+                    onChange={(e) => setMonthlyLimit(e.target.value)}
+                    className="input w-32 mt-1 block"
+                    placeholder="No limit"
+                  />
+                </label>
+                <button onClick={handleSaveBudget} disabled={isSaving} className="btn btn-primary">
+                  {isSaving ? 'Saving...' : 'Save Budget'}
+                </button>
+              </div>
+            </div>
+
+            <div className="card p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-gray-900">AI Usage</h3>
+                <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="input w-36">
+                  {PERIODS.map(period => (
+                    <option key={period} value={period}>Last {period} days</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-4 gap-4 mb-6">
+                <div>
+                  <p className="text-xs text-gray-500">Estimated cost</p>
+                  <p className="text-2xl font-semibold text-gray-900">{formatCost(report.totals.cost_usd)}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">AI calls</p>
+                  <p className="text-2xl font-semibold text-gray-900">{report.totals.requests}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">Input tokens</p>
+                  <p className="text-2xl font-semibold text-gray-900">{formatTokens(report.totals.input_tokens)}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">Output tokens</p>
+                  <p className="text-2xl font-semibold text-gray-900">{formatTokens(report.totals.output_tokens)}</p>
+                </div>
+              </div>
+
+              <div className="flex items-end gap-1 h-32">
+                {report.daily.map(day => (
+                  <div
+                    key={day.date}
+                    className="flex-1 bg-gray-900 rounded-t"
+                    style={{ height: `${maxDayValue ? Math.max(2, (dayValue(day) / maxDayValue) * 100) : 2}%` }}
+                    title={`${day.date}: ${formatCost(day.cost_usd)}, ${formatTokens(day.input_tokens + day.output_tokens)} tokens`}
+                  />
+                ))}
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-2">
+                <span>{report.daily[0]?.date}</span>
+                <span>{byCost ? 'Estimated cost per day' : 'Tokens per day'}</span>
+                <span>{report.daily[report.daily.length - 1]?.date}</span>
+              </div>
+
+              {report.totals.estimated_requests > 0 && (
+                <p className="text-xs text-gray-500 mt-4">
+                  {report.totals.estimated_requests} of {report.totals.requests} calls did not report token counts;
+                  their tokens are estimated from the text.
+                </p>
+              )}
+            </div>
+
+            <UsageTable
+              title="By Feature"
+              rows={report.by_feature.map(row => ({ ...row, name: row.feature }))}
+              labels={FEATURE_LABELS}
+            />
+            <UsageTable title="By Provider" rows={report.by_provider.map(row => ({ ...row, name: row.provider }))} />
+            <UsageTable title="By Model" rows={report.by_model.map(row => ({ ...row, name: row.model }))} />
+          </div>
+        )}
+
+        {message && (
+          <p className={`mt-6 text-sm text-right ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+            {message.text}
+          </p>
+        )}
       </div>
     </div>
   )
-} 
\ No newline at end of file
+}
@@ -20,7 +20,7 @@ declare global {
   }
 }
 
-type Tab = 'profile' | 'privacy' | 'billing'
+type Tab = 'profile' | 'privacy' | 'productivity' | 'summary-templates' | 'billing'
 type BillingCycle = 'monthly' | 'annually'
 
 export default function SettingsPage() {
@@ -93,6 +93,8 @@ export default function SettingsPage() {
   const tabs = [
     { id: 'profile' as Tab, name: 'Personal Profile', href: '/settings' },
     { id: 'privacy' as Tab, name: 'Data & Privacy', href: '/settings/privacy' },
+    { id: 'productivity' as Tab, name: 'Productivity Ratings', href: '/settings/productivity' },
+    { id: 'summary-templates' as Tab, name: 'Summary Templates', href: '/settings/summary-templates' },
     { id: 'billing' as Tab, name: 'Billing', href: '/settings/billing' },
   ]
 
@@ -1,10 +1,202 @@
 'use client'
 
-import { ExternalLink } from 'lucide-react'
+import { useState, useRef, useEffect } from 'react'
+import { ExternalLink, Download, Upload } from 'lucide-react'
 import { useRedirectIfNotAuth } from '@/utils/auth'
+import {
+  AwaySettings,
+  CaptureDisplayMode,
+  CaptureDisplaySettings,
+  RedactionAuditEntry,
+  RedactionPattern,
+  RedactionSettings,
+  RedactionStatus,
+  WorkspaceArchive,
+  WorkspaceConflictStrategy,
+  WorkspaceImportReport,
+  exportWorkspace,
+  getAwaySettings,
+  getCaptureDisplays,
+  getRedactionAuditLog,
+  getRedactionSettings,
+  getRedactionStatus,
+  importWorkspace,
+  updateAwaySettings,
+  updateCaptureDisplays,
+  updateRedactionSettings
+} from '@/utils/api'
+
+const DISPLAY_MODE_LABELS: Record<CaptureDisplayMode, string> = {
+  focused: 'The display with the focused window',
+  all: 'All displays, stitched into one image',
+  selected: 'Only the displays I choose',
+}
+
+const AUDIT_ACTION_LABELS: Record<RedactionAuditEntry['action'], string> = {
+  blocked: 'Not captured',
+  masked: 'Masked',
+  withheld: 'Not sent',
+  unmasked: 'Sent unmasked',
+}
+
+const toLines = (text: string) => text.split('\n').map((line) => line.trim()).filter(Boolean)
 
 export default function PrivacySettingsPage() {
   const userInfo = useRedirectIfNotAuth()
+  const [conflictStrategy, setConflictStrategy] = useState<WorkspaceConflictStrategy>('skip')
+  const [isTransferring, setIsTransferring] = useState(false)
+  const [importReport, setImportReport] = useState<WorkspaceImportReport | null>(null)
+  const [workspaceError, setWorkspaceError] = useState<string | null>(null)
+  const fileInputRef = useRef<HTMLInputElement>(null)
+  const [displaySettings, setDisplaySettings] = useState<CaptureDisplaySettings | null>(null)
+  const [displayMode, setDisplayMode] = useState<CaptureDisplayMode>('focused')
+  const [selectedDisplayIds, setSelectedDisplayIds] = useState<string[]>([])
+  const [isSavingDisplays, setIsSavingDisplays] = useState(false)
+  const [displayError, setDisplayError] = useState<string | null>(null)
+  const [awaySettings, setAwaySettings] = useState<AwaySettings | null>(null)
+  const [isSavingAway, setIsSavingAway] = useState(false)
+  const [awayError, setAwayError] = useState<string | null>(null)
+  const [redaction, setRedaction] = useState<RedactionSettings | null>(null)
+  const [redactionStatus, setRedactionStatus] = useState<RedactionStatus | null>(null)
+  const [blockedAppsText, setBlockedAppsText] = useState('')
+  const [blockedTitlesText, setBlockedTitlesText] = useState('')
+  const [customPatterns, setCustomPatterns] = useState<RedactionPattern[]>([])
+  const [auditLog, setAuditLog] = useState<RedactionAuditEntry[]>([])
+  const [isSavingRedaction, setIsSavingRedaction] = useState(false)
+  const [redactionError, setRedactionError] = useState<string | null>(null)
+
+  const applyRedactionSettings = (settings: RedactionSettings) => {
+    setRedaction(settings)
+    setBlockedAppsText(settings.blocked_apps.join('\n'))
+    setBlockedTitlesText(settings.blocked_titles.join('\n'))
+    setCustomPatterns(settings.custom_patterns)
+  }
+
+  const applyDisplaySettings = (settings: CaptureDisplaySettings) => {
+    setDisplaySettings(settings)
+    setDisplayMode(settings.mode)
+    setSelectedDisplayIds(settings.displays.filter((display) => display.selected).map((display) => display.id))
+  }
+
+  useEffect(() => {
+    if (!userInfo) return
+    getCaptureDisplays()
+      .then(applyDisplaySettings)
+      .catch((error) => {
+        console.error('Failed to load displays:', error)
+        setDisplayError('Displays are only available in the desktop app.')
+      })
+    getAwaySettings()
+      .then(setAwaySettings)
+      .catch((error) => {
+        console.error('Failed to load away settings:', error)
+        setAwayError('Away detection is only available in the desktop app.')
+      })
+    Promise.all([getRedactionSettings(), getRedactionStatus(), getRedactionAuditLog(20)])
+      .then(([settings, status, entries]) => {
+        applyRedactionSettings(settings)
+        setRedactionStatus(status)
+        setAuditLog(entries)
+      })
+      .catch((error) => {
+        console.error('Failed to load redaction settings:', error)
+        setRedactionError('Redaction settings are only available in the desktop app.')
+      })
+  }, [userInfo])
+
+  const updateCustomPattern = (index: number, changes: Partial<RedactionPattern>) => {
+    setCustomPatterns((patterns) => patterns.map((pattern, i) => (i === index ? { ...pattern, ...changes } : pattern)))
+  }
+
+  const handleSaveRedaction = async () => {
+    if (!redaction) return
+    setIsSavingRedaction(true)
+    setRedactionError(null)
+    try {
+      applyRedactionSettings(await updateRedactionSettings({
+        ...redaction,
+        blocked_apps: toLines(blockedAppsText),
+        blocked_titles: toLines(blockedTitlesText),
+        custom_patterns: customPatterns.filter((pattern) => pattern.pattern.trim()),
+      }))
+      setRedactionStatus(await getRedactionStatus())
+    } catch (error) {
+      console.error('Failed to save redaction settings:', error)
+      setRedactionError(error instanceof Error ? error.message : 'Failed to save redaction settings.')
+    } finally {
+      setIsSavingRedaction(false)
+    }
+  }
+
+  const toggleDisplay = (displayId: string) => {
+    setSelectedDisplayIds((ids) => ids.includes(displayId) ? ids.filter((id) => id !== displayId) : [...ids, displayId])
+  }
+
+  const handleSaveDisplays = async () => {
+    setIsSavingDisplays(true)
+    setDisplayError(null)
+    try {
+      applyDisplaySettings(await updateCaptureDisplays(displayMode, displayMode === 'selected' ? selectedDisplayIds : []))
+    } catch (error) {
+      console.error('Failed to save displays:', error)
+      setDisplayError('Failed to save display selection.')
+    } finally {
+      setIsSavingDisplays(false)
+    }
+  }
+
+  const handleSaveAway = async () => {
+    if (!awaySettings) return
+    setIsSavingAway(true)
+    setAwayError(null)
+    try {
+      setAwaySettings(await updateAwaySettings(awaySettings))
+    } catch (error) {
+      console.error('Failed to save away settings:', error)
+      setAwayError('Failed to save away settings. The idle threshold must be 1 to 120 minutes.')
+    } finally {
+      setIsSavingAway(false)
+    }
+  }
+
+  const handleExportWorkspace = async () => {
+    setIsTransferring(true)
+    setWorkspaceError(null)
+    try {
+      const archive = await exportWorkspace()
+      const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `glass-workspace-${archive.manifest.exportedAt.split('T')[0]}.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to export workspace:', error)
+      setWorkspaceError('Failed to export workspace.')
+    } finally {
+      setIsTransferring(false)
+    }
+  }
+
+  const handleImportWorkspace = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setIsTransferring(true)
+    setWorkspaceError(null)
+    setImportReport(null)
+    try {
+      const archive = JSON.parse(await file.text()) as WorkspaceArchive
+      setImportReport(await importWorkspace(archive, conflictStrategy))
+    } catch (error) {
+      console.error('Failed to import workspace:', error)
+      setWorkspaceError(error instanceof Error ? error.message : 'Failed to import workspace.')
+    } finally {
+      setIsTransferring(false)
+    }
+  }
 
   if (!userInfo) {
     return (
@@ -20,6 +212,8 @@ export default function PrivacySettingsPage() {
   const tabs = [
     { id: 'profile', name: 'Personal profile', href: '/settings' },
     { id: 'privacy', name: 'Data & privacy', href: '/settings/privacy' },
+    { id: 'productivity', name: 'Productivity ratings', href: '/settings/productivity' },
+    { id: 'summary-templates', name: 'Summary templates', href: '/settings/summary-templates' },
     { id: 'billing', name: 'Billing', href: '/settings/billing' },
   ]
 
@@ -85,6 +279,340 @@ export default function PrivacySettingsPage() {
               </button>
             </div>
           </div>
+
+          <div className="col-span-2 bg-white border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Screen Capture</h3>
+            <p className="text-gray-500 text-sm leading-relaxed">
+              Choose which displays activity tracking captures for analysis. Each capture records the displays it came from.
+            </p>
+
+            <div className="mt-6 space-y-2">
+              {(displaySettings?.modes || (Object.keys(DISPLAY_MODE_LABELS) as CaptureDisplayMode[])).map((mode) => (
+                <label key={mode} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="capture-displays"
+                    value={mode}
+                    checked={displayMode === mode}
+                    onChange={() => setDisplayMode(mode)}
+                    disabled={!displaySettings}
+                  />
+                  {DISPLAY_MODE_LABELS[mode]}
+                </label>
+              ))}
+            </div>
+
+            {displayMode === 'selected' && displaySettings && (
+              <div className="mt-4 pl-6 space-y-1">
+                {displaySettings.displays.map((display) => (
+                  <label key={display.id} className="flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={selectedDisplayIds.includes(display.id)}
+                      onChange={() => toggleDisplay(display.id)}
+                    />
+                    {display.label} ({display.bounds.width}×{display.bounds.height}{display.primary ? ', primary' : ''})
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {displayError && (
+              <p className="mt-4 text-sm text-red-600">{displayError}</p>
+            )}
+
+            <div className="flex justify-end mt-6">
+              <button
+                onClick={handleSaveDisplays}
+                disabled={!displaySettings || isSavingDisplays || (displayMode === 'selected' && selectedDisplayIds.length === 0)}
+                className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                {isSavingDisplays ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+
+          <div className="col-span-2 bg-white border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Away From the Computer</h3>
+            <p className="text-gray-500 text-sm leading-relaxed">
+              Without keyboard or mouse input for a while, with the screen locked or the computer asleep, activity tracking
+              ends the current activity where the absence began and stops capturing until you are back.
+            </p>
+
+            {awaySettings && (
+              <div className="mt-6 space-y-3">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={awaySettings.pauseWhenIdle}
+                    onChange={(e) => setAwaySettings({ ...awaySettings, pauseWhenIdle: e.target.checked })}
+                  />
+                  Pause tracking while I am away
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700 pl-6">
+                  Away after
+                  <input
+                    type="number"
+                    min={1}
+                    max={120}
+                    value={awaySettings.idleThresholdMinutes}
+                    onChange={(e) => setAwaySettings({ ...awaySettings, idleThresholdMinutes: Number(e.target.value) })}
+                    disabled={!awaySettings.pauseWhenIdle}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                  />
+                  minutes without input
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700 pl-6">
+                  <input
+                    type="checkbox"
+                    checked={awaySettings.askOnReturn}
+                    onChange={(e) => setAwaySettings({ ...awaySettings, askOnReturn: e.target.checked })}
+                    disabled={!awaySettings.pauseWhenIdle}
+                  />
+                  Ask on the Activity page whether the time away was a meeting, reading on paper or a break
+                </label>
+              </div>
+            )}
+
+            {awayError && (
+              <p className="mt-4 text-sm text-red-600">{awayError}</p>
+            )}
+
+            <div className="flex justify-end mt-6">
+              <button
+                onClick={handleSaveAway}
+                disabled={!awaySettings || isSavingAway}
+                className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                {isSavingAway ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+
+          <div className="col-span-2 bg-white border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Redaction Before AI Analysis</h3>
+            <p className="text-gray-500 text-sm leading-relaxed">
+              Screenshots are checked on this computer before activity or research analysis sends them to an AI provider.
+              Windows of blocked apps or with matching titles are never captured. Text found by local OCR (Tesseract) that
+              looks like an email address, an API key or one of your patterns is blacked out. While apps or titles are
+              blocked, nothing is captured when the focused window cannot be read or more than the focused display is captured.
+            </p>
+
+            {redaction?.enabled && redactionStatus && !redactionStatus.ocr_available && (
+              <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-800">
+                {redactionStatus.screenshots_withheld
+                  ? 'OCR is unavailable: screenshots are withheld and analyzed from window titles only. Install Tesseract to mask them instead.'
+                  : 'OCR is unavailable: screenshots are sent without masking. Install Tesseract to mask them.'}
+              </div>
+            )}
+
+            {redaction && (
+              <div className="mt-6 space-y-5">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={redaction.enabled}
+                    onChange={(e) => setRedaction({ ...redaction, enabled: e.target.checked })}
+                  />
+                  Redact screenshots before analysis
+                </label>
+
+                <div className="grid grid-cols-2 gap-6">
+                  <div>
+                    <label htmlFor="blocked-apps" className="block text-sm font-medium text-gray-700 mb-1">Blocked apps</label>
+                    <textarea
+                      id="blocked-apps"
+                      rows={4}
+                      value={blockedAppsText}
+                      onChange={(e) => setBlockedAppsText(e.target.value)}
+                      placeholder={'One app name per line, e.g.\nREDCap\n1Password'}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="blocked-titles" className="block text-sm font-medium text-gray-700 mb-1">Blocked window titles</label>
+                    <textarea
+                      id="blocked-titles"
+                      rows={4}
+                      value={blockedTitlesText}
+                      onChange={(e) => setBlockedTitlesText(e.target.value)}
+                      placeholder={'One pattern per line, e.g.\nparticipant\nunpublished|embargo'}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex gap-6">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={redaction.mask_emails}
+                      onChange={(e) => setRedaction({ ...redaction, mask_emails: e.target.checked })}
+                    />
+                    Mask email addresses
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={redaction.mask_secrets}
+                      onChange={(e) => setRedaction({ ...redaction, mask_secrets: e.target.checked })}
+                    />
+                    Mask API keys, tokens and passwords
+                  </label>
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-1">Custom patterns</p>
+                  {customPatterns.map((pattern, index) => (
+                    <div key={index} className="flex gap-2 mb-2">
+                      <input
+                        type="text"
+                        value={pattern.name}
+                        onChange={(e) => updateCustomPattern(index, { name: e.target.value })}
+                        placeholder="Name"
+                        className="w-40 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={pattern.pattern}
+                        onChange={(e) => updateCustomPattern(index, { pattern: e.target.value })}
+                        placeholder="Regular expression, e.g. P-\d{4}"
+                        className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm font-mono"
+                      />
+                      <button
+                        onClick={() => setCustomPatterns((patterns) => patterns.filter((_, i) => i !== index))}
+                        className="px-2 text-sm text-gray-500 hover:text-gray-700"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => setCustomPatterns((patterns) => [...patterns, { name: '', pattern: '' }])}
+                    className="text-sm text-gray-600 hover:text-gray-900"
+                  >
+                    + Add pattern
+                  </button>
+                </div>
+
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={redaction.send_without_ocr}
+                    onChange={(e) => setRedaction({ ...redaction, send_without_ocr: e.target.checked })}
+                  />
+                  Send screenshots unmasked when OCR is unavailable (otherwise they are analyzed from window titles only)
+                </label>
+              </div>
+            )}
+
+            {redactionError && (
+              <p className="mt-4 text-sm text-red-600">{redactionError}</p>
+            )}
+
+            <div className="flex justify-end mt-6">
+              <button
+                onClick={handleSaveRedaction}
+                disabled={!redaction || isSavingRedaction}
+                className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                {isSavingRedaction ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+
+            {auditLog.length > 0 && (
+              <div className="mt-4 pt-4 border-t border-gray-100">
+                <p className="text-sm font-medium text-gray-900 mb-2">Recent redactions</p>
+                <div className="space-y-1 text-sm text-gray-600">
+                  {auditLog.map((entry) => (
+                    <div key={entry.id} className="flex justify-between gap-4">
+                      <span className="text-gray-400 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</span>
+                      <span className="whitespace-nowrap">{entry.source}</span>
+                      <span className="whitespace-nowrap font-medium">{AUDIT_ACTION_LABELS[entry.action]}</span>
+                      <span className="flex-1 text-right truncate">
+                        {entry.action === 'masked'
+                          ? Object.entries(entry.matches).map(([name, count]) => `${count} ${name}`).join(', ')
+                          : entry.reason}
+                        {entry.app ? ` · ${entry.app}` : ''}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="col-span-2 bg-white border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Workspace Archive</h3>
+            <p className="text-gray-500 text-sm leading-relaxed">
+              Move your activities, captures, research sessions, analyses, projects and summaries to another machine.
+              Importing merges the archive into your local data.
+            </p>
+
+            <div className="flex items-center justify-between mt-6">
+              <div className="flex items-center gap-2">
+                <label htmlFor="conflict-strategy" className="text-sm text-gray-600">When an item already exists</label>
+                <select
+                  id="conflict-strategy"
+                  value={conflictStrategy}
+                  onChange={(e) => setConflictStrategy(e.target.value as WorkspaceConflictStrategy)}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="skip">Keep my local copy</option>
+                  <option value="replace">Replace with imported copy</option>
+                  <option value="keep-both">Keep both</option>
+                </select>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleExportWorkspace}
+                  disabled={isTransferring}
+                  className="flex items-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+                >
+                  Export
+                  <Download className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={isTransferring}
+                  className="flex items-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+                >
+                  Import
+                  <Upload className="h-4 w-4" />
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImportWorkspace}
+                  className="hidden"
+                />
+              </div>
+            </div>
+
+            {workspaceError && (
+              <p className="mt-4 text-sm text-red-600">{workspaceError}</p>
+            )}
+
+            {importReport && (
+              <div className="mt-4 pt-4 border-t border-gray-100">
+                <p className="text-sm font-medium text-gray-900 mb-2">Import complete</p>
+                <div className="grid grid-cols-2 gap-x-6 gap-y-1 text-sm text-gray-600">
+                  {Object.entries(importReport.tables).map(([table, counts]) => (
+                    <div key={table} className="flex justify-between">
+                      <span>{table}</span>
+                      <span>
+                        {counts.inserted} new, {counts.replaced} replaced, {counts.duplicated} duplicated, {counts.skipped} skipped
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                {importReport.warnings.map((warning) => (
+                  <p key={warning} className="mt-2 text-xs text-amber-600">{warning}</p>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,290 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+import { useRedirectIfNotAuth } from '@/utils/auth'
+import {
+  TimeModifier,
+  ProductivityOverrides,
+  getProductivityOverrides,
+  updateProductivityOverrides
+} from '@/utils/api'
+
+interface AppRatingRow {
+  app: string
+  rating: number
+}
+
+interface TimeModifierRow extends TimeModifier {
+  period: string
+}
+
+export default function ProductivitySettingsPage() {
+  const userInfo = useRedirectIfNotAuth()
+  const [appRows, setAppRows] = useState<AppRatingRow[]>([])
+  const [timeRows, setTimeRows] = useState<TimeModifierRow[]>([])
+  const [defaults, setDefaults] = useState<ProductivityOverrides['defaults']>()
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null)
+
+  const applyOverrides = (overrides: ProductivityOverrides) => {
+    setAppRows(Object.entries(overrides.appRatings).map(([app, rating]) => ({ app, rating })))
+    setTimeRows(Object.entries(overrides.timeModifiers).map(([period, range]) => ({ period, ...range })))
+    if (overrides.defaults) setDefaults(overrides.defaults)
+  }
+
+  useEffect(() => {
+    if (!userInfo) return
+
+    const fetchOverrides = async () => {
+      try {
+        applyOverrides(await getProductivityOverrides())
+      } catch (error) {
+        console.error('Failed to fetch productivity ratings:', error)
+        setMessage({ type: 'error', text: 'Could not load productivity ratings.' })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchOverrides()
+  }, [userInfo])
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    setMessage(null)
+    try {
+      const appRatings: Record<string, number> = {}
+      appRows.filter(row => row.app.trim()).forEach(row => {
+        appRatings[row.app.trim().toLowerCase()] = row.rating
+      })
+
+      const timeModifiers: Record<string, TimeModifier> = {}
+      timeRows.filter(row => row.period.trim()).forEach(row => {
+        timeModifiers[row.period.trim()] = { start: row.start, end: row.end, modifier: row.modifier }
+      })
+
+      applyOverrides(await updateProductivityOverrides({ appRatings, timeModifiers }))
+      setMessage({ type: 'success', text: 'Productivity ratings saved.' })
+    } catch (error) {
+      console.error('Failed to save productivity ratings:', error)
+      setMessage({ type: 'error', text: 'Failed to save productivity ratings. Check that hour ranges are valid.' })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const updateAppRow = (index: number, changes: Partial<AppRatingRow>) => {
+    setAppRows(rows => rows.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+  }
+
+  const updateTimeRow = (index: number, changes: Partial<TimeModifierRow>) => {
+    setTimeRows(rows => rows.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+  }
+
+  if (!userInfo || isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading...</p>
+        </div>
+      </div>
+    )
+  }
+
+  const tabs = [
+    { id: 'profile', name: 'Personal profile', href: '/settings' },
+    { id: 'privacy', name: 'Data & privacy', href: '/settings/privacy' },
+    { id: 'productivity', name: 'Productivity ratings', href: '/settings/productivity' },
+    { id: 'summary-templates', name: 'Summary templates', href: '/settings/summary-templates' },
+    { id: 'billing', name: 'Billing', href: '/settings/billing' },
+  ]
+
+  const defaultAppNames = Object.keys(defaults?.appRatings || {})
+
+  return (
+    <div className="bg-stone-50 min-h-screen">
+      <div className="px-8 py-8">
+        <div className="mb-6">
+          <p className="text-xs text-gray-500 mb-1">Settings</p>
+          <h1 className="text-3xl font-bold text-gray-900">Personal settings</h1>
+        </div>
+
+        <div className="mb-8">
+          <nav className="flex space-x-10">
+            {tabs.map((tab) => (
+              <a
+                key={tab.id}
+                href={tab.href}
+                className={`pb-4 px-2 border-b-2 font-medium text-sm transition-colors ${
+                  tab.id === 'productivity'
+                    ? 'border-gray-900 text-gray-900'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.name}
+              </a>
+            ))}
+          </nav>
+        </div>
+
+        <div className="space-y-6">
+          <div className="card p-6">
+            <h3 className="font-semibold text-gray-900 mb-1">Application Ratings</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Rate applications and sites from 0 (distracting) to 10 (core work). Your ratings replace the built-in ones,
+              and a name also matches window titles, so "youtube" covers lecture recordings in the browser.
+            </p>
+
+            <datalist id="default-apps">
+              {defaultAppNames.map(app => (
+                <option key={app} value={app} />
+              ))}
+            </datalist>
+
+            <div className="space-y-3">
+              {appRows.length === 0 && (
+                <p className="text-sm text-gray-500">No custom ratings yet. The built-in ratings are used for every application.</p>
+              )}
+              {appRows.map((row, index) => (
+                <div key={index} className="flex items-center gap-4">
+                  <input
+                    type="text"
+                    list="default-apps"
+                    value={row.app}
+                    onChange={(e) => updateAppRow(index, { app: e.target.value })}
+                    className="input max-w-xs"
+                    placeholder="Application or site, e.g. slack"
+                  />
+                  <input
+                    type="range"
+                    min={0}
+                    max={10}
+                    step={1}
+                    value={row.rating}
+                    onChange={(e) => updateAppRow(index, { rating: Number(e.target.value) })}
+                    className="flex-1 max-w-xs"
+                  />
+                  <span className="w-8 text-sm font-medium text-gray-900">{row.rating}</span>
+                  <span className="w-32 text-xs text-gray-500">
+                    {defaults?.appRatings[row.app.trim().toLowerCase()] !== undefined
+                      ? `Built-in: ${defaults.appRatings[row.app.trim().toLowerCase()]}`
+                      : ''}
+                  </span>
+                  <button
+                    onClick={() => setAppRows(rows => rows.filter((_, i) => i !== index))}
+                    className="p-2 text-gray-400 hover:text-red-600"
+                    title="Remove rating"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <button
+              onClick={() => setAppRows(rows => [...rows, { app: '', rating: 7 }])}
+              className="mt-4 flex items-center gap-2 text-sm text-gray-700 hover:text-gray-900"
+            >
+              <Plus className="h-4 w-4" />
+              Add application
+            </button>
+          </div>
+
+          <div className="card p-6">
+            <h3 className="font-semibold text-gray-900 mb-1">Time of Day Modifiers</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Adjust how scores are weighted during parts of the day (0 to 2, where 1 is neutral). Use a built-in period
+              name such as "lateNight" to replace it, or any other name to add a new period.
+            </p>
+
+            <div className="space-y-3">
+              {timeRows.length === 0 && (
+                <p className="text-sm text-gray-500">No custom time modifiers yet.</p>
+              )}
+              {timeRows.map((row, index) => (
+                <div key={index} className="flex items-center gap-4">
+                  <input
+                    type="text"
+                    value={row.period}
+                    onChange={(e) => updateTimeRow(index, { period: e.target.value })}
+                    className="input max-w-[12rem]"
+                    placeholder="Period name"
+                  />
+                  <label className="text-sm text-gray-600">From</label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={23}
+                    value={row.start}
+                    onChange={(e) => updateTimeRow(index, { start: Number(e.target.value) })}
+                    className="input w-20"
+                  />
+                  <label className="text-sm text-gray-600">to</label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={24}
+                    value={row.end}
+                    onChange={(e) => updateTimeRow(index, { end: Number(e.target.value) })}
+                    className="input w-20"
+                  />
+                  <label className="text-sm text-gray-600">×</label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={2}
+                    step={0.05}
+                    value={row.modifier}
+                    onChange={(e) => updateTimeRow(index, { modifier: Number(e.target.value) })}
+                    className="input w-24"
+                  />
+                  <button
+                    onClick={() => setTimeRows(rows => rows.filter((_, i) => i !== index))}
+                    className="p-2 text-gray-400 hover:text-red-600"
+                    title="Remove modifier"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <button
+              onClick={() => setTimeRows(rows => [...rows, { period: '', start: 9, end: 12, modifier: 1 }])}
+              className="mt-4 flex items-center gap-2 text-sm text-gray-700 hover:text-gray-900"
+            >
+              <Plus className="h-4 w-4" />
+              Add time period
+            </button>
+
+            {defaults?.timeModifiers && (
+              <div className="mt-6 pt-4 border-t border-gray-100">
+                <p className="text-xs font-medium text-gray-500 mb-2">Built-in periods</p>
+                <div className="flex flex-wrap gap-2">
+                  {Object.entries(defaults.timeModifiers).map(([period, range]) => (
+                    <span key={period} className="px-2 py-1 bg-gray-100 rounded text-xs text-gray-600">
+                      {period}: {range.start}–{range.end}h ×{range.modifier}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center justify-end gap-4">
+            {message && (
+              <p className={`text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+                {message.text}
+              </p>
+            )}
+            <button onClick={handleSave} disabled={isSaving} className="btn btn-primary">
+              {isSaving ? 'Saving...' : 'Save Ratings'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,352 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Plus, Trash2, Copy, Pencil } from 'lucide-react'
+import { useRedirectIfNotAuth } from '@/utils/auth'
+import {
+  SummaryTemplate,
+  SummaryTemplateInput,
+  SummarySectionType,
+  getSummaryTemplates,
+  createSummaryTemplate,
+  updateSummaryTemplate,
+  deleteSummaryTemplate,
+  selectSummaryTemplate
+} from '@/utils/api'
+
+interface SectionRow {
+  title: string
+  type: SummarySectionType
+  max_items: number
+  description: string
+}
+
+interface TemplateDraft {
+  id: string | null
+  title: string
+  instructions: string
+  sections: SectionRow[]
+}
+
+const SECTION_TYPES: { value: SummarySectionType; label: string }[] = [
+  { value: 'bullets', label: 'Bullet list' },
+  { value: 'numbered', label: 'Numbered list' },
+  { value: 'text', label: 'Paragraph' },
+]
+
+const emptySection = (): SectionRow => ({ title: '', type: 'bullets', max_items: 5, description: '' })
+
+const toDraft = (template: SummaryTemplate, id: string | null): TemplateDraft => ({
+  id,
+  title: id ? template.title : `${template.title} (copy)`,
+  instructions: template.instructions,
+  sections: template.sections.map(section => ({
+    title: section.title,
+    type: section.type,
+    max_items: section.max_items,
+    description: section.description || '',
+  })),
+})
+
+export default function SummaryTemplatesPage() {
+  const userInfo = useRedirectIfNotAuth()
+  const [templates, setTemplates] = useState<SummaryTemplate[]>([])
+  const [selectedId, setSelectedId] = useState<string | null>(null)
+  const [draft, setDraft] = useState<TemplateDraft | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null)
+
+  const loadTemplates = async () => {
+    const result = await getSummaryTemplates()
+    setTemplates(result.templates)
+    setSelectedId(result.selectedId)
+  }
+
+  useEffect(() => {
+    if (!userInfo) return
+
+    const fetchTemplates = async () => {
+      try {
+        await loadTemplates()
+      } catch (error) {
+        console.error('Failed to fetch summary templates:', error)
+        setMessage({ type: 'error', text: 'Could not load summary templates. Is the desktop app running?' })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchTemplates()
+  }, [userInfo])
+
+  const handleSelect = async (id: string) => {
+    setMessage(null)
+    try {
+      await selectSummaryTemplate(id || null)
+      setSelectedId(id || null)
+    } catch (error) {
+      console.error('Failed to select summary template:', error)
+      setMessage({ type: 'error', text: 'Failed to change the summary template.' })
+    }
+  }
+
+  const handleSave = async () => {
+    if (!draft) return
+    setIsSaving(true)
+    setMessage(null)
+    try {
+      const input: SummaryTemplateInput = {
+        title: draft.title,
+        instructions: draft.instructions,
+        sections: draft.sections.filter(section => section.title.trim()),
+      }
+      if (draft.id) {
+        await updateSummaryTemplate(draft.id, input)
+      } else {
+        await createSummaryTemplate(input)
+      }
+      await loadTemplates()
+      setDraft(null)
+      setMessage({ type: 'success', text: 'Summary template saved.' })
+    } catch (error) {
+      console.error('Failed to save summary template:', error)
+      setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Failed to save summary template.' })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async (template: SummaryTemplate) => {
+    if (!window.confirm(`Delete the summary template "${template.title}"?`)) return
+    setMessage(null)
+    try {
+      await deleteSummaryTemplate(template.id)
+      if (draft?.id === template.id) setDraft(null)
+      await loadTemplates()
+    } catch (error) {
+      console.error('Failed to delete summary template:', error)
+      setMessage({ type: 'error', text: 'Failed to delete summary template.' })
+    }
+  }
+
+  const updateSection = (index: number, changes: Partial<SectionRow>) => {
+    setDraft(current => current && {
+      ...current,
+      sections: current.sections.map((section, i) => (i === index ? { ...section, ...changes } : section)),
+    })
+  }
+
+  if (!userInfo || isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading...</p>
+        </div>
+      </div>
+    )
+  }
+
+  const tabs = [
+    { id: 'profile', name: 'Personal profile', href: '/settings' },
+    { id: 'privacy', name: 'Data & privacy', href: '/settings/privacy' },
+    { id: 'productivity', name: 'Productivity ratings', href: '/settings/productivity' },
+    { id: 'summary-templates', name: 'Summary templates', href: '/settings/summary-templates' },
+    { id: 'billing', name: 'Billing', href: '/settings/billing' },
+  ]
+
+  return (
+    <div className="bg-stone-50 min-h-screen">
+      <div className="px-8 py-8">
+        <div className="mb-6">
+          <p className="text-xs text-gray-500 mb-1">Settings</p>
+          <h1 className="text-3xl font-bold text-gray-900">Personal settings</h1>
+        </div>
+
+        <div className="mb-8">
+          <nav className="flex space-x-10">
+            {tabs.map((tab) => (
+              <a
+                key={tab.id}
+                href={tab.href}
+                className={`pb-4 px-2 border-b-2 font-medium text-sm transition-colors ${
+                  tab.id === 'summary-templates'
+                    ? 'border-gray-900 text-gray-900'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.name}
+              </a>
+            ))}
+          </nav>
+        </div>
+
+        <div className="space-y-6">
+          <div className="card p-6">
+            <h3 className="font-semibold text-gray-900 mb-1">Listen Summary Template</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Sections the live summary is written in. The choice applies to the current Listen session and the ones
+              after it; each session can also switch templates from the Listen window.
+            </p>
+            <select
+              value={selectedId || ''}
+              onChange={(e) => handleSelect(e.target.value)}
+              className="input max-w-xs"
+            >
+              <option value="">Built-in (summary, key topic, questions)</option>
+              {templates.map(template => (
+                <option key={template.id} value={template.id}>{template.title}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="card p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="font-semibold text-gray-900">Templates</h3>
+              <button
+                onClick={() => setDraft({ id: null, title: '', instructions: '', sections: [emptySection()] })}
+                className="flex items-center gap-2 text-sm text-gray-700 hover:text-gray-900"
+              >
+                <Plus className="h-4 w-4" />
+                New template
+              </button>
+            </div>
+
+            <div className="divide-y divide-gray-100">
+              {templates.map(template => (
+                <div key={template.id} className="py-3 flex items-start justify-between gap-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {template.title}
+                      {template.is_default ? <span className="ml-2 text-xs text-gray-500">Built-in</span> : null}
+                    </p>
+                    <p className="text-xs text-gray-500">{template.sections.map(section => section.title).join(' · ')}</p>
+                  </div>
+                  <div className="flex items-center">
+                    <button
+                      onClick={() => setDraft(toDraft(template, null))}
+                      className="p-2 text-gray-400 hover:text-gray-700"
+                      title="Duplicate template"
+                    >
+                      <Copy className="h-4 w-4" />
+                    </button>
+                    {!template.is_default && (
+                      <>
+                        <button
+                          onClick={() => setDraft(toDraft(template, template.id))}
+                          className="p-2 text-gray-400 hover:text-gray-700"
+                          title="Edit template"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(template)}
+                          className="p-2 text-gray-400 hover:text-red-600"
+                          title="Delete template"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {draft && (
+            <div className="card p-6">
+              <h3 className="font-semibold text-gray-900 mb-4">{draft.id ? 'Edit template' : 'New template'}</h3>
+
+              <div className="space-y-4">
+                <input
+                  type="text"
+                  value={draft.title}
+                  onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                  className="input max-w-md"
+                  placeholder="Title, e.g. Lab meeting"
+                />
+                <textarea
+                  value={draft.instructions}
+                  onChange={(e) => setDraft({ ...draft, instructions: e.target.value })}
+                  className="input w-full h-20"
+                  placeholder="What kind of conversation this is and what to focus on"
+                />
+
+                <div className="space-y-3">
+                  {draft.sections.map((section, index) => (
+                    <div key={index} className="flex items-center gap-3">
+                      <input
+                        type="text"
+                        value={section.title}
+                        onChange={(e) => updateSection(index, { title: e.target.value })}
+                        className="input max-w-[12rem]"
+                        placeholder="Section title"
+                      />
+                      <select
+                        value={section.type}
+                        onChange={(e) => updateSection(index, { type: e.target.value as SummarySectionType })}
+                        className="input w-36"
+                      >
+                        {SECTION_TYPES.map(type => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min={1}
+                        max={10}
+                        value={section.max_items}
+                        disabled={section.type === 'text'}
+                        onChange={(e) => updateSection(index, { max_items: Number(e.target.value) })}
+                        className="input w-20"
+                        title="Most items kept"
+                      />
+                      <input
+                        type="text"
+                        value={section.description}
+                        onChange={(e) => updateSection(index, { description: e.target.value })}
+                        className="input flex-1"
+                        placeholder="What belongs here (optional)"
+                      />
+                      <button
+                        onClick={() => setDraft({ ...draft, sections: draft.sections.filter((_, i) => i !== index) })}
+                        className="p-2 text-gray-400 hover:text-red-600"
+                        title="Remove section"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+
+                <button
+                  onClick={() => setDraft({ ...draft, sections: [...draft.sections, emptySection()] })}
+                  className="flex items-center gap-2 text-sm text-gray-700 hover:text-gray-900"
+                >
+                  <Plus className="h-4 w-4" />
+                  Add section
+                </button>
+              </div>
+
+              <div className="mt-6 flex items-center justify-end gap-4">
+                <button onClick={() => setDraft(null)} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button onClick={handleSave} disabled={isSaving} className="btn btn-primary">
+                  {isSaving ? 'Saving...' : 'Save Template'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {message && (
+            <p className={`text-sm text-right ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+              {message.text}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,9 +1,9 @@
 const express = require('express');
 const cors = require('cors');
 // const db = require('./db'); // No longer needed
-const { identifyUser } = require('./middleware/auth');
+const { authenticateRequest } = require('./middleware/auth');
 
-function createApp(eventBridge) {
+function createApp(eventBridge, { webSession }) {
     const app = express();
 
     const webUrl = process.env.pickleglass_WEB_URL || 'http://localhost:3000';
@@ -14,7 +14,12 @@ function createApp(eventBridge) {
         credentials: true,
     }));
 
-    app.use(express.json());
+    // Workspace imports carry whole archives, so that route installs its own larger body limit
+    const jsonParser = express.json();
+    app.use((req, res, next) => {
+        if (req.path === '/api/research/workspace/import') return next();
+        jsonParser(req, res, next);
+    });
 
     app.get('/', (req, res) => {
         res.json({ message: "pickleglass API is running" });
@@ -22,18 +27,23 @@ function createApp(eventBridge) {
 
     app.use((req, res, next) => {
         req.bridge = eventBridge;
+        req.webSession = webSession;
         next();
     });
 
-    app.use('/api', identifyUser);
+    app.use('/api', authenticateRequest(webSession));
 
     app.use('/api/auth', require('./routes/auth'));
     app.use('/api/user', require('./routes/user'));
     app.use('/api/conversations', require('./routes/conversations'));
     app.use('/api/presets', require('./routes/presets'));
+    app.use('/api/summary-templates', require('./routes/summaryTemplates'));
+    app.use('/api/usage', require('./routes/usage'));
+    app.use('/api/redaction', require('./routes/redaction'));
     app.use('/api/research', require('./routes/research'));
     app.use('/api/activity', require('./routes/activity'));
     app.use('/api/credentials', require('./routes/credentials'));
+    app.use('/api/events', require('./routes/events'));
 
     app.get('/api/sync/status', (req, res) => {
         res.json({
@@ -1,13 +1,39 @@
-function identifyUser(req, res, next) {
-    const userId = req.get('X-User-ID');
+// Routes reachable through EventSource, which cannot set headers, may pass the token as ?token=
+const QUERY_TOKEN_PATHS = ['/events'];
 
-    if (userId) {
-        req.uid = userId;
-    } else {
-        req.uid = 'default_user';
+function readToken(req) {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
     }
-    
-    next();
+    if (QUERY_TOKEN_PATHS.includes(req.path) && typeof req.query.token === 'string') {
+        return req.query.token;
+    }
+    return null;
+}
+
+/**
+ * Require a token issued by the desktop app on every /api request.
+ * The user is always the one signed in to the desktop app; client-supplied user IDs are ignored.
+ * @param {Object} webSession - Issues and verifies tokens (webSessionService in the main process)
+ */
+function authenticateRequest(webSession) {
+    return (req, res, next) => {
+        const token = readToken(req);
+        const result = webSession.verifyToken(token);
+
+        if (!result.valid) {
+            return res.status(401).json({
+                error: 'Unauthorized. Open the dashboard from the Glass desktop app.',
+                reason: result.reason
+            });
+        }
+
+        req.token = token;
+        req.tokenExpiresAt = result.expiresAt;
+        req.uid = webSession.getCurrentUserId();
+        next();
+    };
 }
 
-module.exports = { identifyUser }; 
\ No newline at end of file
+module.exports = { authenticateRequest };
@@ -152,6 +152,263 @@ router.post('/settings/capture-interval', async (req, res) => {
     }
 });
 
+// Get connected displays and which of them are captured
+router.get('/settings/displays', async (req, res) => {
+    try {
+        const displays = await req.bridge.invoke('activity:get-displays');
+        res.json(displays);
+    } catch (error) {
+        console.error('Error getting displays:', error);
+        res.status(500).json({ error: 'Failed to get displays' });
+    }
+});
+
+// Choose which displays are captured: 'focused', 'all' or the 'selected' displayIds
+router.put('/settings/displays', async (req, res) => {
+    try {
+        const { mode, displayIds = [] } = req.body || {};
+        if (!['focused', 'all', 'selected'].includes(mode) || !Array.isArray(displayIds)) {
+            return res.status(400).json({ error: 'Invalid display selection. Mode must be focused, all or selected.' });
+        }
+        if (mode === 'selected' && displayIds.length === 0) {
+            return res.status(400).json({ error: 'Select at least one display.' });
+        }
+
+        await req.bridge.invoke('activity:update-settings', { captureDisplays: mode, captureDisplayIds: displayIds.map(String) });
+        const displays = await req.bridge.invoke('activity:get-displays');
+        res.json(displays);
+    } catch (error) {
+        console.error('Error updating displays:', error);
+        res.status(500).json({ error: 'Failed to update displays' });
+    }
+});
+
+const awaySettings = (settings = {}) => ({
+    pauseWhenIdle: settings.pauseWhenIdle !== false,
+    idleThresholdMinutes: settings.idleThresholdMinutes || 5,
+    askOnReturn: settings.askOnReturn !== false
+});
+
+// Get how tracking handles time away from the computer
+router.get('/settings/away', async (req, res) => {
+    try {
+        const status = await req.bridge.invoke('activity:get-tracking-status');
+        res.json(awaySettings(status?.settings));
+    } catch (error) {
+        console.error('Error getting away settings:', error);
+        res.status(500).json({ error: 'Failed to get away settings' });
+    }
+});
+
+// Update idle pausing, the idle threshold in minutes and whether to ask on return
+router.put('/settings/away', async (req, res) => {
+    try {
+        const { pauseWhenIdle, idleThresholdMinutes, askOnReturn } = req.body || {};
+        const minutes = Number(idleThresholdMinutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > 120) {
+            return res.status(400).json({ error: 'Invalid idle threshold. Must be between 1-120 minutes.' });
+        }
+
+        const result = await req.bridge.invoke('activity:update-settings', {
+            pauseWhenIdle: pauseWhenIdle !== false,
+            idleThresholdMinutes: minutes,
+            askOnReturn: askOnReturn !== false
+        });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(awaySettings(result));
+    } catch (error) {
+        console.error('Error updating away settings:', error);
+        res.status(500).json({ error: 'Failed to update away settings' });
+    }
+});
+
+// Get absences the user has not yet said anything about
+router.get('/away', async (req, res) => {
+    try {
+        const periods = await req.bridge.invoke('activity:get-away-periods');
+        res.json(Array.isArray(periods) ? periods : []);
+    } catch (error) {
+        console.error('Error getting away periods:', error);
+        res.status(500).json({ error: 'Failed to get away periods' });
+    }
+});
+
+// Record an absence as a meeting, reading or a break; a null kind dismisses it
+router.post('/away/:periodId', async (req, res) => {
+    try {
+        const { kind = null } = req.body || {};
+        const result = await req.bridge.invoke('activity:resolve-away-period', { periodId: req.params.periodId, kind });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ success: true, activity: result || null });
+    } catch (error) {
+        console.error('Error resolving away period:', error);
+        res.status(500).json({ error: 'Failed to resolve away period' });
+    }
+});
+
+// Get per-user productivity rating overrides
+router.get('/settings/productivity-ratings', async (req, res) => {
+    try {
+        const overrides = await req.bridge.invoke('activity:get-productivity-overrides');
+        res.json(overrides);
+    } catch (error) {
+        console.error('Error getting productivity ratings:', error);
+        res.status(500).json({ error: 'Failed to get productivity ratings' });
+    }
+});
+
+// Replace per-user productivity rating overrides
+router.put('/settings/productivity-ratings', async (req, res) => {
+    try {
+        const { appRatings = {}, timeModifiers = {} } = req.body || {};
+        const result = await req.bridge.invoke('activity:update-productivity-overrides', { appRatings, timeModifiers });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating productivity ratings:', error);
+        res.status(500).json({ error: 'Failed to update productivity ratings' });
+    }
+});
+
+// Get planned time blocks for a day, with adherence to tracked activities
+router.get('/time-blocks', async (req, res) => {
+    try {
+        const date = req.query.date || new Date().toISOString().split('T')[0];
+        const result = await req.bridge.invoke('activity:get-time-blocks', { date });
+        res.json(result);
+    } catch (error) {
+        console.error('Error getting time blocks:', error);
+        res.status(500).json({ error: 'Failed to get time blocks' });
+    }
+});
+
+// Create a planned time block
+router.post('/time-blocks', async (req, res) => {
+    try {
+        const result = await req.bridge.invoke('activity:create-time-block', req.body || {});
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Error creating time block:', error);
+        res.status(500).json({ error: 'Failed to create time block' });
+    }
+});
+
+// Update a planned time block
+router.put('/time-blocks/:blockId', async (req, res) => {
+    try {
+        const result = await req.bridge.invoke('activity:update-time-block', {
+            blockId: req.params.blockId,
+            updates: req.body || {}
+        });
+        if (result?.error) {
+            const status = result.error === 'Time block not found' ? 404 : 400;
+            return res.status(status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating time block:', error);
+        res.status(500).json({ error: 'Failed to update time block' });
+    }
+});
+
+// Delete a planned time block
+router.delete('/time-blocks/:blockId', async (req, res) => {
+    try {
+        const result = await req.bridge.invoke('activity:delete-time-block', { blockId: req.params.blockId });
+        if (result?.error) {
+            const status = result.error === 'Time block not found' ? 404 : 400;
+            return res.status(status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error deleting time block:', error);
+        res.status(500).json({ error: 'Failed to delete time block' });
+    }
+});
+
+// List categorization rules, in the order they are evaluated
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await req.bridge.invoke('activity:get-categorization-rules');
+        res.json(rules);
+    } catch (error) {
+        console.error('Error getting categorization rules:', error);
+        res.status(500).json({ error: 'Failed to get categorization rules' });
+    }
+});
+
+// Create a categorization rule
+router.post('/rules', async (req, res) => {
+    try {
+        const result = await req.bridge.invoke('activity:create-categorization-rule', req.body || {});
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Error creating categorization rule:', error);
+        res.status(500).json({ error: 'Failed to create categorization rule' });
+    }
+});
+
+// Dry-run a rule (saved via ruleId, or unsaved via rule) against recent activities
+router.post('/rules/test', async (req, res) => {
+    try {
+        const { ruleId, rule, days } = req.body || {};
+        const result = await req.bridge.invoke('activity:test-categorization-rule', { ruleId, rule, days });
+        if (result?.error) {
+            const status = result.error === 'Categorization rule not found' ? 404 : 400;
+            return res.status(status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error testing categorization rule:', error);
+        res.status(500).json({ error: 'Failed to test categorization rule' });
+    }
+});
+
+// Update a categorization rule
+router.put('/rules/:ruleId', async (req, res) => {
+    try {
+        const result = await req.bridge.invoke('activity:update-categorization-rule', {
+            ruleId: req.params.ruleId,
+            updates: req.body || {}
+        });
+        if (result?.error) {
+            const status = result.error === 'Categorization rule not found' ? 404 : 400;
+            return res.status(status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating categorization rule:', error);
+        res.status(500).json({ error: 'Failed to update categorization rule' });
+    }
+});
+
+// Delete a categorization rule
+router.delete('/rules/:ruleId', async (req, res) => {
+    try {
+        const result = await req.bridge.invoke('activity:delete-categorization-rule', { ruleId: req.params.ruleId });
+        if (result?.error) {
+            const status = result.error === 'Categorization rule not found' ? 404 : 400;
+            return res.status(status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error deleting categorization rule:', error);
+        res.status(500).json({ error: 'Failed to delete categorization rule' });
+    }
+});
+
 // Get AI status
 router.get('/ai-status', async (req, res) => {
     try {
@@ -210,6 +467,20 @@ router.get('/export', async (req, res) => {
             startDate.setFullYear(startDate.getFullYear() - 1);
         }
         
+        if (format === 'ics') {
+            const calendar = await req.bridge.invoke('activity:export-calendar', {
+                startDate: startDate.toISOString().split('T')[0],
+                endDate
+            });
+            if (calendar?.error) {
+                return res.status(500).json({ error: calendar.error });
+            }
+
+            res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="activity-export-${Date.now()}.ics"`);
+            return res.send(calendar);
+        }
+
         const activities = await req.bridge.invoke('activity:get-activities', {
             startDate: startDate.toISOString().split('T')[0],
             endDate,
@@ -249,4 +520,23 @@ router.get('/export', async (req, res) => {
     }
 });
 
+// Import calendar events (.ics) as planned activities
+router.post('/import/ics', express.text({ type: ['text/calendar', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    try {
+        const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+        if (!ics || !ics.includes('BEGIN:VCALENDAR')) {
+            return res.status(400).json({ error: 'Request body must be an iCalendar (.ics) file' });
+        }
+
+        const result = await req.bridge.invoke('activity:import-calendar', { ics });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error importing calendar:', error);
+        res.status(500).json({ error: 'Failed to import calendar' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
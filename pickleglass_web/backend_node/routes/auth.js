@@ -21,4 +21,14 @@ router.get('/status', async (req, res) => {
     }
 });
 
+// Exchange the current token for a fresh one before it expires
+router.post('/refresh', (req, res) => {
+    try {
+        const { token, expiresAt } = req.webSession.rotateToken(req.token);
+        res.json({ token, expiresAt });
+    } catch (error) {
+        res.status(401).json({ error: error.message });
+    }
+});
+
 module.exports = router;
@@ -55,6 +55,29 @@ router.post('/', async (req, res) => {
     }
 });
 
+// Must be registered before '/:session_id', which would otherwise capture 'search'
+router.get('/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+        return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    try {
+        const results = await ipcRequest(req, 'conversations:search', {
+            query,
+            limit: req.query.limit ? parseInt(req.query.limit) : null,
+            sources: req.query.sources ? String(req.query.sources).split(',') : undefined
+        });
+        if (results?.error) {
+            return res.status(400).json({ error: results.error });
+        }
+        res.json(results);
+    } catch (error) {
+        console.error('Failed to search conversations via IPC:', error);
+        res.status(500).json({ error: 'Failed to search conversations' });
+    }
+});
+
 router.get('/:session_id', async (req, res) => {
     try {
         const details = await ipcRequest(req, 'get-session-details', req.params.session_id);
@@ -68,6 +91,93 @@ router.get('/:session_id', async (req, res) => {
     }
 });
 
+router.get('/:session_id/speakers', async (req, res) => {
+    try {
+        const speakers = await ipcRequest(req, 'conversations:get-speakers', { sessionId: req.params.session_id });
+        if (speakers?.error) {
+            return res.status(400).json({ error: speakers.error });
+        }
+        res.json(speakers);
+    } catch (error) {
+        console.error(`Failed to get speakers via IPC for ${req.params.session_id}:`, error);
+        res.status(500).json({ error: 'Failed to retrieve speakers' });
+    }
+});
+
+router.put('/:session_id/speakers/:speaker_id', async (req, res) => {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+        return res.status(400).json({ error: 'Speaker name is required' });
+    }
+
+    try {
+        const result = await ipcRequest(req, 'conversations:rename-speaker', {
+            sessionId: req.params.session_id,
+            speakerId: req.params.speaker_id,
+            name
+        });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error(`Failed to rename speaker via IPC for ${req.params.session_id}:`, error);
+        res.status(500).json({ error: 'Failed to rename speaker' });
+    }
+});
+
+router.get('/:session_id/minutes', async (req, res) => {
+    try {
+        const record = await ipcRequest(req, 'conversations:get-minutes', { sessionId: req.params.session_id });
+        if (record?.error) {
+            return res.status(400).json({ error: record.error });
+        }
+        if (!record) {
+            return res.status(404).json({ error: 'No minutes for this session' });
+        }
+        res.json(record);
+    } catch (error) {
+        console.error(`Failed to get minutes via IPC for ${req.params.session_id}:`, error);
+        res.status(500).json({ error: 'Failed to retrieve minutes' });
+    }
+});
+
+router.post('/:session_id/minutes', async (req, res) => {
+    try {
+        const minutes = await ipcRequest(req, 'conversations:generate-minutes', { sessionId: req.params.session_id });
+        if (minutes?.error) {
+            return res.status(400).json({ error: minutes.error });
+        }
+        if (!minutes) {
+            return res.status(422).json({ error: 'The session is too short to generate minutes' });
+        }
+        res.status(201).json({ session_id: req.params.session_id, minutes });
+    } catch (error) {
+        console.error(`Failed to generate minutes via IPC for ${req.params.session_id}:`, error);
+        res.status(500).json({ error: 'Failed to generate minutes' });
+    }
+});
+
+router.get('/:session_id/minutes/export', async (req, res) => {
+    const format = req.query.format || 'markdown';
+    if (!['markdown', 'html'].includes(format)) {
+        return res.status(400).json({ error: 'format must be markdown or html' });
+    }
+
+    try {
+        const file = await ipcRequest(req, 'conversations:export-minutes', { sessionId: req.params.session_id, format });
+        if (file?.error) {
+            return res.status(404).json({ error: file.error });
+        }
+        res.setHeader('Content-Type', file.mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.content);
+    } catch (error) {
+        console.error(`Failed to export minutes via IPC for ${req.params.session_id}:`, error);
+        res.status(500).json({ error: 'Failed to export minutes' });
+    }
+});
+
 router.delete('/:session_id', async (req, res) => {
     try {
         await ipcRequest(req, 'delete-session', req.params.session_id);
@@ -78,10 +188,4 @@ router.delete('/:session_id', async (req, res) => {
     }
 });
 
-// The search functionality will be more complex to move to IPC.
-// For now, we can disable it or leave it as is, knowing it's a future task.
-router.get('/search', (req, res) => {
-    res.status(501).json({ error: 'Search not implemented for IPC bridge yet.' });
-});
-
 module.exports = router; 
\ No newline at end of file
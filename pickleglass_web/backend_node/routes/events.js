@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Server-Sent Events stream of live tracking status, analyses, activities and research sessions
+router.get('/', async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (liveEvent) => {
+        res.write(`id: ${liveEvent.timestamp}\n`);
+        res.write(`data: ${JSON.stringify(liveEvent)}\n\n`);
+    };
+
+    // Registered before any await, so a client that leaves early leaves nothing behind
+    let closed = false;
+    let heartbeat = null;
+    req.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        req.bridge.off('live-event', send);
+    });
+
+    // Ask the browser to wait a few seconds before reconnecting after a drop
+    res.write('retry: 5000\n\n');
+
+    // Start every stream with the current status so pages don't need a separate fetch
+    try {
+        const status = await req.bridge.invoke('activity:get-tracking-status');
+        if (status && !status.error) {
+            send({ source: 'activity', event: 'status-update', data: status, timestamp: Date.now() });
+        }
+    } catch (error) {
+        console.error('Error getting initial tracking status for event stream:', error);
+    }
+
+    if (closed || req.destroyed) {
+        return;
+    }
+
+    req.bridge.on('live-event', send);
+
+    // Comment lines keep proxies and idle timeouts from closing the connection
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+});
+
+module.exports = router;
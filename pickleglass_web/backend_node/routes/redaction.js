@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { ipcRequest } = require('../ipcBridge');
+
+// Blocked apps and titles, and what is masked in screenshots before AI analysis
+router.get('/settings', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'redaction:get-settings');
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to get redaction settings via IPC:', error);
+        res.status(500).json({ error: 'Failed to retrieve redaction settings' });
+    }
+});
+
+router.put('/settings', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'redaction:update-settings', req.body);
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to update redaction settings via IPC:', error);
+        res.status(500).json({ error: 'Failed to update redaction settings' });
+    }
+});
+
+// Whether local OCR is available, and screenshots are withheld from analysis without it
+router.get('/status', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'redaction:get-status');
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to get redaction status via IPC:', error);
+        res.status(500).json({ error: 'Failed to retrieve redaction status' });
+    }
+});
+
+// Blocked, masked, withheld and unmasked screenshots, newest first (default 100)
+router.get('/audit', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'redaction:get-audit-log', { limit: req.query.limit });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to get redaction audit log via IPC:', error);
+        res.status(500).json({ error: 'Failed to retrieve redaction audit log' });
+    }
+});
+
+module.exports = router;
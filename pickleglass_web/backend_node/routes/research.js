@@ -348,6 +348,110 @@ router.post('/projects/:projectId/link-zotero', async (req, res) => {
     }
 });
 
+router.post('/sessions/:sessionId/zotero-note', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const result = await req.bridge.invoke('research:write-session-zotero', { sessionId });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error writing session to Zotero:', error);
+        res.status(500).json({ error: 'Failed to write session to Zotero' });
+    }
+});
+
+router.get('/zotero/write-back', async (req, res) => {
+    try {
+        const options = await req.bridge.invoke('research:get-zotero-write-back');
+        res.json(options);
+    } catch (error) {
+        console.error('Error getting Zotero write-back settings:', error);
+        res.status(500).json({ error: 'Failed to get Zotero write-back settings' });
+    }
+});
+
+router.put('/zotero/write-back', async (req, res) => {
+    try {
+        const { enabled, tag } = req.body || {};
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be a boolean' });
+        }
+        if (tag !== undefined && (typeof tag !== 'string' || !tag.trim())) {
+            return res.status(400).json({ error: 'tag must be a non-empty string' });
+        }
+
+        const options = await req.bridge.invoke('research:update-zotero-write-back', { enabled, tag });
+        if (options?.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        res.json(options);
+    } catch (error) {
+        console.error('Error updating Zotero write-back settings:', error);
+        res.status(500).json({ error: 'Failed to update Zotero write-back settings' });
+    }
+});
+
+// ========== LOCAL BIBLIOGRAPHY ENDPOINTS ==========
+
+router.get('/bibliography', async (req, res) => {
+    try {
+        const status = await req.bridge.invoke('research:get-bibliography');
+        res.json(status);
+    } catch (error) {
+        console.error('Error getting bibliography status:', error);
+        res.status(500).json({ error: 'Failed to get bibliography status' });
+    }
+});
+
+router.get('/bibliography/papers', async (req, res) => {
+    try {
+        const { q = '', limit = 50 } = req.query;
+        const papers = await req.bridge.invoke('research:search-bibliography', {
+            query: String(q),
+            limit: Math.min(parseInt(limit) || 50, 500)
+        });
+        res.json(papers);
+    } catch (error) {
+        console.error('Error searching bibliography:', error);
+        res.status(500).json({ error: 'Failed to search bibliography' });
+    }
+});
+
+router.post('/bibliography/files', async (req, res) => {
+    try {
+        const { filePath } = req.body || {};
+        if (!filePath || typeof filePath !== 'string') {
+            return res.status(400).json({ error: 'filePath is required' });
+        }
+
+        const status = await req.bridge.invoke('research:add-bibliography-file', { filePath });
+        if (status?.error) {
+            return res.status(400).json({ error: status.error });
+        }
+        res.json(status);
+    } catch (error) {
+        console.error('Error adding bibliography file:', error);
+        res.status(500).json({ error: 'Failed to add bibliography file' });
+    }
+});
+
+router.delete('/bibliography/files', async (req, res) => {
+    try {
+        const { filePath } = req.body || {};
+        if (!filePath || typeof filePath !== 'string') {
+            return res.status(400).json({ error: 'filePath is required' });
+        }
+
+        const status = await req.bridge.invoke('research:remove-bibliography-file', { filePath });
+        res.json(status);
+    } catch (error) {
+        console.error('Error removing bibliography file:', error);
+        res.status(500).json({ error: 'Failed to remove bibliography file' });
+    }
+});
+
 // ========== ANALYTICS ENDPOINTS ==========
 
 router.get('/analytics', async (req, res) => {
@@ -406,6 +510,46 @@ router.get('/updates', async (req, res) => {
     }
 });
 
+// ========== WORKSPACE ARCHIVES ==========
+
+router.get('/workspace/export', async (req, res) => {
+    try {
+        const archive = await req.bridge.invoke('research:export-workspace');
+        if (archive?.error) {
+            return res.status(400).json({ error: archive.error });
+        }
+
+        const filename = `glass-workspace-${new Date().toISOString().split('T')[0]}.json`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.json(archive);
+    } catch (error) {
+        console.error('Error exporting workspace:', error);
+        res.status(500).json({ error: 'Failed to export workspace' });
+    }
+});
+
+// Archives can be far larger than the default JSON body limit
+router.post('/workspace/import', express.json({ limit: '500mb' }), async (req, res) => {
+    try {
+        const { archive, conflictStrategy = 'skip' } = req.body || {};
+        if (!archive || !archive.manifest) {
+            return res.status(400).json({ error: 'Request body must include a workspace archive' });
+        }
+        if (!['skip', 'replace', 'keep-both'].includes(conflictStrategy)) {
+            return res.status(400).json({ error: 'conflictStrategy must be one of skip, replace, keep-both' });
+        }
+
+        const report = await req.bridge.invoke('research:import-workspace', { archive, conflictStrategy });
+        if (report?.error) {
+            return res.status(400).json({ error: report.error });
+        }
+        res.json(report);
+    } catch (error) {
+        console.error('Error importing workspace:', error);
+        res.status(500).json({ error: 'Failed to import workspace' });
+    }
+});
+
 // ========== SETTINGS AND CONFIGURATION ==========
 
 router.post('/settings/capture-interval', async (req, res) => {
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const { ipcRequest } = require('../ipcBridge');
+
+router.get('/', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'summary-templates:list');
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to get summary templates via IPC:', error);
+        res.status(500).json({ error: 'Failed to retrieve summary templates' });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'summary-templates:create', req.body);
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.status(201).json({ ...result, message: 'Summary template created successfully' });
+    } catch (error) {
+        console.error('Failed to create summary template via IPC:', error);
+        res.status(500).json({ error: 'Failed to create summary template' });
+    }
+});
+
+// The template new Listen sessions (and the current one) are summarized with; null for the built-in format
+router.put('/selected', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'summary-templates:select', { id: req.body?.id || null });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to select summary template via IPC:', error);
+        res.status(500).json({ error: 'Failed to select summary template' });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'summary-templates:update', { id: req.params.id, template: req.body });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ message: 'Summary template updated successfully' });
+    } catch (error) {
+        console.error('Failed to update summary template via IPC:', error);
+        res.status(500).json({ error: 'Failed to update summary template' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'summary-templates:delete', { id: req.params.id });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ message: 'Summary template deleted successfully' });
+    } catch (error) {
+        console.error('Failed to delete summary template via IPC:', error);
+        res.status(500).json({ error: 'Failed to delete summary template' });
+    }
+});
+
+module.exports = router;
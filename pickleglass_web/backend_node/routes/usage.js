@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { ipcRequest } = require('../ipcBridge');
+
+// Token and estimated cost totals for the last `days` days (default 30), with the budget status
+router.get('/', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'usage:get-report', { days: req.query.days });
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to get AI usage report via IPC:', error);
+        res.status(500).json({ error: 'Failed to retrieve AI usage' });
+    }
+});
+
+// Daily and monthly limits in USD; null removes a limit
+router.put('/budget', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'usage:set-budget', req.body);
+        if (result?.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to set AI budget via IPC:', error);
+        res.status(500).json({ error: 'Failed to update AI budget' });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react'
 import Sidebar from '@/components/Sidebar'
 import SearchPopup from '@/components/SearchPopup'
+import { onApiAuthRequired } from '@/utils/api'
 
 export default function ClientLayout({
   children,
@@ -11,6 +12,9 @@ export default function ClientLayout({
 }) {
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false)
   const [isSearchOpen, setIsSearchOpen] = useState(false)
+  const [isAuthRequired, setIsAuthRequired] = useState(false)
+
+  useEffect(() => onApiAuthRequired(() => setIsAuthRequired(true)), [])
 
   useEffect(() => {
     const handleKeyDown = (e: KeyboardEvent) => {
@@ -32,6 +36,11 @@ export default function ClientLayout({
         onSearchClick={() => setIsSearchOpen(true)}
       />
       <main className="flex-1 overflow-auto bg-gray-50">
+        {isAuthRequired && (
+          <div className="bg-amber-50 border-b border-amber-200 px-6 py-3 text-sm text-amber-800">
+            This dashboard session has expired or was not opened from Glass. Open the dashboard again from the Glass desktop app to continue.
+          </div>
+        )}
         {children}
       </main>
       
@@ -3,19 +3,51 @@
 import { useState, useEffect, useRef } from 'react'
 import { useRouter } from 'next/navigation'
 import { Search, X } from 'lucide-react'
-import { searchConversations, Session } from '@/utils/api'
-import { MessageSquare } from 'lucide-react'
+import { searchConversations, ConversationSearchResult } from '@/utils/api'
+import { MessageSquare, Mic, FileText } from 'lucide-react'
 
 interface SearchPopupProps {
   isOpen: boolean
   onClose: () => void
 }
 
+const SOURCE_LABELS: Record<ConversationSearchResult['source'], string> = {
+  transcript: 'Transcript',
+  ai_message: 'AI conversation',
+  summary: 'Summary',
+  title: 'Title'
+}
+
+const SourceIcon = ({ source }: { source: ConversationSearchResult['source'] }) => {
+  const className = 'h-5 w-5 text-gray-400 mt-0.5 shrink-0'
+  if (source === 'transcript') return <Mic className={className} />
+  if (source === 'summary') return <FileText className={className} />
+  return <MessageSquare className={className} />
+}
+
+// Render the snippet with the matched terms highlighted
+const HighlightedSnippet = ({ text, highlights }: { text: string; highlights: [number, number][] }) => {
+  const parts: React.ReactNode[] = []
+  let cursor = 0
+  highlights.forEach(([start, end], index) => {
+    if (start > cursor) parts.push(text.slice(cursor, start))
+    parts.push(
+      <mark key={index} className="bg-yellow-100 text-gray-900 rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    )
+    cursor = end
+  })
+  if (cursor < text.length) parts.push(text.slice(cursor))
+  return <>{parts}</>
+}
+
 export default function SearchPopup({ isOpen, onClose }: SearchPopupProps) {
   const [searchQuery, setSearchQuery] = useState('')
-  const [searchResults, setSearchResults] = useState<Session[]>([])
+  const [searchResults, setSearchResults] = useState<ConversationSearchResult[]>([])
   const [isLoading, setIsLoading] = useState(false)
   const inputRef = useRef<HTMLInputElement>(null)
+  const latestSearchRef = useRef(0)
   const router = useRouter()
 
   useEffect(() => {
@@ -37,19 +69,29 @@ export default function SearchPopup({ isOpen, onClose }: SearchPopupProps) {
 
   const handleSearch = async (query: string) => {
     if (!query.trim()) {
+      latestSearchRef.current++
       setSearchResults([])
+      setIsLoading(false)
       return
     }
 
+    // Each keystroke starts a search; only the latest one may update the results
+    const searchId = ++latestSearchRef.current
     setIsLoading(true)
     try {
       const results = await searchConversations(query)
-      setSearchResults(results)
+      if (searchId === latestSearchRef.current) {
+        setSearchResults(results)
+      }
     } catch (error) {
       console.error('Search failed:', error)
-      setSearchResults([])
+      if (searchId === latestSearchRef.current) {
+        setSearchResults([])
+      }
     } finally {
-      setIsLoading(false)
+      if (searchId === latestSearchRef.current) {
+        setIsLoading(false)
+      }
     }
   }
 
@@ -80,7 +122,7 @@ export default function SearchPopup({ isOpen, onClose }: SearchPopupProps) {
             type="text"
             value={searchQuery}
             onChange={handleInputChange}
-            placeholder="Search..."
+            placeholder="Search transcripts, AI conversations and summaries..."
             className="flex-1 text-gray-900 text-base border-0 focus:outline-none placeholder-gray-400 bg-transparent"
           />
           <button
@@ -111,24 +153,32 @@ export default function SearchPopup({ isOpen, onClose }: SearchPopupProps) {
             ) : searchResults.length > 0 ? (
               <div className="divide-y divide-gray-100">
                 {searchResults.map((result) => {
-                  const timestamp = new Date(result.started_at * 1000).toLocaleString()
+                  const timestamp = new Date((result.timestamp || result.session_started_at) * 1000).toLocaleString()
 
                   return (
                     <div
-                      key={result.id}
+                      key={`${result.source}-${result.source_id}`}
                       className="p-3 hover:bg-gray-50 cursor-pointer transition-colors"
                       onClick={() => {
-                        router.push(`/activity/${result.id}`)
+                        router.push(`/activity/details?sessionId=${result.session_id}`)
                         onClose()
                       }}
                     >
                       <div className="flex items-start gap-3">
-                        <MessageSquare className="h-5 w-5 text-gray-400 mt-0.5 shrink-0" />
+                        <SourceIcon source={result.source} />
                         <div className="flex-1 min-w-0">
                           <h3 className="text-sm font-medium text-gray-900 mb-1 truncate">
-                            {result.title || 'Untitled Conversation'}
+                            {result.session_title || 'Untitled Conversation'}
                           </h3>
+                          {result.source !== 'title' && (
+                            <p className="text-sm text-gray-600 line-clamp-2">
+                              {result.speaker && <span className="font-medium capitalize">{result.speaker}: </span>}
+                              <HighlightedSnippet text={result.snippet} highlights={result.highlights} />
+                            </p>
+                          )}
                           <div className="flex items-center gap-2 mt-2">
+                            <span className="text-xs text-gray-500">{SOURCE_LABELS[result.source]}</span>
+                            <span className="text-xs text-gray-400">·</span>
                             <span className="text-xs text-gray-500">{timestamp}</span>
                           </div>
                         </div>
@@ -0,0 +1,160 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+import {
+  TimeBlockSummary,
+  getTimeBlocks,
+  createTimeBlock,
+  deleteTimeBlock,
+  subscribeToLiveEvents
+} from '@/utils/api'
+
+const CATEGORIES = ['focus', 'research', 'communication', 'creative', 'break', 'other']
+
+const STATUS_STYLES: Record<string, string> = {
+  upcoming: 'bg-gray-100 text-gray-600',
+  'in-progress': 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  missed: 'bg-red-100 text-red-700'
+}
+
+const toDateInput = (date: Date) => {
+  const offset = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offset).toISOString().split('T')[0]
+}
+
+const formatTime = (iso: string) =>
+  new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const formatDrift = (minutes: number) => {
+  if (minutes === 0) return 'on time'
+  return minutes > 0 ? `${minutes}m late` : `${Math.abs(minutes)}m early`
+}
+
+export default function TimeBlockPlanner() {
+  const [date, setDate] = useState(toDateInput(new Date()))
+  const [summary, setSummary] = useState<TimeBlockSummary | null>(null)
+  const [title, setTitle] = useState('')
+  const [category, setCategory] = useState('focus')
+  const [startTime, setStartTime] = useState('09:00')
+  const [endTime, setEndTime] = useState('10:00')
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchBlocks = useCallback(async () => {
+    try {
+      setSummary(await getTimeBlocks(date))
+    } catch (err) {
+      console.error('Failed to fetch time blocks:', err)
+    }
+  }, [date])
+
+  useEffect(() => {
+    fetchBlocks()
+  }, [fetchBlocks])
+
+  useEffect(() => {
+    return subscribeToLiveEvents((liveEvent) => {
+      if (['time-block-updated', 'time-block-deleted', 'activity-started', 'activity-ended'].includes(liveEvent.event)) {
+        fetchBlocks()
+      }
+    })
+  }, [fetchBlocks])
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setError(null)
+    try {
+      await createTimeBlock({
+        title,
+        category,
+        date,
+        start_time: new Date(`${date}T${startTime}`).toISOString(),
+        end_time: new Date(`${date}T${endTime}`).toISOString()
+      })
+      setTitle('')
+      fetchBlocks()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create time block')
+    }
+  }
+
+  const handleDelete = async (blockId: string) => {
+    try {
+      await deleteTimeBlock(blockId)
+      fetchBlocks()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete time block')
+    }
+  }
+
+  return (
+    <div className="card p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-medium text-gray-900">Time blocks</h2>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="input text-xs w-auto"
+        />
+      </div>
+
+      {summary && summary.blocks.length > 0 && (
+        <div className="flex gap-4 text-xs text-gray-600 mb-3">
+          <span>Planned {summary.plannedMinutes}m</span>
+          <span>Actual {summary.actualMinutes}m</span>
+          <span>Overlap {summary.overlapMinutes}m</span>
+          {summary.adherence !== null && <span className="font-medium">Adherence {summary.adherence}%</span>}
+        </div>
+      )}
+
+      <div className="space-y-2 mb-4">
+        {summary?.blocks.map((block) => (
+          <div key={block.id} className="flex items-center justify-between border border-gray-100 rounded-md px-3 py-2">
+            <div>
+              <div className="text-sm text-gray-900">
+                {formatTime(block.start_time)}–{formatTime(block.end_time)} · {block.title}
+              </div>
+              <div className="text-xs text-gray-500">
+                {block.project_name || block.category || 'any activity'} · {block.overlapMinutes}/{block.plannedMinutes}m ({block.adherence}%)
+                {block.drift && ` · started ${formatDrift(block.drift.startMinutes)}, ended ${formatDrift(block.drift.endMinutes)}`}
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <span className={`text-xs px-2 py-1 rounded-md ${STATUS_STYLES[block.status]}`}>{block.status}</span>
+              <button onClick={() => handleDelete(block.id)} className="text-gray-400 hover:text-red-600" aria-label="Delete time block">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+        {summary && summary.blocks.length === 0 && (
+          <p className="text-xs text-gray-400">No time blocks planned for this day.</p>
+        )}
+      </div>
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+        <input
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="What do you plan to work on?"
+          className="input text-xs flex-1 min-w-[10rem]"
+          required
+        />
+        <select value={category} onChange={(e) => setCategory(e.target.value)} className="input text-xs w-auto">
+          {CATEGORIES.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className="input text-xs w-auto" />
+        <input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className="input text-xs w-auto" />
+        <button type="submit" className="btn btn-primary gap-1 text-xs">
+          <Plus className="h-4 w-4" />
+          <span>Add</span>
+        </button>
+      </form>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  )
+}
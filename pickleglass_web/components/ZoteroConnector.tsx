@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from 'react'
 import { Database, BookOpen, Download, Upload, RefreshCw, CheckCircle, AlertCircle, FileText, Loader2, Settings } from 'lucide-react'
+import { ZoteroWriteBackSettings, getZoteroWriteBack, updateZoteroWriteBack } from '@/utils/api'
 
 interface ZoteroItem {
   key: string
@@ -35,12 +36,34 @@ export default function ZoteroConnector({ onPaperSelected }: ZoteroConnectorProp
   const [apiKey, setApiKey] = useState('')
   const [userID, setUserID] = useState('')
   const [showSettings, setShowSettings] = useState(false)
+  const [writeBack, setWriteBack] = useState<ZoteroWriteBackSettings | null>(null)
+  const [writeBackTag, setWriteBackTag] = useState('')
 
   // Load saved credentials securely
   useEffect(() => {
     loadSecureCredentials()
   }, [])
 
+  useEffect(() => {
+    if (!isConnected) return
+    getZoteroWriteBack()
+      .then((settings) => {
+        setWriteBack(settings)
+        setWriteBackTag(settings.tag)
+      })
+      .catch((err) => console.warn('Could not load Zotero write-back settings:', err))
+  }, [isConnected])
+
+  const saveWriteBack = async (changes: Partial<ZoteroWriteBackSettings>) => {
+    try {
+      const settings = await updateZoteroWriteBack(changes)
+      setWriteBack(settings)
+      setWriteBackTag(settings.tag)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update write-back settings')
+    }
+  }
+
   const loadSecureCredentials = async () => {
     try {
       const response = await fetch('/api/credentials/zotero/for-api')
@@ -330,6 +353,34 @@ export default function ZoteroConnector({ onPaperSelected }: ZoteroConnectorProp
         </div>
       </div>
 
+      {writeBack && (
+        <div className="mb-6 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={writeBack.enabled}
+              onChange={(e) => saveWriteBack({ enabled: e.target.checked })}
+            />
+            <span>Add a reading note to the Zotero item when a session ends</span>
+          </label>
+          <input
+            type="text"
+            value={writeBackTag}
+            onChange={(e) => setWriteBackTag(e.target.value)}
+            onBlur={() => writeBackTag.trim() && writeBackTag !== writeBack.tag && saveWriteBack({ tag: writeBackTag.trim() })}
+            className="px-2 py-1 border border-gray-300 rounded-lg text-xs w-32"
+            title="Tag added to papers you have read"
+          />
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 flex items-center space-x-2 text-red-600 text-sm">
+          <AlertCircle className="h-4 w-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
       {selectedPaper && (
         <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
           <div className="flex items-start justify-between">
@@ -31,18 +31,39 @@ export interface Session {
   updated_at: number;
 }
 
+export interface ConversationSearchResult {
+  session_id: string;
+  session_title: string;
+  session_type: string;
+  session_started_at: number;
+  source: 'transcript' | 'ai_message' | 'summary' | 'title';
+  source_id: string;
+  speaker: string | null;
+  timestamp: number;
+  snippet: string;
+  highlights: [number, number][];
+  score: number;
+}
+
 export interface Transcript {
   id: string;
   session_id: string;
   start_at: number;
   end_at?: number;
   speaker?: string;
+  speaker_id?: string | null;
   text: string;
   lang?: string;
   created_at: number;
   sync_state: 'clean' | 'dirty';
 }
 
+export interface SessionSpeaker {
+  speaker_id: string;
+  name: string;
+  renamed: boolean;
+}
+
 export interface AiMessage {
   id: string;
   session_id: string;
@@ -64,10 +85,104 @@ export interface Summary {
   bullet_json: string;
   action_json: string;
   tokens_used?: number;
+  template_id?: string | null;
+  sections_json?: string | null;
+  minutes_json?: string | null;
+  minutes_generated_at?: number | null;
   updated_at: number;
   sync_state: 'clean' | 'dirty';
 }
 
+export interface MinutesActionItem {
+  task: string;
+  owner: string | null;
+  due_date: string | null;
+}
+
+export interface MeetingMinutes {
+  attendees: string[];
+  decisions: string[];
+  action_items: MinutesActionItem[];
+  open_questions: string[];
+}
+
+export interface SessionMinutes {
+  session_id: string;
+  generated_at: number | null;
+  minutes: MeetingMinutes;
+}
+
+export type SummarySectionType = 'bullets' | 'numbered' | 'text';
+
+export interface SummaryTemplateSection {
+  key: string;
+  title: string;
+  type: SummarySectionType;
+  max_items: number;
+  description?: string;
+}
+
+export interface SummaryTemplate {
+  id: string;
+  title: string;
+  instructions: string;
+  sections: SummaryTemplateSection[];
+  is_default: 0 | 1;
+}
+
+export interface SummaryTemplateInput {
+  title: string;
+  instructions: string;
+  sections: Array<Omit<SummaryTemplateSection, 'key' | 'max_items'> & { key?: string; max_items?: number }>;
+}
+
+// A templated summary, stored in Summary.sections_json
+export interface SummarySection {
+  key: string;
+  title: string;
+  type: SummarySectionType;
+  items: string[];
+}
+
+export interface UsageTotals {
+  requests: number;
+  estimated_requests: number;
+  input_tokens: number;
+  output_tokens: number;
+  cost_usd: number;
+}
+
+export interface BudgetPeriodStatus {
+  limit_usd: number | null;
+  spent_usd: number;
+  remaining_usd: number | null;
+  exceeded: boolean;
+}
+
+export interface BudgetStatus {
+  daily: BudgetPeriodStatus;
+  monthly: BudgetPeriodStatus;
+  exceeded: boolean;
+  exceeded_period: 'daily' | 'monthly' | null;
+}
+
+export interface UsageReport {
+  period: { days: number; since: string };
+  totals: UsageTotals;
+  today: UsageTotals;
+  month: UsageTotals;
+  by_provider: Array<UsageTotals & { provider: string }>;
+  by_feature: Array<UsageTotals & { feature: string }>;
+  by_model: Array<UsageTotals & { model: string }>;
+  daily: Array<UsageTotals & { date: string }>;
+  budget: BudgetStatus;
+}
+
+export interface BudgetLimits {
+  daily_limit_usd?: number | null;
+  monthly_limit_usd?: number | null;
+}
+
 export interface PromptPreset {
   id: string;
   uid: string;
@@ -217,8 +332,113 @@ const ensureApiInitialized = async () => {
   }
 };
 
+// Tokens authorizing this browser against the local API. The desktop app opens the dashboard with
+// one in the URL fragment; it is kept in localStorage so every tab uses (and rotates) the same one.
+const API_TOKEN_KEY = 'pickleglass_api_token';
+// Rotate when less than this much of the token's lifetime is left
+const TOKEN_REFRESH_MARGIN_MS = 15 * 60 * 1000;
+const TOKEN_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+export class ApiAuthError extends Error {
+  constructor(message = 'Not authorized. Open the dashboard from the Glass desktop app.') {
+    super(message);
+    this.name = 'ApiAuthError';
+  }
+}
+
+const authRequiredListeners: Array<() => void> = [];
+
+export const onApiAuthRequired = (listener: () => void) => {
+  authRequiredListeners.push(listener);
+
+  return () => {
+    const index = authRequiredListeners.indexOf(listener);
+    if (index > -1) {
+      authRequiredListeners.splice(index, 1);
+    }
+  };
+};
+
+export const getApiToken = (): string | null => {
+  if (typeof window === 'undefined') return null;
+  return localStorage.getItem(API_TOKEN_KEY);
+};
+
+const setApiToken = (token: string | null) => {
+  if (token) {
+    localStorage.setItem(API_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(API_TOKEN_KEY);
+  }
+};
+
+// The token payload is readable base64url JSON; only the desktop app can produce a valid signature
+const getTokenExpiry = (token: string): number | null => {
+  try {
+    const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return typeof exp === 'number' ? exp : null;
+  } catch {
+    return null;
+  }
+};
+
+const captureTokenFromUrl = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const token = params.get('token');
+  if (!token) return;
+
+  setApiToken(token);
+  params.delete('token');
+  const hash = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+};
+
+const handleUnauthorized = () => {
+  setApiToken(null);
+  authRequiredListeners.forEach(listener => listener());
+};
+
+let refreshPromise: Promise<void> | null = null;
+
+const refreshApiTokenIfNeeded = async () => {
+  const token = getApiToken();
+  if (!token) return;
+
+  const expiresAt = getTokenExpiry(token);
+  if (!expiresAt || expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) return;
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        await ensureApiInitialized();
+        const response = await fetch(`${API_ORIGIN}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        if (response.status === 401) {
+          // Another tab may have rotated it already
+          if (getApiToken() === token) handleUnauthorized();
+          return;
+        }
+        if (response.ok) {
+          const data = await response.json();
+          setApiToken(data.token);
+        }
+      } catch (error) {
+        console.error('Failed to refresh API token:', error);
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+  await refreshPromise;
+};
+
 if (typeof window !== 'undefined') {
+  captureTokenFromUrl();
   initializationPromise = initializeApiUrl();
+  setInterval(refreshApiTokenIfNeeded, TOKEN_CHECK_INTERVAL_MS);
 }
 
 const userInfoListeners: Array<(userInfo: UserProfile | null) => void> = [];
@@ -270,9 +490,9 @@ export const getApiHeaders = (): HeadersInit => {
     'Content-Type': 'application/json',
   };
   
-  const userInfo = getUserInfo();
-  if (userInfo?.uid) {
-    headers['X-User-ID'] = userInfo.uid;
+  const token = getApiToken();
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
   }
   
   return headers;
@@ -282,6 +502,7 @@ export const getApiHeaders = (): HeadersInit => {
 export const apiCall = async (path: string, options: RequestInit = {}) => {
   // Ensure API URL is initialized before making any calls
   await ensureApiInitialized();
+  await refreshApiTokenIfNeeded();
   
   const url = `${API_ORIGIN}${path}`;
   console.log('🌐 apiCall (Local Mode):', {
@@ -301,27 +522,122 @@ export const apiCall = async (path: string, options: RequestInit = {}) => {
     ...options,
   };
   
+  let response: Response;
   try {
-    return await fetch(url, defaultOpts);
+    response = await fetch(url, defaultOpts);
   } catch (error) {
     console.error('API call failed:', error);
     throw error;
   }
+
+  if (response.status === 401) {
+    handleUnauthorized();
+    const data = await response.json().catch(() => null);
+    throw new ApiAuthError(data?.error);
+  }
+  return response;
 };
 
 
-export const searchConversations = async (query: string): Promise<Session[]> => {
+// Live events pushed from the desktop app over Server-Sent Events
+export interface LiveEvent {
+  source: 'activity' | 'research';
+  event: string;
+  data: any;
+  timestamp: number;
+}
+
+export const subscribeToLiveEvents = (onEvent: (event: LiveEvent) => void): (() => void) => {
+  let eventSource: EventSource | null = null;
+  let closed = false;
+
+  let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+
+  const connect = async () => {
+    await ensureApiInitialized();
+    await refreshApiTokenIfNeeded();
+    if (closed) return;
+
+    // EventSource cannot send headers, so the token travels in the query string
+    const token = getApiToken();
+    if (!token) {
+      handleUnauthorized();
+      return;
+    }
+
+    eventSource = new EventSource(`${API_ORIGIN}/api/events?token=${encodeURIComponent(token)}`);
+    eventSource.onmessage = (message) => {
+      try {
+        onEvent(JSON.parse(message.data));
+      } catch (error) {
+        console.error('Failed to parse live event:', error);
+      }
+    };
+    eventSource.onerror = () => {
+      // EventSource reconnects on its own after network drops, but gives up on an
+      // error response (such as an expired token); reconnect with the current token
+      if (eventSource?.readyState === EventSource.CLOSED && !closed) {
+        reconnectTimer = setTimeout(reconnect, 5000);
+      } else {
+        console.warn('Live event stream disconnected, reconnecting...');
+      }
+    };
+  };
+
+  const reconnect = async () => {
+    try {
+      // Throws ApiAuthError (and notifies auth listeners) if the token is no longer accepted
+      await apiCall('/api/sync/status');
+      connect();
+    } catch (error) {
+      if (error instanceof ApiAuthError) {
+        console.warn('Live event stream closed:', error.message);
+      } else if (!closed) {
+        reconnectTimer = setTimeout(reconnect, 5000);
+      }
+    }
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    eventSource?.close();
+  };
+};
+
+export const searchConversations = async (query: string, limit?: number): Promise<ConversationSearchResult[]> => {
   if (!query.trim()) {
     return [];
   }
 
   if (isFirebaseMode()) {
+    // The full-text index is local-only; signed-in users search session titles
     const sessions = await getSessions();
-    return Array.isArray(sessions) ? sessions.filter(session => 
-      session.title.toLowerCase().includes(query.toLowerCase())
-    ) : [];
+    const needle = query.trim().toLowerCase();
+    return Array.isArray(sessions) ? sessions
+      .filter(session => session.title.toLowerCase().includes(needle))
+      .map(session => {
+        const start = session.title.toLowerCase().indexOf(needle);
+        return {
+          session_id: session.id,
+          session_title: session.title,
+          session_type: session.session_type,
+          session_started_at: session.started_at,
+          source: 'title' as const,
+          source_id: session.id,
+          speaker: null,
+          timestamp: session.started_at,
+          snippet: session.title,
+          highlights: [[start, start + needle.length] as [number, number]],
+          score: 0
+        };
+      }) : [];
   } else {
-    const response = await apiCall(`/api/conversations/search?q=${encodeURIComponent(query)}`, {
+    const queryParams = new URLSearchParams({ q: query });
+    if (limit) queryParams.append('limit', limit.toString());
+    const response = await apiCall(`/api/conversations/search?${queryParams.toString()}`, {
       method: 'GET',
     });
     if (!response.ok) {
@@ -380,6 +696,167 @@ export const getSessionDetails = async (sessionId: string): Promise<SessionDetai
   }
 };
 
+// Speaker names live with the desktop app's Listen data, so these always go through the local API
+export const getSessionSpeakers = async (sessionId: string): Promise<SessionSpeaker[]> => {
+  const response = await apiCall(`/api/conversations/${sessionId}/speakers`, { method: 'GET' });
+  if (!response.ok) throw new Error('Failed to fetch speakers');
+  const data = await response.json();
+  return Array.isArray(data) ? data : [];
+};
+
+export const renameSpeaker = async (sessionId: string, speakerId: string, name: string): Promise<void> => {
+  const response = await apiCall(`/api/conversations/${sessionId}/speakers/${encodeURIComponent(speakerId)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ name }),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to rename speaker');
+  }
+};
+
+// Minutes are generated by the desktop app when a Listen session stops
+export const getSessionMinutes = async (sessionId: string): Promise<SessionMinutes | null> => {
+  const response = await apiCall(`/api/conversations/${sessionId}/minutes`, { method: 'GET' });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error('Failed to fetch minutes');
+  return response.json();
+};
+
+export const generateSessionMinutes = async (sessionId: string): Promise<MeetingMinutes> => {
+  const response = await apiCall(`/api/conversations/${sessionId}/minutes`, { method: 'POST' });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to generate minutes');
+  }
+  const data = await response.json();
+  return data.minutes;
+};
+
+export const exportSessionMinutes = async (sessionId: string, format: 'markdown' | 'html'): Promise<Blob> => {
+  const response = await apiCall(`/api/conversations/${sessionId}/minutes/export?format=${format}`, { method: 'GET' });
+  if (!response.ok) {
+    throw new Error(`Failed to export minutes: ${response.status}`);
+  }
+  return response.blob();
+};
+
+// Templates live in the desktop app, which also handles storage for signed-in users
+export const getSummaryTemplates = async (): Promise<{ templates: SummaryTemplate[]; selectedId: string | null }> => {
+  const response = await apiCall(`/api/summary-templates`, { method: 'GET' });
+  if (!response.ok) throw new Error('Failed to fetch summary templates');
+  return response.json();
+};
+
+const summaryTemplateRequest = async <T = unknown>(path: string, method: string, body?: unknown): Promise<T> => {
+  const response = await apiCall(path, {
+    method,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Summary template request failed: ${response.status}`);
+  }
+  return data;
+};
+
+export const createSummaryTemplate = async (template: SummaryTemplateInput): Promise<{ id: string }> => {
+  return summaryTemplateRequest<{ id: string }>(`/api/summary-templates`, 'POST', template);
+};
+
+export const updateSummaryTemplate = async (id: string, template: SummaryTemplateInput): Promise<void> => {
+  await summaryTemplateRequest(`/api/summary-templates/${encodeURIComponent(id)}`, 'PUT', template);
+};
+
+export const deleteSummaryTemplate = async (id: string): Promise<void> => {
+  await summaryTemplateRequest(`/api/summary-templates/${encodeURIComponent(id)}`, 'DELETE');
+};
+
+export const selectSummaryTemplate = async (id: string | null): Promise<void> => {
+  await summaryTemplateRequest(`/api/summary-templates/selected`, 'PUT', { id });
+};
+
+// Usage is recorded by the desktop app for every AI call, signed in or not
+export const getUsageReport = async (days = 30): Promise<UsageReport> => {
+  const response = await apiCall(`/api/usage?days=${days}`, { method: 'GET' });
+  if (!response.ok) throw new Error('Failed to fetch AI usage');
+  return response.json();
+};
+
+export const setUsageBudget = async (limits: BudgetLimits): Promise<BudgetStatus> => {
+  const response = await apiCall(`/api/usage/budget`, {
+    method: 'PUT',
+    body: JSON.stringify(limits),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Budget update failed: ${response.status}`);
+  }
+  return data.budget;
+};
+
+// Redaction happens on this machine before any screenshot is sent for AI analysis
+export interface RedactionPattern {
+  name: string;
+  pattern: string;
+}
+
+export interface RedactionSettings {
+  enabled: boolean;
+  blocked_apps: string[];
+  blocked_titles: string[];
+  mask_emails: boolean;
+  mask_secrets: boolean;
+  custom_patterns: RedactionPattern[];
+  send_without_ocr: boolean;
+}
+
+export interface RedactionStatus {
+  ocr_available: boolean;
+  screenshots_withheld: boolean;
+}
+
+export interface RedactionAuditEntry {
+  id: string;
+  source: 'activity' | 'research';
+  action: 'blocked' | 'masked' | 'withheld' | 'unmasked';
+  reason: string | null;
+  app: string | null;
+  matches: Record<string, number>;
+  regions: number;
+  created_at: string;
+}
+
+export const getRedactionSettings = async (): Promise<RedactionSettings> => {
+  const response = await apiCall(`/api/redaction/settings`, { method: 'GET' });
+  if (!response.ok) throw new Error('Failed to fetch redaction settings');
+  return response.json();
+};
+
+export const updateRedactionSettings = async (settings: Partial<RedactionSettings>): Promise<RedactionSettings> => {
+  const response = await apiCall(`/api/redaction/settings`, {
+    method: 'PUT',
+    body: JSON.stringify(settings),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Redaction settings update failed: ${response.status}`);
+  }
+  return data;
+};
+
+export const getRedactionStatus = async (): Promise<RedactionStatus> => {
+  const response = await apiCall(`/api/redaction/status`, { method: 'GET' });
+  if (!response.ok) throw new Error('Failed to fetch redaction status');
+  return response.json();
+};
+
+export const getRedactionAuditLog = async (limit = 100): Promise<RedactionAuditEntry[]> => {
+  const response = await apiCall(`/api/redaction/audit?limit=${limit}`, { method: 'GET' });
+  if (!response.ok) throw new Error('Failed to fetch redaction audit log');
+  return response.json();
+};
+
 export const createSession = async (title?: string): Promise<{ id: string }> => {
   if (isFirebaseMode()) {
     const uid = firebaseAuth.currentUser!.uid;
@@ -713,4 +1190,491 @@ export const getActivities = async (options?: {
     activities: Array.isArray(data.activities) ? data.activities : [],
     total: data.total || 0
   };
-}; 
\ No newline at end of file
+};
+
+// Planned time blocks
+export interface TimeBlockInput {
+  title: string;
+  date?: string;
+  start_time: string;
+  end_time: string;
+  category?: string | null;
+  project_id?: string | null;
+  project_name?: string | null;
+  notes?: string | null;
+}
+
+export interface TimeBlock extends TimeBlockInput {
+  id: string;
+  uid: string;
+  created_at: string;
+  updated_at: string;
+  plannedMinutes: number;
+  actualMinutes: number;
+  overlapMinutes: number;
+  adherence: number;
+  drift: { startMinutes: number; endMinutes: number } | null;
+  status: 'upcoming' | 'in-progress' | 'completed' | 'missed';
+}
+
+export interface TimeBlockSummary {
+  blocks: TimeBlock[];
+  plannedMinutes: number;
+  actualMinutes: number;
+  overlapMinutes: number;
+  adherence: number | null;
+}
+
+export const getTimeBlocks = async (date: string): Promise<TimeBlockSummary> => {
+  const response = await apiCall(`/api/activity/time-blocks?date=${encodeURIComponent(date)}`, { method: 'GET' });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch time blocks');
+  }
+
+  return response.json();
+};
+
+export const createTimeBlock = async (block: TimeBlockInput): Promise<TimeBlock> => {
+  const response = await apiCall('/api/activity/time-blocks', {
+    method: 'POST',
+    body: JSON.stringify(block),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Failed to create time block');
+  }
+
+  return response.json();
+};
+
+export const updateTimeBlock = async (blockId: string, updates: Partial<TimeBlockInput>): Promise<TimeBlock> => {
+  const response = await apiCall(`/api/activity/time-blocks/${blockId}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Failed to update time block');
+  }
+
+  return response.json();
+};
+
+export const deleteTimeBlock = async (blockId: string): Promise<void> => {
+  const response = await apiCall(`/api/activity/time-blocks/${blockId}`, { method: 'DELETE' });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Failed to delete time block');
+  }
+};
+
+// Categorization rules
+export interface CategorizationRuleInput {
+  name: string;
+  enabled?: boolean;
+  priority?: number;
+  match_app?: string | null;
+  match_title?: string | null;
+  match_domain?: string | null;
+  start_hour?: number | null;
+  end_hour?: number | null;
+  category?: string | null;
+  project_id?: string | null;
+  project_name?: string | null;
+  productivity_score?: number | null;
+}
+
+export interface CategorizationRule extends CategorizationRuleInput {
+  id: string;
+  uid: string;
+  enabled: boolean;
+  priority: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface CategorizationRuleTestResult {
+  rule: CategorizationRuleInput;
+  range: { startDate: string; endDate: string };
+  evaluated: number;
+  matched: number;
+  matchedMinutes: number;
+  changed: number;
+  withoutWindowContext: number;
+  categoryChanges: Record<string, number>;
+  samples: Array<{
+    id: string;
+    title: string;
+    start_time: string;
+    app: string | null;
+    category: string;
+    newCategory: string;
+  }>;
+}
+
+export const getCategorizationRules = async (): Promise<CategorizationRule[]> => {
+  const response = await apiCall('/api/activity/rules', { method: 'GET' });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch categorization rules');
+  }
+
+  const data = await response.json();
+  return Array.isArray(data) ? data : [];
+};
+
+export const createCategorizationRule = async (rule: CategorizationRuleInput): Promise<CategorizationRule> => {
+  const response = await apiCall('/api/activity/rules', {
+    method: 'POST',
+    body: JSON.stringify(rule),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Failed to create categorization rule');
+  }
+
+  return response.json();
+};
+
+export const updateCategorizationRule = async (ruleId: string, updates: Partial<CategorizationRuleInput>): Promise<CategorizationRule> => {
+  const response = await apiCall(`/api/activity/rules/${ruleId}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Failed to update categorization rule');
+  }
+
+  return response.json();
+};
+
+export const deleteCategorizationRule = async (ruleId: string): Promise<void> => {
+  const response = await apiCall(`/api/activity/rules/${ruleId}`, { method: 'DELETE' });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Failed to delete categorization rule');
+  }
+};
+
+export const testCategorizationRule = async (
+  test: { ruleId: string; days?: number } | { rule: CategorizationRuleInput; days?: number }
+): Promise<CategorizationRuleTestResult> => {
+  const response = await apiCall('/api/activity/rules/test', {
+    method: 'POST',
+    body: JSON.stringify(test),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Failed to test categorization rule');
+  }
+
+  return response.json();
+};
+
+// iCalendar export/import
+export interface CalendarImportResult {
+  success: boolean;
+  created: number;
+  updated: number;
+  skipped: number;
+  total: number;
+}
+
+export const exportActivitiesCalendar = async (timeframe: 'week' | 'month' | 'year' = 'month'): Promise<Blob> => {
+  const response = await apiCall(`/api/activity/export?format=ics&timeframe=${timeframe}`, { method: 'GET' });
+
+  if (!response.ok) {
+    throw new Error(`Failed to export calendar: ${response.status}`);
+  }
+
+  return response.blob();
+};
+
+export const importActivitiesCalendar = async (ics: string): Promise<CalendarImportResult> => {
+  const response = await apiCall('/api/activity/import/ics', {
+    method: 'POST',
+    headers: {
+      ...getApiHeaders(),
+      'Content-Type': 'text/calendar',
+    },
+    body: ics,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to import calendar: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Productivity rating overrides
+export interface TimeModifier {
+  start: number;
+  end: number;
+  modifier: number;
+}
+
+export interface ProductivityOverrides {
+  appRatings: Record<string, number>;
+  timeModifiers: Record<string, TimeModifier>;
+  defaults?: {
+    appRatings: Record<string, number>;
+    timeModifiers: Record<string, TimeModifier>;
+  };
+}
+
+export const getProductivityOverrides = async (): Promise<ProductivityOverrides> => {
+  const response = await apiCall('/api/activity/settings/productivity-ratings', { method: 'GET' });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch productivity ratings');
+  }
+
+  const data = await response.json();
+  return {
+    appRatings: data.appRatings || {},
+    timeModifiers: data.timeModifiers || {},
+    defaults: data.defaults
+  };
+};
+
+export const updateProductivityOverrides = async (
+  overrides: Pick<ProductivityOverrides, 'appRatings' | 'timeModifiers'>
+): Promise<ProductivityOverrides> => {
+  const response = await apiCall('/api/activity/settings/productivity-ratings', {
+    method: 'PUT',
+    body: JSON.stringify(overrides),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to update productivity ratings: ${response.status} ${errorText}`);
+  }
+
+  return response.json();
+};
+
+// Display capture
+export type CaptureDisplayMode = 'focused' | 'all' | 'selected';
+
+export interface CaptureDisplay {
+  id: string;
+  label: string;
+  primary: boolean;
+  bounds: { x: number; y: number; width: number; height: number };
+  scale_factor: number;
+  selected: boolean;
+}
+
+export interface CaptureDisplaySettings {
+  mode: CaptureDisplayMode;
+  modes: CaptureDisplayMode[];
+  displays: CaptureDisplay[];
+}
+
+export const getCaptureDisplays = async (): Promise<CaptureDisplaySettings> => {
+  const response = await apiCall('/api/activity/settings/displays', { method: 'GET' });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch displays');
+  }
+
+  return response.json();
+};
+
+export const updateCaptureDisplays = async (mode: CaptureDisplayMode, displayIds: string[] = []): Promise<CaptureDisplaySettings> => {
+  const response = await apiCall('/api/activity/settings/displays', {
+    method: 'PUT',
+    body: JSON.stringify({ mode, displayIds }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to update displays: ${response.status} ${errorText}`);
+  }
+
+  return response.json();
+};
+
+// Time away from the computer
+export interface AwaySettings {
+  pauseWhenIdle: boolean;
+  idleThresholdMinutes: number;
+  askOnReturn: boolean;
+}
+
+export type AwayActivityKind = 'meeting' | 'reading' | 'break';
+
+export interface AwayPeriod {
+  id: string;
+  start_time: string;
+  end_time: string;
+  duration_ms: number;
+  reason: 'idle' | 'locked' | 'suspended';
+}
+
+export const getAwaySettings = async (): Promise<AwaySettings> => {
+  const response = await apiCall('/api/activity/settings/away', { method: 'GET' });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch away settings');
+  }
+
+  return response.json();
+};
+
+export const updateAwaySettings = async (settings: AwaySettings): Promise<AwaySettings> => {
+  const response = await apiCall('/api/activity/settings/away', {
+    method: 'PUT',
+    body: JSON.stringify(settings),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to update away settings: ${response.status} ${errorText}`);
+  }
+
+  return response.json();
+};
+
+export const getAwayPeriods = async (): Promise<AwayPeriod[]> => {
+  const response = await apiCall('/api/activity/away', { method: 'GET' });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch away periods');
+  }
+
+  return response.json();
+};
+
+// Record an away period as an activity, or dismiss it with a null kind
+export const resolveAwayPeriod = async (periodId: string, kind: AwayActivityKind | null): Promise<Activity | null> => {
+  const response = await apiCall(`/api/activity/away/${encodeURIComponent(periodId)}`, {
+    method: 'POST',
+    body: JSON.stringify({ kind }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to resolve away period: ${response.status} ${errorText}`);
+  }
+
+  const result = await response.json();
+  return result.activity;
+};
+
+// Workspace archives
+export type WorkspaceConflictStrategy = 'skip' | 'replace' | 'keep-both';
+
+export interface WorkspaceArchive {
+  manifest: {
+    format: string;
+    version: number;
+    schemaVersion: number;
+    exportedAt: string;
+    tables: Record<string, { count: number; columns: string[] }>;
+  };
+  tables: Record<string, any[]>;
+}
+
+export interface WorkspaceImportReport {
+  success: boolean;
+  conflictStrategy: WorkspaceConflictStrategy;
+  sourceSchemaVersion: number;
+  schemaVersion: number;
+  tables: Record<string, { inserted: number; replaced: number; duplicated: number; skipped: number }>;
+  warnings: string[];
+}
+
+export const exportWorkspace = async (): Promise<WorkspaceArchive> => {
+  const response = await apiCall('/api/research/workspace/export', { method: 'GET' });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to export workspace: ${response.status} ${errorText}`);
+  }
+
+  return response.json();
+};
+
+export const importWorkspace = async (
+  archive: WorkspaceArchive,
+  conflictStrategy: WorkspaceConflictStrategy = 'skip'
+): Promise<WorkspaceImportReport> => {
+  const response = await apiCall('/api/research/workspace/import', {
+    method: 'POST',
+    body: JSON.stringify({ archive, conflictStrategy }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to import workspace: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Zotero write-back
+export interface ZoteroWriteBackSettings {
+  enabled: boolean;
+  tag: string;
+}
+
+export interface ZoteroWriteBackResult {
+  parentKey: string;
+  noteKey: string;
+  // Absent when the session already had a note and nothing was written
+  tag?: string;
+  tagged?: boolean;
+  version?: number | null;
+  alreadyWritten?: boolean;
+  written_at?: string;
+}
+
+export const getZoteroWriteBack = async (): Promise<ZoteroWriteBackSettings> => {
+  const response = await apiCall('/api/research/zotero/write-back', { method: 'GET' });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch Zotero write-back settings');
+  }
+
+  return response.json();
+};
+
+export const updateZoteroWriteBack = async (
+  settings: Partial<ZoteroWriteBackSettings>
+): Promise<ZoteroWriteBackSettings> => {
+  const response = await apiCall('/api/research/zotero/write-back', {
+    method: 'PUT',
+    body: JSON.stringify(settings),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to update Zotero write-back settings: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+export const writeSessionToZotero = async (sessionId: string): Promise<ZoteroWriteBackResult> => {
+  const response = await apiCall(`/api/research/sessions/${sessionId}/zotero-note`, { method: 'POST' });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to write session to Zotero: ${response.status}`);
+  }
+
+  const result = await response.json();
+  return result.data;
+};
@@ -10,6 +10,7 @@ const presetRepository = require('../features/common/repositories/preset');
 const localAIManager = require('../features/common/services/localAIManager');
 const askService = require('../features/ask/askService');
 const listenService = require('../features/listen/listenService');
+const audioImportService = require('../features/listen/import/audioImportService');
 const permissionService = require('../features/common/services/permissionService');
 const encryptionService = require('../features/common/services/encryptionService');
 const activityService = require('../features/activity/activityService');
@@ -32,6 +33,8 @@ module.exports = {
     ipcMain.handle('settings:get-research-provider', async () => await settingsService.getResearchProvider());
     ipcMain.handle('settings:set-research-privacy-mode', async (event, enabled) => await settingsService.setResearchPrivacyMode(enabled));
     ipcMain.handle('settings:get-research-privacy-mode', async () => await settingsService.getResearchPrivacyMode());
+    ipcMain.handle('settings:get-speaker-diarization', async () => await settingsService.getSpeakerDiarization());
+    ipcMain.handle('settings:set-speaker-diarization', async (event, enabled) => await settingsService.setSpeakerDiarization(enabled));
     
     // Secure Credentials
     ipcMain.handle('credentials:store-zotero', async (event, { userId, apiKey, zoteroUserId }) => {
@@ -65,6 +68,7 @@ module.exports = {
     ipcMain.handle('initialize-encryption-key', async () => {
         const userId = authService.getCurrentUserId();
         await encryptionService.initializeKey(userId);
+        authService.startSync();
         return { success: true };
     });
 
@@ -99,7 +103,7 @@ module.exports = {
     ipcMain.handle('ollama:shutdown', async (event, force = false) => await ollamaService.handleShutdown(force));
 
     // Ask
-    ipcMain.handle('ask:sendQuestionFromAsk', async (event, userPrompt) => await askService.sendMessage(userPrompt));
+    ipcMain.handle('ask:sendQuestionFromAsk', async (event, userPrompt, options) => await askService.sendMessage(userPrompt, [], options));
     ipcMain.handle('ask:sendQuestionFromSummary', async (event, userPrompt) => await askService.sendMessage(userPrompt));
     ipcMain.handle('ask:toggleAskButton', async () => await askService.toggleAskButton());
     ipcMain.handle('ask:closeAskWindow',  async () => await askService.closeAskWindow());
@@ -127,6 +131,38 @@ module.exports = {
         return { success: false, error: error.message };
       }
     });
+    ipcMain.handle('listen:getSpeakers', async () => await listenService.getSpeakers());
+    ipcMain.handle('listen:renameSpeaker', async (event, { speakerId, name }) => {
+      try {
+        return await listenService.renameSpeaker(speakerId, name);
+      } catch (error) {
+        console.error('[FeatureBridge] listen:renameSpeaker failed', error.message);
+        return { success: false, error: error.message };
+      }
+    });
+    ipcMain.handle('listen:importAudio', async (event, { fileName, pcm, sampleRate, startedAt, language }) => {
+      try {
+        const result = await audioImportService.importRecording({
+          fileName, pcm, sampleRate, startedAt, language,
+          onProgress: (progress) => {
+            if (!event.sender.isDestroyed()) event.sender.send('listen:importProgress', progress);
+          },
+        });
+        return { success: true, ...result };
+      } catch (error) {
+        console.error('[FeatureBridge] listen:importAudio failed', error.message);
+        return { success: false, error: error.message };
+      }
+    });
+    ipcMain.handle('listen:getSummaryTemplates', async () => await listenService.getSummaryTemplates());
+    ipcMain.handle('listen:setSummaryTemplate', async (event, templateId) => {
+      try {
+        return await listenService.setSummaryTemplate(templateId);
+      } catch (error) {
+        console.error('[FeatureBridge] listen:setSummaryTemplate failed', error.message);
+        return { success: false, error: error.message };
+      }
+    });
 
     // ModelStateService
     ipcMain.handle('model:validate-key', async (e, { provider, key }) => await modelStateService.handleValidateKey(provider, key));
@@ -433,6 +469,7 @@ module.exports = {
       try {
         const modelInfo = await modelStateService.getCurrentModelInfo('llm');
         return {
+          ...researchService.getAIStatus(),
           available: modelInfo && modelInfo.provider === 'gemini' && modelInfo.apiKey,
           provider: 'gemini',
           status: modelInfo && modelInfo.apiKey ? 'ready' : 'not_configured',
@@ -564,6 +601,54 @@ module.exports = {
       }
     });
 
+    ipcMain.handle('research:write-session-zotero', async (event, { sessionId }) => {
+      try {
+        return await researchService.writeSessionToZotero(sessionId);
+      } catch (error) {
+        console.error('[FeatureBridge] research:write-session-zotero failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('research:get-bibliography', async () => {
+      return researchService.getBibliographyStatus();
+    });
+
+    ipcMain.handle('research:add-bibliography-file', async (event, { filePath }) => {
+      try {
+        return await researchService.addBibliographyFile(filePath);
+      } catch (error) {
+        console.error('[FeatureBridge] research:add-bibliography-file failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('research:remove-bibliography-file', async (event, { filePath }) => {
+      try {
+        return await researchService.removeBibliographyFile(filePath);
+      } catch (error) {
+        console.error('[FeatureBridge] research:remove-bibliography-file failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('research:search-bibliography', async (event, { query, limit }) => {
+      return await researchService.searchBibliography(query, limit);
+    });
+
+    ipcMain.handle('research:get-zotero-write-back', async () => {
+      return researchService.getZoteroWriteBackSettings();
+    });
+
+    ipcMain.handle('research:update-zotero-write-back', async (event, options) => {
+      try {
+        return await researchService.updateZoteroWriteBackSettings(options);
+      } catch (error) {
+        console.error('[FeatureBridge] research:update-zotero-write-back failed', error.message);
+        throw error;
+      }
+    });
+
     // ========== ANALYTICS HANDLERS ==========
     
     ipcMain.handle('research:get-analytics', async (event, { timeframe, projectId }) => {
@@ -602,6 +687,25 @@ module.exports = {
       }
     });
 
+    // Workspace Archives
+    ipcMain.handle('research:export-workspace', async () => {
+      try {
+        return await researchService.exportWorkspace();
+      } catch (error) {
+        console.error('[FeatureBridge] research:export-workspace failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('research:import-workspace', async (event, { archive, conflictStrategy }) => {
+      try {
+        return await researchService.importWorkspace(archive, { conflictStrategy });
+      } catch (error) {
+        console.error('[FeatureBridge] research:import-workspace failed', error.message);
+        throw error;
+      }
+    });
+
     // Activity Tracking (Glass-native)
     ipcMain.handle('activity:get-timeline', async (event, { date, projectId }) => {
       try {
@@ -648,6 +752,87 @@ module.exports = {
       }
     });
 
+    ipcMain.handle('activity:get-time-blocks', async (event, { date }) => {
+      try {
+        return await activityService.getTimeBlocks({ date });
+      } catch (error) {
+        console.error('[FeatureBridge] activity:get-time-blocks failed', error.message);
+        return { blocks: [], plannedMinutes: 0, actualMinutes: 0, overlapMinutes: 0, adherence: null };
+      }
+    });
+
+    ipcMain.handle('activity:create-time-block', async (event, block) => {
+      try {
+        return await activityService.createTimeBlock(block);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:create-time-block failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:update-time-block', async (event, { blockId, updates }) => {
+      try {
+        return await activityService.updateTimeBlock(blockId, updates);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:update-time-block failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:delete-time-block', async (event, { blockId }) => {
+      try {
+        return await activityService.deleteTimeBlock(blockId);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:delete-time-block failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:get-categorization-rules', async () => {
+      try {
+        return await activityService.getCategorizationRules();
+      } catch (error) {
+        console.error('[FeatureBridge] activity:get-categorization-rules failed', error.message);
+        return [];
+      }
+    });
+
+    ipcMain.handle('activity:create-categorization-rule', async (event, rule) => {
+      try {
+        return await activityService.createCategorizationRule(rule);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:create-categorization-rule failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:update-categorization-rule', async (event, { ruleId, updates }) => {
+      try {
+        return await activityService.updateCategorizationRule(ruleId, updates);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:update-categorization-rule failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:delete-categorization-rule', async (event, { ruleId }) => {
+      try {
+        return await activityService.deleteCategorizationRule(ruleId);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:delete-categorization-rule failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:test-categorization-rule', async (event, options) => {
+      try {
+        return await activityService.testCategorizationRule(options);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:test-categorization-rule failed', error.message);
+        throw error;
+      }
+    });
+
     // Enhanced Activity Tracking with AI
     ipcMain.handle('activity:start-tracking', async () => {
       try {
@@ -685,6 +870,69 @@ module.exports = {
       }
     });
 
+    ipcMain.handle('activity:get-displays', async () => {
+      try {
+        return activityService.getDisplays();
+      } catch (error) {
+        console.error('[FeatureBridge] activity:get-displays failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:get-productivity-overrides', async () => {
+      try {
+        return activityService.getProductivityOverrides();
+      } catch (error) {
+        console.error('[FeatureBridge] activity:get-productivity-overrides failed', error.message);
+        return { appRatings: {}, timeModifiers: {} };
+      }
+    });
+
+    ipcMain.handle('activity:update-productivity-overrides', async (event, overrides) => {
+      try {
+        return await activityService.updateProductivityOverrides(overrides);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:update-productivity-overrides failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:export-calendar', async (event, { startDate, endDate }) => {
+      try {
+        return await activityService.exportCalendar({ startDate, endDate });
+      } catch (error) {
+        console.error('[FeatureBridge] activity:export-calendar failed', error.message);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('activity:import-calendar', async (event, { ics }) => {
+      try {
+        return await activityService.importCalendar(ics);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:import-calendar failed', error.message);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('activity:get-away-periods', async () => {
+      try {
+        return activityService.getAwayPeriods();
+      } catch (error) {
+        console.error('[FeatureBridge] activity:get-away-periods failed', error.message);
+        return [];
+      }
+    });
+
+    ipcMain.handle('activity:resolve-away-period', async (event, { periodId, kind }) => {
+      try {
+        return await activityService.resolveAwayPeriod(periodId, kind ?? null);
+      } catch (error) {
+        console.error('[FeatureBridge] activity:resolve-away-period failed', error.message);
+        throw error;
+      }
+    });
+
     ipcMain.handle('activity:capture-screenshot', async () => {
       try {
         return await activityService.captureScreenshot();
@@ -1,22 +1,50 @@
 const activityRepository = require('./repositories');
-const { BrowserWindow, desktopCapturer } = require('electron');
-const { createLLM } = require('../common/ai/factory');
+const { BrowserWindow } = require('electron');
+const { createLLM, generateStructured } = require('../common/ai/factory');
 const modelStateService = require('../common/services/modelStateService');
-const path = require('node:path');
-const fs = require('node:fs');
-const os = require('os');
-const util = require('util');
-const execFile = util.promisify(require('child_process').execFile);
-
-// Try to load sharp for image processing
-let sharp;
-try {
-    sharp = require('sharp');
-    console.log('[Activity Service] Sharp module loaded successfully');
-} catch (error) {
-    console.warn('[Activity Service] Sharp module not available, using fallback image processing');
-    sharp = null;
-}
+const usageService = require('../common/services/usageService');
+const redactionService = require('../common/services/redactionService');
+const internalBridge = require('../../bridge/internalBridge');
+const ProductivityScorer = require('../research/ai/productivityScorer');
+const HeuristicAnalyzer = require('../research/ai/heuristicAnalyzer');
+const { buildCalendar, parseCalendar } = require('../common/utils/icalendar');
+const { getActiveWindow } = require('../common/utils/activeWindow');
+const { CAPTURE_MODES, listDisplays, captureDisplays } = require('../common/utils/screenCapture');
+const { hashImage, hashScreenshot, isSimilar } = require('../common/utils/perceptualHash');
+const CategorizationRuleEngine = require('./ruleEngine');
+const IdleMonitor = require('./idleMonitor');
+
+// Structured output of smart analysis, the fields the analysis prompt describes
+const ACTIVITY_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    category: { type: 'string', enum: ['Focus', 'Communication', 'Research', 'Break', 'Creative', 'Other'] },
+    activity_title: { type: 'string', description: 'Brief descriptive title, at most 50 characters' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    details: {
+      type: 'object',
+      properties: {
+        primary_application: { type: 'string' },
+        content_type: { type: 'string' },
+        productivity_indicator: { type: 'string', enum: ['high', 'medium', 'low'] },
+        distraction_level: { type: 'string', enum: ['low', 'medium', 'high'] }
+      },
+      required: ['primary_application', 'content_type', 'productivity_indicator', 'distraction_level'],
+      additionalProperties: false
+    },
+    insights: { type: 'string' }
+  },
+  required: ['category', 'activity_title', 'confidence', 'details', 'insights'],
+  additionalProperties: false
+};
+
+// What an away period can be recorded as when the user answers on return
+const AWAY_ACTIVITIES = {
+  meeting: { title: 'Meeting', category: 'communication' },
+  reading: { title: 'Reading on paper', category: 'research' },
+  break: { title: 'Break', category: 'break' }
+};
+const MAX_AWAY_PERIODS = 20;
 
 class ActivityService {
   constructor() {
@@ -36,10 +64,28 @@ class ActivityService {
       enableAutoCapture: true, // Enable/disable automatic captures
       activityCategories: ['Focus', 'Communication', 'Research', 'Break', 'Creative', 'Other'],
       privacyMode: false, // When true, only stores aggregated data
-      manualCaptureNotifications: true // Show notifications for manual captures
+      manualCaptureNotifications: true, // Show notifications for manual captures
+      captureDisplays: 'focused', // focused, all or selected; see common/utils/screenCapture
+      captureDisplayIds: [], // Displays captured in 'selected' mode
+      pauseWhenIdle: true, // End the activity and hold captures while nobody is at the computer
+      idleThresholdMinutes: 5,
+      askOnReturn: true // Ask what an absence was once the user is back
+    };
+    this.productivityOverrides = {
+      appRatings: {},
+      timeModifiers: {}
     };
+    this.ruleEngine = new CategorizationRuleEngine();
+    this.heuristicAnalyzer = new HeuristicAnalyzer();
     this.captureHistory = [];
     this.maxHistorySize = 100; // Keep last 100 captures
+    this.lastAnalyzedScreen = null; // { hash, app, analysis, at } of the last AI analysis
+    this.maxReusedAnalysisAge = 5 * 60 * 1000; // Analyze an unchanged screen again after 5 minutes
+    this.analysisCalls = { made: 0, saved: 0 };
+    this.idleMonitor = new IdleMonitor();
+    this.idleMonitor.on('away', (absence) => this._handleAway(absence));
+    this.idleMonitor.on('back', (absence) => this._handleBack(absence));
+    this.awayPeriods = []; // Absences waiting for the user to say what they were
   }
 
   async initialize() {
@@ -57,6 +103,15 @@ class ActivityService {
       if (storedSettings) {
         this.settings = { ...this.settings, ...storedSettings };
       }
+
+      const storedOverrides = await activityRepository.getProductivityOverrides();
+      if (storedOverrides) {
+        this.productivityOverrides = storedOverrides;
+        this.heuristicAnalyzer.setProductivityOverrides(storedOverrides);
+        internalBridge.emit('activity:productivity-overrides-updated', this.productivityOverrides);
+      }
+
+      this.ruleEngine.setRules(await activityRepository.getCategorizationRules());
       
       console.log('[Activity Service] Activity repository initialized with Gemini AI analysis capabilities');
       return true;
@@ -68,7 +123,11 @@ class ActivityService {
 
   async getTimeline({ date, projectId }) {
     try {
-      const activities = await activityRepository.getActivitiesByDate(date, projectId);
+      const [activities, plannedActivities, timeBlocks] = await Promise.all([
+        activityRepository.getActivitiesByDate(date, projectId),
+        activityRepository.getPlannedActivitiesBetweenDates(date, date),
+        activityRepository.getTimeBlocksBetweenDates(date, date)
+      ]);
       
       // Calculate timeline data
       const totalTime = activities.reduce((sum, activity) => sum + activity.duration_ms, 0);
@@ -81,11 +140,20 @@ class ActivityService {
         categories[activity.category] += activity.duration_ms;
       });
 
+      const planned = projectId
+        ? plannedActivities.filter(activity => activity.project_id === projectId)
+        : plannedActivities;
+      const blocks = projectId
+        ? timeBlocks.filter(block => block.project_id === projectId)
+        : timeBlocks;
+
       return {
         activities,
         totalTime,
         activeTime: totalTime * 0.85, // Assuming 85% active time
-        categories
+        categories,
+        planned: this._comparePlannedToActual(planned, activities),
+        timeBlocks: this._measureTimeBlockAdherence(blocks, activities)
       };
     } catch (error) {
       console.error('[Activity Service] Failed to get timeline:', error);
@@ -93,11 +161,146 @@ class ActivityService {
         activities: [],
         totalTime: 0,
         activeTime: 0,
-        categories: {}
+        categories: {},
+        planned: this._comparePlannedToActual([], []),
+        timeBlocks: this._measureTimeBlockAdherence([], [])
       };
     }
   }
 
+  // Compare planned activities against tracked ones: time per category, and how much
+  // of each planned slot was actually spent on an activity of the same category
+  _comparePlannedToActual(plannedActivities, activities) {
+    const byCategory = {};
+    const addTime = (category, key, ms) => {
+      if (!byCategory[category]) {
+        byCategory[category] = { planned: 0, actual: 0, matched: 0 };
+      }
+      byCategory[category][key] += ms;
+    };
+
+    const actualRanges = activities.map(activity => ({ category: activity.category, ...this._getActivityRange(activity) }));
+    actualRanges.forEach(range => addTime(range.category, 'actual', range.end - range.start));
+
+    let plannedTime = 0;
+    let matchedTime = 0;
+    const planned = plannedActivities.map(activity => {
+      const range = this._getActivityRange(activity);
+      const duration = range.end - range.start;
+      const matched = actualRanges
+        .filter(actual => actual.category === activity.category)
+        .reduce((sum, actual) => sum + Math.max(0, Math.min(range.end, actual.end) - Math.max(range.start, actual.start)), 0);
+
+      plannedTime += duration;
+      matchedTime += Math.min(matched, duration);
+      addTime(activity.category, 'planned', duration);
+      addTime(activity.category, 'matched', Math.min(matched, duration));
+
+      return {
+        ...activity,
+        matched_ms: Math.min(matched, duration),
+        completion: duration > 0 ? Math.round((Math.min(matched, duration) / duration) * 100) : 0
+      };
+    });
+
+    return {
+      activities: planned,
+      plannedTime,
+      matchedTime,
+      completion: plannedTime > 0 ? Math.round((matchedTime / plannedTime) * 100) : null,
+      byCategory
+    };
+  }
+
+  // Start/end of an activity in ms; activities still in progress run until now
+  _getActivityRange(activity) {
+    const start = new Date(activity.start_time).getTime();
+    let end = activity.end_time ? new Date(activity.end_time).getTime() : start + (activity.duration_ms || 0);
+    if (!activity.end_time && activity.status === 'active') {
+      end = Date.now();
+    }
+    return { start, end: Math.max(start, end) };
+  }
+
+  // Total length of intervals, counting time covered by several of them once
+  _mergedDuration(intervals) {
+    let total = 0;
+    let coveredUntil = -Infinity;
+    for (const { start, end } of [...intervals].sort((a, b) => a.start - b.start)) {
+      if (end > coveredUntil) {
+        total += end - Math.max(start, coveredUntil);
+        coveredUntil = end;
+      }
+    }
+    return total;
+  }
+
+  // Adherence of tracked activities to planned time blocks. An activity counts towards a block
+  // when it matches the block's project (or category, when the block has no project) and
+  // overlaps its window. Drift is how many minutes the matching work started/ended after
+  // (positive) or before (negative) the block. Time covered by several activities or blocks
+  // is counted once, so adherence stays within 100%.
+  _measureTimeBlockAdherence(timeBlocks, activities) {
+    const toMinutes = (ms) => Math.round(ms / 60000);
+    const now = Date.now();
+    const ranges = activities.map(activity => ({ activity, ...this._getActivityRange(activity) }));
+
+    const plannedWindows = [];
+    const matchedRanges = new Set();
+    const overlaps = [];
+
+    const blocks = timeBlocks.map(block => {
+      const start = new Date(block.start_time).getTime();
+      const end = new Date(block.end_time).getTime();
+      const matching = ranges.filter(({ activity, start: activityStart, end: activityEnd }) => {
+        if (activityEnd <= start || activityStart >= end) return false;
+        if (block.project_id) return activity.project_id === block.project_id;
+        if (block.category) return activity.category === block.category;
+        return true;
+      });
+
+      const clipped = matching.map(range => ({ start: Math.max(start, range.start), end: Math.min(end, range.end) }));
+      const blockActualMs = this._mergedDuration(matching);
+      const blockOverlapMs = this._mergedDuration(clipped);
+
+      plannedWindows.push({ start, end: Math.max(start, end) });
+      matching.forEach(range => matchedRanges.add(range));
+      overlaps.push(...clipped);
+
+      let status = 'missed';
+      if (start > now) status = 'upcoming';
+      else if (end > now) status = 'in-progress';
+      else if (blockOverlapMs > 0) status = 'completed';
+
+      return {
+        ...block,
+        plannedMinutes: toMinutes(end - start),
+        actualMinutes: toMinutes(blockActualMs),
+        overlapMinutes: toMinutes(blockOverlapMs),
+        adherence: end > start ? Math.round((blockOverlapMs / (end - start)) * 100) : 0,
+        drift: matching.length > 0
+          ? {
+            startMinutes: toMinutes(Math.min(...matching.map(range => range.start)) - start),
+            endMinutes: toMinutes(Math.max(...matching.map(range => range.end)) - end)
+          }
+          : null,
+        status
+      };
+    });
+
+    const plannedMs = this._mergedDuration(plannedWindows);
+    const actualMs = this._mergedDuration([...matchedRanges]);
+    const overlapMs = this._mergedDuration(overlaps);
+
+    return {
+      blocks,
+      plannedMinutes: toMinutes(plannedMs),
+      actualMinutes: toMinutes(actualMs),
+      overlapMinutes: toMinutes(overlapMs),
+      adherence: plannedMs > 0 ? Math.round((overlapMs / plannedMs) * 100) : null
+    };
+  }
+
   async getProductivityMetrics({ date, period }) {
     try {
       const activities = await activityRepository.getActivitiesByDate(date);
@@ -251,7 +454,8 @@ class ActivityService {
       const monthStart = new Date();
       monthStart.setDate(1);
 
-      const [dailyData, weeklyData, monthlyData] = await Promise.all([
+      const weekStartDate = weekStart.toISOString().split('T')[0];
+      const [dailyData, weeklyData, monthlyData, weeklyBlocks, weeklyActivities] = await Promise.all([
         this.getTimeline({ date: today }),
         this.getWeeklyStats({ 
           startDate: weekStart.toISOString().split('T')[0], 
@@ -260,9 +464,14 @@ class ActivityService {
         this.getWeeklyStats({ 
           startDate: monthStart.toISOString().split('T')[0], 
           endDate: today 
-        })
+        }),
+        activityRepository.getTimeBlocksBetweenDates(weekStartDate, today),
+        activityRepository.getActivitiesBetweenDates(weekStartDate, today)
       ]);
 
+      const { blocks, ...weeklyAdherence } = this._measureTimeBlockAdherence(weeklyBlocks, weeklyActivities);
+      const { blocks: dailyBlocks, ...dailyAdherence } = dailyData.timeBlocks;
+
       const dailyHours = dailyData.totalTime / (60 * 60 * 1000);
       const weeklyHours = weeklyData.totalHours;
       const monthlyHours = monthlyData.totalHours;
@@ -282,6 +491,10 @@ class ActivityService {
           target: this.goals.monthly,
           actual: Math.round(monthlyHours * 10) / 10,
           percentage: Math.round((monthlyHours / this.goals.monthly) * 100 * 10) / 10
+        },
+        timeBlocks: {
+          daily: { ...dailyAdherence, blockCount: dailyBlocks.length },
+          weekly: { ...weeklyAdherence, blockCount: blocks.length }
         }
       };
     } catch (error) {
@@ -289,7 +502,8 @@ class ActivityService {
       return {
         daily: { target: this.goals.daily, actual: 0, percentage: 0 },
         weekly: { target: this.goals.weekly, actual: 0, percentage: 0 },
-        monthly: { target: this.goals.monthly, actual: 0, percentage: 0 }
+        monthly: { target: this.goals.monthly, actual: 0, percentage: 0 },
+        timeBlocks: { daily: null, weekly: null }
       };
     }
   }
@@ -305,105 +519,237 @@ class ActivityService {
     }
   }
 
-  // Screenshot Capture Methods
-  async captureScreenshot(options = {}) {
-    if (process.platform === 'darwin') {
-      try {
-        const tempPath = path.join(os.tmpdir(), `activity-screenshot-${Date.now()}.jpg`);
-        await execFile('screencapture', ['-x', '-t', 'jpg', tempPath]);
-        
-        const imageBuffer = await fs.promises.readFile(tempPath);
-        await fs.promises.unlink(tempPath);
-
-        if (sharp) {
-          try {
-            const resizedBuffer = await sharp(imageBuffer)
-              .resize({ height: 384 })
-              .jpeg({ quality: 70 })
-              .toBuffer();
-            
-            const base64 = resizedBuffer.toString('base64');
-            const metadata = await sharp(resizedBuffer).metadata();
-            
-            return {
-              success: true,
-              base64,
-              width: metadata.width,
-              height: metadata.height,
-              timestamp: Date.now()
-            };
-          } catch (sharpError) {
-            console.warn('[Activity Service] Sharp processing failed, using fallback:', sharpError.message);
-          }
-        }
-        
-        const base64 = imageBuffer.toString('base64');
-        return {
-          success: true,
-          base64,
-          width: null,
-          height: null,
-          timestamp: Date.now()
-        };
-      } catch (error) {
-        console.error('[Activity Service] macOS screenshot capture failed:', error);
-        return { success: false, error: error.message };
-      }
+  // Planned Time Block Methods
+  async getTimeBlocks({ date }) {
+    // A block's day is the planner's local day, so look at activities on the neighbouring
+    // UTC days too; adherence only counts the parts that overlap each block anyway
+    const dayBefore = new Date(`${date}T00:00:00Z`);
+    dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+    const dayAfter = new Date(`${date}T00:00:00Z`);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+
+    const [timeBlocks, activities] = await Promise.all([
+      activityRepository.getTimeBlocksBetweenDates(date, date),
+      activityRepository.getActivitiesBetweenDates(
+        dayBefore.toISOString().split('T')[0],
+        dayAfter.toISOString().split('T')[0]
+      )
+    ]);
+    return this._measureTimeBlockAdherence(timeBlocks, activities);
+  }
+
+  async createTimeBlock(blockData = {}) {
+    const block = this._validateTimeBlock(blockData);
+    const created = await activityRepository.createTimeBlock(block);
+    this._emitLiveEvent('time-block-updated', created);
+    return created;
+  }
+
+  async updateTimeBlock(blockId, updates = {}) {
+    const existing = await activityRepository.getTimeBlockById(blockId);
+    if (!existing) {
+      throw new Error('Time block not found');
     }
 
-    // Fallback to Electron's desktopCapturer for other platforms
-    try {
-      const sources = await desktopCapturer.getSources({
-        types: ['screen'],
-        thumbnailSize: { width: 1920, height: 1080 }
-      });
+    // Moving a block without naming its day re-derives the day from the new start
+    const merged = { ...existing, ...updates };
+    if (updates.start_time && !updates.date) {
+      delete merged.date;
+    }
+
+    const block = this._validateTimeBlock(merged);
+    await activityRepository.updateTimeBlock(blockId, block);
+
+    const updated = { ...existing, ...block };
+    this._emitLiveEvent('time-block-updated', updated);
+    return updated;
+  }
 
-      if (sources.length === 0) {
-        throw new Error('No screen sources available');
+  async deleteTimeBlock(blockId) {
+    const deleted = await activityRepository.deleteTimeBlock(blockId);
+    if (!deleted) {
+      throw new Error('Time block not found');
+    }
+    this._emitLiveEvent('time-block-deleted', { id: blockId });
+    return { success: true };
+  }
+
+  // Normalizes a time block and rejects invalid windows. The block's day is the planner's
+  // (local) day when given, otherwise the UTC day of its start.
+  _validateTimeBlock(blockData) {
+    const title = typeof blockData.title === 'string' ? blockData.title.trim() : '';
+    if (!title) {
+      throw new Error('Time block title is required');
+    }
+
+    const start = new Date(blockData.start_time);
+    const end = new Date(blockData.end_time);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Time block start_time and end_time must be valid dates');
+    }
+    if (end <= start) {
+      throw new Error('Time block must end after it starts');
+    }
+    if (end - start > 24 * 60 * 60 * 1000) {
+      throw new Error('Time block cannot be longer than 24 hours');
+    }
+
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(blockData.date || '')
+      ? blockData.date
+      : start.toISOString().split('T')[0];
+
+    return {
+      date,
+      title,
+      category: blockData.category ? String(blockData.category).toLowerCase() : null,
+      project_id: blockData.project_id || null,
+      project_name: blockData.project_name || null,
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      notes: blockData.notes || null
+    };
+  }
+
+  // Categorization Rule Methods
+  async getCategorizationRules() {
+    return activityRepository.getCategorizationRules();
+  }
+
+  async createCategorizationRule(ruleData = {}) {
+    const rule = CategorizationRuleEngine.validate(ruleData, { categories: this.settings.activityCategories });
+    const created = await activityRepository.createCategorizationRule(rule);
+    await this._reloadCategorizationRules();
+    return created;
+  }
+
+  async updateCategorizationRule(ruleId, updates = {}) {
+    const existing = await activityRepository.getCategorizationRuleById(ruleId);
+    if (!existing) {
+      throw new Error('Categorization rule not found');
+    }
+
+    const rule = CategorizationRuleEngine.validate({ ...existing, ...updates }, { categories: this.settings.activityCategories });
+    await activityRepository.updateCategorizationRule(ruleId, rule);
+    await this._reloadCategorizationRules();
+    return { ...existing, ...rule };
+  }
+
+  async deleteCategorizationRule(ruleId) {
+    const deleted = await activityRepository.deleteCategorizationRule(ruleId);
+    if (!deleted) {
+      throw new Error('Categorization rule not found');
+    }
+    await this._reloadCategorizationRules();
+    return { success: true };
+  }
+
+  // Replays a rule (saved, by id, or unsaved) over the last `days` of activities without changing them
+  async testCategorizationRule({ ruleId, rule: ruleData, days = 7 } = {}) {
+    let source = ruleData;
+    if (ruleId) {
+      source = await activityRepository.getCategorizationRuleById(ruleId);
+      if (!source) {
+        throw new Error('Categorization rule not found');
       }
+    }
+    if (!source) {
+      throw new Error('ruleId or rule is required');
+    }
 
-      const source = sources[0];
-      const buffer = source.thumbnail.toJPEG(70);
-      const base64 = buffer.toString('base64');
-      const size = source.thumbnail.getSize();
+    const rule = CategorizationRuleEngine.validate(source, { categories: this.settings.activityCategories });
+    const span = Math.max(1, Math.min(90, parseInt(days, 10) || 7));
+    const endDate = new Date();
+    const startDate = new Date(endDate);
+    startDate.setDate(startDate.getDate() - (span - 1));
+
+    const range = {
+      startDate: startDate.toISOString().split('T')[0],
+      endDate: endDate.toISOString().split('T')[0]
+    };
+    const activities = await activityRepository.getActivitiesBetweenDates(range.startDate, range.endDate);
+
+    return { rule, range, ...this.ruleEngine.dryRun(rule, activities) };
+  }
+
+  async _reloadCategorizationRules() {
+    const rules = await activityRepository.getCategorizationRules();
+    this.ruleEngine.setRules(rules);
+    this._emitLiveEvent('categorization-rules-updated', rules);
+  }
+
+  // Screenshot Capture Methods
+  // Captures the displays chosen in settings (see common/utils/screenCapture) as one JPEG
+  async captureScreenshot() {
+    try {
+      const capture = await captureDisplays({
+        mode: this.settings.captureDisplays,
+        displayIds: this.settings.captureDisplayIds
+      });
 
       return {
         success: true,
-        base64,
-        width: size.width,
-        height: size.height,
+        base64: capture.image.toJPEG(70).toString('base64'),
+        hash: hashImage(capture.image),
+        width: capture.width,
+        height: capture.height,
+        capture_mode: capture.mode,
+        displays: capture.displays,
         timestamp: Date.now()
       };
     } catch (error) {
-      console.error('[Activity Service] Desktop capturer failed:', error);
+      console.error('[Activity Service] Screen capture failed:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Smart Analysis with Gemini
-  async analyzeScreenshot(screenshotBase64) {
+  /**
+   * Connected displays, marking the ones the current settings capture
+   */
+  getDisplays() {
+    const selected = new Set((this.settings.captureDisplayIds || []).map(String));
+    return {
+      mode: this.settings.captureDisplays,
+      modes: CAPTURE_MODES,
+      displays: listDisplays().map(display => ({ ...display, selected: selected.has(display.id) }))
+    };
+  }
+
+  // Smart Analysis with Gemini, falling back to the other vision providers with an API key
+  async analyzeScreenshot(screenshotBase64, { windowContext } = {}) {
     if (!this.settings.enableSmartAnalysis) {
       return null;
     }
 
     try {
-      const modelInfo = await modelStateService.getCurrentModelInfo('llm');
-      if (!modelInfo || modelInfo.provider !== 'gemini' || !modelInfo.apiKey) {
-        console.log('[Activity Service] Gemini not configured, skipping smart analysis');
+      // Nothing leaves the machine before local redaction
+      const redaction = await redactionService.redactScreenshot(screenshotBase64, {
+        source: 'activity',
+        windowContext: windowContext || await getActiveWindow()
+      });
+      if (!redaction.base64) {
+        console.log(`[Activity Service] Screenshot not sent for analysis: ${redaction.reason}`);
         return null;
       }
 
-      const analysisLLM = createLLM({
+      const [modelInfo, ...fallbacks] = await modelStateService.getLLMCandidates('activity');
+      if (!modelInfo) {
+        console.log('[Activity Service] No vision provider configured, skipping smart analysis');
+        return null;
+      }
+
+      const analysisLLM = createLLM(modelInfo.provider, {
         apiKey: modelInfo.apiKey,
-        model: modelInfo.model || 'gemini-2.5-flash',
+        model: modelInfo.model,
         temperature: 0.3,
-        maxTokens: 1024
+        maxTokens: 1024,
+        feature: 'activity',
+        fallbacks
       });
 
       const analysisPrompt = `
 Analyze this screenshot to categorize the user's current activity. 
 
-Provide your analysis in this exact JSON format:
+Provide your analysis in this JSON format:
 {
   "category": "one of: Focus, Communication, Research, Break, Creative, Other",
   "activity_title": "brief descriptive title (max 50 chars)",
@@ -427,77 +773,23 @@ Categories:
 
 Be accurate and honest in your assessment.`;
 
-      const parts = [
-        analysisPrompt,
-        {
-          inlineData: {
-            mimeType: 'image/jpeg',
-            data: screenshotBase64
-          }
-        }
-      ];
+      const { data: analysis, servedBy } = await generateStructured(analysisLLM, [
+        { role: 'system', content: analysisPrompt },
+        { role: 'user', content: [{ type: 'image_url', image_url: { url: `data:${redaction.mimeType};base64,${redaction.base64}` } }] }
+      ], { name: 'activity_analysis', schema: ACTIVITY_ANALYSIS_SCHEMA });
 
-      const result = await analysisLLM.generateContent(parts);
-      const responseText = await result.response.text();
-      
-      // Parse JSON response
-      try {
-        const analysis = JSON.parse(responseText.trim());
-        analysis.timestamp = Date.now();
-        analysis.model_used = modelInfo.model;
-        return analysis;
-      } catch (parseError) {
-        console.error('[Activity Service] Failed to parse Gemini AI analysis JSON:', parseError);
-        console.error('[Activity Service] Raw response:', responseText);
-        
-        // Fallback: extract basic info from text response
-        return this._parseFallbackAnalysis(responseText);
-      }
+      analysis.activity_title = analysis.activity_title.slice(0, 50);
+      analysis.timestamp = Date.now();
+      analysis.model_used = servedBy?.model || modelInfo.model;
+      analysis.provider_used = servedBy?.provider || modelInfo.provider;
+      return analysis;
     } catch (error) {
-      console.error('[Activity Service] Gemini AI analysis failed:', error);
+      // No provider reachable or output that stayed invalid after a retry; the caller falls back to local heuristics
+      console.error('[Activity Service] AI analysis failed:', error.message);
       return null;
     }
   }
 
-  _parseFallbackAnalysis(responseText) {
-    const lowerText = responseText.toLowerCase();
-    let category = 'Other';
-    let confidence = 0.5;
-    
-    // Simple keyword-based fallback categorization
-    if (lowerText.includes('code') || lowerText.includes('programming') || lowerText.includes('development')) {
-      category = 'Focus';
-      confidence = 0.7;
-    } else if (lowerText.includes('email') || lowerText.includes('chat') || lowerText.includes('meeting')) {
-      category = 'Communication';
-      confidence = 0.7;
-    } else if (lowerText.includes('research') || lowerText.includes('reading') || lowerText.includes('documentation')) {
-      category = 'Research';
-      confidence = 0.7;
-    } else if (lowerText.includes('social') || lowerText.includes('entertainment') || lowerText.includes('break')) {
-      category = 'Break';
-      confidence = 0.6;
-    } else if (lowerText.includes('design') || lowerText.includes('creative') || lowerText.includes('brainstorm')) {
-      category = 'Creative';
-      confidence = 0.6;
-    }
-
-    return {
-      category,
-      activity_title: 'Detected Activity',
-      confidence,
-      details: {
-        primary_application: 'Unknown',
-        content_type: 'unknown',
-        productivity_indicator: 'medium',
-        distraction_level: 'medium'
-      },
-      insights: 'Basic analysis from fallback parsing',
-      timestamp: Date.now(),
-      fallback_analysis: true
-    };
-  }
-
   // Activity Tracking Control
   async startActivityTracking() {
     if (this.isTracking) {
@@ -507,6 +799,7 @@ Be accurate and honest in your assessment.`;
 
     console.log(`[Activity Service] Starting activity tracking`);
     this.isTracking = true;
+    this._updateIdleMonitor();
 
     // Take initial screenshot and analysis if auto capture is enabled
     if (this.settings.enableAutoCapture) {
@@ -544,6 +837,8 @@ Be accurate and honest in your assessment.`;
 
     console.log('[Activity Service] Stopping activity tracking');
     this.isTracking = false;
+    this.idleMonitor.stop();
+    this.lastAnalyzedScreen = null;
 
     if (this.captureInterval) {
       clearInterval(this.captureInterval);
@@ -560,9 +855,19 @@ Be accurate and honest in your assessment.`;
   }
 
   async _performActivityCapture() {
+    if (this.idleMonitor.away) {
+      console.log('[Activity Service] Nobody at the computer, skipping capture');
+      return;
+    }
+
     try {
       console.log('[Activity Service] Performing activity capture and analysis...');
-      
+
+      const windowContext = await getActiveWindow();
+      if (redactionService.checkWindow(windowContext, 'activity', { captureMode: this.settings.captureDisplays }).blocked) {
+        return;
+      }
+
       const screenshot = await this.captureScreenshot();
       if (!screenshot.success) {
         console.error('[Activity Service] Screenshot capture failed:', screenshot.error);
@@ -571,11 +876,11 @@ Be accurate and honest in your assessment.`;
 
       this.lastScreenshot = screenshot;
       
-      // Analyze with Gemini AI analysis if enabled
-      let analysis = null;
-      if (this.settings.enableSmartAnalysis) {
-        analysis = await this.analyzeScreenshot(screenshot.base64);
+      // Categorization rules first, then Gemini AI analysis if enabled
+      const analysis = await this._analyzeCapture(screenshot, { automatic: true, windowContext });
+      if (analysis || this.settings.enableSmartAnalysis) {
         this.lastAnalysis = analysis;
+        this._emitLiveEvent('analysis', { analysis, timestamp: screenshot.timestamp });
       }
 
       // Store capture in history (without full screenshot data for memory efficiency)
@@ -607,6 +912,85 @@ Be accurate and honest in your assessment.`;
     }
   }
 
+  // Rules are checked against the foreground window before any AI call. A rule that sets a
+  // category replaces the AI analysis; otherwise its project and score apply on top of it.
+  // Automatic captures skip the AI call while the AI budget is spent, and reuse the previous AI
+  // analysis for up to 5 minutes while the screen has not meaningfully changed.
+  async _analyzeCapture(screenshot, { automatic = false, windowContext = null } = {}) {
+    windowContext = windowContext || await getActiveWindow();
+    const match = this.ruleEngine.evaluate({ ...windowContext, timestamp: screenshot.timestamp });
+
+    let analysis = null;
+    if (match?.actions.category) {
+      analysis = this._analysisFromRule(match, windowContext, screenshot.timestamp);
+    } else if (this.settings.enableSmartAnalysis) {
+      const previous = automatic && this.lastAnalyzedScreen;
+      if (previous && screenshot.timestamp - previous.at <= this.maxReusedAnalysisAge
+        && previous.app === windowContext.app && isSimilar(previous.hash, screenshot.hash)) {
+        analysis = { ...previous.analysis, timestamp: screenshot.timestamp, reused_analysis: true };
+        this.analysisCalls.saved++;
+        console.log('[Activity Service] Screen unchanged since the last analysis, reusing it');
+      } else {
+        const budgetPaused = automatic && usageService.isAutomaticAnalysisPaused();
+        const aiAnalysis = !budgetPaused && await this.analyzeScreenshot(screenshot.base64, { windowContext });
+        if (aiAnalysis) {
+          this.analysisCalls.made++;
+          this.lastAnalyzedScreen = { hash: screenshot.hash, app: windowContext.app, analysis: { ...aiAnalysis }, at: screenshot.timestamp };
+        }
+        // Without a configured or reachable provider, estimate from the window context locally
+        analysis = aiAnalysis || this.heuristicAnalyzer.analyzeActivity({
+          activeApplication: windowContext.app,
+          windowTitle: windowContext.title,
+          url: windowContext.url,
+          timestamp: screenshot.timestamp
+        });
+        if (budgetPaused) {
+          analysis.fallback_reason = 'AI budget exceeded';
+        }
+      }
+    }
+    if (!analysis) return null;
+
+    if (match) {
+      const { project_id, project_name, productivity_score } = match.actions;
+      analysis.rule = { id: match.rule.id, name: match.rule.name };
+      if (project_id || project_name) {
+        analysis.project = { id: project_id, name: project_name };
+      }
+      if (productivity_score !== null) {
+        analysis.productivity_override = productivity_score;
+      }
+    }
+
+    // Privacy mode keeps the application but not what was on screen
+    analysis.window = this.settings.privacyMode
+      ? { app: windowContext.app, title: null, url: null }
+      : windowContext;
+
+    return analysis;
+  }
+
+  _analysisFromRule(match, windowContext, timestamp) {
+    const score = match.actions.productivity_score;
+    const indicator = score === null ? 'medium' : score >= 7 ? 'high' : score <= 3 ? 'low' : 'medium';
+    const category = this._formatCategoryDisplay(match.actions.category);
+
+    return {
+      category,
+      confidence: 1,
+      activity_title: windowContext.title ? windowContext.title.slice(0, 50) : match.rule.name,
+      details: {
+        primary_application: windowContext.app || 'Unknown',
+        content_type: 'rule',
+        productivity_indicator: indicator,
+        distraction_level: indicator === 'low' ? 'high' : 'low'
+      },
+      insights: `Categorized as ${category} by rule "${match.rule.name}"`,
+      timestamp,
+      source: 'rule'
+    };
+  }
+
   async _processActivityFromAnalysis(analysis, timestamp) {
     try {
       const now = new Date(timestamp);
@@ -615,6 +999,7 @@ Be accurate and honest in your assessment.`;
       // Check if this is continuation of current activity or a new one
       const shouldCreateNewActivity = !this.currentActivity || 
         this.currentActivity.category !== analysis.category ||
+        (this.currentActivity.project_id || null) !== (analysis.project?.id || null) ||
         (now - new Date(this.currentActivity.updated_at)) > (this.settings.captureInterval * 2); // Gap threshold
 
       if (shouldCreateNewActivity) {
@@ -627,12 +1012,17 @@ Be accurate and honest in your assessment.`;
         const activityData = {
           title: activityTitle,
           category: analysis.category.toLowerCase(),
+          project_id: analysis.project?.id || null,
+          project_name: analysis.project?.name || null,
           start_time: now.toISOString(),
           end_time: null,
           duration_ms: 0,
           status: 'active',
           metadata: {
             smart_analysis: analysis,
+            window: analysis.window || null,
+            rule_id: analysis.rule?.id || null,
+            productivity_override: analysis.productivity_override ?? null,
             capture_interval: this.settings.captureInterval,
             productivity_indicator: analysis.details?.productivity_indicator,
             distraction_level: analysis.details?.distraction_level,
@@ -645,6 +1035,7 @@ Be accurate and honest in your assessment.`;
 
         this.currentActivity = await activityRepository.createActivity(activityData);
         console.log(`[Activity Service] Started new activity: ${activityTitle} (${analysis.category})`);
+        this._emitLiveEvent('activity-started', this.currentActivity);
       } else {
         // Update existing activity
         const updatedMetadata = {
@@ -665,12 +1056,12 @@ Be accurate and honest in your assessment.`;
     }
   }
 
-  async _endCurrentActivity() {
+  async _endCurrentActivity(endAt = new Date()) {
     if (!this.currentActivity) return;
 
     try {
-      const endTime = new Date();
       const startTime = new Date(this.currentActivity.start_time);
+      const endTime = new Date(Math.max(endAt, startTime));
       const duration = endTime - startTime;
 
       await activityRepository.updateActivity(this.currentActivity.id, {
@@ -680,6 +1071,12 @@ Be accurate and honest in your assessment.`;
       });
 
       console.log(`[Activity Service] Ended activity: ${this.currentActivity.title}, Duration: ${Math.round(duration / 60000)}min`);
+      this._emitLiveEvent('activity-ended', {
+        ...this.currentActivity,
+        end_time: endTime.toISOString(),
+        duration_ms: duration,
+        status: 'completed'
+      });
       this.currentActivity = null;
     } catch (error) {
       console.error('[Activity Service] Failed to end current activity:', error);
@@ -690,7 +1087,7 @@ Be accurate and honest in your assessment.`;
     try {
       const captureData = {
         timestamp: new Date(screenshot.timestamp).toISOString(),
-        screenshot_hash: this._generateScreenshotHash(screenshot.base64),
+        screenshot_hash: screenshot.hash || hashScreenshot(screenshot.base64),
         analysis_summary: analysis ? {
           category: analysis.category,
           confidence: analysis.confidence,
@@ -703,8 +1100,10 @@ Be accurate and honest in your assessment.`;
           },
           capture_settings: {
             interval: this.settings.captureInterval,
-            analysis_enabled: this.settings.enableSmartAnalysis
-          }
+            analysis_enabled: this.settings.enableSmartAnalysis,
+            capture_mode: screenshot.capture_mode
+          },
+          displays: (screenshot.displays || []).map(({ id, label, bounds }) => ({ id, label, bounds }))
         }
       };
 
@@ -714,9 +1113,84 @@ Be accurate and honest in your assessment.`;
     }
   }
 
-  _generateScreenshotHash(base64) {
-    // Simple hash for deduplication (in production, use crypto.createHash)
-    return Buffer.from(base64.substring(0, 100)).toString('hex');
+  _updateIdleMonitor() {
+    if (this.isTracking && this.settings.pauseWhenIdle) {
+      this.idleMonitor.start(this.settings.idleThresholdMinutes * 60 * 1000);
+    } else {
+      this.idleMonitor.stop();
+    }
+  }
+
+  // The activity ends where the absence began, not at the next capture
+  async _handleAway({ since, reason }) {
+    console.log(`[Activity Service] Away (${reason}) since ${new Date(since).toISOString()}, pausing captures`);
+    await this._endCurrentActivity(new Date(since));
+    this.lastAnalyzedScreen = null;
+    this._emitLiveEvent('away-started', { since: new Date(since).toISOString(), reason });
+    this._broadcastStatus();
+  }
+
+  async _handleBack({ since, until, reason }) {
+    const period = {
+      id: `away_${since}`,
+      start_time: new Date(since).toISOString(),
+      end_time: new Date(until).toISOString(),
+      duration_ms: until - since,
+      reason
+    };
+    console.log(`[Activity Service] Back after ${Math.round(period.duration_ms / 60000)}min away, resuming captures`);
+
+    // A quick screen lock is not worth a question
+    const ask = this.settings.askOnReturn && period.duration_ms >= this.settings.idleThresholdMinutes * 60 * 1000;
+    if (ask) {
+      this.awayPeriods = [period, ...this.awayPeriods].slice(0, MAX_AWAY_PERIODS);
+    }
+    this._emitLiveEvent('away-ended', { ...period, ask });
+    this._broadcastStatus();
+
+    // Start the next activity now rather than at the next interval
+    if (this.isTracking && this.settings.enableAutoCapture) {
+      await this._performActivityCapture();
+    }
+  }
+
+  /**
+   * Absences the user has not yet said anything about, latest first
+   */
+  getAwayPeriods() {
+    return this.awayPeriods;
+  }
+
+  /**
+   * Record what an absence was, or drop it without recording anything
+   * @param {string} periodId
+   * @param {'meeting'|'reading'|'break'|null} kind - Null dismisses the question
+   * @returns {Promise<Object|null>} The activity recorded for the absence
+   */
+  async resolveAwayPeriod(periodId, kind) {
+    const period = this.awayPeriods.find(candidate => candidate.id === periodId);
+    if (!period) {
+      throw new Error('Away period not found');
+    }
+    if (kind !== null && !AWAY_ACTIVITIES[kind]) {
+      throw new Error(`Unknown away activity: ${kind}`);
+    }
+    this.awayPeriods = this.awayPeriods.filter(candidate => candidate !== period);
+    if (kind === null) {
+      return null;
+    }
+
+    const activity = await activityRepository.createActivity({
+      ...AWAY_ACTIVITIES[kind],
+      start_time: period.start_time,
+      end_time: period.end_time,
+      duration_ms: period.duration_ms,
+      status: 'completed',
+      metadata: { away_reason: period.reason, auto_generated: false }
+    });
+    console.log(`[Activity Service] Recorded ${Math.round(period.duration_ms / 60000)}min away as ${AWAY_ACTIVITIES[kind].title}`);
+    this._emitLiveEvent('activity-ended', activity);
+    return activity;
   }
 
   _broadcastStatus() {
@@ -732,11 +1206,40 @@ Be accurate and honest in your assessment.`;
         win.webContents.send('activity:status-update', status);
       }
     });
+
+    this._emitLiveEvent('status-update', status);
+  }
+
+  // Relay an event to live subscribers (the web dashboard's event stream)
+  _emitLiveEvent(event, data) {
+    internalBridge.emit('live-event', {
+      source: 'activity',
+      event,
+      data,
+      timestamp: Date.now()
+    });
   }
 
   // Settings Management
   async updateSettings(newSettings) {
     try {
+      if (newSettings.captureDisplays !== undefined && !CAPTURE_MODES.includes(newSettings.captureDisplays)) {
+        throw new Error(`Unknown display capture mode: ${newSettings.captureDisplays}`);
+      }
+      if (newSettings.captureDisplayIds !== undefined) {
+        if (!Array.isArray(newSettings.captureDisplayIds)) {
+          throw new Error('captureDisplayIds must be an array');
+        }
+        newSettings = { ...newSettings, captureDisplayIds: newSettings.captureDisplayIds.map(String) };
+      }
+      if (newSettings.idleThresholdMinutes !== undefined) {
+        const minutes = Number(newSettings.idleThresholdMinutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > 120) {
+          throw new Error('idleThresholdMinutes must be a whole number of minutes between 1 and 120');
+        }
+        newSettings = { ...newSettings, idleThresholdMinutes: minutes };
+      }
+
       const oldSettings = { ...this.settings };
       this.settings = { ...this.settings, ...newSettings };
       await activityRepository.saveSettings(this.settings);
@@ -751,6 +1254,11 @@ Be accurate and honest in your assessment.`;
         console.log('[Activity Service] Settings changed, restarting activity tracking');
         await this.stopActivityTracking();
         await this.startActivityTracking();
+      } else if (this.isTracking && (
+        this.settings.pauseWhenIdle !== oldSettings.pauseWhenIdle ||
+        this.settings.idleThresholdMinutes !== oldSettings.idleThresholdMinutes
+      )) {
+        this._updateIdleMonitor();
       }
       
       this._broadcastStatus();
@@ -761,6 +1269,53 @@ Be accurate and honest in your assessment.`;
     }
   }
 
+  // Productivity Rating Overrides
+  getProductivityOverrides() {
+    const scorer = new ProductivityScorer();
+    return {
+      ...this.productivityOverrides,
+      defaults: {
+        appRatings: scorer.appProductivityRatings,
+        timeModifiers: scorer.timeModifiers
+      }
+    };
+  }
+
+  async updateProductivityOverrides(overrides = {}) {
+    try {
+      const appRatings = {};
+      for (const [app, rating] of Object.entries(overrides.appRatings || {})) {
+        const key = app.trim().toLowerCase();
+        const value = Number(rating);
+        if (!key || Number.isNaN(value)) continue;
+        appRatings[key] = Math.max(0, Math.min(10, value));
+      }
+
+      const timeModifiers = {};
+      for (const [period, range] of Object.entries(overrides.timeModifiers || {})) {
+        const start = parseInt(range?.start, 10);
+        const end = parseInt(range?.end, 10);
+        const modifier = Number(range?.modifier);
+        if (!period.trim() || Number.isNaN(start) || Number.isNaN(end) || Number.isNaN(modifier)) continue;
+        if (start < 0 || end > 24 || start >= end) {
+          throw new Error(`Invalid hour range for ${period}: ${start}-${end}`);
+        }
+        timeModifiers[period.trim()] = { start, end, modifier: Math.max(0, Math.min(2, modifier)) };
+      }
+
+      this.productivityOverrides = { appRatings, timeModifiers };
+      this.heuristicAnalyzer.setProductivityOverrides(this.productivityOverrides);
+      await activityRepository.saveProductivityOverrides(this.productivityOverrides);
+      internalBridge.emit('activity:productivity-overrides-updated', this.productivityOverrides);
+
+      console.log(`[Activity Service] Saved ${Object.keys(appRatings).length} app rating and ${Object.keys(timeModifiers).length} time modifier overrides`);
+      return this.getProductivityOverrides();
+    } catch (error) {
+      console.error('[Activity Service] Failed to update productivity overrides:', error);
+      throw error;
+    }
+  }
+
   // Smart Insights Generation
   async generateInsights(timeframe = 'week') {
     try {
@@ -892,7 +1447,14 @@ Be accurate and honest in your assessment.`;
       captureHistory: this.captureHistory.slice(0, 10), // Last 10 captures
       nextCaptureIn: nextCaptureIn,
       autoCaptureEnabled: this.settings.enableAutoCapture,
-      manualCaptureAvailable: true
+      manualCaptureAvailable: true,
+      aiAnalysisPaused: usageService.isAutomaticAnalysisPaused(),
+      analysisCalls: { ...this.analysisCalls }, // AI analyses made, and skipped for unchanged screens
+      redaction: await redactionService.getStatus(), // Screenshots withheld from AI analysis while OCR is unavailable
+      away: this.idleMonitor.away
+        ? { since: new Date(this.idleMonitor.away.since).toISOString(), reason: this.idleMonitor.away.reason }
+        : null,
+      awayPeriods: this.awayPeriods.length
     };
   }
 
@@ -1032,9 +1594,12 @@ Be accurate and honest in your assessment.`;
   }
   
   _calculateProductivityScore(activity) {
+    if (activity.metadata?.productivity_override != null) return activity.metadata.productivity_override;
     if (!activity.metadata?.smart_analysis) return 5;
     
     const analysis = activity.metadata.smart_analysis;
+    if (analysis.source === 'heuristic' && analysis.productivity_score != null) return analysis.productivity_score;
+
     const productivity = analysis.details?.productivity_indicator;
     const category = activity.category;
     
@@ -1066,6 +1631,115 @@ Be accurate and honest in your assessment.`;
     return 'stable';
   }
 
+  /**
+   * Export tracked activities as an iCalendar document
+   * @param {Object} options - Export options
+   * @param {string} options.startDate - First day to include (YYYY-MM-DD)
+   * @param {string} options.endDate - Last day to include (YYYY-MM-DD)
+   * @returns {Promise<string>} iCalendar text
+   */
+  async exportCalendar({ startDate, endDate }) {
+    const activities = await activityRepository.getActivitiesBetweenDates(startDate, endDate);
+
+    const events = activities.map(activity => {
+      const start = new Date(activity.start_time);
+      const end = activity.end_time
+        ? new Date(activity.end_time)
+        : new Date(start.getTime() + (activity.duration_ms || 0));
+
+      const description = [
+        `Category: ${this._formatCategoryDisplay(activity.category || 'other')}`,
+        activity.project_name || activity.project_id ? `Project: ${activity.project_name || activity.project_id}` : null,
+        `Productivity score: ${Math.round(this._calculateProductivityScore(activity) * 10) / 10}/10`,
+        `Duration: ${this._formatDuration(end - start)}`
+      ].filter(Boolean).join('\n');
+
+      return {
+        uid: `${activity.id}@glass`,
+        start,
+        end,
+        summary: activity.title,
+        description,
+        categories: [this._formatCategoryDisplay(activity.category || 'other')],
+        status: 'CONFIRMED'
+      };
+    });
+
+    console.log(`[Activity Service] Exported ${events.length} activities to iCalendar`);
+    return buildCalendar(events, { name: 'Glass Activities' });
+  }
+
+  /**
+   * Import calendar events as planned activities. Re-importing the same calendar
+   * updates the previously imported events instead of duplicating them.
+   * @param {string} icsText - iCalendar document
+   * @returns {Promise<Object>} Counts of created, updated and skipped events
+   */
+  async importCalendar(icsText) {
+    const events = parseCalendar(icsText).filter(event => event.status !== 'CANCELLED');
+    if (events.length === 0) {
+      return { success: true, created: 0, updated: 0, skipped: 0, total: 0 };
+    }
+
+    const toDate = (date) => date.toISOString().split('T')[0];
+    const startTimes = events.map(event => event.start.getTime());
+    const existing = await activityRepository.getPlannedActivitiesBetweenDates(
+      toDate(new Date(Math.min(...startTimes))),
+      toDate(new Date(Math.max(...startTimes)))
+    );
+    const existingByUid = new Map(
+      existing
+        .filter(activity => activity.metadata?.ics_uid)
+        .map(activity => [activity.metadata.ics_uid, activity])
+    );
+
+    const knownCategories = this.settings.activityCategories.map(category => category.toLowerCase());
+    let created = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    for (const event of events) {
+      const end = event.end && event.end > event.start ? event.end : null;
+      if (!end) {
+        skipped++;
+        continue;
+      }
+
+      const category = event.categories
+        .map(name => name.toLowerCase())
+        .find(name => knownCategories.includes(name)) || 'other';
+
+      const activityData = {
+        title: event.summary || 'Planned activity',
+        category,
+        start_time: event.start.toISOString(),
+        end_time: end.toISOString(),
+        duration_ms: end - event.start,
+        metadata: {
+          source: 'ics',
+          ics_uid: event.uid || null,
+          description: event.description || null,
+          location: event.location || null,
+          all_day: !!event.allDay
+        }
+      };
+
+      const match = event.uid && existingByUid.get(event.uid);
+      if (match) {
+        await activityRepository.updateActivity(match.id, activityData);
+        updated++;
+      } else {
+        await activityRepository.createActivity({ ...activityData, status: 'planned' });
+        created++;
+      }
+    }
+
+    console.log(`[Activity Service] Imported calendar: ${created} created, ${updated} updated, ${skipped} skipped`);
+    this._emitLiveEvent('planned-activities-imported', { created, updated, skipped });
+
+    return { success: true, created, updated, skipped, total: events.length };
+  }
+
   // Utility method to create activity entries
   async createActivity(activityData) {
     try {
@@ -1080,7 +1754,13 @@ Be accurate and honest in your assessment.`;
   async performManualCapture() {
     try {
       console.log('[Activity Service] Performing manual capture and analysis...');
-      
+
+      const windowContext = await getActiveWindow();
+      const blocked = redactionService.checkWindow(windowContext, 'activity', { captureMode: this.settings.captureDisplays });
+      if (blocked.blocked) {
+        return { success: false, error: `Capture skipped: ${blocked.reason}`, type: 'manual_capture_blocked' };
+      }
+
       // Capture screenshot
       const screenshot = await this.captureScreenshot();
       if (!screenshot.success) {
@@ -1090,8 +1770,9 @@ Be accurate and honest in your assessment.`;
 
       this.lastScreenshot = screenshot;
       
-      // Analyze with AI if enabled
-      if (!this.settings.enableSmartAnalysis) {
+      // Categorization rules first, then AI if enabled
+      const analysis = await this._analyzeCapture(screenshot, { windowContext });
+      if (!analysis && !this.settings.enableSmartAnalysis) {
         const summary = 'Screenshot captured (Gemini AI analysis disabled)';
         console.log(`[Activity Service] Manual capture completed. ${summary}`);
         return {
@@ -1103,9 +1784,8 @@ Be accurate and honest in your assessment.`;
         };
       }
 
-      const analysis = await this.analyzeScreenshot(screenshot.base64);
       if (!analysis) {
-        const summary = 'Screenshot captured but AI analysis failed';
+        const summary = 'Screenshot captured but analysis failed';
         console.log(`[Activity Service] Manual capture completed with warning. ${summary}`);
         return {
           success: true,
@@ -1118,6 +1798,7 @@ Be accurate and honest in your assessment.`;
       }
       
       this.lastAnalysis = analysis;
+      this._emitLiveEvent('analysis', { analysis, timestamp: screenshot.timestamp, manual: true });
 
       // Store capture in history
       const captureRecord = {
@@ -0,0 +1,78 @@
+// Presence detection for activity tracking. Someone is away when there has been no keyboard or
+// mouse input for the idle threshold, the screen is locked or the system is suspended. Idle time
+// is polled; lock and suspend are reported by the system as they happen.
+
+const { EventEmitter } = require('events');
+const { powerMonitor } = require('electron');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Emits 'away' with { since, reason } once an absence starts, where `since` is the time of the
+ * last input for idleness, and 'back' with { since, until, reason } when it ends. Reason is
+ * 'idle', 'locked' or 'suspended'.
+ */
+class IdleMonitor extends EventEmitter {
+  constructor() {
+    super();
+    this.thresholdMs = 5 * 60 * 1000;
+    this.away = null;
+    this.pollTimer = null;
+    this.systemListeners = null;
+  }
+
+  /**
+   * @param {number} thresholdMs - Time without input after which someone counts as away
+   */
+  start(thresholdMs) {
+    this.stop();
+    this.thresholdMs = thresholdMs;
+    this.systemListeners = {
+      'lock-screen': () => this._markAway('locked'),
+      'suspend': () => this._markAway('suspended'),
+      // Back only once there is input again; the screen may still be locked after waking
+      'unlock-screen': () => this.check(),
+      'resume': () => this.check()
+    };
+    for (const [event, listener] of Object.entries(this.systemListeners)) {
+      powerMonitor.on(event, listener);
+    }
+    this.pollTimer = setInterval(() => this.check(), POLL_INTERVAL_MS);
+  }
+
+  // An absence in progress ends without a 'back' event
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.systemListeners) {
+      for (const [event, listener] of Object.entries(this.systemListeners)) {
+        powerMonitor.removeListener(event, listener);
+      }
+      this.systemListeners = null;
+    }
+    this.away = null;
+  }
+
+  check() {
+    const state = powerMonitor.getSystemIdleState(Math.max(1, Math.round(this.thresholdMs / 1000)));
+    if (state === 'idle') {
+      this._markAway('idle', Date.now() - powerMonitor.getSystemIdleTime() * 1000);
+    } else if (state === 'locked') {
+      this._markAway('locked');
+    } else if (this.away) {
+      const period = { ...this.away, until: Date.now() };
+      this.away = null;
+      this.emit('back', period);
+    }
+  }
+
+  _markAway(reason, since = Date.now()) {
+    if (this.away) return;
+    this.away = { since, reason };
+    this.emit('away', { ...this.away });
+  }
+}
+
+module.exports = IdleMonitor;
@@ -126,7 +126,9 @@ class ActivityFirebaseRepository {
                 .orderBy('start_time', 'asc')
                 .get();
 
-            return snapshot.docs.map(doc => doc.data());
+            return snapshot.docs
+                .map(doc => doc.data())
+                .filter(activity => activity.status !== 'planned');
         } catch (error) {
             console.error('[Activity Firebase Repository] Failed to get activities by date:', error);
             return [];
@@ -152,13 +154,43 @@ class ActivityFirebaseRepository {
                 .orderBy('start_time', 'asc')
                 .get();
 
-            return snapshot.docs.map(doc => doc.data());
+            return snapshot.docs
+                .map(doc => doc.data())
+                .filter(activity => activity.status !== 'planned');
         } catch (error) {
             console.error('[Activity Firebase Repository] Failed to get activities between dates:', error);
             return [];
         }
     }
 
+    // Planned activities (e.g. imported from a calendar) are kept out of the tracked-time queries above
+    async getPlannedActivitiesBetweenDates(startDate, endDate, uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const start = new Date(startDate);
+            start.setHours(0, 0, 0, 0);
+            const end = new Date(endDate);
+            end.setHours(23, 59, 59, 999);
+
+            const snapshot = await this.firestore
+                .collection('activities')
+                .where('uid', '==', uid)
+                .where('status', '==', 'planned')
+                .where('start_time', '>=', start.toISOString())
+                .where('start_time', '<=', end.toISOString())
+                .orderBy('start_time', 'asc')
+                .get();
+
+            return snapshot.docs.map(doc => doc.data());
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to get planned activities:', error);
+            return [];
+        }
+    }
+
     async getGoals(uid) {
         try {
             if (!this.firestore) {
@@ -232,7 +264,12 @@ class ActivityFirebaseRepository {
                     captureInterval: data.capture_interval,
                     enableAIAnalysis: data.enable_ai_analysis,
                     privacyMode: data.privacy_mode,
-                    activityCategories: data.activity_categories || ['Focus', 'Communication', 'Research', 'Break', 'Creative', 'Other']
+                    activityCategories: data.activity_categories || ['Focus', 'Communication', 'Research', 'Break', 'Creative', 'Other'],
+                    captureDisplays: data.capture_displays || 'focused',
+                    captureDisplayIds: data.capture_display_ids || [],
+                    pauseWhenIdle: data.pause_when_idle !== false,
+                    idleThresholdMinutes: data.idle_threshold_minutes || 5,
+                    askOnReturn: data.ask_on_return !== false
                 };
             }
 
@@ -260,6 +297,11 @@ class ActivityFirebaseRepository {
                     enable_ai_analysis: settings.enableAIAnalysis !== false,
                     privacy_mode: settings.privacyMode === true,
                     activity_categories: settings.activityCategories || ['Focus', 'Communication', 'Research', 'Break', 'Creative', 'Other'],
+                    capture_displays: settings.captureDisplays || 'focused',
+                    capture_display_ids: settings.captureDisplayIds || [],
+                    pause_when_idle: settings.pauseWhenIdle !== false,
+                    idle_threshold_minutes: settings.idleThresholdMinutes || 5,
+                    ask_on_return: settings.askOnReturn !== false,
                     created_at: now,
                     updated_at: now
                 }, { merge: true });
@@ -272,7 +314,328 @@ class ActivityFirebaseRepository {
         }
     }
 
+    // Productivity Rating Overrides
+    async getProductivityOverrides(uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const doc = await this.firestore
+                .collection('activity_productivity_overrides')
+                .doc(uid)
+                .get();
+
+            if (doc.exists) {
+                const data = doc.data();
+                return {
+                    appRatings: data.app_ratings || {},
+                    timeModifiers: data.time_modifiers || {}
+                };
+            }
+
+            return { appRatings: {}, timeModifiers: {} };
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to get productivity overrides:', error);
+            throw error;
+        }
+    }
+
+    async saveProductivityOverrides(overrides, uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            await this.firestore
+                .collection('activity_productivity_overrides')
+                .doc(uid)
+                .set({
+                    uid,
+                    app_ratings: overrides.appRatings || {},
+                    time_modifiers: overrides.timeModifiers || {},
+                    updated_at: new Date().toISOString()
+                });
+
+            console.log(`[Activity Firebase Repository] Saved productivity overrides for user: ${uid}`);
+            return true;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to save productivity overrides:', error);
+            throw error;
+        }
+    }
+
     // Capture Data Storage
+    // Planned time blocks
+    async getTimeBlocksBetweenDates(startDate, endDate, uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const snapshot = await this.firestore
+                .collection('activity_time_blocks')
+                .where('uid', '==', uid)
+                .where('date', '>=', startDate)
+                .where('date', '<=', endDate)
+                .get();
+
+            return snapshot.docs
+                .map(doc => doc.data())
+                .sort((a, b) => a.start_time.localeCompare(b.start_time));
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to get time blocks:', error);
+            return [];
+        }
+    }
+
+    async getTimeBlockById(blockId, uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const doc = await this.firestore
+                .collection('activity_time_blocks')
+                .doc(blockId)
+                .get();
+
+            if (doc.exists && doc.data().uid === uid) {
+                return doc.data();
+            }
+
+            return null;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to get time block:', error);
+            throw error;
+        }
+    }
+
+    async createTimeBlock(blockData) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const now = new Date().toISOString();
+            const block = {
+                id: uuidv4(),
+                uid: blockData.uid,
+                date: blockData.date,
+                title: blockData.title,
+                category: blockData.category || null,
+                project_id: blockData.project_id || null,
+                project_name: blockData.project_name || null,
+                start_time: blockData.start_time,
+                end_time: blockData.end_time,
+                notes: blockData.notes || null,
+                created_at: now,
+                updated_at: now
+            };
+
+            await this.firestore
+                .collection('activity_time_blocks')
+                .doc(block.id)
+                .set(block);
+
+            console.log(`[Activity Firebase Repository] Created time block: ${block.id}`);
+            return block;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to create time block:', error);
+            throw error;
+        }
+    }
+
+    async updateTimeBlock(blockId, updates) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const existing = await this.getTimeBlockById(blockId, updates.uid);
+            if (!existing) {
+                return false;
+            }
+
+            const updateData = { ...updates };
+            delete updateData.id;
+            delete updateData.uid;
+            delete updateData.created_at;
+            updateData.updated_at = new Date().toISOString();
+
+            await this.firestore
+                .collection('activity_time_blocks')
+                .doc(blockId)
+                .update(updateData);
+
+            console.log(`[Activity Firebase Repository] Updated time block: ${blockId}`);
+            return true;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to update time block:', error);
+            throw error;
+        }
+    }
+
+    async deleteTimeBlock(blockId, uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const existing = await this.getTimeBlockById(blockId, uid);
+            if (!existing) {
+                return false;
+            }
+
+            await this.firestore
+                .collection('activity_time_blocks')
+                .doc(blockId)
+                .delete();
+
+            console.log(`[Activity Firebase Repository] Deleted time block: ${blockId}`);
+            return true;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to delete time block:', error);
+            throw error;
+        }
+    }
+
+    // Categorization rules
+    async getCategorizationRules(uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const snapshot = await this.firestore
+                .collection('activity_categorization_rules')
+                .where('uid', '==', uid)
+                .get();
+
+            return snapshot.docs
+                .map(doc => doc.data())
+                .sort((a, b) => (a.priority || 0) - (b.priority || 0) || a.created_at.localeCompare(b.created_at));
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to get categorization rules:', error);
+            return [];
+        }
+    }
+
+    async getCategorizationRuleById(ruleId, uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const doc = await this.firestore
+                .collection('activity_categorization_rules')
+                .doc(ruleId)
+                .get();
+
+            if (doc.exists && doc.data().uid === uid) {
+                return doc.data();
+            }
+
+            return null;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to get categorization rule:', error);
+            throw error;
+        }
+    }
+
+    async createCategorizationRule(ruleData) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const now = new Date().toISOString();
+            const rule = {
+                id: uuidv4(),
+                uid: ruleData.uid,
+                name: ruleData.name,
+                enabled: ruleData.enabled !== false,
+                priority: ruleData.priority || 0,
+                match_app: ruleData.match_app || null,
+                match_title: ruleData.match_title || null,
+                match_domain: ruleData.match_domain || null,
+                start_hour: ruleData.start_hour ?? null,
+                end_hour: ruleData.end_hour ?? null,
+                category: ruleData.category || null,
+                project_id: ruleData.project_id || null,
+                project_name: ruleData.project_name || null,
+                productivity_score: ruleData.productivity_score ?? null,
+                created_at: now,
+                updated_at: now
+            };
+
+            await this.firestore
+                .collection('activity_categorization_rules')
+                .doc(rule.id)
+                .set(rule);
+
+            console.log(`[Activity Firebase Repository] Created categorization rule: ${rule.id}`);
+            return rule;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to create categorization rule:', error);
+            throw error;
+        }
+    }
+
+    async updateCategorizationRule(ruleId, updates) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const existing = await this.getCategorizationRuleById(ruleId, updates.uid);
+            if (!existing) {
+                return false;
+            }
+
+            const updateData = { ...updates };
+            delete updateData.id;
+            delete updateData.uid;
+            delete updateData.created_at;
+            updateData.updated_at = new Date().toISOString();
+
+            await this.firestore
+                .collection('activity_categorization_rules')
+                .doc(ruleId)
+                .update(updateData);
+
+            console.log(`[Activity Firebase Repository] Updated categorization rule: ${ruleId}`);
+            return true;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to update categorization rule:', error);
+            throw error;
+        }
+    }
+
+    async deleteCategorizationRule(ruleId, uid) {
+        try {
+            if (!this.firestore) {
+                throw new Error('Firestore not initialized');
+            }
+
+            const existing = await this.getCategorizationRuleById(ruleId, uid);
+            if (!existing) {
+                return false;
+            }
+
+            await this.firestore
+                .collection('activity_categorization_rules')
+                .doc(ruleId)
+                .delete();
+
+            console.log(`[Activity Firebase Repository] Deleted categorization rule: ${ruleId}`);
+            return true;
+        } catch (error) {
+            console.error('[Activity Firebase Repository] Failed to delete categorization rule:', error);
+            throw error;
+        }
+    }
+
     async storeCaptureData(captureData, uid) {
         try {
             if (!this.firestore) {
@@ -350,7 +713,9 @@ class ActivityFirebaseRepository {
                 .where('start_time', '<=', end.toISOString())
                 .get();
 
-            const activities = snapshot.docs.map(doc => doc.data());
+            const activities = snapshot.docs
+                .map(doc => doc.data())
+                .filter(activity => activity.status !== 'planned');
             const categoryStats = {};
 
             activities.forEach(activity => {
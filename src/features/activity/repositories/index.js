@@ -41,6 +41,11 @@ const activityRepositoryAdapter = {
         return getBaseRepository().getActivitiesBetweenDates(startDate, endDate, uid);
     },
 
+    getPlannedActivitiesBetweenDates: (startDate, endDate) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getPlannedActivitiesBetweenDates(startDate, endDate, uid);
+    },
+
     getGoals: () => {
         const uid = authService.getCurrentUserId();
         return getBaseRepository().getGoals(uid);
@@ -62,6 +67,69 @@ const activityRepositoryAdapter = {
         return getBaseRepository().saveSettings(settings, uid);
     },
 
+    // Productivity rating override methods
+    getProductivityOverrides: () => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getProductivityOverrides(uid);
+    },
+
+    saveProductivityOverrides: (overrides) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().saveProductivityOverrides(overrides, uid);
+    },
+
+    // Planned time block methods
+    getTimeBlocksBetweenDates: (startDate, endDate) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getTimeBlocksBetweenDates(startDate, endDate, uid);
+    },
+
+    getTimeBlockById: (blockId) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getTimeBlockById(blockId, uid);
+    },
+
+    createTimeBlock: (blockData) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().createTimeBlock({ uid, ...blockData });
+    },
+
+    updateTimeBlock: (blockId, updates) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().updateTimeBlock(blockId, { uid, ...updates });
+    },
+
+    deleteTimeBlock: (blockId) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().deleteTimeBlock(blockId, uid);
+    },
+
+    // Categorization rule methods
+    getCategorizationRules: () => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getCategorizationRules(uid);
+    },
+
+    getCategorizationRuleById: (ruleId) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getCategorizationRuleById(ruleId, uid);
+    },
+
+    createCategorizationRule: (ruleData) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().createCategorizationRule({ uid, ...ruleData });
+    },
+
+    updateCategorizationRule: (ruleId, updates) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().updateCategorizationRule(ruleId, { uid, ...updates });
+    },
+
+    deleteCategorizationRule: (ruleId) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().deleteCategorizationRule(ruleId, uid);
+    },
+
     // Capture data methods
     storeCaptureData: (captureData) => {
         const uid = authService.getCurrentUserId();
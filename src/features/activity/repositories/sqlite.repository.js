@@ -161,6 +161,7 @@ class ActivitySQLiteRepository {
                 SELECT * FROM activities 
                 WHERE uid = ? 
                 AND date(start_time) = date(?)
+                AND status IS NOT 'planned'
             `;
             const params = [uid, date];
 
@@ -197,6 +198,7 @@ class ActivitySQLiteRepository {
                 WHERE uid = ? 
                 AND date(start_time) >= date(?)
                 AND date(start_time) <= date(?)
+                AND status IS NOT 'planned'
                 ORDER BY start_time ASC
             `).all(uid, startDate, endDate);
 
@@ -216,6 +218,35 @@ class ActivitySQLiteRepository {
         }
     }
 
+    // Planned activities (e.g. imported from a calendar) are kept out of the tracked-time queries above
+    async getPlannedActivitiesBetweenDates(startDate, endDate, uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            const rows = await db.prepare(`
+                SELECT * FROM activities 
+                WHERE uid = ? 
+                AND status = 'planned'
+                AND date(start_time) >= date(?)
+                AND date(start_time) <= date(?)
+                ORDER BY start_time ASC
+            `).all(uid, startDate, endDate);
+
+            return rows.map(row => {
+                if (row.metadata) {
+                    try {
+                        row.metadata = JSON.parse(row.metadata);
+                    } catch (e) {
+                        row.metadata = null;
+                    }
+                }
+                return row;
+            });
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to get planned activities:', error);
+            return [];
+        }
+    }
+
     async getGoals(uid) {
         try {
             const db = await sqliteClient.getDb();
@@ -266,7 +297,8 @@ class ActivitySQLiteRepository {
         try {
             const db = await sqliteClient.getDb();
             const row = await db.prepare(`
-                SELECT capture_interval, enable_ai_analysis, privacy_mode, activity_categories
+                SELECT capture_interval, enable_ai_analysis, privacy_mode, activity_categories, capture_displays, capture_display_ids,
+                    pause_when_idle, idle_threshold_minutes, ask_on_return
                 FROM activity_settings 
                 WHERE uid = ?
             `).get(uid);
@@ -276,7 +308,12 @@ class ActivitySQLiteRepository {
                     captureInterval: row.capture_interval,
                     enableAIAnalysis: row.enable_ai_analysis === 1,
                     privacyMode: row.privacy_mode === 1,
-                    activityCategories: row.activity_categories ? row.activity_categories.split(',') : ['Focus', 'Communication', 'Research', 'Break', 'Creative', 'Other']
+                    activityCategories: row.activity_categories ? row.activity_categories.split(',') : ['Focus', 'Communication', 'Research', 'Break', 'Creative', 'Other'],
+                    captureDisplays: row.capture_displays || 'focused',
+                    captureDisplayIds: row.capture_display_ids ? JSON.parse(row.capture_display_ids) : [],
+                    pauseWhenIdle: row.pause_when_idle !== 0,
+                    idleThresholdMinutes: row.idle_threshold_minutes || 5,
+                    askOnReturn: row.ask_on_return !== 0
                 };
             }
 
@@ -294,14 +331,21 @@ class ActivitySQLiteRepository {
 
             await db.prepare(`
                 INSERT OR REPLACE INTO activity_settings (
-                    id, uid, capture_interval, enable_ai_analysis, privacy_mode, activity_categories, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    id, uid, capture_interval, enable_ai_analysis, privacy_mode, activity_categories,
+                    capture_displays, capture_display_ids, pause_when_idle, idle_threshold_minutes, ask_on_return,
+                    created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `).run(
                 uuidv4(), uid, 
                 settings.captureInterval || 900000,
                 settings.enableAIAnalysis ? 1 : 0,
                 settings.privacyMode ? 1 : 0,
                 Array.isArray(settings.activityCategories) ? settings.activityCategories.join(',') : 'Focus,Communication,Research,Break,Creative,Other',
+                settings.captureDisplays || 'focused',
+                JSON.stringify(settings.captureDisplayIds || []),
+                settings.pauseWhenIdle === false ? 0 : 1,
+                settings.idleThresholdMinutes || 5,
+                settings.askOnReturn === false ? 0 : 1,
                 now, now
             );
 
@@ -313,7 +357,314 @@ class ActivitySQLiteRepository {
         }
     }
 
+    // Productivity Rating Overrides
+    async getProductivityOverrides(uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            const rows = await db.prepare(`
+                SELECT override_type, target, value, start_hour, end_hour
+                FROM activity_productivity_overrides
+                WHERE uid = ?
+                ORDER BY target ASC
+            `).all(uid);
+
+            const overrides = { appRatings: {}, timeModifiers: {} };
+            rows.forEach(row => {
+                if (row.override_type === 'app') {
+                    overrides.appRatings[row.target] = row.value;
+                } else if (row.override_type === 'time') {
+                    overrides.timeModifiers[row.target] = {
+                        start: row.start_hour,
+                        end: row.end_hour,
+                        modifier: row.value
+                    };
+                }
+            });
+
+            return overrides;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to get productivity overrides:', error);
+            throw error;
+        }
+    }
+
+    async saveProductivityOverrides(overrides, uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            const now = new Date().toISOString();
+
+            const insert = db.prepare(`
+                INSERT INTO activity_productivity_overrides (
+                    id, uid, override_type, target, value, start_hour, end_hour, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            // Overrides are always saved as a complete set, replacing the previous one
+            db.transaction(() => {
+                db.prepare('DELETE FROM activity_productivity_overrides WHERE uid = ?').run(uid);
+
+                for (const [app, rating] of Object.entries(overrides.appRatings || {})) {
+                    insert.run(`${uid}:app:${app}`, uid, 'app', app, rating, null, null, now, now);
+                }
+                for (const [period, range] of Object.entries(overrides.timeModifiers || {})) {
+                    insert.run(`${uid}:time:${period}`, uid, 'time', period, range.modifier, range.start, range.end, now, now);
+                }
+            })();
+
+            console.log(`[Activity SQLite Repository] Saved productivity overrides for user: ${uid}`);
+            return true;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to save productivity overrides:', error);
+            throw error;
+        }
+    }
+
     // Capture Data Storage
+    // Planned time blocks
+    async getTimeBlocksBetweenDates(startDate, endDate, uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            return await db.prepare(`
+                SELECT * FROM activity_time_blocks
+                WHERE uid = ?
+                AND date >= ?
+                AND date <= ?
+                ORDER BY start_time ASC
+            `).all(uid, startDate, endDate);
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to get time blocks:', error);
+            return [];
+        }
+    }
+
+    async getTimeBlockById(blockId, uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            const row = await db.prepare(`
+                SELECT * FROM activity_time_blocks
+                WHERE id = ? AND uid = ?
+            `).get(blockId, uid);
+
+            return row || null;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to get time block:', error);
+            throw error;
+        }
+    }
+
+    async createTimeBlock(blockData) {
+        try {
+            const db = await sqliteClient.getDb();
+            const now = new Date().toISOString();
+
+            const block = {
+                id: uuidv4(),
+                uid: blockData.uid,
+                date: blockData.date,
+                title: blockData.title,
+                category: blockData.category || null,
+                project_id: blockData.project_id || null,
+                project_name: blockData.project_name || null,
+                start_time: blockData.start_time,
+                end_time: blockData.end_time,
+                notes: blockData.notes || null,
+                created_at: now,
+                updated_at: now
+            };
+
+            await db.prepare(`
+                INSERT INTO activity_time_blocks (
+                    id, uid, date, title, category, project_id, project_name,
+                    start_time, end_time, notes, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                block.id, block.uid, block.date, block.title, block.category,
+                block.project_id, block.project_name, block.start_time, block.end_time,
+                block.notes, block.created_at, block.updated_at
+            );
+
+            console.log(`[Activity SQLite Repository] Created time block: ${block.id}`);
+            return block;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to create time block:', error);
+            throw error;
+        }
+    }
+
+    async updateTimeBlock(blockId, updates) {
+        try {
+            const db = await sqliteClient.getDb();
+            const editable = ['date', 'title', 'category', 'project_id', 'project_name', 'start_time', 'end_time', 'notes'];
+
+            const setClauses = [];
+            const values = [];
+            Object.entries(updates).forEach(([key, value]) => {
+                if (editable.includes(key)) {
+                    setClauses.push(`${key} = ?`);
+                    values.push(value);
+                }
+            });
+
+            setClauses.push('updated_at = ?');
+            values.push(new Date().toISOString(), blockId, updates.uid);
+
+            const result = await db.prepare(`
+                UPDATE activity_time_blocks
+                SET ${setClauses.join(', ')}
+                WHERE id = ? AND uid = ?
+            `).run(...values);
+
+            console.log(`[Activity SQLite Repository] Updated time block: ${blockId}`);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to update time block:', error);
+            throw error;
+        }
+    }
+
+    async deleteTimeBlock(blockId, uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            const result = await db.prepare(`
+                DELETE FROM activity_time_blocks
+                WHERE id = ? AND uid = ?
+            `).run(blockId, uid);
+
+            console.log(`[Activity SQLite Repository] Deleted time block: ${blockId}`);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to delete time block:', error);
+            throw error;
+        }
+    }
+
+    // Categorization rules
+    async getCategorizationRules(uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            const rows = await db.prepare(`
+                SELECT * FROM activity_categorization_rules
+                WHERE uid = ?
+                ORDER BY priority ASC, created_at ASC
+            `).all(uid);
+
+            return rows.map(row => ({ ...row, enabled: row.enabled !== 0 }));
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to get categorization rules:', error);
+            return [];
+        }
+    }
+
+    async getCategorizationRuleById(ruleId, uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            const row = await db.prepare(`
+                SELECT * FROM activity_categorization_rules
+                WHERE id = ? AND uid = ?
+            `).get(ruleId, uid);
+
+            return row ? { ...row, enabled: row.enabled !== 0 } : null;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to get categorization rule:', error);
+            throw error;
+        }
+    }
+
+    async createCategorizationRule(ruleData) {
+        try {
+            const db = await sqliteClient.getDb();
+            const now = new Date().toISOString();
+
+            const rule = {
+                id: uuidv4(),
+                uid: ruleData.uid,
+                name: ruleData.name,
+                enabled: ruleData.enabled !== false,
+                priority: ruleData.priority || 0,
+                match_app: ruleData.match_app || null,
+                match_title: ruleData.match_title || null,
+                match_domain: ruleData.match_domain || null,
+                start_hour: ruleData.start_hour ?? null,
+                end_hour: ruleData.end_hour ?? null,
+                category: ruleData.category || null,
+                project_id: ruleData.project_id || null,
+                project_name: ruleData.project_name || null,
+                productivity_score: ruleData.productivity_score ?? null,
+                created_at: now,
+                updated_at: now
+            };
+
+            await db.prepare(`
+                INSERT INTO activity_categorization_rules (
+                    id, uid, name, enabled, priority, match_app, match_title, match_domain,
+                    start_hour, end_hour, category, project_id, project_name, productivity_score,
+                    created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                rule.id, rule.uid, rule.name, rule.enabled ? 1 : 0, rule.priority,
+                rule.match_app, rule.match_title, rule.match_domain, rule.start_hour, rule.end_hour,
+                rule.category, rule.project_id, rule.project_name, rule.productivity_score,
+                rule.created_at, rule.updated_at
+            );
+
+            console.log(`[Activity SQLite Repository] Created categorization rule: ${rule.id}`);
+            return rule;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to create categorization rule:', error);
+            throw error;
+        }
+    }
+
+    async updateCategorizationRule(ruleId, updates) {
+        try {
+            const db = await sqliteClient.getDb();
+            const editable = [
+                'name', 'enabled', 'priority', 'match_app', 'match_title', 'match_domain',
+                'start_hour', 'end_hour', 'category', 'project_id', 'project_name', 'productivity_score'
+            ];
+
+            const setClauses = [];
+            const values = [];
+            Object.entries(updates).forEach(([key, value]) => {
+                if (editable.includes(key)) {
+                    setClauses.push(`${key} = ?`);
+                    values.push(key === 'enabled' ? (value ? 1 : 0) : value);
+                }
+            });
+
+            setClauses.push('updated_at = ?');
+            values.push(new Date().toISOString(), ruleId, updates.uid);
+
+            const result = await db.prepare(`
+                UPDATE activity_categorization_rules
+                SET ${setClauses.join(', ')}
+                WHERE id = ? AND uid = ?
+            `).run(...values);
+
+            console.log(`[Activity SQLite Repository] Updated categorization rule: ${ruleId}`);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to update categorization rule:', error);
+            throw error;
+        }
+    }
+
+    async deleteCategorizationRule(ruleId, uid) {
+        try {
+            const db = await sqliteClient.getDb();
+            const result = await db.prepare(`
+                DELETE FROM activity_categorization_rules
+                WHERE id = ? AND uid = ?
+            `).run(ruleId, uid);
+
+            console.log(`[Activity SQLite Repository] Deleted categorization rule: ${ruleId}`);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('[Activity SQLite Repository] Failed to delete categorization rule:', error);
+            throw error;
+        }
+    }
+
     async storeCaptureData(captureData, uid) {
         try {
             const db = await sqliteClient.getDb();
@@ -386,6 +737,7 @@ class ActivitySQLiteRepository {
                 WHERE uid = ? 
                 AND date(start_time) >= date(?)
                 AND date(start_time) <= date(?)
+                AND status IS NOT 'planned'
                 GROUP BY category
             `).all(uid, startDate, endDate);
 
@@ -0,0 +1,260 @@
+// User-defined categorization rules. Rules are evaluated against the foreground window
+// before any AI call; the first enabled rule (lowest priority value) whose conditions all
+// hold decides the category, project and/or productivity score of the capture.
+
+const CONDITION_FIELDS = ['match_app', 'match_title', 'match_domain', 'start_hour'];
+const ACTION_FIELDS = ['category', 'project_id', 'project_name', 'productivity_score'];
+const MAX_SAMPLES = 20;
+
+function normalizeDomain(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/:?#].*$/, '')
+    .replace(/^(\*\.|www\.)/, '');
+}
+
+function hostnameOf(url) {
+  if (!url) return null;
+  try {
+    return new URL(/^[a-z]+:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function optionalHour(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const hour = Number(value);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 24) {
+    throw new Error(`${field} must be a whole hour between 0 and 24`);
+  }
+  return hour;
+}
+
+function optionalString(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+class CategorizationRuleEngine {
+  constructor(rules = []) {
+    this.setRules(rules);
+  }
+
+  /**
+   * Replace the active rule set. Disabled rules and rules whose pattern no longer compiles are skipped.
+   * @param {Array<Object>} rules - Stored rules
+   */
+  setRules(rules = []) {
+    this.rules = rules
+      .filter(rule => rule.enabled !== false && rule.enabled !== 0)
+      .map(rule => {
+        try {
+          return { rule, titlePattern: rule.match_title ? new RegExp(rule.match_title, 'i') : null };
+        } catch (error) {
+          console.warn(`[Rule Engine] Skipping rule "${rule.name}": ${error.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.rule.priority || 0) - (b.rule.priority || 0) ||
+        String(a.rule.created_at || '').localeCompare(String(b.rule.created_at || '')));
+  }
+
+  /**
+   * Find the first rule matching a capture context
+   * @param {Object} context - { app, title, url, timestamp }
+   * @returns {Object|null} { rule, actions } or null
+   */
+  evaluate(context) {
+    const match = this.rules.find(compiled => this._matches(compiled, context));
+    return match ? { rule: match.rule, actions: CategorizationRuleEngine.actionsOf(match.rule) } : null;
+  }
+
+  /**
+   * Replay a single rule over recorded activities without changing them
+   * @param {Object} rule - A validated rule
+   * @param {Array<Object>} activities - Recorded activities
+   * @returns {Object} Match counts, minutes affected, category changes and sample matches
+   */
+  dryRun(rule, activities) {
+    const compiled = { rule, titlePattern: rule.match_title ? new RegExp(rule.match_title, 'i') : null };
+    const actions = CategorizationRuleEngine.actionsOf(rule);
+    const report = {
+      evaluated: 0,
+      matched: 0,
+      matchedMinutes: 0,
+      changed: 0,
+      withoutWindowContext: 0,
+      categoryChanges: {},
+      samples: []
+    };
+
+    for (const activity of activities) {
+      if (activity.status === 'planned') continue;
+      report.evaluated++;
+
+      const context = CategorizationRuleEngine.contextFromActivity(activity);
+      if (!context.fromWindow) report.withoutWindowContext++;
+      if (!this._matches(compiled, context)) continue;
+
+      report.matched++;
+      report.matchedMinutes += Math.round((activity.duration_ms || 0) / 60000);
+
+      const categoryChanges = actions.category && actions.category !== activity.category;
+      const projectChanges = (actions.project_id || actions.project_name) &&
+        (actions.project_id || null) !== (activity.project_id || null);
+      if (categoryChanges || projectChanges) {
+        report.changed++;
+      }
+      if (categoryChanges) {
+        const transition = `${activity.category || 'uncategorized'} → ${actions.category}`;
+        report.categoryChanges[transition] = (report.categoryChanges[transition] || 0) + 1;
+      }
+
+      if (report.samples.length < MAX_SAMPLES) {
+        report.samples.push({
+          id: activity.id,
+          title: activity.title,
+          start_time: activity.start_time,
+          app: context.app,
+          category: activity.category,
+          newCategory: actions.category || activity.category
+        });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Normalize user input into a storable rule, rejecting rules that could never match or do nothing
+   * @param {Object} input - Rule fields from the API
+   * @param {Object} options - { categories } allowed category names
+   * @returns {Object} Normalized rule fields
+   */
+  static validate(input = {}, { categories = [] } = {}) {
+    const name = optionalString(input.name);
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+
+    const matchTitle = optionalString(input.match_title);
+    if (matchTitle) {
+      try {
+        new RegExp(matchTitle, 'i');
+      } catch (error) {
+        throw new Error(`Invalid title pattern: ${error.message}`);
+      }
+    }
+
+    const matchDomain = input.match_domain ? normalizeDomain(input.match_domain) : null;
+    if (matchDomain !== null && !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(matchDomain)) {
+      throw new Error(`Invalid domain: ${input.match_domain}`);
+    }
+
+    const startHour = optionalHour(input.start_hour, 'start_hour');
+    const endHour = optionalHour(input.end_hour, 'end_hour');
+    if ((startHour === null) !== (endHour === null)) {
+      throw new Error('start_hour and end_hour must be given together');
+    }
+    if (startHour !== null && startHour === endHour) {
+      throw new Error('Hour range cannot be empty');
+    }
+
+    let category = optionalString(input.category);
+    if (category) {
+      category = category.toLowerCase();
+      const allowed = categories.map(c => c.toLowerCase());
+      if (allowed.length > 0 && !allowed.includes(category)) {
+        throw new Error(`Unknown category "${input.category}". Expected one of: ${categories.join(', ')}`);
+      }
+    }
+
+    let productivityScore = null;
+    if (input.productivity_score !== undefined && input.productivity_score !== null && input.productivity_score !== '') {
+      productivityScore = Number(input.productivity_score);
+      if (Number.isNaN(productivityScore) || productivityScore < 0 || productivityScore > 10) {
+        throw new Error('productivity_score must be between 0 and 10');
+      }
+    }
+
+    const rule = {
+      name,
+      enabled: input.enabled !== false && input.enabled !== 0,
+      priority: Number.isInteger(Number(input.priority)) ? Number(input.priority) : 0,
+      match_app: optionalString(input.match_app),
+      match_title: matchTitle,
+      match_domain: matchDomain,
+      start_hour: startHour,
+      end_hour: endHour,
+      category,
+      project_id: optionalString(input.project_id),
+      project_name: optionalString(input.project_name),
+      productivity_score: productivityScore
+    };
+
+    if (!CONDITION_FIELDS.some(field => rule[field] !== null)) {
+      throw new Error('Rule needs at least one condition (app, title, domain or hours)');
+    }
+    if (!ACTION_FIELDS.some(field => rule[field] !== null)) {
+      throw new Error('Rule needs at least one action (category, project or productivity score)');
+    }
+
+    return rule;
+  }
+
+  static actionsOf(rule) {
+    return {
+      category: rule.category || null,
+      project_id: rule.project_id || null,
+      project_name: rule.project_name || null,
+      productivity_score: rule.productivity_score ?? null
+    };
+  }
+
+  /**
+   * Rebuild the capture context of a recorded activity. Activities recorded before window
+   * context was captured fall back to their primary application and title.
+   */
+  static contextFromActivity(activity) {
+    const window = activity.metadata?.window;
+    return {
+      app: window?.app || activity.metadata?.primary_application || null,
+      title: window?.title || activity.title || null,
+      url: window?.url || null,
+      timestamp: activity.start_time,
+      fromWindow: Boolean(window)
+    };
+  }
+
+  _matches({ rule, titlePattern }, context) {
+    if (rule.match_app) {
+      if (!context.app || !context.app.toLowerCase().includes(rule.match_app.toLowerCase())) return false;
+    }
+
+    if (titlePattern) {
+      if (!context.title || !titlePattern.test(context.title)) return false;
+    }
+
+    if (rule.match_domain) {
+      const host = hostnameOf(context.url);
+      if (!host || (host !== rule.match_domain && !host.endsWith(`.${rule.match_domain}`))) return false;
+    }
+
+    if (rule.start_hour !== null && rule.start_hour !== undefined) {
+      const hour = new Date(context.timestamp || Date.now()).getHours();
+      const inRange = rule.start_hour < rule.end_hour
+        ? hour >= rule.start_hour && hour < rule.end_hour
+        : hour >= rule.start_hour || hour < rule.end_hour;
+      if (!inRange) return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = CategorizationRuleEngine;
@@ -22,6 +22,10 @@ const util = require('util');
 const execFile = util.promisify(require('child_process').execFile);
 const { desktopCapturer } = require('electron');
 const modelStateService = require('../common/services/modelStateService');
+const historyService = require('../history/historyService');
+
+// Questions starting with this prefix are answered from the user's past sessions instead of the screen
+const HISTORY_COMMAND = /^\/history\s+/i;
 
 // Try to load sharp, but don't fail if it's not available
 let sharp;
@@ -133,6 +137,7 @@ class AskService {
             currentQuestion: '',
             currentResponse: '',
             showTextInput: true,
+            citations: [],
         };
         console.log('[AskService] Service instance created.');
     }
@@ -188,6 +193,7 @@ class AskService {
                 currentQuestion: '',
                 currentResponse: '',
                 showTextInput  : true,
+                citations      : [],
             };
             this._broadcastState();
     
@@ -213,9 +219,12 @@ class AskService {
     /**
      * 
      * @param {string} userPrompt
+     * @param {string[]} conversationHistoryRaw
+     * @param {Object} options - { mode: 'history' } answers from past sessions (same as a "/history " prefix)
      * @returns {Promise<{success: boolean, response?: string, error?: string}>}
      */
-    async sendMessage(userPrompt, conversationHistoryRaw=[]) {
+    async sendMessage(userPrompt, conversationHistoryRaw=[], options = {}) {
+        const historyMode = options.mode === 'history' || HISTORY_COMMAND.test(userPrompt.trim());
         internalBridge.emit('window:requestVisibility', { name: 'ask', visible: true });
         this.state = {
             ...this.state,
@@ -224,6 +233,7 @@ class AskService {
             currentQuestion: userPrompt,
             currentResponse: '',
             showTextInput: false,
+            citations: [],
         };
         this._broadcastState();
 
@@ -245,8 +255,12 @@ class AskService {
             
             // Create activity record for this Ask query
             await this._createAskActivity(userPrompt, sessionId);
+
+            if (historyMode) {
+                return await this._answerFromHistory(userPrompt.trim().replace(HISTORY_COMMAND, ''), sessionId, signal);
+            }
             
-            const modelInfo = await modelStateService.getCurrentModelInfo('llm');
+            const modelInfo = await modelStateService.getCurrentModelInfo('llm', { feature: 'ask' });
             if (!modelInfo || !modelInfo.apiKey) {
                 throw new Error('AI model or API key not configured.');
             }
@@ -276,14 +290,7 @@ class AskService {
                 });
             }
             
-            const streamingLLM = createStreamingLLM(modelInfo.provider, {
-                apiKey: modelInfo.apiKey,
-                model: modelInfo.model,
-                temperature: 0.7,
-                maxTokens: 2048,
-                usePortkey: modelInfo.provider === 'openai-glass',
-                portkeyVirtualKey: modelInfo.provider === 'openai-glass' ? modelInfo.apiKey : undefined,
-            });
+            const streamingLLM = this._createStreamingLLM(modelInfo);
 
             try {
                 const response = await streamingLLM.streamChat(messages);
@@ -361,16 +368,110 @@ class AskService {
         }
     }
 
+    /**
+     * Answer a question about past work from the history index, citing the records used
+     * @param {string} question
+     * @param {string} sessionId
+     * @param {AbortSignal} signal
+     * @returns {Promise<{success: boolean, error?: string}>}
+     * @private
+     */
+    async _answerFromHistory(question, sessionId, signal) {
+        console.log(`[AskService] Answering from history: ${question.substring(0, 50)}...`);
+        const records = await historyService.searchHistory(question);
+
+        const modelInfo = await modelStateService.getCurrentModelInfo('llm', { feature: 'ask' });
+        if (!modelInfo || !modelInfo.apiKey) {
+            // Nothing to compose an answer with; the retrieved records are still useful on their own
+            const answer = records.length === 0
+                ? 'Nothing in your history matches this question.'
+                : `No AI model is configured, so here are the most related records from your history:\n\n${records.map((record, i) => `- ${historyService.formatCitation(record, i)}`).join('\n')}`;
+            this.state = {
+                ...this.state,
+                isLoading: false,
+                currentResponse: answer,
+                citations: records.map((record, i) => this._toCitation(record, i)),
+            };
+            this._broadcastState();
+            await askRepository.addAiMessage({ sessionId, role: 'assistant', content: answer });
+            return { success: true };
+        }
+
+        const systemPrompt = getSystemPrompt('history_qa', historyService.formatRecordsForPrompt(records), false);
+        const messages = [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: `Question about my history: ${question}` },
+        ];
+
+        const response = await this._createStreamingLLM(modelInfo).streamChat(messages);
+        const askWin = getWindowPool()?.get('ask');
+
+        if (!askWin || askWin.isDestroyed()) {
+            console.error("[AskService] Ask window is not available to send stream to.");
+            response.body.getReader().cancel();
+            return { success: false, error: 'Ask window is not available.' };
+        }
+
+        const reader = response.body.getReader();
+        signal.addEventListener('abort', () => {
+            console.log(`[AskService] Aborting history stream reader. Reason: ${signal.reason}`);
+            reader.cancel(signal.reason).catch(() => {});
+        });
+
+        await this._processStream(reader, askWin, sessionId, signal, records);
+        return { success: true };
+    }
+
+    _createStreamingLLM(modelInfo) {
+        return createStreamingLLM(modelInfo.provider, {
+            apiKey: modelInfo.apiKey,
+            model: modelInfo.model,
+            temperature: 0.7,
+            maxTokens: 2048,
+            usePortkey: modelInfo.provider === 'openai-glass',
+            portkeyVirtualKey: modelInfo.provider === 'openai-glass' ? modelInfo.apiKey : undefined,
+            feature: 'ask',
+            fallbacks: modelInfo.fallbacks,
+        });
+    }
+
+    _toCitation(record, index) {
+        return {
+            index: index + 1,
+            source_type: record.source_type,
+            source_id: record.source_id,
+            title: record.title,
+            occurred_at: record.occurred_at,
+            label: historyService.formatCitation(record, index),
+        };
+    }
+
+    /**
+     * Sources footer listing the history records the answer cites as [n]
+     * @private
+     */
+    _appendSources(response, historyRecords) {
+        const cited = new Set([...response.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+        const citations = historyRecords
+            .map((record, i) => this._toCitation(record, i))
+            .filter(citation => cited.has(citation.index));
+
+        this.state.citations = citations;
+        if (citations.length === 0) return response;
+        return `${response}\n\n**Sources**\n${citations.map(citation => `- ${citation.label}`).join('\n')}`;
+    }
+
     /**
      * 
      * @param {ReadableStreamDefaultReader} reader
      * @param {BrowserWindow} askWin
      * @param {number} sessionId 
      * @param {AbortSignal} signal
+     * @param {Array|null} historyRecords - Records an "ask my history" answer may cite
      * @returns {Promise<void>}
      * @private
      */
-    async _processStream(reader, askWin, sessionId, signal) {
+    async _processStream(reader, askWin, sessionId, signal, historyRecords = null) {
         const decoder = new TextDecoder();
         let fullResponse = '';
 
@@ -414,6 +515,9 @@ class AskService {
                 }
             }
         } finally {
+            if (fullResponse && historyRecords) {
+                fullResponse = this._appendSources(fullResponse, historyRecords);
+            }
             this.state.isStreaming = false;
             this.state.currentResponse = fullResponse;
             this._broadcastState();
@@ -422,8 +526,10 @@ class AskService {
                     await askRepository.addAiMessage({ sessionId, role: 'assistant', content: fullResponse });
                     console.log(`[AskService] DB: Saved partial or full assistant response to session ${sessionId} after stream ended.`);
                     
-                    // Create activity entry for productivity tracking
-                    await this._createActivityFromCapture(fullResponse);
+                    // Create activity entry for productivity tracking; history answers describe past work, not the screen
+                    if (!historyRecords) {
+                        await this._createActivityFromCapture(fullResponse);
+                    }
                 } catch(dbError) {
                     console.error("[AskService] DB: Failed to save assistant response after stream ended:", dbError);
                 }
@@ -1,24 +1,15 @@
 const sqliteRepository = require('./sqlite.repository');
-const firebaseRepository = require('./firebase.repository');
 const authService = require('../../common/services/authService');
 
-function getBaseRepository() {
-    const user = authService.getCurrentUser();
-    if (user && user.isLoggedIn) {
-        return firebaseRepository;
-    }
-    return sqliteRepository;
-}
-
-// The adapter layer that injects the UID
+// Always written locally; syncService mirrors these rows to Firestore for signed-in users
 const askRepositoryAdapter = {
     addAiMessage: ({ sessionId, role, content, model }) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().addAiMessage({ uid, sessionId, role, content, model });
+        return sqliteRepository.addAiMessage({ uid, sessionId, role, content, model });
     },
     getAllAiMessagesBySessionId: (sessionId) => {
         // This function does not require a UID at the service level.
-        return getBaseRepository().getAllAiMessagesBySessionId(sessionId);
+        return sqliteRepository.getAllAiMessagesBySessionId(sessionId);
     }
 };
 
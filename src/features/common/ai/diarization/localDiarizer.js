@@ -0,0 +1,236 @@
+// Offline speaker diarization for a single audio stream (the system audio in Listen).
+// Each utterance is reduced to a voice print - mean and spread of its MFCCs over voiced frames -
+// and matched against the speakers heard so far in the session. Coarser than a neural speaker
+// model, but it needs no download, runs in real time on the main process, and is deterministic.
+
+const DEFAULT_SAMPLE_RATE = 24000;
+const DEFAULT_MAX_SPEAKERS = 8;
+// RMS distance between voice prints above which an utterance starts a new speaker
+const DEFAULT_THRESHOLD = 1.6;
+
+const FRAME_MS = 25;
+const HOP_MS = 10;
+const MEL_BANDS = 26;
+const CEPSTRA = 13;
+const MIN_FREQUENCY = 80;
+const MAX_FREQUENCY = 7600;
+// Utterances with less voiced audio than this say too little about the voice to assign
+const MIN_VOICED_SECONDS = 0.5;
+// Frames quieter than this fraction of the loudest frame are treated as silence
+const VOICED_ENERGY_RATIO = 0.05;
+const SILENCE_RMS = 0.003;
+// Centroids keep adapting; later utterances never weigh less than 1/CENTROID_MEMORY
+const CENTROID_MEMORY = 20;
+
+function hzToMel(hz) {
+    return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+    return 700 * (10 ** (mel / 2595) - 1);
+}
+
+function melFilterbank(fftSize, sampleRate) {
+    const maxFrequency = Math.min(MAX_FREQUENCY, sampleRate / 2);
+    const minMel = hzToMel(MIN_FREQUENCY);
+    const maxMel = hzToMel(maxFrequency);
+    const bins = [];
+    for (let i = 0; i < MEL_BANDS + 2; i++) {
+        const hz = melToHz(minMel + (i * (maxMel - minMel)) / (MEL_BANDS + 1));
+        bins.push(Math.floor(((fftSize + 1) * hz) / sampleRate));
+    }
+
+    const filters = [];
+    for (let band = 1; band <= MEL_BANDS; band++) {
+        const [left, center, right] = [bins[band - 1], bins[band], bins[band + 1]];
+        const weights = [];
+        for (let k = left; k <= right; k++) {
+            const weight = k <= center
+                ? (k - left) / Math.max(center - left, 1)
+                : (right - k) / Math.max(right - center, 1);
+            if (weight > 0) weights.push([k, weight]);
+        }
+        filters.push(weights);
+    }
+    return filters;
+}
+
+function twiddles(n) {
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+        cos[k] = Math.cos((-2 * Math.PI * k) / n);
+        sin[k] = Math.sin((-2 * Math.PI * k) / n);
+    }
+    return { cos, sin };
+}
+
+// In-place iterative radix-2 FFT
+function fft(re, im, { cos, sin }) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const step = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const c = cos[k * step];
+                const s = sin[k * step];
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * c - im[b] * s;
+                const tIm = re[b] * s + im[b] * c;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
+
+/**
+ * @param {Buffer|Int16Array} pcm - 16-bit little-endian mono PCM
+ * @returns {Float32Array} Samples scaled to [-1, 1]
+ */
+function toSamples(pcm) {
+    if (pcm instanceof Int16Array) {
+        return Float32Array.from(pcm, value => value / 32768);
+    }
+    const samples = new Float32Array(Math.floor(pcm.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcm.readInt16LE(i * 2) / 32768;
+    }
+    return samples;
+}
+
+class LocalDiarizer {
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.sampleRate=24000]
+     * @param {number} [opts.maxSpeakers=8] - Once reached, utterances go to the closest known speaker
+     * @param {number} [opts.threshold] - Voice print distance that separates speakers
+     */
+    constructor({ sampleRate = DEFAULT_SAMPLE_RATE, maxSpeakers = DEFAULT_MAX_SPEAKERS, threshold = DEFAULT_THRESHOLD } = {}) {
+        this.sampleRate = sampleRate;
+        this.maxSpeakers = maxSpeakers;
+        this.threshold = threshold;
+
+        this.frameSize = Math.round((sampleRate * FRAME_MS) / 1000);
+        this.hopSize = Math.round((sampleRate * HOP_MS) / 1000);
+        this.fftSize = 2 ** Math.ceil(Math.log2(this.frameSize));
+        this.window = Float32Array.from({ length: this.frameSize }, (_, i) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (this.frameSize - 1)));
+        this.filters = melFilterbank(this.fftSize, sampleRate);
+        this.twiddles = twiddles(this.fftSize);
+        this.dct = Array.from({ length: CEPSTRA }, (_, c) =>
+            Float64Array.from({ length: MEL_BANDS }, (_, m) => Math.sqrt(2 / MEL_BANDS) * Math.cos((Math.PI * c * (m + 0.5)) / MEL_BANDS)));
+
+        this.speakers = [];
+    }
+
+    /**
+     * Voice print of an utterance: MFCC 1-12 means followed by their standard deviations.
+     * c0 (overall loudness) is left out so the same voice matches at any volume.
+     * @param {Buffer|Int16Array} pcm
+     * @returns {Float32Array|null} null when the audio is too short or silent
+     */
+    embed(pcm) {
+        const samples = toSamples(pcm);
+        const frames = [];
+        for (let start = 0; start + this.frameSize <= samples.length; start += this.hopSize) {
+            let energy = 0;
+            for (let i = 0; i < this.frameSize; i++) energy += samples[start + i] ** 2;
+            frames.push({ start, rms: Math.sqrt(energy / this.frameSize) });
+        }
+
+        const loudest = frames.reduce((max, frame) => Math.max(max, frame.rms), 0);
+        const voiced = frames.filter(frame => frame.rms >= SILENCE_RMS && frame.rms >= loudest * VOICED_ENERGY_RATIO);
+        if ((voiced.length * HOP_MS) / 1000 < MIN_VOICED_SECONDS) return null;
+
+        const sums = new Float64Array(CEPSTRA - 1);
+        const squares = new Float64Array(CEPSTRA - 1);
+        for (const frame of voiced) {
+            const cepstra = this._mfcc(samples, frame.start);
+            for (let c = 1; c < CEPSTRA; c++) {
+                sums[c - 1] += cepstra[c];
+                squares[c - 1] += cepstra[c] ** 2;
+            }
+        }
+
+        const print = new Float32Array(2 * (CEPSTRA - 1));
+        for (let c = 0; c < CEPSTRA - 1; c++) {
+            const mean = sums[c] / voiced.length;
+            print[c] = mean;
+            print[CEPSTRA - 1 + c] = Math.sqrt(Math.max(squares[c] / voiced.length - mean ** 2, 0));
+        }
+        return print;
+    }
+
+    /**
+     * Attribute an utterance to a speaker heard earlier in the session, or to a new one
+     * @param {Buffer|Int16Array} pcm
+     * @returns {number|null} 1-based speaker number, or null if the audio can't be attributed
+     */
+    assign(pcm) {
+        const print = this.embed(pcm);
+        if (!print) return null;
+
+        let closest = null;
+        let closestDistance = Infinity;
+        for (const speaker of this.speakers) {
+            const distance = LocalDiarizer.distance(print, speaker.centroid);
+            if (distance < closestDistance) {
+                closest = speaker;
+                closestDistance = distance;
+            }
+        }
+
+        if (closest && (closestDistance <= this.threshold || this.speakers.length >= this.maxSpeakers)) {
+            const weight = 1 / Math.min(closest.count + 1, CENTROID_MEMORY);
+            for (let i = 0; i < print.length; i++) {
+                closest.centroid[i] += (print[i] - closest.centroid[i]) * weight;
+            }
+            closest.count++;
+            return closest.id;
+        }
+
+        const speaker = { id: this.speakers.length + 1, centroid: print, count: 1 };
+        this.speakers.push(speaker);
+        return speaker.id;
+    }
+
+    reset() {
+        this.speakers = [];
+    }
+
+    static distance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+        return Math.sqrt(sum / a.length);
+    }
+
+    _mfcc(samples, start) {
+        const re = new Float64Array(this.fftSize);
+        const im = new Float64Array(this.fftSize);
+        for (let i = 0; i < this.frameSize; i++) re[i] = samples[start + i] * this.window[i];
+        fft(re, im, this.twiddles);
+
+        const logEnergies = this.filters.map(weights => {
+            let energy = 0;
+            for (const [k, weight] of weights) energy += (re[k] ** 2 + im[k] ** 2) * weight;
+            return Math.log(energy + 1e-10);
+        });
+
+        // Orthonormal DCT-II of the log mel energies
+        return this.dct.map(basis => basis.reduce((sum, weight, m) => sum + weight * logEnergies[m], 0));
+    }
+}
+
+module.exports = { LocalDiarizer };
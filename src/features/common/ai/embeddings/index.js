@@ -0,0 +1,29 @@
+const { LocalVectorizer } = require('./localVectorizer');
+const { OllamaEmbeddings, DEFAULT_MODEL } = require('./ollamaEmbeddings');
+
+/**
+ * @typedef {object} EmbeddingProvider
+ * @property {string} id - Identifies the model; vectors from different ids are never compared
+ * @property {(texts: string[]) => Promise<Float32Array[]>} embed - Returns L2-normalized vectors
+ */
+
+/**
+ * @param {'local'|'ollama'} type
+ * @param {object} [opts]
+ * @returns {EmbeddingProvider}
+ */
+function createEmbeddingProvider(type, opts = {}) {
+    switch (type) {
+        case 'local':
+            return new LocalVectorizer(opts);
+        case 'ollama':
+            return new OllamaEmbeddings(opts);
+        default:
+            throw new Error(`Embeddings not supported for provider: ${type}`);
+    }
+}
+
+module.exports = {
+    createEmbeddingProvider,
+    DEFAULT_OLLAMA_EMBEDDING_MODEL: DEFAULT_MODEL,
+};
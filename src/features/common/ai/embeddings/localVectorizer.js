@@ -0,0 +1,90 @@
+// Lightweight offline embeddings: hashed bag of stemmed words and word pairs.
+// Good enough to match "transformer ablations" to "ablation runs on the transformer baseline"
+// without a model download, and deterministic, which keeps tests stable.
+
+const DEFAULT_DIMENSIONS = 512;
+const BIGRAM_WEIGHT = 0.5;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as',
+    'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those',
+    'i', 'me', 'my', 'we', 'our', 'you', 'your', 'he', 'she', 'they', 'them', 'their',
+    'do', 'did', 'does', 'have', 'has', 'had', 'not', 'no', 'so', 'if', 'then', 'than',
+    'what', 'when', 'where', 'which', 'who', 'why', 'how', 'last', 'about', 'into', 'over', 'again'
+]);
+
+function stem(word) {
+    if (word.length <= 4) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.endsWith('sses')) return word.slice(0, -2);
+    if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+    if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+    return word;
+}
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+        .map(stem);
+}
+
+// FNV-1a, 32-bit
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+class LocalVectorizer {
+    constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+        this.dimensions = dimensions;
+        this.id = `local-hash-v1-${dimensions}`;
+    }
+
+    /**
+     * @param {string[]} texts
+     * @returns {Promise<Float32Array[]>} L2-normalized vectors
+     */
+    async embed(texts) {
+        return texts.map(text => this.embedSync(text));
+    }
+
+    embedSync(text) {
+        const vector = new Float32Array(this.dimensions);
+        const tokens = tokenize(text);
+        const counts = new Map();
+        const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+        tokens.forEach((token, i) => {
+            add(token, 1);
+            if (i > 0) add(`${tokens[i - 1]} ${token}`, BIGRAM_WEIGHT);
+        });
+
+        for (const [feature, count] of counts) {
+            const h = hash(feature);
+            // The sign bit spreads collisions out instead of letting them add up
+            const sign = (h & 0x80000000) ? -1 : 1;
+            vector[h % this.dimensions] += sign * (1 + Math.log(count));
+        }
+
+        return normalize(vector);
+    }
+}
+
+function normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+module.exports = { LocalVectorizer, normalize, tokenize };
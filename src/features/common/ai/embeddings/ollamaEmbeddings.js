@@ -0,0 +1,45 @@
+const fetch = require('node-fetch');
+const { normalize } = require('./localVectorizer');
+
+const DEFAULT_MODEL = 'nomic-embed-text';
+const REQUEST_TIMEOUT_MS = 60000;
+
+// Embeddings from a local Ollama embedding model (e.g. `ollama pull nomic-embed-text`)
+class OllamaEmbeddings {
+    constructor({ model = DEFAULT_MODEL, baseUrl = 'http://localhost:11434' } = {}) {
+        this.model = model;
+        this.baseUrl = baseUrl;
+        this.id = `ollama:${model}`;
+    }
+
+    /**
+     * @param {string[]} texts
+     * @returns {Promise<Float32Array[]>} L2-normalized vectors
+     */
+    async embed(texts) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(`${this.baseUrl}/api/embed`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: this.model, input: texts }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`Ollama embed request failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+                throw new Error('Ollama returned an unexpected number of embeddings');
+            }
+            return data.embeddings.map(embedding => normalize(Float32Array.from(embedding)));
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+module.exports = { OllamaEmbeddings, DEFAULT_MODEL };
@@ -1,5 +1,9 @@
 // factory.js
 
+const { generateStructured } = require('./structuredOutput');
+const { trackUsage } = require('./usageTracking');
+const { createFallbackChain, getProviderHealth, resetCircuits } = require('./fallbackChain');
+
 /**
  * @typedef {object} ModelOption
  * @property {string} id 
@@ -95,6 +99,22 @@ const PROVIDERS = {
   },
 };
 
+/**
+ * Providers an LLM request falls back to, in order, when the selected one fails. Research and activity
+ * analysis send screenshots, so only providers with vision models follow there.
+ * @type {Object.<string, string[]>}
+ */
+const FALLBACK_ORDER = {
+  ask: ['openai', 'anthropic', 'gemini', 'ollama'],
+  listen: ['openai', 'gemini', 'anthropic', 'ollama'],
+  research: ['gemini', 'openai', 'anthropic'],
+  activity: ['gemini', 'openai', 'anthropic'],
+};
+
+function getFallbackOrder(feature) {
+  return FALLBACK_ORDER[feature] || FALLBACK_ORDER.ask;
+}
+
 function sanitizeModelId(model) {
   return (typeof model === 'string') ? model.replace(/-glass$/, '') : model;
 }
@@ -112,7 +132,91 @@ function createSTT(provider, opts) {
   return handler.createSTT(opts);
 }
 
+/**
+ * Transcribe recorded audio in one go, outside of a live STT session
+ * @param {string} provider
+ * @param {object} opts - { apiKey, pcm, sampleRate, model, language, diarize, usePortkey, portkeyVirtualKey }
+ * @returns {Promise<{text: string, segments?: Array<{start: number, end: number, text: string, speaker?: number|null}>}>}
+ */
+function transcribeAudio(provider, opts) {
+  if (provider === 'openai-glass') provider = 'openai';
+
+  const handler = PROVIDERS[provider]?.handler();
+  if (!handler?.transcribeAudio) {
+      throw new Error(`Audio file transcription not supported for provider: ${provider}`);
+  }
+  if (opts && opts.model) {
+    opts = { ...opts, model: sanitizeModelId(opts.model) };
+  }
+  return handler.transcribeAudio(opts);
+}
+
+function recordUsage(entry) {
+  try {
+    // Required on first use so the factory loads without the database
+    require('../services/usageService').recordUsage(entry);
+  } catch (error) {
+    console.warn('[AI] Failed to record token usage:', error.message);
+  }
+}
+
+function usageContext(provider, opts) {
+  return {
+    provider,
+    model: sanitizeModelId(opts?.model) || 'unknown',
+    feature: opts?.feature || 'other',
+  };
+}
+
+// One instance per provider, in order, with the Glass key going through Portkey. A fallback that
+// cannot be created (e.g. no model) is left out; the selected provider fails as it always did.
+function withFallbacks(create, provider, opts) {
+  const { fallbacks = [], ...options } = opts || {};
+  const candidates = [{ provider, model: options.model, instance: create(provider, options) }];
+
+  for (const fallback of fallbacks) {
+    try {
+      const isGlass = fallback.provider === 'openai-glass';
+      candidates.push({
+        provider: fallback.provider,
+        model: fallback.model,
+        instance: create(fallback.provider, {
+          ...options,
+          apiKey: fallback.apiKey,
+          model: fallback.model,
+          usePortkey: isGlass,
+          portkeyVirtualKey: isGlass ? fallback.apiKey : undefined,
+        }),
+      });
+    } catch (error) {
+      console.warn(`[AI] Skipping fallback ${fallback.provider}:`, error.message);
+    }
+  }
+  return createFallbackChain(candidates, { feature: options.feature || 'other' });
+}
+
+/**
+ * LLM for one provider, retried with backoff when rate limited and falling back through
+ * `opts.fallbacks` at call time when the provider fails. Results carry `servedBy`.
+ * @param {string} provider
+ * @param {object} opts - Provider options, plus `feature`: what the LLM is used for ("ask", "listen",
+ *   "activity", "research"), under which its token usage is recorded, and `fallbacks`: an ordered
+ *   Array<{provider, model, apiKey}> as from modelStateService.getCurrentModelInfo('llm', { feature })
+ */
 function createLLM(provider, opts) {
+  return withFallbacks(createProviderLLM, provider, opts);
+}
+
+/**
+ * @param {string} provider
+ * @param {object} opts - Provider options, plus `feature` and `fallbacks` as for createLLM
+ */
+function createStreamingLLM(provider, opts) {
+  return withFallbacks(createProviderStreamingLLM, provider, opts);
+}
+
+function createProviderLLM(provider, opts) {
+  const context = usageContext(provider, opts);
   if (provider === 'openai-glass') provider = 'openai';
 
   const handler = PROVIDERS[provider]?.handler();
@@ -122,10 +226,11 @@ function createLLM(provider, opts) {
   if (opts && opts.model) {
     opts = { ...opts, model: sanitizeModelId(opts.model) };
   }
-  return handler.createLLM(opts);
+  return trackUsage(handler.createLLM(opts), context, recordUsage);
 }
 
-function createStreamingLLM(provider, opts) {
+function createProviderStreamingLLM(provider, opts) {
+  const context = usageContext(provider, opts);
   if (provider === 'openai-glass') provider = 'openai';
   
   const handler = PROVIDERS[provider]?.handler();
@@ -135,7 +240,7 @@ function createStreamingLLM(provider, opts) {
   if (opts && opts.model) {
     opts = { ...opts, model: sanitizeModelId(opts.model) };
   }
-  return handler.createStreamingLLM(opts);
+  return trackUsage(handler.createStreamingLLM(opts), context, recordUsage);
 }
 
 function getProviderClass(providerId) {
@@ -177,8 +282,14 @@ function getAvailableProviders() {
 
 module.exports = {
   PROVIDERS,
+  FALLBACK_ORDER,
+  getFallbackOrder,
+  getProviderHealth,
+  resetCircuits,
   createSTT,
+  transcribeAudio,
   createLLM,
+  generateStructured,
   createStreamingLLM,
   getProviderClass,
   getAvailableProviders,
@@ -0,0 +1,208 @@
+// Runtime fallback for LLM instances from the factory. A chain tries its providers in order: a
+// rate-limited provider is retried with exponential backoff, a failing one hands the request to the
+// next provider, and a provider that keeps failing is skipped (its circuit is open) until a cooldown
+// has passed. Streams fall back only until a provider returns a response; an error in the middle of a
+// stream reaches the caller.
+
+const RETRY_POLICY = {
+    maxRetries: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000,
+};
+
+const CIRCUIT_POLICY = {
+    failureThreshold: 3,
+    cooldownMs: 60000,
+};
+
+// Shared by every chain, so a provider that failed for one feature is skipped by the others too
+const circuits = new Map();
+const lastServed = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function errorStatus(error) {
+    const status = Number(error?.status ?? error?.statusCode ?? error?.response?.status);
+    if (Number.isInteger(status) && status > 0) return status;
+    const match = /\b([45]\d\d)\b/.exec(error?.message || '');
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * How a provider call failed. Rate limits are retried on the same provider; the request itself being
+ * at fault (a bad request) moves on to the next provider without counting against this one.
+ * @param {Error} error
+ * @returns {'rate_limit'|'request'|'provider'}
+ */
+function classifyError(error) {
+    const status = errorStatus(error);
+    const message = String(error?.message || '').toLowerCase();
+    if (status === 429 || /rate.?limit|too many requests|quota|resource.?exhausted|overloaded/.test(message)) {
+        return 'rate_limit';
+    }
+    if ([400, 413, 415, 422].includes(status)) {
+        return 'request';
+    }
+    return 'provider';
+}
+
+/**
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt) {
+    return Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * 2 ** attempt);
+}
+
+function isCircuitOpen(provider) {
+    const circuit = circuits.get(provider);
+    return Boolean(circuit) && circuit.openUntil > Date.now();
+}
+
+function recordFailure(provider, error) {
+    const circuit = circuits.get(provider) || { failures: 0, openUntil: 0, lastError: null };
+    circuit.failures++;
+    circuit.lastError = error.message;
+    // Once open, a single failed trial after the cooldown opens it again
+    if (circuit.failures >= CIRCUIT_POLICY.failureThreshold) {
+        circuit.openUntil = Date.now() + CIRCUIT_POLICY.cooldownMs;
+        console.warn(`[AI] ${provider} failed ${circuit.failures} times in a row, skipping it for ${CIRCUIT_POLICY.cooldownMs / 1000}s`);
+    }
+    circuits.set(provider, circuit);
+}
+
+function recordSuccess(provider) {
+    if (circuits.has(provider)) {
+        console.log(`[AI] ${provider} is serving requests again`);
+        circuits.delete(provider);
+    }
+}
+
+async function callWithRetry(candidate, method, args) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await candidate.instance[method](...args);
+        } catch (error) {
+            if (classifyError(error) !== 'rate_limit' || attempt >= RETRY_POLICY.maxRetries) {
+                throw error;
+            }
+            const delay = backoffDelay(attempt);
+            console.warn(`[AI] ${candidate.provider} is rate limited, retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+function chainError(feature, failures) {
+    // A single provider fails the way it always did
+    if (failures.length === 1) return failures[0].error;
+
+    const error = new Error(`All AI providers failed for ${feature}: ${failures.map(({ provider, error }) => `${provider}: ${error.message}`).join('; ')}`);
+    error.failures = failures;
+    return error;
+}
+
+/**
+ * @typedef {object} ServedBy
+ * @property {string} provider - Provider that answered
+ * @property {string} model
+ * @property {boolean} fallback - True when an earlier provider in the chain was skipped or failed
+ * @property {string[]} failed - Providers that failed before it for this request
+ */
+
+/**
+ * Wrap the instances of several providers into one with the same methods. Results carry `servedBy`
+ * (a property on streaming responses).
+ * @param {Array<{provider: string, model: string, instance: object}>} candidates - In order of preference
+ * @param {{feature?: string}} [options]
+ * @returns {object}
+ */
+function createFallbackChain(candidates, { feature = 'other' } = {}) {
+    const run = async (method, args) => {
+        const capable = candidates.filter(candidate => typeof candidate.instance[method] === 'function');
+        const available = capable.filter(candidate => !isCircuitOpen(candidate.provider));
+        if (available.length === 0) {
+            throw new Error(`AI provider unavailable after repeated failures (${capable.map(c => c.provider).join(', ')}); try again in a minute`);
+        }
+
+        const failures = [];
+        for (const [index, candidate] of available.entries()) {
+            try {
+                const result = await callWithRetry(candidate, method, args);
+                recordSuccess(candidate.provider);
+
+                const servedBy = {
+                    provider: candidate.provider,
+                    model: candidate.model,
+                    fallback: candidate !== capable[0],
+                    failed: failures.map(failure => failure.provider),
+                };
+                lastServed.set(feature, { ...servedBy, at: new Date().toISOString() });
+                if (servedBy.fallback) {
+                    console.log(`[AI] ${feature} request served by fallback ${candidate.provider} (${candidate.model})`);
+                }
+
+                if (typeof Response !== 'undefined' && result instanceof Response) {
+                    return Object.assign(result, { servedBy });
+                }
+                return { ...result, servedBy };
+            } catch (error) {
+                if (classifyError(error) !== 'request') {
+                    recordFailure(candidate.provider, error);
+                }
+                failures.push({ provider: candidate.provider, error });
+
+                const next = available[index + 1];
+                if (next) {
+                    console.warn(`[AI] ${candidate.provider} failed for ${feature}, trying ${next.provider}:`, error.message);
+                }
+            }
+        }
+        throw chainError(feature, failures);
+    };
+
+    const chain = {};
+    for (const { instance } of candidates) {
+        for (const [method, value] of Object.entries(instance)) {
+            if (typeof value === 'function' && !chain[method]) {
+                chain[method] = (...args) => run(method, args);
+            }
+        }
+    }
+    return chain;
+}
+
+/**
+ * Circuit state of every provider that failed recently, and which provider last served each feature
+ * @returns {{circuits: Array<{provider: string, state: 'open'|'half-open'|'closed', failures: number, open_until: string|null, last_error: string|null}>, served: Object.<string, ServedBy & {at: string}>}}
+ */
+function getProviderHealth() {
+    const now = Date.now();
+    return {
+        circuits: [...circuits.entries()].map(([provider, circuit]) => ({
+            provider,
+            state: circuit.openUntil > now ? 'open' : circuit.openUntil > 0 ? 'half-open' : 'closed',
+            failures: circuit.failures,
+            open_until: circuit.openUntil > now ? new Date(circuit.openUntil).toISOString() : null,
+            last_error: circuit.lastError,
+        })),
+        served: Object.fromEntries(lastServed),
+    };
+}
+
+/**
+ * Close every circuit, e.g. after API keys change
+ */
+function resetCircuits() {
+    circuits.clear();
+}
+
+module.exports = {
+    RETRY_POLICY,
+    CIRCUIT_POLICY,
+    classifyError,
+    backoffDelay,
+    createFallbackChain,
+    getProviderHealth,
+    resetCircuits,
+};
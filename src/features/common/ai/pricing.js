@@ -0,0 +1,86 @@
+// Estimated API prices in USD per million tokens, used for cost accounting and budgets.
+// Providers bill by their own rules (cached input, long context tiers), so costs derived
+// from this table are estimates. Models are matched by the longest id prefix; a model
+// missing from its provider's table is priced like the provider's default model.
+
+const PRICES = {
+    openai: {
+        default: 'gpt-4.1',
+        models: {
+            'gpt-4.1': { input: 2.00, output: 8.00 },
+            'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+            'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+            'gpt-4o': { input: 2.50, output: 10.00 },
+            'gpt-4o-mini': { input: 0.15, output: 0.60 },
+        },
+    },
+    gemini: {
+        default: 'gemini-2.5-flash',
+        models: {
+            'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+            'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+            'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+            'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+        },
+    },
+    anthropic: {
+        default: 'claude-3-5-sonnet',
+        models: {
+            'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+            'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+            'claude-3-haiku': { input: 0.25, output: 1.25 },
+            'claude-3-opus': { input: 15.00, output: 75.00 },
+        },
+    },
+};
+
+// Local models and the Glass-hosted key cost the user nothing
+const FREE_PROVIDERS = ['ollama', 'whisper', 'openai-glass'];
+
+/**
+ * @param {string} provider - Provider id from factory.PROVIDERS
+ * @param {string} model
+ * @returns {{input: number, output: number}|null} USD per million tokens, null when the provider is unknown
+ */
+function getModelPrice(provider, model) {
+    if (FREE_PROVIDERS.includes(provider)) {
+        return { input: 0, output: 0 };
+    }
+    const table = PRICES[provider];
+    if (!table) return null;
+
+    const id = String(model || '');
+    const match = Object.keys(table.models)
+        .filter(prefix => id.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return table.models[match || table.default];
+}
+
+/**
+ * @param {string} provider
+ * @param {string} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number} Estimated USD, 0 for free or unknown providers
+ */
+function estimateCost(provider, model, inputTokens, outputTokens) {
+    const price = getModelPrice(provider, model);
+    if (!price) return 0;
+    return ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1e6;
+}
+
+/**
+ * Rough token count for text the provider did not report usage for, about four characters a token
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+module.exports = {
+    PRICES,
+    getModelPrice,
+    estimateCost,
+    estimateTokens,
+};
@@ -59,6 +59,64 @@ async function createSTT({ apiKey, language = "en", callbacks = {}, ...config })
   }
 }
 
+/**
+ * Splits out the system prompt and converts OpenAI-style messages, including image_url parts, to Anthropic's format
+ * @param {Array<{role: string, content: any}>} messages
+ * @returns {{systemPrompt: string, anthropicMessages: Array<object>}}
+ */
+function toAnthropicMessages(messages) {
+  let systemPrompt = ""
+  const anthropicMessages = []
+
+  for (const msg of messages) {
+    if (msg.role === "system") {
+      systemPrompt = msg.content
+    } else {
+      // Handle multimodal content
+      let content
+      if (Array.isArray(msg.content)) {
+        content = []
+        for (const part of msg.content) {
+          if (typeof part === "string") {
+            content.push({ type: "text", text: part })
+          } else if (part.type === "text") {
+            content.push({ type: "text", text: part.text })
+          } else if (part.type === "image_url" && part.image_url) {
+            // Convert base64 image to Anthropic format
+            const imageUrl = part.image_url.url
+            const [mimeInfo, base64Data] = imageUrl.split(",")
+
+            // Extract the actual MIME type from the data URL
+            const mimeType = mimeInfo.match(/data:([^;]+)/)?.[1] || "image/jpeg"
+
+            content.push({
+              type: "image",
+              source: {
+                type: "base64",
+                media_type: mimeType,
+                data: base64Data,
+              },
+            })
+          }
+        }
+      } else {
+        content = [{ type: "text", text: msg.content }]
+      }
+
+      anthropicMessages.push({
+        role: msg.role === "user" ? "user" : "assistant",
+        content: content,
+      })
+    }
+  }
+
+  return { systemPrompt, anthropicMessages }
+}
+
+function toUsage(usage) {
+  return usage ? { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens } : undefined
+}
+
 /**
  * Creates an Anthropic LLM instance
  * @param {object} opts - Configuration options
@@ -113,6 +171,7 @@ function createLLM({ apiKey, model = "claude-3-5-sonnet-20241022", temperature =
           response: {
             text: () => response.content[0].text,
           },
+          usage: toUsage(response.usage),
           raw: response,
         }
       } catch (error) {
@@ -123,50 +182,26 @@ function createLLM({ apiKey, model = "claude-3-5-sonnet-20241022", temperature =
 
     // For compatibility with chat-style interfaces
     chat: async (messages) => {
-      let systemPrompt = ""
-      const anthropicMessages = []
+      const { systemPrompt, anthropicMessages } = toAnthropicMessages(messages)
 
-      for (const msg of messages) {
-        if (msg.role === "system") {
-          systemPrompt = msg.content
-        } else {
-          // Handle multimodal content
-          let content
-          if (Array.isArray(msg.content)) {
-            content = []
-            for (const part of msg.content) {
-              if (typeof part === "string") {
-                content.push({ type: "text", text: part })
-              } else if (part.type === "text") {
-                content.push({ type: "text", text: part.text })
-              } else if (part.type === "image_url" && part.image_url) {
-                // Convert base64 image to Anthropic format
-                const imageUrl = part.image_url.url
-                const [mimeInfo, base64Data] = imageUrl.split(",")
-
-                // Extract the actual MIME type from the data URL
-                const mimeType = mimeInfo.match(/data:([^;]+)/)?.[1] || "image/jpeg"
-
-                content.push({
-                  type: "image",
-                  source: {
-                    type: "base64",
-                    media_type: mimeType,
-                    data: base64Data,
-                  },
-                })
-              }
-            }
-          } else {
-            content = [{ type: "text", text: msg.content }]
-          }
+      const response = await client.messages.create({
+        model: model,
+        max_tokens: maxTokens,
+        temperature: temperature,
+        system: systemPrompt || undefined,
+        messages: anthropicMessages,
+      })
 
-          anthropicMessages.push({
-            role: msg.role === "user" ? "user" : "assistant",
-            content: content,
-          })
-        }
+      return {
+        content: response.content[0].text,
+        usage: toUsage(response.usage),
+        raw: response,
       }
+    },
+
+    // Output constrained to a JSON schema by forcing a call to a tool that takes it as input
+    chatJson: async (messages, { name, schema }) => {
+      const { systemPrompt, anthropicMessages } = toAnthropicMessages(messages)
 
       const response = await client.messages.create({
         model: model,
@@ -174,10 +209,14 @@ function createLLM({ apiKey, model = "claude-3-5-sonnet-20241022", temperature =
         temperature: temperature,
         system: systemPrompt || undefined,
         messages: anthropicMessages,
+        tools: [{ name, description: `Record the ${name.replace(/_/g, " ")}`, input_schema: schema }],
+        tool_choice: { type: "tool", name },
       })
 
+      const toolUse = response.content.find((block) => block.type === "tool_use")
       return {
-        content: response.content[0].text,
+        content: toolUse ? JSON.stringify(toolUse.input) : response.content.find((block) => block.type === "text")?.text || "",
+        usage: toUsage(response.usage),
         raw: response,
       }
     },
@@ -261,6 +300,8 @@ function createStreamingLLM({
 
             let chunkCount = 0
             let totalContent = ""
+            let inputTokens = 0
+            let outputTokens = 0
 
             // Stream the response
             const stream = await client.messages.create({
@@ -273,6 +314,13 @@ function createStreamingLLM({
             })
 
             for await (const chunk of stream) {
+              // Input tokens arrive with message_start, the output count with message_delta
+              if (chunk.type === "message_start") {
+                inputTokens = chunk.message?.usage?.input_tokens || 0
+              } else if (chunk.type === "message_delta" && chunk.usage) {
+                outputTokens = chunk.usage.output_tokens || 0
+              }
+
               if (chunk.type === "content_block_delta" && chunk.delta.type === "text_delta") {
                 chunkCount++
                 const chunkText = chunk.delta.text || ""
@@ -296,6 +344,12 @@ function createStreamingLLM({
               `[Anthropic Provider] Streamed ${chunkCount} chunks, total length: ${totalContent.length} chars`,
             )
 
+            const usage = JSON.stringify({
+              choices: [],
+              usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: inputTokens + outputTokens },
+            })
+            controller.enqueue(new TextEncoder().encode(`data: ${usage}\n\n`))
+
             // Send the final done message
             controller.enqueue(new TextEncoder().encode("data: [DONE]\n\n"))
             controller.close()
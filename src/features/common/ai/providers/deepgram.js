@@ -2,6 +2,7 @@
 
 const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
 const WebSocket = require('ws');
+const { encodeWav } = require('../../utils/wav');
 
 /**
  * Deepgram Provider 클래스. API 키 유효성 검사를 담당합니다.
@@ -40,6 +41,7 @@ function createSTT({
     apiKey,
     language = 'en-US',
     sampleRate = 24000,
+    diarize = false,
     callbacks = {},
   }) {
     const qs = new URLSearchParams({
@@ -51,6 +53,8 @@ function createSTT({
       interim_results: 'true',
       channels: '1',
     });
+    // Words in results then carry a 0-based `speaker` index
+    if (diarize) qs.set('diarize', 'true');
   
     const url = `wss://api.deepgram.com/v1/listen?${qs}`;
   
@@ -93,6 +97,55 @@ function createSTT({
     });
   }
 
+/**
+ * Transcribes a recorded audio clip with the pre-recorded API.
+ * Utterances come back with their offsets and, when diarizing, the speaker.
+ * @param {object} opts
+ * @param {string} opts.apiKey
+ * @param {Buffer} opts.pcm - 16-bit mono PCM
+ * @param {number} [opts.sampleRate=16000]
+ * @param {string} [opts.model='nova-3']
+ * @param {string} [opts.language] - Detected from the audio when omitted
+ * @param {boolean} [opts.diarize=false]
+ * @returns {Promise<{text: string, segments: Array<{start: number, end: number, text: string, speaker: number|null}>}>}
+ *   Offsets in seconds; speaker is 1-based
+ */
+async function transcribeAudio({ apiKey, pcm, sampleRate = 16000, model = 'nova-3', language, diarize = false }) {
+  const qs = new URLSearchParams({
+    model,
+    smart_format: 'true',
+    utterances: 'true',
+  });
+  if (language) qs.set('language', language);
+  else qs.set('detect_language', 'true');
+  if (diarize) qs.set('diarize', 'true');
+
+  const response = await fetch(`https://api.deepgram.com/v1/listen?${qs}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Token ${apiKey}`,
+      'Content-Type': 'audio/wav',
+    },
+    body: encodeWav(pcm, sampleRate),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.err_msg || `Deepgram transcription error: ${response.status} ${response.statusText}`);
+  }
+
+  const result = await response.json();
+  return {
+    text: result.results?.channels?.[0]?.alternatives?.[0]?.transcript || '',
+    segments: (result.results?.utterances || []).map(utterance => ({
+      start: utterance.start,
+      end: utterance.end,
+      text: utterance.transcript,
+      speaker: diarize && Number.isInteger(utterance.speaker) ? utterance.speaker + 1 : null,
+    })),
+  };
+}
+
 // ... (LLM 관련 Placeholder 함수들은 그대로 유지) ...
 function createLLM(opts) {
   console.warn("[Deepgram] LLM not supported.");
@@ -106,6 +159,7 @@ function createStreamingLLM(opts) {
 module.exports = {
     DeepgramProvider,
     createSTT,
+    transcribeAudio,
     createLLM,
     createStreamingLLM
 };
\ No newline at end of file
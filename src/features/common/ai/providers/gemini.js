@@ -1,5 +1,7 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai")
 const { GoogleGenAI } = require("@google/genai")
+const { encodeWav } = require("../../utils/wav")
+const { toGeminiSchema } = require("../structuredOutput")
 
 class GeminiProvider {
     static async validateApiKey(key) {
@@ -64,6 +66,68 @@ async function createSTT({ apiKey, language = "en-US", callbacks = {}, ...config
   }
 }
 
+/**
+ * Transcribes a recorded audio clip. The Live model used for real-time STT does not take
+ * uploaded audio, so clips go to a regular model with the audio inline.
+ * @param {object} opts
+ * @param {string} opts.apiKey - Gemini API key
+ * @param {Buffer} opts.pcm - 16-bit mono PCM
+ * @param {number} [opts.sampleRate=16000]
+ * @param {string} [opts.model='gemini-2.5-flash']
+ * @param {string} [opts.language] - Detected from the audio when omitted
+ * @returns {Promise<{text: string}>}
+ */
+async function transcribeAudio({ apiKey, pcm, sampleRate = 16000, model = "gemini-2.5-flash", language }) {
+  const client = new GoogleGenerativeAI(apiKey)
+  const geminiModel = client.getGenerativeModel({
+    model: model.startsWith("gemini-live") ? "gemini-2.5-flash" : model,
+    generationConfig: { temperature: 0, responseMimeType: "text/plain" },
+  })
+
+  const instruction =
+    `Transcribe the speech in this audio verbatim${language ? ` (language: ${language})` : ""}. ` +
+    "Reply with the transcript only, without timestamps, speaker labels or commentary. " +
+    "If there is no speech, reply with nothing."
+  const result = await geminiModel.generateContent([
+    instruction,
+    { inlineData: { mimeType: "audio/wav", data: encodeWav(pcm, sampleRate).toString("base64") } },
+  ])
+  return { text: result.response.text().trim() }
+}
+
+/**
+ * Converts OpenAI-style message content, including image_url parts, to Gemini parts
+ * @param {string|Array} content
+ * @returns {Array<object>}
+ */
+function toGeminiParts(content) {
+  if (!Array.isArray(content)) return [{ text: String(content) }]
+
+  const parts = []
+  for (const part of content) {
+    if (typeof part === "string") {
+      parts.push({ text: part })
+    } else if (part.type === "text") {
+      parts.push({ text: part.text })
+    } else if (part.type === "image_url" && part.image_url) {
+      const [mimeInfo, base64Data] = part.image_url.url.split(",")
+      parts.push({
+        inlineData: {
+          mimeType: mimeInfo.match(/data:([^;]+)/)?.[1] || "image/png",
+          data: base64Data,
+        },
+      })
+    }
+  }
+  return parts
+}
+
+function toUsage(usageMetadata) {
+  return usageMetadata
+    ? { inputTokens: usageMetadata.promptTokenCount, outputTokens: usageMetadata.candidatesTokenCount }
+    : undefined
+}
+
 /**
  * Creates a Gemini LLM instance with proper text response handling
  */
@@ -109,6 +173,7 @@ function createLLM({ apiKey, model = "gemini-2.5-flash", temperature = 0.7, maxT
           response: {
             text: () => response.text(),
           },
+          usage: toUsage(response.usageMetadata),
         }
       } catch (error) {
         console.error("Gemini API error:", error)
@@ -192,6 +257,38 @@ function createLLM({ apiKey, model = "gemini-2.5-flash", temperature = 0.7, maxT
       // Return plain text content
       return {
         content: response.text(),
+        usage: toUsage(response.usageMetadata),
+        raw: result,
+      }
+    },
+
+    // Output constrained to a JSON schema through responseSchema. The system prompt is kept as is,
+    // unlike chat, which strips requests for JSON from it.
+    chatJson: async (messages, { schema }) => {
+      const systemInstruction = messages
+        .filter((msg) => msg.role === "system")
+        .map((msg) => msg.content)
+        .join("\n\n")
+      const turns = messages
+        .filter((msg) => msg.role !== "system")
+        .map((msg) => ({ role: msg.role === "user" ? "user" : "model", parts: toGeminiParts(msg.content) }))
+      const lastTurn = turns.pop()
+
+      const geminiModel = client.getGenerativeModel({
+        model: model,
+        systemInstruction: systemInstruction || undefined,
+        generationConfig: {
+          temperature: temperature,
+          maxOutputTokens: maxTokens,
+          responseMimeType: "application/json",
+          responseSchema: toGeminiSchema(schema),
+        },
+      })
+
+      const result = await geminiModel.startChat({ history: turns }).sendMessage(lastTurn.parts)
+      return {
+        content: result.response.text(),
+        usage: toUsage(result.response.usageMetadata),
         raw: result,
       }
     },
@@ -300,6 +397,20 @@ function createStreamingLLM({ apiKey, model = "gemini-2.5-flash", temperature =
               controller.enqueue(new TextEncoder().encode(`data: ${data}\n\n`))
             }
 
+            // Token counts of the whole response, available once the stream is done
+            const { usageMetadata } = await result.response
+            if (usageMetadata) {
+              const usage = JSON.stringify({
+                choices: [],
+                usage: {
+                  prompt_tokens: usageMetadata.promptTokenCount,
+                  completion_tokens: usageMetadata.candidatesTokenCount,
+                  total_tokens: usageMetadata.totalTokenCount,
+                },
+              })
+              controller.enqueue(new TextEncoder().encode(`data: ${usage}\n\n`))
+            }
+
             controller.enqueue(new TextEncoder().encode("data: [DONE]\n\n"))
             controller.close()
           } catch (error) {
@@ -323,6 +434,7 @@ function createStreamingLLM({ apiKey, model = "gemini-2.5-flash", temperature =
 module.exports = {
     GeminiProvider,
     createSTT,
+    transcribeAudio,
     createLLM,
     createStreamingLLM
 };
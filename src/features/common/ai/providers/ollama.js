@@ -116,6 +116,10 @@ function convertMessagesToOllamaFormat(messages) {
     });
 }
 
+function toUsage(result) {
+    return { inputTokens: result.prompt_eval_count, outputTokens: result.eval_count };
+}
+
 function createLLM({ 
     model, 
     temperature = 0.7, 
@@ -126,6 +130,46 @@ function createLLM({
     if (!model) {
         throw new Error('Model parameter is required for Ollama LLM. Please specify a model name (e.g., "llama3.2:latest", "gemma3:4b")');
     }
+
+    const postChat = (messages, extraBody, errorLabel) => {
+        const ollamaMessages = convertMessagesToOllamaFormat(messages);
+
+        // Use request queue to prevent concurrent API calls
+        return requestQueue.add(async () => {
+            try {
+                const response = await fetch(`${baseUrl}/api/chat`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        model,
+                        messages: ollamaMessages,
+                        stream: false,
+                        options: {
+                            temperature,
+                            num_predict: maxTokens,
+                        },
+                        ...extraBody
+                    })
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+                }
+
+                const result = await response.json();
+
+                return {
+                    content: result.message.content,
+                    usage: toUsage(result),
+                    raw: result
+                };
+            } catch (error) {
+                console.error(errorLabel, error);
+                throw error;
+            }
+        });
+    };
+
     return {
         generateContent: async (parts) => {
             let systemPrompt = '';
@@ -179,6 +223,7 @@ function createLLM({
                         response: {
                             text: () => result.message.content
                         },
+                        usage: toUsage(result),
                         raw: result
                     };
                 } catch (error) {
@@ -189,40 +234,12 @@ function createLLM({
         },
 
         chat: async (messages) => {
-            const ollamaMessages = convertMessagesToOllamaFormat(messages);
-
-            // Use request queue to prevent concurrent API calls
-            return await requestQueue.add(async () => {
-                try {
-                    const response = await fetch(`${baseUrl}/api/chat`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            model,
-                            messages: ollamaMessages,
-                            stream: false,
-                            options: {
-                                temperature,
-                                num_predict: maxTokens,
-                            }
-                        })
-                    });
-
-                    if (!response.ok) {
-                        throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-                    }
+            return await postChat(messages, {}, 'Ollama chat error:');
+        },
 
-                    const result = await response.json();
-                    
-                    return {
-                        content: result.message.content,
-                        raw: result
-                    };
-                } catch (error) {
-                    console.error('Ollama chat error:', error);
-                    throw error;
-                }
-            });
+        // Output constrained to a JSON schema through Ollama's structured outputs
+        chatJson: async (messages, { schema }) => {
+            return await postChat(messages, { format: schema }, 'Ollama structured output error:');
         }
     };
 }
@@ -295,6 +312,15 @@ function createStreamingLLM({
                                             }
                                             
                                             if (data.done) {
+                                                const usage = JSON.stringify({
+                                                    choices: [],
+                                                    usage: {
+                                                        prompt_tokens: data.prompt_eval_count,
+                                                        completion_tokens: data.eval_count,
+                                                        total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+                                                    }
+                                                });
+                                                controller.enqueue(new TextEncoder().encode(`data: ${usage}\n\n`));
                                                 controller.enqueue(new TextEncoder().encode('data: [DONE]\n\n'));
                                             }
                                         } catch (e) {
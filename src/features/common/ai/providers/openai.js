@@ -2,6 +2,7 @@ const OpenAI = require('openai');
 const WebSocket = require('ws');
 const { Portkey } = require('portkey-ai');
 const { Readable } = require('stream');
+const { encodeWav } = require('../../utils/wav');
 const { getProviderForModel } = require('../factory.js');
 
 
@@ -154,6 +155,43 @@ async function createSTT({ apiKey, language = 'en', callbacks = {}, usePortkey =
   });
 }
 
+/**
+ * Transcribes a recorded audio clip in a single request
+ * @param {object} opts - Configuration options
+ * @param {string} opts.apiKey - OpenAI API key
+ * @param {Buffer} opts.pcm - 16-bit mono PCM
+ * @param {number} [opts.sampleRate=16000] - Sample rate of the PCM
+ * @param {string} [opts.model='gpt-4o-mini-transcribe'] - Model name
+ * @param {string} [opts.language] - Language code; detected from the audio when omitted
+ * @param {boolean} [opts.usePortkey=false] - Whether to use Portkey
+ * @param {string} [opts.portkeyVirtualKey] - Portkey virtual key
+ * @returns {Promise<{text: string}>}
+ */
+async function transcribeAudio({ apiKey, pcm, sampleRate = 16000, model = 'gpt-4o-mini-transcribe', language, usePortkey = false, portkeyVirtualKey }) {
+  const form = new FormData();
+  form.append('file', new Blob([encodeWav(pcm, sampleRate)], { type: 'audio/wav' }), 'audio.wav');
+  form.append('model', model);
+  if (language) form.append('language', language);
+
+  const response = await fetch(usePortkey ? 'https://api.portkey.ai/v1/audio/transcriptions' : 'https://api.openai.com/v1/audio/transcriptions', {
+    method: 'POST',
+    headers: usePortkey
+      ? {
+          'x-portkey-api-key': 'gRv2UGRMq6GGLJ8aVEB4e7adIewu',
+          'x-portkey-virtual-key': portkeyVirtualKey || apiKey,
+        }
+      : { 'Authorization': `Bearer ${apiKey}` },
+    body: form,
+  });
+
+  if (!response.ok) {
+    throw new Error(`${usePortkey ? 'Portkey' : 'OpenAI'} transcription error: ${response.status} ${response.statusText}`);
+  }
+
+  const result = await response.json();
+  return { text: (result.text || '').trim() };
+}
+
 /**
  * Creates an OpenAI LLM instance
  * @param {object} opts - Configuration options
@@ -168,16 +206,21 @@ async function createSTT({ apiKey, language = 'en', callbacks = {}, usePortkey =
 function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2048, usePortkey = false, portkeyVirtualKey, ...config }) {
   const client = new OpenAI({ apiKey });
   
-  const callApi = async (messages) => {
+  const toUsage = (usage) => usage ? { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens } : undefined;
+
+  // extraBody carries request options such as response_format
+  const callApi = async (messages, extraBody = {}) => {
     if (!usePortkey) {
       const response = await client.chat.completions.create({
         model: model,
         messages: messages,
         temperature: temperature,
-        max_tokens: maxTokens
+        max_tokens: maxTokens,
+        ...extraBody
       });
       return {
         content: response.choices[0].message.content.trim(),
+        usage: toUsage(response.usage),
         raw: response
       };
     } else {
@@ -194,6 +237,7 @@ function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2
             messages,
             temperature,
             max_tokens: maxTokens,
+            ...extraBody,
         }),
       });
 
@@ -204,6 +248,7 @@ function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2
       const result = await response.json();
       return {
         content: result.choices[0].message.content.trim(),
+        usage: toUsage(result.usage),
         raw: result
       };
     }
@@ -239,6 +284,7 @@ function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2
         response: {
           text: () => result.content
         },
+        usage: result.usage,
         raw: result.raw
       };
     },
@@ -246,6 +292,16 @@ function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2
     // For compatibility with chat-style interfaces
     chat: async (messages) => {
       return await callApi(messages);
+    },
+
+    // Output constrained to a JSON schema; strict mode needs every property required and no additional ones
+    chatJson: async (messages, { name, schema }) => {
+      return await callApi(messages, {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name, schema, strict: true }
+        }
+      });
     }
   };
 }
@@ -288,6 +344,8 @@ function createStreamingLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxT
           temperature,
           max_tokens: maxTokens,
           stream: true,
+          // Ends the stream with a chunk carrying the token usage
+          stream_options: { include_usage: true },
         }),
       });
 
@@ -303,6 +361,7 @@ function createStreamingLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxT
 module.exports = {
     OpenAIProvider,
     createSTT,
+    transcribeAudio,
     createLLM,
     createStreamingLLM
 }; 
\ No newline at end of file
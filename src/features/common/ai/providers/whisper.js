@@ -14,7 +14,7 @@ if (typeof window === 'undefined') {
 }
 
 class WhisperSTTSession extends EventEmitter {
-    constructor(model, whisperService, sessionId) {
+    constructor(model, whisperService, sessionId, options = {}) {
         super();
         this.model = model;
         this.whisperService = whisperService;
@@ -24,6 +24,8 @@ class WhisperSTTSession extends EventEmitter {
         this.audioBuffer = Buffer.alloc(0);
         this.processingInterval = null;
         this.lastTranscription = '';
+        // Set for the system audio stream when speakers should be told apart
+        this.diarizer = options.diarizer || null;
     }
 
     async initialize() {
@@ -54,6 +56,7 @@ class WhisperSTTSession extends EventEmitter {
 
         const audioData = this.audioBuffer;
         this.audioBuffer = Buffer.alloc(0);
+        const speaker = this.diarizer ? this.diarizer.assign(audioData) : null;
 
         try {
             const tempFile = await this.whisperService.saveAudioToTemp(audioData, this.sessionId);
@@ -105,7 +108,8 @@ class WhisperSTTSession extends EventEmitter {
                             text: transcription,
                             timestamp: Date.now(),
                             confidence: 1.0,
-                            sessionId: this.sessionId
+                            sessionId: this.sessionId,
+                            speaker
                         });
                     }
                 } else if (errorOutput) {
@@ -200,7 +204,7 @@ class WhisperProvider {
         
         // Create unique session ID based on type
         const sessionId = `${sessionType}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
-        const session = new WhisperSTTSession(model, this.whisperService, sessionId);
+        const session = new WhisperSTTSession(model, this.whisperService, sessionId, { diarizer: config.diarizer });
         
         // Log session creation
         console.log(`[WhisperProvider] Created session: ${sessionId}`);
@@ -225,6 +229,11 @@ class WhisperProvider {
         return session;
     }
 
+    async transcribeAudio({ pcm, model = 'whisper-tiny', language = 'auto' }) {
+        await this.initialize();
+        return this.whisperService.transcribeFile(pcm, { model, language });
+    }
+
     async createLLM() {
         throw new Error('Whisper provider does not support LLM functionality');
     }
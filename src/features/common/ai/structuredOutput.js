@@ -0,0 +1,216 @@
+// Structured (JSON) model output: asking for it, reading the response back into an object and
+// checking it against the JSON schema it was requested with. Providers constrain their output to
+// the schema natively, but models still truncate, skip fields or ignore the constraint, so every
+// answer is validated here.
+// Supports the subset of JSON Schema all providers understand: type (a list for nullable fields),
+// properties, required, additionalProperties, items, enum, minimum/maximum, minItems/maxItems and maxLength.
+
+const { sumUsage } = require('./usageTracking');
+
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * @typedef {object} JsonSchema
+ * @property {string|string[]} [type]
+ * @property {string} [description]
+ * @property {Object.<string, JsonSchema>} [properties]
+ * @property {string[]} [required]
+ * @property {boolean} [additionalProperties]
+ * @property {JsonSchema} [items]
+ * @property {Array} [enum]
+ * @property {number} [minimum]
+ * @property {number} [maximum]
+ * @property {number} [minItems]
+ * @property {number} [maxItems]
+ * @property {number} [maxLength]
+ */
+
+/**
+ * The JSON object in a model response. Tolerates markdown fences and text around the object.
+ * @param {string} content
+ * @returns {any}
+ */
+function parseJsonContent(content) {
+    const text = String(content || '').trim();
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw new Error('Response did not contain a JSON object');
+        }
+        return JSON.parse(text.slice(start, end + 1));
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function collectErrors(value, schema, path, errors) {
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+    } else if (typeof value === 'string') {
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} should be at most ${schema.maxLength} characters`);
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, index) => collectErrors(item, schema.items, `${path}[${index}]`, errors));
+    } else if (value && typeof value === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                collectErrors(item, properties[key], `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+}
+
+/**
+ * @param {any} value
+ * @param {JsonSchema} schema
+ * @returns {string[]} What is wrong with the value, empty when it matches
+ */
+function validateSchema(value, schema) {
+    const errors = [];
+    collectErrors(value, schema, '$', errors);
+    return errors;
+}
+
+/**
+ * Gemini takes an OpenAPI-style schema: nullable instead of a type list and no additionalProperties
+ * @param {JsonSchema} schema
+ * @returns {object}
+ */
+function toGeminiSchema(schema) {
+    const converted = {};
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = types.find(candidate => candidate && candidate !== 'null');
+    if (type) converted.type = type;
+    if (types.includes('null')) converted.nullable = true;
+
+    for (const key of ['description', 'enum', 'required', 'minimum', 'maximum', 'minItems', 'maxItems']) {
+        if (schema[key] !== undefined) converted[key] = schema[key];
+    }
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, property]) => [key, toGeminiSchema(property)])
+        );
+    }
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    return converted;
+}
+
+/**
+ * Instruction for models asked through plain chat, without a native schema constraint
+ * @param {string} name
+ * @param {JsonSchema} schema
+ * @returns {string}
+ */
+function buildSchemaInstruction(name, schema) {
+    return `Respond with a single JSON object named "${name}" and nothing else (no markdown fences, no commentary). It must match this JSON schema:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * The follow-up message when a response did not match its schema
+ * @param {string[]} errors
+ * @returns {string}
+ */
+function buildRetryMessage(errors) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n');
+    return `Your previous response did not match the required JSON schema:\n${listed}\n\nReply again with only the corrected JSON object.`;
+}
+
+/**
+ * Ask an LLM for a JSON object matching a schema. Providers constrain their output natively through
+ * llm.chatJson (OpenAI JSON schema, Gemini responseSchema, Anthropic tool use, Ollama format); LLMs
+ * without it are asked in the prompt. An answer that does not parse or match the schema is sent back
+ * with what was wrong, up to `retries` times.
+ * @param {object} llm - Instance from factory.createLLM
+ * @param {Array<{role: string, content: any}>} messages - Chat messages, as for llm.chat
+ * @param {object} opts
+ * @param {string} opts.name - Name of the output, e.g. "screenshot_analysis"
+ * @param {JsonSchema} opts.schema - Root must be an object schema
+ * @param {number} [opts.retries=1]
+ * @returns {Promise<{data: object, content: string, attempts: number, usage: {inputTokens: number, outputTokens: number}|null, servedBy?: import('./fallbackChain').ServedBy}>}
+ *   usage adds up all attempts; servedBy is the provider of the accepted answer
+ */
+async function generateStructured(llm, messages, { name, schema, retries = 1 }) {
+    const native = typeof llm.chatJson === 'function';
+    let conversation = native ? messages : [
+        ...messages,
+        { role: 'user', content: buildSchemaInstruction(name, schema) },
+    ];
+
+    const usages = [];
+    for (let attempt = 1; ; attempt++) {
+        const { content, usage, servedBy } = native
+            ? await llm.chatJson(conversation, { name, schema })
+            : await llm.chat(conversation);
+
+        usages.push(usage);
+
+        let errors;
+        let data = null;
+        try {
+            data = parseJsonContent(content);
+            errors = validateSchema(data, schema);
+        } catch (error) {
+            errors = [error.message];
+        }
+        if (errors.length === 0) {
+            return { data, content, attempts: attempt, usage: sumUsage(usages), servedBy };
+        }
+
+        if (attempt > retries) {
+            const error = new Error(`Invalid ${name} from the model: ${errors.slice(0, 3).join('; ')}`);
+            error.validationErrors = errors;
+            error.content = content;
+            throw error;
+        }
+        console.warn(`[AI] ${name} did not match its schema (attempt ${attempt}), retrying:`, errors.slice(0, 3).join('; '));
+        conversation = [
+            ...conversation,
+            { role: 'assistant', content: String(content || '') },
+            { role: 'user', content: buildRetryMessage(errors) },
+        ];
+    }
+}
+
+module.exports = {
+    parseJsonContent,
+    validateSchema,
+    toGeminiSchema,
+    buildSchemaInstruction,
+    buildRetryMessage,
+    generateStructured,
+};
@@ -0,0 +1,172 @@
+// Token accounting for LLM instances from the factory. Every call is reported with the tokens the
+// provider counted; when a provider does not report usage, the tokens are estimated from the text.
+// Providers return `usage: {inputTokens, outputTokens}` with each result, and streaming providers end
+// their SSE stream with an OpenAI-style `{"choices": [], "usage": {...}}` chunk.
+
+const { estimateTokens } = require('./pricing');
+
+/**
+ * @typedef {object} UsageContext
+ * @property {string} provider - Provider id as selected by the user, e.g. "openai-glass"
+ * @property {string} model
+ * @property {string} feature - What the instance is used for, e.g. "ask" or "research"
+ */
+
+/**
+ * @typedef {object} UsageEntry
+ * @property {string} provider
+ * @property {string} model
+ * @property {string} feature
+ * @property {string} operation - "chat", "generate", "stream" or the name of a structured output
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {boolean} estimated - True when the tokens were estimated from the text
+ */
+
+function partText(part) {
+    if (typeof part === 'string') return part;
+    return part?.text || '';
+}
+
+function messagesText(messages) {
+    return (messages || [])
+        .map(message => Array.isArray(message.content) ? message.content.map(partText).join('\n') : partText(message.content))
+        .join('\n');
+}
+
+function hasUsage(usage) {
+    return Boolean(usage) && (Number.isFinite(usage.inputTokens) || Number.isFinite(usage.outputTokens));
+}
+
+/**
+ * Tokens of one call, as reported by the provider or estimated from the text
+ * @param {{inputTokens?: number, outputTokens?: number}|undefined} usage
+ * @param {string} inputText
+ * @param {string} outputText
+ * @returns {{inputTokens: number, outputTokens: number, estimated: boolean}}
+ */
+function resolveUsage(usage, inputText, outputText) {
+    if (hasUsage(usage)) {
+        return { inputTokens: usage.inputTokens || 0, outputTokens: usage.outputTokens || 0, estimated: false };
+    }
+    return { inputTokens: estimateTokens(inputText), outputTokens: estimateTokens(outputText), estimated: true };
+}
+
+/**
+ * Pass an SSE response through unchanged while reading its content and usage chunk
+ * @param {Response|{ok: boolean, body: ReadableStream}} response
+ * @param {(usage: object|null, outputText: string) => void} onComplete - Called when the stream ends.
+ *   A stream the caller cancels is not reported; providers count usage only at the end.
+ * @returns {Response|{ok: boolean, body: ReadableStream}}
+ */
+function meterStream(response, onComplete) {
+    if (!response?.body || typeof response.body.pipeThrough !== 'function') {
+        return response;
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let usage = null;
+    let outputText = '';
+
+    const readLine = (line) => {
+        if (!line.startsWith('data: ')) return;
+        const data = line.slice(6).trim();
+        if (!data || data === '[DONE]') return;
+        try {
+            const json = JSON.parse(data);
+            outputText += json.choices?.[0]?.delta?.content || '';
+            if (json.usage) {
+                usage = { inputTokens: json.usage.prompt_tokens, outputTokens: json.usage.completion_tokens };
+            }
+        } catch (error) {
+            // Partial or non-JSON lines carry nothing to count
+        }
+    };
+
+    const body = response.body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(readLine);
+            controller.enqueue(chunk);
+        },
+        flush() {
+            readLine(buffer + decoder.decode());
+            onComplete(usage, outputText);
+        },
+    }));
+
+    if (typeof Response !== 'undefined' && response instanceof Response) {
+        return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+    return { ...response, body };
+}
+
+/**
+ * Wrap an LLM or streaming LLM instance so every call is reported. Results carry the usage they
+ * were recorded with, estimated or not.
+ * @param {object} instance - From a provider's createLLM or createStreamingLLM
+ * @param {UsageContext} context
+ * @param {(entry: UsageEntry) => void} record - Must not throw; accounting never fails a call
+ * @returns {object} Instance with the same methods
+ */
+function trackUsage(instance, context, record) {
+    const report = (operation, usage, inputText, outputText) => {
+        const resolved = resolveUsage(usage, inputText, outputText);
+        record({ ...context, operation, ...resolved });
+        return resolved;
+    };
+    const tracked = { ...instance };
+
+    if (instance.generateContent) {
+        tracked.generateContent = async (parts) => {
+            const result = await instance.generateContent(parts);
+            const text = typeof result?.response?.text === 'function' ? result.response.text() : '';
+            return { ...result, usage: report('generate', result?.usage, (parts || []).map(partText).join('\n'), text) };
+        };
+    }
+    if (instance.chat) {
+        tracked.chat = async (messages) => {
+            const result = await instance.chat(messages);
+            return { ...result, usage: report('chat', result?.usage, messagesText(messages), result?.content) };
+        };
+    }
+    if (instance.chatJson) {
+        tracked.chatJson = async (messages, options) => {
+            const result = await instance.chatJson(messages, options);
+            return { ...result, usage: report(options?.name || 'chat', result?.usage, messagesText(messages), result?.content) };
+        };
+    }
+    if (instance.streamChat) {
+        tracked.streamChat = async (messages) => {
+            const response = await instance.streamChat(messages);
+            return meterStream(response, (usage, outputText) => {
+                report('stream', usage, messagesText(messages), outputText);
+            });
+        };
+    }
+    return tracked;
+}
+
+/**
+ * Add up the usage of several calls, e.g. the attempts of a structured output request
+ * @param {Array<{inputTokens?: number, outputTokens?: number}|undefined>} usages
+ * @returns {{inputTokens: number, outputTokens: number}|null} Null when no call reported usage
+ */
+function sumUsage(usages) {
+    const reported = usages.filter(hasUsage);
+    if (reported.length === 0) return null;
+    return {
+        inputTokens: reported.reduce((sum, usage) => sum + (usage.inputTokens || 0), 0),
+        outputTokens: reported.reduce((sum, usage) => sum + (usage.outputTokens || 0), 0),
+    };
+}
+
+module.exports = {
+    trackUsage,
+    meterStream,
+    resolveUsage,
+    sumUsage,
+};
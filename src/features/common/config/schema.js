@@ -17,8 +17,10 @@ const LATEST_SCHEMA = {
             { name: 'session_type', type: 'TEXT DEFAULT \'ask\'' },
             { name: 'started_at', type: 'INTEGER' },
             { name: 'ended_at', type: 'INTEGER' },
+            { name: 'summary_template_id', type: 'TEXT' },  // null for the built-in summary format
             { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' },
-            { name: 'updated_at', type: 'INTEGER' }
+            { name: 'updated_at', type: 'INTEGER' },
+            { name: 'synced_at', type: 'INTEGER' }           // updated_at of the version last exchanged with the remote
         ]
     },
     transcripts: {
@@ -27,13 +29,25 @@ const LATEST_SCHEMA = {
             { name: 'session_id', type: 'TEXT NOT NULL' },
             { name: 'start_at', type: 'INTEGER' },
             { name: 'end_at', type: 'INTEGER' },
-            { name: 'speaker', type: 'TEXT' },
+            { name: 'speaker', type: 'TEXT' },                // display name at the time of saving, updated on rename
+            { name: 'speaker_id', type: 'TEXT' },             // me, them, or speaker_<n> when diarized
             { name: 'text', type: 'TEXT' },
             { name: 'lang', type: 'TEXT' },
             { name: 'created_at', type: 'INTEGER' },
-            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' }
+            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' },
+            { name: 'updated_at', type: 'INTEGER' },
+            { name: 'synced_at', type: 'INTEGER' }
         ]
     },
+    session_speakers: {
+        columns: [
+            { name: 'session_id', type: 'TEXT NOT NULL' },
+            { name: 'speaker_id', type: 'TEXT NOT NULL' },
+            { name: 'name', type: 'TEXT NOT NULL' },
+            { name: 'updated_at', type: 'INTEGER' }
+        ],
+        constraints: ['PRIMARY KEY (session_id, speaker_id)']
+    },
     ai_messages: {
         columns: [
             { name: 'id', type: 'TEXT PRIMARY KEY' },
@@ -44,7 +58,9 @@ const LATEST_SCHEMA = {
             { name: 'tokens', type: 'INTEGER' },
             { name: 'model', type: 'TEXT' },
             { name: 'created_at', type: 'INTEGER' },
-            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' }
+            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' },
+            { name: 'updated_at', type: 'INTEGER' },
+            { name: 'synced_at', type: 'INTEGER' }
         ]
     },
     summaries: {
@@ -57,8 +73,13 @@ const LATEST_SCHEMA = {
             { name: 'bullet_json', type: 'TEXT' },
             { name: 'action_json', type: 'TEXT' },
             { name: 'tokens_used', type: 'INTEGER' },
+            { name: 'template_id', type: 'TEXT' },
+            { name: 'sections_json', type: 'TEXT' },          // sections of a templated summary, see summaryTemplates
+            { name: 'minutes_json', type: 'TEXT' },
+            { name: 'minutes_generated_at', type: 'INTEGER' },
             { name: 'updated_at', type: 'INTEGER' },
-            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' }
+            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' },
+            { name: 'synced_at', type: 'INTEGER' }
         ]
     },
     prompt_presets: {
@@ -69,7 +90,55 @@ const LATEST_SCHEMA = {
             { name: 'prompt', type: 'TEXT NOT NULL' },
             { name: 'is_default', type: 'INTEGER NOT NULL' },
             { name: 'created_at', type: 'INTEGER' },
-            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' }
+            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' },
+            { name: 'updated_at', type: 'INTEGER' },
+            { name: 'synced_at', type: 'INTEGER' }
+        ]
+    },
+    summary_templates: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'title', type: 'TEXT NOT NULL' },
+            { name: 'instructions', type: 'TEXT' },
+            { name: 'sections_json', type: 'TEXT NOT NULL' },
+            { name: 'is_default', type: 'INTEGER NOT NULL' },
+            { name: 'created_at', type: 'INTEGER' },
+            { name: 'updated_at', type: 'INTEGER' },
+            { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' },
+            { name: 'synced_at', type: 'INTEGER' }
+        ]
+    },
+    sync_tombstones: {
+        columns: [
+            { name: 'table_name', type: 'TEXT NOT NULL' },
+            { name: 'row_id', type: 'TEXT NOT NULL' },
+            { name: 'uid', type: 'TEXT' },
+            { name: 'deleted_at', type: 'INTEGER NOT NULL' }
+        ],
+        constraints: ['PRIMARY KEY (table_name, row_id)']
+    },
+    sync_cursors: {
+        columns: [
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'backend', type: 'TEXT NOT NULL' },
+            { name: 'cursor', type: 'TEXT' },                 // opaque to the engine, see sync backends
+            { name: 'last_synced_at', type: 'INTEGER' }
+        ],
+        constraints: ['PRIMARY KEY (uid, backend)']
+    },
+    sync_conflicts: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'table_name', type: 'TEXT NOT NULL' },
+            { name: 'row_id', type: 'TEXT NOT NULL' },
+            { name: 'winner', type: 'TEXT NOT NULL' },        // local or remote
+            { name: 'local_json', type: 'TEXT' },             // null when deleted on that side
+            { name: 'remote_json', type: 'TEXT' },
+            { name: 'local_updated_at', type: 'INTEGER' },
+            { name: 'remote_updated_at', type: 'INTEGER' },
+            { name: 'created_at', type: 'INTEGER NOT NULL' }
         ]
     },
     ollama_models: {
@@ -151,6 +220,60 @@ const LATEST_SCHEMA = {
             { name: 'enable_ai_analysis', type: 'INTEGER DEFAULT 1' },
             { name: 'privacy_mode', type: 'INTEGER DEFAULT 0' },
             { name: 'activity_categories', type: 'TEXT' },
+            { name: 'capture_displays', type: "TEXT DEFAULT 'focused'" }, // 'focused' | 'all' | 'selected'
+            { name: 'capture_display_ids', type: 'TEXT' }, // JSON array of display ids, for 'selected'
+            { name: 'pause_when_idle', type: 'INTEGER DEFAULT 1' },
+            { name: 'idle_threshold_minutes', type: 'INTEGER DEFAULT 5' },
+            { name: 'ask_on_return', type: 'INTEGER DEFAULT 1' },
+            { name: 'created_at', type: 'TEXT NOT NULL' },
+            { name: 'updated_at', type: 'TEXT NOT NULL' }
+        ]
+    },
+    activity_productivity_overrides: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'override_type', type: 'TEXT NOT NULL' }, // 'app' | 'time'
+            { name: 'target', type: 'TEXT NOT NULL' },        // app keyword or time period name
+            { name: 'value', type: 'REAL NOT NULL' },         // app rating (0-10) or time modifier
+            { name: 'start_hour', type: 'INTEGER' },
+            { name: 'end_hour', type: 'INTEGER' },
+            { name: 'created_at', type: 'TEXT NOT NULL' },
+            { name: 'updated_at', type: 'TEXT NOT NULL' }
+        ]
+    },
+    activity_time_blocks: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'date', type: 'TEXT NOT NULL' },          // YYYY-MM-DD the block is planned for
+            { name: 'title', type: 'TEXT NOT NULL' },
+            { name: 'category', type: 'TEXT' },
+            { name: 'project_id', type: 'TEXT' },
+            { name: 'project_name', type: 'TEXT' },
+            { name: 'start_time', type: 'TEXT NOT NULL' },
+            { name: 'end_time', type: 'TEXT NOT NULL' },
+            { name: 'notes', type: 'TEXT' },
+            { name: 'created_at', type: 'TEXT NOT NULL' },
+            { name: 'updated_at', type: 'TEXT NOT NULL' }
+        ]
+    },
+    activity_categorization_rules: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'name', type: 'TEXT NOT NULL' },
+            { name: 'enabled', type: 'INTEGER DEFAULT 1' },
+            { name: 'priority', type: 'INTEGER DEFAULT 0' },  // lower runs first
+            { name: 'match_app', type: 'TEXT' },              // case-insensitive substring of the app name
+            { name: 'match_title', type: 'TEXT' },            // case-insensitive regex on the window title
+            { name: 'match_domain', type: 'TEXT' },           // domain of the browser URL, subdomains included
+            { name: 'start_hour', type: 'INTEGER' },          // local hour range, may wrap past midnight
+            { name: 'end_hour', type: 'INTEGER' },
+            { name: 'category', type: 'TEXT' },
+            { name: 'project_id', type: 'TEXT' },
+            { name: 'project_name', type: 'TEXT' },
+            { name: 'productivity_score', type: 'REAL' },     // 0-10, overrides the computed score
             { name: 'created_at', type: 'TEXT NOT NULL' },
             { name: 'updated_at', type: 'TEXT NOT NULL' }
         ]
@@ -170,7 +293,102 @@ const LATEST_SCHEMA = {
             { name: 'metadata', type: 'TEXT' },
             { name: 'created_at', type: 'TEXT NOT NULL' }
         ]
+    },
+    history_embeddings: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'source_type', type: 'TEXT NOT NULL' },     // research_analysis, activity, summary
+            { name: 'source_id', type: 'TEXT NOT NULL' },
+            { name: 'title', type: 'TEXT' },
+            { name: 'content', type: 'TEXT NOT NULL' },
+            { name: 'occurred_at', type: 'TEXT' },
+            { name: 'content_hash', type: 'TEXT NOT NULL' },
+            { name: 'embedding_model', type: 'TEXT NOT NULL' },
+            { name: 'vector', type: 'BLOB NOT NULL' },          // Float32Array, L2-normalized
+            { name: 'created_at', type: 'TEXT NOT NULL' }
+        ],
+        constraints: ['UNIQUE (uid, source_type, source_id)']
+    },
+    ai_usage: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'provider', type: 'TEXT NOT NULL' },
+            { name: 'model', type: 'TEXT' },
+            { name: 'feature', type: 'TEXT NOT NULL' },        // ask, listen, activity, research
+            { name: 'operation', type: 'TEXT' },              // chat, stream, or the structured output name
+            { name: 'input_tokens', type: 'INTEGER DEFAULT 0' },
+            { name: 'output_tokens', type: 'INTEGER DEFAULT 0' },
+            { name: 'estimated', type: 'INTEGER DEFAULT 0' },   // 1 when the provider did not report usage
+            { name: 'cost_usd', type: 'REAL DEFAULT 0' },      // estimate from ai/pricing
+            { name: 'created_at', type: 'TEXT NOT NULL' }
+        ]
+    },
+    ai_usage_budgets: {
+        columns: [
+            { name: 'uid', type: 'TEXT PRIMARY KEY' },
+            { name: 'daily_limit_usd', type: 'REAL' },         // null for no limit
+            { name: 'monthly_limit_usd', type: 'REAL' },
+            { name: 'updated_at', type: 'TEXT NOT NULL' }
+        ]
+    },
+    redaction_settings: {
+        columns: [
+            { name: 'uid', type: 'TEXT PRIMARY KEY' },
+            { name: 'enabled', type: 'INTEGER DEFAULT 1' },
+            { name: 'blocked_apps', type: 'TEXT' },            // JSON array of app names
+            { name: 'blocked_titles', type: 'TEXT' },          // JSON array of window title patterns
+            { name: 'mask_emails', type: 'INTEGER DEFAULT 1' },
+            { name: 'mask_secrets', type: 'INTEGER DEFAULT 1' },
+            { name: 'custom_patterns', type: 'TEXT' },         // JSON array of { name, pattern }
+            { name: 'send_without_ocr', type: 'INTEGER DEFAULT 0' },
+            { name: 'updated_at', type: 'TEXT NOT NULL' }
+        ]
+    },
+    redaction_audit: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'source', type: 'TEXT NOT NULL' },         // activity, research
+            { name: 'action', type: 'TEXT NOT NULL' },         // blocked, masked, withheld, unmasked
+            { name: 'reason', type: 'TEXT' },
+            { name: 'app', type: 'TEXT' },                    // window titles are not kept, they may be what was blocked
+            { name: 'matches_json', type: 'TEXT' },            // detector name -> count; never the matched text
+            { name: 'regions', type: 'INTEGER DEFAULT 0' },
+            { name: 'created_at', type: 'TEXT NOT NULL' }
+        ]
     }
 };
 
+// Bump whenever LATEST_SCHEMA or its search indexes change. Recorded in workspace archive manifests.
+// Non-enumerable so schema synchronization only iterates table definitions.
+Object.defineProperty(LATEST_SCHEMA, 'SCHEMA_VERSION', { value: 14, enumerable: false });
+
+// FTS5 full-text indexes over conversation content, kept in sync by triggers on the source tables.
+// External-content tables: the index stores only tokens and reads snippets back from the source rows.
+Object.defineProperty(LATEST_SCHEMA, 'SEARCH_INDEXES', {
+    value: {
+        transcripts_fts: { table: 'transcripts', columns: ['text'] },
+        ai_messages_fts: { table: 'ai_messages', columns: ['content'] },
+        summaries_fts: { table: 'summaries', columns: ['tldr', 'text', 'bullet_json', 'action_json'] }
+    },
+    enumerable: false
+});
+
+// Tables mirrored to the remote store by syncService. Triggers mark every local write 'dirty' and
+// record deletions in sync_tombstones; `owner` is the uid column, or `parent` the sessions foreign key
+// for rows that belong to a session. Rows with the `exclude` column values (built-in defaults) are never synced.
+Object.defineProperty(LATEST_SCHEMA, 'SYNC_TABLES', {
+    value: {
+        sessions: { key: 'id', owner: 'uid' },
+        transcripts: { key: 'id', parent: 'session_id' },
+        ai_messages: { key: 'id', parent: 'session_id' },
+        summaries: { key: 'session_id', parent: 'session_id' },
+        prompt_presets: { key: 'id', owner: 'uid', exclude: { is_default: 1 } },
+        summary_templates: { key: 'id', owner: 'uid', exclude: { is_default: 1 } }
+    },
+    enumerable: false
+});
+
 module.exports = LATEST_SCHEMA; 
\ No newline at end of file
@@ -48,10 +48,11 @@ function create({ uid, title, prompt }) {
 
 function update(id, { title, prompt }, uid) {
     const db = sqliteClient.getDb();
-    const query = `UPDATE prompt_presets SET title = ?, prompt = ?, sync_state = 'dirty' WHERE id = ? AND uid = ? AND is_default = 0`;
+    const now = Math.floor(Date.now() / 1000);
+    const query = `UPDATE prompt_presets SET title = ?, prompt = ?, updated_at = ? WHERE id = ? AND uid = ? AND is_default = 0`;
 
     try {
-        const result = db.prepare(query).run(title, prompt, id, uid);
+        const result = db.prepare(query).run(title, prompt, now, id, uid);
         if (result.changes === 0) {
             throw new Error("Preset not found or permission denied.");
         }
@@ -0,0 +1,24 @@
+const sqliteRepository = require('./sqlite.repository');
+const authService = require('../../services/authService');
+
+// Redaction rules and their audit log stay on this machine, like the screenshots they concern
+const redactionRepositoryAdapter = {
+    getSettings: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getSettings(uid);
+    },
+    saveSettings: (settings) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.saveSettings(uid, settings);
+    },
+    addAuditEntry: (entry, keep) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.addAuditEntry(uid, entry, keep);
+    },
+    getAuditEntries: (limit) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getAuditEntries(uid, limit);
+    }
+};
+
+module.exports = redactionRepositoryAdapter;
@@ -0,0 +1,97 @@
+const sqliteClient = require('../../services/sqliteClient');
+const { v4: uuidv4 } = require('uuid');
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function getSettings(uid) {
+    const db = sqliteClient.getDb();
+    const row = db.prepare('SELECT * FROM redaction_settings WHERE uid = ?').get(uid);
+    if (!row) return null;
+    return {
+        enabled: row.enabled === 1,
+        blocked_apps: parseJson(row.blocked_apps, []),
+        blocked_titles: parseJson(row.blocked_titles, []),
+        mask_emails: row.mask_emails === 1,
+        mask_secrets: row.mask_secrets === 1,
+        custom_patterns: parseJson(row.custom_patterns, []),
+        send_without_ocr: row.send_without_ocr === 1,
+        updated_at: row.updated_at
+    };
+}
+
+function saveSettings(uid, settings) {
+    const db = sqliteClient.getDb();
+    db.prepare(`
+        INSERT INTO redaction_settings (uid, enabled, blocked_apps, blocked_titles, mask_emails, mask_secrets, custom_patterns, send_without_ocr, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(uid) DO UPDATE SET
+            enabled = excluded.enabled,
+            blocked_apps = excluded.blocked_apps,
+            blocked_titles = excluded.blocked_titles,
+            mask_emails = excluded.mask_emails,
+            mask_secrets = excluded.mask_secrets,
+            custom_patterns = excluded.custom_patterns,
+            send_without_ocr = excluded.send_without_ocr,
+            updated_at = excluded.updated_at
+    `).run(
+        uid,
+        settings.enabled ? 1 : 0,
+        JSON.stringify(settings.blocked_apps),
+        JSON.stringify(settings.blocked_titles),
+        settings.mask_emails ? 1 : 0,
+        settings.mask_secrets ? 1 : 0,
+        JSON.stringify(settings.custom_patterns),
+        settings.send_without_ocr ? 1 : 0,
+        new Date().toISOString()
+    );
+    return { success: true };
+}
+
+/**
+ * @param {number} [keep] - Entries of the user to keep, oldest ones are deleted
+ */
+function addAuditEntry(uid, { source, action, reason, app, matches, regions }, keep) {
+    const db = sqliteClient.getDb();
+    const id = uuidv4();
+    db.prepare(`
+        INSERT INTO redaction_audit (id, uid, source, action, reason, app, matches_json, regions, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, uid, source, action, reason || null, app || null, JSON.stringify(matches || {}), regions || 0, new Date().toISOString());
+    if (keep) {
+        db.prepare(`
+            DELETE FROM redaction_audit
+            WHERE uid = ? AND rowid NOT IN (
+                SELECT rowid FROM redaction_audit WHERE uid = ? ORDER BY created_at DESC, rowid DESC LIMIT ?
+            )
+        `).run(uid, uid, keep);
+    }
+    return { id };
+}
+
+/**
+ * Newest entries first
+ */
+function getAuditEntries(uid, limit) {
+    const db = sqliteClient.getDb();
+    return db.prepare(`
+        SELECT id, source, action, reason, app, matches_json, regions, created_at
+        FROM redaction_audit
+        WHERE uid = ?
+        ORDER BY created_at DESC, rowid DESC
+        LIMIT ?
+    `).all(uid, limit).map(({ matches_json, ...entry }) => ({ ...entry, matches: parseJson(matches_json, {}) }));
+}
+
+module.exports = {
+    getSettings,
+    saveSettings,
+    addAuditEntry,
+    getAuditEntries
+};
@@ -0,0 +1,15 @@
+const sqliteRepository = require('./sqlite.repository');
+const authService = require('../../services/authService');
+
+const MAX_LIMIT = 100;
+
+// The full-text index lives in the local database only; there is no Firebase counterpart
+const searchRepositoryAdapter = {
+    searchConversations: ({ query, limit, sources } = {}) => {
+        const uid = authService.getCurrentUserId();
+        const cappedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIMIT);
+        return sqliteRepository.searchConversations({ uid, query, limit: cappedLimit, sources });
+    }
+};
+
+module.exports = searchRepositoryAdapter;
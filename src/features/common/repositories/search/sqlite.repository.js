@@ -0,0 +1,111 @@
+const sqliteClient = require('../../services/sqliteClient');
+
+// Control characters never appear in indexed text, so they can mark match boundaries in snippets
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const SNIPPET_TOKENS = 12;
+
+const SOURCES = {
+    transcript: `
+        SELECT 'transcript' AS source, t.id AS source_id, t.session_id, t.speaker AS speaker,
+               COALESCE(t.start_at, t.created_at) AS timestamp,
+               snippet(transcripts_fts, -1, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_TOKENS}) AS snippet,
+               bm25(transcripts_fts) AS rank
+        FROM transcripts_fts
+        JOIN transcripts t ON t.rowid = transcripts_fts.rowid
+        WHERE transcripts_fts MATCH @match`,
+    ai_message: `
+        SELECT 'ai_message' AS source, m.id AS source_id, m.session_id, m.role AS speaker,
+               COALESCE(m.sent_at, m.created_at) AS timestamp,
+               snippet(ai_messages_fts, -1, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_TOKENS}) AS snippet,
+               bm25(ai_messages_fts) AS rank
+        FROM ai_messages_fts
+        JOIN ai_messages m ON m.rowid = ai_messages_fts.rowid
+        WHERE ai_messages_fts MATCH @match`,
+    summary: `
+        SELECT 'summary' AS source, su.session_id AS source_id, su.session_id, NULL AS speaker,
+               COALESCE(su.updated_at, su.generated_at) AS timestamp,
+               snippet(summaries_fts, -1, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_TOKENS}) AS snippet,
+               bm25(summaries_fts) AS rank
+        FROM summaries_fts
+        JOIN summaries su ON su.rowid = summaries_fts.rowid
+        WHERE summaries_fts MATCH @match`
+};
+
+/**
+ * Turn free text into an FTS5 query: every word must appear, the last one as a prefix
+ * so results update while typing. Quoting each word keeps FTS syntax (-, :, OR, ...) literal.
+ */
+function toMatchExpression(query) {
+    const terms = String(query || '')
+        .split(/\s+/)
+        .map(term => term.replace(/"/g, '').trim())
+        .filter(Boolean);
+    if (terms.length === 0) {
+        return null;
+    }
+    return terms.map((term, i) => `"${term}"${i === terms.length - 1 ? '*' : ''}`).join(' ');
+}
+
+// Split a marked snippet into plain text and the [start, end) ranges of the matched terms
+function parseSnippet(marked) {
+    const highlights = [];
+    let text = '';
+    let start = null;
+    for (const char of marked || '') {
+        if (char === MATCH_START) {
+            start = text.length;
+        } else if (char === MATCH_END) {
+            if (start !== null) highlights.push([start, text.length]);
+            start = null;
+        } else {
+            text += char;
+        }
+    }
+    return { text, highlights };
+}
+
+function searchConversations({ uid, query, limit = 20, sources = Object.keys(SOURCES) }) {
+    const match = toMatchExpression(query);
+    if (!match) {
+        return [];
+    }
+
+    const selected = sources.filter(source => SOURCES[source]);
+    if (selected.length === 0) {
+        return [];
+    }
+
+    const db = sqliteClient.getDb();
+    const sql = `
+        SELECT r.*, s.title AS session_title, s.session_type, s.started_at AS session_started_at
+        FROM (${selected.map(source => SOURCES[source]).join(' UNION ALL ')}) r
+        JOIN sessions s ON s.id = r.session_id
+        WHERE s.uid = @uid
+        ORDER BY r.rank ASC, r.timestamp DESC
+        LIMIT @limit
+    `;
+
+    return db.prepare(sql).all({ match, uid, limit }).map(row => {
+        const { text, highlights } = parseSnippet(row.snippet);
+        return {
+            session_id: row.session_id,
+            session_title: row.session_title,
+            session_type: row.session_type,
+            session_started_at: row.session_started_at,
+            source: row.source,
+            source_id: row.source_id,
+            speaker: row.speaker,
+            timestamp: row.timestamp,
+            snippet: text,
+            highlights,
+            // bm25 is lower-is-better and negative; flip it so larger means more relevant
+            score: Math.round(-row.rank * 1000) / 1000
+        };
+    });
+}
+
+module.exports = {
+    searchConversations,
+    toMatchExpression,
+};
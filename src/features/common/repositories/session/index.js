@@ -1,5 +1,4 @@
 const sqliteRepository = require('./sqlite.repository');
-const firebaseRepository = require('./firebase.repository');
 
 let authService = null;
 
@@ -7,53 +6,47 @@ function setAuthService(service) {
     authService = service;
 }
 
-function getBaseRepository() {
-    if (!authService) {
-        // Fallback or error if authService is not set, to prevent crashes.
-        // During initial load, it might not be set, so we default to sqlite.
-        return sqliteRepository;
-    }
-    const user = authService.getCurrentUser();
-    if (user && user.isLoggedIn) {
-        return firebaseRepository;
-    }
-    return sqliteRepository;
-}
-
-// The adapter layer that injects the UID
+// Always written locally; syncService mirrors these rows to Firestore for signed-in users
 const sessionRepositoryAdapter = {
     setAuthService, // Expose the setter
 
-    getById: (id) => getBaseRepository().getById(id),
+    getById: (id) => sqliteRepository.getById(id),
     
     create: (type = 'ask') => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().create(uid, type);
+        return sqliteRepository.create(uid, type);
     },
     
+    createFinished: (params) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.createFinished(uid, params);
+    },
+
     getAllByUserId: () => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().getAllByUserId(uid);
+        return sqliteRepository.getAllByUserId(uid);
     },
 
-    updateTitle: (id, title) => getBaseRepository().updateTitle(id, title),
+    updateTitle: (id, title) => sqliteRepository.updateTitle(id, title),
     
-    deleteWithRelatedData: (id) => getBaseRepository().deleteWithRelatedData(id),
+    deleteWithRelatedData: (id) => sqliteRepository.deleteWithRelatedData(id),
+
+    end: (id) => sqliteRepository.end(id),
 
-    end: (id) => getBaseRepository().end(id),
+    updateType: (id, type) => sqliteRepository.updateType(id, type),
 
-    updateType: (id, type) => getBaseRepository().updateType(id, type),
+    setSummaryTemplate: (id, templateId) => sqliteRepository.setSummaryTemplate(id, templateId),
 
-    touch: (id) => getBaseRepository().touch(id),
+    touch: (id) => sqliteRepository.touch(id),
 
     getOrCreateActive: (requestedType = 'ask') => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().getOrCreateActive(uid, requestedType);
+        return sqliteRepository.getOrCreateActive(uid, requestedType);
     },
 
     endAllActiveSessions: () => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().endAllActiveSessions(uid);
+        return sqliteRepository.endAllActiveSessions(uid);
     },
 };
 
@@ -21,9 +21,30 @@ function create(uid, type = 'ask') {
     }
 }
 
+/**
+ * A session that has already ended, e.g. one made from a recording
+ * @param {string} uid
+ * @param {Object} params - { type, title, startedAt, endedAt } with times in epoch seconds
+ */
+function createFinished(uid, { type = 'listen', title, startedAt, endedAt }) {
+    const db = sqliteClient.getDb();
+    const sessionId = require('crypto').randomUUID();
+    const now = Math.floor(Date.now() / 1000);
+    const query = `INSERT INTO sessions (id, uid, title, session_type, started_at, ended_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+    try {
+        db.prepare(query).run(sessionId, uid, title, type, startedAt, endedAt, now);
+        console.log(`SQLite: Created finished session ${sessionId} for user ${uid} (type: ${type})`);
+        return sessionId;
+    } catch (err) {
+        console.error('SQLite: Failed to create session:', err);
+        throw err;
+    }
+}
+
 function getAllByUserId(uid) {
     const db = sqliteClient.getDb();
-    const query = "SELECT id, uid, title, session_type, started_at, ended_at, sync_state, updated_at FROM sessions WHERE uid = ? ORDER BY started_at DESC";
+    const query = "SELECT id, uid, title, session_type, started_at, ended_at, summary_template_id, sync_state, updated_at FROM sessions WHERE uid = ? ORDER BY started_at DESC";
     return db.prepare(query).all(uid);
 }
 
@@ -37,6 +58,7 @@ function deleteWithRelatedData(id) {
     const db = sqliteClient.getDb();
     const transaction = db.transaction(() => {
         db.prepare("DELETE FROM transcripts WHERE session_id = ?").run(id);
+        db.prepare("DELETE FROM session_speakers WHERE session_id = ?").run(id);
         db.prepare("DELETE FROM ai_messages WHERE session_id = ?").run(id);
         db.prepare("DELETE FROM summaries WHERE session_id = ?").run(id);
         db.prepare("DELETE FROM sessions WHERE id = ?").run(id);
@@ -66,6 +88,14 @@ function updateType(id, type) {
     return { changes: result.changes };
 }
 
+function setSummaryTemplate(id, templateId) {
+    const db = sqliteClient.getDb();
+    const now = Math.floor(Date.now() / 1000);
+    const query = 'UPDATE sessions SET summary_template_id = ?, updated_at = ? WHERE id = ?';
+    const result = db.prepare(query).run(templateId, now, id);
+    return { changes: result.changes };
+}
+
 function touch(id) {
     const db = sqliteClient.getDb();
     const now = Math.floor(Date.now() / 1000);
@@ -127,11 +157,13 @@ function endAllActiveSessions(uid) {
 module.exports = {
     getById,
     create,
+    createFinished,
     getAllByUserId,
     updateTitle,
     deleteWithRelatedData,
     end,
     updateType,
+    setSummaryTemplate,
     touch,
     getOrCreateActive,
     endAllActiveSessions,
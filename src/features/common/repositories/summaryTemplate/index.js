@@ -0,0 +1,32 @@
+const sqliteRepository = require('./sqlite.repository');
+const authService = require('../../services/authService');
+
+// Always written locally; syncService mirrors these rows to Firestore for signed-in users
+const summaryTemplateRepositoryAdapter = {
+    getTemplates: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getTemplates(uid);
+    },
+
+    getById: (id) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getById(id, uid);
+    },
+
+    create: (options) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.create({ uid, ...options });
+    },
+
+    update: (id, options) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.update(id, options, uid);
+    },
+
+    delete: (id) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.delete(id, uid);
+    },
+};
+
+module.exports = summaryTemplateRepositoryAdapter;
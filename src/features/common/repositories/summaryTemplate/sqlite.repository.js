@@ -0,0 +1,64 @@
+const sqliteClient = require('../../services/sqliteClient');
+
+function getTemplates(uid) {
+    const db = sqliteClient.getDb();
+    const query = `
+        SELECT * FROM summary_templates
+        WHERE uid = ? OR is_default = 1
+        ORDER BY is_default DESC, title ASC
+    `;
+
+    try {
+        return db.prepare(query).all(uid);
+    } catch (err) {
+        console.error('SQLite: Failed to get summary templates:', err);
+        throw err;
+    }
+}
+
+function getById(id, uid) {
+    const db = sqliteClient.getDb();
+    const query = `SELECT * FROM summary_templates WHERE id = ? AND (uid = ? OR is_default = 1)`;
+    return db.prepare(query).get(id, uid) || null;
+}
+
+function create({ uid, title, instructions, sections_json }) {
+    const db = sqliteClient.getDb();
+    const templateId = require('crypto').randomUUID();
+    const now = Math.floor(Date.now() / 1000);
+    const query = `INSERT INTO summary_templates (id, uid, title, instructions, sections_json, is_default, created_at, updated_at, sync_state) VALUES (?, ?, ?, ?, ?, 0, ?, ?, 'dirty')`;
+
+    db.prepare(query).run(templateId, uid, title, instructions, sections_json, now, now);
+    return { id: templateId };
+}
+
+function update(id, { title, instructions, sections_json }, uid) {
+    const db = sqliteClient.getDb();
+    const now = Math.floor(Date.now() / 1000);
+    const query = `UPDATE summary_templates SET title = ?, instructions = ?, sections_json = ?, updated_at = ? WHERE id = ? AND uid = ? AND is_default = 0`;
+
+    const result = db.prepare(query).run(title, instructions, sections_json, now, id, uid);
+    if (result.changes === 0) {
+        throw new Error("Summary template not found or permission denied.");
+    }
+    return { changes: result.changes };
+}
+
+function del(id, uid) {
+    const db = sqliteClient.getDb();
+    const query = `DELETE FROM summary_templates WHERE id = ? AND uid = ? AND is_default = 0`;
+
+    const result = db.prepare(query).run(id, uid);
+    if (result.changes === 0) {
+        throw new Error("Summary template not found or permission denied.");
+    }
+    return { changes: result.changes };
+}
+
+module.exports = {
+    getTemplates,
+    getById,
+    create,
+    update,
+    delete: del
+};
@@ -0,0 +1,46 @@
+const sqliteRepository = require('./sqlite.repository');
+const authService = require('../../services/authService');
+
+// Sync bookkeeping is local by nature; the remote copy is handled by the sync backends
+const syncRepositoryAdapter = {
+    getDirtyRecords: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getDirtyRecords(uid);
+    },
+    getTombstones: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getTombstones(uid);
+    },
+    getTombstone: (table, id) => sqliteRepository.getTombstone(table, id),
+    getRow: (table, id) => sqliteRepository.getRow(table, id),
+    applyRemote: (table, data, updatedAt) => sqliteRepository.applyRemote(table, data, updatedAt),
+    deleteRow: (table, id) => sqliteRepository.deleteRow(table, id),
+    markClean: (table, id, updatedAt) => sqliteRepository.markClean(table, id, updatedAt),
+    removeTombstone: (table, id, deletedAt) => sqliteRepository.removeTombstone(table, id, deletedAt),
+    markAllDirty: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.markAllDirty(uid);
+    },
+    getPendingCounts: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getPendingCounts(uid);
+    },
+    getCursor: (backend) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getCursor(uid, backend);
+    },
+    setCursor: (backend, cursor) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.setCursor(uid, backend, cursor);
+    },
+    addConflict: (conflict) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.addConflict(uid, conflict);
+    },
+    getConflicts: (limit) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getConflicts(uid, limit);
+    },
+};
+
+module.exports = syncRepositoryAdapter;
@@ -0,0 +1,204 @@
+const sqliteClient = require('../../services/sqliteClient');
+const LATEST_SCHEMA = require('../../config/schema');
+const { v4: uuidv4 } = require('uuid');
+
+const SYNC_TABLES = LATEST_SCHEMA.SYNC_TABLES;
+// Bookkeeping columns that stay on this machine
+const LOCAL_COLUMNS = ['sync_state', 'synced_at'];
+
+function tableConfig(table) {
+    const config = SYNC_TABLES[table];
+    if (!config) {
+        throw new Error(`Table ${table} is not synced`);
+    }
+    return config;
+}
+
+// WHERE clause selecting the rows of a synced table that belong to `uid`
+function ownedBy(table) {
+    const { owner, parent, exclude = {} } = tableConfig(table);
+    const clauses = [owner ? `${owner} = ?` : `${parent} IN (SELECT id FROM sessions WHERE uid = ?)`];
+    for (const [column, value] of Object.entries(exclude)) {
+        clauses.push(`${column} IS NOT ${Number(value)}`);
+    }
+    return clauses.join(' AND ');
+}
+
+function toRecord(table, row, uid) {
+    const data = { ...row };
+    for (const column of LOCAL_COLUMNS) delete data[column];
+    return { table, id: row[tableConfig(table).key], uid, updated_at: row.updated_at, deleted: false, data };
+}
+
+/**
+ * Rows written locally since they were last pushed
+ * @returns {Array<import('../../services/syncService').SyncRecord>}
+ */
+function getDirtyRecords(uid) {
+    const db = sqliteClient.getDb();
+    const records = [];
+    for (const table of Object.keys(SYNC_TABLES)) {
+        const rows = db.prepare(`SELECT * FROM ${table} WHERE sync_state = 'dirty' AND ${ownedBy(table)}`).all(uid);
+        records.push(...rows.map(row => toRecord(table, row, uid)));
+    }
+    return records;
+}
+
+/**
+ * Local deletions not yet pushed
+ * @returns {Array<import('../../services/syncService').SyncRecord>}
+ */
+function getTombstones(uid) {
+    const db = sqliteClient.getDb();
+    return db.prepare('SELECT table_name, row_id, deleted_at FROM sync_tombstones WHERE uid = ?').all(uid)
+        .map(row => ({ table: row.table_name, id: row.row_id, uid, updated_at: row.deleted_at, deleted: true, data: null }));
+}
+
+function getTombstone(table, id) {
+    const db = sqliteClient.getDb();
+    return db.prepare('SELECT * FROM sync_tombstones WHERE table_name = ? AND row_id = ?').get(table, id) || null;
+}
+
+function getRow(table, id) {
+    const db = sqliteClient.getDb();
+    return db.prepare(`SELECT * FROM ${table} WHERE ${tableConfig(table).key} = ?`).get(id) || null;
+}
+
+/**
+ * Write a row received from the remote. It is stored as 'clean' and keeps the remote updated_at.
+ */
+function applyRemote(table, data, updatedAt) {
+    const db = sqliteClient.getDb();
+    const { key } = tableConfig(table);
+    const known = new Set(LATEST_SCHEMA[table].columns.map(column => column.name));
+    const columns = Object.keys(data).filter(column => known.has(column) && !LOCAL_COLUMNS.includes(column) && column !== 'updated_at');
+    const values = columns.map(column => data[column]);
+    const allColumns = [...columns, 'updated_at', 'sync_state', 'synced_at'];
+    const updates = allColumns.filter(column => column !== key).map(column => `${column} = excluded.${column}`);
+
+    db.transaction(() => {
+        db.prepare(`
+            INSERT INTO ${table} (${allColumns.join(', ')})
+            VALUES (${allColumns.map(() => '?').join(', ')})
+            ON CONFLICT(${key}) DO UPDATE SET ${updates.join(', ')}
+        `).run(...values, updatedAt, 'pulled', updatedAt);
+        db.prepare('DELETE FROM sync_tombstones WHERE table_name = ? AND row_id = ?').run(table, data[key]);
+    })();
+}
+
+/**
+ * Delete a row deleted on the remote, with the rows of a deleted session, without recording tombstones
+ */
+function deleteRow(table, id) {
+    const db = sqliteClient.getDb();
+    const { key } = tableConfig(table);
+    const clearTombstone = db.prepare('DELETE FROM sync_tombstones WHERE table_name = ? AND row_id = ?');
+
+    db.transaction(() => {
+        if (table === 'sessions') {
+            for (const [child, config] of Object.entries(SYNC_TABLES)) {
+                if (config.parent !== 'session_id') continue;
+                const childIds = db.prepare(`SELECT ${config.key} AS id FROM ${child} WHERE session_id = ?`).all(id);
+                db.prepare(`DELETE FROM ${child} WHERE session_id = ?`).run(id);
+                for (const { id: childId } of childIds) clearTombstone.run(child, childId);
+            }
+            db.prepare('DELETE FROM session_speakers WHERE session_id = ?').run(id);
+        }
+        db.prepare(`DELETE FROM ${table} WHERE ${key} = ?`).run(id);
+        clearTombstone.run(table, id);
+    })();
+}
+
+/**
+ * Mark a pushed row clean, unless it was written again while the push was in flight
+ */
+function markClean(table, id, updatedAt) {
+    const db = sqliteClient.getDb();
+    const { key } = tableConfig(table);
+    db.prepare(`
+        UPDATE ${table} SET sync_state = 'clean', synced_at = updated_at
+        WHERE ${key} = ? AND updated_at IS ? AND sync_state = 'dirty'
+    `).run(id, updatedAt);
+}
+
+function removeTombstone(table, id, deletedAt) {
+    const db = sqliteClient.getDb();
+    db.prepare('DELETE FROM sync_tombstones WHERE table_name = ? AND row_id = ? AND deleted_at <= ?').run(table, id, deletedAt);
+}
+
+/**
+ * Queue every row of the user for upload, for the first sync with a backend
+ */
+function markAllDirty(uid) {
+    const db = sqliteClient.getDb();
+    const now = Math.floor(Date.now() / 1000);
+    db.transaction(() => {
+        for (const table of Object.keys(SYNC_TABLES)) {
+            db.prepare(`
+                UPDATE ${table} SET sync_state = 'dirty', updated_at = COALESCE(updated_at, ?)
+                WHERE sync_state IS NOT 'dirty' AND ${ownedBy(table)}
+            `).run(now, uid);
+        }
+    })();
+}
+
+function getPendingCounts(uid) {
+    const db = sqliteClient.getDb();
+    let dirty = 0;
+    for (const table of Object.keys(SYNC_TABLES)) {
+        dirty += db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE sync_state = 'dirty' AND ${ownedBy(table)}`).get(uid).count;
+    }
+    const deleted = db.prepare('SELECT COUNT(*) AS count FROM sync_tombstones WHERE uid = ?').get(uid).count;
+    return { dirty, deleted };
+}
+
+function getCursor(uid, backend) {
+    const db = sqliteClient.getDb();
+    return db.prepare('SELECT cursor, last_synced_at FROM sync_cursors WHERE uid = ? AND backend = ?').get(uid, backend) || null;
+}
+
+function setCursor(uid, backend, cursor) {
+    const db = sqliteClient.getDb();
+    db.prepare(`
+        INSERT INTO sync_cursors (uid, backend, cursor, last_synced_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(uid, backend) DO UPDATE SET cursor = excluded.cursor, last_synced_at = excluded.last_synced_at
+    `).run(uid, backend, cursor, Math.floor(Date.now() / 1000));
+}
+
+function addConflict(uid, { table, id, winner, local, remote, localUpdatedAt, remoteUpdatedAt }) {
+    const db = sqliteClient.getDb();
+    const conflictId = uuidv4();
+    db.prepare(`
+        INSERT INTO sync_conflicts (id, uid, table_name, row_id, winner, local_json, remote_json, local_updated_at, remote_updated_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(conflictId, uid, table, id, winner, local ? JSON.stringify(local) : null, remote ? JSON.stringify(remote) : null,
+        localUpdatedAt ?? null, remoteUpdatedAt ?? null, Math.floor(Date.now() / 1000));
+    return { id: conflictId };
+}
+
+function getConflicts(uid, limit = 50) {
+    const db = sqliteClient.getDb();
+    return db.prepare('SELECT * FROM sync_conflicts WHERE uid = ? ORDER BY created_at DESC, rowid DESC LIMIT ?').all(uid, limit)
+        .map(row => ({
+            ...row,
+            local: row.local_json ? JSON.parse(row.local_json) : null,
+            remote: row.remote_json ? JSON.parse(row.remote_json) : null,
+        }));
+}
+
+module.exports = {
+    getDirtyRecords,
+    getTombstones,
+    getTombstone,
+    getRow,
+    applyRemote,
+    deleteRow,
+    markClean,
+    removeTombstone,
+    markAllDirty,
+    getPendingCounts,
+    getCursor,
+    setCursor,
+    addConflict,
+    getConflicts,
+};
@@ -0,0 +1,29 @@
+const sqliteRepository = require('./sqlite.repository');
+const authService = require('../../services/authService');
+
+// Usage and budgets are kept in the local database for signed-in and local users alike, each under
+// the current user's uid: signing in or out switches to that user's spend and limits
+const usageRepositoryAdapter = {
+    addRecord: (record) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.addRecord(uid, record);
+    },
+    getRecordsSince: (since) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getRecordsSince(uid, since);
+    },
+    getCostSince: (since) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getCostSince(uid, since);
+    },
+    getBudget: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getBudget(uid);
+    },
+    setBudget: (budget) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.setBudget(uid, budget);
+    }
+};
+
+module.exports = usageRepositoryAdapter;
@@ -0,0 +1,62 @@
+const sqliteClient = require('../../services/sqliteClient');
+const { v4: uuidv4 } = require('uuid');
+
+function addRecord(uid, { provider, model, feature, operation, inputTokens, outputTokens, estimated, costUsd }) {
+    const db = sqliteClient.getDb();
+    const id = uuidv4();
+    db.prepare(`
+        INSERT INTO ai_usage (id, uid, provider, model, feature, operation, input_tokens, output_tokens, estimated, cost_usd, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, uid, provider, model, feature, operation, inputTokens, outputTokens, estimated ? 1 : 0, costUsd, new Date().toISOString());
+    return { id };
+}
+
+/**
+ * Records made at or after `since`, oldest first
+ * @param {string} uid
+ * @param {string} since - ISO timestamp
+ */
+function getRecordsSince(uid, since) {
+    const db = sqliteClient.getDb();
+    return db.prepare(`
+        SELECT provider, model, feature, operation, input_tokens, output_tokens, estimated, cost_usd, created_at
+        FROM ai_usage
+        WHERE uid = ? AND created_at >= ?
+        ORDER BY created_at ASC
+    `).all(uid, since);
+}
+
+/**
+ * @returns {number} Estimated USD spent since `since`
+ */
+function getCostSince(uid, since) {
+    const db = sqliteClient.getDb();
+    const row = db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM ai_usage WHERE uid = ? AND created_at >= ?').get(uid, since);
+    return row.cost;
+}
+
+function getBudget(uid) {
+    const db = sqliteClient.getDb();
+    return db.prepare('SELECT daily_limit_usd, monthly_limit_usd, updated_at FROM ai_usage_budgets WHERE uid = ?').get(uid) || null;
+}
+
+function setBudget(uid, { daily_limit_usd, monthly_limit_usd }) {
+    const db = sqliteClient.getDb();
+    db.prepare(`
+        INSERT INTO ai_usage_budgets (uid, daily_limit_usd, monthly_limit_usd, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(uid) DO UPDATE SET
+            daily_limit_usd = excluded.daily_limit_usd,
+            monthly_limit_usd = excluded.monthly_limit_usd,
+            updated_at = excluded.updated_at
+    `).run(uid, daily_limit_usd, monthly_limit_usd, new Date().toISOString());
+    return { success: true };
+}
+
+module.exports = {
+    addRecord,
+    getRecordsSince,
+    getCostSince,
+    getBudget,
+    setBudget
+};
@@ -65,11 +65,15 @@ async function deleteById(uid) {
         batch.delete(sessionDoc.ref);
     }
 
-    // 2. Delete all presets owned by the user
+    // 2. Delete all presets and summary templates owned by the user
     const presetsQuery = query(collection(db, 'prompt_presets'), where('uid', '==', uid));
     const presetsSnapshot = await getDocs(presetsQuery);
     presetsSnapshot.forEach(doc => batch.delete(doc.ref));
 
+    const templatesQuery = query(collection(db, 'summary_templates'), where('uid', '==', uid));
+    const templatesSnapshot = await getDocs(templatesQuery);
+    templatesSnapshot.forEach(doc => batch.delete(doc.ref));
+
     // 3. Delete the user document itself
     const userRef = doc(usersCol(), uid);
     batch.delete(userRef);
@@ -72,6 +72,7 @@ function deleteById(uid) {
             db.prepare(`DELETE FROM sessions WHERE uid = ?`).run(uid);
         }
         db.prepare('DELETE FROM prompt_presets WHERE uid = ? AND is_default = 0').run(uid);
+        db.prepare('DELETE FROM summary_templates WHERE uid = ? AND is_default = 0').run(uid);
         db.prepare('DELETE FROM users WHERE uid = ?').run(uid);
     });
 
@@ -3,7 +3,6 @@ const { BrowserWindow, shell } = require('electron');
 const { getFirebaseAuth } = require('./firebaseClient');
 const fetch = require('node-fetch');
 const encryptionService = require('./encryptionService');
-const migrationService = require('./migrationService');
 const sessionRepository = require('../repositories/session');
 const providerSettingsRepository = require('../repositories/providerSettings');
 const permissionService = require('./permissionService');
@@ -71,12 +70,10 @@ class AuthService {
                         console.warn('[AuthService] Keychain permission not yet completed for this user. Deferring key initialization.');
                     } else {
                         await encryptionService.initializeKey(user.uid);
+                        // ** Sync local data with Firestore; the first sync uploads everything made before signing in **
+                        this.startSync();
                     }
 
-                    // ** Check for and run data migration for the user **
-                    // No 'await' here, so it runs in the background without blocking startup.
-                    migrationService.checkAndRunMigration(user);
-
                     // ***** CRITICAL: Wait for the virtual key and model state update to complete *****
                     try {
                         const idToken = await user.getIdToken(true);
@@ -96,6 +93,7 @@ class AuthService {
                 } else {
                     // User signed OUT
                     console.log(`[AuthService] No Firebase user.`);
+                    this.stopSync();
                     if (previousUser) {
                         console.log(`[AuthService] Clearing API key for logged-out user: ${previousUser.uid}`);
                         if (global.modelStateService) {
@@ -125,11 +123,26 @@ class AuthService {
         return this.initializationPromise;
     }
 
+    /**
+     * Mirror the signed-in user's data to Firestore. Encrypted fields need the user's key, which on
+     * macOS is initialized only once keychain access has been granted.
+     */
+    startSync() {
+        if (this.currentUserMode !== 'firebase') return;
+        // Required lazily: syncService reads the current user from this service
+        require('./syncService').start(require('../sync/firestoreBackend'));
+    }
+
+    stopSync() {
+        require('./syncService').stop();
+    }
+
     async startFirebaseAuthFlow() {
         try {
-            const webUrl = process.env.pickleglass_WEB_URL || 'http://localhost:3000';
-            const authUrl = `${webUrl}/login?mode=electron`;
-            console.log(`[AuthService] Opening Firebase auth URL in browser: ${authUrl}`);
+            // Required lazily: webSessionService depends on this module
+            const webSessionService = require('./webSessionService');
+            const authUrl = webSessionService.buildWebUrl('/login?mode=electron');
+            console.log(`[AuthService] Opening Firebase auth URL in browser: ${authUrl.split('#')[0]}`);
             await shell.openExternal(authUrl);
             return { success: true };
         } catch (error) {
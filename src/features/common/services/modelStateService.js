@@ -1,6 +1,6 @@
 const { EventEmitter } = require('events');
 const Store = require('electron-store');
-const { PROVIDERS, getProviderClass } = require('../ai/factory');
+const { PROVIDERS, getProviderClass, getFallbackOrder, resetCircuits } = require('../ai/factory');
 const encryptionService = require('./encryptionService');
 const providerSettingsRepository = require('../repositories/providerSettings');
 const authService = require('./authService');
@@ -222,6 +222,8 @@ class ModelStateService extends EventEmitter {
         const finalKey = (provider === 'ollama' || provider === 'whisper') ? 'local' : key;
         const existingSettings = await providerSettingsRepository.getByProvider(provider) || {};
         await providerSettingsRepository.upsert(provider, { ...existingSettings, api_key: finalKey });
+        // A new key may fix a provider that kept failing
+        resetCircuits();
         
         // 키가 추가/변경되었으므로, 해당 provider의 모델을 자동 선택할 수 있는지 확인
         await this._autoSelectAvailableModels([]);
@@ -352,18 +354,56 @@ class ModelStateService extends EventEmitter {
         return [...new Map(available.map(item => [item.id, item])).values()];
     }
 
-    async getCurrentModelInfo(type) {
+    /**
+     * @param {'llm'|'stt'} type
+     * @param {{feature?: string}} [options] - For an LLM, the feature it is used for; adds the models
+     *   to fall back to (see getLLMCandidates), for factory.createLLM's `fallbacks` option
+     * @returns {Promise<{provider: string, model: string, apiKey: string, fallbacks?: Array<{provider: string, model: string, apiKey: string}>}|null>}
+     */
+    async getCurrentModelInfo(type, { feature } = {}) {
         const activeSetting = await providerSettingsRepository.getActiveProvider(type);
         if (!activeSetting) return null;
         
         const model = type === 'llm' ? activeSetting.selected_llm_model : activeSetting.selected_stt_model;
         if (!model) return null;
 
-        return {
+        const modelInfo = {
             provider: activeSetting.provider,
             model: model,
             apiKey: activeSetting.api_key,
         };
+        if (type === 'llm' && feature) {
+            const candidates = await this.getLLMCandidates(feature);
+            modelInfo.fallbacks = candidates.filter(candidate => candidate.provider !== modelInfo.provider);
+        }
+        return modelInfo;
+    }
+
+    /**
+     * LLM models a feature can use, in order: `preferredProvider` first, then every provider with an
+     * API key in the feature's fallback order (factory.FALLBACK_ORDER). Each uses its selected model,
+     * or the provider's first model when none was selected.
+     * @param {string} feature - "ask", "listen", "research" or "activity"
+     * @param {string} [preferredProvider]
+     * @returns {Promise<Array<{provider: string, model: string, apiKey: string}>>}
+     */
+    async getLLMCandidates(feature, preferredProvider) {
+        const allSettings = await providerSettingsRepository.getAll();
+        const order = [...new Set([preferredProvider, ...getFallbackOrder(feature)].filter(Boolean))];
+        const candidates = [];
+
+        for (const providerId of order) {
+            const setting = allSettings.find(s => s.provider === providerId);
+            if (!setting?.api_key) continue;
+
+            const model = setting.selected_llm_model || (providerId === 'ollama'
+                ? ollamaModelRepository.getInstalledModels()[0]?.name
+                : PROVIDERS[providerId]?.llmModels[0]?.id);
+            if (model) {
+                candidates.push({ provider: providerId, model, apiKey: setting.api_key });
+            }
+        }
+        return candidates;
     }
 
     // --- 핸들러 및 유틸리티 메서드 ---
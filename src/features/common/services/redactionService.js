@@ -0,0 +1,313 @@
+const { nativeImage } = require('electron');
+const redactionRepository = require('../repositories/redaction');
+const { isOcrAvailable, recognizeLines } = require('../utils/ocr');
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+// Credentials that are recognizable by their shape, plus `key = value` assignments of secret-sounding names
+const SECRET_PATTERNS = [
+    /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{16,}/g,                       // OpenAI, Anthropic
+    /\bAIza[0-9A-Za-z_-]{30,}/g,                                      // Google
+    /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,                                 // AWS access key ids
+    /\bgh[pousr]_[A-Za-z0-9]{30,}/g,                                  // GitHub
+    /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,                                // Slack
+    /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g, // JWTs
+    /-----BEGIN [A-Z ]*PRIVATE KEY-----/g,
+    /\b(?:api[_-]?key|secret|token|password|passwd)\b\s*[:=]\s*\S+/gi,
+];
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    blocked_apps: [],
+    blocked_titles: [],
+    mask_emails: true,
+    mask_secrets: true,
+    custom_patterns: [],
+    send_without_ocr: false,
+};
+
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+// Pixels added around recognized words so glyph edges are covered too
+const REGION_PADDING = 3;
+
+function stringList(value, name) {
+    if (!Array.isArray(value)) {
+        throw new Error(`${name} must be a list`);
+    }
+    return [...new Set(value.map(item => String(item).trim()).filter(Boolean))];
+}
+
+function compilePattern(pattern, label) {
+    try {
+        return new RegExp(pattern, 'gi');
+    } catch (error) {
+        throw new Error(`Invalid ${label} "${pattern}": ${error.message}`);
+    }
+}
+
+function customPatterns(value) {
+    if (!Array.isArray(value)) {
+        throw new Error('Custom patterns must be a list');
+    }
+    return value.map((item, index) => {
+        const pattern = String(item?.pattern ?? '').trim();
+        if (!pattern) {
+            throw new Error(`Custom pattern ${index + 1} is empty`);
+        }
+        compilePattern(pattern, 'pattern');
+        return { name: String(item?.name ?? '').trim() || `Pattern ${index + 1}`, pattern };
+    });
+}
+
+function boundingBox(words) {
+    const left = Math.min(...words.map(word => word.left));
+    const top = Math.min(...words.map(word => word.top));
+    const right = Math.max(...words.map(word => word.left + word.width));
+    const bottom = Math.max(...words.map(word => word.top + word.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Local redaction of screenshots before they are sent for AI analysis. Windows of blocked apps or
+ * with blocked titles are not captured at all; in other screenshots, text recognized by local OCR
+ * that looks like an email address, a credential or a user-defined pattern is painted over.
+ * Without OCR, screenshots are withheld (analysis falls back to local heuristics) unless the user
+ * allows sending them unmasked. Every block, mask and withheld or unmasked screenshot is written
+ * to an audit log that records counts, never the matched text; it keeps the latest MAX_AUDIT_LIMIT
+ * entries.
+ */
+class RedactionService {
+    getSettings() {
+        const { updated_at, ...stored } = redactionRepository.getSettings() || {};
+        return { ...DEFAULT_SETTINGS, ...stored };
+    }
+
+    /**
+     * @param {Partial<typeof DEFAULT_SETTINGS>} changes
+     */
+    updateSettings(changes = {}) {
+        const next = { ...this.getSettings() };
+        for (const flag of ['enabled', 'mask_emails', 'mask_secrets', 'send_without_ocr']) {
+            if (flag in changes) next[flag] = Boolean(changes[flag]);
+        }
+        if ('blocked_apps' in changes) next.blocked_apps = stringList(changes.blocked_apps, 'Blocked apps');
+        if ('blocked_titles' in changes) {
+            next.blocked_titles = stringList(changes.blocked_titles, 'Blocked titles');
+            next.blocked_titles.forEach(pattern => compilePattern(pattern, 'title pattern'));
+        }
+        if ('custom_patterns' in changes) next.custom_patterns = customPatterns(changes.custom_patterns);
+
+        redactionRepository.saveSettings(next);
+        console.log(`[RedactionService] Settings saved: ${next.blocked_apps.length} blocked apps, ${next.blocked_titles.length} blocked titles, ${next.custom_patterns.length} custom patterns`);
+        return this.getSettings();
+    }
+
+    /**
+     * @param {{limit?: number}} [options]
+     */
+    getAuditLog({ limit = DEFAULT_AUDIT_LIMIT } = {}) {
+        const count = Math.min(MAX_AUDIT_LIMIT, Math.max(1, Math.floor(Number(limit)) || DEFAULT_AUDIT_LIMIT));
+        return redactionRepository.getAuditEntries(count);
+    }
+
+    /**
+     * Whether screenshots can be masked on this machine. Without OCR they are withheld, unless
+     * sending them unmasked is allowed.
+     * @returns {Promise<{ocr_available: boolean, screenshots_withheld: boolean}>}
+     */
+    async getStatus() {
+        const settings = this.getSettings();
+        const ocrAvailable = await isOcrAvailable();
+        return {
+            ocr_available: ocrAvailable,
+            screenshots_withheld: settings.enabled && !ocrAvailable && !settings.send_without_ocr && this._detectors().length > 0,
+        };
+    }
+
+    /**
+     * Whether the foreground window must not be captured. Blocks are audited.
+     * Only the foreground window is known, so while apps or titles are blocked, nothing is captured
+     * when it cannot be read or when displays other than the focused one would be captured too.
+     * @param {{app?: string|null, title?: string|null}} windowContext
+     * @param {string} source - Feature asking, for the audit log
+     * @param {{captureMode?: 'focused'|'all'|'selected'}} [options]
+     * @returns {{blocked: boolean, reason: string|null}}
+     */
+    checkWindow(windowContext = {}, source, { captureMode } = {}) {
+        const settings = this.getSettings();
+        if (!settings.enabled) {
+            return { blocked: false, reason: null };
+        }
+
+        let reason = null;
+        const hasBlocks = settings.blocked_apps.length > 0 || settings.blocked_titles.length > 0;
+        const app = (windowContext.app || '').toLowerCase();
+        const blockedApp = app && settings.blocked_apps.find(name => name.toLowerCase() === app);
+        if (hasBlocks && !windowContext.app && !windowContext.title) {
+            reason = 'Foreground window unknown while apps or titles are blocked';
+        } else if (hasBlocks && (captureMode === 'all' || captureMode === 'selected')) {
+            reason = 'Blocked apps and titles are only checked on the focused display';
+        } else if (blockedApp) {
+            reason = `Blocked app "${blockedApp}"`;
+        } else if (windowContext.title) {
+            const pattern = settings.blocked_titles.find(title => {
+                try {
+                    return compilePattern(title, 'title pattern').test(windowContext.title);
+                } catch (error) {
+                    console.warn(`[RedactionService] Skipping title pattern: ${error.message}`);
+                    return false;
+                }
+            });
+            if (pattern) reason = `Blocked title pattern "${pattern}"`;
+        }
+
+        if (!reason) {
+            return { blocked: false, reason: null };
+        }
+        this._audit({ source, action: 'blocked', reason, app: windowContext.app });
+        console.log(`[RedactionService] ${source} capture skipped: ${reason}`);
+        return { blocked: true, reason };
+    }
+
+    /**
+     * Mask sensitive text in a screenshot before it leaves the machine
+     * @param {string} base64 - PNG or JPEG
+     * @param {{source: string, windowContext?: {app?: string|null, title?: string|null}}} options
+     * @returns {Promise<{action: 'clean'|'masked'|'unmasked'|'withheld'|'blocked', base64: string|null, mimeType: string, regions: number, reason: string|null}>}
+     */
+    async redactScreenshot(base64, { source, windowContext = {} } = {}) {
+        const buffer = Buffer.from(base64, 'base64');
+        const mimeType = buffer[0] === 0x89 ? 'image/png' : 'image/jpeg';
+        const result = (action, fields = {}) => ({ action, base64, mimeType, regions: 0, reason: null, ...fields });
+
+        const settings = this.getSettings();
+        if (!settings.enabled) {
+            return result('clean');
+        }
+        const blocked = this.checkWindow(windowContext, source);
+        if (blocked.blocked) {
+            return result('blocked', { base64: null, reason: blocked.reason });
+        }
+
+        const detectors = this._detectors();
+        if (detectors.length === 0) {
+            return result('clean');
+        }
+
+        let lines;
+        try {
+            if (!await isOcrAvailable()) {
+                throw new Error('OCR unavailable');
+            }
+            lines = await recognizeLines(buffer);
+        } catch (error) {
+            const action = settings.send_without_ocr ? 'unmasked' : 'withheld';
+            const reason = error.message === 'OCR unavailable' ? error.message : `OCR failed: ${error.message}`;
+            this._audit({ source, action, reason, app: windowContext.app });
+            return result(action, { base64: action === 'withheld' ? null : base64, reason });
+        }
+
+        const { regions, matches } = this._findRegions(lines, detectors);
+        if (regions.length === 0) {
+            return result('clean');
+        }
+
+        const masked = this._mask(buffer, regions);
+        const encoded = (mimeType === 'image/png' ? masked.toPNG() : masked.toJPEG(70)).toString('base64');
+        this._audit({ source, action: 'masked', app: windowContext.app, matches, regions: regions.length });
+        console.log(`[RedactionService] Masked ${regions.length} regions in a screenshot for ${source} analysis`);
+        return result('masked', { base64: encoded, regions: regions.length });
+    }
+
+    /**
+     * Replace sensitive text in a string, such as a window title sent along with a screenshot
+     * @param {string|null} text
+     * @returns {string|null}
+     */
+    redactText(text) {
+        if (!text || !this.getSettings().enabled) return text;
+        return this._detectors().reduce((redacted, { pattern }) => {
+            pattern.lastIndex = 0;
+            return redacted.replace(pattern, '[redacted]');
+        }, text);
+    }
+
+    _detectors() {
+        const settings = this.getSettings();
+        const detectors = [];
+        if (settings.mask_emails) {
+            detectors.push({ name: 'email', pattern: EMAIL_PATTERN });
+        }
+        if (settings.mask_secrets) {
+            SECRET_PATTERNS.forEach(pattern => detectors.push({ name: 'secret', pattern }));
+        }
+        for (const { name, pattern } of settings.custom_patterns) {
+            try {
+                detectors.push({ name, pattern: compilePattern(pattern, 'pattern') });
+            } catch (error) {
+                console.warn(`[RedactionService] Skipping custom pattern: ${error.message}`);
+            }
+        }
+        return detectors;
+    }
+
+    // Boxes around the words each match spans, on its OCR line. A match inside a longer one (a key
+    // inside a `token = ...` assignment) is counted once.
+    _findRegions(lines, detectors) {
+        const regions = [];
+        const matches = {};
+        for (const line of lines) {
+            const found = [];
+            for (const { name, pattern } of detectors) {
+                pattern.lastIndex = 0;
+                for (const match of line.text.matchAll(pattern)) {
+                    const start = match.index;
+                    const end = start + match[0].length;
+                    const first = line.words.findIndex(word => word.end > start);
+                    const last = line.words.findLastIndex(word => word.start < end);
+                    if (first !== -1 && first <= last) found.push({ name, first, last });
+                }
+            }
+
+            const kept = [];
+            for (const candidate of found.sort((a, b) => (b.last - b.first) - (a.last - a.first))) {
+                if (kept.some(other => other.first <= candidate.first && candidate.last <= other.last)) continue;
+                kept.push(candidate);
+                regions.push(boundingBox(line.words.slice(candidate.first, candidate.last + 1)));
+                matches[candidate.name] = (matches[candidate.name] || 0) + 1;
+            }
+        }
+        return { regions, matches };
+    }
+
+    _mask(buffer, regions) {
+        const image = nativeImage.createFromBuffer(buffer);
+        const { width, height } = image.getSize();
+        const bitmap = Buffer.from(image.toBitmap());
+        for (const region of regions) {
+            const left = Math.max(0, region.x - REGION_PADDING);
+            const top = Math.max(0, region.y - REGION_PADDING);
+            const right = Math.min(width, region.x + region.width + REGION_PADDING);
+            const bottom = Math.min(height, region.y + region.height + REGION_PADDING);
+            for (let y = top; y < bottom; y++) {
+                for (let x = left; x < right; x++) {
+                    // BGRA: opaque black
+                    bitmap.writeUInt32LE(0xff000000, (y * width + x) * 4);
+                }
+            }
+        }
+        return nativeImage.createFromBitmap(bitmap, { width, height });
+    }
+
+    _audit(entry) {
+        try {
+            redactionRepository.addAuditEntry(entry, MAX_AUDIT_LIMIT);
+        } catch (error) {
+            console.error('[RedactionService] Failed to write the audit log:', error.message);
+        }
+    }
+}
+
+const redactionService = new RedactionService();
+module.exports = redactionService;
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const LATEST_SCHEMA = require('../config/schema');
+const { DEFAULT_SUMMARY_TEMPLATES } = require('../../listen/summary/summaryTemplates');
 
 class SQLiteClient {
     constructor() {
@@ -129,9 +130,93 @@ class SQLiteClient {
                 this.updateTable(tableName, tableSchema);
             }
         }
+
+        this.synchronizeSearchIndexes();
+        this.synchronizeSyncTriggers();
         console.log('[DB Sync] Schema synchronization finished.');
     }
 
+    synchronizeSearchIndexes() {
+        const tablesInDb = this.getTablesFromDb();
+
+        for (const [indexName, { table, columns }] of Object.entries(LATEST_SCHEMA.SEARCH_INDEXES)) {
+            const safeIndexName = this._validateAndQuoteIdentifier(indexName);
+            const safeTableName = this._validateAndQuoteIdentifier(table);
+            const safeColumns = columns.map(col => this._validateAndQuoteIdentifier(col));
+            const newValues = columns.map(col => `new.${this._validateAndQuoteIdentifier(col)}`).join(', ');
+            const oldValues = columns.map(col => `old.${this._validateAndQuoteIdentifier(col)}`).join(', ');
+            const columnList = safeColumns.join(', ');
+
+            const isNew = !tablesInDb.includes(indexName);
+            if (isNew) {
+                console.log(`[DB Sync] Creating search index: ${indexName}`);
+                this.db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS ${safeIndexName} USING fts5(${columnList}, content=${safeTableName}, content_rowid='rowid', tokenize='porter unicode61')`);
+            }
+
+            // Triggers keep the index in step with every writer of the source table. The update trigger
+            // is limited to the indexed columns, and recreated for databases that have the older one, so
+            // bookkeeping updates (like the sync triggers') never touch rows the index has not seen yet.
+            this.db.exec(`
+                DROP TRIGGER IF EXISTS "${indexName}_au";
+                CREATE TRIGGER IF NOT EXISTS "${indexName}_ai" AFTER INSERT ON ${safeTableName} BEGIN
+                    INSERT INTO ${safeIndexName} (rowid, ${columnList}) VALUES (new.rowid, ${newValues});
+                END;
+                CREATE TRIGGER IF NOT EXISTS "${indexName}_ad" AFTER DELETE ON ${safeTableName} BEGIN
+                    INSERT INTO ${safeIndexName} (${safeIndexName}, rowid, ${columnList}) VALUES ('delete', old.rowid, ${oldValues});
+                END;
+                CREATE TRIGGER "${indexName}_au" AFTER UPDATE OF ${columnList} ON ${safeTableName} BEGIN
+                    INSERT INTO ${safeIndexName} (${safeIndexName}, rowid, ${columnList}) VALUES ('delete', old.rowid, ${oldValues});
+                    INSERT INTO ${safeIndexName} (rowid, ${columnList}) VALUES (new.rowid, ${newValues});
+                END;
+            `);
+
+            if (isNew) {
+                // Backfill rows written before the index existed
+                this.db.prepare(`INSERT INTO ${safeIndexName} (${safeIndexName}) VALUES ('rebuild')`).run();
+                console.log(`[DB Sync] Indexed existing ${table} rows into ${indexName}`);
+            }
+        }
+    }
+
+    /**
+     * Triggers that record local changes for syncService: every insert or update marks the row
+     * 'dirty' and stamps updated_at, every delete leaves a tombstone. Rows the sync engine applies
+     * from the remote are written with sync_state 'pulled' and settle as 'clean' instead.
+     */
+    synchronizeSyncTriggers() {
+        for (const [table, { key, owner, parent, exclude = {} }] of Object.entries(LATEST_SCHEMA.SYNC_TABLES)) {
+            const safeTableName = this._validateAndQuoteIdentifier(table);
+            const safeKey = this._validateAndQuoteIdentifier(key);
+            const uidOf = (row) => owner
+                ? `${row}.${this._validateAndQuoteIdentifier(owner)}`
+                : `(SELECT uid FROM sessions WHERE id = ${row}.${this._validateAndQuoteIdentifier(parent)})`;
+            const included = (row) => ['1', ...Object.entries(exclude)
+                .map(([column, value]) => `${row}.${this._validateAndQuoteIdentifier(column)} IS NOT ${Number(value)}`)].join(' AND ');
+            const now = "CAST(strftime('%s', 'now') AS INTEGER)";
+
+            this.db.exec(`
+                CREATE TRIGGER IF NOT EXISTS "${table}_sync_ai" AFTER INSERT ON ${safeTableName} WHEN ${included('new')} BEGIN
+                    UPDATE ${safeTableName} SET
+                        sync_state = CASE WHEN new.sync_state = 'pulled' THEN 'clean' ELSE 'dirty' END,
+                        updated_at = COALESCE(new.updated_at, ${now})
+                    WHERE rowid = new.rowid;
+                    DELETE FROM sync_tombstones WHERE table_name = '${table}' AND row_id = new.${safeKey} AND new.sync_state IS NOT 'pulled';
+                END;
+                CREATE TRIGGER IF NOT EXISTS "${table}_sync_au" AFTER UPDATE ON ${safeTableName}
+                WHEN ${included('new')} AND (new.sync_state IS old.sync_state OR new.sync_state = 'pulled') BEGIN
+                    UPDATE ${safeTableName} SET
+                        sync_state = CASE WHEN new.sync_state = 'pulled' THEN 'clean' ELSE 'dirty' END,
+                        updated_at = CASE WHEN new.sync_state = 'pulled' THEN new.updated_at ELSE ${now} END
+                    WHERE rowid = new.rowid;
+                END;
+                CREATE TRIGGER IF NOT EXISTS "${table}_sync_ad" AFTER DELETE ON ${safeTableName} WHEN ${included('old')} BEGIN
+                    INSERT OR REPLACE INTO sync_tombstones (table_name, row_id, uid, deleted_at)
+                    VALUES ('${table}', old.${safeKey}, ${uidOf('old')}, ${now});
+                END;
+            `);
+        }
+    }
+
     getTablesFromDb() {
         const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all();
         return tables.map(t => t.name);
@@ -237,6 +322,15 @@ class SQLiteClient {
             stmt.run(preset[0], this.defaultUserId, preset[1], preset[2], preset[3], now);
         }
 
+        const templateStmt = this.db.prepare(`
+            INSERT OR IGNORE INTO summary_templates (id, uid, title, instructions, sections_json, is_default, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 1, ?, ?)
+        `);
+
+        for (const template of DEFAULT_SUMMARY_TEMPLATES) {
+            templateStmt.run(template.id, this.defaultUserId, template.title, template.instructions, JSON.stringify(template.sections), now, now);
+        }
+
         console.log('Default data initialized.');
     }
 
@@ -0,0 +1,257 @@
+const syncRepository = require('../repositories/sync');
+const authService = require('./authService');
+const internalBridge = require('../../../bridge/internalBridge');
+const LATEST_SCHEMA = require('../config/schema');
+
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+// Sessions first, so rows that belong to a session arrive after it
+const TABLE_ORDER = Object.keys(LATEST_SCHEMA.SYNC_TABLES);
+
+/**
+ * @typedef {object} SyncRecord
+ * @property {string} table - One of LATEST_SCHEMA.SYNC_TABLES
+ * @property {string} id - Value of the table's key column
+ * @property {string} uid - Owner of the row
+ * @property {number} updated_at - Epoch seconds; the deletion time for deleted rows
+ * @property {boolean} deleted
+ * @property {object|null} data - Column values, null for deleted rows
+ */
+
+/**
+ * A remote store. Backends keep the newest version of every record and hand out changes after an
+ * opaque cursor; see sync/memoryBackend for the reference implementation.
+ * @typedef {object} SyncBackend
+ * @property {string} name - Cursors are kept per backend
+ * @property {(uid: string, cursor: string|null) => Promise<{records: SyncRecord[], cursor: string|null}>} pull
+ * @property {(uid: string, records: SyncRecord[]) => Promise<void>} push
+ */
+
+function sameData(row, data) {
+    return Object.keys(data)
+        .filter(column => column !== 'updated_at')
+        .every(column => (row[column] ?? null) === (data[column] ?? null));
+}
+
+function byTableOrder(a, b) {
+    return TABLE_ORDER.indexOf(a.table) - TABLE_ORDER.indexOf(b.table);
+}
+
+/**
+ * Offline-first sync of sessions, transcripts, Ask messages, summaries, presets and summary templates.
+ * Every write goes to the local database, where triggers mark rows 'dirty' and record deletions.
+ * A sync pulls the remote changes since the last cursor, resolving rows changed on both sides by
+ * last writer wins (a tie keeps the local row) and logging each such conflict, then pushes the
+ * remaining dirty rows and deletions.
+ */
+class SyncService {
+    constructor() {
+        /** @type {SyncBackend|null} */
+        this.backend = null;
+        this.timer = null;
+        this.running = null;
+        this.lastResult = null;
+        this.lastError = null;
+    }
+
+    /**
+     * @param {SyncBackend|null} backend
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Sync now and then every `intervalMs`
+     * @param {SyncBackend} backend
+     * @param {{intervalMs?: number}} [options]
+     */
+    start(backend, { intervalMs = SYNC_INTERVAL_MS } = {}) {
+        this.stop();
+        this.setBackend(backend);
+        console.log(`[SyncService] Syncing with ${backend.name} every ${Math.round(intervalMs / 1000)}s`);
+
+        const run = () => this.syncNow().catch(() => {});
+        this.timer = setInterval(run, intervalMs);
+        run();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('[SyncService] Stopped');
+        }
+        this.backend = null;
+    }
+
+    /**
+     * Pull, then push. Calls made while a sync is running share its result.
+     * @returns {Promise<{pulled: number, pushed: number, conflicts: number}>}
+     */
+    syncNow() {
+        if (!this.running) {
+            this.running = this._sync().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    getStatus() {
+        const cursor = this.backend ? syncRepository.getCursor(this.backend.name) : null;
+        return {
+            enabled: Boolean(this.timer),
+            backend: this.backend?.name || null,
+            syncing: Boolean(this.running),
+            last_synced_at: cursor?.last_synced_at ?? null,
+            last_result: this.lastResult,
+            last_error: this.lastError,
+            pending: syncRepository.getPendingCounts(),
+        };
+    }
+
+    /**
+     * Rows changed on both sides since they were last synced, newest first
+     */
+    getConflicts(limit) {
+        return syncRepository.getConflicts(limit);
+    }
+
+    async _sync() {
+        const backend = this.backend;
+        if (!backend) {
+            throw new Error('No sync backend configured');
+        }
+        const uid = authService.getCurrentUserId();
+        const assertSameUser = () => {
+            if (authService.getCurrentUserId() !== uid) {
+                throw new Error('Signed-in user changed during sync');
+            }
+        };
+
+        try {
+            const state = syncRepository.getCursor(backend.name);
+            if (!state) {
+                // First sync with this backend: upload everything made before it
+                syncRepository.markAllDirty();
+            }
+
+            const { records, cursor } = await backend.pull(uid, state?.cursor ?? null);
+            assertSameUser();
+            const result = { pulled: 0, pushed: 0, conflicts: 0 };
+            for (const record of [...records].sort(byTableOrder)) {
+                const outcome = this._applyRemote(record);
+                if (outcome === 'applied') result.pulled++;
+                if (outcome === 'conflict') result.conflicts++;
+            }
+
+            const outgoing = [...syncRepository.getDirtyRecords(), ...syncRepository.getTombstones()];
+            if (outgoing.length > 0) {
+                await backend.push(uid, outgoing);
+                assertSameUser();
+                for (const record of outgoing) {
+                    if (record.deleted) {
+                        syncRepository.removeTombstone(record.table, record.id, record.updated_at);
+                        continue;
+                    }
+                    // updated_at has one-second resolution, so a row written again during the push is
+                    // told apart by its content as well
+                    const current = syncRepository.getRow(record.table, record.id);
+                    if (current && sameData(current, record.data)) {
+                        syncRepository.markClean(record.table, record.id, record.updated_at);
+                    }
+                }
+                result.pushed = outgoing.length;
+            }
+
+            syncRepository.setCursor(backend.name, cursor);
+            this.lastResult = result;
+            this.lastError = null;
+            console.log(`[SyncService] Synced with ${backend.name}: ${result.pulled} pulled, ${result.pushed} pushed, ${result.conflicts} conflicts`);
+
+            if (result.pulled > 0 || result.conflicts > 0) {
+                internalBridge.emit('live-event', { source: 'sync', event: 'synced', data: result, timestamp: Date.now() });
+            }
+            return result;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error(`[SyncService] Sync with ${backend.name} failed:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {SyncRecord} record
+     * @returns {'applied'|'skipped'|'conflict'}
+     */
+    _applyRemote(record) {
+        const { table, id } = record;
+        const local = syncRepository.getRow(table, id);
+
+        if (!local) {
+            const tombstone = syncRepository.getTombstone(table, id);
+            if (record.deleted) {
+                if (tombstone) syncRepository.removeTombstone(table, id, tombstone.deleted_at);
+                return 'skipped';
+            }
+            // The local deletion is pushed unless the remote row changed after it
+            if (tombstone && record.updated_at <= tombstone.deleted_at) {
+                return 'skipped';
+            }
+            syncRepository.applyRemote(table, record.data, record.updated_at);
+            if (tombstone) {
+                this._logConflict(record, null, tombstone.deleted_at, 'remote');
+                return 'conflict';
+            }
+            return 'applied';
+        }
+
+        if (!record.deleted && sameData(local, record.data)) {
+            return 'skipped';
+        }
+
+        if (local.sync_state !== 'dirty') {
+            if (record.deleted) {
+                syncRepository.deleteRow(table, id);
+                return 'applied';
+            }
+            if (record.updated_at < (local.updated_at ?? 0)) {
+                return 'skipped';
+            }
+            syncRepository.applyRemote(table, record.data, record.updated_at);
+            return 'applied';
+        }
+
+        // Changed locally. Unless the remote changed too since the last sync, the push sends the local row.
+        if (!record.deleted && record.updated_at <= (local.synced_at ?? -1)) {
+            return 'skipped';
+        }
+        const winner = record.updated_at > (local.updated_at ?? 0) ? 'remote' : 'local';
+        if (winner === 'remote') {
+            if (record.deleted) {
+                syncRepository.deleteRow(table, id);
+            } else {
+                syncRepository.applyRemote(table, record.data, record.updated_at);
+            }
+        }
+        this._logConflict(record, local, local.updated_at, winner);
+        return 'conflict';
+    }
+
+    _logConflict(record, local, localUpdatedAt, winner) {
+        const { sync_state, synced_at, ...localData } = local || {};
+        syncRepository.addConflict({
+            table: record.table,
+            id: record.id,
+            winner,
+            local: local ? localData : null,
+            remote: record.deleted ? null : record.data,
+            localUpdatedAt,
+            remoteUpdatedAt: record.updated_at,
+        });
+        console.warn(`[SyncService] ${record.table} ${record.id} changed on both sides, keeping the ${winner} version`);
+    }
+}
+
+const syncService = new SyncService();
+module.exports = syncService;
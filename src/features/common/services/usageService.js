@@ -0,0 +1,215 @@
+const usageRepository = require('../repositories/usage');
+const internalBridge = require('../../../bridge/internalBridge');
+const { estimateCost } = require('../ai/pricing');
+
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function startOfMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function localDateKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function emptyTotals() {
+    return { requests: 0, estimated_requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+}
+
+function addToTotals(totals, record) {
+    totals.requests++;
+    totals.estimated_requests += record.estimated ? 1 : 0;
+    totals.input_tokens += record.input_tokens || 0;
+    totals.output_tokens += record.output_tokens || 0;
+    totals.cost_usd += record.cost_usd || 0;
+    return totals;
+}
+
+function finishTotals(totals) {
+    return { ...totals, cost_usd: roundCost(totals.cost_usd) };
+}
+
+function groupBy(records, key) {
+    const groups = new Map();
+    for (const record of records) {
+        const name = record[key] || 'unknown';
+        if (!groups.has(name)) groups.set(name, emptyTotals());
+        addToTotals(groups.get(name), record);
+    }
+    return [...groups.entries()]
+        .map(([name, totals]) => ({ [key]: name, ...finishTotals(totals) }))
+        .sort((a, b) => b.cost_usd - a.cost_usd || b.input_tokens + b.output_tokens - (a.input_tokens + a.output_tokens));
+}
+
+function parseLimit(value, name) {
+    if (value === null || value === undefined || value === '') return null;
+    const limit = Number(value);
+    if (!Number.isFinite(limit) || limit < 0) {
+        throw new Error(`${name} must be a non-negative amount in USD`);
+    }
+    return limit;
+}
+
+/**
+ * Token and estimated cost accounting for every AI call, and the daily and monthly budgets that
+ * pause automatic analysis (activity and research screenshot analysis) once they are spent.
+ * Calls are recorded by the LLM instances from ai/factory; features asked for explicitly, like
+ * Ask and Listen, keep working over budget.
+ */
+class UsageService {
+    constructor() {
+        this.exceededPeriod = null;
+    }
+
+    /**
+     * Record one AI call
+     * @param {import('../ai/usageTracking').UsageEntry} entry
+     */
+    recordUsage({ provider, model, feature, operation, inputTokens, outputTokens, estimated }) {
+        const costUsd = estimateCost(provider, model, inputTokens, outputTokens);
+        usageRepository.addRecord({ provider, model, feature, operation, inputTokens, outputTokens, estimated, costUsd });
+
+        if (costUsd > 0) {
+            this._checkBudget();
+        }
+    }
+
+    /**
+     * @returns {{daily_limit_usd: number|null, monthly_limit_usd: number|null}}
+     */
+    getBudget() {
+        const budget = usageRepository.getBudget();
+        return {
+            daily_limit_usd: budget?.daily_limit_usd ?? null,
+            monthly_limit_usd: budget?.monthly_limit_usd ?? null
+        };
+    }
+
+    /**
+     * @param {{daily_limit_usd?: number|null, monthly_limit_usd?: number|null}} budget - USD, null for no limit
+     */
+    setBudget(budget = {}) {
+        const current = this.getBudget();
+        const next = {
+            daily_limit_usd: 'daily_limit_usd' in budget ? parseLimit(budget.daily_limit_usd, 'Daily limit') : current.daily_limit_usd,
+            monthly_limit_usd: 'monthly_limit_usd' in budget ? parseLimit(budget.monthly_limit_usd, 'Monthly limit') : current.monthly_limit_usd
+        };
+        usageRepository.setBudget(next);
+        console.log('[UsageService] Budget set:', next);
+
+        // A raised limit resumes automatic analysis on its next run
+        this.exceededPeriod = null;
+        this._checkBudget();
+        return { success: true, budget: this.getBudgetStatus() };
+    }
+
+    /**
+     * Spending against the daily and monthly limits
+     * @returns {{daily: object, monthly: object, exceeded: boolean, exceeded_period: 'daily'|'monthly'|null}}
+     */
+    getBudgetStatus() {
+        const now = new Date();
+        const { daily_limit_usd, monthly_limit_usd } = this.getBudget();
+        const period = (limit, since) => {
+            const spent = roundCost(usageRepository.getCostSince(since.toISOString()));
+            return {
+                limit_usd: limit,
+                spent_usd: spent,
+                remaining_usd: limit === null ? null : roundCost(Math.max(0, limit - spent)),
+                exceeded: limit !== null && spent >= limit
+            };
+        };
+
+        const daily = period(daily_limit_usd, startOfDay(now));
+        const monthly = period(monthly_limit_usd, startOfMonth(now));
+        const exceededPeriod = monthly.exceeded ? 'monthly' : daily.exceeded ? 'daily' : null;
+        return { daily, monthly, exceeded: exceededPeriod !== null, exceeded_period: exceededPeriod };
+    }
+
+    /**
+     * Whether automatic analysis should run on local heuristics instead of an AI provider.
+     * Never pauses when the usage database cannot be read.
+     * @returns {boolean}
+     */
+    isAutomaticAnalysisPaused() {
+        try {
+            return this.getBudgetStatus().exceeded;
+        } catch (error) {
+            console.warn('[UsageService] Could not check the AI budget:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Usage over the last `days` days, for the billing page
+     * @param {{days?: number}} [options]
+     */
+    getUsageReport({ days = DEFAULT_REPORT_DAYS } = {}) {
+        const periodDays = Math.min(MAX_REPORT_DAYS, Math.max(1, Math.floor(Number(days)) || DEFAULT_REPORT_DAYS));
+        const now = new Date();
+        const today = startOfDay(now);
+        const periodStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (periodDays - 1));
+        const monthStart = startOfMonth(now);
+
+        const records = usageRepository.getRecordsSince(new Date(Math.min(periodStart, monthStart)).toISOString());
+        const inPeriod = records.filter(record => new Date(record.created_at) >= periodStart);
+
+        const daily = new Map();
+        for (let day = new Date(periodStart); day <= today; day.setDate(day.getDate() + 1)) {
+            daily.set(localDateKey(day), emptyTotals());
+        }
+        for (const record of inPeriod) {
+            const totals = daily.get(localDateKey(new Date(record.created_at)));
+            if (totals) addToTotals(totals, record);
+        }
+
+        const sumSince = (since) => finishTotals(
+            records.filter(record => new Date(record.created_at) >= since).reduce(addToTotals, emptyTotals())
+        );
+
+        return {
+            period: { days: periodDays, since: periodStart.toISOString() },
+            totals: finishTotals(inPeriod.reduce(addToTotals, emptyTotals())),
+            today: sumSince(today),
+            month: sumSince(monthStart),
+            by_provider: groupBy(inPeriod, 'provider'),
+            by_feature: groupBy(inPeriod, 'feature'),
+            by_model: groupBy(inPeriod, 'model'),
+            daily: [...daily.entries()].map(([date, totals]) => ({ date, ...finishTotals(totals) })),
+            budget: this.getBudgetStatus()
+        };
+    }
+
+    // Announce once per period when spending reaches a limit
+    _checkBudget() {
+        const status = this.getBudgetStatus();
+        if (!status.exceeded) {
+            this.exceededPeriod = null;
+            return;
+        }
+        if (this.exceededPeriod === status.exceeded_period) return;
+
+        this.exceededPeriod = status.exceeded_period;
+        const period = status[status.exceeded_period];
+        console.warn(`[UsageService] ${status.exceeded_period} AI budget of $${period.limit_usd} reached ($${period.spent_usd} spent); pausing automatic analysis`);
+        internalBridge.emit('live-event', {
+            source: 'usage',
+            event: 'budget-exceeded',
+            data: status,
+            timestamp: Date.now()
+        });
+    }
+}
+
+const usageService = new UsageService();
+module.exports = usageService;
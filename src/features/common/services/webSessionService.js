@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const authService = require('./authService');
+
+// Tokens are short-lived; the web frontend rotates them while a tab is open
+const TOKEN_TTL_MS = 60 * 60 * 1000;
+// A rotated token keeps working briefly so requests already in flight, and other tabs, don't fail
+const ROTATION_GRACE_MS = 60 * 1000;
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Issues and verifies the tokens that authorize the web frontend against the local API.
+ * The signing secret is generated on every launch and never leaves the main process, so
+ * only pages opened by the desktop app (which receive a token in the URL fragment) can call /api.
+ */
+class WebSessionService {
+    constructor() {
+        this.secret = crypto.randomBytes(32);
+        // sid -> { expiresAt, revokeAt }
+        this.sessions = new Map();
+    }
+
+    /**
+     * @returns {{ token: string, expiresAt: number }}
+     */
+    issueToken() {
+        this._prune();
+        const sid = base64url(crypto.randomBytes(16));
+        const expiresAt = Date.now() + TOKEN_TTL_MS;
+        this.sessions.set(sid, { expiresAt, revokeAt: null });
+
+        const payload = base64url(JSON.stringify({ sid, exp: expiresAt }));
+        return { token: `${payload}.${this._sign(payload)}`, expiresAt };
+    }
+
+    /**
+     * @param {string} token
+     * @returns {{ valid: boolean, reason?: string, sid?: string, expiresAt?: number }}
+     */
+    verifyToken(token) {
+        if (typeof token !== 'string' || !token.includes('.')) {
+            return { valid: false, reason: 'missing' };
+        }
+
+        const [payload, signature] = token.split('.');
+        const expected = this._sign(payload);
+        if (!signature || signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return { valid: false, reason: 'invalid' };
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+        } catch (error) {
+            return { valid: false, reason: 'invalid' };
+        }
+
+        const session = this.sessions.get(claims.sid);
+        const now = Date.now();
+        if (!session || (session.revokeAt !== null && session.revokeAt <= now)) {
+            return { valid: false, reason: 'revoked' };
+        }
+        if (session.expiresAt <= now) {
+            return { valid: false, reason: 'expired' };
+        }
+
+        return { valid: true, sid: claims.sid, expiresAt: session.expiresAt };
+    }
+
+    /**
+     * Replace a valid token with a fresh one; the old token stops working after a short grace period.
+     * @param {string} token
+     * @returns {{ token: string, expiresAt: number }}
+     */
+    rotateToken(token) {
+        const verified = this.verifyToken(token);
+        if (!verified.valid) {
+            throw new Error(`Cannot rotate ${verified.reason} token`);
+        }
+
+        const session = this.sessions.get(verified.sid);
+        const revokeAt = Date.now() + ROTATION_GRACE_MS;
+        session.revokeAt = session.revokeAt === null ? revokeAt : Math.min(session.revokeAt, revokeAt);
+        return this.issueToken();
+    }
+
+    revokeAll() {
+        this.sessions.clear();
+    }
+
+    /**
+     * URL of a web page with a freshly issued token in the fragment, which browsers never send to servers
+     * @param {string} pathAndQuery - e.g. '/personalize?desktop=true'
+     */
+    buildWebUrl(pathAndQuery = '/') {
+        const webUrl = process.env.pickleglass_WEB_URL || 'http://localhost:3000';
+        const { token } = this.issueToken();
+        return `${webUrl}${pathAndQuery}#token=${encodeURIComponent(token)}`;
+    }
+
+    getCurrentUserId() {
+        return authService.getCurrentUserId();
+    }
+
+    _sign(payload) {
+        return base64url(crypto.createHmac('sha256', this.secret).update(payload).digest());
+    }
+
+    _prune() {
+        const now = Date.now();
+        for (const [sid, session] of this.sessions) {
+            if (session.expiresAt <= now || (session.revokeAt !== null && session.revokeAt <= now)) {
+                this.sessions.delete(sid);
+            }
+        }
+    }
+}
+
+const webSessionService = new WebSessionService();
+module.exports = webSessionService;
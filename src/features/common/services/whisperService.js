@@ -8,6 +8,7 @@ const https = require('https');
 const crypto = require('crypto');
 const { spawnAsync } = require('../utils/spawnHelper');
 const { DOWNLOAD_CHECKSUMS } = require('../config/checksums');
+const { LocalDiarizer } = require('../ai/diarization/localDiarizer');
 
 const execAsync = promisify(exec);
 
@@ -332,6 +333,15 @@ class WhisperService extends EventEmitter {
         return session;
     }
 
+    /**
+     * Speaker diarization that runs alongside local transcription, so no audio leaves the machine.
+     * One diarizer per audio stream; it remembers the voices heard in that stream.
+     * @param {object} [options] - See LocalDiarizer
+     */
+    createDiarizer(options = {}) {
+        return new LocalDiarizer(options);
+    }
+
     async releaseSession(sessionId) {
         const session = this.activeSessions.get(sessionId);
         if (session) {
@@ -533,6 +543,44 @@ class WhisperService extends EventEmitter {
         return tempFile;
     }
 
+    /**
+     * Transcribe a recorded clip in one run of the whisper binary
+     * @param {Buffer} pcm - 16 kHz 16-bit mono PCM
+     * @param {object} [options]
+     * @param {string} [options.model='whisper-tiny']
+     * @param {string} [options.language='auto']
+     * @returns {Promise<{text: string, segments: Array<{start: number, end: number, text: string}>}>} Offsets in seconds
+     */
+    async transcribeFile(pcm, { model = 'whisper-tiny', language = 'auto' } = {}) {
+        await this.ensureModelAvailable(model);
+        const tempFile = await this.saveAudioToTemp(pcm, 'import');
+        try {
+            const whisperPath = await this.getWhisperPath();
+            const modelPath = await this.getModelPath(model);
+            // -of drops the .wav so cleanupTempFile finds the JSON next to the audio
+            await spawnAsync(whisperPath, [
+                '-m', modelPath,
+                '-f', tempFile,
+                '--output-json',
+                '-of', tempFile.replace(/\.wav$/, ''),
+                '--language', language,
+                '--threads', '4',
+            ]);
+
+            const output = JSON.parse(await fsPromises.readFile(tempFile.replace(/\.wav$/, '.json'), 'utf8'));
+            const segments = (output.transcription || [])
+                .map(segment => ({
+                    start: (segment.offsets?.from || 0) / 1000,
+                    end: (segment.offsets?.to || 0) / 1000,
+                    text: (segment.text || '').trim(),
+                }))
+                .filter(segment => segment.text);
+            return { text: segments.map(segment => segment.text).join(' '), segments };
+        } finally {
+            await this.cleanupTempFile(tempFile);
+        }
+    }
+
     createWavHeader(dataSize) {
         const header = Buffer.alloc(44);
         const sampleRate = 16000;
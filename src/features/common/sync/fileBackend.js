@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryBackend } = require('./memoryBackend');
+
+// The memory backend persisted to a JSON file, read again on every call so that several
+// databases (devices) can sync through the same file.
+
+/**
+ * @param {string} filePath
+ * @param {{name?: string}} [options]
+ * @returns {import('../services/syncService').SyncBackend}
+ */
+function createFileBackend(filePath, { name = 'file' } = {}) {
+    const load = () => {
+        if (!fs.existsSync(filePath)) return undefined;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    };
+
+    const save = (state) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state));
+        fs.renameSync(tempPath, filePath);
+    };
+
+    return {
+        name,
+
+        async pull(uid, cursor) {
+            return createMemoryBackend({ name, state: load() }).pull(uid, cursor);
+        },
+
+        async push(uid, records) {
+            const backend = createMemoryBackend({ name, state: load() });
+            await backend.push(uid, records);
+            save(backend.snapshot());
+        },
+    };
+}
+
+module.exports = {
+    createFileBackend,
+};
@@ -0,0 +1,156 @@
+const { collection, collectionGroup, doc, getDocs, query, where, writeBatch, Timestamp, serverTimestamp } = require('firebase/firestore');
+const { getFirestoreInstance } = require('../services/firebaseClient');
+const { createEncryptedConverter } = require('../repositories/firestoreConverter');
+const encryptionService = require('../services/encryptionService');
+const LATEST_SCHEMA = require('../config/schema');
+
+// Sync backend for signed-in users, on the Firestore layout the app has always used:
+// sessions/{id} with transcripts, ai_messages and summary/data below it, and top-level
+// prompt_presets and summary_templates. Every document written by sync carries the owner's uid and a
+// server-assigned `pushed_at`, which is what the pull cursor follows (the client's updated_at decides
+// conflicts but can be older than changes other devices have already pulled past). Documents written
+// before sync existed have no `pushed_at`; the first pull takes everything the user owns to bring them in.
+// The queries need the indexes in firestore.indexes.json.
+
+const MAX_BATCH_OPERATIONS = 500;
+// Pull a little before the cursor: server timestamps of concurrent commits can land out of order.
+// Records pulled twice are skipped by the engine because they match the local row.
+const CURSOR_OVERLAP_MS = 60 * 1000;
+
+const ENCRYPTED_FIELDS = {
+    sessions: ['title'],
+    transcripts: ['text'],
+    ai_messages: ['content'],
+    summaries: ['tldr', 'text', 'bullet_json', 'action_json', 'sections_json', 'minutes_json'],
+    prompt_presets: ['title', 'prompt'],
+    summary_templates: ['title', 'instructions', 'sections_json'],
+};
+const TIMESTAMP_FIELDS = ['started_at', 'ended_at', 'start_at', 'end_at', 'sent_at', 'created_at', 'updated_at', 'generated_at', 'minutes_generated_at'];
+
+const converters = Object.fromEntries(
+    Object.entries(ENCRYPTED_FIELDS).map(([table, fields]) => [table, createEncryptedConverter(fields)])
+);
+
+function documentPath(table, id, data) {
+    switch (table) {
+        case 'sessions':
+            return `sessions/${id}`;
+        case 'transcripts':
+        case 'ai_messages':
+            return `sessions/${data.session_id}/${table}/${id}`;
+        case 'summaries':
+            return `sessions/${id}/summary/data`;
+        default:
+            return `${table}/${id}`;
+    }
+}
+
+// Group queries over every session's subcollection; summaries live in `summary`
+function tableCollection(db, table) {
+    return LATEST_SCHEMA.SYNC_TABLES[table].parent
+        ? collectionGroup(db, table === 'summaries' ? 'summary' : table)
+        : collection(db, table);
+}
+
+function toDocument(record) {
+    const document = { ...record.data, uid: record.uid, pushed_at: serverTimestamp() };
+    for (const field of ENCRYPTED_FIELDS[record.table]) {
+        if (document[field] != null) document[field] = encryptionService.encrypt(document[field]);
+    }
+    for (const field of TIMESTAMP_FIELDS) {
+        if (typeof document[field] === 'number') document[field] = Timestamp.fromMillis(document[field] * 1000);
+    }
+    if (record.table === 'sessions') document.members = [record.uid];
+    return document;
+}
+
+function toRecord(table, snapshot, uid) {
+    const document = converters[table].fromFirestore(snapshot);
+    const { key, parent } = LATEST_SCHEMA.SYNC_TABLES[table];
+    // Documents written before sync name their session only in their path
+    if (parent && document[parent] == null) document[parent] = snapshot.ref.parent.parent.id;
+    const columns = LATEST_SCHEMA[table].columns.map(column => column.name).filter(name => !['sync_state', 'synced_at'].includes(name));
+    const data = Object.fromEntries(columns.filter(name => name in document).map(name => [name, document[name]]));
+    return { table, id: data[key], uid, updated_at: data.updated_at ?? 0, deleted: false, data };
+}
+
+const tombstoneId = (table, id) => `${table}:${id}`;
+const pushedMillis = (pushedAt) => (pushedAt ? pushedAt.toMillis() : 0);
+
+const firestoreBackend = {
+    name: 'firestore',
+
+    async pull(uid, cursor) {
+        const db = getFirestoreInstance();
+        const since = Timestamp.fromMillis(Math.max(0, (Number(cursor) || 0) - CURSOR_OVERLAP_MS));
+        // Without a cursor, also the documents that predate sync and have no pushed_at
+        const changedSince = (ref) => cursor == null
+            ? query(ref, where('uid', '==', uid))
+            : query(ref, where('uid', '==', uid), where('pushed_at', '>=', since));
+        const changed = [];
+
+        for (const table of Object.keys(LATEST_SCHEMA.SYNC_TABLES)) {
+            const snapshot = await getDocs(changedSince(tableCollection(db, table)));
+            for (const docSnap of snapshot.docs) {
+                changed.push({ pushedAt: docSnap.get('pushed_at') ?? null, record: toRecord(table, docSnap, uid) });
+            }
+        }
+
+        const tombstones = await getDocs(changedSince(collection(db, 'sync_tombstones')));
+        for (const docSnap of tombstones.docs) {
+            const { table_name, row_id, deleted_at, pushed_at } = docSnap.data();
+            changed.push({
+                pushedAt: pushed_at,
+                record: { table: table_name, id: row_id, uid, updated_at: deleted_at, deleted: true, data: null },
+            });
+        }
+
+        changed.sort((a, b) => pushedMillis(a.pushedAt) - pushedMillis(b.pushedAt));
+        const latest = changed.reduce((max, { pushedAt }) => Math.max(max, pushedMillis(pushedAt)), Number(cursor) || 0);
+        return { records: changed.map(({ record }) => record), cursor: String(latest) };
+    },
+
+    async push(uid, records) {
+        const db = getFirestoreInstance();
+        let batch = writeBatch(db);
+        let operations = 0;
+        const commits = [];
+        // Commit the batch first when the next writes would not fit in it
+        const reserve = (count) => {
+            if (operations + count > MAX_BATCH_OPERATIONS) {
+                commits.push(batch.commit());
+                batch = writeBatch(db);
+                operations = 0;
+            }
+            operations += count;
+        };
+
+        for (const record of records) {
+            const tombstoneRef = doc(db, 'sync_tombstones', tombstoneId(record.table, record.id));
+            if (record.deleted) {
+                // The row's data is gone locally; children are found through the uid and id they were written with
+                const { parent } = LATEST_SCHEMA.SYNC_TABLES[record.table];
+                if (parent && record.table !== 'summaries') {
+                    const matches = await getDocs(query(collectionGroup(db, record.table), where('uid', '==', uid), where('id', '==', record.id)));
+                    for (const docSnap of matches.docs) {
+                        reserve(1);
+                        batch.delete(docSnap.ref);
+                    }
+                    reserve(1);
+                } else {
+                    reserve(2);
+                    batch.delete(doc(db, documentPath(record.table, record.id)));
+                }
+                batch.set(tombstoneRef, { uid, table_name: record.table, row_id: record.id, deleted_at: record.updated_at, pushed_at: serverTimestamp() });
+            } else {
+                reserve(2);
+                batch.set(doc(db, documentPath(record.table, record.id, record.data)), toDocument({ ...record, uid }));
+                batch.delete(tombstoneRef);
+            }
+        }
+        if (operations > 0) commits.push(batch.commit());
+        await Promise.all(commits);
+    },
+};
+
+module.exports = firestoreBackend;
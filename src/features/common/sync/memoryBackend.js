@@ -0,0 +1,49 @@
+// In-memory stand-in for the remote store, for tests and as the reference for other backends.
+// Every accepted write gets the next revision; the cursor is the last revision a client has seen.
+
+/**
+ * @typedef {object} MemoryBackendState
+ * @property {number} revision
+ * @property {Array<{revision: number, record: import('../services/syncService').SyncRecord}>} entries
+ */
+
+/**
+ * @param {{name?: string, state?: MemoryBackendState}} [options] - `state` from a previous snapshot()
+ * @returns {import('../services/syncService').SyncBackend & {snapshot: () => MemoryBackendState}}
+ */
+function createMemoryBackend({ name = 'memory', state } = {}) {
+    let revision = state?.revision || 0;
+    const entries = new Map((state?.entries || []).map(entry => [`${entry.record.table}/${entry.record.id}`, entry]));
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+
+    return {
+        name,
+
+        async pull(uid, cursor) {
+            const since = Number(cursor) || 0;
+            const records = [...entries.values()]
+                .filter(entry => entry.record.uid === uid && entry.revision > since)
+                .sort((a, b) => a.revision - b.revision)
+                .map(entry => copy(entry.record));
+            return { records, cursor: String(revision) };
+        },
+
+        async push(uid, records) {
+            for (const record of records) {
+                const key = `${record.table}/${record.id}`;
+                const stored = entries.get(key);
+                // A client that has not pulled yet cannot overwrite a newer version
+                if (stored && stored.record.updated_at > record.updated_at) continue;
+                entries.set(key, { revision: ++revision, record: copy({ ...record, uid }) });
+            }
+        },
+
+        snapshot() {
+            return copy({ revision, entries: [...entries.values()] });
+        },
+    };
+}
+
+module.exports = {
+    createMemoryBackend,
+};
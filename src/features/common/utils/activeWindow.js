@@ -0,0 +1,116 @@
+const util = require('util');
+const fs = require('fs');
+const execFile = util.promisify(require('child_process').execFile);
+
+const COMMAND_TIMEOUT_MS = 2000;
+
+// Browsers whose current URL can be read over AppleScript, with the expression for the active tab
+const MAC_BROWSERS = {
+    'Safari': 'URL of current tab of front window',
+    'Google Chrome': 'URL of active tab of front window',
+    'Brave Browser': 'URL of active tab of front window',
+    'Microsoft Edge': 'URL of active tab of front window',
+    'Arc': 'URL of active tab of front window',
+    'Chromium': 'URL of active tab of front window'
+};
+
+async function run(command, args) {
+    const { stdout } = await execFile(command, args, { timeout: COMMAND_TIMEOUT_MS });
+    return stdout.trim();
+}
+
+async function getMacActiveWindow() {
+    const app = await run('osascript', ['-e', 'tell application "System Events" to get name of first application process whose frontmost is true']);
+
+    // Window titles need the accessibility permission; without it only the app name is known
+    let title = null;
+    try {
+        title = await run('osascript', ['-e', `tell application "System Events" to get name of front window of application process "${app}"`]);
+    } catch (error) {
+        title = null;
+    }
+
+    let url = null;
+    if (MAC_BROWSERS[app]) {
+        try {
+            url = await run('osascript', ['-e', `tell application "${app}" to get ${MAC_BROWSERS[app]}`]);
+        } catch (error) {
+            url = null;
+        }
+    }
+
+    return { app, title, url };
+}
+
+async function getLinuxActiveWindow() {
+    const windowId = await run('xdotool', ['getactivewindow']);
+    const title = await run('xdotool', ['getwindowname', windowId]);
+
+    let app = null;
+    try {
+        const pid = await run('xdotool', ['getwindowpid', windowId]);
+        app = (await fs.promises.readFile(`/proc/${pid}/comm`, 'utf8')).trim();
+    } catch (error) {
+        app = null;
+    }
+
+    return { app, title, url: null };
+}
+
+async function getMacActiveWindowBounds() {
+    // x, y, width, height in points, the same global coordinates as Electron's screen module
+    const output = await run('osascript', ['-e', 'tell application "System Events" to tell (first application process whose frontmost is true) to get {position, size} of front window']);
+    const [x, y, width, height] = output.split(',').map(value => Number(value.trim()));
+    return { x, y, width, height };
+}
+
+async function getLinuxActiveWindowBounds() {
+    const output = await run('xdotool', ['getactivewindow', 'getwindowgeometry', '--shell']);
+    const values = Object.fromEntries(output.split('\n').map(line => line.split('=')));
+    return { x: Number(values.X), y: Number(values.Y), width: Number(values.WIDTH), height: Number(values.HEIGHT) };
+}
+
+/**
+ * Screen rectangle of the window in the foreground, on macOS (needs the accessibility permission)
+ * and X11 Linux.
+ * @returns {Promise<{x: number, y: number, width: number, height: number}|null>}
+ */
+async function getActiveWindowBounds() {
+    try {
+        let bounds = null;
+        if (process.platform === 'darwin') {
+            bounds = await getMacActiveWindowBounds();
+        } else if (process.platform === 'linux') {
+            bounds = await getLinuxActiveWindowBounds();
+        }
+        if (bounds && Object.values(bounds).every(Number.isFinite)) {
+            return bounds;
+        }
+    } catch (error) {
+        console.warn('[ActiveWindow] Could not read the active window bounds:', error.message);
+    }
+
+    return null;
+}
+
+/**
+ * Describe the window in the foreground, as far as the platform allows.
+ * Supported on macOS (osascript) and X11 Linux (xdotool); elsewhere every field is null.
+ * @returns {Promise<{app: string|null, title: string|null, url: string|null}>}
+ */
+async function getActiveWindow() {
+    try {
+        if (process.platform === 'darwin') {
+            return await getMacActiveWindow();
+        }
+        if (process.platform === 'linux') {
+            return await getLinuxActiveWindow();
+        }
+    } catch (error) {
+        console.warn('[ActiveWindow] Could not read the active window:', error.message);
+    }
+
+    return { app: null, title: null, url: null };
+}
+
+module.exports = { getActiveWindow, getActiveWindowBounds };
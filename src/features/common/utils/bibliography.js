@@ -0,0 +1,331 @@
+// Readers for BibTeX and CSL-JSON bibliographies.
+// Entries are returned in the shape of Zotero item data so they can stand in for Zotero items.
+
+const BIBTEX_TYPES = {
+    article: 'journalArticle',
+    inproceedings: 'conferencePaper',
+    conference: 'conferencePaper',
+    book: 'book',
+    inbook: 'bookSection',
+    incollection: 'bookSection',
+    phdthesis: 'thesis',
+    mastersthesis: 'thesis',
+    thesis: 'thesis',
+    techreport: 'report',
+    report: 'report',
+    online: 'webpage',
+    misc: 'document',
+    unpublished: 'manuscript'
+};
+
+const CSL_TYPES = {
+    'article-journal': 'journalArticle',
+    'article-magazine': 'magazineArticle',
+    'article-newspaper': 'newspaperArticle',
+    'paper-conference': 'conferencePaper',
+    book: 'book',
+    chapter: 'bookSection',
+    thesis: 'thesis',
+    report: 'report',
+    webpage: 'webpage',
+    manuscript: 'manuscript'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// The most common LaTeX accent commands, e.g. {\"o} or \'e
+const ACCENTS = {
+    '"': '̈',
+    "'": '́',
+    '`': '̀',
+    '^': '̂',
+    '~': '̃',
+    '=': '̄',
+    '.': '̇',
+    c: '̧',
+    v: '̌',
+    u: '̆',
+    H: '̋'
+};
+
+const SYMBOLS = {
+    ss: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', o: 'ø', O: 'Ø', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı'
+};
+
+/**
+ * Turn LaTeX-formatted BibTeX text into plain text
+ * @param {string} value - Field value with LaTeX markup
+ * @returns {string} Plain text
+ */
+function latexToText(value) {
+    return String(value ?? '')
+        .replace(/\\([`'"^~=.])\s*\{?\\?([a-zA-Z])\}?/g, (match, accent, letter) => (letter + ACCENTS[accent]).normalize('NFC'))
+        .replace(/\\([cvuH])\s*\{\\?([a-zA-Z])\}/g, (match, accent, letter) => (letter + ACCENTS[accent]).normalize('NFC'))
+        .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i)(?![a-zA-Z])\s?/g, (match, name) => SYMBOLS[name])
+        .replace(/\\(?:emph|textit|textbf|textsc|texttt|mathrm|url)\s*\{/g, '{')
+        .replace(/\\([&%$#_{}])/g, '$1')
+        .replace(/---/g, '—')
+        .replace(/--/g, '–')
+        .replace(/~/g, ' ')
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Reads one "{...}" or "(...)" group starting at `start`, honouring nested braces
+function readDelimited(text, start) {
+    const open = text[start];
+    let depth = 0;
+
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            if (depth === 0 && open === '{') return { body: text.slice(start + 1, i), end: i + 1 };
+            depth--;
+        } else if (char === ')' && open === '(' && depth === 0) {
+            return { body: text.slice(start + 1, i), end: i + 1 };
+        }
+    }
+
+    return null;
+}
+
+// Reads a field value: braced and quoted strings, numbers and @string macros joined with #
+function readFieldValue(body, start, macros) {
+    const parts = [];
+    let i = start;
+
+    while (i < body.length) {
+        while (/\s/.test(body[i])) i++;
+
+        if (body[i] === '{') {
+            const group = readDelimited(body, i);
+            if (!group) throw new Error('Unbalanced braces in field value');
+            parts.push(group.body);
+            i = group.end;
+        } else if (body[i] === '"') {
+            let depth = 0;
+            let j = i + 1;
+            for (; j < body.length; j++) {
+                if (body[j] === '\\') { j++; continue; }
+                if (body[j] === '{') depth++;
+                else if (body[j] === '}') depth--;
+                else if (body[j] === '"' && depth === 0) break;
+            }
+            parts.push(body.slice(i + 1, j));
+            i = j + 1;
+        } else {
+            const match = /^[^\s,#}]+/.exec(body.slice(i));
+            if (!match) break;
+            const word = match[0];
+            parts.push(/^\d+$/.test(word) ? word : (macros[word.toLowerCase()] ?? word));
+            i += word.length;
+        }
+
+        while (/\s/.test(body[i])) i++;
+        if (body[i] !== '#') break;
+        i++;
+    }
+
+    return { value: parts.join(''), end: i };
+}
+
+function parseFields(body, macros) {
+    const fields = {};
+    let i = 0;
+
+    while (i < body.length) {
+        const match = /^[\s,]*([A-Za-z][\w:-]*)\s*=\s*/.exec(body.slice(i));
+        if (!match) break;
+        i += match[0].length;
+
+        const { value, end } = readFieldValue(body, i, macros);
+        fields[match[1].toLowerCase()] = value;
+        i = end;
+    }
+
+    return fields;
+}
+
+// Splits "A and B and {C and D}" on top-level "and"
+function splitNames(value) {
+    const names = [];
+    let depth = 0;
+    let current = '';
+    const tokens = value.split(/(\s+and\s+|[{}])/i);
+
+    for (const token of tokens) {
+        if (token === '{') depth++;
+        if (token === '}') depth--;
+        if (depth === 0 && /^\s+and\s+$/i.test(token)) {
+            names.push(current);
+            current = '';
+        } else {
+            current += token;
+        }
+    }
+    names.push(current);
+
+    return names.map(name => name.trim()).filter(Boolean);
+}
+
+function parseBibTeXName(raw, creatorType) {
+    // A fully braced name is an institution and is kept whole
+    if (/^\{[^{}]*\}$/.test(raw)) {
+        return { creatorType, name: latexToText(raw) };
+    }
+    if (raw.toLowerCase() === 'others') {
+        return null;
+    }
+
+    const parts = raw.split(',').map(part => latexToText(part));
+    if (parts.length >= 2) {
+        // "von Last, Jr, First" or "Last, First"
+        return { creatorType, firstName: parts[parts.length - 1], lastName: parts[0] };
+    }
+
+    const words = latexToText(raw).split(' ');
+    if (words.length === 1) {
+        return { creatorType, firstName: '', lastName: words[0] };
+    }
+
+    // "First von Last": the surname starts at the first lowercase particle, or is the last word
+    const particle = words.findIndex((word, index) => index > 0 && index < words.length - 1 && /^[a-z]/.test(word));
+    const split = particle === -1 ? words.length - 1 : particle;
+    return { creatorType, firstName: words.slice(0, split).join(' '), lastName: words.slice(split).join(' ') };
+}
+
+function bibtexDate(fields) {
+    if (fields.date) return latexToText(fields.date);
+    if (!fields.year) return '';
+
+    const year = latexToText(fields.year);
+    const month = fields.month ? latexToText(fields.month).toLowerCase() : '';
+    const monthIndex = /^\d+$/.test(month) ? Number(month) : MONTHS.indexOf(month.slice(0, 3)) + 1;
+    return monthIndex > 0 ? `${year}-${String(monthIndex).padStart(2, '0')}` : year;
+}
+
+function splitKeywords(value) {
+    return latexToText(value).split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a BibTeX document
+ * @param {string} text - BibTeX source
+ * @returns {Array<Object>} Entries as Zotero-style item data, keyed by citation key
+ */
+function parseBibTeX(text) {
+    if (typeof text !== 'string') {
+        throw new Error('Invalid BibTeX data: expected text');
+    }
+
+    const macros = {};
+    MONTHS.forEach((month, index) => { macros[month] = String(index + 1); });
+
+    const entries = [];
+    const entryStart = /@\s*([A-Za-z]+)\s*([{(])/g;
+    let match;
+
+    while ((match = entryStart.exec(text)) !== null) {
+        const type = match[1].toLowerCase();
+        const group = readDelimited(text, match.index + match[0].length - 1);
+        if (!group) {
+            throw new Error(`Unterminated @${type} entry`);
+        }
+        entryStart.lastIndex = group.end;
+
+        if (type === 'comment' || type === 'preamble') continue;
+
+        if (type === 'string') {
+            Object.assign(macros, parseFields(group.body, macros));
+            continue;
+        }
+
+        const comma = group.body.indexOf(',');
+        const key = (comma === -1 ? group.body : group.body.slice(0, comma)).trim();
+        if (!key) continue;
+
+        const fields = parseFields(comma === -1 ? '' : group.body.slice(comma + 1), macros);
+        const creators = [
+            ...splitNames(fields.author || '').map(name => parseBibTeXName(name, 'author')),
+            ...splitNames(fields.editor || '').map(name => parseBibTeXName(name, 'editor'))
+        ].filter(Boolean);
+
+        entries.push({
+            key,
+            itemType: BIBTEX_TYPES[type] || 'document',
+            title: latexToText(fields.title),
+            creators,
+            date: bibtexDate(fields),
+            abstractNote: latexToText(fields.abstract),
+            publicationTitle: latexToText(fields.journal || fields.journaltitle || fields.booktitle),
+            DOI: latexToText(fields.doi),
+            url: latexToText(fields.url),
+            tags: splitKeywords(fields.keywords || '').map(tag => ({ tag })),
+            extra: latexToText(fields.note)
+        });
+    }
+
+    return entries;
+}
+
+function cslDate(issued) {
+    if (!issued) return '';
+    if (issued.raw || issued.literal) return issued.raw || issued.literal;
+
+    const [parts] = issued['date-parts'] || [];
+    if (!parts || parts.length === 0) return '';
+    return parts.map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0'))).join('-');
+}
+
+/**
+ * Parse a CSL-JSON document (an array of items, as exported by Zotero and Better BibTeX)
+ * @param {string} text - CSL-JSON source
+ * @returns {Array<Object>} Entries as Zotero-style item data, keyed by item id or citation key
+ */
+function parseCslJson(text) {
+    let items;
+    try {
+        items = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid CSL-JSON data: ${error.message}`);
+    }
+    if (items && Array.isArray(items.items)) {
+        items = items.items;
+    }
+    if (!Array.isArray(items)) {
+        throw new Error('Invalid CSL-JSON data: expected an array of items');
+    }
+
+    const toCreators = (names = [], creatorType) => names.map(name => (
+        name.literal
+            ? { creatorType, name: name.literal }
+            : { creatorType, firstName: name.given || '', lastName: [name['non-dropping-particle'], name.family].filter(Boolean).join(' ') }
+    ));
+
+    return items
+        .filter(item => item && (item['citation-key'] || item.id))
+        .map(item => ({
+            key: String(item['citation-key'] || item.id),
+            itemType: CSL_TYPES[item.type] || 'document',
+            title: item.title || '',
+            creators: [...toCreators(item.author, 'author'), ...toCreators(item.editor, 'editor')],
+            date: cslDate(item.issued),
+            abstractNote: item.abstract || '',
+            publicationTitle: item['container-title'] || '',
+            DOI: item.DOI || '',
+            url: item.URL || '',
+            tags: (Array.isArray(item.keyword) ? item.keyword : splitKeywords(item.keyword || '')).map(tag => ({ tag })),
+            extra: item.note || ''
+        }));
+}
+
+module.exports = {
+    parseBibTeX,
+    parseCslJson,
+    latexToText
+};
@@ -0,0 +1,240 @@
+// Minimal RFC 5545 (iCalendar) writer and reader for VEVENT components.
+// Recurrence rules are not expanded; only the first occurrence of an event is read.
+
+const PRODUCT_ID = '-//Glass//Activity Tracker//EN';
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+    return String(value ?? '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Long content lines are split into 75-octet chunks, continued with a leading space
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+        return line;
+    }
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function formatDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an iCalendar document from a list of events
+ * @param {Array<Object>} events - Events with uid, start, end, summary and optional description, categories, status
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.name] - Calendar display name
+ * @returns {string} iCalendar text using CRLF line endings
+ */
+function buildCalendar(events, options = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (options.name) {
+        lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+    }
+
+    const stamp = formatDateTime(Date.now());
+    for (const event of events) {
+        lines.push('BEGIN:VEVENT');
+        lines.push(`UID:${event.uid}`);
+        lines.push(`DTSTAMP:${stamp}`);
+        lines.push(`DTSTART:${formatDateTime(event.start)}`);
+        if (event.end) {
+            lines.push(`DTEND:${formatDateTime(event.end)}`);
+        }
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.categories && event.categories.length > 0) {
+            lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+        }
+        if (event.status) {
+            lines.push(`STATUS:${event.status}`);
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Parses DATE, floating DATE-TIME and UTC DATE-TIME values. Floating and TZID times are read as local time.
+function parseDateTime(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)];
+    const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+
+    return {
+        date,
+        allDay: params.VALUE === 'DATE' || match[4] === undefined
+    };
+}
+
+// Parses durations such as PT1H30M or P1D into milliseconds
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+function parseContentLine(line) {
+    // The name/value separator is the first colon outside a quoted parameter value
+    let colon = -1;
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        if (line[i] === ':' && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse VEVENT components out of an iCalendar document
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} Events with uid, summary, description, location, categories, start, end, allDay and status
+ */
+function parseCalendar(text) {
+    if (typeof text !== 'string' || !text.includes('BEGIN:VCALENDAR')) {
+        throw new Error('Invalid iCalendar data: missing VCALENDAR');
+    }
+
+    // Unfold continuation lines before splitting into properties
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events = [];
+    let current = null;
+    let nestedDepth = 0;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trimEnd();
+        if (!line) continue;
+
+        if (line === 'BEGIN:VEVENT') {
+            current = { categories: [] };
+            nestedDepth = 0;
+            continue;
+        }
+        if (!current) continue;
+
+        if (line === 'END:VEVENT') {
+            if (current.start) {
+                if (!current.end && current.durationMs != null) {
+                    current.end = new Date(current.start.getTime() + current.durationMs);
+                }
+                if (!current.end && current.allDay) {
+                    current.end = new Date(current.start.getTime() + 24 * 60 * 60 * 1000);
+                }
+                delete current.durationMs;
+                events.push(current);
+            }
+            current = null;
+            continue;
+        }
+
+        // Skip nested components such as VALARM
+        if (line.startsWith('BEGIN:')) {
+            nestedDepth++;
+            continue;
+        }
+        if (line.startsWith('END:')) {
+            nestedDepth = Math.max(0, nestedDepth - 1);
+            continue;
+        }
+        if (nestedDepth > 0) continue;
+
+        const property = parseContentLine(line);
+        if (!property) continue;
+
+        switch (property.name) {
+            case 'UID':
+                current.uid = property.value;
+                break;
+            case 'SUMMARY':
+                current.summary = unescapeText(property.value);
+                break;
+            case 'DESCRIPTION':
+                current.description = unescapeText(property.value);
+                break;
+            case 'LOCATION':
+                current.location = unescapeText(property.value);
+                break;
+            case 'CATEGORIES':
+                current.categories.push(...property.value.split(/(?<!\\),/).map(unescapeText).filter(Boolean));
+                break;
+            case 'STATUS':
+                current.status = property.value.toUpperCase();
+                break;
+            case 'DTSTART': {
+                const parsed = parseDateTime(property.value, property.params);
+                if (parsed) {
+                    current.start = parsed.date;
+                    current.allDay = parsed.allDay;
+                }
+                break;
+            }
+            case 'DTEND': {
+                const parsed = parseDateTime(property.value, property.params);
+                if (parsed) current.end = parsed.date;
+                break;
+            }
+            case 'DURATION':
+                current.durationMs = parseDuration(property.value);
+                break;
+            default:
+                break;
+        }
+    }
+
+    return events;
+}
+
+module.exports = {
+    buildCalendar,
+    parseCalendar
+};
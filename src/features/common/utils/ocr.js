@@ -0,0 +1,98 @@
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const execFile = util.promisify(require('child_process').execFile);
+
+// Local OCR through the Tesseract command line (`brew install tesseract`, `apt install tesseract-ocr`,
+// or the Windows installer on PATH). Nothing is uploaded.
+const TESSERACT_COMMAND = process.env.TESSERACT_PATH || 'tesseract';
+const OCR_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * @typedef {object} OcrWord
+ * @property {string} text
+ * @property {number} left - Pixels in the recognized image
+ * @property {number} top
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {object} OcrLine
+ * @property {string} text - The line's words joined by single spaces
+ * @property {Array<OcrWord & {start: number, end: number}>} words - With their character range in `text`
+ */
+
+let availability = null;
+
+/**
+ * Whether the Tesseract command can be run. Checked once per launch.
+ * @returns {Promise<boolean>}
+ */
+function isOcrAvailable() {
+    if (!availability) {
+        availability = execFile(TESSERACT_COMMAND, ['--version'], { timeout: 5000 })
+            .then(() => true)
+            .catch(() => {
+                console.warn(`[OCR] ${TESSERACT_COMMAND} not found; on-screen text cannot be recognized`);
+                return false;
+            });
+    }
+    return availability;
+}
+
+// Tesseract TSV: level, page, block, paragraph, line, word, left, top, width, height, confidence, text.
+// Level 5 rows are words.
+function parseTsv(tsv) {
+    const lines = new Map();
+    for (const row of tsv.split('\n').slice(1)) {
+        const fields = row.split('\t');
+        if (fields.length < 12 || fields[0] !== '5') continue;
+        const text = fields.slice(11).join('\t').trim();
+        if (!text) continue;
+
+        const key = fields.slice(1, 5).join(':');
+        if (!lines.has(key)) lines.set(key, { text: '', words: [] });
+        const line = lines.get(key);
+        const start = line.text ? line.text.length + 1 : 0;
+        line.text = line.text ? `${line.text} ${text}` : text;
+        line.words.push({
+            text,
+            left: Number(fields[6]),
+            top: Number(fields[7]),
+            width: Number(fields[8]),
+            height: Number(fields[9]),
+            start,
+            end: start + text.length,
+        });
+    }
+    return [...lines.values()];
+}
+
+/**
+ * Recognize the text lines of an image
+ * @param {Buffer} imageBuffer - PNG or JPEG
+ * @returns {Promise<OcrLine[]>}
+ */
+async function recognizeLines(imageBuffer) {
+    const extension = imageBuffer[0] === 0x89 ? 'png' : 'jpg';
+    const imagePath = path.join(os.tmpdir(), `glass-ocr-${crypto.randomUUID()}.${extension}`);
+    await fs.promises.writeFile(imagePath, imageBuffer, { mode: 0o600 });
+    try {
+        const { stdout } = await execFile(TESSERACT_COMMAND, [imagePath, 'stdout', 'tsv'], {
+            timeout: OCR_TIMEOUT_MS,
+            maxBuffer: 32 * 1024 * 1024,
+        });
+        return parseTsv(stdout);
+    } finally {
+        await fs.promises.unlink(imagePath).catch(() => {});
+    }
+}
+
+module.exports = {
+    isOcrAvailable,
+    recognizeLines,
+    parseTsv,
+};
@@ -0,0 +1,87 @@
+// Difference hash (dHash): the screenshot shrunk to HASH_SIZE + 1 by HASH_SIZE grey pixels, one bit per
+// pair of horizontal neighbours (is the left one brighter). Re-encoding, cursor blinks and clock ticks
+// flip a few bits; switching documents, scrolling or a new window flips many.
+const HASH_SIZE = 16;
+const HASH_BITS = HASH_SIZE * HASH_SIZE;
+
+// Screens whose hashes differ in at most this many of the 256 bits count as unchanged
+const SIMILARITY_THRESHOLD = 10;
+
+/**
+ * @param {Electron.NativeImage} image
+ * @returns {string|null} 64 hex characters, null for an empty image
+ */
+function hashImage(image) {
+    if (!image || image.isEmpty()) {
+        return null;
+    }
+    const small = image.resize({ width: HASH_SIZE + 1, height: HASH_SIZE, quality: 'good' });
+    const bitmap = small.toBitmap();
+    const { width } = small.getSize();
+
+    // BGRA to luma
+    const grey = (x, y) => {
+        const offset = (y * width + x) * 4;
+        return 0.114 * bitmap[offset] + 0.587 * bitmap[offset + 1] + 0.299 * bitmap[offset + 2];
+    };
+
+    let hex = '';
+    for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x += 4) {
+            let nibble = 0;
+            for (let bit = 0; bit < 4; bit++) {
+                nibble = (nibble << 1) | (grey(x + bit, y) > grey(x + bit + 1, y) ? 1 : 0);
+            }
+            hex += nibble.toString(16);
+        }
+    }
+    return hex;
+}
+
+/**
+ * @param {string} base64 - PNG or JPEG
+ * @returns {string|null} Null when the image cannot be decoded
+ */
+function hashScreenshot(base64) {
+    try {
+        // Loaded here so the hashing helpers can be required outside Electron
+        const { nativeImage } = require('electron');
+        return hashImage(nativeImage.createFromBuffer(Buffer.from(base64, 'base64')));
+    } catch (error) {
+        console.warn('[PerceptualHash] Could not hash screenshot:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Number of differing bits, or HASH_BITS when either hash is missing
+ */
+function hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return HASH_BITS;
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Whether two screenshot hashes show the same screen, give or take small changes
+ */
+function isSimilar(a, b, threshold = SIMILARITY_THRESHOLD) {
+    return hammingDistance(a, b) <= threshold;
+}
+
+module.exports = {
+    SIMILARITY_THRESHOLD,
+    hashImage,
+    hashScreenshot,
+    hammingDistance,
+    isSimilar,
+};
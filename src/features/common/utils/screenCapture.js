@@ -0,0 +1,160 @@
+const { desktopCapturer, screen, nativeImage } = require('electron');
+const { getActiveWindowBounds } = require('./activeWindow');
+
+/**
+ * Which displays a capture covers:
+ * - focused: the display showing the foreground window (or the mouse pointer when its bounds are unknown)
+ * - all: every display, stitched into one image as they are arranged
+ * - selected: the displays chosen by id, stitched when more than one
+ */
+const CAPTURE_MODES = ['focused', 'all', 'selected'];
+
+// Largest image of a single display; a stitched image may be twice as large
+const DISPLAY_SIZE = { width: 1920, height: 1080 };
+const STITCHED_SIZE = { width: 3840, height: 2160 };
+
+/**
+ * @typedef {object} DisplayInfo
+ * @property {string} id
+ * @property {string} label
+ * @property {boolean} primary
+ * @property {{x: number, y: number, width: number, height: number}} bounds - In DIPs, in the desktop layout
+ * @property {number} scale_factor
+ */
+
+/**
+ * @returns {DisplayInfo}
+ */
+function describeDisplay(display, allDisplays) {
+    const index = allDisplays.findIndex(other => other.id === display.id);
+    return {
+        id: String(display.id),
+        label: display.label || `Display ${index + 1}`,
+        primary: display.id === screen.getPrimaryDisplay().id,
+        bounds: display.bounds,
+        scale_factor: display.scaleFactor,
+    };
+}
+
+/**
+ * @returns {DisplayInfo[]}
+ */
+function listDisplays() {
+    const allDisplays = screen.getAllDisplays();
+    return allDisplays.map(display => describeDisplay(display, allDisplays));
+}
+
+async function getFocusedDisplay() {
+    const bounds = await getActiveWindowBounds();
+    return bounds
+        ? screen.getDisplayMatching(bounds)
+        : screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+}
+
+async function resolveDisplays(mode, displayIds, allDisplays) {
+    if (mode === 'all') {
+        return allDisplays;
+    }
+    if (mode === 'selected') {
+        const ids = displayIds.map(String);
+        const selected = allDisplays.filter(display => ids.includes(String(display.id)));
+        if (selected.length > 0) {
+            return selected;
+        }
+        console.warn('[ScreenCapture] None of the selected displays is connected, capturing the focused one');
+    }
+    const focused = await getFocusedDisplay();
+    return [allDisplays.find(display => display.id === focused.id) || focused];
+}
+
+function fitInto(size, max) {
+    const scale = Math.min(1, max.width / size.width, max.height / size.height);
+    return {
+        width: Math.max(1, Math.round(size.width * scale)),
+        height: Math.max(1, Math.round(size.height * scale)),
+        scale,
+    };
+}
+
+// Sources name the display they show; platforms that leave display_id empty list them in display order
+function sourceFor(display, sources, allDisplays) {
+    return sources.find(source => source.display_id && source.display_id === String(display.id))
+        || sources[allDisplays.findIndex(other => other.id === display.id)]
+        || null;
+}
+
+// Paint every display's image at its place in the layout, on one bitmap. Gaps between displays stay black.
+function stitch(parts, layout) {
+    const canvas = Buffer.alloc(layout.width * layout.height * 4);
+    for (const { image, x, y } of parts) {
+        const { width, height } = image.getSize();
+        const bitmap = image.toBitmap();
+        const rowBytes = Math.min(width, layout.width - x) * 4;
+        for (let row = 0; row < height && y + row < layout.height; row++) {
+            const start = row * width * 4;
+            bitmap.copy(canvas, ((y + row) * layout.width + x) * 4, start, start + rowBytes);
+        }
+    }
+    return nativeImage.createFromBitmap(canvas, { width: layout.width, height: layout.height });
+}
+
+/**
+ * Capture the displays chosen by `mode` into one image
+ * @param {{mode?: 'focused'|'all'|'selected', displayIds?: string[]}} [options]
+ * @returns {Promise<{image: Electron.NativeImage, width: number, height: number, mode: string, displays: DisplayInfo[]}>}
+ */
+async function captureDisplays({ mode = 'focused', displayIds = [] } = {}) {
+    const allDisplays = screen.getAllDisplays();
+    const captureMode = CAPTURE_MODES.includes(mode) ? mode : 'focused';
+    const displays = await resolveDisplays(captureMode, displayIds, allDisplays);
+
+    // Bounding box of the captured displays, scaled to fit the image size
+    const left = Math.min(...displays.map(display => display.bounds.x));
+    const top = Math.min(...displays.map(display => display.bounds.y));
+    const right = Math.max(...displays.map(display => display.bounds.x + display.bounds.width));
+    const bottom = Math.max(...displays.map(display => display.bounds.y + display.bounds.height));
+    const layout = fitInto({ width: right - left, height: bottom - top }, displays.length > 1 ? STITCHED_SIZE : DISPLAY_SIZE);
+    const scaled = (value) => Math.max(1, Math.round(value * layout.scale));
+
+    const sources = await desktopCapturer.getSources({
+        types: ['screen'],
+        thumbnailSize: {
+            width: Math.max(...displays.map(display => scaled(display.bounds.width))),
+            height: Math.max(...displays.map(display => scaled(display.bounds.height)))
+        }
+    });
+
+    const parts = [];
+    for (const display of displays) {
+        const source = sourceFor(display, sources, allDisplays);
+        if (!source || source.thumbnail.isEmpty()) {
+            console.warn(`[ScreenCapture] No capture source for display ${display.id}`);
+            continue;
+        }
+        parts.push({
+            display,
+            image: source.thumbnail.resize({ width: scaled(display.bounds.width), height: scaled(display.bounds.height) }),
+            x: Math.round((display.bounds.x - left) * layout.scale),
+            y: Math.round((display.bounds.y - top) * layout.scale),
+        });
+    }
+    if (parts.length === 0) {
+        throw new Error('No screen sources available');
+    }
+
+    const image = parts.length === 1 ? parts[0].image : stitch(parts, layout);
+    const { width, height } = image.getSize();
+    return {
+        image,
+        width,
+        height,
+        mode: captureMode,
+        displays: parts.map(part => describeDisplay(part.display, allDisplays)),
+    };
+}
+
+module.exports = {
+    CAPTURE_MODES,
+    listDisplays,
+    captureDisplays,
+};
@@ -0,0 +1,39 @@
+// RIFF/WAVE container for 16-bit mono PCM, the format every STT provider accepts for uploads.
+
+/**
+ * @param {number} dataSize - Bytes of PCM that follow the header
+ * @param {number} [sampleRate=16000]
+ * @returns {Buffer} 44-byte header
+ */
+function createWavHeader(dataSize, sampleRate = 16000) {
+    const header = Buffer.alloc(44);
+    const numChannels = 1;
+    const bitsPerSample = 16;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(numChannels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE((sampleRate * numChannels * bitsPerSample) / 8, 28);
+    header.writeUInt16LE((numChannels * bitsPerSample) / 8, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataSize, 40);
+
+    return header;
+}
+
+/**
+ * @param {Buffer} pcm - 16-bit little-endian mono PCM
+ * @param {number} [sampleRate=16000]
+ * @returns {Buffer} A complete .wav file
+ */
+function encodeWav(pcm, sampleRate = 16000) {
+    return Buffer.concat([createWavHeader(pcm.length, sampleRate), pcm]);
+}
+
+module.exports = { createWavHeader, encodeWav };
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const historyRepository = require('./repositories');
+const ollamaService = require('../common/services/ollamaService');
+const { createEmbeddingProvider } = require('../common/ai/embeddings');
+
+const EMBED_BATCH_SIZE = 32;
+// A query reuses the index if it was brought up to date this recently
+const SYNC_FRESHNESS_MS = 60 * 1000;
+const SYNC_INTERVAL_MS = 30 * 60 * 1000;
+const DEFAULT_RESULT_LIMIT = 6;
+const MIN_SCORE = 0.05;
+
+const SOURCE_LABELS = {
+    research_analysis: 'Research analysis',
+    activity: 'Activity',
+    summary: 'Meeting summary'
+};
+
+function contentHash(record) {
+    return crypto.createHash('sha1').update(`${record.title}\n${record.content}\n${record.occurred_at}`).digest('hex');
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * Semantic index over past research analyses, activities and meeting summaries.
+ * Records are embedded locally (an Ollama embedding model when one is installed, otherwise
+ * the built-in hashed vectorizer) and searched by cosine similarity.
+ */
+class HistoryService {
+    constructor() {
+        this.embeddingProvider = null;
+        this.syncPromise = null;
+        this.lastSyncAt = 0;
+        this.syncTimer = null;
+    }
+
+    async initialize() {
+        if (!this.embeddingProvider) {
+            this.embeddingProvider = await this._selectEmbeddingProvider();
+        }
+        console.log(`[HistoryService] Using ${this.embeddingProvider.id} embeddings`);
+
+        if (!this.syncTimer) {
+            this.syncTimer = setInterval(() => {
+                this.syncIndex().catch(error => console.error('[HistoryService] Periodic index sync failed:', error.message));
+            }, SYNC_INTERVAL_MS);
+            this.syncTimer.unref?.();
+        }
+    }
+
+    /**
+     * Swap the embedding backend. Entries embedded by another model are re-embedded on the next sync.
+     * @param {import('../common/ai/embeddings').EmbeddingProvider} provider
+     */
+    setEmbeddingProvider(provider) {
+        this.embeddingProvider = provider;
+        this.lastSyncAt = 0;
+    }
+
+    /**
+     * Bring the index up to date: embed new or changed records, drop records that no longer exist
+     * @returns {Promise<{indexed: number, removed: number, total: number, model: string}>}
+     */
+    async syncIndex() {
+        if (this.syncPromise) return this.syncPromise;
+
+        this.syncPromise = this._syncIndex().finally(() => {
+            this.syncPromise = null;
+        });
+        return this.syncPromise;
+    }
+
+    /**
+     * Find the past records most related to a question
+     * @param {string} query
+     * @param {Object} options - { limit, sources }
+     * @returns {Promise<Array<{source_type, source_id, title, content, occurred_at, score}>>}
+     */
+    async searchHistory(query, { limit = DEFAULT_RESULT_LIMIT, sources = null } = {}) {
+        if (!query || !query.trim()) return [];
+
+        try {
+            return await this._search(query, limit, sources);
+        } catch (error) {
+            if (this.embeddingProvider?.id.startsWith('local')) throw error;
+            // Ollama stopped or the model was removed; the built-in vectorizer always works
+            console.warn(`[HistoryService] ${this.embeddingProvider.id} embeddings failed, using local vectorizer:`, error.message);
+            this.setEmbeddingProvider(createEmbeddingProvider('local'));
+            return this._search(query, limit, sources);
+        }
+    }
+
+    async _search(query, limit, sources) {
+        if (Date.now() - this.lastSyncAt > SYNC_FRESHNESS_MS) {
+            await this.syncIndex();
+        }
+
+        const provider = await this._getEmbeddingProvider();
+        const [queryVector] = await provider.embed([query]);
+        const entries = historyRepository.getEntries(provider.id, sources);
+
+        return entries
+            .map(entry => ({
+                source_type: entry.source_type,
+                source_id: entry.source_id,
+                title: entry.title,
+                content: entry.content,
+                occurred_at: entry.occurred_at,
+                score: Math.round(dot(queryVector, entry.vector) * 1000) / 1000
+            }))
+            .filter(result => result.score >= MIN_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Numbered record list for the "ask my history" prompt. Numbers match the citation markers.
+     */
+    formatRecordsForPrompt(results) {
+        if (results.length === 0) {
+            return 'No matching records were found in the user\'s history.';
+        }
+        return results.map((result, i) => {
+            const when = result.occurred_at ? new Date(result.occurred_at).toLocaleString() : 'unknown date';
+            return `[${i + 1}] ${SOURCE_LABELS[result.source_type]} — "${result.title}" — ${when}\n${result.content}`;
+        }).join('\n\n');
+    }
+
+    formatCitation(result, index) {
+        const when = result.occurred_at ? new Date(result.occurred_at).toLocaleDateString() : 'unknown date';
+        return `[${index + 1}] ${SOURCE_LABELS[result.source_type]}: ${result.title} (${when})`;
+    }
+
+    async _syncIndex() {
+        const provider = await this._getEmbeddingProvider();
+        const records = historyRepository.getSourceRecords();
+        const existing = new Map(historyRepository.getIndexState()
+            .map(entry => [`${entry.source_type}:${entry.source_id}`, entry]));
+
+        const pending = [];
+        for (const record of records) {
+            const key = `${record.source_type}:${record.source_id}`;
+            const hash = contentHash(record);
+            const entry = existing.get(key);
+            existing.delete(key);
+            if (!entry || entry.content_hash !== hash || entry.embedding_model !== provider.id) {
+                pending.push({ ...record, content_hash: hash });
+            }
+        }
+
+        for (let i = 0; i < pending.length; i += EMBED_BATCH_SIZE) {
+            const batch = pending.slice(i, i + EMBED_BATCH_SIZE);
+            const vectors = await provider.embed(batch.map(record => `${record.title}. ${record.content}`));
+            historyRepository.upsertEntries(batch.map((record, j) => ({
+                ...record,
+                embedding_model: provider.id,
+                vector: vectors[j]
+            })));
+        }
+
+        // Whatever is left no longer has a source record
+        const removed = historyRepository.deleteEntries([...existing.values()].map(entry => entry.id));
+
+        this.lastSyncAt = Date.now();
+        if (pending.length > 0 || removed > 0) {
+            console.log(`[HistoryService] Indexed ${pending.length} record(s), removed ${removed}`);
+        }
+        return { indexed: pending.length, removed, total: records.length, model: provider.id };
+    }
+
+    async _getEmbeddingProvider() {
+        if (!this.embeddingProvider) {
+            this.embeddingProvider = await this._selectEmbeddingProvider();
+        }
+        return this.embeddingProvider;
+    }
+
+    async _selectEmbeddingProvider() {
+        try {
+            if (await ollamaService.isServiceRunning()) {
+                const models = await ollamaService.getInstalledModels();
+                const embeddingModel = models.find(model => /embed/i.test(model.name));
+                if (embeddingModel) {
+                    return createEmbeddingProvider('ollama', { model: embeddingModel.name, baseUrl: ollamaService.baseUrl });
+                }
+            }
+        } catch (error) {
+            console.warn('[HistoryService] Ollama embeddings unavailable:', error.message);
+        }
+        return createEmbeddingProvider('local');
+    }
+}
+
+const historyService = new HistoryService();
+module.exports = historyService;
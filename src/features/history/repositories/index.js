@@ -0,0 +1,27 @@
+const sqliteRepository = require('./sqlite.repository');
+const authService = require('../../common/services/authService');
+
+// The history index is built from, and stored in, the local database only
+const historyRepositoryAdapter = {
+    getSourceRecords: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getSourceRecords(uid);
+    },
+    getIndexState: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getIndexState(uid);
+    },
+    upsertEntries: (entries) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.upsertEntries(uid, entries);
+    },
+    deleteEntries: (ids) => {
+        return sqliteRepository.deleteEntries(ids);
+    },
+    getEntries: (embeddingModel, sourceTypes) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getEntries(uid, embeddingModel, sourceTypes);
+    }
+};
+
+module.exports = historyRepositoryAdapter;
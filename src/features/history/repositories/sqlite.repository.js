@@ -0,0 +1,215 @@
+const sqliteClient = require('../../common/services/sqliteClient');
+const { v4: uuidv4 } = require('uuid');
+
+// Long records are cut before embedding; the start of an analysis or summary carries its gist
+const MAX_CONTENT_LENGTH = 2000;
+
+function tableExists(db, name) {
+    return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+}
+
+function parseJson(value, fallback) {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function toIso(value) {
+    if (value === null || value === undefined || value === '') return null;
+    // Unix seconds (conversation tables), milliseconds or ISO strings
+    const date = typeof value === 'number'
+        ? new Date(value < 1e12 ? value * 1000 : value)
+        : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function clip(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return clean.length > MAX_CONTENT_LENGTH ? clean.slice(0, MAX_CONTENT_LENGTH) : clean;
+}
+
+function getResearchAnalysisRecords(db, uid) {
+    if (!tableExists(db, 'research_analysis')) return [];
+
+    const rows = db.prepare(`
+        SELECT a.*, s.title AS session_title
+        FROM research_analysis a
+        LEFT JOIN research_sessions s ON s.id = a.session_id
+        WHERE a.uid = ?
+    `).all(uid);
+
+    return rows.map(row => {
+        const applications = parseJson(row.applications, []);
+        const tags = parseJson(row.tags, []);
+        const parts = [
+            row.session_title,
+            `${row.activity_type || 'unknown'} activity, ${row.focus_quality || 'unknown'} focus, productivity ${row.productivity_score}/10`,
+            applications.length ? `Applications: ${applications.join(', ')}` : null,
+            tags.length ? `Tags: ${tags.join(', ')}` : null,
+            row.raw_analysis
+        ];
+        return {
+            source_type: 'research_analysis',
+            source_id: String(row.id),
+            title: row.session_title || `Research analysis (${row.activity_type || 'unknown'})`,
+            content: clip(parts.filter(Boolean).join('. ')),
+            occurred_at: toIso(row.timestamp)
+        };
+    });
+}
+
+function getActivityRecords(db, uid) {
+    const rows = db.prepare(`
+        SELECT id, title, category, project_name, start_time, duration_ms, metadata
+        FROM activities
+        WHERE uid = ?
+          AND status IS NOT 'planned'
+    `).all(uid);
+
+    const records = [];
+    for (const row of rows) {
+        const metadata = parseJson(row.metadata, {});
+        // Ask queries are questions, not work; indexing them would make questions match themselves
+        if (metadata.session_type === 'ask') continue;
+
+        const parts = [
+            row.title,
+            `Category: ${row.category}`,
+            row.project_name ? `Project: ${row.project_name}` : null,
+            metadata.window?.title && metadata.window.title !== row.title ? `Window: ${metadata.window.title}` : null,
+            metadata.primary_application ? `Application: ${metadata.primary_application}` : null,
+            metadata.description,
+            metadata.insights
+        ];
+        records.push({
+            source_type: 'activity',
+            source_id: row.id,
+            title: row.title,
+            content: clip(parts.filter(Boolean).join('. ')),
+            occurred_at: toIso(row.start_time)
+        });
+    }
+    return records;
+}
+
+function getSummaryRecords(db, uid) {
+    const rows = db.prepare(`
+        SELECT su.*, s.title AS session_title, s.started_at
+        FROM summaries su
+        JOIN sessions s ON s.id = su.session_id
+        WHERE s.uid = ?
+    `).all(uid);
+
+    return rows.map(row => {
+        const bullets = parseJson(row.bullet_json, []);
+        const actions = parseJson(row.action_json, []);
+        const minutes = parseJson(row.minutes_json, null);
+        const parts = [
+            row.tldr,
+            row.text,
+            bullets.length ? `Key points: ${bullets.join('; ')}` : null,
+            actions.length ? `Action items: ${actions.join('; ')}` : null,
+            minutes?.decisions?.length ? `Decisions: ${minutes.decisions.join('; ')}` : null,
+            minutes?.action_items?.length
+                ? `Assigned actions: ${minutes.action_items.map(item => item.owner ? `${item.task} (${item.owner})` : item.task).join('; ')}`
+                : null
+        ];
+        return {
+            source_type: 'summary',
+            source_id: row.session_id,
+            title: row.session_title || 'Meeting summary',
+            content: clip(parts.filter(Boolean).join('. ')),
+            occurred_at: toIso(row.started_at || row.generated_at)
+        };
+    });
+}
+
+const SOURCE_READERS = {
+    research_analysis: getResearchAnalysisRecords,
+    activity: getActivityRecords,
+    summary: getSummaryRecords
+};
+
+/**
+ * Current text of every record that belongs in the history index
+ * @returns {Array<{source_type, source_id, title, content, occurred_at}>}
+ */
+function getSourceRecords(uid) {
+    const db = sqliteClient.getDb();
+    return Object.values(SOURCE_READERS)
+        .flatMap(read => read(db, uid))
+        .filter(record => record.content);
+}
+
+function getIndexState(uid) {
+    const db = sqliteClient.getDb();
+    return db.prepare(`
+        SELECT id, source_type, source_id, content_hash, embedding_model
+        FROM history_embeddings
+        WHERE uid = ?
+    `).all(uid);
+}
+
+function upsertEntries(uid, entries) {
+    const db = sqliteClient.getDb();
+    const now = new Date().toISOString();
+    const stmt = db.prepare(`
+        INSERT INTO history_embeddings (id, uid, source_type, source_id, title, content, occurred_at, content_hash, embedding_model, vector, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(uid, source_type, source_id) DO UPDATE SET
+            title = excluded.title,
+            content = excluded.content,
+            occurred_at = excluded.occurred_at,
+            content_hash = excluded.content_hash,
+            embedding_model = excluded.embedding_model,
+            vector = excluded.vector,
+            created_at = excluded.created_at
+    `);
+
+    db.transaction(() => {
+        for (const entry of entries) {
+            stmt.run(
+                uuidv4(), uid, entry.source_type, entry.source_id, entry.title, entry.content, entry.occurred_at,
+                entry.content_hash, entry.embedding_model,
+                Buffer.from(entry.vector.buffer, entry.vector.byteOffset, entry.vector.byteLength),
+                now
+            );
+        }
+    })();
+}
+
+function deleteEntries(ids) {
+    if (ids.length === 0) return 0;
+    const db = sqliteClient.getDb();
+    const stmt = db.prepare('DELETE FROM history_embeddings WHERE id = ?');
+    let removed = 0;
+    db.transaction(() => {
+        for (const id of ids) removed += stmt.run(id).changes;
+    })();
+    return removed;
+}
+
+function getEntries(uid, embeddingModel, sourceTypes = null) {
+    const db = sqliteClient.getDb();
+    let query = 'SELECT * FROM history_embeddings WHERE uid = ? AND embedding_model = ?';
+    const params = [uid, embeddingModel];
+    if (sourceTypes && sourceTypes.length > 0) {
+        query += ` AND source_type IN (${sourceTypes.map(() => '?').join(',')})`;
+        params.push(...sourceTypes);
+    }
+
+    return db.prepare(query).all(...params).map(row => ({
+        ...row,
+        vector: new Float32Array(row.vector.buffer.slice(row.vector.byteOffset, row.vector.byteOffset + row.vector.byteLength))
+    }));
+}
+
+module.exports = {
+    getSourceRecords,
+    getIndexState,
+    upsertEntries,
+    deleteEntries,
+    getEntries,
+};
@@ -0,0 +1,223 @@
+const sessionRepository = require('../../common/repositories/session');
+const sttRepository = require('../stt/repositories');
+const modelStateService = require('../../common/services/modelStateService');
+const settingsService = require('../../settings/settingsService');
+const { transcribeAudio } = require('../../common/ai/factory');
+const { LocalDiarizer } = require('../../common/ai/diarization/localDiarizer');
+const SummaryService = require('../summary/summaryService');
+const listenService = require('../listenService');
+
+// Recordings arrive decoded to 16 kHz 16-bit mono, what every provider and Whisper model accepts
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+// The settings window decodes the whole file in memory and sends its PCM in one message (115 MB for an
+// hour), so longer recordings are refused there and here
+const MAX_RECORDING_SECONDS = 60 * 60;
+// Audio sent per request. Whisper works in 30 s windows anyway, and providers that return plain text
+// give each transcript the span of its clip. Deepgram timestamps utterances itself and gets the whole
+// recording, at most an hour, so its speaker numbers hold from start to end.
+const CLIP_SECONDS = { deepgram: MAX_RECORDING_SECONDS, default: 30 };
+// Clips are cut at the quietest 100 ms of their last few seconds, not in the middle of a word
+const CUT_SEARCH_SECONDS = 5;
+const CUT_FRAME_SECONDS = 0.1;
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * @param {Buffer|ArrayBuffer|ArrayBufferView} pcm
+ * @returns {Buffer}
+ */
+function toBuffer(pcm) {
+    if (Buffer.isBuffer(pcm)) return pcm;
+    if (pcm instanceof ArrayBuffer) return Buffer.from(pcm);
+    if (ArrayBuffer.isView(pcm)) return Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+    throw new Error('Audio must be 16-bit PCM');
+}
+
+function findQuietestCut(pcm, from, to) {
+    const frameBytes = CUT_FRAME_SECONDS * BYTES_PER_SECOND;
+    let cut = to;
+    let quietest = Infinity;
+    for (let frame = Math.max(from, 0); frame + frameBytes <= to; frame += frameBytes) {
+        let energy = 0;
+        for (let i = frame; i < frame + frameBytes; i += 2) energy += pcm.readInt16LE(i) ** 2;
+        if (energy < quietest) {
+            quietest = energy;
+            cut = frame + frameBytes / 2;
+        }
+    }
+    return cut;
+}
+
+/**
+ * Split a recording into clips of at most maxSeconds
+ * @param {Buffer} pcm
+ * @param {number} maxSeconds
+ * @returns {Array<{start: number, pcm: Buffer}>} start in seconds from the beginning of the recording
+ */
+function splitIntoClips(pcm, maxSeconds) {
+    const maxBytes = Math.floor(maxSeconds * SAMPLE_RATE) * 2;
+    const clips = [];
+    let offset = 0;
+    while (offset < pcm.length) {
+        let end = Math.min(offset + maxBytes, pcm.length);
+        if (end < pcm.length) {
+            end = findQuietestCut(pcm, end - CUT_SEARCH_SECONDS * BYTES_PER_SECOND, end);
+        }
+        clips.push({ start: offset / BYTES_PER_SECOND, pcm: pcm.subarray(offset, end) });
+        offset = end;
+    }
+    return clips;
+}
+
+function titleFromFileName(fileName) {
+    const name = String(fileName || '').replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '').trim();
+    return (name || 'Imported recording').slice(0, MAX_TITLE_LENGTH);
+}
+
+class AudioImportService {
+    constructor() {
+        this.isImporting = false;
+    }
+
+    /**
+     * Transcribe a recording into a finished Listen session, then summarize it like a live one.
+     * The session is only created once transcription succeeds, so a failed import leaves nothing behind.
+     * @param {Object} params
+     * @param {string} params.fileName
+     * @param {Buffer|ArrayBuffer|ArrayBufferView} params.pcm - 16 kHz 16-bit mono PCM
+     * @param {number} [params.sampleRate=16000]
+     * @param {number} [params.startedAt] - When the recording started (ms); defaults to now minus its length
+     * @param {string} [params.language] - Detected from the audio when omitted
+     * @param {function} [params.onProgress] - Called with { stage, progress } as the import advances
+     * @returns {Promise<{sessionId: string, title: string, duration: number, transcripts: number, summarized: boolean, minutes: boolean}>}
+     */
+    async importRecording({ fileName, pcm, sampleRate = SAMPLE_RATE, startedAt = null, language, onProgress = () => {} }) {
+        if (this.isImporting) throw new Error('Another recording is being imported');
+        if (sampleRate !== SAMPLE_RATE) throw new Error(`Audio must be resampled to ${SAMPLE_RATE} Hz`);
+
+        const audio = toBuffer(pcm);
+        const duration = audio.length / BYTES_PER_SECOND;
+        if (audio.length < BYTES_PER_SECOND) throw new Error('The recording is shorter than a second');
+        if (duration > MAX_RECORDING_SECONDS) {
+            throw new Error(`Recordings longer than ${MAX_RECORDING_SECONDS / 60} minutes cannot be imported`);
+        }
+
+        this.isImporting = true;
+        try {
+            const modelInfo = await modelStateService.getCurrentModelInfo('stt');
+            if (!modelInfo || !modelInfo.apiKey) {
+                throw new Error('STT model or API key is not configured.');
+            }
+
+            const title = titleFromFileName(fileName);
+            console.log(`[AudioImport] Transcribing "${title}" (${Math.round(duration)} s) with ${modelInfo.provider}`);
+
+            const utterances = await this._transcribe(audio, modelInfo, language, onProgress);
+            if (utterances.length === 0) throw new Error('No speech was found in the recording');
+
+            onProgress({ stage: 'saving', progress: 1 });
+            const start = Math.floor((startedAt ?? Date.now() - duration * 1000) / 1000);
+            const sessionId = await sessionRepository.createFinished({
+                type: 'listen',
+                title,
+                startedAt: start,
+                endedAt: start + Math.ceil(duration),
+            });
+            for (const utterance of utterances) {
+                await sttRepository.addTranscript({
+                    sessionId,
+                    speaker: utterance.speaker,
+                    speakerId: utterance.speakerId,
+                    text: utterance.text,
+                    startAt: start + Math.floor(utterance.start),
+                    endAt: start + Math.ceil(utterance.end),
+                });
+            }
+
+            onProgress({ stage: 'summarizing', progress: 1 });
+            const { summarized, minutes } = await this._summarize(sessionId, utterances);
+
+            console.log(`[AudioImport] Imported "${title}" as session ${sessionId}: ${utterances.length} transcripts`);
+            onProgress({ stage: 'done', progress: 1, sessionId });
+            return { sessionId, title, duration, transcripts: utterances.length, summarized, minutes };
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    async _transcribe(audio, modelInfo, language, onProgress) {
+        const provider = modelInfo.provider;
+        const diarize = await settingsService.getSpeakerDiarization();
+        const nativeDiarization = provider === 'deepgram';
+        const diarizer = diarize && !nativeDiarization ? new LocalDiarizer({ sampleRate: SAMPLE_RATE }) : null;
+
+        const clips = splitIntoClips(audio, CLIP_SECONDS[provider] || CLIP_SECONDS.default);
+        const utterances = [];
+        let speakerNumber = null;
+
+        for (const [index, clip] of clips.entries()) {
+            onProgress({ stage: 'transcribing', progress: index / clips.length });
+            const result = await transcribeAudio(provider, {
+                apiKey: modelInfo.apiKey,
+                model: modelInfo.model,
+                pcm: clip.pcm,
+                sampleRate: SAMPLE_RATE,
+                language,
+                diarize: diarize && nativeDiarization,
+                usePortkey: provider === 'openai-glass',
+                portkeyVirtualKey: provider === 'openai-glass' ? modelInfo.apiKey : undefined,
+            });
+
+            const clipDuration = clip.pcm.length / BYTES_PER_SECOND;
+            const segments = result.segments?.length
+                ? result.segments
+                : [{ start: 0, end: clipDuration, text: result.text || '' }];
+
+            for (const segment of segments) {
+                const text = segment.text?.trim();
+                if (!text) continue;
+
+                if (diarize) {
+                    // Utterances too short to attribute stay with the previous speaker, as in live sessions
+                    const heard = nativeDiarization
+                        ? segment.speaker
+                        : diarizer.assign(clip.pcm.subarray(Math.floor(segment.start * SAMPLE_RATE) * 2, Math.ceil(segment.end * SAMPLE_RATE) * 2));
+                    if (heard) speakerNumber = heard;
+                }
+                utterances.push({
+                    start: clip.start + segment.start,
+                    end: clip.start + Math.min(segment.end, clipDuration),
+                    text,
+                    speakerId: speakerNumber ? `speaker_${speakerNumber}` : 'them',
+                    speaker: speakerNumber ? `Speaker ${speakerNumber}` : 'Them',
+                });
+            }
+        }
+        onProgress({ stage: 'transcribing', progress: 1 });
+        return utterances;
+    }
+
+    // A failed summary does not fail the import: the transcript is saved and minutes can be regenerated later
+    async _summarize(sessionId, utterances) {
+        let summarized = false;
+        let minutes = false;
+        try {
+            const summaryService = new SummaryService();
+            summaryService.setSessionId(sessionId);
+            summaryService.setTemplate(await listenService.resolveSessionTemplate(sessionId));
+            summarized = Boolean(await summaryService.analyzeRecording(utterances));
+        } catch (error) {
+            console.error(`[AudioImport] Failed to summarize session ${sessionId}:`, error.message);
+        }
+        try {
+            minutes = Boolean(await listenService.generateMinutes(sessionId));
+        } catch (error) {
+            console.error(`[AudioImport] Failed to generate minutes for session ${sessionId}:`, error.message);
+        }
+        return { summarized, minutes };
+    }
+}
+
+const audioImportService = new AudioImportService();
+
+module.exports = audioImportService;
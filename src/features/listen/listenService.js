@@ -4,14 +4,44 @@ const SummaryService = require('./summary/summaryService');
 const authService = require('../common/services/authService');
 const sessionRepository = require('../common/repositories/session');
 const sttRepository = require('./stt/repositories');
+const summaryRepository = require('./summary/repositories');
+const summaryTemplateRepository = require('../common/repositories/summaryTemplate');
+const { validateTemplate, fromRow } = require('./summary/summaryTemplates');
+const { formatMinutesMarkdown, formatMinutesHtml } = require('./summary/meetingMinutes');
 const internalBridge = require('../../bridge/internalBridge');
 
+const MAX_SPEAKER_NAME_LENGTH = 60;
+// Fewer turns than this is a sound check, not a meeting worth minutes
+const MIN_MINUTES_TURNS = 3;
+const MINUTES_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown; charset=utf-8', format: formatMinutesMarkdown },
+    html: { extension: 'html', mimeType: 'text/html; charset=utf-8', format: formatMinutesHtml },
+};
+
+/**
+ * Label used until a speaker is renamed: "Me", "Them", or "Speaker 2" for diarized system audio
+ * @param {string} speakerId - me, them or speaker_<n>
+ */
+function defaultSpeakerName(speakerId) {
+    if (speakerId === 'me') return 'Me';
+    const match = /^speaker_(\d+)$/.exec(speakerId);
+    return match ? `Speaker ${match[1]}` : 'Them';
+}
+
+// SQLite stores epoch seconds, Firestore a Timestamp
+function toEpochSeconds(value) {
+    if (!value) return null;
+    return typeof value.toMillis === 'function' ? Math.floor(value.toMillis() / 1000) : value;
+}
+
 class ListenService {
     constructor() {
         this.sttService = new SttService();
         this.summaryService = new SummaryService();
         this.currentSessionId = null;
         this.isInitializingSession = false;
+        // speaker_id -> name chosen by the user for the current session
+        this.speakerNames = new Map();
 
         this.setupServiceCallbacks();
         console.log('[ListenService] Service instance created.');
@@ -20,12 +50,13 @@ class ListenService {
     setupServiceCallbacks() {
         // STT service callbacks
         this.sttService.setCallbacks({
-            onTranscriptionComplete: (speaker, text) => {
-                this.handleTranscriptionComplete(speaker, text);
+            onTranscriptionComplete: (speaker, text, speakerId) => {
+                this.handleTranscriptionComplete(speaker, text, speakerId);
             },
             onStatusUpdate: (status) => {
                 this.sendToRenderer('update-status', status);
-            }
+            },
+            resolveSpeakerName: (speakerId) => this.getSpeakerName(speakerId)
         });
 
         // Summary service callbacks
@@ -98,17 +129,80 @@ class ListenService {
         }
     }
 
-    async handleTranscriptionComplete(speaker, text) {
-        console.log(`[ListenService] Transcription complete: ${speaker} - ${text}`);
+    /**
+     * @param {string} speaker - 'Me' or 'Them'
+     * @param {string} text
+     * @param {string|null} speakerId - speaker_<n> when the system audio was diarized
+     */
+    async handleTranscriptionComplete(speaker, text, speakerId = null) {
+        const id = speakerId || speaker.toLowerCase();
+        const name = this.getSpeakerName(id);
+        console.log(`[ListenService] Transcription complete: ${name} - ${text}`);
         
         // Save to database
-        await this.saveConversationTurn(speaker, text);
+        await this.saveConversationTurn(name, text, id);
         
         // Add to summary service for analysis
-        this.summaryService.addConversationTurn(speaker, text);
+        this.summaryService.addConversationTurn(name, text, id);
+    }
+
+    getSpeakerName(speakerId) {
+        return this.speakerNames.get(speakerId) || defaultSpeakerName(speakerId);
+    }
+
+    /**
+     * Speakers of a session with their current names
+     * @param {string} [sessionId] - Defaults to the active Listen session
+     * @returns {Promise<Array<{speaker_id: string, name: string, renamed: boolean}>>}
+     */
+    async getSpeakers(sessionId = this.currentSessionId) {
+        if (!sessionId) return [];
+
+        const [renamed, transcripts] = await Promise.all([
+            sttRepository.getSpeakers(sessionId),
+            sttRepository.getAllTranscriptsBySessionId(sessionId),
+        ]);
+        const names = new Map(renamed.map(speaker => [speaker.speaker_id, speaker.name]));
+        const speakerIds = new Set(renamed.map(speaker => speaker.speaker_id));
+        for (const transcript of transcripts) {
+            speakerIds.add(transcript.speaker_id || (transcript.speaker?.toLowerCase() === 'me' ? 'me' : 'them'));
+        }
+        speakerIds.delete('me');
+
+        return [...speakerIds].sort().map(speakerId => ({
+            speaker_id: speakerId,
+            name: names.get(speakerId) || defaultSpeakerName(speakerId),
+            renamed: names.has(speakerId),
+        }));
+    }
+
+    /**
+     * Name a speaker for one session. Saved transcripts are relabeled and, for the
+     * live session, later summaries use the new name.
+     * @param {string} speakerId - them or speaker_<n>; "Me" is always the user
+     * @param {string} name
+     * @param {string} [sessionId] - Defaults to the active Listen session
+     */
+    async renameSpeaker(speakerId, name, sessionId = this.currentSessionId) {
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_SPEAKER_NAME_LENGTH) : '';
+        if (!sessionId) throw new Error('No session to rename speakers in');
+        if (!trimmed) throw new Error('Speaker name is required');
+        if (speakerId !== 'them' && !/^speaker_\d+$/.test(speakerId)) {
+            throw new Error(`Cannot rename speaker: ${speakerId}`);
+        }
+
+        const { updated } = await sttRepository.renameSpeaker({ sessionId, speakerId, name: trimmed });
+        console.log(`[ListenService] Renamed ${speakerId} to "${trimmed}" in session ${sessionId} (${updated} transcripts)`);
+
+        if (sessionId === this.currentSessionId) {
+            this.speakerNames.set(speakerId, trimmed);
+            this.summaryService.renameSpeaker(speakerId, trimmed);
+            this.sendToRenderer('listen:speakerRenamed', { speakerId, name: trimmed });
+        }
+        return { success: true, speakerId, name: trimmed, updated };
     }
 
-    async saveConversationTurn(speaker, transcription) {
+    async saveConversationTurn(speaker, transcription, speakerId = null) {
         if (!this.currentSessionId) {
             console.error('[DB] Cannot save turn, no active session ID.');
             return;
@@ -120,6 +214,7 @@ class ListenService {
             await sttRepository.addTranscript({
                 sessionId: this.currentSessionId,
                 speaker: speaker,
+                speakerId: speakerId,
                 text: transcription.trim(),
             });
             console.log(`[DB] Saved transcript for session ${this.currentSessionId}: (${speaker})`);
@@ -141,8 +236,13 @@ class ListenService {
             this.currentSessionId = await sessionRepository.getOrCreateActive('listen');
             console.log(`[DB] New listen session ensured: ${this.currentSessionId}`);
 
+            // Names given to speakers earlier in this session still apply
+            const speakers = await sttRepository.getSpeakers(this.currentSessionId);
+            this.speakerNames = new Map(speakers.map(speaker => [speaker.speaker_id, speaker.name]));
+
             // Set session ID for summary service
             this.summaryService.setSessionId(this.currentSessionId);
+            this.summaryService.setTemplate(await this.resolveSessionTemplate(this.currentSessionId));
             
             // Reset conversation history
             this.summaryService.resetConversationHistory();
@@ -180,10 +280,12 @@ class ListenService {
             const MAX_RETRY = 10;
             const RETRY_DELAY_MS = 300;   // 0.3 seconds
 
+            const diarize = await this._isDiarizationEnabled();
+
             let sttReady = false;
             for (let attempt = 1; attempt <= MAX_RETRY; attempt++) {
                 try {
-                    await this.sttService.initializeSttSessions(language);
+                    await this.sttService.initializeSttSessions(language, { diarize });
                     sttReady = true;
                     break;                         // Exit on success
                 } catch (err) {
@@ -242,13 +344,20 @@ class ListenService {
             await this.stopMacOSAudioCapture();
 
             // End database session
-            if (this.currentSessionId) {
-                await sessionRepository.end(this.currentSessionId);
-                console.log(`[DB] Session ${this.currentSessionId} ended.`);
+            const sessionId = this.currentSessionId;
+            if (sessionId) {
+                await sessionRepository.end(sessionId);
+                console.log(`[DB] Session ${sessionId} ended.`);
+
+                // Minutes take a few model calls; stopping shouldn't wait for them
+                this.generateMinutes(sessionId).catch(error => {
+                    console.error(`[ListenService] Failed to generate minutes for session ${sessionId}:`, error.message);
+                });
             }
 
             // Reset state
             this.currentSessionId = null;
+            this.speakerNames = new Map();
             this.summaryService.resetConversationHistory();
 
             console.log('Listen service session closed.');
@@ -259,6 +368,194 @@ class ListenService {
         }
     }
 
+    /**
+     * Write the final minutes of a meeting from its saved transcript. Runs when a session is
+     * stopped and can be repeated, e.g. after renaming speakers.
+     * @param {string} sessionId
+     * @returns {Promise<import('./summary/meetingMinutes').MeetingMinutes|null>} null for meetings too short to summarize
+     */
+    async generateMinutes(sessionId) {
+        const transcripts = await sttRepository.getAllTranscriptsBySessionId(sessionId);
+        if (transcripts.length < MIN_MINUTES_TURNS) {
+            console.log(`[ListenService] Skipping minutes for session ${sessionId}: only ${transcripts.length} transcript(s)`);
+            return null;
+        }
+
+        const session = await sessionRepository.getById(sessionId);
+        const startedAt = toEpochSeconds(session?.started_at);
+        return this.summaryService.generateMinutes({
+            sessionId,
+            transcripts,
+            meetingDate: startedAt ? startedAt * 1000 : null,
+        });
+    }
+
+    /**
+     * @param {string} sessionId
+     * @returns {Promise<{session_id: string, generated_at: number|null, minutes: Object}|null>}
+     */
+    async getMinutes(sessionId) {
+        const summary = await summaryRepository.getSummaryBySessionId(sessionId);
+        if (!summary?.minutes_json) return null;
+
+        return {
+            session_id: sessionId,
+            generated_at: toEpochSeconds(summary.minutes_generated_at),
+            minutes: JSON.parse(summary.minutes_json),
+        };
+    }
+
+    /**
+     * Render saved minutes as a downloadable document
+     * @param {string} sessionId
+     * @param {'markdown'|'html'} [format]
+     * @returns {Promise<{filename: string, mimeType: string, content: string}>}
+     */
+    async exportMinutes(sessionId, format = 'markdown') {
+        const exporter = MINUTES_FORMATS[format];
+        if (!exporter) {
+            throw new Error(`Unsupported minutes format: ${format}. Use markdown or html`);
+        }
+        const record = await this.getMinutes(sessionId);
+        if (!record) {
+            throw new Error('No minutes have been generated for this session');
+        }
+
+        const session = await sessionRepository.getById(sessionId);
+        const startedAt = toEpochSeconds(session?.started_at);
+        const meeting = { title: session?.title || 'Meeting', date: startedAt ? startedAt * 1000 : null };
+        const day = new Date(meeting.date || Date.now()).toISOString().split('T')[0];
+        return {
+            filename: `minutes-${day}.${exporter.extension}`,
+            mimeType: exporter.mimeType,
+            content: exporter.format(record.minutes, meeting),
+        };
+    }
+
+    /**
+     * Built-in defaults and the user's own templates, with the one the current session uses
+     * @returns {Promise<{templates: Array<import('./summary/summaryTemplates').SummaryTemplate>, selectedId: string|null}>}
+     */
+    async getSummaryTemplates() {
+        const rows = await summaryTemplateRepository.getTemplates();
+        const templates = [];
+        for (const row of rows) {
+            try {
+                templates.push(fromRow(row));
+            } catch (error) {
+                console.warn(`[ListenService] Skipping unreadable summary template ${row.id}:`, error.message);
+            }
+        }
+        const selectedId = this.currentSessionId
+            ? this.summaryService.getTemplate()?.id || null
+            : await this._getDefaultSummaryTemplateId();
+        return { templates, selectedId };
+    }
+
+    /**
+     * Choose the template for the current session and the ones after it. An ongoing
+     * conversation is summarized again right away in the new shape.
+     * @param {string|null} templateId - null for the built-in format
+     */
+    async setSummaryTemplate(templateId) {
+        const template = templateId ? await this._loadTemplate(templateId) : null;
+        if (templateId && !template) throw new Error(`Summary template not found: ${templateId}`);
+
+        await this._saveDefaultSummaryTemplateId(template?.id || null);
+        if (!this.currentSessionId) return { success: true, templateId: template?.id || null };
+
+        await sessionRepository.setSummaryTemplate(this.currentSessionId, template?.id || null);
+        this.summaryService.setTemplate(template);
+        console.log(`[ListenService] Session ${this.currentSessionId} now uses summary template: ${template?.title || 'built-in'}`);
+
+        const history = this.summaryService.getConversationHistory();
+        if (history.length > 0) {
+            const data = await this.summaryService.makeOutlineAndRequests(history);
+            if (data) this.sendToRenderer('summary-update', data);
+        }
+        return { success: true, templateId: template?.id || null };
+    }
+
+    async createSummaryTemplate(template) {
+        const { title, instructions, sections } = validateTemplate(template);
+        const result = await summaryTemplateRepository.create({ title, instructions, sections_json: JSON.stringify(sections) });
+        this.sendToRenderer('listen:summaryTemplatesUpdated', { action: 'created', id: result.id });
+        return { success: true, id: result.id };
+    }
+
+    async updateSummaryTemplate(id, template) {
+        const { title, instructions, sections } = validateTemplate(template);
+        await summaryTemplateRepository.update(id, { title, instructions, sections_json: JSON.stringify(sections) });
+
+        // The session picks up edits with its next analysis
+        if (this.summaryService.getTemplate()?.id === id) {
+            this.summaryService.setTemplate(await this._loadTemplate(id));
+        }
+        this.sendToRenderer('listen:summaryTemplatesUpdated', { action: 'updated', id });
+        return { success: true };
+    }
+
+    async deleteSummaryTemplate(id) {
+        await summaryTemplateRepository.delete(id);
+
+        if (await this._getDefaultSummaryTemplateId() === id) {
+            await this._saveDefaultSummaryTemplateId(null);
+        }
+        if (this.currentSessionId && this.summaryService.getTemplate()?.id === id) {
+            await sessionRepository.setSummaryTemplate(this.currentSessionId, null);
+            this.summaryService.setTemplate(null);
+        }
+        this.sendToRenderer('listen:summaryTemplatesUpdated', { action: 'deleted', id });
+        return { success: true };
+    }
+
+    /**
+     * The template a session was summarized with, or for a new session the default one,
+     * which is then recorded on the session
+     */
+    async resolveSessionTemplate(sessionId) {
+        try {
+            const session = await sessionRepository.getById(sessionId);
+            let templateId = session?.summary_template_id || null;
+            if (!templateId) {
+                templateId = await this._getDefaultSummaryTemplateId();
+                if (templateId) await sessionRepository.setSummaryTemplate(sessionId, templateId);
+            }
+            return templateId ? await this._loadTemplate(templateId) : null;
+        } catch (error) {
+            console.warn('[ListenService] Could not load summary template, using the built-in format:', error.message);
+            return null;
+        }
+    }
+
+    async _loadTemplate(templateId) {
+        const row = await summaryTemplateRepository.getById(templateId);
+        return row ? fromRow(row) : null;
+    }
+
+    async _getDefaultSummaryTemplateId() {
+        // Lazy require: settingsService pulls in the window manager
+        const settingsService = require('../settings/settingsService');
+        return settingsService.getDefaultSummaryTemplate();
+    }
+
+    async _saveDefaultSummaryTemplateId(templateId) {
+        const settingsService = require('../settings/settingsService');
+        const result = await settingsService.setDefaultSummaryTemplate(templateId);
+        if (!result.success) throw new Error(result.error);
+    }
+
+    async _isDiarizationEnabled() {
+        try {
+            // Lazy require: settingsService pulls in the window manager
+            const settingsService = require('../settings/settingsService');
+            return await settingsService.getSpeakerDiarization();
+        } catch (error) {
+            console.warn('[ListenService] Could not read speaker diarization setting:', error.message);
+            return false;
+        }
+    }
+
     getCurrentSessionData() {
         return {
             sessionId: this.currentSessionId,
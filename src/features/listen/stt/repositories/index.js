@@ -1,22 +1,20 @@
 const sqliteRepository = require('./sqlite.repository');
-const firebaseRepository = require('./firebase.repository');
 const authService = require('../../../common/services/authService');
 
-function getBaseRepository() {
-    const user = authService.getCurrentUser();
-    if (user && user.isLoggedIn) {
-        return firebaseRepository;
-    }
-    return sqliteRepository;
-}
-
+// Always written locally; syncService mirrors these rows to Firestore for signed-in users
 const sttRepositoryAdapter = {
-    addTranscript: ({ sessionId, speaker, text }) => {
+    addTranscript: ({ sessionId, speaker, speakerId, text, startAt, endAt }) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().addTranscript({ uid, sessionId, speaker, text });
+        return sqliteRepository.addTranscript({ uid, sessionId, speaker, speakerId, text, startAt, endAt });
     },
     getAllTranscriptsBySessionId: (sessionId) => {
-        return getBaseRepository().getAllTranscriptsBySessionId(sessionId);
+        return sqliteRepository.getAllTranscriptsBySessionId(sessionId);
+    },
+    getSpeakers: (sessionId) => {
+        return sqliteRepository.getSpeakers(sessionId);
+    },
+    renameSpeaker: ({ sessionId, speakerId, name }) => {
+        return sqliteRepository.renameSpeaker({ sessionId, speakerId, name });
     }
 };
 
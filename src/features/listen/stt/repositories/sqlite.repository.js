@@ -1,14 +1,15 @@
 const sqliteClient = require('../../../common/services/sqliteClient');
 
-function addTranscript({ uid, sessionId, speaker, text }) {
+// startAt/endAt (epoch seconds) are given for transcripts of recordings; live ones start now
+function addTranscript({ uid, sessionId, speaker, speakerId = null, text, startAt = null, endAt = null }) {
     // uid is ignored in the SQLite implementation
     const db = sqliteClient.getDb();
     const transcriptId = require('crypto').randomUUID();
     const now = Math.floor(Date.now() / 1000);
-    const query = `INSERT INTO transcripts (id, session_id, start_at, speaker, text, created_at) VALUES (?, ?, ?, ?, ?, ?)`;
+    const query = `INSERT INTO transcripts (id, session_id, start_at, end_at, speaker, speaker_id, text, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
     
     try {
-        db.prepare(query).run(transcriptId, sessionId, now, speaker, text, now);
+        db.prepare(query).run(transcriptId, sessionId, startAt ?? now, endAt, speaker, speakerId, text, now);
         return { id: transcriptId };
     } catch (err) {
         console.error('Error adding transcript:', err);
@@ -22,7 +23,34 @@ function getAllTranscriptsBySessionId(sessionId) {
     return db.prepare(query).all(sessionId);
 }
 
+function getSpeakers(sessionId) {
+    const db = sqliteClient.getDb();
+    return db.prepare("SELECT speaker_id, name FROM session_speakers WHERE session_id = ? ORDER BY speaker_id").all(sessionId);
+}
+
+function renameSpeaker({ sessionId, speakerId, name }) {
+    const db = sqliteClient.getDb();
+    const now = Math.floor(Date.now() / 1000);
+
+    let updated = 0;
+    db.transaction(() => {
+        db.prepare(`
+            INSERT INTO session_speakers (session_id, speaker_id, name, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(session_id, speaker_id) DO UPDATE SET name = excluded.name, updated_at = excluded.updated_at
+        `).run(sessionId, speakerId, name, now);
+        // Transcripts saved before speaker ids existed only carry the "Them" label
+        updated = db.prepare(`
+            UPDATE transcripts SET speaker = ?, speaker_id = ?
+            WHERE session_id = ? AND (speaker_id = ? OR (speaker_id IS NULL AND LOWER(speaker) = ?))
+        `).run(name, speakerId, sessionId, speakerId, speakerId).changes;
+    })();
+
+    return { updated };
+}
+
 module.exports = {
     addTranscript,
     getAllTranscriptsBySessionId,
+    getSpeakers,
+    renameSpeaker,
 }; 
\ No newline at end of file
@@ -20,6 +20,13 @@ const SESSION_RENEW_INTERVAL_MS = 20 * 60 * 1000; // 20 minutes
 // miss any packets at the exact swap moment.
 const SOCKET_OVERLAP_MS = 2 * 1000; // 2 seconds
 
+// ── Speaker diarization (system audio only; the mic is always "Me") ───────────
+// Providers that label speakers in their own results. The rest are diarized locally.
+// Deepgram numbers speakers per socket, so labels can shift after a session renewal.
+const NATIVE_DIARIZATION_PROVIDERS = ['deepgram'];
+// Most system audio kept for attributing the current utterance (24 kHz, 16-bit mono)
+const MAX_DIARIZATION_AUDIO_BYTES = 24000 * 2 * 30;
+
 class SttService {
     constructor() {
         this.mySttSession = null;
@@ -40,16 +47,25 @@ class SttService {
         this.keepAliveInterval = null;
         this.sessionRenewTimeout = null;
 
+        // Speaker diarization
+        this.diarize = false;
+        this.theirDiarizer = null;
+        this.theirAudioChunks = [];
+        this.theirAudioBytes = 0;
+        this.theirSpeakerId = null;
+
         // Callbacks
         this.onTranscriptionComplete = null;
         this.onStatusUpdate = null;
+        this.resolveSpeakerName = null;
 
         this.modelInfo = null; 
     }
 
-    setCallbacks({ onTranscriptionComplete, onStatusUpdate }) {
+    setCallbacks({ onTranscriptionComplete, onStatusUpdate, resolveSpeakerName }) {
         this.onTranscriptionComplete = onTranscriptionComplete;
         this.onStatusUpdate = onStatusUpdate;
+        this.resolveSpeakerName = resolveSpeakerName;
     }
 
     sendToRenderer(channel, data) {
@@ -103,15 +119,19 @@ class SttService {
     flushTheirCompletion() {
         const finalText = (this.theirCompletionBuffer + this.theirCurrentUtterance).trim();
         if (!this.modelInfo || !finalText) return;
+
+        const speakerId = this._identifyTheirSpeaker();
         
         // Notify completion callback
         if (this.onTranscriptionComplete) {
-            this.onTranscriptionComplete('Them', finalText);
+            this.onTranscriptionComplete('Them', finalText, speakerId);
         }
         
         // Send to renderer as final
         this.sendToRenderer('stt-update', {
             speaker: 'Them',
+            speakerId,
+            speakerName: speakerId && this.resolveSpeakerName ? this.resolveSpeakerName(speakerId) : null,
             text: finalText,
             isPartial: false,
             isFinal: true,
@@ -149,7 +169,60 @@ class SttService {
         this.theirCompletionTimer = setTimeout(() => this.flushTheirCompletion(), COMPLETION_DEBOUNCE_MS);
     }
 
-    async initializeSttSessions(language = 'en') {
+    /**
+     * Attribute the pending system-audio utterance to a speaker
+     * @returns {string|null} speaker_<n>, or null when diarization is off or nobody was identified yet
+     * @private
+     */
+    _identifyTheirSpeaker() {
+        if (!this.diarize) return null;
+
+        // Locally diarized providers: match the audio heard since the last utterance
+        if (this.theirAudioChunks.length > 0) {
+            const audio = Buffer.concat(this.theirAudioChunks);
+            this.theirAudioChunks = [];
+            this.theirAudioBytes = 0;
+            const speaker = this.theirDiarizer.assign(audio);
+            if (speaker) this.theirSpeakerId = `speaker_${speaker}`;
+        }
+        // Too little audio to tell: assume the previous speaker is still talking
+        return this.theirSpeakerId;
+    }
+
+    /**
+     * A provider reported who is speaking. Text already buffered belongs to the previous speaker.
+     * @private
+     */
+    _setTheirSpeaker(speakerId) {
+        if (this.theirSpeakerId && speakerId !== this.theirSpeakerId && (this.theirCompletionBuffer || this.theirCurrentUtterance)) {
+            if (this.theirCompletionTimer) clearTimeout(this.theirCompletionTimer);
+            this.flushTheirCompletion();
+        }
+        this.theirSpeakerId = speakerId;
+    }
+
+    /**
+     * Keep system audio for the local diarizer, unless the provider diarizes (Deepgram)
+     * or attributes each chunk itself (Whisper)
+     * @private
+     */
+    _recordTheirAudio(base64Data) {
+        if (!this.theirDiarizer || this.modelInfo?.provider === 'whisper') return;
+
+        const chunk = Buffer.from(base64Data, 'base64');
+        this.theirAudioChunks.push(chunk);
+        this.theirAudioBytes += chunk.length;
+        while (this.theirAudioBytes > MAX_DIARIZATION_AUDIO_BYTES && this.theirAudioChunks.length > 1) {
+            this.theirAudioBytes -= this.theirAudioChunks.shift().length;
+        }
+    }
+
+    /**
+     * @param {string} language
+     * @param {object} [options]
+     * @param {boolean} [options.diarize=false] - Tell system-audio speakers apart ("Speaker 1", "Speaker 2", ...)
+     */
+    async initializeSttSessions(language = 'en', { diarize = false } = {}) {
         const effectiveLanguage = process.env.OPENAI_TRANSCRIBE_LANG || language || 'en';
 
         const modelInfo = await modelStateService.getCurrentModelInfo('stt');
@@ -159,6 +232,16 @@ class SttService {
         this.modelInfo = modelInfo;
         console.log(`[SttService] Initializing STT for ${modelInfo.provider} using model ${modelInfo.model}`);
 
+        this.diarize = diarize;
+        const nativeDiarization = NATIVE_DIARIZATION_PROVIDERS.includes(modelInfo.provider);
+        // Kept across session renewals so speaker numbers stay stable for the whole meeting
+        if (diarize && !nativeDiarization && !this.theirDiarizer) {
+            this.theirDiarizer = require('../../common/services/whisperService').createDiarizer();
+        }
+        if (diarize) {
+            console.log(`[SttService] Speaker diarization: ${nativeDiarization ? modelInfo.provider : 'local'}`);
+        }
+
         const handleMyMessage = message => {
             if (!this.modelInfo) {
                 console.log('[SttService] Ignoring message - session already closed');
@@ -333,6 +416,9 @@ class SttService {
                     
                     // Only process if it's not noise, not a false positive, and has meaningful content
                     if (!isNoise && finalText.length > 2) {
+                        if (message.speaker) {
+                            this._setTheirSpeaker(`speaker_${message.speaker}`);
+                        }
                         this.debounceTheirCompletion(finalText);
                         
                         this.sendToRenderer('stt-update', {
@@ -386,6 +472,10 @@ class SttService {
                 const isFinal = message.is_final;
 
                 if (isFinal) {
+                    const speaker = this.diarize ? dominantSpeaker(message.channel.alternatives[0].words) : null;
+                    if (speaker !== null) {
+                        this._setTheirSpeaker(`speaker_${speaker + 1}`);
+                    }
                     this.theirCurrentUtterance = ''; 
                     this.debounceTheirCompletion(text); 
                 } else {
@@ -463,7 +553,13 @@ class SttService {
 
         // Add sessionType for Whisper to distinguish between My and Their sessions
         const myOptions = { ...sttOptions, callbacks: mySttConfig.callbacks, sessionType: 'my' };
-        const theirOptions = { ...sttOptions, callbacks: theirSttConfig.callbacks, sessionType: 'their' };
+        const theirOptions = {
+            ...sttOptions,
+            callbacks: theirSttConfig.callbacks,
+            sessionType: 'their',
+            diarize: diarize && nativeDiarization,
+            diarizer: this.theirDiarizer,
+        };
 
         [this.mySttSession, this.theirSttSession] = await Promise.all([
             createSTT(this.modelInfo.provider, myOptions),
@@ -483,7 +579,7 @@ class SttService {
         this.sessionRenewTimeout = setTimeout(async () => {
             try {
                 console.log('[SttService] Auto-renewing STT sessions…');
-                await this.renewSessions(language);
+                await this.renewSessions(language, { diarize });
             } catch (err) {
                 console.error('[SttService] Failed to renew STT sessions:', err);
             }
@@ -514,7 +610,7 @@ class SttService {
      * Gracefully tears down then recreates the STT sessions. Should be invoked
      * on a timer to avoid provider-side hard timeouts.
      */
-    async renewSessions(language = 'en') {
+    async renewSessions(language = 'en', options = {}) {
         if (!this.isSessionActive()) {
             console.warn('[SttService] renewSessions called but no active session.');
             return;
@@ -529,7 +625,7 @@ class SttService {
         // language and handlers. The method will update the session pointers
         // and timers, but crucially it does NOT touch the system audio capture
         // pipeline, so audio continues flowing uninterrupted.
-        await this.initializeSttSessions(language);
+        await this.initializeSttSessions(language, options);
 
         // Close the old sessions after a short overlap window.
         setTimeout(() => {
@@ -594,6 +690,7 @@ class SttService {
             payload = data;
         }
 
+        this._recordTheirAudio(data);
         await this.theirSttSession.sendRealtimeInput(payload);
     }
 
@@ -682,6 +779,7 @@ class SttService {
                 const base64Data = monoChunk.toString('base64');
 
                 this.sendToRenderer('system-audio-data', { data: base64Data });
+                this._recordTheirAudio(base64Data);
 
                 if (this.theirSttSession) {
                     try {
@@ -784,8 +882,32 @@ class SttService {
         this.theirCurrentUtterance = '';
         this.myCompletionBuffer = '';
         this.theirCompletionBuffer = '';
+        this.diarize = false;
+        this.theirDiarizer = null;
+        this.theirAudioChunks = [];
+        this.theirAudioBytes = 0;
+        this.theirSpeakerId = null;
         this.modelInfo = null; 
     }
 }
 
+/**
+ * Speaker index Deepgram attributed most words of a result to
+ * @param {Array<{speaker?: number}>} words
+ * @returns {number|null}
+ */
+function dominantSpeaker(words = []) {
+    const counts = new Map();
+    for (const word of words) {
+        if (typeof word.speaker === 'number') {
+            counts.set(word.speaker, (counts.get(word.speaker) || 0) + 1);
+        }
+    }
+    let dominant = null;
+    for (const [speaker, count] of counts) {
+        if (dominant === null || count > counts.get(dominant)) dominant = speaker;
+    }
+    return dominant;
+}
+
 module.exports = SttService; 
\ No newline at end of file
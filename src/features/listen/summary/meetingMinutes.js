@@ -0,0 +1,251 @@
+// Meeting minutes: transcript chunking, the schema and merging of model output, and export formats.
+// Kept free of model calls so the shape of the minutes can be checked and rendered anywhere.
+
+// Roughly 6k tokens of transcript per request, leaving room for the prompt and the answer
+const MINUTES_CHUNK_CHARS = 24000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const SECTIONS = [
+    ['attendees', 'Attendees'],
+    ['decisions', 'Decisions'],
+    ['action_items', 'Action Items'],
+    ['open_questions', 'Open Questions'],
+];
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+// Shape the model is asked for; normalizeMinutes still cleans up what it returns
+const MINUTES_SCHEMA = {
+    type: 'object',
+    properties: {
+        attendees: STRING_LIST,
+        decisions: STRING_LIST,
+        action_items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    task: { type: 'string' },
+                    owner: { type: ['string', 'null'] },
+                    due_date: { type: ['string', 'null'], description: 'YYYY-MM-DD' },
+                },
+                required: ['task', 'owner', 'due_date'],
+                additionalProperties: false,
+            },
+        },
+        open_questions: STRING_LIST,
+    },
+    required: ['attendees', 'decisions', 'action_items', 'open_questions'],
+    additionalProperties: false,
+};
+
+/**
+ * @typedef {Object} ActionItem
+ * @property {string} task
+ * @property {string|null} owner
+ * @property {string|null} due_date - YYYY-MM-DD
+ *
+ * @typedef {Object} MeetingMinutes
+ * @property {string[]} attendees
+ * @property {string[]} decisions
+ * @property {ActionItem[]} action_items
+ * @property {string[]} open_questions
+ */
+
+/**
+ * "Speaker: text" lines grouped into chunks that each fit one request.
+ * Lines are never split unless a single line is longer than a chunk.
+ * @param {Array<{speaker?: string, text: string}>} transcripts
+ * @param {number} [maxChars]
+ * @returns {string[]}
+ */
+function chunkTranscript(transcripts, maxChars = MINUTES_CHUNK_CHARS) {
+    const chunks = [];
+    let current = '';
+    for (const transcript of transcripts) {
+        const text = transcript.text?.trim();
+        if (!text) continue;
+
+        let line = `${transcript.speaker || 'Them'}: ${text}`;
+        while (line.length > maxChars) {
+            if (current) chunks.push(current);
+            current = '';
+            chunks.push(line.slice(0, maxChars));
+            line = line.slice(maxChars);
+        }
+        if (current && current.length + line.length + 1 > maxChars) {
+            chunks.push(current);
+            current = '';
+        }
+        current += (current ? '\n' : '') + line;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+function cleanString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function uniqueStrings(values) {
+    const seen = new Set();
+    const result = [];
+    for (const value of Array.isArray(values) ? values : []) {
+        const text = cleanString(value);
+        if (text && !seen.has(text.toLowerCase())) {
+            seen.add(text.toLowerCase());
+            result.push(text);
+        }
+    }
+    return result;
+}
+
+/**
+ * Coerce model output into MeetingMinutes, dropping anything malformed
+ * @returns {MeetingMinutes}
+ */
+function normalizeMinutes(raw = {}) {
+    const actionItems = new Map();
+    for (const item of Array.isArray(raw.action_items) ? raw.action_items : []) {
+        const task = cleanString(typeof item === 'string' ? item : item?.task);
+        if (!task) continue;
+
+        const owner = cleanString(item?.owner);
+        const dueDate = cleanString(item?.due_date);
+        const normalized = {
+            task,
+            owner: owner && owner.toLowerCase() !== 'null' ? owner : null,
+            due_date: ISO_DATE.test(dueDate) ? dueDate : null,
+        };
+        // The same task from two chunks keeps whichever copy says more
+        const key = task.toLowerCase();
+        const existing = actionItems.get(key);
+        actionItems.set(key, existing ? {
+            task: existing.task,
+            owner: existing.owner || normalized.owner,
+            due_date: existing.due_date || normalized.due_date,
+        } : normalized);
+    }
+
+    return {
+        attendees: uniqueStrings(raw.attendees),
+        decisions: uniqueStrings(raw.decisions),
+        action_items: [...actionItems.values()],
+        open_questions: uniqueStrings(raw.open_questions),
+    };
+}
+
+/**
+ * Combine minutes of consecutive transcript chunks without another model call
+ * @param {MeetingMinutes[]} parts
+ * @returns {MeetingMinutes}
+ */
+function mergeMinutes(parts) {
+    return normalizeMinutes({
+        attendees: parts.flatMap(part => part.attendees),
+        decisions: parts.flatMap(part => part.decisions),
+        action_items: parts.flatMap(part => part.action_items),
+        open_questions: parts.flatMap(part => part.open_questions),
+    });
+}
+
+function formatDate(date) {
+    return date ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : null;
+}
+
+function describeActionItem(item) {
+    const details = [item.owner ? `Owner: ${item.owner}` : 'Owner: unassigned', item.due_date ? `Due: ${item.due_date}` : null];
+    return { task: item.task, details: details.filter(Boolean).join(', ') };
+}
+
+/**
+ * @param {MeetingMinutes} minutes
+ * @param {Object} [meeting] - { title, date }
+ * @returns {string}
+ */
+function formatMinutesMarkdown(minutes, { title = 'Meeting', date = null } = {}) {
+    const lines = [`# Minutes: ${title}`];
+    if (date) lines.push('', `*${formatDate(date)}*`);
+
+    for (const [key, heading] of SECTIONS) {
+        lines.push('', `## ${heading}`, '');
+        const items = minutes[key] || [];
+        if (items.length === 0) {
+            lines.push('_None recorded._');
+        } else if (key === 'action_items') {
+            items.forEach(item => {
+                const { task, details } = describeActionItem(item);
+                lines.push(`- [ ] ${task} (${details})`);
+            });
+        } else {
+            items.forEach(item => lines.push(`- ${item}`));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Standalone HTML page that opens in any browser or word processor
+ * @param {MeetingMinutes} minutes
+ * @param {Object} [meeting] - { title, date }
+ * @returns {string}
+ */
+function formatMinutesHtml(minutes, { title = 'Meeting', date = null } = {}) {
+    const body = [`<h1>Minutes: ${escapeHtml(title)}</h1>`];
+    if (date) body.push(`<p class="date">${escapeHtml(formatDate(date))}</p>`);
+
+    for (const [key, heading] of SECTIONS) {
+        body.push(`<h2>${heading}</h2>`);
+        const items = minutes[key] || [];
+        if (items.length === 0) {
+            body.push('<p class="empty">None recorded.</p>');
+        } else if (key === 'action_items') {
+            body.push('<table>', '<tr><th>Task</th><th>Owner</th><th>Due</th></tr>');
+            items.forEach(item => {
+                body.push(`<tr><td>${escapeHtml(item.task)}</td><td>${escapeHtml(item.owner || 'Unassigned')}</td><td>${escapeHtml(item.due_date || '—')}</td></tr>`);
+            });
+            body.push('</table>');
+        } else {
+            body.push('<ul>', ...items.map(item => `<li>${escapeHtml(item)}</li>`), '</ul>');
+        }
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Minutes: ${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 16px; color: #222; line-height: 1.5; }
+h2 { margin-top: 28px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+.date, .empty { color: #666; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    MINUTES_CHUNK_CHARS,
+    MINUTES_SCHEMA,
+    chunkTranscript,
+    normalizeMinutes,
+    mergeMinutes,
+    formatMinutesMarkdown,
+    formatMinutesHtml,
+};
@@ -1,22 +1,18 @@
 const sqliteRepository = require('./sqlite.repository');
-const firebaseRepository = require('./firebase.repository');
 const authService = require('../../../common/services/authService');
 
-function getBaseRepository() {
-    const user = authService.getCurrentUser();
-    if (user && user.isLoggedIn) {
-        return firebaseRepository;
-    }
-    return sqliteRepository;
-}
-
+// Always written locally; syncService mirrors these rows to Firestore for signed-in users
 const summaryRepositoryAdapter = {
-    saveSummary: ({ sessionId, tldr, text, bullet_json, action_json, model }) => {
+    saveSummary: ({ sessionId, tldr, text, bullet_json, action_json, template_id, sections_json, tokens_used, model }) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, template_id, sections_json, tokens_used, model });
+    },
+    saveMinutes: ({ sessionId, minutes_json, model }) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, model });
+        return sqliteRepository.saveMinutes({ uid, sessionId, minutes_json, model });
     },
     getSummaryBySessionId: (sessionId) => {
-        return getBaseRepository().getSummaryBySessionId(sessionId);
+        return sqliteRepository.getSummaryBySessionId(sessionId);
     }
 };
 
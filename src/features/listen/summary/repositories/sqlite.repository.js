@@ -1,14 +1,14 @@
 const sqliteClient = require('../../../common/services/sqliteClient');
 
-function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, model = 'unknown' }) {
+function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, template_id = null, sections_json = null, tokens_used = null, model = 'unknown' }) {
     // uid is ignored in the SQLite implementation
     return new Promise((resolve, reject) => {
         try {
             const db = sqliteClient.getDb();
             const now = Math.floor(Date.now() / 1000);
             const query = `
-                INSERT INTO summaries (session_id, generated_at, model, text, tldr, bullet_json, action_json, updated_at) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO summaries (session_id, generated_at, model, text, tldr, bullet_json, action_json, template_id, sections_json, tokens_used, updated_at) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 ON CONFLICT(session_id) DO UPDATE SET
                     generated_at=excluded.generated_at,
                     model=excluded.model,
@@ -16,10 +16,13 @@ function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, mod
                     tldr=excluded.tldr,
                     bullet_json=excluded.bullet_json,
                     action_json=excluded.action_json,
+                    template_id=excluded.template_id,
+                    sections_json=excluded.sections_json,
+                    tokens_used=excluded.tokens_used,
                     updated_at=excluded.updated_at
             `;
             
-            const result = db.prepare(query).run(sessionId, now, model, text, tldr, bullet_json, action_json, now);
+            const result = db.prepare(query).run(sessionId, now, model, text, tldr, bullet_json, action_json, template_id, sections_json, tokens_used, now);
             resolve({ changes: result.changes });
         } catch (err) {
             console.error('Error saving summary:', err);
@@ -28,6 +31,23 @@ function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, mod
     });
 }
 
+// Minutes are written once the meeting ends, possibly for a session that never got a rolling summary
+function saveMinutes({ uid, sessionId, minutes_json, model = 'unknown' }) {
+    // uid is ignored in the SQLite implementation
+    const db = sqliteClient.getDb();
+    const now = Math.floor(Date.now() / 1000);
+    const query = `
+        INSERT INTO summaries (session_id, generated_at, model, minutes_json, minutes_generated_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(session_id) DO UPDATE SET
+            minutes_json=excluded.minutes_json,
+            minutes_generated_at=excluded.minutes_generated_at,
+            updated_at=excluded.updated_at
+    `;
+    const result = db.prepare(query).run(sessionId, now, model, minutes_json, now, now);
+    return { changes: result.changes };
+}
+
 function getSummaryBySessionId(sessionId) {
     const db = sqliteClient.getDb();
     const query = "SELECT * FROM summaries WHERE session_id = ?";
@@ -36,5 +56,6 @@ function getSummaryBySessionId(sessionId) {
 
 module.exports = {
     saveSummary,
+    saveMinutes,
     getSummaryBySessionId,
 }; 
\ No newline at end of file
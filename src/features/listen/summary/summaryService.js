@@ -1,16 +1,57 @@
 const { BrowserWindow } = require('electron');
 const { getSystemPrompt } = require('../../common/prompts/promptBuilder.js');
-const { createLLM } = require('../../common/ai/factory');
+const { createLLM, generateStructured } = require('../../common/ai/factory');
 const sessionRepository = require('../../common/repositories/session');
 const summaryRepository = require('./repositories');
 const modelStateService = require('../../common/services/modelStateService');
+const { MINUTES_SCHEMA, chunkTranscript, mergeMinutes, normalizeMinutes } = require('./meetingMinutes');
+const { buildTemplatePrompt, buildTemplateSchema, buildTemplateContext, readTemplateResponse, formatTemplateSections } = require('./summaryTemplates');
+
+const DEFAULT_ACTIONS = ['✨ What should I say next?', '💬 Suggest follow-up questions'];
+const DEFAULT_FOLLOW_UPS = ['✉️ Draft a follow-up email', '✅ Generate action items', '📝 Show summary'];
+// Response format when the session has no summary template
+const BUILT_IN_FORMAT = `Analyze the conversation and provide a structured summary:
+- summary: the main discussion points, each with its context
+- topic: the key topic's name and up to three key insights about it
+- explanation: 2-3 sentences explaining the context and implications
+- questions: three follow-up questions the user could ask
+
+Keep all points concise and build upon previous analysis if provided.`;
+const BUILT_IN_SCHEMA = {
+    type: 'object',
+    properties: {
+        summary: { type: 'array', items: { type: 'string' }, description: 'Main discussion points with context' },
+        topic: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Name of the key topic' },
+                insights: { type: 'array', items: { type: 'string' }, description: 'Up to three key insights' },
+            },
+            required: ['name', 'insights'],
+            additionalProperties: false,
+        },
+        explanation: { type: 'string', description: '2-3 sentences on the context and implications' },
+        questions: { type: 'array', items: { type: 'string' }, description: 'Follow-up questions' },
+    },
+    required: ['summary', 'topic', 'explanation', 'questions'],
+    additionalProperties: false,
+};
+
+function toIsoDate(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
 
 class SummaryService {
     constructor() {
         this.previousAnalysisResult = null;
         this.analysisHistory = [];
         this.conversationHistory = [];
+        // Structured copy of conversationHistory, so turns can be relabeled when a speaker is renamed
+        this.conversationTurns = [];
         this.currentSessionId = null;
+        // Summary template of the session; null for the built-in format
+        this.template = null;
         
         // Callbacks
         this.onAnalysisComplete = null;
@@ -26,6 +67,21 @@ class SummaryService {
         this.currentSessionId = sessionId;
     }
 
+    /**
+     * Results in another template's shape can't be built upon, so the analysis starts over.
+     * The conversation itself is kept.
+     * @param {import('./summaryTemplates').SummaryTemplate|null} template
+     */
+    setTemplate(template) {
+        this.template = template || null;
+        this.previousAnalysisResult = null;
+        this.analysisHistory = [];
+    }
+
+    getTemplate() {
+        return this.template;
+    }
+
     sendToRenderer(channel, data) {
         const { windowPool } = require('../../../window/windowManager');
         const listenWindow = windowPool?.get('listen');
@@ -35,8 +91,15 @@ class SummaryService {
         }
     }
 
-    addConversationTurn(speaker, text) {
-        const conversationText = `${speaker.toLowerCase()}: ${text.trim()}`;
+    /**
+     * @param {string} speaker - Display name ("Me", "Them", "Speaker 2", or a name the user chose)
+     * @param {string} text
+     * @param {string|null} speakerId - me, them or speaker_<n>
+     */
+    addConversationTurn(speaker, text, speakerId = null) {
+        const turn = { speakerId: speakerId || speaker.toLowerCase(), speaker, text: text.trim() };
+        const conversationText = this.formatTurn(turn);
+        this.conversationTurns.push(turn);
         this.conversationHistory.push(conversationText);
         console.log(`💬 Added conversation text: ${conversationText}`);
         console.log(`📈 Total conversation history: ${this.conversationHistory.length} texts`);
@@ -45,12 +108,35 @@ class SummaryService {
         this.triggerAnalysisIfNeeded();
     }
 
+    /**
+     * "me: ..." and "them: ..." as the prompts expect; identified speakers keep their name
+     */
+    formatTurn({ speakerId, speaker, text }) {
+        const label = speakerId === 'me' || (speakerId === 'them' && speaker === 'Them') ? speakerId : speaker;
+        return `${label}: ${text}`;
+    }
+
+    renameSpeaker(speakerId, name) {
+        for (const turn of this.conversationTurns) {
+            if (turn.speakerId === speakerId) turn.speaker = name;
+        }
+        this.conversationHistory = this.conversationTurns.map(turn => this.formatTurn(turn));
+    }
+
+    /**
+     * Names of the people heard besides the user, in order of first appearance
+     */
+    getParticipants() {
+        return [...new Set(this.conversationTurns.filter(turn => turn.speakerId !== 'me').map(turn => turn.speaker))];
+    }
+
     getConversationHistory() {
         return this.conversationHistory;
     }
 
     resetConversationHistory() {
         this.conversationHistory = [];
+        this.conversationTurns = [];
         this.previousAnalysisResult = null;
         this.analysisHistory = [];
         console.log('🔄 Conversation history and analysis state reset');
@@ -79,7 +165,9 @@ class SummaryService {
 
         // 이전 분석 결과를 프롬프트에 포함
         let contextualPrompt = '';
-        if (this.previousAnalysisResult) {
+        if (this.previousAnalysisResult && this.template) {
+            contextualPrompt = buildTemplateContext(this.previousAnalysisResult);
+        } else if (this.previousAnalysisResult) {
             contextualPrompt = `
 Previous Analysis Context:
 - Main Topic: ${this.previousAnalysisResult.topic.header}
@@ -90,6 +178,15 @@ Please build upon this context while analyzing the new conversation segments.
 `;
         }
 
+        // With diarized or named speakers, let the model attribute points and action items
+        const participants = this.getParticipants();
+        if (participants.length > 1 || (participants.length === 1 && participants[0] !== 'Them')) {
+            contextualPrompt += `
+Participants: "me" is the user; the others are ${participants.join(', ')}.
+Attribute key points and action items to participants by name where the transcript makes it clear.
+`;
+        }
+
         const basePrompt = getSystemPrompt('pickle_glass_analysis', '', false);
         const systemPrompt = basePrompt.replace('{{CONVERSATION_HISTORY}}', recentConversation);
 
@@ -98,7 +195,7 @@ Please build upon this context while analyzing the new conversation segments.
                 await sessionRepository.touch(this.currentSessionId);
             }
 
-            const modelInfo = await modelStateService.getCurrentModelInfo('llm');
+            const modelInfo = await modelStateService.getCurrentModelInfo('llm', { feature: 'listen' });
             if (!modelInfo || !modelInfo.apiKey) {
                 throw new Error('AI model or API key is not configured.');
             }
@@ -113,25 +210,7 @@ Please build upon this context while analyzing the new conversation segments.
                     role: 'user',
                     content: `${contextualPrompt}
 
-Analyze the conversation and provide a structured summary. Format your response as follows:
-
-**Summary Overview**
-- Main discussion point with context
-
-**Key Topic: [Topic Name]**
-- First key insight
-- Second key insight
-- Third key insight
-
-**Extended Explanation**
-Provide 2-3 sentences explaining the context and implications.
-
-**Suggested Questions**
-1. First follow-up question?
-2. Second follow-up question?
-3. Third follow-up question?
-
-Keep all points concise and build upon previous analysis if provided.`,
+${this.template ? buildTemplatePrompt(this.template) : BUILT_IN_FORMAT}`,
                 },
             ];
 
@@ -144,23 +223,35 @@ Keep all points concise and build upon previous analysis if provided.`,
                 maxTokens: 1024,
                 usePortkey: modelInfo.provider === 'openai-glass',
                 portkeyVirtualKey: modelInfo.provider === 'openai-glass' ? modelInfo.apiKey : undefined,
+                feature: 'listen',
+                fallbacks: modelInfo.fallbacks,
             });
 
-            const completion = await llm.chat(messages);
-
-            const responseText = completion.content;
-            console.log(`✅ Analysis response received: ${responseText}`);
-            const structuredData = this.parseResponseText(responseText, this.previousAnalysisResult);
+            const { data, usage, servedBy } = await generateStructured(llm, messages, {
+                name: 'conversation_summary',
+                schema: this.template ? buildTemplateSchema(this.template) : BUILT_IN_SCHEMA,
+            });
+            console.log(`✅ Analysis response received: ${JSON.stringify(data)}`);
+            const structuredData = this.template
+                ? this.readTemplatedResponse(data, this.previousAnalysisResult)
+                : this.readBuiltInResponse(data, this.previousAnalysisResult);
 
             if (this.currentSessionId) {
                 try {
+                    // Templated summaries keep their first section as the TL;DR and the rest as bullets,
+                    // so lists and search that only know the built-in columns still show something
+                    const [first, ...rest] = structuredData.sections || [];
                     summaryRepository.saveSummary({
                         sessionId: this.currentSessionId,
-                        text: responseText,
-                        tldr: structuredData.summary.join('\n'),
-                        bullet_json: JSON.stringify(structuredData.topic.bullets),
+                        text: structuredData.sections ? formatTemplateSections(structuredData.sections) : this.formatBuiltInText(data),
+                        tldr: (first ? first.items : structuredData.summary).join('\n'),
+                        bullet_json: JSON.stringify(first ? rest.flatMap(section => section.items) : structuredData.topic.bullets),
                         action_json: JSON.stringify(structuredData.actions),
-                        model: modelInfo.model
+                        template_id: structuredData.template?.id || null,
+                        sections_json: structuredData.sections ? JSON.stringify(structuredData.sections) : null,
+                        tokens_used: usage ? usage.inputTokens + usage.outputTokens : null,
+                        // The fallback provider's model when the selected one failed
+                        model: servedBy?.model || modelInfo.model
                     });
                 } catch (err) {
                     console.error('[DB] Failed to save summary:', err);
@@ -186,115 +277,87 @@ Keep all points concise and build upon previous analysis if provided.`,
         }
     }
 
-    parseResponseText(responseText, previousResult) {
+    /**
+     * Merge a response matching BUILT_IN_SCHEMA into the rolling summary. The explanation fills
+     * up the topic's insights; points the model left out keep the previous analysis.
+     * @param {{summary: string[], topic: {name: string, insights: string[]}, explanation: string, questions: string[]}} data
+     * @param {Object|null} previousResult
+     * @returns {{summary: string[], topic: {header: string, bullets: string[]}, actions: string[], followUps: string[]}}
+     */
+    readBuiltInResponse(data, previousResult) {
+        const previous = previousResult?.topic ? previousResult : null;
+        const clean = (items) => items.map(item => item.trim()).filter(Boolean);
+
+        // 새 요점을 앞에 추가 (최대 5개 유지)
+        const summary = [...new Set([...clean(data.summary).reverse(), ...(previous?.summary || [])])].slice(0, 5);
+
+        const sentences = data.explanation
+            .split(/\.\s+/)
+            .map(sentence => sentence.trim())
+            .filter(Boolean)
+            .map(sentence => sentence + (sentence.endsWith('.') ? '' : '.'));
+        let bullets = [...new Set([...clean(data.topic.insights), ...sentences])].slice(0, 3);
+        if (bullets.length === 0 && previous) bullets = previous.topic.bullets;
+
+        const topicName = data.topic.name.trim();
+        const questions = clean(data.questions)
+            .filter(question => question.includes('?'))
+            .map(question => `❓ ${question}`);
+
         const structuredData = {
-            summary: [],
-            topic: { header: '', bullets: [] },
-            actions: [],
-            followUps: ['✉️ Draft a follow-up email', '✅ Generate action items', '📝 Show summary'],
+            summary,
+            topic: { header: topicName ? `${topicName}:` : previous?.topic.header || '', bullets },
+            actions: [...new Set([...questions, ...DEFAULT_ACTIONS])].slice(0, 5),
+            followUps: [...DEFAULT_FOLLOW_UPS],
         };
+        console.log('📊 Final structured data:', JSON.stringify(structuredData, null, 2));
+        return structuredData;
+    }
 
-        // 이전 결과가 있으면 기본값으로 사용
-        if (previousResult) {
-            structuredData.topic.header = previousResult.topic.header;
-            structuredData.summary = [...previousResult.summary];
-        }
-
-        try {
-            const lines = responseText.split('\n');
-            let currentSection = '';
-            let isCapturingTopic = false;
-            let topicName = '';
-
-            for (const line of lines) {
-                const trimmedLine = line.trim();
-
-                // 섹션 헤더 감지
-                if (trimmedLine.startsWith('**Summary Overview**')) {
-                    currentSection = 'summary-overview';
-                    continue;
-                } else if (trimmedLine.startsWith('**Key Topic:')) {
-                    currentSection = 'topic';
-                    isCapturingTopic = true;
-                    topicName = trimmedLine.match(/\*\*Key Topic: (.+?)\*\*/)?.[1] || '';
-                    if (topicName) {
-                        structuredData.topic.header = topicName + ':';
-                    }
-                    continue;
-                } else if (trimmedLine.startsWith('**Extended Explanation**')) {
-                    currentSection = 'explanation';
-                    continue;
-                } else if (trimmedLine.startsWith('**Suggested Questions**')) {
-                    currentSection = 'questions';
-                    continue;
-                }
-
-                // 컨텐츠 파싱
-                if (trimmedLine.startsWith('-') && currentSection === 'summary-overview') {
-                    const summaryPoint = trimmedLine.substring(1).trim();
-                    if (summaryPoint && !structuredData.summary.includes(summaryPoint)) {
-                        // 기존 summary 업데이트 (최대 5개 유지)
-                        structuredData.summary.unshift(summaryPoint);
-                        if (structuredData.summary.length > 5) {
-                            structuredData.summary.pop();
-                        }
-                    }
-                } else if (trimmedLine.startsWith('-') && currentSection === 'topic') {
-                    const bullet = trimmedLine.substring(1).trim();
-                    if (bullet && structuredData.topic.bullets.length < 3) {
-                        structuredData.topic.bullets.push(bullet);
-                    }
-                } else if (currentSection === 'explanation' && trimmedLine) {
-                    // explanation을 topic bullets에 추가 (문장 단위로)
-                    const sentences = trimmedLine
-                        .split(/\.\s+/)
-                        .filter(s => s.trim().length > 0)
-                        .map(s => s.trim() + (s.endsWith('.') ? '' : '.'));
-
-                    sentences.forEach(sentence => {
-                        if (structuredData.topic.bullets.length < 3 && !structuredData.topic.bullets.includes(sentence)) {
-                            structuredData.topic.bullets.push(sentence);
-                        }
-                    });
-                } else if (trimmedLine.match(/^\d+\./) && currentSection === 'questions') {
-                    const question = trimmedLine.replace(/^\d+\.\s*/, '').trim();
-                    if (question && question.includes('?')) {
-                        structuredData.actions.push(`❓ ${question}`);
-                    }
-                }
-            }
-
-            // 기본 액션 추가
-            const defaultActions = ['✨ What should I say next?', '💬 Suggest follow-up questions'];
-            defaultActions.forEach(action => {
-                if (!structuredData.actions.includes(action)) {
-                    structuredData.actions.push(action);
-                }
-            });
+    /**
+     * A built-in response as markdown, the readable text saved with the summary
+     * @param {{summary: string[], topic: {name: string, insights: string[]}, explanation: string, questions: string[]}} data
+     * @returns {string}
+     */
+    formatBuiltInText(data) {
+        return [
+            '**Summary Overview**',
+            ...data.summary.map(point => `- ${point}`),
+            '',
+            `**Key Topic: ${data.topic.name}**`,
+            ...data.topic.insights.map(insight => `- ${insight}`),
+            '',
+            '**Extended Explanation**',
+            data.explanation,
+            '',
+            '**Suggested Questions**',
+            ...data.questions.map((question, i) => `${i + 1}. ${question}`),
+        ].join('\n');
+    }
 
-            // 액션 개수 제한
-            structuredData.actions = structuredData.actions.slice(0, 5);
+    /**
+     * Read a response matching the session template's schema. Questions the model suggested
+     * become clickable actions, as with the built-in format.
+     * @param {Object.<string, string|string[]>} data
+     * @param {Object|null} previousResult
+     * @returns {{template: {id: string, title: string}, sections: Array<import('./summaryTemplates').SummarySection>, actions: string[], followUps: string[]}}
+     */
+    readTemplatedResponse(data, previousResult) {
+        const { template, sections } = readTemplateResponse(data, this.template, previousResult?.sections ? previousResult : null);
 
-            // 유효성 검증 및 이전 데이터 병합
-            if (structuredData.summary.length === 0 && previousResult) {
-                structuredData.summary = previousResult.summary;
-            }
-            if (structuredData.topic.bullets.length === 0 && previousResult) {
-                structuredData.topic.bullets = previousResult.topic.bullets;
-            }
-        } catch (error) {
-            console.error('❌ Error parsing response text:', error);
-            // 에러 시 이전 결과 반환
-            return (
-                previousResult || {
-                    summary: [],
-                    topic: { header: 'Analysis in progress', bullets: [] },
-                    actions: ['✨ What should I say next?', '💬 Suggest follow-up questions'],
-                    followUps: ['✉️ Draft a follow-up email', '✅ Generate action items', '📝 Show summary'],
-                }
-            );
-        }
+        const questions = sections
+            .filter(section => section.type !== 'text')
+            .flatMap(section => section.items)
+            .filter(item => item.trim().endsWith('?'))
+            .slice(0, 3)
+            .map(question => `❓ ${question}`);
 
+        const structuredData = {
+            template,
+            sections,
+            actions: [...questions, ...DEFAULT_ACTIONS].slice(0, 5),
+            followUps: [...DEFAULT_FOLLOW_UPS],
+        };
         console.log('📊 Final structured data:', JSON.stringify(structuredData, null, 2));
         return structuredData;
     }
@@ -321,6 +384,111 @@ Keep all points concise and build upon previous analysis if provided.`,
         }
     }
 
+    /**
+     * Rolling analysis of a conversation that was recorded rather than heard live: one request
+     * per window of turns, each building on the previous result, so the saved summary ends up
+     * like the one a live session would have.
+     * @param {Array<{speaker: string, speakerId: string, text: string}>} turns
+     * @param {number} [windowSize]
+     * @returns {Promise<Object|null>} The last analysis
+     */
+    async analyzeRecording(turns, windowSize = 30) {
+        this.resetConversationHistory();
+        let result = null;
+        for (const turn of turns) {
+            this.conversationTurns.push(turn);
+            this.conversationHistory.push(this.formatTurn(turn));
+            if (this.conversationHistory.length % windowSize === 0) {
+                result = await this.makeOutlineAndRequests(this.conversationHistory, windowSize);
+            }
+        }
+        if (this.conversationHistory.length % windowSize !== 0) {
+            result = await this.makeOutlineAndRequests(this.conversationHistory, windowSize);
+        }
+        return result;
+    }
+
+    /**
+     * Final minutes of a finished meeting from its full transcript. Long meetings are split into
+     * chunks whose minutes are then consolidated in one more request.
+     * @param {Object} params
+     * @param {string} params.sessionId
+     * @param {Array<{speaker: string, text: string}>} params.transcripts - Saved turns, speakers already named
+     * @param {number} [params.meetingDate] - Start of the meeting (ms), for resolving relative deadlines
+     * @returns {Promise<import('./meetingMinutes').MeetingMinutes|null>} null when there is nothing to summarize
+     */
+    async generateMinutes({ sessionId, transcripts, meetingDate = null }) {
+        const chunks = chunkTranscript(transcripts);
+        if (chunks.length === 0) return null;
+
+        const modelInfo = await modelStateService.getCurrentModelInfo('llm', { feature: 'listen' });
+        if (!modelInfo || !modelInfo.apiKey) {
+            throw new Error('AI model or API key is not configured.');
+        }
+
+        // Named speakers are attendees even if the model overlooks someone who barely spoke
+        const speakers = [...new Set(transcripts.map(t => t.speaker).filter(speaker => speaker && speaker !== 'Them'))];
+        const context = [
+            meetingDate ? `Meeting date: ${toIsoDate(meetingDate)}` : null,
+            speakers.length ? `Speakers in the transcript: ${speakers.join(', ')}` : null,
+        ].filter(Boolean).join('\n');
+        const systemPrompt = getSystemPrompt('meeting_minutes', context, false);
+
+        const llm = createLLM(modelInfo.provider, {
+            apiKey: modelInfo.apiKey,
+            model: modelInfo.model,
+            temperature: 0.2,
+            maxTokens: 2048,
+            usePortkey: modelInfo.provider === 'openai-glass',
+            portkeyVirtualKey: modelInfo.provider === 'openai-glass' ? modelInfo.apiKey : undefined,
+            feature: 'listen',
+            fallbacks: modelInfo.fallbacks,
+        });
+        let servedModel = modelInfo.model;
+        const ask = async (content) => {
+            const { data, servedBy } = await generateStructured(llm, [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content },
+            ], { name: 'meeting_minutes', schema: MINUTES_SCHEMA });
+            servedModel = servedBy?.model || servedModel;
+            return normalizeMinutes(data);
+        };
+
+        console.log(`📝 Generating minutes for session ${sessionId} from ${transcripts.length} turns in ${chunks.length} chunk(s)`);
+        const parts = [];
+        for (let i = 0; i < chunks.length; i++) {
+            const header = chunks.length > 1 ? `Transcript excerpt ${i + 1} of ${chunks.length}:` : 'Transcript:';
+            try {
+                parts.push(await ask(`${header}\n\n${chunks[i]}`));
+            } catch (error) {
+                // One unreadable answer shouldn't cost the minutes of the rest of the meeting
+                console.error(`❌ Minutes for chunk ${i + 1}/${chunks.length} failed:`, error.message);
+            }
+        }
+        if (parts.length === 0) {
+            throw new Error('Could not generate minutes for any part of the meeting');
+        }
+
+        let minutes = parts[0];
+        if (parts.length > 1) {
+            try {
+                minutes = await ask(`Partial minutes from ${parts.length} consecutive excerpts of the meeting:\n\n${JSON.stringify(parts, null, 2)}`);
+            } catch (error) {
+                console.warn('⚠️ Consolidating minutes failed, merging chunk minutes as they are:', error.message);
+                minutes = mergeMinutes(parts);
+            }
+        }
+        minutes = normalizeMinutes({ ...minutes, attendees: [...speakers, ...minutes.attendees] });
+
+        await summaryRepository.saveMinutes({
+            sessionId,
+            minutes_json: JSON.stringify(minutes),
+            model: servedModel,
+        });
+        console.log(`✅ Minutes saved for session ${sessionId}: ${minutes.decisions.length} decisions, ${minutes.action_items.length} action items`);
+        return minutes;
+    }
+
     getCurrentAnalysisData() {
         return {
             previousResult: this.previousAnalysisResult,
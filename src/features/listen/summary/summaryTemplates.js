@@ -0,0 +1,261 @@
+// Summary templates: user-defined sections for the rolling Listen summary, the prompt and JSON schema
+// that ask for them and the reader for the answer. Kept free of model calls and storage, like meetingMinutes.
+
+const SECTION_TYPES = ['bullets', 'numbered', 'text'];
+const MAX_SECTIONS = 8;
+const MAX_SECTION_ITEMS = 10;
+const DEFAULT_SECTION_ITEMS = 5;
+const MAX_TITLE_LENGTH = 80;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+
+/**
+ * @typedef {Object} TemplateSection
+ * @property {string} key - Stable identifier, derived from the title when omitted
+ * @property {string} title - Header the model writes and the Listen window shows
+ * @property {'bullets'|'numbered'|'text'} type
+ * @property {number} max_items - Items kept for list sections; text sections keep one paragraph
+ * @property {string} [description] - What belongs in the section, passed to the model
+ *
+ * @typedef {Object} SummaryTemplate
+ * @property {string} id
+ * @property {string} title
+ * @property {string} instructions
+ * @property {TemplateSection[]} sections
+ * @property {number} is_default
+ *
+ * @typedef {Object} SummarySection
+ * @property {string} key
+ * @property {string} title
+ * @property {'bullets'|'numbered'|'text'} type
+ * @property {string[]} items
+ */
+
+// Seeded into SQLite and served to signed-in users alongside their own templates
+const DEFAULT_SUMMARY_TEMPLATES = [
+    {
+        id: 'journal-club',
+        title: 'Journal Club',
+        instructions: 'The conversation is a journal club discussion of a research paper. Focus on the paper\'s claims and how the group judged them.',
+        sections: [
+            { key: 'paper', title: 'Paper', type: 'text', description: 'The paper under discussion and its central claim, in one or two sentences' },
+            { key: 'methods', title: 'Methods', type: 'bullets', max_items: 4, description: 'Study design, data and analyses as presented' },
+            { key: 'findings', title: 'Key Findings', type: 'bullets', max_items: 5 },
+            { key: 'critiques', title: 'Critiques', type: 'bullets', max_items: 5, description: 'Limitations, threats to validity and disagreements raised, attributed where clear' },
+            { key: 'questions', title: 'Open Questions', type: 'numbered', max_items: 3 },
+        ],
+    },
+    {
+        id: 'advisor-one-on-one',
+        title: 'Advisor 1:1',
+        instructions: 'The conversation is a one-on-one meeting between a researcher ("me") and their advisor. Capture progress, feedback and what was agreed.',
+        sections: [
+            { key: 'progress', title: 'Progress Update', type: 'bullets', max_items: 5 },
+            { key: 'feedback', title: 'Advisor Feedback', type: 'bullets', max_items: 5 },
+            { key: 'decisions', title: 'Decisions', type: 'bullets', max_items: 4 },
+            { key: 'next_steps', title: 'Next Steps', type: 'numbered', max_items: 5, description: 'Concrete tasks with an owner and due date when mentioned' },
+        ],
+    },
+    {
+        id: 'participant-interview',
+        title: 'Participant Interview',
+        instructions: 'The conversation is a research interview with a study participant. Report what the participant said faithfully; do not interpret beyond the transcript.',
+        sections: [
+            { key: 'context', title: 'Participant Context', type: 'text', description: 'Who the participant is and their situation, as they described it' },
+            { key: 'themes', title: 'Themes', type: 'bullets', max_items: 5 },
+            { key: 'quotes', title: 'Notable Quotes', type: 'bullets', max_items: 4, description: 'Verbatim quotes from the participant' },
+            { key: 'pain_points', title: 'Pain Points', type: 'bullets', max_items: 4 },
+            { key: 'follow_ups', title: 'Follow-up Questions', type: 'numbered', max_items: 3, description: 'Questions the interviewer could ask next' },
+        ],
+    },
+];
+
+function cleanString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function toKey(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Validate sections from the user or storage. Throws on input that cannot make a usable template.
+ * @param {Array<Partial<TemplateSection>>|string} sections - Array or its JSON
+ * @returns {TemplateSection[]}
+ */
+function normalizeTemplateSections(sections) {
+    const list = typeof sections === 'string' ? JSON.parse(sections) : sections;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('A summary template needs at least one section');
+    }
+    if (list.length > MAX_SECTIONS) {
+        throw new Error(`A summary template can have at most ${MAX_SECTIONS} sections`);
+    }
+
+    const keys = new Set();
+    return list.map((section, index) => {
+        const title = cleanString(section?.title).slice(0, MAX_TITLE_LENGTH);
+        if (!title) throw new Error(`Section ${index + 1} needs a title`);
+
+        const type = section.type || 'bullets';
+        if (!SECTION_TYPES.includes(type)) {
+            throw new Error(`Section "${title}" has unknown type "${type}". Use ${SECTION_TYPES.join(', ')}`);
+        }
+
+        const key = toKey(cleanString(section.key) || title) || `section_${index + 1}`;
+        if (keys.has(key)) throw new Error(`Section "${title}" duplicates key "${key}"`);
+        keys.add(key);
+
+        const maxItems = Number.parseInt(section.max_items, 10);
+        const normalized = {
+            key,
+            title,
+            type,
+            max_items: type === 'text' ? 1 : Math.min(Math.max(maxItems || DEFAULT_SECTION_ITEMS, 1), MAX_SECTION_ITEMS),
+        };
+        const description = cleanString(section.description);
+        if (description) normalized.description = description;
+        return normalized;
+    });
+}
+
+/**
+ * Check a template before it is saved
+ * @param {{title?: string, instructions?: string, sections?: any}} template
+ * @returns {{title: string, instructions: string, sections: TemplateSection[]}}
+ */
+function validateTemplate({ title, instructions, sections }) {
+    const cleanTitle = cleanString(title).slice(0, MAX_TITLE_LENGTH);
+    if (!cleanTitle) throw new Error('Template title is required');
+    return {
+        title: cleanTitle,
+        instructions: cleanString(instructions).slice(0, MAX_INSTRUCTIONS_LENGTH),
+        sections: normalizeTemplateSections(sections),
+    };
+}
+
+/**
+ * A stored row (sections_json) or a default (sections) as a template the service can use
+ * @param {Object} row
+ * @returns {SummaryTemplate}
+ */
+function fromRow(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        instructions: row.instructions || '',
+        sections: normalizeTemplateSections(row.sections || row.sections_json),
+        is_default: row.is_default ? 1 : 0,
+    };
+}
+
+function describeSection(section) {
+    const hint = section.description ? ` (${section.description})` : '';
+    return section.type === 'text'
+        ? `${section.title}: one short paragraph${hint}`
+        : `${section.title}: up to ${section.max_items} ${section.type === 'numbered' ? 'items, in order' : 'items'}${hint}`;
+}
+
+/**
+ * Instructions for the user message of an analysis request. The sections themselves are
+ * requested through buildTemplateSchema.
+ * @param {SummaryTemplate} template
+ * @returns {string}
+ */
+function buildTemplatePrompt(template) {
+    const lines = template.sections.map(section => `- ${section.key}: ${describeSection(section)}`);
+
+    return `${template.instructions ? `${template.instructions}\n\n` : ''}Analyze the conversation and provide a structured summary with these sections, in this order:
+
+${lines.join('\n')}
+
+Leave a section empty when the conversation has nothing for it yet. Keep all points concise and build upon previous analysis if provided.`;
+}
+
+/**
+ * JSON schema of a response in the template's sections: a string for text sections, a list of
+ * strings for the others. Item limits are applied when reading, not rejected.
+ * @param {SummaryTemplate} template
+ * @returns {import('../../common/ai/structuredOutput').JsonSchema}
+ */
+function buildTemplateSchema(template) {
+    const properties = {};
+    for (const section of template.sections) {
+        properties[section.key] = section.type === 'text'
+            ? { type: 'string', description: describeSection(section) }
+            : { type: 'array', items: { type: 'string' }, description: describeSection(section) };
+    }
+    return {
+        type: 'object',
+        properties,
+        required: template.sections.map(section => section.key),
+        additionalProperties: false,
+    };
+}
+
+/**
+ * Context from the previous analysis, so rolling requests build on each other
+ * @param {{sections: SummarySection[]}} previous
+ * @returns {string}
+ */
+function buildTemplateContext(previous) {
+    const lines = previous.sections
+        .filter(section => section.items.length)
+        .map(section => `- ${section.title}: ${section.items.slice(0, 3).join('; ')}`);
+    if (lines.length === 0) return '';
+    return `
+Previous Analysis Context:
+${lines.join('\n')}
+
+Please build upon this context while analyzing the new conversation segments.
+`;
+}
+
+/**
+ * Read a response matching buildTemplateSchema. Sections the model left empty
+ * keep what the previous analysis had.
+ * @param {Object.<string, string|string[]>} data
+ * @param {SummaryTemplate} template
+ * @param {{sections: SummarySection[]}|null} [previous]
+ * @returns {{template: {id: string, title: string}, sections: SummarySection[]}}
+ */
+function readTemplateResponse(data, template, previous = null) {
+    const previousSections = new Map((previous?.sections || []).map(section => [section.key, section.items]));
+    const sections = template.sections.map(section => {
+        const value = data?.[section.key];
+        let items = (Array.isArray(value) ? value : [value])
+            .map(item => cleanString(item).replace(/^(?:[-*•]|\d+[.)])\s+/, ''))
+            .filter(item => item && !/^none\.?$/i.test(item));
+        items = [...new Set(items)].slice(0, section.max_items);
+        if (items.length === 0) items = previousSections.get(section.key) || [];
+        return { key: section.key, title: section.title, type: section.type, items };
+    });
+
+    return { template: { id: template.id, title: template.title }, sections };
+}
+
+/**
+ * Sections as markdown, the readable text saved with the summary
+ * @param {SummarySection[]} sections
+ * @returns {string}
+ */
+function formatTemplateSections(sections) {
+    return sections.map(section => {
+        const items = section.type === 'text'
+            ? section.items
+            : section.items.map((item, i) => `${section.type === 'numbered' ? `${i + 1}.` : '-'} ${item}`);
+        return [`**${section.title}**`, ...(items.length ? items : ['None'])].join('\n');
+    }).join('\n\n');
+}
+
+module.exports = {
+    SECTION_TYPES,
+    DEFAULT_SUMMARY_TEMPLATES,
+    normalizeTemplateSections,
+    validateTemplate,
+    fromRow,
+    buildTemplatePrompt,
+    buildTemplateSchema,
+    buildTemplateContext,
+    readTemplateResponse,
+    formatTemplateSections,
+};
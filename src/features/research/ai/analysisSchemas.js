@@ -0,0 +1,90 @@
+/**
+ * JSON schemas for the structured output of AI activity analysis
+ * Each matches one prompt in ActivityPrompts or PrivacyAwarePrompts; field descriptions tell the model what goes where
+ */
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const SCREENSHOT_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    activity_type: {
+      type: 'string',
+      enum: ['deep work', 'focused work', 'communication', 'research', 'administrative', 'learning', 'creative', 'planning', 'distraction', 'break', 'mixed'],
+      description: 'Work type classification of the activity'
+    },
+    productivity_score: { type: ['number', 'null'], minimum: 0, maximum: 10, description: 'Productivity level from 1 to 10, null when it cannot be judged' },
+    focus_quality: { type: 'string', enum: ['deep', 'moderate', 'fragmented', 'distracted', 'break'] },
+    applications: { ...STRING_LIST, description: 'Applications in use, primary first' },
+    visual_cues: { type: 'string', description: 'Visual cues the assessment is based on' },
+    recommendations: { ...STRING_LIST, description: 'Up to three actionable recommendations' },
+    summary: { type: 'string', description: 'Two to four sentences summarizing the analysis' }
+  },
+  required: ['activity_type', 'productivity_score', 'focus_quality', 'applications', 'visual_cues', 'recommendations', 'summary'],
+  additionalProperties: false
+};
+
+const PRODUCTIVITY_SCORE_SCHEMA = {
+  type: 'object',
+  properties: {
+    final_score: { type: 'integer', minimum: 0, maximum: 100 },
+    base_score: { type: 'integer', minimum: 0, maximum: 40 },
+    focus_multiplier: { type: 'number', minimum: 0.5, maximum: 1.5 },
+    breakdown: {
+      type: 'object',
+      properties: {
+        base: { type: 'integer' },
+        focus: { type: 'integer', description: 'Points gained or lost through the focus multiplier' },
+        complexity: { type: 'integer' },
+        efficiency: { type: 'integer' },
+        deduction: { type: 'integer', description: 'Zero or negative' }
+      },
+      required: ['base', 'focus', 'complexity', 'efficiency', 'deduction'],
+      additionalProperties: false
+    },
+    explanation: { type: 'string', description: 'How each component contributed to the score' }
+  },
+  required: ['final_score', 'base_score', 'focus_multiplier', 'breakdown', 'explanation'],
+  additionalProperties: false
+};
+
+const PATTERN_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'The patterns observed over the timeframe, in a short paragraph' },
+    key_insights: { ...STRING_LIST, description: 'Workflow, focus and productivity patterns, one per item' },
+    recommendations: STRING_LIST
+  },
+  required: ['summary', 'key_insights', 'recommendations'],
+  additionalProperties: false
+};
+
+const INSIGHTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'The analysis behind the recommendations, in a short paragraph' },
+    recommendations: { ...STRING_LIST, description: 'Specific, actionable recommendations' }
+  },
+  required: ['summary', 'recommendations'],
+  additionalProperties: false
+};
+
+const APPLICATION_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    usage_patterns: { type: 'string', description: 'How the application is being used' },
+    efficiency_score: { type: ['number', 'null'], minimum: 0, maximum: 10 },
+    recommendations: STRING_LIST,
+    summary: { type: 'string' }
+  },
+  required: ['usage_patterns', 'efficiency_score', 'recommendations', 'summary'],
+  additionalProperties: false
+};
+
+module.exports = {
+  SCREENSHOT_ANALYSIS_SCHEMA,
+  PRODUCTIVITY_SCORE_SCHEMA,
+  PATTERN_ANALYSIS_SCHEMA,
+  INSIGHTS_SCHEMA,
+  APPLICATION_ANALYSIS_SCHEMA
+};
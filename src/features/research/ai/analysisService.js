@@ -3,12 +3,22 @@
  * Provides sophisticated analysis of screenshots and activity patterns
  */
 
-const { createLLM } = require('../../common/ai/factory');
+const { createLLM, generateStructured } = require('../../common/ai/factory');
 const ActivityPrompts = require('./activityPrompts');
+const {
+  SCREENSHOT_ANALYSIS_SCHEMA,
+  PRODUCTIVITY_SCORE_SCHEMA,
+  PATTERN_ANALYSIS_SCHEMA,
+  INSIGHTS_SCHEMA,
+  APPLICATION_ANALYSIS_SCHEMA
+} = require('./analysisSchemas');
 const PrivacyAwarePrompts = require('./privacyAwarePrompts');
 const PatternRecognizer = require('./patternRecognizer');
 const ProductivityScorer = require('./productivityScorer');
 const InsightGenerator = require('./insightGenerator');
+const HeuristicAnalyzer = require('./heuristicAnalyzer');
+const redactionService = require('../../common/services/redactionService');
+const { hashScreenshot } = require('../../common/utils/perceptualHash');
 
 class AnalysisService {
   constructor() {
@@ -17,6 +27,10 @@ class AnalysisService {
     this.patternRecognizer = new PatternRecognizer();
     this.productivityScorer = new ProductivityScorer();
     this.insightGenerator = new InsightGenerator();
+    this.heuristicAnalyzer = new HeuristicAnalyzer({
+      productivityScorer: this.productivityScorer,
+      patternRecognizer: this.patternRecognizer
+    });
     this.privacyMode = true; // Enable privacy-aware analysis by default
   }
 
@@ -38,19 +52,32 @@ class AnalysisService {
   }
 
   /**
-   * Initialize the analysis service with Gemini AI provider
+   * Apply per-user app rating and time modifier overrides to the scorer
+   * @param {Object} overrides - { appRatings, timeModifiers }
+   */
+  setProductivityOverrides(overrides) {
+    this.productivityScorer.setUserOverrides(overrides);
+  }
+
+  /**
+   * Initialize the analysis service with an AI provider (Gemini by default)
+   * @param {string} apiKey
+   * @param {string} [provider]
+   * @param {string} [model]
+   * @param {Array<{provider: string, model: string, apiKey: string}>} [fallbacks] - Tried in order when the provider fails
    */
-  async initialize(apiKey, provider = 'gemini', model = 'gemini-2.5-flash') {
+  async initialize(apiKey, provider = 'gemini', model = 'gemini-2.5-flash', fallbacks = []) {
     try {
-      this.llmClient = createLLM({ 
-        apiKey, 
-        provider, 
+      this.llmClient = createLLM(provider, {
+        apiKey,
         model,
         temperature: 0.3, // Lower temperature for more consistent analysis
-        maxTokens: 4096
+        maxTokens: 4096,
+        feature: 'research',
+        fallbacks
       });
       
-      console.log('[AnalysisService] Initialized with', provider, model);
+      console.log('[AnalysisService] Initialized with', provider, model, fallbacks.length ? `(fallbacks: ${fallbacks.map(f => f.provider).join(', ')})` : '');
       return true;
     } catch (error) {
       console.error('[AnalysisService] Failed to initialize:', error);
@@ -59,14 +86,35 @@ class AnalysisService {
   }
 
   /**
-   * Comprehensive screenshot analysis
+   * Drop the AI provider so analysis runs on local heuristics
+   */
+  disableAI() {
+    this.llmClient = null;
+  }
+
+  /**
+   * Whether an AI provider is configured; without one, analysis runs locally
+   * @returns {boolean}
+   */
+  isAIAvailable() {
+    return this.llmClient !== null;
+  }
+
+  /**
+   * Comprehensive screenshot analysis. Falls back to local heuristics from the window
+   * context when no AI provider is configured or the provider cannot be reached.
    * @param {string} base64Image - Base64 encoded screenshot
    * @param {Object} context - Additional context about the screenshot
+   * @param {Object} [options]
+   * @param {string} [options.skipAI] - Why to analyze locally although a provider is configured
    * @returns {Object} Detailed analysis results
    */
-  async analyzeScreenshot(base64Image, context = {}) {
+  async analyzeScreenshot(base64Image, context = {}, options = {}) {
     if (!this.llmClient) {
-      throw new Error('Gemini analysis service not initialized');
+      return this.heuristicAnalyzer.analyze(context);
+    }
+    if (options.skipAI) {
+      return { ...this.heuristicAnalyzer.analyze(context), fallback_reason: options.skipAI };
     }
 
     const cacheKey = this.generateCacheKey(base64Image, context);
@@ -74,6 +122,11 @@ class AnalysisService {
       return this.analysisCache.get(cacheKey);
     }
 
+    const { imagePart, reason } = await this.redactedImagePart(base64Image, context);
+    if (!imagePart) {
+      return { ...this.heuristicAnalyzer.analyze(context), fallback_reason: `Screenshot withheld: ${reason}` };
+    }
+
     try {
       // Choose prompt based on privacy mode
       const analysisPrompt = this.privacyMode 
@@ -83,12 +136,7 @@ class AnalysisService {
       // Prepare the multimodal content for Gemini
       const analysisContent = [
         analysisPrompt,
-        {
-          inlineData: {
-            mimeType: 'image/png',
-            data: base64Image
-          }
-        }
+        imagePart
       ];
 
       // Add contextual information if available
@@ -99,14 +147,11 @@ class AnalysisService {
         analysisContent.push(`\nActive Application: ${context.activeApplication}`);
       }
       if (context.windowTitle) {
-        analysisContent.push(`\nWindow Title: ${context.windowTitle}`);
+        analysisContent.push(`\nWindow Title: ${redactionService.redactText(context.windowTitle)}`);
       }
 
-      const result = await this.llmClient.generateContent(analysisContent);
-      const analysisText = result.response.text();
-
-      // Parse the analysis into structured data
-      const structuredAnalysis = this.parseAnalysisResponse(analysisText);
+      const analysis = await this.requestStructured(analysisContent, 'screenshot_analysis', SCREENSHOT_ANALYSIS_SCHEMA);
+      const structuredAnalysis = this.buildStructuredAnalysis(analysis);
       
       // Enhance with additional processing
       const enhancedAnalysis = await this.enhanceAnalysis(structuredAnalysis, context);
@@ -117,8 +162,8 @@ class AnalysisService {
 
       return enhancedAnalysis;
     } catch (error) {
-      console.error('[AnalysisService] Screenshot analysis failed:', error);
-      throw error;
+      console.error('[AnalysisService] Screenshot analysis failed, using local heuristics:', error.message);
+      return { ...this.heuristicAnalyzer.analyze(context), fallback_reason: error.message };
     }
   }
 
@@ -129,13 +174,25 @@ class AnalysisService {
    * @returns {Object} Pattern analysis results
    */
   async analyzePatterns(screenshots, timeframe = '1 hour') {
-    if (!this.llmClient || screenshots.length === 0) {
+    if (screenshots.length === 0) {
       throw new Error('Invalid input for pattern analysis');
     }
 
     try {
       // Use pattern recognizer for computational analysis
       const computationalPatterns = await this.patternRecognizer.analyzeSequence(screenshots);
+
+      if (!this.llmClient) {
+        return {
+          aiAnalysis: null,
+          computationalPatterns,
+          keyInsights: [],
+          recommendations: [],
+          timeframe,
+          screenshotCount: screenshots.length,
+          source: 'heuristic'
+        };
+      }
       
       // Prepare representative screenshots for AI analysis
       const keyScreenshots = this.selectKeyScreenshots(screenshots, 5);
@@ -151,24 +208,20 @@ class AnalysisService {
       ];
 
       // Add key screenshots for visual pattern analysis
-      keyScreenshots.forEach((screenshot, index) => {
+      for (const [index, screenshot] of keyScreenshots.entries()) {
+        const { imagePart } = await this.redactedImagePart(screenshot.base64, screenshot.context);
+        if (!imagePart) continue;
         patternContent.push(`\nScreenshot ${index + 1} (${new Date(screenshot.timestamp).toLocaleTimeString()}):`);
-        patternContent.push({
-          inlineData: {
-            mimeType: 'image/png',
-            data: screenshot.base64
-          }
-        });
-      });
+        patternContent.push(imagePart);
+      }
 
-      const result = await this.llmClient.generateContent(patternContent);
-      const patternAnalysis = result.response.text();
+      const patternAnalysis = await this.requestStructured(patternContent, 'pattern_analysis', PATTERN_ANALYSIS_SCHEMA);
 
       return {
-        aiAnalysis: patternAnalysis,
+        aiAnalysis: patternAnalysis.summary,
         computationalPatterns,
-        keyInsights: this.extractKeyInsights(patternAnalysis),
-        recommendations: this.extractRecommendations(patternAnalysis),
+        keyInsights: patternAnalysis.key_insights,
+        recommendations: patternAnalysis.recommendations,
         timeframe,
         screenshotCount: screenshots.length
       };
@@ -194,22 +247,17 @@ class AnalysisService {
         ? PrivacyAwarePrompts.getPrivacyAwareProductivityPrompt()
         : ActivityPrompts.getProductivityScoringPrompt();
 
+      const { imagePart, reason } = await this.redactedImagePart(base64Image, context);
+      if (!imagePart) {
+        throw new Error(`Screenshot withheld: ${reason}`);
+      }
       const scoringContent = [
         scoringPrompt,
-        {
-          inlineData: {
-            mimeType: 'image/png',
-            data: base64Image
-          }
-        }
+        imagePart
       ];
 
-      const result = await this.llmClient.generateContent(scoringContent);
-      const scoringText = result.response.text();
+      const { explanation, ...scoreData } = await this.requestStructured(scoringContent, 'productivity_score', PRODUCTIVITY_SCORE_SCHEMA);
 
-      // Extract numerical score and breakdown
-      const scoreData = this.parseProductivityScore(scoringText);
-      
       // Enhance with computational scoring
       const computationalScore = await this.productivityScorer.calculateScore(base64Image, context);
       
@@ -217,7 +265,7 @@ class AnalysisService {
         aiScore: scoreData,
         computationalScore,
         combinedScore: this.combineScores(scoreData, computationalScore),
-        analysis: scoringText,
+        analysis: explanation,
         timestamp: context.timestamp || Date.now()
       };
     } catch (error) {
@@ -238,7 +286,7 @@ class AnalysisService {
       const computationalInsights = await this.insightGenerator.generate(analysisHistory, userPreferences);
       
       // Generate AI-powered insights if we have sufficient data
-      if (analysisHistory.length >= 10) {
+      if (this.llmClient && analysisHistory.length >= 10) {
         const insightContent = [
           `You are a productivity consultant analyzing ${analysisHistory.length} work sessions to provide personalized insights.`,
           `\nUser Preferences: ${JSON.stringify(userPreferences, null, 2)}`,
@@ -247,15 +295,14 @@ class AnalysisService {
           `\nProvide specific, actionable recommendations based on this user's patterns and preferences.`
         ];
 
-        const result = await this.llmClient.generateContent(insightContent);
-        const aiInsights = result.response.text();
+        const aiInsights = await this.requestStructured(insightContent, 'personalized_insights', INSIGHTS_SCHEMA);
 
         return {
-          personalizedRecommendations: this.extractRecommendations(aiInsights),
+          personalizedRecommendations: aiInsights.recommendations,
           patternInsights: computationalInsights.patterns,
           productivityTrends: computationalInsights.trends,
           optimizationOpportunities: computationalInsights.opportunities,
-          fullAnalysis: aiInsights
+          fullAnalysis: aiInsights.summary
         };
       }
 
@@ -285,25 +332,21 @@ class AnalysisService {
 
       // Add up to 3 representative screenshots
       const selectedScreenshots = this.selectKeyScreenshots(screenshots, 3);
-      selectedScreenshots.forEach((screenshot, index) => {
+      for (const [index, screenshot] of selectedScreenshots.entries()) {
+        const { imagePart } = await this.redactedImagePart(screenshot.base64, screenshot.context);
+        if (!imagePart) continue;
         appContent.push(`\nScreenshot ${index + 1}:`);
-        appContent.push({
-          inlineData: {
-            mimeType: 'image/png',
-            data: screenshot.base64
-          }
-        });
-      });
+        appContent.push(imagePart);
+      }
 
-      const result = await this.llmClient.generateContent(appContent);
-      const appAnalysis = result.response.text();
+      const appAnalysis = await this.requestStructured(appContent, 'application_analysis', APPLICATION_ANALYSIS_SCHEMA);
 
       return {
         application: appName,
-        usage_patterns: this.extractUsagePatterns(appAnalysis),
-        efficiency_score: this.extractEfficiencyScore(appAnalysis),
-        recommendations: this.extractRecommendations(appAnalysis),
-        full_analysis: appAnalysis
+        usage_patterns: appAnalysis.usage_patterns,
+        efficiency_score: appAnalysis.efficiency_score,
+        recommendations: appAnalysis.recommendations,
+        full_analysis: appAnalysis.summary
       };
     } catch (error) {
       console.error('[AnalysisService] Application analysis failed:', error);
@@ -313,22 +356,69 @@ class AnalysisService {
 
   // Helper methods for data processing
 
-  generateCacheKey(base64Image, context) {
-    const contextStr = JSON.stringify(context);
-    const imageHash = base64Image.substring(0, 100); // Use first 100 chars as hash
-    return `${imageHash}_${Buffer.from(contextStr).toString('base64').substring(0, 50)}`;
+  // The same screen in the same window, whenever it was captured. Images that cannot be decoded
+  // are keyed by their exact content.
+  generateCacheKey(base64Image, context = {}) {
+    const imageHash = hashScreenshot(base64Image)
+      || require('crypto').createHash('sha256').update(base64Image).digest('hex');
+    return JSON.stringify([imageHash, context.activeApplication || null, context.windowTitle || null]);
+  }
+
+  /**
+   * A screenshot as an inlineData part, after local redaction. Nothing leaves the machine before it.
+   * @param {string} base64Image - Screenshot data
+   * @param {Object} context - Context information, for blocked apps and titles
+   * @returns {Promise<{imagePart: Object|null, reason: string|null}>} No part when the screenshot must not be sent
+   */
+  async redactedImagePart(base64Image, context = {}) {
+    const redaction = await redactionService.redactScreenshot(base64Image, {
+      source: 'research',
+      windowContext: { app: context?.activeApplication, title: context?.windowTitle }
+    });
+    if (!redaction.base64) {
+      return { imagePart: null, reason: redaction.reason };
+    }
+    return { imagePart: { inlineData: { mimeType: redaction.mimeType, data: redaction.base64 } }, reason: null };
+  }
+
+  /**
+   * Ask the model for output matching a schema. Content parts are given as for generateContent:
+   * the prompt first, then text and inlineData images.
+   * @param {Array<string|Object>} parts
+   * @param {string} name - Name of the output
+   * @param {Object} schema - JSON schema from analysisSchemas
+   * @returns {Promise<Object>} Output that matches the schema
+   */
+  async requestStructured(parts, name, schema) {
+    const [prompt, ...rest] = parts;
+    const content = rest.map(part => (typeof part === 'string'
+      ? { type: 'text', text: part }
+      : { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } }));
+
+    const { data } = await generateStructured(this.llmClient, [
+      { role: 'system', content: prompt },
+      { role: 'user', content: content.length > 0 ? content : 'Analyze according to the instructions.' }
+    ], { name, schema });
+    return data;
   }
 
-  parseAnalysisResponse(analysisText) {
-    // Extract structured information from AI response
+  buildStructuredAnalysis(analysis) {
+    // The readable text keeps the keywords categorizeActivity and generateTags look for
+    const rawAnalysis = [
+      analysis.summary,
+      `Work type: ${analysis.activity_type}`,
+      `Focus: ${analysis.focus_quality}`,
+      analysis.visual_cues ? `Visual cues: ${analysis.visual_cues}` : null
+    ].filter(Boolean).join('\n');
+
     return {
-      raw_analysis: analysisText,
-      activity_type: this.extractSection(analysisText, 'WORK TYPE CLASSIFICATION'),
-      productivity_score: this.extractProductivityScore(analysisText),
-      focus_quality: this.extractSection(analysisText, 'FOCUS & ATTENTION ANALYSIS'),
-      applications: this.extractApplications(analysisText),
-      visual_cues: this.extractSection(analysisText, 'VISUAL CUE ANALYSIS'),
-      recommendations: this.extractRecommendations(analysisText)
+      raw_analysis: rawAnalysis,
+      activity_type: analysis.activity_type,
+      productivity_score: analysis.productivity_score,
+      focus_quality: analysis.focus_quality,
+      applications: analysis.applications,
+      visual_cues: analysis.visual_cues,
+      recommendations: analysis.recommendations
     };
   }
 
@@ -352,89 +442,6 @@ class AnalysisService {
     return screenshots.filter((_, index) => index % interval === 0).slice(0, maxCount);
   }
 
-  extractSection(text, sectionTitle) {
-    const regex = new RegExp(`## \\d+\\. ${sectionTitle}[\\s\\S]*?(?=##|$)`, 'i');
-    const match = text.match(regex);
-    return match ? match[0].trim() : '';
-  }
-
-  extractProductivityScore(text) {
-    const scoreMatch = text.match(/(\d+(?:\.\d+)?)(?:\s*\/\s*10|\s*out\s*of\s*10)/i);
-    return scoreMatch ? parseFloat(scoreMatch[1]) : null;
-  }
-
-  extractApplications(text) {
-    // Extract mentioned applications
-    const appPatterns = [
-      /vscode|visual studio code/i,
-      /chrome|firefox|safari|browser/i,
-      /slack|teams|discord/i,
-      /zoom|meet|webex/i,
-      /figma|sketch|photoshop/i,
-      /notion|obsidian|roam/i
-    ];
-    
-    const foundApps = [];
-    appPatterns.forEach(pattern => {
-      if (pattern.test(text)) {
-        foundApps.push(pattern.source.split('|')[0]);
-      }
-    });
-    
-    return foundApps;
-  }
-
-  extractRecommendations(text) {
-    // Extract recommendation-like sentences
-    const sentences = text.split(/[.!?]+/);
-    return sentences
-      .filter(s => /recommend|suggest|should|could|consider|try|improve/i.test(s))
-      .map(s => s.trim())
-      .filter(s => s.length > 20);
-  }
-
-  extractKeyInsights(text) {
-    const insights = [];
-    const sections = text.split('##');
-    
-    sections.forEach(section => {
-      if (section.includes('INSIGHT') || section.includes('PATTERN')) {
-        const lines = section.split('\n').filter(line => line.trim().startsWith('-'));
-        insights.push(...lines.map(line => line.replace('-', '').trim()));
-      }
-    });
-    
-    return insights;
-  }
-
-  parseProductivityScore(scoringText) {
-    const scoreMatch = scoringText.match(/(?:final score|total score|productivity score)[:\s]*(\d+)/i);
-    const baseScore = scoringText.match(/base.*score[:\s]*(\d+)/i);
-    const multiplier = scoringText.match(/multiplier[:\s]*(\d+(?:\.\d+)?)/i);
-    
-    return {
-      final_score: scoreMatch ? parseInt(scoreMatch[1]) : null,
-      base_score: baseScore ? parseInt(baseScore[1]) : null,
-      focus_multiplier: multiplier ? parseFloat(multiplier[1]) : null,
-      breakdown: this.extractScoreBreakdown(scoringText)
-    };
-  }
-
-  extractScoreBreakdown(text) {
-    const breakdown = {};
-    const components = ['base', 'focus', 'complexity', 'efficiency', 'deduction'];
-    
-    components.forEach(component => {
-      const regex = new RegExp(`${component}[\\s\\w]*[:\\s]*([+-]?\\d+)`, 'i');
-      const match = text.match(regex);
-      if (match) {
-        breakdown[component] = parseInt(match[1]);
-      }
-    });
-    
-    return breakdown;
-  }
-
   combineScores(aiScore, computationalScore) {
     if (!aiScore?.final_score || !computationalScore?.score) {
       return aiScore?.final_score || computationalScore?.score || 0;
@@ -532,15 +539,6 @@ class AnalysisService {
     if (diff < -1) return 'declining';
     return 'stable';
   }
-
-  extractUsagePatterns(text) {
-    return this.extractSection(text, 'usage patterns') || text.substring(0, 200) + '...';
-  }
-
-  extractEfficiencyScore(text) {
-    const match = text.match(/efficiency[:\s]*(\d+(?:\.\d+)?)/i);
-    return match ? parseFloat(match[1]) : null;
-  }
 }
 
 module.exports = AnalysisService;
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Local Heuristic Activity Analysis
+ * Classifies activity from the active application, window title and URL alone,
+ * for machines without network access or a configured AI provider
+ */
+
+const ProductivityScorer = require('./productivityScorer');
+const PatternRecognizer = require('./patternRecognizer');
+
+// Activity categories keyed by application or site keyword, checked in order
+const APP_CATEGORIES = [
+  { category: 'Research', activityType: 'reading', contentType: 'document', keywords: ['zotero', 'preview', 'acrobat', 'skim', 'okular', 'evince', 'mendeley', 'calibre', 'kindle'] },
+  { category: 'Focus', activityType: 'development', contentType: 'code', keywords: ['code', 'vscode', 'visual studio', 'intellij', 'pycharm', 'webstorm', 'xcode', 'sublime', 'vim', 'emacs', 'atom', 'terminal', 'iterm', 'cmd', 'powershell', 'bash', 'git', 'docker', 'postman', 'rstudio', 'jupyter'] },
+  { category: 'Focus', activityType: 'writing', contentType: 'document', keywords: ['word', 'docs', 'pages', 'overleaf', 'texstudio', 'texshop', 'obsidian', 'notion', 'onenote', 'evernote', 'scrivener', 'sheets', 'excel', 'numbers'] },
+  { category: 'Communication', activityType: 'communication', contentType: 'chat', keywords: ['slack', 'teams', 'discord', 'telegram', 'skype', 'zoom', 'meet', 'webex', 'mail', 'outlook', 'gmail', 'messages', 'whatsapp', 'signal'] },
+  { category: 'Creative', activityType: 'design', contentType: 'design', keywords: ['figma', 'sketch', 'photoshop', 'illustrator', 'aftereffects', 'premiere', 'blender', 'miro', 'powerpoint', 'keynote', 'slides'] },
+  { category: 'Break', activityType: 'entertainment', contentType: 'media', keywords: ['youtube', 'netflix', 'spotify', 'twitch', 'instagram', 'twitter', 'facebook', 'tiktok', 'reddit', 'pinterest', 'steam', 'epic', 'hulu'] },
+  { category: 'Other', activityType: 'system', contentType: 'system', keywords: ['finder', 'explorer', 'settings', 'control panel', 'task manager', 'system preferences'] }
+];
+
+// Browser tabs are classified by site; these refine the category the browser itself would get
+const SITE_CATEGORIES = [
+  { category: 'Focus', activityType: 'development', keywords: ['github', 'gitlab', 'bitbucket', 'colab', 'localhost', 'jira', 'trello', 'asana'] },
+  { category: 'Focus', activityType: 'writing', keywords: ['google docs', 'docs.google', 'overleaf'] },
+  { category: 'Research', activityType: 'research', keywords: ['arxiv', 'scholar.google', 'semanticscholar', 'pubmed', 'jstor', 'sciencedirect', 'springer', 'ieee', 'acm.org', 'researchgate', 'wikipedia', 'coursera', 'udemy', 'pluralsight', '.pdf', 'documentation', 'docs.', 'stackoverflow', 'medium', 'dev.to'] },
+  { category: 'Communication', activityType: 'communication', keywords: ['gmail', 'outlook', 'mail.', 'meet.google', 'zoom.us', 'calendar', 'slack.com', 'teams.microsoft'] },
+  { category: 'Break', activityType: 'entertainment', keywords: ['youtube', 'netflix', 'hulu', 'prime video', 'twitch', 'facebook', 'instagram', 'twitter', 'x.com', 'reddit', 'tiktok', 'amazon', 'ebay', 'news'] }
+];
+
+const BROWSERS = ['chrome', 'firefox', 'safari', 'edge', 'brave', 'arc', 'opera', 'chromium', 'vivaldi', 'browser'];
+
+class HeuristicAnalyzer {
+  constructor({ productivityScorer, patternRecognizer } = {}) {
+    this.productivityScorer = productivityScorer || new ProductivityScorer();
+    this.patternRecognizer = patternRecognizer || new PatternRecognizer();
+  }
+
+  /**
+   * Apply per-user app rating and time modifier overrides
+   * @param {Object} overrides - { appRatings, timeModifiers }
+   */
+  setProductivityOverrides(overrides) {
+    this.productivityScorer.setUserOverrides(overrides);
+  }
+
+  /**
+   * Classify the current activity from window context
+   * @param {Object} context - { activeApplication, windowTitle, url, timestamp }
+   * @returns {Object} Category, activity type, 0-10 score, confidence (0-1), tags and the signals used
+   */
+  classify(context = {}) {
+    const title = this.clean(context.windowTitle);
+    const url = this.clean(context.url);
+    let application = this.clean(context.activeApplication);
+    const signals = [];
+
+    // Fall back to the title when the platform could not name the application
+    if (!application) {
+      const inferred = title ? this.patternRecognizer.inferApplicationFromTitle(title) : 'unknown';
+      if (inferred !== 'unknown') {
+        application = inferred;
+        signals.push('title_inferred_app');
+      }
+    } else {
+      signals.push('active_app');
+    }
+
+    const app = (application || '').toLowerCase();
+    const isBrowser = app && BROWSERS.some(browser => app.includes(browser));
+    const siteText = `${url} ${title}`.toLowerCase();
+
+    let match = null;
+    if (isBrowser) {
+      match = SITE_CATEGORIES.find(entry => entry.keywords.some(keyword => siteText.includes(keyword)));
+      if (match) signals.push('site');
+    }
+    if (!match && app) {
+      match = APP_CATEGORIES.find(entry => entry.keywords.some(keyword => app.includes(keyword)));
+      if (match) signals.push('app_table');
+    }
+    if (!match && /\.pdf\b/i.test(title)) {
+      match = APP_CATEGORIES[0];
+      signals.push('pdf_title');
+    }
+
+    // Scores come from the same tables (and user overrides) as the computational scorer
+    let baseScore = 5;
+    if (isBrowser) {
+      baseScore = this.productivityScorer.refineBrowserScore(siteText);
+    } else if (app) {
+      baseScore = this.productivityScorer.getApplicationScore(app);
+    }
+
+    const hour = new Date(context.timestamp || Date.now()).getHours();
+    const timeModifier = this.productivityScorer.getTimeModifier(hour);
+    const score = Math.max(0, Math.min(10, Math.round(baseScore * timeModifier.modifier * 10) / 10));
+
+    const category = match?.category || (isBrowser ? 'Research' : 'Other');
+    const confidence = match
+      ? (signals.includes('title_inferred_app') ? 0.45 : 0.6)
+      : (app ? 0.35 : 0.2);
+
+    return {
+      application: application || 'unknown',
+      category,
+      activity_type: match?.activityType || (isBrowser ? 'browsing' : 'unknown'),
+      content_type: match?.contentType || (isBrowser ? 'web' : 'unknown'),
+      productivity_score: score,
+      confidence,
+      tags: this.generateTags(category, score, isBrowser),
+      time_period: timeModifier.period,
+      signals
+    };
+  }
+
+  /**
+   * Analysis in the shape AnalysisService.analyzeScreenshot returns
+   * @param {Object} context - { activeApplication, windowTitle, url, timestamp }
+   * @returns {Object} Structured analysis
+   */
+  analyze(context = {}) {
+    const result = this.classify(context);
+    const focusQuality = result.productivity_score >= 7 ? 'high' : result.productivity_score <= 3 ? 'low' : 'medium';
+
+    return {
+      raw_analysis: `Local heuristic analysis: ${result.application} classified as ${result.category} (${result.activity_type}) from ${result.signals.join(', ') || 'no signals'}`,
+      activity_type: result.activity_type,
+      productivity_score: result.productivity_score,
+      focus_quality: focusQuality,
+      applications: result.application === 'unknown' ? [] : [result.application],
+      visual_cues: '',
+      recommendations: [],
+      timestamp: context.timestamp || Date.now(),
+      confidence_score: Math.round(result.confidence * 100),
+      categories: [result.activity_type].filter(type => type !== 'unknown'),
+      tags: result.tags,
+      category: result.category,
+      source: 'heuristic'
+    };
+  }
+
+  /**
+   * Analysis in the shape ActivityService.analyzeScreenshot returns
+   * @param {Object} context - { activeApplication, windowTitle, url, timestamp }
+   * @returns {Object} Activity analysis
+   */
+  analyzeActivity(context = {}) {
+    const result = this.classify(context);
+    const indicator = result.productivity_score >= 7 ? 'high' : result.productivity_score <= 3 ? 'low' : 'medium';
+    const title = this.clean(context.windowTitle);
+
+    return {
+      category: result.category,
+      activity_title: (title || `${result.category} in ${result.application}`).slice(0, 50),
+      confidence: result.confidence,
+      details: {
+        primary_application: result.application === 'unknown' ? 'Unknown' : result.application,
+        content_type: result.content_type,
+        productivity_indicator: indicator,
+        distraction_level: result.category === 'Break' ? 'high' : indicator === 'low' ? 'medium' : 'low'
+      },
+      insights: `Estimated locally from the active window (${result.signals.join(', ') || 'no signals'})`,
+      productivity_score: result.productivity_score,
+      tags: result.tags,
+      timestamp: context.timestamp || Date.now(),
+      source: 'heuristic'
+    };
+  }
+
+  generateTags(category, score, isBrowser) {
+    const tags = ['heuristic'];
+    if (category === 'Focus') tags.push('focused');
+    if (category === 'Break') tags.push('distracted');
+    if (isBrowser) tags.push('browser');
+
+    if (score > 7) tags.push('high-productivity');
+    else if (score < 4) tags.push('low-productivity');
+
+    return tags;
+  }
+
+  clean(value) {
+    if (!value || value === 'unknown') return '';
+    return String(value).trim();
+  }
+}
+
+module.exports = HeuristicAnalyzer;
@@ -61,6 +61,48 @@ class ProductivityScorer {
       night: { start: 20, end: 24, modifier: 0.8 },        // 8-12 AM: lower productivity
       lateNight: { start: 0, end: 5, modifier: 0.6 }       // 12-5 AM: very low productivity
     };
+
+    // Per-user overrides, consulted before the built-in tables above
+    this.userOverrides = {
+      appRatings: {},
+      timeModifiers: {}
+    };
+  }
+
+  /**
+   * Replace the per-user rating overrides
+   * @param {Object} overrides - { appRatings: { app: 0-10 }, timeModifiers: { period: { start, end, modifier } } }
+   */
+  setUserOverrides(overrides = {}) {
+    const appRatings = {};
+    for (const [app, rating] of Object.entries(overrides.appRatings || {})) {
+      appRatings[app.toLowerCase()] = rating;
+    }
+
+    this.userOverrides = {
+      appRatings,
+      timeModifiers: { ...(overrides.timeModifiers || {}) }
+    };
+  }
+
+  /**
+   * Look up a user app rating override (exact match first, then partial)
+   * @param {string} appName - Lowercased application name or window title
+   * @returns {number|null} Rating override, or null when none applies
+   */
+  getUserAppRating(appName) {
+    const ratings = this.userOverrides.appRatings;
+    if (ratings[appName] !== undefined) {
+      return ratings[appName];
+    }
+
+    for (const [key, value] of Object.entries(ratings)) {
+      if (appName.includes(key)) {
+        return value;
+      }
+    }
+
+    return null;
   }
 
   /**
@@ -368,6 +410,12 @@ class ProductivityScorer {
   // Helper methods
 
   getApplicationScore(appName) {
+    // User overrides take precedence over the built-in table
+    const userRating = this.getUserAppRating(appName);
+    if (userRating !== null) {
+      return userRating;
+    }
+
     // Check exact matches first
     if (this.appProductivityRatings[appName]) {
       return this.appProductivityRatings[appName];
@@ -397,6 +445,10 @@ class ProductivityScorer {
 
   refineBrowserScore(windowTitle) {
     const title = windowTitle.toLowerCase();
+
+    // Sites the user has rated explicitly (e.g. youtube for lecture recordings)
+    const userRating = this.getUserAppRating(title);
+    if (userRating !== null) return userRating;
     
     // Work-related sites
     if (title.includes('github') || title.includes('gitlab') || title.includes('bitbucket')) return 9;
@@ -482,6 +534,12 @@ class ProductivityScorer {
   }
 
   getTimeModifier(hour) {
+    for (const [period, timeRange] of Object.entries(this.userOverrides.timeModifiers)) {
+      if (hour >= timeRange.start && hour < timeRange.end) {
+        return { period, modifier: timeRange.modifier, userDefined: true };
+      }
+    }
+
     for (const [period, timeRange] of Object.entries(this.timeModifiers)) {
       if (hour >= timeRange.start && hour < timeRange.end) {
         return { period, modifier: timeRange.modifier };
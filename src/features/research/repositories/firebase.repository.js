@@ -141,7 +141,7 @@ class ResearchFirebaseRepository {
       uid: eventData.uid,
       event_type: eventData.event_type,
       event_data: eventData.event_data || {},
-      timestamp: new Date().toISOString()
+      timestamp: eventData.timestamp || new Date().toISOString()
     };
 
     const docRef = await db.collection('research_events').add(eventDoc);
@@ -152,6 +152,40 @@ class ResearchFirebaseRepository {
     };
   }
 
+  async getSessionEvents(sessionId, eventType = null, uid) {
+    const db = firebaseClient.getDb();
+
+    let query = db.collection('research_events')
+      .where('session_id', '==', sessionId)
+      .where('uid', '==', uid);
+
+    if (eventType) {
+      query = query.where('event_type', '==', eventType);
+    }
+
+    const snapshot = await query.orderBy('timestamp', 'asc').get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  async getSessionsByTitle(title, uid) {
+    const db = firebaseClient.getDb();
+
+    const snapshot = await db.collection('research_sessions')
+      .where('uid', '==', uid)
+      .where('title', '==', title)
+      .orderBy('start_time', 'asc')
+      .get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
   /**
    * Store AI analysis results
    */
@@ -558,6 +592,15 @@ class ResearchFirebaseRepository {
       ...doc.data()
     }));
   }
+
+  // Workspace archives move the local database between machines; Firestore data is already synced
+  async exportWorkspaceTables(uid) {
+    throw new Error('Workspace export is only available for local (SQLite) data');
+  }
+
+  async importWorkspaceTables(tables, uid, options = {}) {
+    throw new Error('Workspace import is only available for local (SQLite) data');
+  }
 }
 
 module.exports = new ResearchFirebaseRepository();
\ No newline at end of file
@@ -46,6 +46,22 @@ const researchRepositoryAdapter = {
         return getBaseRepository().getDailyStats(date, uid);
     },
 
+    getSessionsByTitle: (title) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getSessionsByTitle(title, uid);
+    },
+
+    // Session event methods
+    addEvent: (eventData) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().addEvent({ uid, ...eventData });
+    },
+
+    getSessionEvents: (sessionId, eventType) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getSessionEvents(sessionId, eventType, uid);
+    },
+
     // AI Analysis methods
     createAnalysis: (analysisData) => {
         const uid = authService.getCurrentUserId();
@@ -116,6 +132,17 @@ const researchRepositoryAdapter = {
     getAnalysisInRange: (startTime, endTime, projectId) => {
         const uid = authService.getCurrentUserId();
         return getBaseRepository().getAnalysisInRange(startTime, endTime, projectId, uid);
+    },
+
+    // Workspace archive methods
+    exportWorkspaceTables: () => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().exportWorkspaceTables(uid);
+    },
+
+    importWorkspaceTables: (tables, options) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().importWorkspaceTables(tables, uid, options);
     }
 };
 
@@ -1,4 +1,31 @@
 const sqliteClient = require('../../common/services/sqliteClient');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+
+// Tables included in a workspace archive, in import order (parents before children).
+// Auto-increment tables are matched on a natural key because their ids differ per machine.
+const WORKSPACE_TABLES = [
+  { name: 'research_projects', key: 'id' },
+  { name: 'sessions', key: 'id' },
+  { name: 'activities', key: 'id', references: { project_id: 'research_projects' } },
+  { name: 'activity_captures', key: 'id' },
+  { name: 'activity_time_blocks', key: 'id' },
+  { name: 'activity_categorization_rules', key: 'id' },
+  {
+    name: 'research_sessions',
+    key: 'id',
+    autoIncrement: true,
+    naturalKey: ['start_time', 'title'],
+    references: { project_id: 'research_projects' }
+  },
+  {
+    name: 'research_analysis',
+    key: 'id',
+    autoIncrement: true,
+    naturalKey: ['session_id', 'timestamp'],
+    references: { session_id: 'research_sessions' }
+  },
+  { name: 'summaries', key: 'session_id', references: { session_id: 'sessions' } }
+];
 
 class ResearchSqliteRepository {
   async initialize() {
@@ -106,20 +133,21 @@ class ResearchSqliteRepository {
   async createSession(sessionData) {
     const db = sqliteClient.getDb();
     
-    const result = await db.run(`
-      INSERT INTO research_sessions (uid, title, session_type, start_time, pdf_source, metadata)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [
+    const result = db.prepare(`
+      INSERT INTO research_sessions (uid, title, session_type, start_time, pdf_source, metadata, project_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
       sessionData.uid,
       sessionData.title,
       sessionData.session_type || 'pdf_reading',
       sessionData.start_time,
       sessionData.pdf_source || '',
-      JSON.stringify(sessionData.metadata || {})
-    ]);
+      JSON.stringify(sessionData.metadata || {}),
+      sessionData.project_id || null
+    );
 
     return {
-      id: result.lastID,
+      id: result.lastInsertRowid,
       ...sessionData
     };
   }
@@ -150,11 +178,11 @@ class ResearchSqliteRepository {
     params.push(sessionId);
     params.push(updates.uid);
 
-    await db.run(`
+    db.prepare(`
       UPDATE research_sessions
       SET ${fields.join(', ')}
       WHERE id = ? AND uid = ?
-    `, params);
+    `).run(...params);
 
     return true;
   }
@@ -162,10 +190,10 @@ class ResearchSqliteRepository {
   async getSessionById(sessionId, uid) {
     const db = sqliteClient.getDb();
     
-    const session = await db.get(`
+    const session = db.prepare(`
       SELECT * FROM research_sessions
       WHERE id = ? AND uid = ?
-    `, [sessionId, uid]);
+    `).get(sessionId, uid);
 
     if (session) {
       session.metadata = JSON.parse(session.metadata || '{}');
@@ -227,22 +255,68 @@ class ResearchSqliteRepository {
   async addEvent(eventData) {
     const db = sqliteClient.getDb();
     
-    const result = await db.run(`
-      INSERT INTO research_events (session_id, uid, event_type, event_data)
-      VALUES (?, ?, ?, ?)
-    `, [
+    const timestamp = eventData.timestamp || new Date().toISOString();
+    const result = db.prepare(`
+      INSERT INTO research_events (session_id, uid, event_type, event_data, timestamp)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
       eventData.session_id,
       eventData.uid,
       eventData.event_type,
-      JSON.stringify(eventData.event_data || {})
-    ]);
+      JSON.stringify(eventData.event_data || {}),
+      timestamp
+    );
 
     return {
-      id: result.lastID,
-      ...eventData
+      id: result.lastInsertRowid,
+      ...eventData,
+      timestamp
     };
   }
 
+  /**
+   * Get a session's events in chronological order, optionally of one type
+   */
+  async getSessionEvents(sessionId, eventType = null, uid) {
+    const db = sqliteClient.getDb();
+
+    let query = `
+      SELECT * FROM research_events
+      WHERE session_id = ? AND uid = ?
+    `;
+    const params = [sessionId, uid];
+
+    if (eventType) {
+      query += ' AND event_type = ?';
+      params.push(eventType);
+    }
+
+    query += ' ORDER BY timestamp ASC, id ASC';
+
+    return db.prepare(query).all(...params).map(event => ({
+      ...event,
+      event_data: JSON.parse(event.event_data || '{}')
+    }));
+  }
+
+  /**
+   * Get every session for the same document, oldest first
+   */
+  async getSessionsByTitle(title, uid) {
+    const db = sqliteClient.getDb();
+
+    const sessions = db.prepare(`
+      SELECT * FROM research_sessions
+      WHERE title = ? AND uid = ?
+      ORDER BY start_time ASC
+    `).all(title, uid);
+
+    return sessions.map(session => ({
+      ...session,
+      metadata: JSON.parse(session.metadata || '{}')
+    }));
+  }
+
   /**
    * Store AI analysis results
    */
@@ -651,6 +725,195 @@ class ResearchSqliteRepository {
       tags: JSON.parse(analysis.tags || '[]')
     }));
   }
+
+  /**
+   * Read all workspace rows owned by a user, keyed by table name.
+   * Only the listen sessions that have a summary are included, as summary parents.
+   * @param {string} uid - User ID
+   * @returns {Promise<Object>} { tables: { [name]: rows[] }, columns: { [name]: string[] } }
+   */
+  async exportWorkspaceTables(uid) {
+    const db = sqliteClient.getDb();
+    const existingTables = sqliteClient.getTablesFromDb();
+    const tables = {};
+    const columns = {};
+
+    for (const spec of WORKSPACE_TABLES) {
+      if (!existingTables.includes(spec.name)) {
+        tables[spec.name] = [];
+        columns[spec.name] = [];
+        continue;
+      }
+
+      let query;
+      if (spec.name === 'sessions') {
+        query = 'SELECT * FROM sessions WHERE uid = ? AND id IN (SELECT session_id FROM summaries)';
+      } else if (spec.name === 'summaries') {
+        query = 'SELECT su.* FROM summaries su JOIN sessions s ON s.id = su.session_id WHERE s.uid = ?';
+      } else {
+        query = `SELECT * FROM ${spec.name} WHERE uid = ?`;
+      }
+
+      tables[spec.name] = db.prepare(query).all(uid);
+      columns[spec.name] = this._getTableColumns(db, spec.name);
+    }
+
+    return { tables, columns };
+  }
+
+  /**
+   * Merge archived workspace rows into the local database.
+   * Rows are re-owned by the importing user and foreign keys are remapped
+   * when a parent row ends up with a different id.
+   * @param {Object} tables - Rows keyed by table name
+   * @param {string} uid - User ID of the importing user
+   * @param {Object} options - { conflictStrategy: 'skip' | 'replace' | 'keep-both' }
+   * @returns {Promise<Object>} Per-table counts of inserted/replaced/duplicated/skipped rows
+   */
+  async importWorkspaceTables(tables, uid, options = {}) {
+    const db = sqliteClient.getDb();
+    const conflictStrategy = options.conflictStrategy || 'skip';
+    const existingTables = sqliteClient.getTablesFromDb();
+    const idMaps = {};
+    const stats = {};
+
+    const runImport = db.transaction(() => {
+      for (const spec of WORKSPACE_TABLES) {
+        const rows = Array.isArray(tables[spec.name]) ? tables[spec.name] : [];
+        const tableStats = { inserted: 0, replaced: 0, duplicated: 0, skipped: 0 };
+        const idMap = new Map();
+        idMaps[spec.name] = idMap;
+        stats[spec.name] = tableStats;
+
+        if (!existingTables.includes(spec.name)) {
+          tableStats.skipped = rows.length;
+          continue;
+        }
+
+        const columns = this._getTableColumns(db, spec.name);
+
+        for (const archivedRow of rows) {
+          const row = this._prepareImportedRow(archivedRow, spec, columns, idMaps, uid);
+          const archivedId = archivedRow[spec.key];
+          let existing = this._findExistingWorkspaceRow(db, spec, row, columns, uid);
+
+          // The id belongs to another user's row: import under an id derived from the
+          // archived one, so that importing the same archive again finds it
+          if (!existing && !spec.autoIncrement && this._workspaceKeyTaken(db, spec, row)) {
+            if (spec.references && spec.references[spec.key]) {
+              tableStats.skipped++;
+              continue;
+            }
+            row[spec.key] = uuidv5(`${uid}/${archivedId}`, uuidv5.URL);
+            existing = this._findExistingWorkspaceRow(db, spec, row, columns, uid);
+          }
+
+          if (!existing) {
+            const newId = this._insertWorkspaceRow(db, spec, row);
+            idMap.set(archivedId, newId);
+            tableStats.inserted++;
+            continue;
+          }
+
+          // A key that is itself a reference (summaries.session_id) cannot be duplicated
+          const canDuplicate = !(spec.references && spec.references[spec.key]);
+
+          if (conflictStrategy === 'replace') {
+            this._updateWorkspaceRow(db, spec, row, existing[spec.key], columns, uid);
+            idMap.set(archivedId, existing[spec.key]);
+            tableStats.replaced++;
+          } else if (conflictStrategy === 'keep-both' && canDuplicate) {
+            if (!spec.autoIncrement) {
+              row[spec.key] = uuidv4();
+            }
+            const newId = this._insertWorkspaceRow(db, spec, row);
+            idMap.set(archivedId, newId);
+            tableStats.duplicated++;
+          } else {
+            idMap.set(archivedId, existing[spec.key]);
+            tableStats.skipped++;
+          }
+        }
+      }
+    });
+
+    runImport();
+    return stats;
+  }
+
+  _getTableColumns(db, tableName) {
+    return db.prepare(`PRAGMA table_info(${tableName})`).all().map(col => col.name);
+  }
+
+  _prepareImportedRow(archivedRow, spec, columns, idMaps, uid) {
+    const row = {};
+    for (const column of columns) {
+      if (archivedRow[column] !== undefined) {
+        row[column] = archivedRow[column];
+      }
+    }
+
+    if (columns.includes('uid')) {
+      row.uid = uid;
+    }
+
+    for (const [column, parentTable] of Object.entries(spec.references || {})) {
+      const parentMap = idMaps[parentTable];
+      if (row[column] != null && parentMap && parentMap.has(row[column])) {
+        row[column] = parentMap.get(row[column]);
+      }
+    }
+
+    if (spec.autoIncrement) {
+      delete row[spec.key];
+    }
+
+    return row;
+  }
+
+  // Rows are owned through their uid column, or through their parent session for summaries
+  _workspaceOwnerCondition(spec, columns) {
+    if (columns.includes('uid')) {
+      return 'uid = ?';
+    }
+    const parentTable = spec.references && spec.references[spec.key];
+    return `${spec.key} IN (SELECT id FROM ${parentTable} WHERE uid = ?)`;
+  }
+
+  _findExistingWorkspaceRow(db, spec, row, columns, uid) {
+    if (spec.autoIncrement) {
+      const conditions = spec.naturalKey.map(column => `${column} IS ?`).join(' AND ');
+      return db.prepare(`SELECT ${spec.key} FROM ${spec.name} WHERE uid = ? AND ${conditions}`)
+        .get(uid, ...spec.naturalKey.map(column => row[column] ?? null));
+    }
+
+    const owner = this._workspaceOwnerCondition(spec, columns);
+    return db.prepare(`SELECT ${spec.key} FROM ${spec.name} WHERE ${spec.key} = ? AND ${owner}`)
+      .get(row[spec.key], uid);
+  }
+
+  _workspaceKeyTaken(db, spec, row) {
+    return !!db.prepare(`SELECT 1 FROM ${spec.name} WHERE ${spec.key} = ?`).get(row[spec.key]);
+  }
+
+  _insertWorkspaceRow(db, spec, row) {
+    const columns = Object.keys(row);
+    const placeholders = columns.map(() => '?').join(', ');
+    const result = db.prepare(`INSERT INTO ${spec.name} (${columns.join(', ')}) VALUES (${placeholders})`)
+      .run(...columns.map(column => row[column]));
+
+    return spec.autoIncrement ? result.lastInsertRowid : row[spec.key];
+  }
+
+  _updateWorkspaceRow(db, spec, row, existingId, tableColumns, uid) {
+    const columns = Object.keys(row).filter(column => column !== spec.key);
+    if (columns.length === 0) return;
+
+    const assignments = columns.map(column => `${column} = ?`).join(', ');
+    const owner = this._workspaceOwnerCondition(spec, tableColumns);
+    db.prepare(`UPDATE ${spec.name} SET ${assignments} WHERE ${spec.key} = ? AND ${owner}`)
+      .run(...columns.map(column => row[column]), existingId, uid);
+  }
 }
 
 module.exports = new ResearchSqliteRepository();
\ No newline at end of file
@@ -1,11 +1,23 @@
 const researchRepository = require('./repositories');
-const { BrowserWindow, desktopCapturer } = require('electron');
+const { BrowserWindow } = require('electron');
 const AnalysisService = require('./ai/analysisService');
 const settingsService = require('../settings/settingsService');
+const modelStateService = require('../common/services/modelStateService');
+const { getProviderHealth } = require('../common/ai/factory');
+const usageService = require('../common/services/usageService');
+const redactionService = require('../common/services/redactionService');
 const CacheService = require('./services/cacheService');
 const ProjectService = require('./services/projectService');
 const AnalyticsService = require('./services/analyticsService');
 const ZoteroService = require('./services/zoteroService');
+const BibliographyService = require('./services/bibliographyService');
+const WorkspaceService = require('./services/workspaceService');
+const ReadingService = require('./services/readingService');
+const activityRepository = require('../activity/repositories');
+const internalBridge = require('../../bridge/internalBridge');
+const { getActiveWindow } = require('../common/utils/activeWindow');
+const { captureDisplays } = require('../common/utils/screenCapture');
+const { hashImage, hashScreenshot, isSimilar } = require('../common/utils/perceptualHash');
 const { EventEmitter } = require('events');
 
 class ResearchService extends EventEmitter {
@@ -22,11 +34,18 @@ class ResearchService extends EventEmitter {
     this.projectService = new ProjectService();
     this.analyticsService = new AnalyticsService();
     this.zoteroService = new ZoteroService();
+    this.zoteroNoteWrites = new Map(); // Session ID -> write in progress, so a session gets one note
+    this.bibliographyService = new BibliographyService();
+    this.workspaceService = new WorkspaceService();
+    this.readingService = new ReadingService();
     this.aiEnabled = false;
     this.screenshotHistory = [];
     this.analysisHistory = [];
     this.lastScreenshotTime = 0;
     this.screenshotInterval = 60000; // Take screenshot every minute during tracking
+    this.lastAnalyzedScreen = null; // { hash, app, analysis, at } of the last AI analysis
+    this.maxReusedAnalysisAge = 5 * 60 * 1000; // Analyze an unchanged screen again after 5 minutes
+    this.analysisCalls = { made: 0, saved: 0 };
     this.realTimeUpdates = new Map(); // For WebSocket-like updates
   }
 
@@ -41,9 +60,16 @@ class ResearchService extends EventEmitter {
       await this.projectService.initialize();
       await this.analyticsService.initialize();
       await this.zoteroService.initialize();
+      await this.bibliographyService.initialize();
       
       // Initialize AI analysis if API keys are available
       await this.initializeAI();
+
+      // Apply the user's productivity rating overrides and keep them in sync
+      await this.loadProductivityOverrides();
+      internalBridge.on('activity:productivity-overrides-updated', (overrides) => {
+        this.analysisService.setProductivityOverrides(overrides);
+      });
       
       // Setup real-time update cleanup
       setInterval(() => this.cleanupOldUpdates(), 30000); // Clean every 30 seconds
@@ -55,6 +81,18 @@ class ResearchService extends EventEmitter {
     }
   }
 
+  /**
+   * Load persisted productivity rating overrides into the scorer
+   */
+  async loadProductivityOverrides() {
+    try {
+      const overrides = await activityRepository.getProductivityOverrides();
+      this.analysisService.setProductivityOverrides(overrides);
+    } catch (error) {
+      console.warn('[Research Service] Could not load productivity overrides:', error.message);
+    }
+  }
+
   /**
    * Update AI configuration when settings change
    */
@@ -68,92 +106,32 @@ class ResearchService extends EventEmitter {
    */
   async initializeAI() {
     try {
+      this.aiEnabled = false;
       const settings = await settingsService.getSettings();
       
       // Configure privacy mode based on settings (default: enabled for privacy)
       const privacyMode = settings.research?.privacyMode !== false; // Default to true
       this.analysisService.setPrivacyMode(privacyMode);
       
-      // Get selected research provider (default: gemini)
+      // Selected research provider (default: gemini) first, then the other providers with an API key;
+      // requests fall back through them at call time
       const selectedProvider = settings.research?.provider || 'gemini';
       console.log('[Research Service] Using selected provider:', selectedProvider);
-      
-      // Try to initialize with the selected provider first
-      if (selectedProvider === 'gemini' && settings.gemini?.apiKey) {
-        const success = await this.analysisService.initialize(
-          settings.gemini.apiKey, 
-          'gemini', 
-          'gemini-2.5-flash'
-        );
-        if (success) {
-          this.aiEnabled = true;
-          console.log('[Research Service] AI analysis enabled with Gemini', privacyMode ? '(Privacy Mode)' : '(Detailed Mode)');
-          return;
-        }
-      }
-      
-      if (selectedProvider === 'openai' && settings.openai?.apiKey) {
-        const success = await this.analysisService.initialize(
-          settings.openai.apiKey, 
-          'openai', 
-          'gpt-4o'
-        );
-        if (success) {
-          this.aiEnabled = true;
-          console.log('[Research Service] AI analysis enabled with OpenAI', privacyMode ? '(Privacy Mode)' : '(Detailed Mode)');
-          return;
-        }
-      }
-      
-      if (selectedProvider === 'ollama') {
-        // Check if Ollama is running
-        const ollamaService = require('../common/services/ollamaService');
-        const status = await ollamaService.handleGetStatus();
-        
-        if (status.success && status.running) {
-          const success = await this.analysisService.initialize(
-            'local', // Ollama uses local connection
-            'ollama', 
-            'llama3.2:3b' // Default Ollama model
-          );
-          if (success) {
-            this.aiEnabled = true;
-            console.log('[Research Service] AI analysis enabled with Ollama', privacyMode ? '(Privacy Mode)' : '(Detailed Mode)');
-            return;
-          }
-        } else {
-          console.log('[Research Service] Ollama not available - not running');
-        }
-      }
-      
-      // Fallback to other available providers if selected one fails
-      if (selectedProvider !== 'gemini' && settings.gemini?.apiKey) {
-        const success = await this.analysisService.initialize(
-          settings.gemini.apiKey, 
-          'gemini', 
-          'gemini-2.5-flash'
-        );
-        if (success) {
-          this.aiEnabled = true;
-          console.log('[Research Service] AI analysis enabled with Gemini (fallback)', privacyMode ? '(Privacy Mode)' : '(Detailed Mode)');
-          return;
-        }
-      }
-      
-      if (selectedProvider !== 'openai' && settings.openai?.apiKey) {
-        const success = await this.analysisService.initialize(
-          settings.openai.apiKey, 
-          'openai', 
-          'gpt-4o'
-        );
+
+      const [primary, ...fallbacks] = await modelStateService.getLLMCandidates('research', selectedProvider);
+      if (primary) {
+        const success = await this.analysisService.initialize(primary.apiKey, primary.provider, primary.model, fallbacks);
         if (success) {
           this.aiEnabled = true;
-          console.log('[Research Service] AI analysis enabled with OpenAI (fallback)', privacyMode ? '(Privacy Mode)' : '(Detailed Mode)');
+          const chain = [primary, ...fallbacks].map(candidate => candidate.provider).join(' → ');
+          console.log(`[Research Service] AI analysis enabled with ${chain}`, privacyMode ? '(Privacy Mode)' : '(Detailed Mode)');
           return;
         }
       }
       
-      console.log('[Research Service] AI analysis not available - no valid API keys');
+      // Tracking, insights and dashboards keep working on local heuristics
+      this.analysisService.disableAI();
+      console.log('[Research Service] AI analysis not available - no valid API keys, using local heuristic analysis');
     } catch (error) {
       console.error('[Research Service] Failed to initialize AI:', error);
     }
@@ -174,10 +152,8 @@ class ResearchService extends EventEmitter {
       this.performPeriodicAnalysis();
     }, this.checkInterval);
 
-    // Take initial screenshot if AI is enabled
-    if (this.aiEnabled) {
-      await this.captureAndAnalyze();
-    }
+    // Take initial screenshot (analyzed locally when AI is not configured)
+    await this.captureAndAnalyze({ automatic: true });
 
     return { success: true, message: 'Research tracking started' };
   }
@@ -214,6 +190,14 @@ class ResearchService extends EventEmitter {
           console.log(`[Research Service] New PDF detected: ${detectedPDF.title}`);
           await this.handleNewPDF(detectedPDF);
           this.lastDetectedPDF = detectedPDF;
+        } else if (detectedPDF.page && detectedPDF.page !== this.lastDetectedPDF.page) {
+          await this.readingService.recordPageTransition(this.currentSession, {
+            fromPage: this.lastDetectedPDF.page,
+            toPage: detectedPDF.page,
+            pageCount: detectedPDF.pageCount,
+            viewer: detectedPDF.viewer
+          });
+          this.lastDetectedPDF = detectedPDF;
         }
       } else {
         if (this.lastDetectedPDF) {
@@ -245,25 +229,14 @@ class ResearchService extends EventEmitter {
           title.includes('Foxit') ||
           title.includes('Sumatra')
         )) {
-          // Extract PDF name from title
-          let pdfTitle = title;
-          
-          // Handle Zotero format: "Author - Title - Zotero"
-          if (title.includes('Zotero')) {
-            const parts = title.split(' - ');
-            if (parts.length >= 2) {
-              pdfTitle = parts.slice(0, -1).join(' - ');
-            }
-          }
-          
-          // Handle standard PDF format
-          const pdfMatch = title.match(/([^\/\\]+\.pdf)/i);
-          if (pdfMatch) {
-            pdfTitle = pdfMatch[1];
-          }
+          // Extract PDF name and, where the viewer shows it, the current page
+          const parsed = this.readingService.parseWindowTitle(title);
           
           return {
-            title: pdfTitle,
+            title: parsed.title,
+            page: parsed.page,
+            pageCount: parsed.pageCount,
+            viewer: parsed.viewer,
             source: title.includes('Zotero') ? 'zotero' : 'pdf-reader',
             timestamp: new Date().toISOString()
           };
@@ -281,25 +254,35 @@ class ResearchService extends EventEmitter {
         await this.endCurrentSession();
       }
 
-      // Check if this PDF is associated with a Zotero paper
-      const zoteroData = await this.zoteroService.findPaperByTitle(pdfData.title);
+      // Check if this PDF is associated with a Zotero paper, falling back to local bibliography files
+      const zoteroData = this.zoteroService.isConnected
+        ? await this.zoteroService.findPaperByTitle(pdfData.title)
+        : null;
+      const bibliographyData = zoteroData ? null : await this.bibliographyService.findPaperByTitle(pdfData.title);
+      const paper = zoteroData || bibliographyData;
       
       // Determine or create project for this session
       let project = this.currentProject;
-      if (!project && zoteroData) {
+      if (!project && paper) {
         // Try to find existing project for this paper
-        project = await this.projectService.findProjectByZoteroKey(zoteroData.key);
+        project = zoteroData
+          ? await this.projectService.findProjectByZoteroKey(zoteroData.key)
+          : await this.projectService.findProjectByCitationKey(bibliographyData.key);
         if (!project) {
-          // Create new project from Zotero data
+          // Create new project from the library entry
           project = await this.projectService.createProject({
-            name: zoteroData.title,
-            description: zoteroData.abstract || 'Research project created from Zotero paper',
-            zotero_key: zoteroData.key,
+            name: paper.title,
+            description: paper.abstractNote || `Research project created from ${zoteroData ? 'Zotero paper' : 'bibliography entry'}`,
+            zotero_key: zoteroData ? zoteroData.key : null,
             metadata: {
-              creators: zoteroData.creators,
-              doi: zoteroData.DOI,
-              url: zoteroData.url,
-              tags: zoteroData.tags
+              creators: paper.creators,
+              doi: paper.DOI,
+              url: paper.url,
+              tags: paper.tags,
+              ...(bibliographyData && {
+                citation_key: bibliographyData.key,
+                bibliography_file: bibliographyData.file
+              })
             }
           });
         }
@@ -314,11 +297,20 @@ class ResearchService extends EventEmitter {
         pdf_source: pdfData.source,
         metadata: {
           zotero_data: zoteroData,
+          bibliography_data: bibliographyData,
           detected_source: pdfData.source
         }
       });
 
       this.currentProject = project;
+
+      if (pdfData.page) {
+        await this.readingService.recordPageTransition(this.currentSession, {
+          toPage: pdfData.page,
+          pageCount: pdfData.pageCount,
+          viewer: pdfData.viewer
+        });
+      }
       
       // Emit real-time update
       this.emitUpdate('session-started', {
@@ -356,7 +348,8 @@ class ResearchService extends EventEmitter {
     return {
       isTracking: this.isTracking,
       currentSession: this.currentSession,
-      lastDetectedPDF: this.lastDetectedPDF
+      lastDetectedPDF: this.lastDetectedPDF,
+      analysisCalls: { ...this.analysisCalls } // AI analyses made, and skipped for unchanged screens on automatic captures
     };
   }
 
@@ -393,7 +386,18 @@ class ResearchService extends EventEmitter {
 
   async getSessionDetails(sessionId) {
     try {
-      return await researchRepository.getSessionById(sessionId);
+      const session = await researchRepository.getSessionById(sessionId);
+      if (!session) return null;
+
+      // Page-level reading metrics are best effort; the session itself is still useful without them
+      let reading = null;
+      try {
+        reading = await this.readingService.getReadingMetrics(session);
+      } catch (error) {
+        console.warn('[Research Service] Failed to compute reading metrics:', error.message);
+      }
+
+      return { ...session, reading };
     } catch (error) {
       console.error('[Research Service] Failed to get session details:', error);
       return null;
@@ -404,11 +408,11 @@ class ResearchService extends EventEmitter {
    * Perform periodic AI analysis if enabled
    */
   async performPeriodicAnalysis() {
-    if (!this.aiEnabled || !this.isTracking) return;
+    if (!this.isTracking) return;
     
     const now = Date.now();
     if (now - this.lastScreenshotTime >= this.screenshotInterval) {
-      await this.captureAndAnalyze();
+      await this.captureAndAnalyze({ automatic: true });
       this.lastScreenshotTime = now;
     }
   }
@@ -479,34 +483,24 @@ class ResearchService extends EventEmitter {
   }
 
   /**
-   * Capture screenshot using desktop capturer
+   * Capture the displays chosen in the activity settings
    */
   async captureScreenshot() {
     try {
-      const sources = await desktopCapturer.getSources({
-        types: ['screen'],
-        thumbnailSize: {
-          width: 1920,
-          height: 1080
-        }
+      const settings = await activityRepository.getSettings();
+      const capture = await captureDisplays({
+        mode: settings?.captureDisplays,
+        displayIds: settings?.captureDisplayIds
       });
 
-      if (sources.length === 0) {
-        return { success: false, error: 'No screen sources available' };
-      }
-
-      const primaryScreen = sources[0];
-      const thumbnail = primaryScreen.thumbnail;
-      
-      // Convert to base64
-      const base64 = thumbnail.toPNG().toString('base64');
-      const size = thumbnail.getSize();
-
       return {
         success: true,
-        base64,
-        width: size.width,
-        height: size.height
+        base64: capture.image.toPNG().toString('base64'),
+        hash: hashImage(capture.image),
+        width: capture.width,
+        height: capture.height,
+        capture_mode: capture.mode,
+        displays: capture.displays
       };
     } catch (error) {
       return { success: false, error: error.message };
@@ -573,7 +567,7 @@ class ResearchService extends EventEmitter {
    * Generate comprehensive insights from analysis history
    */
   async generateInsights(timeframe = '24h') {
-    if (!this.aiEnabled || this.analysisHistory.length < 5) {
+    if (this.analysisHistory.length < 5) {
       return {
         error: 'Insufficient data for insights',
         message: 'Continue using the system to generate meaningful insights'
@@ -653,8 +647,8 @@ class ResearchService extends EventEmitter {
    * Get productivity score for current activity
    */
   async getCurrentProductivityScore() {
-    if (!this.aiEnabled || this.analysisHistory.length === 0) {
-      return { score: null, message: 'AI analysis not available' };
+    if (this.analysisHistory.length === 0) {
+      return { score: null, message: 'No analysis yet' };
     }
 
     const latest = this.analysisHistory[this.analysisHistory.length - 1];
@@ -662,7 +656,8 @@ class ResearchService extends EventEmitter {
       score: latest.productivity_score || 0,
       timestamp: latest.timestamp,
       confidence: latest.confidence_score || 0,
-      analysis: latest.activity_type || 'unknown'
+      analysis: latest.activity_type || 'unknown',
+      source: latest.source || 'ai'
     };
   }
 
@@ -708,15 +703,18 @@ class ResearchService extends EventEmitter {
   }
 
   /**
-   * Get AI analysis status
+   * Get AI analysis status, with the circuit state of failing providers and the provider that
+   * last served each feature
    */
   getAIStatus() {
     return {
       enabled: this.aiEnabled,
+      mode: this.aiEnabled ? 'ai' : 'heuristic',
       analysisHistory: this.analysisHistory.length,
       screenshotHistory: this.screenshotHistory.length,
       lastAnalysis: this.analysisHistory.length > 0 ? 
-        this.analysisHistory[this.analysisHistory.length - 1].timestamp : null
+        this.analysisHistory[this.analysisHistory.length - 1].timestamp : null,
+      providers: getProviderHealth()
     };
   }
 
@@ -724,12 +722,8 @@ class ResearchService extends EventEmitter {
    * Manually trigger capture and analysis
    */
   async manualCaptureAndAnalyze() {
-    if (!this.aiEnabled) {
-      return { error: 'AI analysis not available' };
-    }
-
     try {
-      await this.captureAndAnalyze();
+      await this.captureAndAnalyze({ automatic: false });
       return { success: true, message: 'Analysis completed' };
     } catch (error) {
       console.error('[Research Service] Manual analysis failed:', error);
@@ -884,6 +878,123 @@ class ResearchService extends EventEmitter {
     }
   }
 
+  /**
+   * Write a finished reading session back to its Zotero item as a child note. A session that
+   * already has a note keeps it; concurrent requests share one write.
+   * @param {string} sessionId - Research session ID
+   * @returns {Promise<Object>} Created (or existing, with alreadyWritten) note key and tagging result
+   */
+  writeSessionToZotero(sessionId) {
+    // Route parameters arrive as strings, ended sessions carry numeric IDs
+    const key = String(sessionId);
+    if (!this.zoteroNoteWrites.has(key)) {
+      const write = this._writeSessionToZotero(sessionId)
+        .finally(() => this.zoteroNoteWrites.delete(key));
+      this.zoteroNoteWrites.set(key, write);
+    }
+    return this.zoteroNoteWrites.get(key);
+  }
+
+  async _writeSessionToZotero(sessionId) {
+    try {
+      const session = await researchRepository.getSessionById(sessionId);
+      if (!session) {
+        throw new Error('Session not found');
+      }
+      if (!session.end_time) {
+        throw new Error('Session is still in progress');
+      }
+
+      const zoteroKey = session.metadata?.zotero_data?.key;
+      if (!zoteroKey) {
+        throw new Error('Session is not linked to a Zotero paper');
+      }
+
+      const existingNote = session.metadata?.zotero_note;
+      if (existingNote?.key) {
+        return { parentKey: zoteroKey, noteKey: existingNote.key, written_at: existingNote.written_at, alreadyWritten: true };
+      }
+
+      let reading = null;
+      try {
+        reading = (await this.readingService.getReadingMetrics(session)).session;
+      } catch (error) {
+        console.warn('[Research Service] Writing Zotero note without reading metrics:', error.message);
+      }
+
+      const result = await this.zoteroService.writeSessionNote(zoteroKey, { session, reading });
+      await researchRepository.updateSession(sessionId, {
+        metadata: {
+          ...session.metadata,
+          zotero_note: { key: result.noteKey, written_at: new Date().toISOString() }
+        }
+      });
+
+      this.emitUpdate('session-written-to-zotero', { sessionId, ...result });
+      return result;
+    } catch (error) {
+      console.error('[Research Service] Failed to write session to Zotero:', error);
+      throw error;
+    }
+  }
+
+  // ========== LOCAL BIBLIOGRAPHY ==========
+
+  getBibliographyStatus() {
+    return this.bibliographyService.getStatus();
+  }
+
+  async addBibliographyFile(filePath) {
+    try {
+      const status = await this.bibliographyService.addFile(filePath);
+      this.emitUpdate('bibliography-updated', status);
+      return status;
+    } catch (error) {
+      console.error('[Research Service] Failed to add bibliography file:', error);
+      throw error;
+    }
+  }
+
+  async removeBibliographyFile(filePath) {
+    const status = await this.bibliographyService.removeFile(filePath);
+    this.emitUpdate('bibliography-updated', status);
+    return status;
+  }
+
+  async searchBibliography(query, limit) {
+    return this.bibliographyService.getPapers({ q: query, limit });
+  }
+
+  getZoteroWriteBackSettings() {
+    return { ...this.zoteroService.writeBack };
+  }
+
+  async updateZoteroWriteBackSettings(options) {
+    return this.zoteroService.updateWriteBackSettings(options);
+  }
+
+  // ========== WORKSPACE ARCHIVES ==========
+
+  async exportWorkspace() {
+    try {
+      return await this.workspaceService.exportWorkspace();
+    } catch (error) {
+      console.error('[Research Service] Failed to export workspace:', error);
+      throw error;
+    }
+  }
+
+  async importWorkspace(archive, options = {}) {
+    try {
+      const report = await this.workspaceService.importWorkspace(archive, options);
+      this.emitUpdate('workspace-imported', report);
+      return report;
+    } catch (error) {
+      console.error('[Research Service] Failed to import workspace:', error);
+      throw error;
+    }
+  }
+
   // ========== ANALYTICS & INSIGHTS ==========
   
   async getResearchAnalytics(timeframe = '7d', projectId = null) {
@@ -948,47 +1059,81 @@ class ResearchService extends EventEmitter {
 
   // ========== CACHING LAYER ==========
   
-  async captureAndAnalyze() {
+  /**
+   * Capture a screenshot and analyze it. Automatic captures (tracking start and the periodic
+   * loop) are analyzed locally while the AI budget is spent; manual ones still use the provider.
+   * Without a provider, the foreground window is analyzed locally and no screenshot is taken.
+   */
+  async captureAndAnalyze({ automatic = false } = {}) {
     try {
-      const screenshot = await this.captureScreenshot();
-      if (!screenshot.success) {
+      const activeWindow = await getActiveWindow();
+      const { captureDisplays: captureMode } = this.aiEnabled ? await activityRepository.getSettings() || {} : {};
+      if (redactionService.checkWindow(activeWindow, 'research', { captureMode }).blocked) {
+        return;
+      }
+
+      const screenshot = this.aiEnabled ? await this.captureScreenshot() : null;
+      if (screenshot && !screenshot.success) {
         console.warn('[Research Service] Screenshot capture failed:', screenshot.error);
         return;
       }
 
       const context = {
         timestamp: Date.now(),
-        activeApplication: await this.getActiveApplication(),
-        windowTitle: await this.getActiveWindowTitle(),
+        activeApplication: activeWindow.app || await this.getActiveApplication(),
+        windowTitle: activeWindow.title || await this.getActiveWindowTitle(),
+        url: activeWindow.url,
         sessionId: this.currentSession?.id,
-        projectId: this.currentProject?.id
+        projectId: this.currentProject?.id,
+        displays: screenshot ? screenshot.displays.map(display => display.label) : []
       };
 
-      // Check cache for similar screenshots to avoid redundant analysis
-      const screenshotHash = this.generateScreenshotHash(screenshot.base64);
+      // An automatic capture of an unchanged screen keeps the last analysis for a while;
+      // the exact screen seen in the last 5 minutes reuses its cached one
+      const screenshotHash = screenshot && (screenshot.hash || this.generateScreenshotHash(screenshot.base64));
       const cacheKey = `analysis:${screenshotHash}`;
-      let analysis = await this.cacheService.get(cacheKey);
-      
+      const previous = automatic && this.lastAnalyzedScreen;
+      let analysis = null;
+      if (!screenshot) {
+        analysis = await this.analysisService.analyzeScreenshot(null, context);
+      } else if (previous && context.timestamp - previous.at <= this.maxReusedAnalysisAge
+        && previous.app === context.activeApplication && isSimilar(previous.hash, screenshotHash)) {
+        analysis = previous.analysis;
+        this.analysisCalls.saved++;
+        console.log('[Research Service] Screen unchanged, reusing its analysis');
+      } else {
+        analysis = await this.cacheService.get(cacheKey);
+      }
+
       if (!analysis) {
+        const budgetPaused = automatic && usageService.isAutomaticAnalysisPaused();
+
         // Perform AI analysis
         analysis = await this.analysisService.analyzeScreenshot(
           screenshot.base64,
-          context
+          context,
+          budgetPaused ? { skipAI: 'AI budget exceeded' } : {}
         );
         
-        // Cache analysis for 5 minutes to avoid duplicate processing
-        await this.cacheService.set(cacheKey, analysis, 300);
+        // Cache analysis for 5 minutes to avoid duplicate processing; local estimates are redone once the AI is back
+        if (analysis.source !== 'heuristic') {
+          this.analysisCalls.made++;
+          this.lastAnalyzedScreen = { hash: screenshotHash, app: context.activeApplication, analysis, at: context.timestamp };
+          await this.cacheService.set(cacheKey, analysis, 300);
+        }
       }
 
       // Store screenshot and analysis
-      this.screenshotHistory.push({
-        timestamp: context.timestamp,
-        base64: screenshot.base64,
-        width: screenshot.width,
-        height: screenshot.height,
-        context,
-        hash: screenshotHash
-      });
+      if (screenshot) {
+        this.screenshotHistory.push({
+          timestamp: context.timestamp,
+          base64: screenshot.base64,
+          width: screenshot.width,
+          height: screenshot.height,
+          context,
+          hash: screenshotHash
+        });
+      }
 
       this.analysisHistory.push({
         ...analysis,
@@ -1024,11 +1169,8 @@ class ResearchService extends EventEmitter {
   }
 
   generateScreenshotHash(base64Data) {
-    // Simple hash based on data length and sample content
-    const crypto = require('crypto');
-    return crypto.createHash('md5')
-      .update(base64Data.substring(0, 1000)) // Sample first 1000 chars
-      .digest('hex');
+    // Perceptual hash, so re-encoded or barely changed screens match; exact content when it cannot be decoded
+    return hashScreenshot(base64Data) || require('crypto').createHash('sha256').update(base64Data).digest('hex');
   }
 
   // ========== REAL-TIME UPDATES ==========
@@ -1047,6 +1189,14 @@ class ResearchService extends EventEmitter {
     
     // Emit to event listeners
     this.emit(event, data);
+
+    // Relay to live subscribers (the web dashboard's event stream)
+    internalBridge.emit('live-event', {
+      source: 'research',
+      event,
+      data,
+      timestamp: Date.now()
+    });
   }
 
   getRecentUpdates(since = 0) {
@@ -1099,7 +1249,13 @@ class ResearchService extends EventEmitter {
       });
 
       console.log(`[Research Service] Ended session: ${this.currentSession.id}, Duration: ${Math.round(duration / 1000)}s`);
+      const endedSession = this.currentSession;
       this.currentSession = null;
+
+      // Zotero write-back is opt-in and must not block ending the session
+      if (this.zoteroService.writeBack.enabled && endedSession.metadata?.zotero_data?.key) {
+        this.writeSessionToZotero(endedSession.id).catch(() => {});
+      }
     } catch (error) {
       console.error('[Research Service] Failed to end session:', error);
     }
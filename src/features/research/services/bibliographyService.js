@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const settingsService = require('../../settings/settingsService');
+const { parseBibTeX, parseCslJson } = require('../../common/utils/bibliography');
+
+const WATCH_INTERVAL_MS = 2000;
+const MIN_TITLE_SIMILARITY = 0.6;
+
+/**
+ * BibliographyService reads local BibTeX and CSL-JSON libraries and offers the
+ * same paper lookup surface as ZoteroService, so papers can be matched offline
+ */
+class BibliographyService {
+  constructor() {
+    this.libraries = new Map(); // file path -> { format, entries, loadedAt, error }
+  }
+
+  async initialize() {
+    console.log('[Bibliography Service] Initializing...');
+
+    try {
+      const settings = await settingsService.getSettings();
+      const files = settings.bibliography?.files || [];
+
+      for (const filePath of files) {
+        try {
+          await this.loadFile(filePath);
+        } catch (error) {
+          console.warn(`[Bibliography Service] Failed to load ${filePath}:`, error.message);
+        }
+        this.watchFile(filePath);
+      }
+
+      console.log(`[Bibliography Service] Loaded ${this.getEntryCount()} entries from ${files.length} files`);
+    } catch (error) {
+      console.error('[Bibliography Service] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Add a library file, load it and keep it in sync with changes on disk
+   * @param {string} filePath - Path to a .bib or CSL-JSON file
+   * @returns {Promise<Object>} Library status
+   */
+  async addFile(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Bibliography file not found: ${resolved}`);
+    }
+
+    const isNew = !this.libraries.has(resolved);
+    try {
+      await this.loadFile(resolved);
+    } catch (error) {
+      if (isNew) this.libraries.delete(resolved);
+      throw error;
+    }
+
+    this.watchFile(resolved);
+    await this.saveFiles();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Stop using a library file
+   * @param {string} filePath - Path previously passed to addFile
+   * @returns {Promise<Object>} Library status
+   */
+  async removeFile(filePath) {
+    const resolved = path.resolve(filePath);
+    fs.unwatchFile(resolved);
+    this.libraries.delete(resolved);
+    await this.saveFiles();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Parse a library file and replace its entries
+   * @param {string} filePath - Path to a .bib or CSL-JSON file
+   * @returns {Promise<number>} Number of entries loaded
+   */
+  async loadFile(filePath) {
+    const resolved = path.resolve(filePath);
+    const library = this.libraries.get(resolved) || { format: null, entries: new Map(), loadedAt: null, error: null };
+    this.libraries.set(resolved, library);
+
+    try {
+      const text = await fs.promises.readFile(resolved, 'utf8');
+      const format = this.detectFormat(resolved, text);
+      const parsed = format === 'csl-json' ? parseCslJson(text) : parseBibTeX(text);
+
+      library.format = format;
+      library.entries = new Map(parsed.map(data => [data.key, data]));
+      library.loadedAt = new Date().toISOString();
+      library.error = null;
+
+      return library.entries.size;
+    } catch (error) {
+      // Keep the last good entries so a half-saved file does not empty the library
+      library.error = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * Find paper by title (fuzzy matching)
+   * @param {string} title - Paper title or PDF file name
+   * @returns {Promise<Object|null>} Best matching paper or null
+   */
+  async findPaperByTitle(title) {
+    if (!title) return null;
+
+    // PDFs are often named after their citation key
+    const stem = path.basename(title).replace(/\.pdf$/i, '').trim();
+    const byKey = await this.getPaperByKey(stem);
+    if (byKey) return byKey;
+
+    const target = stem.replace(/[_]+/g, ' ');
+    if (target.length < 10) return null;
+
+    let bestMatch = null;
+    let bestScore = 0;
+    for (const [filePath, data] of this.allEntries()) {
+      const score = this.calculateTitleSimilarity(target, data.title);
+      if (score > bestScore && score >= MIN_TITLE_SIMILARITY) {
+        bestScore = score;
+        bestMatch = { filePath, data };
+      }
+    }
+
+    return bestMatch ? this.formatEntry(bestMatch.data, bestMatch.filePath) : null;
+  }
+
+  /**
+   * Get paper by citation key
+   * @param {string} key - Citation key
+   * @returns {Promise<Object|null>} Paper or null
+   */
+  async getPaperByKey(key) {
+    for (const [filePath, library] of this.libraries) {
+      const data = library.entries.get(key);
+      if (data) return this.formatEntry(data, filePath);
+    }
+    return null;
+  }
+
+  /**
+   * List papers across all library files
+   * @param {Object} options - { q, limit }
+   * @returns {Promise<Array>} Papers
+   */
+  async getPapers({ q = '', limit = 50 } = {}) {
+    const query = q.toLowerCase();
+    const papers = [];
+
+    for (const [filePath, data] of this.allEntries()) {
+      if (query && !`${data.title} ${data.key}`.toLowerCase().includes(query)) continue;
+      papers.push(this.formatEntry(data, filePath));
+      if (papers.length >= limit) break;
+    }
+
+    return papers;
+  }
+
+  /**
+   * Format basic citation
+   * @param {Object} data - Entry data
+   * @returns {string} "Author (year). Title"
+   */
+  formatCitation(data) {
+    const authors = (data.creators || [])
+      .filter(c => c.creatorType === 'author')
+      .map(c => c.lastName || c.name)
+      .slice(0, 3);
+
+    const authorString = authors.length === 0 ? 'Unknown' :
+      authors.length === 1 ? authors[0] :
+      authors.length === 2 ? authors.join(' & ') :
+      `${authors[0]} et al.`;
+
+    const year = this.extractYear(data.date) || 'n.d.';
+    return `${authorString} (${year}). ${data.title || 'Untitled'}`;
+  }
+
+  /**
+   * Get library status
+   * @returns {Object} Loaded files and entry counts
+   */
+  getStatus() {
+    return {
+      entryCount: this.getEntryCount(),
+      files: [...this.libraries].map(([filePath, library]) => ({
+        path: filePath,
+        format: library.format,
+        entries: library.entries.size,
+        loadedAt: library.loadedAt,
+        error: library.error
+      }))
+    };
+  }
+
+  shutdown() {
+    for (const filePath of this.libraries.keys()) {
+      fs.unwatchFile(filePath);
+    }
+  }
+
+  /**
+   * Reload a file whenever its modification time changes.
+   * Polling survives editors and exporters that replace the file instead of writing in place.
+   * @private
+   */
+  watchFile(filePath) {
+    const resolved = path.resolve(filePath);
+    fs.unwatchFile(resolved);
+    fs.watchFile(resolved, { interval: WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs || current.mtimeMs === 0) return;
+
+      this.loadFile(resolved)
+        .then(count => console.log(`[Bibliography Service] Reloaded ${resolved} (${count} entries)`))
+        .catch(error => console.warn(`[Bibliography Service] Failed to reload ${resolved}:`, error.message));
+    });
+  }
+
+  /**
+   * Format entry like ZoteroService.formatZoteroItem
+   * @private
+   */
+  formatEntry(data, filePath) {
+    const library = this.libraries.get(filePath);
+    return {
+      key: data.key,
+      version: null,
+      title: data.title || 'Untitled',
+      creators: data.creators || [],
+      abstractNote: data.abstractNote || '',
+      date: data.date || '',
+      itemType: data.itemType,
+      publicationTitle: data.publicationTitle || '',
+      DOI: data.DOI || '',
+      url: data.url || '',
+      tags: (data.tags || []).map(tag => tag.tag),
+      collections: [],
+      extra: data.extra || '',
+      authorNames: (data.creators || [])
+        .filter(c => c.creatorType === 'author')
+        .map(c => c.name || `${c.firstName || ''} ${c.lastName || ''}`.trim()),
+      year: this.extractYear(data.date),
+      formattedCitation: this.formatCitation(data),
+      source: library?.format || 'bibtex',
+      file: filePath
+    };
+  }
+
+  /**
+   * @private
+   */
+  detectFormat(filePath, text) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.bib' || extension === '.bibtex') return 'bibtex';
+    if (extension === '.json') return 'csl-json';
+    return /^\s*[[{]/.test(text) && !/^\s*@/.test(text) ? 'csl-json' : 'bibtex';
+  }
+
+  /**
+   * @private
+   */
+  *allEntries() {
+    for (const [filePath, library] of this.libraries) {
+      for (const data of library.entries.values()) {
+        yield [filePath, data];
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  getEntryCount() {
+    return [...this.libraries.values()].reduce((sum, library) => sum + library.entries.size, 0);
+  }
+
+  /**
+   * @private
+   */
+  extractYear(dateString) {
+    if (!dateString) return null;
+    const match = dateString.match(/\d{4}/);
+    return match ? parseInt(match[0]) : null;
+  }
+
+  /**
+   * Word overlap between two titles
+   * @private
+   */
+  calculateTitleSimilarity(title1, title2) {
+    if (!title1 || !title2) return 0;
+
+    const normalize = (str) => str.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+    const norm1 = normalize(title1);
+    const norm2 = normalize(title2);
+
+    if (norm1 === norm2) return 1;
+
+    const words1 = new Set(norm1.split(' '));
+    const words2 = new Set(norm2.split(' '));
+    const intersection = [...words1].filter(word => words2.has(word));
+    const union = new Set([...words1, ...words2]);
+
+    return intersection.length / union.size;
+  }
+
+  /**
+   * Persist the list of library files
+   * @private
+   */
+  async saveFiles() {
+    await settingsService.saveSettings({
+      bibliography: { files: [...this.libraries.keys()] }
+    });
+  }
+}
+
+module.exports = BibliographyService;
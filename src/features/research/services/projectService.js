@@ -230,6 +230,21 @@ class ProjectService {
     }
   }
 
+  /**
+   * Find project created from a local bibliography entry
+   * @param {string} citationKey - BibTeX or CSL-JSON citation key
+   * @returns {Promise<Object|null>} Project or null
+   */
+  async findProjectByCitationKey(citationKey) {
+    try {
+      const projects = await this.getProjects({ limit: 100 });
+      return projects.find(project => project.metadata?.citation_key === citationKey) || null;
+    } catch (error) {
+      console.error('[Project Service] Failed to find project by citation key:', error);
+      return null;
+    }
+  }
+
   /**
    * Get project statistics
    * @param {string} projectId - Project ID
@@ -0,0 +1,200 @@
+const researchRepository = require('../repositories');
+
+const PAGE_EVENT = 'page_transition';
+const MIN_PAGE_DWELL_MS = 10000; // Shorter visits count as flipping past a page, not reading it
+
+// Window title suffixes of the supported PDF viewers
+const VIEWERS = [
+  { id: 'zotero', pattern: /\s+[-–—]\s+Zotero$/ },
+  { id: 'acrobat', pattern: /\s+[-–—]\s+Adobe Acrobat.*$/i },
+  { id: 'okular', pattern: /\s+[-–—]\s+Okular$/i },
+  { id: 'evince', pattern: /\s+[-–—]\s+(?:Evince|Document Viewer)$/i },
+  { id: 'preview', pattern: /\s+[-–—]\s+Preview$/ }
+];
+
+// Page positions as viewers put them in titles:
+// "paper.pdf – Page 3 of 12" (Preview), "paper.pdf (page 3 of 12)" (Acrobat, Okular),
+// "paper.pdf — 3 / 12" or "(3/12)" (Evince), "Title - p. 3 - Zotero" (Zotero reader)
+const PAGE_PATTERNS = [
+  /\s*[-–—:,]?\s*[([]?\bpage\s+(\d+)(?:\s*(?:of|\/)\s*(\d+))?[)\]]?/i,
+  /\s*[-–—]?\s*[([](\d+)\s*(?:of|\/)\s*(\d+)[)\]]/,
+  /\s+[-–—]\s+(\d+)\s*\/\s*(\d+)(?=\s|$)/,
+  /\s+[-–—]\s+p\.\s*(\d+)\b/i
+];
+
+/**
+ * ReadingService follows page position inside PDF reading sessions, records
+ * page transitions as research events and turns them into reading metrics
+ */
+class ReadingService {
+  /**
+   * Split a PDF viewer window title into document title and page position
+   * @param {string} windowTitle - Window title reported by the viewer
+   * @returns {Object} Parsed title, viewer id, page and page count (null when not shown)
+   */
+  parseWindowTitle(windowTitle) {
+    let title = (windowTitle || '').trim();
+    let viewer = null;
+
+    for (const candidate of VIEWERS) {
+      if (candidate.pattern.test(title)) {
+        viewer = candidate.id;
+        title = title.replace(candidate.pattern, '');
+        break;
+      }
+    }
+
+    let page = null;
+    let pageCount = null;
+    for (const pattern of PAGE_PATTERNS) {
+      const match = title.match(pattern);
+      if (match) {
+        page = parseInt(match[1], 10);
+        pageCount = match[2] ? parseInt(match[2], 10) : null;
+        title = (title.slice(0, match.index) + title.slice(match.index + match[0].length)).trim();
+        break;
+      }
+    }
+
+    // Zotero titles read "Author - Title"; keep the title part
+    if (viewer === 'zotero') {
+      const parts = title.split(' - ');
+      if (parts.length >= 2) {
+        title = parts.slice(1).join(' - ');
+      }
+    }
+
+    const fileMatch = title.match(/([^\/\\–—]+\.pdf)/i);
+    if (fileMatch) {
+      title = fileMatch[1].trim();
+    }
+
+    return {
+      title: title.replace(/\s*[-–—:]\s*$/, '').trim(),
+      viewer,
+      page: page > 0 ? page : null,
+      pageCount: pageCount > 0 ? pageCount : null
+    };
+  }
+
+  /**
+   * Record a page transition in the current session
+   * @param {Object} session - Current research session
+   * @param {Object} transition - { fromPage, toPage, pageCount, viewer }
+   * @returns {Promise<Object>} Stored event
+   */
+  async recordPageTransition(session, { fromPage = null, toPage, pageCount = null, viewer = null }) {
+    if (!session || !toPage) return null;
+
+    return researchRepository.addEvent({
+      session_id: session.id,
+      event_type: PAGE_EVENT,
+      event_data: {
+        from_page: fromPage,
+        to_page: toPage,
+        page_count: pageCount,
+        viewer
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Reading metrics for a session and for every session on the same paper
+   * @param {Object} session - Research session
+   * @returns {Promise<Object>} { session, paper } metrics
+   */
+  async getReadingMetrics(session) {
+    const paperSessions = await researchRepository.getSessionsByTitle(session.title);
+    const sessions = paperSessions.some(s => String(s.id) === String(session.id))
+      ? paperSessions
+      : [...paperSessions, session];
+
+    const sessionEvents = await Promise.all(
+      sessions.map(async s => ({
+        session: s,
+        events: await researchRepository.getSessionEvents(s.id, PAGE_EVENT)
+      }))
+    );
+
+    const current = sessionEvents.find(entry => String(entry.session.id) === String(session.id));
+
+    return {
+      session: this.computeReadingMetrics([current]),
+      paper: {
+        title: session.title,
+        sessionCount: sessions.length,
+        ...this.computeReadingMetrics(sessionEvents)
+      }
+    };
+  }
+
+  /**
+   * Turn page transition events into reading metrics
+   * @param {Array<Object>} sessionEvents - [{ session, events }] with events in chronological order
+   * @returns {Object} Pages read, reading speed and re-read sections
+   */
+  computeReadingMetrics(sessionEvents) {
+    const visits = [];
+    let pageCount = null;
+
+    for (const { session, events } of sessionEvents) {
+      const sessionEnd = session.end_time ? new Date(session.end_time).getTime() : Date.now();
+
+      events.forEach((event, index) => {
+        const start = new Date(event.timestamp).getTime();
+        const next = events[index + 1];
+        const end = next ? new Date(next.timestamp).getTime() : sessionEnd;
+
+        pageCount = event.event_data.page_count || pageCount;
+        visits.push({ page: event.event_data.to_page, start, dwellMs: Math.max(0, end - start) });
+      });
+    }
+
+    const pages = new Map();
+    for (const visit of visits) {
+      if (visit.dwellMs < MIN_PAGE_DWELL_MS) continue;
+      const stats = pages.get(visit.page) || { visits: 0, timeMs: 0 };
+      stats.visits += 1;
+      stats.timeMs += visit.dwellMs;
+      pages.set(visit.page, stats);
+    }
+
+    const readingTimeMs = [...pages.values()].reduce((sum, stats) => sum + stats.timeMs, 0);
+    const pagesRead = pages.size;
+
+    return {
+      pagesRead,
+      pageCount,
+      progress: pageCount ? Math.round((pagesRead / pageCount) * 100) : null,
+      transitions: visits.length,
+      readingTimeMs,
+      pagesPerHour: readingTimeMs > 0 ? Math.round((pagesRead / (readingTimeMs / 3600000)) * 10) / 10 : 0,
+      avgSecondsPerPage: pagesRead > 0 ? Math.round(readingTimeMs / pagesRead / 1000) : 0,
+      rereadSections: this._findRereadSections(pages)
+    };
+  }
+
+  // Groups consecutive pages that were read more than once into sections
+  _findRereadSections(pages) {
+    const reread = [...pages.entries()]
+      .filter(([, stats]) => stats.visits > 1)
+      .sort(([a], [b]) => a - b);
+
+    const sections = [];
+    for (const [page, stats] of reread) {
+      const last = sections[sections.length - 1];
+      if (last && page === last.endPage + 1) {
+        last.endPage = page;
+        last.visits = Math.max(last.visits, stats.visits);
+        last.timeMs += stats.timeMs;
+      } else {
+        sections.push({ startPage: page, endPage: page, visits: stats.visits, timeMs: stats.timeMs });
+      }
+    }
+
+    return sections;
+  }
+}
+
+module.exports = ReadingService;
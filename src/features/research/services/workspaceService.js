@@ -0,0 +1,106 @@
+const researchRepository = require('../repositories');
+const LATEST_SCHEMA = require('../../common/config/schema');
+
+const ARCHIVE_FORMAT = 'glass-workspace';
+const ARCHIVE_VERSION = 1;
+const CONFLICT_STRATEGIES = ['skip', 'replace', 'keep-both'];
+
+/**
+ * WorkspaceService packs the local research workspace (activities, captures,
+ * research sessions, analyses, projects and summaries) into a single portable
+ * JSON archive, and merges such archives back into the local database
+ */
+class WorkspaceService {
+  /**
+   * Export the current user's workspace as a versioned archive
+   * @returns {Promise<Object>} Archive with manifest and table rows
+   */
+  async exportWorkspace() {
+    await researchRepository.initialize();
+    const { tables, columns } = await researchRepository.exportWorkspaceTables();
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      schemaVersion: LATEST_SCHEMA.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      tables: {}
+    };
+
+    for (const [name, rows] of Object.entries(tables)) {
+      manifest.tables[name] = { count: rows.length, columns: columns[name] };
+    }
+
+    const total = Object.values(manifest.tables).reduce((sum, table) => sum + table.count, 0);
+    console.log(`[Workspace Service] Exported ${total} rows across ${Object.keys(tables).length} tables`);
+
+    return { manifest, tables };
+  }
+
+  /**
+   * Merge an exported archive into the local database
+   * @param {Object} archive - Archive produced by exportWorkspace
+   * @param {Object} options - Import options
+   * @param {string} [options.conflictStrategy='skip'] - 'skip' keeps local rows, 'replace' overwrites
+   *   them, 'keep-both' imports conflicting rows under new ids
+   * @returns {Promise<Object>} Import report with per-table counts
+   */
+  async importWorkspace(archive, options = {}) {
+    this.validateArchive(archive);
+
+    const conflictStrategy = options.conflictStrategy || 'skip';
+    if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+      throw new Error(`Unknown conflict strategy: ${conflictStrategy}`);
+    }
+
+    const { manifest } = archive;
+    const warnings = [];
+    if (manifest.schemaVersion > LATEST_SCHEMA.SCHEMA_VERSION) {
+      warnings.push(`Archive schema version ${manifest.schemaVersion} is newer than local version ${LATEST_SCHEMA.SCHEMA_VERSION}; unknown columns were dropped`);
+    }
+
+    await researchRepository.initialize();
+    const tables = await researchRepository.importWorkspaceTables(archive.tables, { conflictStrategy });
+
+    console.log(`[Workspace Service] Imported archive from ${manifest.exportedAt} (strategy: ${conflictStrategy})`);
+
+    return {
+      success: true,
+      conflictStrategy,
+      sourceSchemaVersion: manifest.schemaVersion,
+      schemaVersion: LATEST_SCHEMA.SCHEMA_VERSION,
+      tables,
+      warnings
+    };
+  }
+
+  /**
+   * Check that an archive has a recognised manifest and table data
+   * @param {Object} archive - Archive to validate
+   */
+  validateArchive(archive) {
+    if (!archive || typeof archive !== 'object' || !archive.manifest) {
+      throw new Error('Invalid workspace archive: missing manifest');
+    }
+
+    const { manifest } = archive;
+    if (manifest.format !== ARCHIVE_FORMAT) {
+      throw new Error(`Invalid workspace archive: unexpected format "${manifest.format}"`);
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+      throw new Error(`Workspace archive version ${manifest.version} is not supported (max ${ARCHIVE_VERSION})`);
+    }
+    if (!archive.tables || typeof archive.tables !== 'object') {
+      throw new Error('Invalid workspace archive: missing tables');
+    }
+
+    for (const [name, info] of Object.entries(manifest.tables || {})) {
+      const rows = archive.tables[name] || [];
+      if (!Array.isArray(rows) || rows.length !== info.count) {
+        throw new Error(`Invalid workspace archive: row count mismatch for ${name}`);
+      }
+    }
+  }
+}
+
+module.exports = WorkspaceService;
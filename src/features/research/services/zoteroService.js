@@ -1,5 +1,8 @@
 const settingsService = require('../../settings/settingsService');
 
+const DEFAULT_WRITE_BACK_TAG = 'read/glass';
+const MAX_WRITE_ATTEMPTS = 3; // Retries after a 412 version conflict
+
 /**
  * ZoteroService handles integration with Zotero API
  * for academic paper management and research tracking
@@ -13,6 +16,7 @@ class ZoteroService {
     this.isConnected = false;
     this.cache = new Map();
     this.cacheTimeout = 300000; // 5 minutes
+    this.writeBack = { enabled: false, tag: DEFAULT_WRITE_BACK_TAG };
   }
 
   async initialize() {
@@ -54,6 +58,12 @@ class ZoteroService {
       
       this.apiKey = zoteroSettings.apiKey;
       this.userId = zoteroSettings.userId;
+      this.writeBack = { enabled: false, tag: DEFAULT_WRITE_BACK_TAG, ...zoteroSettings.writeBack };
+
+      // Allows pointing the client at a self-hosted or local mock API
+      if (zoteroSettings.baseUrl) {
+        this.baseUrl = zoteroSettings.baseUrl;
+      }
       
       return { apiKey: this.apiKey, userId: this.userId };
     } catch (error) {
@@ -100,6 +110,7 @@ class ZoteroService {
         await settingsService.updateSettings({
           ...settings,
           zotero: {
+            ...settings.zotero,
             apiKey,
             userId,
             connectedAt: new Date().toISOString()
@@ -147,7 +158,9 @@ class ZoteroService {
       });
 
       if (!response.ok) {
-        throw new Error(`Zotero API error: ${response.status} ${response.statusText}`);
+        const error = new Error(`Zotero API error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
       }
 
       return response;
@@ -396,6 +409,182 @@ class ZoteroService {
     }
   }
 
+  // ========== WRITE-BACK ==========
+
+  /**
+   * Create a child note under a Zotero item
+   * @param {string} parentKey - Key of the parent item
+   * @param {string} noteHtml - Note content as HTML
+   * @param {Array<string>} tags - Tags to put on the note
+   * @returns {Promise<Object>} Created note key and version
+   */
+  async createChildNote(parentKey, noteHtml, tags = []) {
+    const response = await this.makeRequest(`/users/${this.userId}/items`, {
+      method: 'POST',
+      body: JSON.stringify([{
+        itemType: 'note',
+        parentItem: parentKey,
+        note: noteHtml,
+        tags: tags.map(tag => ({ tag }))
+      }])
+    });
+
+    const result = await response.json();
+    if (result.failed && result.failed['0']) {
+      const failure = result.failed['0'];
+      const error = new Error(`Zotero rejected note: ${failure.code} ${failure.message}`);
+      error.status = failure.code;
+      throw error;
+    }
+
+    const created = result.successful && result.successful['0'];
+    const key = created ? created.key : result.success && result.success['0'];
+    if (!key) {
+      throw new Error('Zotero did not return the created note');
+    }
+
+    this.cache.delete(`attachments:${parentKey}`);
+    return { key, version: created ? created.version : null };
+  }
+
+  /**
+   * Add a tag to a Zotero item, re-reading the item when its version changed in between
+   * @param {string} key - Zotero item key
+   * @param {string} tag - Tag to add
+   * @returns {Promise<Object>} Item key, resulting version and whether the item changed
+   */
+  async addTagToItem(key, tag) {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+      const item = await this.fetchItem(key);
+      const tags = item.data.tags || [];
+
+      if (tags.some(existing => existing.tag === tag)) {
+        return { key, version: item.version, changed: false };
+      }
+
+      try {
+        const response = await this.makeRequest(`/users/${this.userId}/items/${key}`, {
+          method: 'PATCH',
+          headers: { 'If-Unmodified-Since-Version': String(item.version) },
+          body: JSON.stringify({ tags: [...tags, { tag }] })
+        });
+
+        this.cache.delete(`paper:${key}`);
+        const version = parseInt(response.headers.get('Last-Modified-Version'), 10);
+        return { key, version: Number.isNaN(version) ? null : version, changed: true };
+      } catch (error) {
+        // 412: the item was modified since we read it, so merge against the latest version
+        if (error.status !== 412) throw error;
+        console.warn(`[Zotero Service] Version conflict tagging ${key} (attempt ${attempt}/${MAX_WRITE_ATTEMPTS})`);
+      }
+    }
+
+    const error = new Error(`Zotero item ${key} kept changing; gave up after ${MAX_WRITE_ATTEMPTS} attempts`);
+    error.status = 412;
+    throw error;
+  }
+
+  /**
+   * Write a reading session back to its Zotero item as a child note and tag the item
+   * @param {string} parentKey - Key of the paper's Zotero item
+   * @param {Object} details - { session, reading } where reading holds page metrics for the session
+   * @returns {Promise<Object>} Created note key and tagging result
+   */
+  async writeSessionNote(parentKey, { session, reading = null }) {
+    const tag = this.writeBack.tag || DEFAULT_WRITE_BACK_TAG;
+    const note = await this.createChildNote(parentKey, this.buildSessionNote(session, reading));
+    const tagged = await this.addTagToItem(parentKey, tag);
+
+    return {
+      parentKey,
+      noteKey: note.key,
+      tag,
+      tagged: tagged.changed,
+      version: tagged.version
+    };
+  }
+
+  /**
+   * Update write-back options and persist them with the Zotero settings
+   * @param {Object} options - { enabled, tag }
+   * @returns {Promise<Object>} Current write-back options
+   */
+  async updateWriteBackSettings({ enabled, tag } = {}) {
+    if (enabled !== undefined) {
+      this.writeBack.enabled = !!enabled;
+    }
+    if (tag !== undefined) {
+      const trimmed = String(tag).trim();
+      if (!trimmed) {
+        throw new Error('Write-back tag cannot be empty');
+      }
+      this.writeBack.tag = trimmed;
+    }
+
+    const settings = await settingsService.getSettings();
+    await settingsService.saveSettings({
+      zotero: {
+        ...settings.zotero,
+        writeBack: this.writeBack
+      }
+    });
+
+    return { ...this.writeBack };
+  }
+
+  /**
+   * Fetch an item straight from the API, bypassing the cache, so its version is current
+   * @private
+   */
+  async fetchItem(key) {
+    const response = await this.makeRequest(`/users/${this.userId}/items/${key}`);
+    return response.json();
+  }
+
+  /**
+   * Render a reading session as Zotero note HTML
+   * @private
+   */
+  buildSessionNote(session, reading) {
+    const escape = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const minutes = (ms) => `${Math.max(1, Math.round((ms || 0) / 60000))} min`;
+    const list = (items) => `<ul>${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`;
+
+    const summary = session.metadata?.summary || {};
+    const date = new Date(session.start_time).toLocaleDateString('en-CA');
+    const parts = [
+      `<h2>Reading session ${escape(date)}</h2>`,
+      `<p><strong>Reading time:</strong> ${minutes(session.duration_ms)}</p>`
+    ];
+
+    if (reading && reading.pagesRead > 0) {
+      const of = reading.pageCount ? ` of ${reading.pageCount}` : '';
+      parts.push(`<p><strong>Pages read:</strong> ${reading.pagesRead}${of} (${reading.pagesPerHour} pages/hour)</p>`);
+      if (reading.rereadSections.length > 0) {
+        parts.push(`<p><strong>Re-read:</strong> ${reading.rereadSections
+          .map(section => section.startPage === section.endPage ? `p. ${section.startPage}` : `pp. ${section.startPage}–${section.endPage}`)
+          .join(', ')}</p>`);
+      }
+    }
+
+    if (summary.analysis_points > 0) {
+      parts.push(`<p><strong>Focus:</strong> ${escape(summary.focus_quality)}, productivity score ${summary.productivity_score}</p>`);
+    }
+    if (summary.key_activities?.length > 0) {
+      parts.push('<h3>Key activities</h3>', list(summary.key_activities.map(activity => activity.activity || activity)));
+    }
+    if (summary.recommendations?.length > 0) {
+      parts.push('<h3>Insights</h3>', list(summary.recommendations.map(recommendation => recommendation.message || recommendation)));
+    }
+
+    parts.push('<p><em>Recorded by Glass</em></p>');
+    return parts.join('\n');
+  }
+
   /**
    * Format Zotero item for consistent usage
    * @private
@@ -541,7 +730,8 @@ class ZoteroService {
       connected: this.isConnected,
       hasCredentials: !!(this.apiKey && this.userId),
       userId: this.userId,
-      cacheSize: this.cache.size
+      cacheSize: this.cache.size,
+      writeBack: { ...this.writeBack }
     };
   }
 
@@ -10,29 +10,30 @@ function getBaseRepository() {
     return sqliteRepository;
 }
 
+// Presets are always written locally and mirrored by syncService; the auto-update flag lives on the user
 const settingsRepositoryAdapter = {
     getPresets: () => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().getPresets(uid);
+        return sqliteRepository.getPresets(uid);
     },
 
     getPresetTemplates: () => {
-        return getBaseRepository().getPresetTemplates();
+        return sqliteRepository.getPresetTemplates();
     },
 
     createPreset: (options) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().createPreset({ uid, ...options });
+        return sqliteRepository.createPreset({ uid, ...options });
     },
 
     updatePreset: (id, options) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().updatePreset(id, options, uid);
+        return sqliteRepository.updatePreset(id, options, uid);
     },
 
     deletePreset: (id) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().deletePreset(id, uid);
+        return sqliteRepository.deletePreset(id, uid);
     },
 
     getAutoUpdate: () => {
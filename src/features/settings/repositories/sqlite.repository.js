@@ -55,7 +55,7 @@ function updatePreset(id, { title, prompt }, uid) {
     const now = Math.floor(Date.now() / 1000);
     const query = `
         UPDATE prompt_presets 
-        SET title = ?, prompt = ?, sync_state = 'dirty', updated_at = ?
+        SET title = ?, prompt = ?, updated_at = ?
         WHERE id = ? AND uid = ? AND is_default = 0
     `;
     
@@ -214,7 +214,9 @@ function getDefaultSettings() {
         googleSearchEnabled: false,
         backgroundTransparency: 0.5,
         fontSize: 14,
-        contentProtection: true
+        contentProtection: true,
+        speakerDiarization: true,
+        summaryTemplateId: null // built-in Listen summary format
     };
 }
 
@@ -511,6 +513,54 @@ async function getResearchPrivacyMode() {
     }
 }
 
+// Listen settings functions
+async function setSpeakerDiarization(enabled) {
+    try {
+        const settings = await getSettings();
+        settings.speakerDiarization = enabled;
+        await saveSettings(settings);
+        console.log('[SettingsService] Speaker diarization set to:', enabled);
+        return { success: true };
+    } catch (error) {
+        console.error('[SettingsService] Failed to set speaker diarization:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+async function getSpeakerDiarization() {
+    try {
+        const settings = await getSettings();
+        return settings.speakerDiarization !== false;
+    } catch (error) {
+        console.error('[SettingsService] Failed to get speaker diarization:', error);
+        return true;
+    }
+}
+
+// Template new Listen sessions start with; null keeps the built-in summary format
+async function setDefaultSummaryTemplate(templateId) {
+    try {
+        const settings = await getSettings();
+        settings.summaryTemplateId = templateId || null;
+        await saveSettings(settings);
+        console.log('[SettingsService] Default summary template set to:', settings.summaryTemplateId);
+        return { success: true };
+    } catch (error) {
+        console.error('[SettingsService] Failed to set default summary template:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+async function getDefaultSummaryTemplate() {
+    try {
+        const settings = await getSettings();
+        return settings.summaryTemplateId || null;
+    } catch (error) {
+        console.error('[SettingsService] Failed to get default summary template:', error);
+        return null;
+    }
+}
+
 module.exports = {
     initialize,
     cleanup,
@@ -539,5 +589,10 @@ module.exports = {
     setResearchProvider,
     getResearchProvider,
     setResearchPrivacyMode,
-    getResearchPrivacyMode
+    getResearchPrivacyMode,
+    // Listen settings
+    setSpeakerDiarization,
+    getSpeakerDiarization,
+    setDefaultSummaryTemplate,
+    getDefaultSummaryTemplate
 };
\ No newline at end of file
@@ -28,6 +28,7 @@ const sessionRepository = require('./features/common/repositories/session');
 const modelStateService = require('./features/common/services/modelStateService');
 const featureBridge = require('./bridge/featureBridge');
 const windowBridge = require('./bridge/windowBridge');
+const internalBridge = require('./bridge/internalBridge');
 
 // Global variables
 const eventBridge = new EventEmitter();
@@ -137,6 +138,14 @@ app.whenReady().then(async () => {
         await activityService.initialize();
         console.log('>>> [index.js] Activity service initialized successfully');
 
+        // Semantic index over past sessions for "ask my history"; indexing runs lazily, so this is cheap
+        try {
+            const historyService = require('./features/history/historyService');
+            await historyService.initialize();
+        } catch (error) {
+            console.error('>>> [index.js] History index unavailable:', error.message);
+        }
+
         featureBridge.initialize();  // 추가: featureBridge 초기화
         windowBridge.initialize();
         setupWebDataHandlers();
@@ -442,7 +451,8 @@ async function startWebStack() {
   });
 
   const createBackendApp = require('../pickleglass_web/backend_node');
-  const nodeApi = createBackendApp(eventBridge);
+  const webSessionService = require('./features/common/services/webSessionService');
+  const nodeApi = createBackendApp(eventBridge, { webSession: webSessionService });
 
   const staticDir = app.isPackaged
     ? path.join(process.resourcesPath, 'out')
@@ -521,7 +531,7 @@ function setupWebDataHandlers() {
             console.log(`[EventBridge] Invoking ${channel} with data:`, data);
             
             // Handle different channel types
-            if (channel.startsWith('research:') || channel.startsWith('activity:')) {
+            if (channel.startsWith('research:') || channel.startsWith('activity:') || channel.startsWith('conversations:') || channel.startsWith('summary-templates:') || channel.startsWith('usage:') || channel.startsWith('redaction:')) {
                 // Delegate to the appropriate service via featureBridge
                 return await handleServiceInvocation(channel, data);
             }
@@ -557,13 +567,24 @@ function setupWebDataHandlers() {
             });
         }
     });
+
+    // Relay live service events to the backend's event stream.
+    // Each open dashboard tab adds a listener, so lift the default listener cap.
+    eventBridge.setMaxListeners(0);
+    internalBridge.on('live-event', (liveEvent) => {
+        eventBridge.emit('live-event', liveEvent);
+    });
 }
 
 async function handleServiceInvocation(channel, data) {
     // Map web API calls to IPC handlers
     try {
         const activityService = require('./features/activity/activityService');
+        const researchService = require('./features/research/researchService');
         const modelStateService = require('./features/common/services/modelStateService');
+        const searchRepository = require('./features/common/repositories/search');
+        const usageService = require('./features/common/services/usageService');
+        const redactionService = require('./features/common/services/redactionService');
         
         switch (channel) {
             case 'research:get-status':
@@ -635,6 +656,7 @@ async function handleServiceInvocation(channel, data) {
             case 'research:get-ai-status':
                 const modelInfo = await modelStateService.getCurrentModelInfo('llm');
                 return {
+                    ...researchService.getAIStatus(),
                     available: modelInfo && modelInfo.provider === 'gemini' && modelInfo.apiKey,
                     provider: 'gemini',
                     status: modelInfo && modelInfo.apiKey ? 'ready' : 'not_configured',
@@ -646,6 +668,38 @@ async function handleServiceInvocation(channel, data) {
                     ]
                 };
                 
+            case 'research:get-session-details':
+                return await researchService.getSessionDetails(data?.sessionId);
+
+            case 'research:write-session-zotero':
+                return await researchService.writeSessionToZotero(data?.sessionId);
+
+            case 'research:get-bibliography':
+                return researchService.getBibliographyStatus();
+
+            case 'research:add-bibliography-file':
+                return await researchService.addBibliographyFile(data?.filePath);
+
+            case 'research:remove-bibliography-file':
+                return await researchService.removeBibliographyFile(data?.filePath);
+
+            case 'research:search-bibliography':
+                return await researchService.searchBibliography(data?.query, data?.limit);
+
+            case 'research:get-zotero-write-back':
+                return researchService.getZoteroWriteBackSettings();
+
+            case 'research:update-zotero-write-back':
+                return await researchService.updateZoteroWriteBackSettings(data || {});
+
+            case 'research:export-workspace':
+                return await researchService.exportWorkspace();
+
+            case 'research:import-workspace':
+                return await researchService.importWorkspace(data?.archive, {
+                    conflictStrategy: data?.conflictStrategy
+                });
+
             case 'activity:get-activities':
                 return await activityService.getActivities(data || {});
                 
@@ -672,7 +726,106 @@ async function handleServiceInvocation(channel, data) {
                 
             case 'activity:update-settings':
                 return await activityService.updateSettings(data || {});
-                
+
+            case 'activity:get-displays':
+                return activityService.getDisplays();
+
+            case 'activity:get-productivity-overrides':
+                return activityService.getProductivityOverrides();
+
+            case 'activity:update-productivity-overrides':
+                return await activityService.updateProductivityOverrides(data || {});
+
+            case 'activity:get-time-blocks':
+                return await activityService.getTimeBlocks(data || {});
+
+            case 'activity:create-time-block':
+                return await activityService.createTimeBlock(data || {});
+
+            case 'activity:update-time-block':
+                return await activityService.updateTimeBlock(data?.blockId, data?.updates || {});
+
+            case 'activity:delete-time-block':
+                return await activityService.deleteTimeBlock(data?.blockId);
+
+            case 'activity:get-categorization-rules':
+                return await activityService.getCategorizationRules();
+
+            case 'activity:create-categorization-rule':
+                return await activityService.createCategorizationRule(data || {});
+
+            case 'activity:update-categorization-rule':
+                return await activityService.updateCategorizationRule(data?.ruleId, data?.updates || {});
+
+            case 'activity:delete-categorization-rule':
+                return await activityService.deleteCategorizationRule(data?.ruleId);
+
+            case 'activity:test-categorization-rule':
+                return await activityService.testCategorizationRule(data || {});
+
+            case 'activity:export-calendar':
+                return await activityService.exportCalendar(data);
+
+            case 'activity:import-calendar':
+                return await activityService.importCalendar(data?.ics);
+
+            case 'activity:get-away-periods':
+                return activityService.getAwayPeriods();
+
+            case 'activity:resolve-away-period':
+                return await activityService.resolveAwayPeriod(data?.periodId, data?.kind ?? null);
+
+            case 'conversations:search':
+                return searchRepository.searchConversations(data);
+
+            case 'conversations:get-speakers':
+                return await listenService.getSpeakers(data?.sessionId);
+
+            case 'conversations:rename-speaker':
+                return await listenService.renameSpeaker(data?.speakerId, data?.name, data?.sessionId);
+
+            case 'conversations:get-minutes':
+                return await listenService.getMinutes(data?.sessionId);
+
+            case 'conversations:generate-minutes':
+                return await listenService.generateMinutes(data?.sessionId);
+
+            case 'conversations:export-minutes':
+                return await listenService.exportMinutes(data?.sessionId, data?.format);
+
+            case 'summary-templates:list':
+                return await listenService.getSummaryTemplates();
+
+            case 'summary-templates:create':
+                return await listenService.createSummaryTemplate(data);
+
+            case 'summary-templates:update':
+                return await listenService.updateSummaryTemplate(data?.id, data?.template);
+
+            case 'summary-templates:delete':
+                return await listenService.deleteSummaryTemplate(data?.id);
+
+            case 'summary-templates:select':
+                return await listenService.setSummaryTemplate(data?.id || null);
+
+            case 'usage:get-report':
+                return usageService.getUsageReport({ days: data?.days });
+
+            case 'usage:set-budget':
+                return usageService.setBudget(data || {});
+
+            case 'redaction:get-settings':
+                return redactionService.getSettings();
+
+            case 'redaction:update-settings':
+                return redactionService.updateSettings(data || {});
+
+            case 'redaction:get-audit-log':
+                return redactionService.getAuditLog({ limit: data?.limit });
+
+            case 'redaction:get-status':
+                return await redactionService.getStatus();
+
             default:
                 console.warn(`[ServiceInvocation] Unknown channel: ${channel}`);
                 return { error: 'Unknown channel' };
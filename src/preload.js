@@ -161,7 +161,7 @@ contextBridge.exposeInMainWorld('api', {
     adjustWindowHeight: (winName, height) => ipcRenderer.invoke('adjust-window-height', { winName, height }),
     
     // Message Handling
-    sendMessage: (text) => ipcRenderer.invoke('ask:sendQuestionFromAsk', text),
+    sendMessage: (text, options) => ipcRenderer.invoke('ask:sendQuestionFromAsk', text, options),
 
     // Listeners
     onAskStateUpdate: (callback) => ipcRenderer.on('ask:stateUpdate', callback),
@@ -192,9 +192,13 @@ contextBridge.exposeInMainWorld('api', {
 
   // src/ui/listen/stt/SttView.js
   sttView: {
+    renameSpeaker: (speakerId, name) => ipcRenderer.invoke('listen:renameSpeaker', { speakerId, name }),
+
     // Listeners
     onSttUpdate: (callback) => ipcRenderer.on('stt-update', callback),
-    removeOnSttUpdate: (callback) => ipcRenderer.removeListener('stt-update', callback)
+    removeOnSttUpdate: (callback) => ipcRenderer.removeListener('stt-update', callback),
+    onSpeakerRenamed: (callback) => ipcRenderer.on('listen:speakerRenamed', callback),
+    removeOnSpeakerRenamed: (callback) => ipcRenderer.removeListener('listen:speakerRenamed', callback)
   },
 
   // src/ui/listen/summary/SummaryView.js
@@ -205,7 +209,13 @@ contextBridge.exposeInMainWorld('api', {
     // Listeners
     onSummaryUpdate: (callback) => ipcRenderer.on('summary-update', callback),
     removeOnSummaryUpdate: (callback) => ipcRenderer.removeListener('summary-update', callback),
-    removeAllSummaryUpdateListeners: () => ipcRenderer.removeAllListeners('summary-update')
+    removeAllSummaryUpdateListeners: () => ipcRenderer.removeAllListeners('summary-update'),
+
+    // Summary templates
+    getSummaryTemplates: () => ipcRenderer.invoke('listen:getSummaryTemplates'),
+    setSummaryTemplate: (templateId) => ipcRenderer.invoke('listen:setSummaryTemplate', templateId),
+    onSummaryTemplatesUpdated: (callback) => ipcRenderer.on('listen:summaryTemplatesUpdated', callback),
+    removeOnSummaryTemplatesUpdated: (callback) => ipcRenderer.removeListener('listen:summaryTemplatesUpdated', callback)
   },
 
   // src/ui/settings/SettingsView.js
@@ -240,6 +250,9 @@ contextBridge.exposeInMainWorld('api', {
     getPresets: () => ipcRenderer.invoke('settings:getPresets'),
     getAutoUpdate: () => ipcRenderer.invoke('settings:get-auto-update'),
     setAutoUpdate: (isEnabled) => ipcRenderer.invoke('settings:set-auto-update', isEnabled),
+    getSpeakerDiarization: () => ipcRenderer.invoke('settings:get-speaker-diarization'),
+    setSpeakerDiarization: (enabled) => ipcRenderer.invoke('settings:set-speaker-diarization', enabled),
+    importAudio: (recording) => ipcRenderer.invoke('listen:importAudio', recording),
     getContentProtectionStatus: () => ipcRenderer.invoke('get-content-protection-status'),
     toggleContentProtection: () => ipcRenderer.invoke('toggle-content-protection'),
     getCurrentShortcuts: () => ipcRenderer.invoke('settings:getCurrentShortcuts'),
@@ -271,6 +284,8 @@ contextBridge.exposeInMainWorld('api', {
     removeOnPresetsUpdated: (callback) => ipcRenderer.removeListener('presets-updated', callback),
     onShortcutsUpdated: (callback) => ipcRenderer.on('shortcuts-updated', callback),
     removeOnShortcutsUpdated: (callback) => ipcRenderer.removeListener('shortcuts-updated', callback),
+    onImportProgress: (callback) => ipcRenderer.on('listen:importProgress', callback),
+    removeOnImportProgress: (callback) => ipcRenderer.removeListener('listen:importProgress', callback),
     // 통합 LocalAI 이벤트 사용
     onLocalAIInstallProgress: (callback) => ipcRenderer.on('localai:install-progress', callback),
     removeOnLocalAIInstallProgress: (callback) => ipcRenderer.removeListener('localai:install-progress', callback),
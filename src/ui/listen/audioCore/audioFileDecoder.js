@@ -0,0 +1,53 @@
+// Decodes recorded audio files (WAV, MP3, M4A, WebM...) with the browser's own codecs,
+// so nothing leaves the machine before transcription.
+
+export const IMPORT_SAMPLE_RATE = 16000;
+export const SUPPORTED_AUDIO_EXTENSIONS = ['.wav', '.mp3', '.m4a', '.webm'];
+// The whole file is decoded in memory, so larger files are refused before reading them. An hour of
+// CD-quality WAV is 635 MB; compressed formats take far less.
+export const MAX_IMPORT_SECONDS = 60 * 60;
+export const MAX_IMPORT_BYTES = 700 * 1024 * 1024;
+
+/**
+ * Decode a file to mono 16-bit PCM at the rate the STT pipeline expects
+ * @param {File} file
+ * @param {number} [sampleRate=16000]
+ * @returns {Promise<{pcm: Int16Array, sampleRate: number, duration: number}>} duration in seconds
+ */
+export async function decodeAudioFile(file, sampleRate = IMPORT_SAMPLE_RATE) {
+    if (file.size > MAX_IMPORT_BYTES) {
+        throw new Error(`${file.name} is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+    }
+    const data = await file.arrayBuffer();
+
+    // Decoding at the target rate keeps the decoded channels small
+    const context = new AudioContext({ sampleRate });
+    let decoded;
+    try {
+        decoded = await context.decodeAudioData(data);
+    } catch (error) {
+        throw new Error(`Could not decode ${file.name}: the format is not supported`);
+    } finally {
+        context.close();
+    }
+    if (decoded.duration > MAX_IMPORT_SECONDS) {
+        throw new Error(`Recordings longer than ${MAX_IMPORT_SECONDS / 60} minutes cannot be imported`);
+    }
+
+    // Rendering through an offline context mixes the channels down and resamples in one pass
+    const length = Math.ceil(decoded.duration * sampleRate);
+    const offline = new OfflineAudioContext(1, length, sampleRate);
+    const source = offline.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offline.destination);
+    source.start();
+    const rendered = await offline.startRendering();
+
+    const samples = rendered.getChannelData(0);
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        pcm[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    }
+    return { pcm, sampleRate, duration: decoded.duration };
+}
@@ -67,6 +67,33 @@ export class SttView extends LitElement {
             margin-left: auto;
         }
 
+        .speaker-label {
+            display: block;
+            margin-bottom: 2px;
+            font-size: 11px;
+            font-weight: 600;
+            color: rgba(255, 255, 255, 0.6);
+            cursor: pointer;
+        }
+
+        .speaker-label:hover {
+            color: rgba(255, 255, 255, 0.9);
+        }
+
+        .speaker-input {
+            display: block;
+            width: 100%;
+            margin-bottom: 4px;
+            padding: 2px 6px;
+            font-size: 11px;
+            color: white;
+            background: rgba(0, 0, 0, 0.3);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            border-radius: 4px;
+            outline: none;
+            box-sizing: border-box;
+        }
+
         .empty-state {
             display: flex;
             align-items: center;
@@ -81,22 +108,26 @@ export class SttView extends LitElement {
     static properties = {
         sttMessages: { type: Array },
         isVisible: { type: Boolean },
+        editingSpeakerId: { type: String },
     };
 
     constructor() {
         super();
         this.sttMessages = [];
         this.isVisible = true;
+        this.editingSpeakerId = null;
         this.messageIdCounter = 0;
         this._shouldScrollAfterUpdate = false;
 
         this.handleSttUpdate = this.handleSttUpdate.bind(this);
+        this.handleSpeakerRenamed = this.handleSpeakerRenamed.bind(this);
     }
 
     connectedCallback() {
         super.connectedCallback();
         if (window.api) {
             window.api.sttView.onSttUpdate(this.handleSttUpdate);
+            window.api.sttView.onSpeakerRenamed(this.handleSpeakerRenamed);
         }
     }
 
@@ -104,16 +135,18 @@ export class SttView extends LitElement {
         super.disconnectedCallback();
         if (window.api) {
             window.api.sttView.removeOnSttUpdate(this.handleSttUpdate);
+            window.api.sttView.removeOnSpeakerRenamed(this.handleSpeakerRenamed);
         }
     }
 
     // Handle session reset from parent
     resetTranscript() {
         this.sttMessages = [];
+        this.editingSpeakerId = null;
         this.requestUpdate();
     }
 
-    handleSttUpdate(event, { speaker, text, isFinal, isPartial }) {
+    handleSttUpdate(event, { speaker, speakerId, speakerName, text, isFinal, isPartial }) {
         if (text === undefined) return;
 
         const container = this.shadowRoot.querySelector('.transcription-container');
@@ -151,6 +184,8 @@ export class SttView extends LitElement {
             if (targetIdx !== -1) {
                 newMessages[targetIdx] = {
                     ...newMessages[targetIdx],
+                    speakerId,
+                    speakerName,
                     text,
                     isPartial: false,
                     isFinal: true,
@@ -159,6 +194,8 @@ export class SttView extends LitElement {
                 newMessages.push({
                     id: this.messageIdCounter++,
                     speaker,
+                    speakerId,
+                    speakerName,
                     text,
                     isPartial: false,
                     isFinal: true,
@@ -175,6 +212,39 @@ export class SttView extends LitElement {
         }));
     }
 
+    handleSpeakerRenamed(event, { speakerId, name }) {
+        this.sttMessages = this.sttMessages.map(msg => (msg.speakerId === speakerId ? { ...msg, speakerName: name } : msg));
+        this.dispatchEvent(new CustomEvent('stt-messages-updated', {
+            detail: { messages: this.sttMessages },
+            bubbles: true
+        }));
+    }
+
+    startRenamingSpeaker(speakerId) {
+        this.editingSpeakerId = speakerId;
+        this.updateComplete.then(() => this.shadowRoot.querySelector('.speaker-input')?.focus());
+    }
+
+    async handleSpeakerInputKeydown(e, speakerId) {
+        if (e.key === 'Escape') {
+            this.editingSpeakerId = null;
+            return;
+        }
+        if (e.key !== 'Enter') return;
+
+        const name = e.target.value.trim();
+        this.editingSpeakerId = null;
+        if (!name || !window.api) return;
+        try {
+            const result = await window.api.sttView.renameSpeaker(speakerId, name);
+            if (!result?.success) {
+                console.error('Failed to rename speaker:', result?.error);
+            }
+        } catch (error) {
+            console.error('Error renaming speaker:', error);
+        }
+    }
+
     scrollToBottom() {
         setTimeout(() => {
             const container = this.shadowRoot.querySelector('.transcription-container');
@@ -189,7 +259,7 @@ export class SttView extends LitElement {
     }
 
     getTranscriptText() {
-        return this.sttMessages.map(msg => `${msg.speaker}: ${msg.text}`).join('\n');
+        return this.sttMessages.map(msg => `${msg.speakerName || msg.speaker}: ${msg.text}`).join('\n');
     }
 
     updated(changedProperties) {
@@ -203,6 +273,22 @@ export class SttView extends LitElement {
         }
     }
 
+    renderSpeakerLabel(msg) {
+        if (!msg.speakerId || this.getSpeakerClass(msg.speaker) === 'me') return '';
+
+        if (this.editingSpeakerId === msg.speakerId) {
+            return html`<input
+                class="speaker-input"
+                .value=${msg.speakerName || ''}
+                @keydown=${e => this.handleSpeakerInputKeydown(e, msg.speakerId)}
+                @blur=${() => (this.editingSpeakerId = null)}
+            />`;
+        }
+        return html`<span class="speaker-label" title="Click to rename" @click=${() => this.startRenamingSpeaker(msg.speakerId)}>
+            ${msg.speakerName || msg.speaker}
+        </span>`;
+    }
+
     render() {
         if (!this.isVisible) {
             return html`<div style="display: none;"></div>`;
@@ -214,7 +300,7 @@ export class SttView extends LitElement {
                     ? html`<div class="empty-state">Waiting for speech...</div>`
                     : this.sttMessages.map(msg => html`
                         <div class="stt-message ${this.getSpeakerClass(msg.speaker)}">
-                            ${msg.text}
+                            ${this.renderSpeakerLabel(msg)}${msg.text}
                         </div>
                     `)
                 }
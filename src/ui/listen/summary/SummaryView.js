@@ -222,6 +222,31 @@ export class SummaryView extends LitElement {
             color: #f1fa8c;
         }
 
+        .template-bar {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 8px;
+            margin-bottom: 8px;
+            color: rgba(255, 255, 255, 0.6);
+            font-size: 11px;
+        }
+
+        .template-bar select {
+            flex: 1;
+            max-width: 200px;
+            background: rgba(0, 0, 0, 0.3);
+            color: #ffffff;
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            border-radius: 4px;
+            padding: 3px 6px;
+            font-size: 11px;
+        }
+
+        .template-bar select:disabled {
+            opacity: 0.5;
+        }
+
         .empty-state {
             display: flex;
             align-items: center;
@@ -237,6 +262,9 @@ export class SummaryView extends LitElement {
         structuredData: { type: Object },
         isVisible: { type: Boolean },
         hasCompletedRecording: { type: Boolean },
+        templates: { type: Array },
+        selectedTemplateId: { type: String },
+        isChangingTemplate: { type: Boolean },
     };
 
     constructor() {
@@ -249,6 +277,10 @@ export class SummaryView extends LitElement {
         };
         this.isVisible = true;
         this.hasCompletedRecording = false;
+        this.templates = [];
+        this.selectedTemplateId = '';
+        this.isChangingTemplate = false;
+        this.handleTemplatesUpdated = () => this.loadTemplates();
 
         // 마크다운 라이브러리 초기화
         this.marked = null;
@@ -267,6 +299,8 @@ export class SummaryView extends LitElement {
                 this.structuredData = data;
                 this.requestUpdate();
             });
+            window.api.summaryView.onSummaryTemplatesUpdated(this.handleTemplatesUpdated);
+            this.loadTemplates();
         }
     }
 
@@ -274,6 +308,33 @@ export class SummaryView extends LitElement {
         super.disconnectedCallback();
         if (window.api) {
             window.api.summaryView.removeAllSummaryUpdateListeners();
+            window.api.summaryView.removeOnSummaryTemplatesUpdated(this.handleTemplatesUpdated);
+        }
+    }
+
+    async loadTemplates() {
+        try {
+            const { templates, selectedId } = await window.api.summaryView.getSummaryTemplates();
+            this.templates = templates;
+            this.selectedTemplateId = selectedId || '';
+        } catch (error) {
+            console.error('Failed to load summary templates:', error);
+        }
+    }
+
+    async handleTemplateChange(event) {
+        const templateId = event.target.value;
+        const previousId = this.selectedTemplateId;
+        this.selectedTemplateId = templateId;
+        this.isChangingTemplate = true;
+        try {
+            const result = await window.api.summaryView.setSummaryTemplate(templateId || null);
+            if (!result.success) throw new Error(result.error);
+        } catch (error) {
+            console.error('Failed to change summary template:', error);
+            this.selectedTemplateId = previousId;
+        } finally {
+            this.isChangingTemplate = false;
         }
     }
 
@@ -286,6 +347,8 @@ export class SummaryView extends LitElement {
             followUps: [],
         };
         this.requestUpdate();
+        // A new session may start with another template
+        if (window.api) this.loadTemplates();
     }
 
     async loadLibraries() {
@@ -425,6 +488,17 @@ export class SummaryView extends LitElement {
         const data = this.structuredData || { summary: [], topic: { header: '', bullets: [] }, actions: [] };
         let sections = [];
 
+        if (data.sections) {
+            data.sections
+                .filter(section => section.items.length > 0)
+                .forEach(section => {
+                    const items = section.type === 'text'
+                        ? section.items
+                        : section.items.map((item, index) => (section.type === 'numbered' ? `${index + 1}. ${item}` : `• ${item}`));
+                    sections.push(`${section.title}:\n${items.join('\n')}`);
+                });
+        }
+
         if (data.summary && data.summary.length > 0) {
             sections.push(`Current Summary:\n${data.summary.map(s => `• ${s}`).join('\n')}`);
         }
@@ -449,6 +523,86 @@ export class SummaryView extends LitElement {
         this.renderMarkdownContent();
     }
 
+    renderTemplateBar() {
+        if (this.templates.length === 0) return '';
+
+        return html`
+            <div class="template-bar">
+                <span>Summary template</span>
+                <select ?disabled=${this.isChangingTemplate} @change=${this.handleTemplateChange}>
+                    <option value="" ?selected=${!this.selectedTemplateId}>Built-in</option>
+                    ${this.templates.map(
+                        template => html`<option value=${template.id} ?selected=${template.id === this.selectedTemplateId}>${template.title}</option>`
+                    )}
+                </select>
+            </div>
+        `;
+    }
+
+    // Sections of a templated summary, in the order the template defines them
+    renderSections(sections) {
+        return sections.map(
+            section => html`
+                <insights-title>${section.title}</insights-title>
+                ${section.items.length > 0
+                    ? section.items.map((item, index) => {
+                          const text = section.type === 'numbered' ? `${index + 1}. ${item}` : item;
+                          return html`
+                              <div
+                                  class="markdown-content"
+                                  data-markdown-id="${section.key}-${index}"
+                                  data-original-text="${text}"
+                                  @click=${() => this.handleMarkdownClick(item)}
+                              >
+                                  ${text}
+                              </div>
+                          `;
+                      })
+                    : html` <div class="request-item">No content yet...</div> `}
+            `
+        );
+    }
+
+    renderActions(actions) {
+        if (actions.length === 0) return '';
+
+        return html`
+            <insights-title>Actions</insights-title>
+            ${actions.slice(0, 5).map(
+                (action, index) => html`
+                    <div
+                        class="markdown-content"
+                        data-markdown-id="action-${index}"
+                        data-original-text="${action}"
+                        @click=${() => this.handleMarkdownClick(action)}
+                    >
+                        ${action}
+                    </div>
+                `
+            )}
+        `;
+    }
+
+    renderFollowUps(followUps) {
+        if (!this.hasCompletedRecording || !followUps || followUps.length === 0) return '';
+
+        return html`
+            <insights-title>Follow-Ups</insights-title>
+            ${followUps.map(
+                (followUp, index) => html`
+                    <div
+                        class="markdown-content"
+                        data-markdown-id="followup-${index}"
+                        data-original-text="${followUp}"
+                        @click=${() => this.handleMarkdownClick(followUp)}
+                    >
+                        ${followUp}
+                    </div>
+                `
+            )}
+        `;
+    }
+
     render() {
         if (!this.isVisible) {
             return html`<div style="display: none;"></div>`;
@@ -459,17 +613,28 @@ export class SummaryView extends LitElement {
             topic: { header: '', bullets: [] },
             actions: [],
         };
+        const summary = data.summary || [];
+        const topic = data.topic || { header: '', bullets: [] };
+        const actions = data.actions || [];
 
-        const hasAnyContent = data.summary.length > 0 || data.topic.bullets.length > 0 || data.actions.length > 0;
+        const hasSectionContent = (data.sections || []).some(section => section.items.length > 0);
+        const hasAnyContent = hasSectionContent || summary.length > 0 || topic.bullets.length > 0 || actions.length > 0;
 
         return html`
             <div class="insights-container">
+                ${this.renderTemplateBar()}
                 ${!hasAnyContent
                     ? html`<div class="empty-state">No insights yet...</div>`
+                    : data.sections
+                    ? html`
+                        ${this.renderSections(data.sections)}
+                        ${this.renderActions(actions)}
+                        ${this.renderFollowUps(data.followUps)}
+                    `
                     : html`
                         <insights-title>Current Summary</insights-title>
-                        ${data.summary.length > 0
-                            ? data.summary
+                        ${summary.length > 0
+                            ? summary
                                   .slice(0, 5)
                                   .map(
                                       (bullet, index) => html`
@@ -484,10 +649,10 @@ export class SummaryView extends LitElement {
                                       `
                                   )
                             : html` <div class="request-item">No content yet...</div> `}
-                        ${data.topic.header
+                        ${topic.header
                             ? html`
-                                  <insights-title>${data.topic.header}</insights-title>
-                                  ${data.topic.bullets
+                                  <insights-title>${topic.header}</insights-title>
+                                  ${topic.bullets
                                       .slice(0, 3)
                                       .map(
                                           (bullet, index) => html`
@@ -503,42 +668,8 @@ export class SummaryView extends LitElement {
                                       )}
                               `
                             : ''}
-                        ${data.actions.length > 0
-                            ? html`
-                                  <insights-title>Actions</insights-title>
-                                  ${data.actions
-                                      .slice(0, 5)
-                                      .map(
-                                          (action, index) => html`
-                                              <div
-                                                  class="markdown-content"
-                                                  data-markdown-id="action-${index}"
-                                                  data-original-text="${action}"
-                                                  @click=${() => this.handleMarkdownClick(action)}
-                                              >
-                                                  ${action}
-                                              </div>
-                                          `
-                                      )}
-                              `
-                            : ''}
-                        ${this.hasCompletedRecording && data.followUps && data.followUps.length > 0
-                            ? html`
-                                  <insights-title>Follow-Ups</insights-title>
-                                  ${data.followUps.map(
-                                      (followUp, index) => html`
-                                          <div
-                                              class="markdown-content"
-                                              data-markdown-id="followup-${index}"
-                                              data-original-text="${followUp}"
-                                              @click=${() => this.handleMarkdownClick(followUp)}
-                                          >
-                                              ${followUp}
-                                          </div>
-                                      `
-                                  )}
-                              `
-                            : ''}
+                        ${this.renderActions(actions)}
+                        ${this.renderFollowUps(data.followUps)}
                     `}
             </div>
         `;
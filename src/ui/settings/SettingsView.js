@@ -1,4 +1,5 @@
 import { html, css, LitElement } from '../assets/lit-core-2.7.4.min.js';
+import { decodeAudioFile, SUPPORTED_AUDIO_EXTENSIONS } from '../listen/audioCore/audioFileDecoder.js';
 // import { getOllamaProgressTracker } from '../../features/common/services/localProgressTracker.js'; // 제거됨
 
 export class SettingsView extends LitElement {
@@ -584,6 +585,9 @@ export class SettingsView extends LitElement {
         showPresets: { type: Boolean, state: true },
         autoUpdateEnabled: { type: Boolean, state: true },
         autoUpdateLoading: { type: Boolean, state: true },
+        speakerDiarizationEnabled: { type: Boolean, state: true },
+        isImportingAudio: { type: Boolean, state: true },
+        importStatus: { type: String, state: true },
         // Ollama related properties
         ollamaStatus: { type: Object, state: true },
         ollamaModels: { type: Array, state: true },
@@ -629,6 +633,9 @@ export class SettingsView extends LitElement {
         this.handleUsePicklesKey = this.handleUsePicklesKey.bind(this)
         this.autoUpdateEnabled = true;
         this.autoUpdateLoading = true;
+        this.speakerDiarizationEnabled = true;
+        this.isImportingAudio = false;
+        this.importStatus = null;
         this.loadInitialData();
         //////// after_modelStateService ////////
     }
@@ -667,6 +674,68 @@ export class SettingsView extends LitElement {
         this.requestUpdate();
     }
 
+    async loadSpeakerDiarizationSetting() {
+        if (!window.api) return;
+        try {
+            this.speakerDiarizationEnabled = await window.api.settingsView.getSpeakerDiarization();
+        } catch (e) {
+            console.error('Error loading speaker diarization setting:', e);
+        }
+        this.requestUpdate();
+    }
+
+    async handleToggleSpeakerDiarization() {
+        if (!window.api) return;
+        try {
+            const newValue = !this.speakerDiarizationEnabled;
+            const result = await window.api.settingsView.setSpeakerDiarization(newValue);
+            if (result && result.success) {
+                this.speakerDiarizationEnabled = newValue;
+            } else {
+                console.error('Failed to update speaker diarization setting');
+            }
+        } catch (e) {
+            console.error('Error toggling speaker diarization:', e);
+        }
+        this.requestUpdate();
+    }
+
+    handleImportAudioClick() {
+        if (this.isImportingAudio) return;
+        this.shadowRoot.querySelector('#audio-import-input')?.click();
+    }
+
+    async handleAudioFileSelected(e) {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !window.api) return;
+
+        this.isImportingAudio = true;
+        try {
+            this.importStatus = 'Decoding…';
+            const { pcm, sampleRate, duration } = await decodeAudioFile(file);
+            this.importStatus = 'Transcribing…';
+            const result = await window.api.settingsView.importAudio({
+                fileName: file.name,
+                pcm,
+                sampleRate,
+                // A file is usually last written when its recording stops
+                startedAt: file.lastModified ? file.lastModified - duration * 1000 : undefined,
+            });
+            if (result?.success) {
+                this.importStatus = `Imported "${result.title}"`;
+            } else {
+                console.error('Audio import failed:', result?.error);
+                this.importStatus = `Import failed: ${result?.error || 'unknown error'}`;
+            }
+        } catch (error) {
+            console.error('Error importing audio file:', error);
+            this.importStatus = `Import failed: ${error.message}`;
+        }
+        this.isImportingAudio = false;
+        this.requestUpdate();
+    }
+
     async loadLocalAIStatus() {
         try {
             // Load Ollama status
@@ -1060,6 +1129,7 @@ export class SettingsView extends LitElement {
         this.setupIpcListeners();
         this.setupWindowResize();
         this.loadAutoUpdateSetting();
+        this.loadSpeakerDiarizationSetting();
         // Force one height calculation immediately (innerHeight may be 0 at first)
         setTimeout(() => this.updateScrollHeight(), 0);
     }
@@ -1137,6 +1207,16 @@ export class SettingsView extends LitElement {
         window.api.settingsView.onSettingsUpdated(this._settingsUpdatedListener);
         window.api.settingsView.onPresetsUpdated(this._presetsUpdatedListener);
         window.api.settingsView.onShortcutsUpdated(this._shortcutListener);
+
+        this._importProgressListener = (event, { stage, progress }) => {
+            const labels = {
+                transcribing: `Transcribing… ${Math.round(progress * 100)}%`,
+                saving: 'Saving transcript…',
+                summarizing: 'Summarizing…',
+            };
+            if (labels[stage]) this.importStatus = labels[stage];
+        };
+        window.api.settingsView.onImportProgress(this._importProgressListener);
     }
 
     cleanupIpcListeners() {
@@ -1154,6 +1234,9 @@ export class SettingsView extends LitElement {
         if (this._shortcutListener) {
             window.api.settingsView.removeOnShortcutsUpdated(this._shortcutListener);
         }
+        if (this._importProgressListener) {
+            window.api.settingsView.removeOnImportProgress(this._importProgressListener);
+        }
     }
 
     setupWindowResize() {
@@ -1614,6 +1697,13 @@ export class SettingsView extends LitElement {
                     <button class="settings-button full-width" @click=${this.handleToggleAutoUpdate} ?disabled=${this.autoUpdateLoading}>
                         <span>Automatic Updates: ${this.autoUpdateEnabled ? 'On' : 'Off'}</span>
                     </button>
+                    <button class="settings-button full-width" @click=${this.handleToggleSpeakerDiarization} title="Tell apart speakers in meeting audio (applies to the next session)">
+                        <span>Identify Speakers: ${this.speakerDiarizationEnabled ? 'On' : 'Off'}</span>
+                    </button>
+                    <button class="settings-button full-width" @click=${this.handleImportAudioClick} ?disabled=${this.isImportingAudio} title="Transcribe and summarize a recording (${SUPPORTED_AUDIO_EXTENSIONS.join(', ')}) as a new session">
+                        <span>${this.importStatus || 'Import Recording…'}</span>
+                    </button>
+                    <input id="audio-import-input" type="file" accept=${SUPPORTED_AUDIO_EXTENSIONS.join(',')} style="display: none" @change=${this.handleAudioFileSelected}>
                     
                     <div class="move-buttons">
                         <button class="settings-button half-width" @click=${this.handleMoveLeft}>
@@ -6,6 +6,7 @@ const os = require('os');
 const shortcutsService = require('../features/shortcuts/shortcutsService');
 const internalBridge = require('../bridge/internalBridge');
 const permissionRepository = require('../features/common/repositories/permission');
+const webSessionService = require('../features/common/services/webSessionService');
 
 /* ────────────────[ GLASS BYPASS ]─────────────── */
 let liquidGlass;
@@ -473,10 +474,9 @@ const toggleContentProtection = () => {
 
 
 const openLoginPage = () => {
-    const webUrl = process.env.pickleglass_WEB_URL || 'http://localhost:3000';
-    const personalizeUrl = `${webUrl}/personalize?desktop=true`;
+    const personalizeUrl = webSessionService.buildWebUrl('/personalize?desktop=true');
     shell.openExternal(personalizeUrl);
-    console.log('Opening personalization page:', personalizeUrl);
+    console.log('Opening personalization page:', personalizeUrl.split('#')[0]);
 };
 
 
@@ -6,6 +6,9 @@
 const axios = require('axios');
 
 const API_BASE = 'http://localhost:9001';
+// The API only accepts tokens issued by the desktop app: open the dashboard from Glass and
+// copy localStorage.pickleglass_api_token from the browser console into GLASS_API_TOKEN.
+const API_TOKEN = process.env.GLASS_API_TOKEN || '';
 
 const apiCall = async (endpoint, method = 'GET', data = null) => {
   try {
@@ -14,7 +17,7 @@ const apiCall = async (endpoint, method = 'GET', data = null) => {
       url: `${API_BASE}${endpoint}`,
       headers: {
         'Content-Type': 'application/json',
-        'X-User-ID': 'default_user'
+        'Authorization': `Bearer ${API_TOKEN}`
       }
     };
     
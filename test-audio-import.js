@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for importing recorded audio into Listen
+ * Checks clip splitting at pauses, local and Deepgram speaker labels, the finished session with
+ * timestamped transcripts, the summary and minutes that follow, and local Whisper transcription
+ */
+
+const SAMPLE_RATE = 16000;
+
+// Synthetic voiced speech: harmonics of a wobbling pitch shaped by the speaker's formants
+function voice({ pitch, formants }, seconds, phase = 0) {
+    const pcm = Buffer.alloc(Math.floor(seconds * SAMPLE_RATE) * 2);
+    let angle = 0;
+    for (let i = 0; i < pcm.length / 2; i++) {
+        const t = i / SAMPLE_RATE;
+        const f0 = pitch * (1 + 0.04 * Math.sin(2 * Math.PI * 3 * t + phase));
+        angle += (2 * Math.PI * f0) / SAMPLE_RATE;
+        let sample = 0;
+        for (let h = 1; h * pitch < 7000; h++) {
+            const gain = formants.reduce((sum, [center, width]) => sum + Math.exp(-(((h * f0 - center) / width) ** 2)), 0);
+            sample += (gain / h) * Math.sin(h * angle);
+        }
+        const envelope = 0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * t + phase);
+        pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample * envelope * 6000))), i * 2);
+    }
+    return pcm;
+}
+
+const silence = seconds => Buffer.alloc(Math.floor(seconds * SAMPLE_RATE) * 2);
+
+const ALICE = { pitch: 210, formants: [[850, 150], [1600, 200], [2800, 300]] };
+const BOB = { pitch: 105, formants: [[500, 120], [1000, 150], [2400, 250]] };
+
+async function runTest() {
+    try {
+        console.log('=== Audio Import Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' }, BrowserWindow: { getAllWindows: () => [] } }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        const authService = {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        };
+        mockModule('./src/features/common/services/authService', authService);
+        mockModule('./src/features/common/services/firebaseClient', {});
+        mockModule('./src/window/windowManager', { windowPool: new Map() });
+        mockModule('./src/features/activity/activityService', { createActivity: async () => {} });
+
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+
+        // 1. WAV container
+        console.log('1. Wrapping PCM in a WAV file...');
+        const { encodeWav } = require('./src/features/common/utils/wav');
+        const wav = encodeWav(silence(0.5));
+        if (wav.length !== 44 + 16000 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.readUInt32LE(24) !== 16000 || wav.readUInt32LE(40) !== 16000) {
+            throw new Error('Unexpected WAV header');
+        }
+        console.log('✅ 16 kHz mono WAV header\n');
+
+        // 2. Local Whisper
+        console.log('2. Transcribing a clip with local Whisper...');
+        const whisperService = require('./src/features/common/services/whisperService');
+        const whisperDir = path.join(testDir, 'whisper');
+        fs.mkdirSync(path.join(whisperDir, 'models'), { recursive: true });
+        fs.mkdirSync(path.join(whisperDir, 'temp'), { recursive: true });
+        fs.writeFileSync(path.join(whisperDir, 'models', 'whisper-tiny.bin'), '');
+        // Stands in for the whisper binary: writes the JSON output where -of points
+        const fakeWhisper = path.join(whisperDir, 'fake-whisper.js');
+        fs.writeFileSync(fakeWhisper, `#!${process.execPath}
+const args = process.argv.slice(2);
+const output = args[args.indexOf('-of') + 1];
+require('fs').writeFileSync(output + '.json', JSON.stringify({ transcription: [
+    { offsets: { from: 0, to: 2400 }, text: ' Welcome everyone.' },
+    { offsets: { from: 2400, to: 3000 }, text: ' ' },
+    { offsets: { from: 3000, to: 6500 }, text: ' Let us start with the results.' }
+] }));
+`, { mode: 0o755 });
+        Object.assign(whisperService, { whisperPath: fakeWhisper, modelsDir: path.join(whisperDir, 'models'), tempDir: path.join(whisperDir, 'temp') });
+        whisperService.installState.isInitialized = true;
+
+        const { WhisperProvider } = require('./src/features/common/ai/providers/whisper');
+        const whisperResult = await new WhisperProvider().transcribeAudio({ pcm: silence(7), model: 'whisper-tiny' });
+        if (JSON.stringify(whisperResult.segments) !== JSON.stringify([
+            { start: 0, end: 2.4, text: 'Welcome everyone.' },
+            { start: 3, end: 6.5, text: 'Let us start with the results.' }
+        ])) {
+            throw new Error(`Unexpected Whisper segments: ${JSON.stringify(whisperResult)}`);
+        }
+        if (fs.readdirSync(path.join(whisperDir, 'temp')).length !== 0) {
+            throw new Error('Whisper temp files were left behind');
+        }
+        console.log('✅ Timestamped segments read, temp files removed\n');
+
+        // 3. Import with a provider that returns plain text
+        console.log('3. Importing a recording with local speaker identification...');
+        const dbPath = path.join(testDir, 'test-audio-import.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+        const db = sqliteClient.getDb();
+
+        const transcribeCalls = [];
+        let transcribe = async () => ({ text: '' });
+        const llmRequests = [];
+        let llmReplies = [];
+        const summaryReply = (point, topic = '') => JSON.stringify({ summary: [point], topic: { name: topic, insights: [] }, explanation: '', questions: [] });
+        mockModule('./src/features/common/ai/factory', {
+            createSTT: async () => null,
+            generateStructured: require('./src/features/common/ai/structuredOutput').generateStructured,
+            transcribeAudio: async (provider, opts) => {
+                transcribeCalls.push({ provider, ...opts });
+                return transcribe(opts, transcribeCalls.length);
+            },
+            createLLM: () => ({
+                chat: async (messages) => {
+                    llmRequests.push(messages);
+                    return { content: llmReplies.shift() };
+                }
+            })
+        });
+        let sttModel = { provider: 'openai', model: 'gpt-4o-mini-transcribe', apiKey: 'test-key' };
+        mockModule('./src/features/common/services/modelStateService', {
+            getCurrentModelInfo: async (type) => type === 'stt' ? sttModel : { provider: 'openai', model: 'gpt-4.1', apiKey: 'test-key' }
+        });
+        let diarization = true;
+        mockModule('./src/features/settings/settingsService', { getSpeakerDiarization: async () => diarization, getDefaultSummaryTemplate: async () => null });
+
+        require('./src/features/common/repositories/session').setAuthService(authService);
+        const audioImportService = require('./src/features/listen/import/audioImportService');
+        const listenService = require('./src/features/listen/listenService');
+
+        // Alice until 26 s, a pause, Bob until 55 s, a pause, then Alice again
+        const recording = Buffer.concat([voice(ALICE, 26), silence(1), voice(BOB, 28, 1), silence(1.5), voice(ALICE, 5.5, 2)]);
+        const recordingInt16 = new Int16Array(recording.buffer.slice(recording.byteOffset, recording.byteOffset + recording.length));
+        transcribe = (opts, call) => ({ text: `Clip ${call}.` });
+        llmReplies = [
+            summaryReply('Alice and Bob reviewed the ablation results', 'Ablations'),
+            JSON.stringify({ attendees: [], decisions: ['Keep dropout'], action_items: [{ task: 'Rerun ablations', owner: 'Speaker 2', due_date: null }], open_questions: [] })
+        ];
+        const progress = [];
+        const startedAt = new Date(2025, 4, 20, 9, 30).getTime();
+        const result = await audioImportService.importRecording({
+            fileName: '/Users/me/Recordings/lab-meeting.m4a',
+            pcm: recordingInt16,
+            sampleRate: SAMPLE_RATE,
+            startedAt,
+            onProgress: event => progress.push(event)
+        });
+
+        const clipSeconds = transcribeCalls.map(call => call.pcm.length / (SAMPLE_RATE * 2));
+        if (clipSeconds.length !== 3 || clipSeconds[0] < 26 || clipSeconds[0] > 27 || clipSeconds[0] + clipSeconds[1] < 55 || clipSeconds[0] + clipSeconds[1] > 56.5) {
+            throw new Error(`Clips not cut at the pauses: ${clipSeconds}`);
+        }
+        if (transcribeCalls.some(call => call.provider !== 'openai' || call.diarize || call.model !== 'gpt-4o-mini-transcribe' || call.language !== undefined)) {
+            throw new Error(`Unexpected transcription options: ${JSON.stringify(transcribeCalls.map(({ pcm, ...call }) => call))}`);
+        }
+
+        const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(result.sessionId);
+        const start = Math.floor(startedAt / 1000);
+        if (session.title !== 'lab-meeting' || session.session_type !== 'listen' || session.started_at !== start || session.ended_at !== start + 62) {
+            throw new Error(`Unexpected session: ${JSON.stringify(session)}`);
+        }
+        const transcripts = db.prepare('SELECT * FROM transcripts WHERE session_id = ? ORDER BY start_at').all(result.sessionId);
+        const rows = transcripts.map(t => `${t.start_at - start}-${t.end_at - start} ${t.speaker_id} ${t.speaker}: ${t.text}`);
+        if (rows.length !== 3 || !rows[0].startsWith('0-27 speaker_1 Speaker 1: Clip 1.') || !/^26-5[56] speaker_2 Speaker 2: Clip 2\.$/.test(rows[1]) || !/^5[56]-62 speaker_1 Speaker 1: Clip 3\.$/.test(rows[2])) {
+            throw new Error(`Unexpected transcripts:\n${rows.join('\n')}`);
+        }
+        if (db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE ended_at IS NULL').get().count !== 0) {
+            throw new Error('The imported session was left open');
+        }
+        console.log('✅ Cut at pauses, voices told apart, finished session with offsets\n');
+
+        // 4. Summary and minutes
+        console.log('4. Summarizing the imported session...');
+        if (llmRequests.length !== 2 || !llmRequests[0][0].content.includes('Speaker 1: Clip 1.') || !llmRequests[1][1].content.includes('Speaker 2: Clip 2.')) {
+            throw new Error(`Expected one analysis and one minutes request, got ${llmRequests.length}`);
+        }
+        const summary = db.prepare('SELECT * FROM summaries WHERE session_id = ?').get(result.sessionId);
+        if (!summary || !summary.text.includes('ablation results') || !summary.minutes_json) {
+            throw new Error(`Summary or minutes not saved: ${JSON.stringify(summary)}`);
+        }
+        if (!llmRequests[1][0].content.includes('Meeting date: 2025-05-20')) {
+            throw new Error('Minutes did not use the recording date');
+        }
+        if (!result.summarized || !result.minutes || result.transcripts !== 3 || result.title !== 'lab-meeting') {
+            throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+        }
+        const stages = progress.map(event => event.stage === 'transcribing' ? `transcribing ${event.progress.toFixed(2)}` : event.stage);
+        if (stages.join(',') !== 'transcribing 0.00,transcribing 0.33,transcribing 0.67,transcribing 1.00,saving,summarizing,done') {
+            throw new Error(`Unexpected progress: ${stages}`);
+        }
+        const minutes = await listenService.getMinutes(result.sessionId);
+        if (minutes.minutes.decisions[0] !== 'Keep dropout') {
+            throw new Error('Minutes not readable through Listen');
+        }
+        console.log('✅ Rolling summary and minutes saved with the session\n');
+
+        // 5. Deepgram labels speakers itself and gets the whole recording
+        console.log('5. Importing through Deepgram...');
+        transcribeCalls.length = 0;
+        llmRequests.length = 0;
+        sttModel = { provider: 'deepgram', model: 'nova-3', apiKey: 'dg-key' };
+        transcribe = () => ({
+            text: 'Hello. Hi there. Shall we start?',
+            segments: [
+                { start: 0.5, end: 2, text: 'Hello.', speaker: 1 },
+                { start: 27.2, end: 29, text: 'Hi there.', speaker: 2 },
+                { start: 30, end: 30.4, text: ' ', speaker: 2 },
+                { start: 57, end: 59, text: 'Shall we start?', speaker: 1 }
+            ]
+        });
+        llmReplies = [summaryReply('Greetings'), JSON.stringify({ attendees: [], decisions: [], action_items: [], open_questions: [] })];
+        const deepgramImport = await audioImportService.importRecording({ fileName: 'call.webm', pcm: recording });
+        if (transcribeCalls.length !== 1 || transcribeCalls[0].pcm.length !== recording.length || transcribeCalls[0].diarize !== true) {
+            throw new Error('Deepgram did not get the whole recording with diarization');
+        }
+        const deepgramRows = db.prepare('SELECT speaker_id, text FROM transcripts WHERE session_id = ? ORDER BY start_at').all(deepgramImport.sessionId);
+        if (deepgramRows.map(row => `${row.speaker_id}:${row.text}`).join('|') !== 'speaker_1:Hello.|speaker_2:Hi there.|speaker_1:Shall we start?') {
+            throw new Error(`Unexpected Deepgram transcripts: ${JSON.stringify(deepgramRows)}`);
+        }
+        console.log('✅ One request, Deepgram speaker numbers kept\n');
+
+        // 6. Diarization off, failures and concurrent imports
+        console.log('6. Handling diarization off, empty recordings and concurrent imports...');
+        diarization = false;
+        sttModel = { provider: 'openai', model: 'gpt-4o-mini-transcribe', apiKey: 'test-key' };
+        transcribe = () => ({ text: 'Just one voice.' });
+        llmReplies = [summaryReply('Monologue'), null];
+        const plainImport = await audioImportService.importRecording({ fileName: 'memo.wav', pcm: silence(5) });
+        const plainRow = db.prepare('SELECT speaker, speaker_id FROM transcripts WHERE session_id = ?').get(plainImport.sessionId);
+        if (plainRow.speaker !== 'Them' || plainRow.speaker_id !== 'them' || plainImport.minutes) {
+            throw new Error(`Unexpected import without diarization: ${JSON.stringify({ plainRow, plainImport })}`);
+        }
+
+        const sessionCount = () => db.prepare('SELECT COUNT(*) AS count FROM sessions').get().count;
+        const before = sessionCount();
+        transcribe = () => ({ text: '   ' });
+        const noSpeech = await audioImportService.importRecording({ fileName: 'empty.mp3', pcm: silence(3) }).then(() => null, error => error.message);
+        const tooShort = await audioImportService.importRecording({ fileName: 'blip.mp3', pcm: silence(0.5) }).then(() => null, error => error.message);
+        const wrongRate = await audioImportService.importRecording({ fileName: 'hq.wav', pcm: silence(3), sampleRate: 44100 }).then(() => null, error => error.message);
+        if (!noSpeech?.includes('No speech') || !tooShort || !wrongRate || sessionCount() !== before) {
+            throw new Error(`Bad recordings not rejected cleanly: ${JSON.stringify({ noSpeech, tooShort, wrongRate })}`);
+        }
+
+        let release;
+        transcribe = () => new Promise(resolve => { release = () => resolve({ text: 'Slow.' }); });
+        llmReplies = [summaryReply('Slow'), null];
+        const first = audioImportService.importRecording({ fileName: 'slow.wav', pcm: silence(2) });
+        const second = await audioImportService.importRecording({ fileName: 'other.wav', pcm: silence(2) }).then(() => null, error => error.message);
+        while (!release) await new Promise(resolve => setImmediate(resolve));
+        release();
+        await first;
+        if (!second?.includes('Another recording')) {
+            throw new Error('A second import ran alongside the first');
+        }
+        console.log('✅ Unlabeled speaker, nothing saved for failed imports, one import at a time');
+
+        console.log('\n✅ All audio import checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
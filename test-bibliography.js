@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for local bibliography libraries
+ * Parses BibTeX and CSL-JSON files, matches PDF titles offline and reloads files when they change
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const BIBTEX = `
+@string{neurips = "Advances in Neural " # "Information Processing Systems"}
+@comment{Exported by Better BibTeX}
+
+@inproceedings{vaswani2017attention,
+  title     = {Attention Is {All} You Need},
+  author    = {Vaswani, Ashish and Noam Shazeer and {Google Brain} and others},
+  booktitle = neurips,
+  year      = 2017,
+  month     = dec,
+  keywords  = {transformers; attention}
+}
+
+@article(schroedinger1926,
+  title   = "Quantisierung als Eigenwertproblem",
+  author  = "Erwin Schr{\\"o}dinger",
+  journal = {Annalen der Physik},
+  year    = {1926}
+)
+`;
+
+const CSL_JSON = JSON.stringify([
+    {
+        id: 'http://zotero.org/users/1/items/ABCD1234',
+        'citation-key': 'devlin2019bert',
+        type: 'paper-conference',
+        title: 'BERT: Pre-training of Deep Bidirectional Transformers for Language Understanding',
+        author: [{ family: 'Devlin', given: 'Jacob' }, { family: 'Chang', given: 'Ming-Wei' }, { family: 'Lee', given: 'Kenton' }],
+        issued: { 'date-parts': [[2019, 6]] },
+        DOI: '10.18653/v1/N19-1423'
+    }
+]);
+
+async function runTest() {
+    let bibliography = null;
+
+    try {
+        console.log('=== Local Bibliography Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' } }
+        };
+
+        let savedSettings = {};
+        require.cache[require.resolve('./src/features/settings/settingsService')] = {
+            exports: {
+                getSettings: async () => savedSettings,
+                saveSettings: async (settings) => { savedSettings = { ...savedSettings, ...settings }; return { success: true }; }
+            }
+        };
+
+        const testDir = '/tmp/glass-test/bibliography';
+        fs.mkdirSync(testDir, { recursive: true });
+        const bibPath = path.join(testDir, 'library.bib');
+        const cslPath = path.join(testDir, 'library.json');
+        fs.writeFileSync(bibPath, BIBTEX);
+        fs.writeFileSync(cslPath, CSL_JSON);
+
+        // 1. Parse both formats
+        console.log('1. Parsing BibTeX and CSL-JSON...');
+        const { parseBibTeX, parseCslJson } = require('./src/features/common/utils/bibliography');
+        const [vaswani, schroedinger] = parseBibTeX(BIBTEX);
+        if (vaswani.title !== 'Attention Is All You Need' || vaswani.publicationTitle !== 'Advances in Neural Information Processing Systems') {
+            throw new Error(`Fields or @string macros not resolved: ${JSON.stringify(vaswani)}`);
+        }
+        if (vaswani.creators.length !== 3 || vaswani.creators[1].lastName !== 'Shazeer' || vaswani.creators[2].name !== 'Google Brain') {
+            throw new Error(`Authors not parsed: ${JSON.stringify(vaswani.creators)}`);
+        }
+        if (vaswani.date !== '2017-12' || vaswani.tags.length !== 2 || schroedinger.creators[0].lastName !== 'Schrödinger') {
+            throw new Error(`Date, keywords or LaTeX accents not handled: ${JSON.stringify([vaswani, schroedinger])}`);
+        }
+        const [bert] = parseCslJson(CSL_JSON);
+        if (bert.key !== 'devlin2019bert' || bert.date !== '2019-06' || bert.itemType !== 'conferencePaper') {
+            throw new Error(`CSL-JSON item not parsed: ${JSON.stringify(bert)}`);
+        }
+        console.log('✅ Both formats parsed into the same entry shape\n');
+
+        // 2. Load library files and match papers
+        console.log('2. Matching PDF titles offline...');
+        const BibliographyService = require('./src/features/research/services/bibliographyService');
+        bibliography = new BibliographyService();
+        await bibliography.addFile(bibPath);
+        await bibliography.addFile(cslPath);
+
+        if (savedSettings.bibliography.files.length !== 2 || bibliography.getStatus().entryCount !== 3) {
+            throw new Error(`Files not loaded or persisted: ${JSON.stringify(bibliography.getStatus())}`);
+        }
+
+        const byTitle = await bibliography.findPaperByTitle('Attention is all you need.pdf');
+        const byKey = await bibliography.findPaperByTitle('devlin2019bert.pdf');
+        const fuzzy = await bibliography.findPaperByTitle('BERT Pre-training of Deep Bidirectional Transformers');
+        const unrelated = await bibliography.findPaperByTitle('Quarterly budget spreadsheet.pdf');
+
+        if (byTitle?.key !== 'vaswani2017attention' || byTitle.formattedCitation !== 'Vaswani et al. (2017). Attention Is All You Need') {
+            throw new Error(`Title match failed: ${JSON.stringify(byTitle)}`);
+        }
+        if (byKey?.title !== bert.title || byKey.source !== 'csl-json' || fuzzy?.key !== 'devlin2019bert') {
+            throw new Error(`Key or fuzzy match failed: ${JSON.stringify({ byKey, fuzzy })}`);
+        }
+        if (unrelated !== null) {
+            throw new Error(`Unrelated PDF matched ${unrelated.key}`);
+        }
+        const paper = await bibliography.getPaperByKey('schroedinger1926');
+        if (paper.formattedCitation !== 'Schrödinger (1926). Quantisierung als Eigenwertproblem') {
+            throw new Error(`Unexpected citation: ${paper.formattedCitation}`);
+        }
+        console.log('✅ findPaperByTitle / getPaperByKey / formatCitation work like the Zotero provider\n');
+
+        // 3. Changes on disk are picked up
+        console.log('3. Reloading a changed file...');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        fs.writeFileSync(bibPath, `${BIBTEX}\n@book{knuth1984texbook, title = {The {\\TeX}book}, author = {Knuth, Donald E.}, year = 1984}\n`);
+
+        let added = null;
+        for (let i = 0; i < 20 && !added; i++) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+            added = await bibliography.getPaperByKey('knuth1984texbook');
+        }
+        if (!added || added.itemType !== 'book') {
+            throw new Error('Changed file was not reloaded');
+        }
+        console.log('✅ Watched file reloaded\n');
+
+        // 4. A broken save keeps the last good entries
+        console.log('4. Keeping entries when a file is half-written...');
+        fs.writeFileSync(cslPath, '[{"id": "broken"');
+        await bibliography.loadFile(cslPath).catch(() => {});
+        const status = bibliography.getStatus().files.find(file => file.path === cslPath);
+        if (!status.error || status.entries !== 1) {
+            throw new Error(`Broken file replaced the library: ${JSON.stringify(status)}`);
+        }
+        console.log('✅ Parse errors reported without losing entries');
+
+        await bibliography.removeFile(cslPath);
+        if (savedSettings.bibliography.files.includes(cslPath)) {
+            throw new Error('Removed file still persisted');
+        }
+
+        console.log('\n✅ All bibliography checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    } finally {
+        if (bibliography) bibliography.shutdown();
+    }
+}
+
+runTest();
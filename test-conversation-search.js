@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for conversation full-text search
+ * Checks that transcripts, AI messages and summaries are indexed as they are written and searched with ranked snippets
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Conversation Search Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' }, BrowserWindow: { getAllWindows: () => [] } }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        mockModule('./src/features/common/services/authService', {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        });
+        mockModule('./src/features/common/services/firebaseClient', {});
+
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+
+        // 1. Rows written before the index existed are backfilled
+        console.log('1. Backfilling an existing database...');
+        const dbPath = path.join(testDir, 'test-conversation-search.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const Database = require('better-sqlite3');
+        const legacy = new Database(dbPath);
+        legacy.exec(`
+            CREATE TABLE sessions (id TEXT PRIMARY KEY, uid TEXT NOT NULL, title TEXT, session_type TEXT, started_at INTEGER);
+            CREATE TABLE transcripts (id TEXT PRIMARY KEY, session_id TEXT NOT NULL, start_at INTEGER, speaker TEXT, text TEXT, created_at INTEGER);
+            INSERT INTO sessions VALUES ('old', 'test_user', 'Advisor meeting', 'listen', 1700000000);
+            INSERT INTO transcripts VALUES ('t0', 'old', 1700000060, 'Them', 'Please send the ablation results before Friday', 1700000060);
+        `);
+        legacy.close();
+
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+
+        const searchRepository = require('./src/features/common/repositories/search');
+        const backfilled = searchRepository.searchConversations({ query: 'ablation' });
+        if (backfilled.length !== 1 || backfilled[0].session_id !== 'old' || backfilled[0].timestamp !== 1700000060) {
+            throw new Error(`Existing transcript not indexed: ${JSON.stringify(backfilled)}`);
+        }
+        console.log('✅ Existing transcripts indexed on first start\n');
+
+        // 2. New rows are indexed as the repositories write them
+        console.log('2. Indexing new conversation rows...');
+        const sessionRepository = require('./src/features/common/repositories/session/sqlite.repository');
+        const sttRepository = require('./src/features/listen/stt/repositories/sqlite.repository');
+        const askRepository = require('./src/features/ask/repositories/sqlite.repository');
+        const summaryRepository = require('./src/features/listen/summary/repositories/sqlite.repository');
+
+        const meeting = sessionRepository.create('test_user', 'listen');
+        await sttRepository.addTranscript({ sessionId: meeting, speaker: 'Me', text: 'We should compare the transformer baseline against the LSTM' });
+        await sttRepository.addTranscript({ sessionId: meeting, speaker: 'Them', text: 'Transformers need more GPU memory for long sequences' });
+        await summaryRepository.saveSummary({
+            sessionId: meeting,
+            tldr: 'Baseline comparison planned',
+            text: 'Discussed transformer versus recurrent baselines',
+            bullet_json: JSON.stringify(['Run the LSTM baseline']),
+            action_json: JSON.stringify(['Request more GPU memory'])
+        });
+
+        const chat = sessionRepository.create('test_user', 'ask');
+        await askRepository.addAiMessage({ sessionId: chat, role: 'user', content: 'How much GPU memory does attention use?' });
+        await askRepository.addAiMessage({ sessionId: chat, role: 'assistant', content: 'Self-attention memory grows quadratically with sequence length.' });
+
+        const other = sessionRepository.create('someone_else', 'ask');
+        await askRepository.addAiMessage({ sessionId: other, role: 'user', content: 'GPU memory for my own project' });
+
+        const gpu = searchRepository.searchConversations({ query: 'gpu memory' });
+        const sources = gpu.map(result => result.source).sort().join();
+        if (sources !== 'ai_message,summary,transcript') {
+            throw new Error(`Expected one hit per source for this user, got ${JSON.stringify(gpu)}`);
+        }
+        if (gpu.some(result => result.session_id === other)) {
+            throw new Error('Search returned another user\'s conversation');
+        }
+        const transcriptHit = gpu.find(result => result.source === 'transcript');
+        if (transcriptHit.speaker !== 'Them' || !transcriptHit.session_title.startsWith('Session @') || transcriptHit.session_type !== 'listen') {
+            throw new Error(`Transcript hit missing context: ${JSON.stringify(transcriptHit)}`);
+        }
+        console.log('✅ Transcripts, AI messages and summaries searchable as soon as they are saved\n');
+
+        // 3. Snippets, highlights, stemming and prefixes
+        console.log('3. Checking snippets and ranking...');
+        const [first] = searchRepository.searchConversations({ query: 'quadratic' });
+        const highlighted = first.highlights.map(([start, end]) => first.snippet.slice(start, end));
+        if (first.source !== 'ai_message' || highlighted.join() !== 'quadratically' || first.speaker !== 'assistant') {
+            throw new Error(`Prefix match or highlight wrong: ${JSON.stringify(first)}`);
+        }
+        if (/[\u0002\u0003]/.test(first.snippet)) {
+            throw new Error('Match markers leaked into the snippet');
+        }
+        const transformers = searchRepository.searchConversations({ query: 'transformer' });
+        if (transformers.filter(result => result.source === 'transcript').length !== 2) {
+            throw new Error(`Stemmed forms not matched: ${JSON.stringify(transformers)}`);
+        }
+        if (transformers.some((result, i) => i > 0 && result.score > transformers[i - 1].score)) {
+            throw new Error('Results not ordered by relevance');
+        }
+        for (const query of ['"unbalanced', 'NOT', 'gpu:memory', '-lstm', '   ']) {
+            searchRepository.searchConversations({ query });
+        }
+        if (searchRepository.searchConversations({ query: 'gpu', limit: 1 }).length !== 1) {
+            throw new Error('Limit ignored');
+        }
+        if (searchRepository.searchConversations({ query: 'gpu', sources: ['summary'] }).some(result => result.source !== 'summary')) {
+            throw new Error('Source filter ignored');
+        }
+        console.log('✅ Ranked snippets with highlights; FTS syntax in user input is treated literally\n');
+
+        // 4. Updates and deletes keep the index in sync
+        console.log('4. Updating and deleting rows...');
+        await summaryRepository.saveSummary({ sessionId: meeting, tldr: 'Switched to Mamba', text: 'State space models instead', bullet_json: '[]', action_json: '[]' });
+        if (searchRepository.searchConversations({ query: 'gpu', sources: ['summary'] }).length !== 0 ||
+            searchRepository.searchConversations({ query: 'mamba' }).length !== 1) {
+            throw new Error('Regenerated summary not reindexed');
+        }
+        sessionRepository.deleteWithRelatedData(chat);
+        if (searchRepository.searchConversations({ query: 'quadratically' }).length !== 0) {
+            throw new Error('Deleted conversation still searchable');
+        }
+        for (const index of ['transcripts_fts', 'ai_messages_fts', 'summaries_fts']) {
+            sqliteClient.getDb().prepare(`INSERT INTO ${index} (${index}, rank) VALUES ('integrity-check', 1)`).run();
+        }
+        console.log('✅ Index follows summary regeneration and session deletion\n');
+
+        // 5. Restarting does not duplicate entries
+        console.log('5. Restarting...');
+        await sqliteClient.synchronizeSchema();
+        if (searchRepository.searchConversations({ query: 'ablation' }).length !== 1) {
+            throw new Error('Schema sync re-indexed existing rows');
+        }
+        console.log('✅ Index survives schema synchronization');
+
+        console.log('\n✅ All conversation search checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
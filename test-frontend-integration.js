@@ -7,6 +7,9 @@ const axios = require('axios');
 
 const FRONTEND_URL = 'http://localhost:3001';
 const API_URL = 'http://localhost:9001';
+// The API only accepts tokens issued by the desktop app: open the dashboard from Glass and
+// copy localStorage.pickleglass_api_token from the browser console into GLASS_API_TOKEN.
+const API_TOKEN = process.env.GLASS_API_TOKEN || '';
 
 async function testFrontendIntegration() {
   console.log('🌐 Testing Glass Frontend Integration\n');
@@ -43,7 +46,7 @@ async function testFrontendIntegration() {
     const response = await axios.get(`${API_URL}/api/activity/current`, {
       headers: {
         'Content-Type': 'application/json',
-        'X-User-ID': 'default_user'
+        'Authorization': `Bearer ${API_TOKEN}`
       },
       timeout: 5000
     });
@@ -66,7 +69,7 @@ async function testFrontendIntegration() {
   for (const endpoint of criticalEndpoints) {
     try {
       await axios.get(`${API_URL}${endpoint}`, {
-        headers: { 'X-User-ID': 'default_user' },
+        headers: { 'Authorization': `Bearer ${API_TOKEN}` },
         timeout: 3000
       });
       console.log(`✅ ${endpoint} - Working`);
@@ -85,10 +88,10 @@ async function testFrontendIntegration() {
     console.log('   Loading initial data...');
     
     const [trackingStatus, sessions, insights, productivityScore] = await Promise.all([
-      axios.get(`${API_URL}/api/activity/current`, { headers: { 'X-User-ID': 'default_user' } }),
-      axios.get(`${API_URL}/api/activity/sessions`, { headers: { 'X-User-ID': 'default_user' } }),
-      axios.get(`${API_URL}/api/activity/insights`, { headers: { 'X-User-ID': 'default_user' } }),
-      axios.get(`${API_URL}/api/research/analysis/current-score`, { headers: { 'X-User-ID': 'default_user' } })
+      axios.get(`${API_URL}/api/activity/current`, { headers: { 'Authorization': `Bearer ${API_TOKEN}` } }),
+      axios.get(`${API_URL}/api/activity/sessions`, { headers: { 'Authorization': `Bearer ${API_TOKEN}` } }),
+      axios.get(`${API_URL}/api/activity/insights`, { headers: { 'Authorization': `Bearer ${API_TOKEN}` } }),
+      axios.get(`${API_URL}/api/research/analysis/current-score`, { headers: { 'Authorization': `Bearer ${API_TOKEN}` } })
     ]);
     
     console.log('✅ Parallel data loading successful');
@@ -102,19 +105,19 @@ async function testFrontendIntegration() {
     
     // Start tracking
     const startResponse = await axios.post(`${API_URL}/api/activity/tracking/start`, {}, {
-      headers: { 'X-User-ID': 'default_user' }
+      headers: { 'Authorization': `Bearer ${API_TOKEN}` }
     });
     console.log('✅ Start tracking:', startResponse.data.success ? 'Success' : 'Failed');
     
     // Trigger capture
     const captureResponse = await axios.post(`${API_URL}/api/activity/capture`, {}, {
-      headers: { 'X-User-ID': 'default_user' }
+      headers: { 'Authorization': `Bearer ${API_TOKEN}` }
     });
     console.log('✅ Manual capture:', captureResponse.data.success ? 'Success' : 'Failed');
     
     // Stop tracking
     const stopResponse = await axios.post(`${API_URL}/api/activity/tracking/stop`, {}, {
-      headers: { 'X-User-ID': 'default_user' }
+      headers: { 'Authorization': `Bearer ${API_TOKEN}` }
     });
     console.log('✅ Stop tracking:', stopResponse.data.success ? 'Success' : 'Failed');
     
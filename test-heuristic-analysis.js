@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for offline heuristic analysis
+ * Checks that activity is categorized and scored from window context when no AI provider is configured or reachable
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Heuristic Analysis Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' }, BrowserWindow: { getAllWindows: () => [] }, desktopCapturer: {} }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        mockModule('./src/features/common/services/authService', {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        });
+        mockModule('./src/features/common/services/firebaseClient', {});
+        // No network: every provider call fails
+        const unreachable = async () => { throw new Error('getaddrinfo ENOTFOUND generativelanguage.googleapis.com'); };
+        mockModule('./src/features/common/ai/factory', {
+            generateStructured: require('./src/features/common/ai/structuredOutput').generateStructured,
+            createLLM: () => ({ generateContent: unreachable, chat: unreachable, chatJson: unreachable })
+        });
+        mockModule('./src/features/common/services/modelStateService', { getCurrentModelInfo: async () => null, getLLMCandidates: async () => [] });
+        // Screenshots pass redaction unchanged
+        mockModule('./src/features/common/services/redactionService', {
+            checkWindow: () => ({ blocked: false, reason: null }),
+            redactScreenshot: async (base64) => ({ action: 'clean', base64, mimeType: 'image/png', regions: 0, reason: null }),
+            redactText: (text) => text
+        });
+
+        let activeWindow = { app: null, title: null, url: null };
+        mockModule('./src/features/common/utils/activeWindow', { getActiveWindow: async () => activeWindow });
+
+        // 1. Classification from window context
+        console.log('1. Classifying window context...');
+        const HeuristicAnalyzer = require('./src/features/research/ai/heuristicAnalyzer');
+        const heuristics = new HeuristicAnalyzer();
+        const morning = new Date(2025, 2, 11, 10, 0).getTime();
+
+        const cases = [
+            [{ activeApplication: 'Code', windowTitle: 'train.py - thesis', timestamp: morning }, 'Focus', 'development'],
+            [{ activeApplication: 'Google Chrome', windowTitle: 'Attention Is All You Need', url: 'https://arxiv.org/abs/1706.03762', timestamp: morning }, 'Research', 'research'],
+            [{ activeApplication: 'Google Chrome', windowTitle: 'Funny cats - YouTube', url: 'https://www.youtube.com/watch?v=1', timestamp: morning }, 'Break', 'entertainment'],
+            [{ activeApplication: 'Zotero', windowTitle: 'My Library', timestamp: morning }, 'Research', 'reading'],
+            [{ activeApplication: 'unknown', windowTitle: 'Slack | #lab-general', timestamp: morning }, 'Communication', 'communication']
+        ];
+        for (const [context, category, activityType] of cases) {
+            const result = heuristics.classify(context);
+            if (result.category !== category || result.activity_type !== activityType) {
+                throw new Error(`${context.activeApplication} / ${context.windowTitle}: expected ${category}/${activityType}, got ${JSON.stringify(result)}`);
+            }
+        }
+
+        const coding = heuristics.classify(cases[0][0]);
+        const video = heuristics.classify(cases[2][0]);
+        if (coding.productivity_score <= video.productivity_score || !video.tags.includes('low-productivity')) {
+            throw new Error(`Scores not taken from the rating tables: ${coding.productivity_score} vs ${video.productivity_score}`);
+        }
+        if (heuristics.classify(cases[4][0]).confidence >= coding.confidence || heuristics.classify({}).confidence > 0.2) {
+            throw new Error('Confidence does not reflect how much context was available');
+        }
+
+        // Lecture recordings rated productive by the user
+        heuristics.setProductivityOverrides({ appRatings: { youtube: 8 } });
+        if (heuristics.classify(cases[2][0]).productivity_score <= video.productivity_score) {
+            throw new Error('User app ratings ignored');
+        }
+        console.log('✅ Category, score, tags and confidence derived locally\n');
+
+        // 2. Research analysis without an AI provider
+        console.log('2. Research analysis without a provider...');
+        const AnalysisService = require('./src/features/research/ai/analysisService');
+        const analysisService = new AnalysisService();
+        const offline = await analysisService.analyzeScreenshot('', cases[1][0]);
+        for (const field of ['raw_analysis', 'activity_type', 'productivity_score', 'focus_quality', 'applications', 'confidence_score', 'categories', 'tags']) {
+            if (offline[field] === undefined) {
+                throw new Error(`Heuristic analysis is missing ${field}: ${JSON.stringify(offline)}`);
+            }
+        }
+        if (offline.source !== 'heuristic' || offline.applications[0] !== 'Google Chrome') {
+            throw new Error(`Unexpected heuristic analysis: ${JSON.stringify(offline)}`);
+        }
+
+        const history = [];
+        for (let i = 0; i < 12; i++) {
+            const context = { ...cases[i % cases.length][0], timestamp: morning + i * 60000 };
+            history.push({ ...(await analysisService.analyzeScreenshot('', context)), timestamp: context.timestamp });
+        }
+        const insights = await analysisService.generateInsights(history, {});
+        if (!insights || insights.fullAnalysis) {
+            throw new Error(`Insights should be computed locally: ${JSON.stringify(insights).slice(0, 200)}`);
+        }
+        const screenshots = history.slice(0, 4).map((analysis, i) => ({ timestamp: analysis.timestamp, base64: '', context: cases[i][0], analysis }));
+        const patterns = await analysisService.analyzePatterns(screenshots, '1 hour');
+        if (patterns.source !== 'heuristic' || !patterns.computationalPatterns) {
+            throw new Error('Pattern analysis needs an AI provider');
+        }
+        console.log('✅ Screenshot analysis, insights and patterns work without a provider\n');
+
+        // 3. Provider configured but unreachable
+        console.log('3. Falling back when the provider cannot be reached...');
+        await analysisService.initialize('test-key', 'gemini', 'gemini-2.5-flash');
+        const fallback = await analysisService.analyzeScreenshot('abc', { ...cases[0][0], timestamp: morning + 1 });
+        if (fallback.source !== 'heuristic' || !fallback.fallback_reason.includes('ENOTFOUND')) {
+            throw new Error(`No fallback on network failure: ${JSON.stringify(fallback)}`);
+        }
+        console.log('✅ Network errors fall back to local analysis\n');
+
+        // 4. Activity tracking without Gemini
+        console.log('4. Tracking activities without Gemini...');
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        const dbPath = path.join(testDir, 'test-heuristic-analysis.db');
+        if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+
+        const activityService = require('./src/features/activity/activityService');
+        activeWindow = { app: 'Code', title: 'thesis/chapter1.tex', url: null };
+        const analysis = await activityService._analyzeCapture({ timestamp: morning, base64: '' });
+        if (!analysis || analysis.source !== 'heuristic' || analysis.category !== 'Focus' || analysis.details.primary_application !== 'Code') {
+            throw new Error(`Activity capture not analyzed locally: ${JSON.stringify(analysis)}`);
+        }
+
+        await activityService._processActivityFromAnalysis(analysis, morning);
+        const activityRepository = require('./src/features/activity/repositories');
+        const activity = await activityRepository.getActivityById(activityService.currentActivity.id);
+        if (activity.category !== 'focus' || activityService._calculateProductivityScore(activity) !== analysis.productivity_score) {
+            throw new Error(`Activity not recorded from heuristic analysis: ${JSON.stringify(activity)}`);
+        }
+        console.log('✅ Activities recorded and scored from local analysis');
+
+        console.log('\n✅ All heuristic analysis checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
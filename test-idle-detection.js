@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for idle and away detection
+ * Drives a fake powerMonitor through idleness, screen locks and suspend, and checks that the
+ * current activity ends where the absence began, captures pause while away, and that the
+ * absence can be recorded as a meeting, reading or a break on return
+ */
+
+const { EventEmitter } = require('events');
+
+async function runTest() {
+    try {
+        console.log('=== Idle Detection Test ===\n');
+
+        // The system is as idle or locked as the test says
+        const powerMonitor = new EventEmitter();
+        let idleState = 'active';
+        let idleSeconds = 0;
+        powerMonitor.getSystemIdleState = () => idleState;
+        powerMonitor.getSystemIdleTime = () => idleSeconds;
+        const setSystem = (state, seconds = 0) => {
+            idleState = state;
+            idleSeconds = seconds;
+        };
+
+        require.cache[require.resolve('electron')] = {
+            exports: {
+                app: { getPath: () => '/tmp/glass-test' },
+                BrowserWindow: { getAllWindows: () => [] },
+                powerMonitor
+            }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        mockModule('./src/features/common/services/authService', {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        });
+        mockModule('./src/features/common/services/firebaseClient', {});
+        mockModule('./src/features/common/ai/factory', { createLLM: () => null });
+        mockModule('./src/features/common/services/modelStateService', {});
+        let windowChecks = 0;
+        mockModule('./src/features/common/utils/activeWindow', {
+            getActiveWindow: async () => {
+                windowChecks++;
+                return { app: 'Code', title: 'train.py', url: null };
+            }
+        });
+
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const dbPath = path.join(testDir, 'test-idle-detection.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+
+        // 1. The monitor on its own
+        console.log('1. Detecting absences...');
+        const IdleMonitor = require('./src/features/activity/idleMonitor');
+        const monitor = new IdleMonitor();
+        const events = [];
+        monitor.on('away', (absence) => events.push(['away', absence]));
+        monitor.on('back', (absence) => events.push(['back', absence]));
+        monitor.start(5 * 60 * 1000);
+
+        setSystem('idle', 6 * 60);
+        monitor.check();
+        monitor.check();
+        powerMonitor.emit('lock-screen');
+        setSystem('active');
+        monitor.check();
+        const [[firstEvent, idle], [secondEvent, back]] = events;
+        if (events.length !== 2 || firstEvent !== 'away' || idle.reason !== 'idle' || Math.abs(Date.now() - idle.since - 6 * 60 * 1000) > 1000
+            || secondEvent !== 'back' || back.since !== idle.since || back.until < back.since) {
+            throw new Error(`Unexpected idle events: ${JSON.stringify(events)}`);
+        }
+
+        events.length = 0;
+        powerMonitor.emit('suspend');
+        setSystem('locked');
+        powerMonitor.emit('resume');
+        setSystem('active');
+        powerMonitor.emit('unlock-screen');
+        if (events.length !== 2 || events[0][1].reason !== 'suspended' || events[1][0] !== 'back') {
+            throw new Error(`Unexpected suspend events: ${JSON.stringify(events)}`);
+        }
+        monitor.stop();
+        if (powerMonitor.listenerCount('lock-screen') !== 0 || powerMonitor.listenerCount('resume') !== 0) {
+            throw new Error('System listeners left behind');
+        }
+        console.log('✅ Idleness dated from the last input, suspend held until the screen is unlocked, each absence reported once\n');
+
+        // 2. Ending the activity and pausing captures
+        console.log('2. Pausing tracking while away...');
+        const activityService = require('./src/features/activity/activityService');
+        const activityRepository = require('./src/features/activity/repositories');
+        activityService.settings.enableAutoCapture = false;
+        activityService.settings.enableSmartAnalysis = false;
+        const liveEvents = [];
+        require('./src/bridge/internalBridge').on('live-event', (event) => liveEvents.push(event.event));
+
+        await activityService.startActivityTracking();
+        const startedAt = Date.now() - 30 * 60 * 1000;
+        await activityService._processActivityFromAnalysis({ category: 'Research', activity_title: 'Reading papers', details: {} }, startedAt);
+        const activityId = activityService.currentActivity.id;
+
+        setSystem('idle', 6 * 60);
+        activityService.idleMonitor.check();
+        await new Promise(resolve => setImmediate(resolve));
+        const ended = sqliteClient.getDb().prepare('SELECT * FROM activities WHERE id = ?').get(activityId);
+        const awayStatus = await activityService.getTrackingStatus();
+        if (activityService.currentActivity || ended.status !== 'completed'
+            || Math.abs(new Date(ended.end_time) - (Date.now() - 6 * 60 * 1000)) > 1000 || awayStatus.away?.reason !== 'idle') {
+            throw new Error(`Activity not ended where the absence began: ${JSON.stringify(ended)}`);
+        }
+
+        windowChecks = 0;
+        await activityService._performActivityCapture();
+        if (windowChecks !== 0) {
+            throw new Error('Captured while nobody was at the computer');
+        }
+        console.log('✅ Activity ended 6 minutes ago, automatic captures skipped\n');
+
+        // 3. Asking on return
+        console.log('3. Recording the time away...');
+        setSystem('active');
+        activityService.idleMonitor.check();
+        await new Promise(resolve => setImmediate(resolve));
+        const [period] = activityService.getAwayPeriods();
+        if (!period || period.reason !== 'idle' || Math.round(period.duration_ms / 60000) !== 6
+            || !liveEvents.includes('away-started') || !liveEvents.includes('away-ended')) {
+            throw new Error(`No question on return: ${JSON.stringify(period)}`);
+        }
+
+        const unknown = await activityService.resolveAwayPeriod(period.id, 'nap').then(() => null, error => error);
+        if (!unknown || !unknown.message.includes('Unknown away activity')) {
+            throw new Error('Unknown answer accepted');
+        }
+        const recorded = await activityService.resolveAwayPeriod(period.id, 'break');
+        if (recorded.category !== 'break' || recorded.title !== 'Break' || recorded.start_time !== period.start_time
+            || recorded.duration_ms !== period.duration_ms || recorded.status !== 'completed' || activityService.getAwayPeriods().length !== 0) {
+            throw new Error(`Away period not recorded: ${JSON.stringify(recorded)}`);
+        }
+
+        // A quick screen lock is not asked about; a long one can be dismissed
+        powerMonitor.emit('lock-screen');
+        setSystem('active');
+        powerMonitor.emit('unlock-screen');
+        await new Promise(resolve => setImmediate(resolve));
+        setSystem('idle', 20 * 60);
+        activityService.idleMonitor.check();
+        setSystem('active');
+        activityService.idleMonitor.check();
+        await new Promise(resolve => setImmediate(resolve));
+        const [long] = activityService.getAwayPeriods();
+        if (activityService.getAwayPeriods().length !== 1 || await activityService.resolveAwayPeriod(long.id, null) !== null
+            || activityService.getAwayPeriods().length !== 0) {
+            throw new Error('Short lock asked about or dismissal failed');
+        }
+        console.log('✅ Absence recorded as a break, quick locks not asked about, questions can be dismissed\n');
+
+        // 4. Settings
+        console.log('4. Saving away settings...');
+        const invalid = await activityService.updateSettings({ idleThresholdMinutes: 0 }).then(() => null, error => error);
+        if (!invalid || !invalid.message.includes('idleThresholdMinutes')) {
+            throw new Error('Invalid idle threshold accepted');
+        }
+        await activityService.updateSettings({ idleThresholdMinutes: 10, askOnReturn: false });
+        const stored = await activityRepository.getSettings();
+        if (stored.idleThresholdMinutes !== 10 || stored.askOnReturn !== false || stored.pauseWhenIdle !== true
+            || activityService.idleMonitor.thresholdMs !== 10 * 60 * 1000) {
+            throw new Error(`Away settings not saved: ${JSON.stringify(stored)}`);
+        }
+        await activityService.updateSettings({ pauseWhenIdle: false });
+        if (powerMonitor.listenerCount('lock-screen') !== 0) {
+            throw new Error('Still watching for absences with idle pausing off');
+        }
+        console.log('✅ Threshold validated and saved, monitor follows the settings');
+
+        await activityService.stopActivityTracking();
+        sqliteClient.close();
+        console.log('\n✅ All idle detection checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest().then(() => process.exit());
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for meeting minutes
+ * Checks transcript chunking, the minutes schema, minutes generation when a Listen
+ * session stops, storage in summaries and the Markdown/HTML exports
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Meeting Minutes Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' }, BrowserWindow: { getAllWindows: () => [] } }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        const authService = {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        };
+        mockModule('./src/features/common/services/authService', authService);
+        mockModule('./src/features/common/services/firebaseClient', {});
+        mockModule('./src/window/windowManager', { windowPool: new Map() });
+        mockModule('./src/features/activity/activityService', { createActivity: async () => {} });
+
+        // 1. Pure helpers
+        console.log('1. Chunking transcripts and parsing model output...');
+        const minutesModule = require('./src/features/listen/summary/meetingMinutes');
+        const turns = Array.from({ length: 10 }, (_, i) => ({ speaker: i % 2 ? 'Bob' : 'Alice', text: `Point number ${i} `.repeat(5) }));
+        const chunks = minutesModule.chunkTranscript(turns, 200);
+        if (chunks.length < 3 || chunks.some(chunk => chunk.length > 200) || !chunks[0].startsWith('Alice: Point number 0')) {
+            throw new Error(`Unexpected chunks: ${JSON.stringify(chunks)}`);
+        }
+        if (chunks.join('\n').split('\n').length !== turns.length) {
+            throw new Error('Turns were split or lost across chunks');
+        }
+
+        const parsed = minutesModule.normalizeMinutes({
+            attendees: ['Alice', 'alice', ' Bob '],
+            decisions: ['Use the new dataset'],
+            action_items: [
+                { task: 'Rerun the baseline', owner: 'Bob', due_date: 'next Friday' },
+                { task: 'rerun the baseline', owner: null, due_date: '2025-03-14' },
+                { task: '' },
+                'Book the GPU cluster'
+            ],
+            open_questions: 'not a list'
+        });
+        if (JSON.stringify(parsed) !== JSON.stringify({
+            attendees: ['Alice', 'Bob'],
+            decisions: ['Use the new dataset'],
+            action_items: [
+                { task: 'Rerun the baseline', owner: 'Bob', due_date: '2025-03-14' },
+                { task: 'Book the GPU cluster', owner: null, due_date: null }
+            ],
+            open_questions: []
+        })) {
+            throw new Error(`Minutes not normalized: ${JSON.stringify(parsed)}`);
+        }
+        const { validateSchema } = require('./src/features/common/ai/structuredOutput');
+        const schemaErrors = validateSchema({ attendees: [], decisions: 'None', action_items: [{ task: 'Rerun' }] }, minutesModule.MINUTES_SCHEMA);
+        if (JSON.stringify(schemaErrors) !== JSON.stringify([
+            '$.open_questions is required',
+            '$.decisions should be array, got string',
+            '$.action_items[0].owner is required',
+            '$.action_items[0].due_date is required'
+        ])) {
+            throw new Error(`Unexpected schema errors: ${JSON.stringify(schemaErrors)}`);
+        }
+        console.log('✅ Chunks respect turn boundaries, output normalized and deduplicated\n');
+
+        // 2. Generation when a session stops
+        console.log('2. Generating minutes when a Listen session stops...');
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const dbPath = path.join(testDir, 'test-meeting-minutes.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+        const db = sqliteClient.getDb();
+
+        const requests = [];
+        let replies = [];
+        mockModule('./src/features/common/ai/factory', {
+            createSTT: async () => null,
+            generateStructured: require('./src/features/common/ai/structuredOutput').generateStructured,
+            createLLM: () => ({
+                chat: async (messages) => {
+                    requests.push(messages);
+                    return { content: replies.shift() };
+                }
+            })
+        });
+        mockModule('./src/features/common/services/modelStateService', {
+            getCurrentModelInfo: async () => ({ provider: 'openai', model: 'gpt-4.1', apiKey: 'test-key' })
+        });
+        mockModule('./src/features/settings/settingsService', { getSpeakerDiarization: async () => false, getDefaultSummaryTemplate: async () => null });
+
+        require('./src/features/common/repositories/session').setAuthService(authService);
+        const listenService = require('./src/features/listen/listenService');
+        listenService.summaryService.triggerAnalysisIfNeeded = () => {};
+        const sttService = listenService.sttService;
+
+        await listenService.initializeNewSession();
+        const sessionId = listenService.currentSessionId;
+        const meetingStart = new Date(2025, 2, 10, 14, 0);
+        db.prepare('UPDATE sessions SET title = ?, started_at = ? WHERE id = ?')
+            .run('Lab meeting <weekly>', Math.floor(meetingStart.getTime() / 1000), sessionId);
+
+        // Long enough to need three chunks
+        const filler = 'We went through the loss curves in detail and compared every run. '.repeat(15);
+        for (let i = 0; i < 60; i++) {
+            const [speaker, speakerId] = i % 3 === 0 ? ['Me', 'me'] : i % 3 === 1 ? ['Dr. Chen', 'speaker_1'] : ['Speaker 2', 'speaker_2'];
+            await listenService.saveConversationTurn(speaker, `${filler}Turn ${i}.`, speakerId);
+        }
+
+        replies = [
+            JSON.stringify({ attendees: ['Dr. Chen'], decisions: ['Switch to the new dataset'], action_items: [{ task: 'Rerun the baseline', owner: 'Speaker 2', due_date: '2025-03-14' }], open_questions: [] }),
+            'Sorry, something went wrong.',
+            // The retry with the schema errors fails too
+            JSON.stringify({ attendees: [], decisions: 'None' }),
+            JSON.stringify({ attendees: [], decisions: [], action_items: [{ task: 'Draft the methods section', owner: 'Me', due_date: null }], open_questions: ['Do we need ethics approval?'] }),
+            // Consolidation of the two readable chunks
+            JSON.stringify({
+                attendees: ['Dr. Chen', 'Speaker 2'],
+                decisions: ['Switch to the new dataset'],
+                action_items: [
+                    { task: 'Rerun the baseline', owner: 'Speaker 2', due_date: '2025-03-14' },
+                    { task: 'Draft the methods section', owner: 'Me', due_date: null }
+                ],
+                open_questions: ['Do we need ethics approval?']
+            })
+        ];
+        const generated = new Promise(resolve => {
+            const original = listenService.generateMinutes.bind(listenService);
+            listenService.generateMinutes = (id) => {
+                const result = original(id);
+                result.then(resolve, resolve);
+                return result;
+            };
+        });
+        await listenService.closeSession();
+        const minutes = await generated;
+        delete listenService.generateMinutes;
+
+        if (requests.length !== 5) {
+            throw new Error(`Expected 3 chunk requests, 1 retry and 1 consolidation, got ${requests.length}`);
+        }
+        const retry = requests[2][requests[2].length - 1].content;
+        if (!retry.includes('did not match the required JSON schema') || !retry.includes('Response did not contain a JSON object')) {
+            throw new Error(`Invalid chunk minutes not sent back: ${retry}`);
+        }
+        const [systemMessage, firstChunk] = requests[0];
+        if (!systemMessage.content.includes('Meeting date: 2025-03-10') || !systemMessage.content.includes('Speakers in the transcript: Me, Dr. Chen, Speaker 2')) {
+            throw new Error('Meeting date and speakers missing from the minutes prompt');
+        }
+        if (!firstChunk.content.startsWith('Transcript excerpt 1 of 3:') || !firstChunk.content.includes('Dr. Chen: We went through')) {
+            throw new Error(`Unexpected chunk request: ${firstChunk.content.slice(0, 100)}`);
+        }
+        if (!requests[4][1].content.startsWith('Partial minutes from 2 consecutive excerpts')) {
+            throw new Error('Chunk minutes not consolidated');
+        }
+        if (JSON.stringify(minutes.attendees) !== JSON.stringify(['Me', 'Dr. Chen', 'Speaker 2'])
+            || minutes.action_items.length !== 2 || minutes.action_items[0].due_date !== '2025-03-14') {
+            throw new Error(`Unexpected minutes: ${JSON.stringify(minutes)}`);
+        }
+        const stored = await listenService.getMinutes(sessionId);
+        if (!stored || stored.minutes.decisions[0] !== 'Switch to the new dataset' || !stored.generated_at) {
+            throw new Error(`Minutes not stored in summaries: ${JSON.stringify(stored)}`);
+        }
+        console.log('✅ Three chunks summarized, consolidated and saved\n');
+
+        // 3. Consolidation failure falls back to a plain merge
+        console.log('3. Merging chunk minutes when consolidation fails...');
+        requests.length = 0;
+        replies = [
+            JSON.stringify({ attendees: ['Dr. Chen'], decisions: ['Switch to the new dataset'], action_items: [], open_questions: [] }),
+            JSON.stringify({ attendees: [], decisions: ['switch to the new dataset', 'Submit to NeurIPS'], action_items: [], open_questions: [] }),
+            JSON.stringify({ attendees: [], decisions: [], action_items: [], open_questions: ['Who reviews the draft?'] }),
+            'not json',
+            'still not json'
+        ];
+        const merged = await listenService.generateMinutes(sessionId);
+        if (JSON.stringify(merged.decisions) !== JSON.stringify(['Switch to the new dataset', 'Submit to NeurIPS']) || merged.open_questions.length !== 1) {
+            throw new Error(`Chunk minutes not merged: ${JSON.stringify(merged)}`);
+        }
+        console.log('✅ Chunk minutes merged without the model\n');
+
+        // 4. Short sessions
+        console.log('4. Skipping sessions that are too short...');
+        await listenService.initializeNewSession();
+        const shortSessionId = listenService.currentSessionId;
+        await listenService.saveConversationTurn('Me', 'Testing, one two.', 'me');
+        requests.length = 0;
+        if (await listenService.generateMinutes(shortSessionId) !== null || requests.length !== 0) {
+            throw new Error('Minutes generated for a sound check');
+        }
+        await sttService.closeSessions();
+        console.log('✅ Short sessions skipped\n');
+
+        // 5. Exports
+        console.log('5. Exporting minutes...');
+        const markdown = await listenService.exportMinutes(sessionId, 'markdown');
+        if (markdown.filename !== 'minutes-2025-03-10.md' || !markdown.mimeType.startsWith('text/markdown')) {
+            throw new Error(`Unexpected markdown file: ${markdown.filename} ${markdown.mimeType}`);
+        }
+        for (const expected of ['# Minutes: Lab meeting <weekly>', '*March 10, 2025*', '## Decisions\n\n- Switch to the new dataset', '## Action Items\n\n_None recorded._', '- Who reviews the draft?']) {
+            if (!markdown.content.includes(expected)) {
+                throw new Error(`Markdown missing "${expected}":\n${markdown.content}`);
+            }
+        }
+
+        db.prepare('UPDATE summaries SET minutes_json = ? WHERE session_id = ?').run(JSON.stringify({
+            attendees: ['<script>alert(1)</script>'],
+            decisions: [],
+            action_items: [{ task: 'Rerun the baseline & plot', owner: null, due_date: '2025-03-14' }],
+            open_questions: []
+        }), sessionId);
+        const html = await listenService.exportMinutes(sessionId, 'html');
+        if (!html.content.startsWith('<!DOCTYPE html>') || html.content.includes('<script>')
+            || !html.content.includes('&lt;script&gt;') || !html.content.includes('<td>Rerun the baseline &amp; plot</td><td>Unassigned</td><td>2025-03-14</td>')) {
+            throw new Error(`Unexpected HTML export:\n${html.content}`);
+        }
+        const unsupported = await listenService.exportMinutes(sessionId, 'docx').then(() => false, () => true);
+        const missing = await listenService.exportMinutes(shortSessionId, 'markdown').then(() => false, () => true);
+        if (!unsupported || !missing) {
+            throw new Error('Unsupported formats or sessions without minutes were exported');
+        }
+        console.log('✅ Markdown and escaped HTML exports');
+
+        console.log('\n✅ All meeting minutes checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for multi-monitor capture
+ * Captures the focused display, all displays stitched together and a chosen subset from fake
+ * displays, and checks that the display selection is saved and recorded with each capture
+ */
+
+// Images filled with one byte value, enough to see where a display ends up in a stitched image
+function fakeImage(width, height, fill = 0, bitmap = null) {
+    const pixels = bitmap || Buffer.alloc(width * height * 4, fill);
+    return {
+        getSize: () => ({ width, height }),
+        isEmpty: () => width === 0 || height === 0,
+        resize: (size) => fakeImage(size.width, size.height, fill),
+        toBitmap: () => pixels,
+        toJPEG: () => Buffer.from(`jpeg ${width}x${height}`),
+        toPNG: () => Buffer.from(`png ${width}x${height}`),
+        pixel: (x, y) => pixels[(y * width + x) * 4]
+    };
+}
+
+async function runTest() {
+    try {
+        console.log('=== Multi-Monitor Capture Test ===\n');
+
+        // A wide primary display with a smaller one to its right, top-aligned
+        const displays = [
+            { id: 1, label: 'Built-in', bounds: { x: 0, y: 0, width: 1920, height: 1080 }, scaleFactor: 1 },
+            { id: 2, label: '', bounds: { x: 1920, y: 0, width: 1280, height: 1024 }, scaleFactor: 2 }
+        ];
+        const contains = (display, point) => point.x >= display.bounds.x && point.x < display.bounds.x + display.bounds.width
+            && point.y >= display.bounds.y && point.y < display.bounds.y + display.bounds.height;
+        const mockScreen = {
+            getAllDisplays: () => displays,
+            getPrimaryDisplay: () => displays[0],
+            getDisplayMatching: (rect) => displays.find(display => contains(display, rect)) || displays[0],
+            getDisplayNearestPoint: (point) => displays.find(display => contains(display, point)) || displays[0],
+            getCursorScreenPoint: () => ({ x: 10, y: 10 })
+        };
+        const sourceRequests = [];
+        const mockDesktopCapturer = {
+            getSources: async (options) => {
+                sourceRequests.push(options);
+                return [
+                    { display_id: '2', thumbnail: fakeImage(options.thumbnailSize.width, options.thumbnailSize.height, 200) },
+                    { display_id: '1', thumbnail: fakeImage(options.thumbnailSize.width, options.thumbnailSize.height, 100) }
+                ];
+            }
+        };
+        const mockNativeImage = {
+            createFromBitmap: (bitmap, { width, height }) => fakeImage(width, height, 0, bitmap)
+        };
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: {
+                app: { getPath: () => '/tmp/glass-test' },
+                BrowserWindow: { getAllWindows: () => [] },
+                screen: mockScreen,
+                desktopCapturer: mockDesktopCapturer,
+                nativeImage: mockNativeImage
+            }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        mockModule('./src/features/common/services/authService', {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        });
+        mockModule('./src/features/common/services/firebaseClient', {});
+        mockModule('./src/features/common/ai/factory', { createLLM: () => null });
+        mockModule('./src/features/common/services/modelStateService', {});
+
+        // The foreground window is wherever the test puts it
+        let windowBounds = null;
+        mockModule('./src/features/common/utils/activeWindow', {
+            getActiveWindow: async () => ({ app: 'Code', title: 'main.js', url: null }),
+            getActiveWindowBounds: async () => windowBounds
+        });
+
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const dbPath = path.join(testDir, 'test-multi-monitor-capture.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+
+        const { captureDisplays, listDisplays } = require('./src/features/common/utils/screenCapture');
+
+        // 1. Listing displays
+        console.log('1. Listing displays...');
+        const listed = listDisplays();
+        if (listed.length !== 2 || listed[0].id !== '1' || !listed[0].primary || listed[1].label !== 'Display 2' || listed[1].scale_factor !== 2) {
+            throw new Error(`Unexpected displays: ${JSON.stringify(listed)}`);
+        }
+        console.log('✅ Displays listed with ids, labels and the primary one marked\n');
+
+        // 2. Focused display
+        console.log('2. Capturing the focused display...');
+        windowBounds = { x: 2000, y: 100, width: 800, height: 600 };
+        const focused = await captureDisplays({ mode: 'focused' });
+        if (focused.displays.map(display => display.id).join() !== '2' || focused.image.pixel(5, 5) !== 200
+            || focused.width !== 1280 || focused.height !== 1024) {
+            throw new Error(`Wrong display captured: ${JSON.stringify(focused.displays)}`);
+        }
+        windowBounds = null;
+        const underPointer = await captureDisplays();
+        if (underPointer.mode !== 'focused' || underPointer.displays[0].id !== '1' || underPointer.image.pixel(5, 5) !== 100) {
+            throw new Error('Display under the pointer not used without window bounds');
+        }
+        console.log('✅ Display showing the foreground window captured, the pointer\'s display when its bounds are unknown\n');
+
+        // 3. All displays
+        console.log('3. Stitching all displays...');
+        const all = await captureDisplays({ mode: 'all' });
+        if (all.width !== 3200 || all.height !== 1080 || all.displays.length !== 2) {
+            throw new Error(`Unexpected stitched size: ${all.width}x${all.height}`);
+        }
+        if (all.image.pixel(100, 100) !== 100 || all.image.pixel(3000, 100) !== 200 || all.image.pixel(3000, 1050) !== 0) {
+            throw new Error('Displays not placed as they are arranged');
+        }
+        console.log('✅ Displays stitched side by side as arranged, uncovered space left black\n');
+
+        // 4. Selected displays
+        console.log('4. Capturing selected displays...');
+        const selected = await captureDisplays({ mode: 'selected', displayIds: [1] });
+        const missing = await captureDisplays({ mode: 'selected', displayIds: ['99'] });
+        if (selected.displays.map(display => display.id).join() !== '1' || selected.image.pixel(5, 5) !== 100
+            || missing.displays[0].id !== '1') {
+            throw new Error('Selected displays not respected');
+        }
+        if (sourceRequests.some(request => request.thumbnailSize.width > 3840 || request.thumbnailSize.height > 2160)) {
+            throw new Error('Sources requested larger than the capture needs');
+        }
+        console.log('✅ Only the chosen displays captured, the focused one when none of them is connected\n');
+
+        // 5. Activity settings and capture metadata
+        console.log('5. Recording the displays of activity captures...');
+        const activityService = require('./src/features/activity/activityService');
+        const activityRepository = require('./src/features/activity/repositories');
+        activityService.settings.enableSmartAnalysis = false;
+
+        const invalid = await activityService.updateSettings({ captureDisplays: 'left' }).then(() => null, error => error);
+        if (!invalid || !invalid.message.includes('Unknown display capture mode')) {
+            throw new Error('Unknown capture mode accepted');
+        }
+        await activityService.updateSettings({ captureDisplays: 'selected', captureDisplayIds: [2] });
+        const stored = await activityRepository.getSettings();
+        const choice = activityService.getDisplays();
+        if (stored.captureDisplays !== 'selected' || stored.captureDisplayIds.join() !== '2'
+            || choice.displays.filter(display => display.selected).map(display => display.id).join() !== '2') {
+            throw new Error(`Display selection not saved: ${JSON.stringify(stored)}`);
+        }
+
+        await activityService._performActivityCapture();
+        await activityService.updateSettings({ captureDisplays: 'all' });
+        await activityService._performActivityCapture();
+        const captures = sqliteClient.getDb().prepare('SELECT metadata FROM activity_captures ORDER BY rowid').all()
+            .map(row => JSON.parse(row.metadata));
+        if (captures.length !== 2 || captures[0].capture_settings.capture_mode !== 'selected'
+            || captures[0].displays.map(display => display.id).join() !== '2' || captures[0].displays[0].label !== 'Display 2'
+            || captures[1].displays.length !== 2 || captures[1].screenshot_dimensions.width !== 3200) {
+            throw new Error(`Displays not recorded with captures: ${JSON.stringify(captures)}`);
+        }
+        console.log('✅ Display selection saved, each capture records its mode and displays');
+
+        sqliteClient.close();
+        console.log('\n✅ All multi-monitor capture checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
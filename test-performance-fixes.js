@@ -8,6 +8,9 @@
 const http = require('http');
 
 const API_BASE = 'http://localhost:9001';
+// The API only accepts tokens issued by the desktop app: open the dashboard from Glass and
+// copy localStorage.pickleglass_api_token from the browser console into GLASS_API_TOKEN.
+const API_TOKEN = process.env.GLASS_API_TOKEN || '';
 
 async function makeRequest(path, options = {}) {
     return new Promise((resolve, reject) => {
@@ -22,7 +25,7 @@ async function makeRequest(path, options = {}) {
             method: options.method || 'GET',
             headers: {
                 'Content-Type': 'application/json',
-                'X-User-ID': 'default_user',
+                'Authorization': `Bearer ${API_TOKEN}`,
                 ...options.headers
             }
         }, (res) => {
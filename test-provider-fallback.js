@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the provider fallback chain
+ * Checks error classification, backoff on rate limits, falling back to the next provider,
+ * the circuit breaker and that usage is recorded for the provider that served the request
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Provider Fallback Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' } }
+        };
+        require.cache[require.resolve('./src/features/common/services/authService')] = {
+            exports: { getCurrentUser: () => ({ isLoggedIn: false }), getCurrentUserId: () => 'test_user' }
+        };
+
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const dbPath = path.join(testDir, 'test-provider-fallback.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+
+        // 1. Error classification
+        console.log('1. Classifying provider errors...');
+        const { classifyError, backoffDelay, RETRY_POLICY, CIRCUIT_POLICY } = require('./src/features/common/ai/fallbackChain');
+        const httpError = (status, text) => new Error(`OpenAI API error: ${status} ${text}`);
+        const statusError = Object.assign(new Error('Too bad'), { status: 529 });
+        if (classifyError(httpError(429, 'Too Many Requests')) !== 'rate_limit'
+            || classifyError(new Error('[GoogleGenerativeAI Error]: RESOURCE_EXHAUSTED')) !== 'rate_limit'
+            || classifyError(httpError(400, 'Bad Request')) !== 'request'
+            || classifyError(httpError(503, 'Service Unavailable')) !== 'provider'
+            || classifyError(new Error('getaddrinfo ENOTFOUND api.openai.com')) !== 'provider'
+            || classifyError(statusError) !== 'provider') {
+            throw new Error('Errors classified wrongly');
+        }
+        if (backoffDelay(0) !== 1000 || backoffDelay(1) !== 2000 || backoffDelay(5) !== 8000) {
+            throw new Error('Unexpected backoff delays');
+        }
+        console.log('✅ Rate limits, bad requests and provider failures told apart\n');
+
+        // Keep the test quick
+        Object.assign(RETRY_POLICY, { baseDelayMs: 5, maxDelayMs: 20 });
+        Object.assign(CIRCUIT_POLICY, { cooldownMs: 200 });
+
+        // Providers whose calls fail as the test says
+        const factory = require('./src/features/common/ai/factory');
+        const failures = { openai: [], gemini: [], anthropic: [] };
+        const calls = { openai: 0, gemini: 0, anthropic: 0 };
+        const respond = async (provider) => {
+            calls[provider]++;
+            const error = failures[provider].shift();
+            if (error) throw error;
+        };
+        for (const provider of Object.keys(failures)) {
+            factory.PROVIDERS[provider].handler = () => ({
+                createLLM: () => ({
+                    chat: async () => {
+                        await respond(provider);
+                        return { content: `Answer from ${provider}`, usage: { inputTokens: 10, outputTokens: 5 } };
+                    }
+                }),
+                createStreamingLLM: () => ({
+                    streamChat: async () => {
+                        await respond(provider);
+                        return new Response(`data: {"choices":[{"delta":{"content":"${provider}"}}]}\n\ndata: [DONE]\n\n`);
+                    }
+                })
+            });
+        }
+
+        const fallbacks = [
+            { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: 'gemini-key' },
+            { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', apiKey: 'anthropic-key' }
+        ];
+        const llm = factory.createLLM('openai', { apiKey: 'openai-key', model: 'gpt-4.1', feature: 'research', fallbacks });
+        const messages = [{ role: 'user', content: 'Hi' }];
+
+        // 2. Retry and fallback
+        console.log('2. Retrying and falling back...');
+        failures.openai.push(httpError(429, 'Too Many Requests'), httpError(429, 'Too Many Requests'));
+        const retried = await llm.chat(messages);
+        if (calls.openai !== 3 || retried.servedBy.provider !== 'openai' || retried.servedBy.fallback) {
+            throw new Error(`Rate limited provider not retried: ${calls.openai} calls, ${JSON.stringify(retried.servedBy)}`);
+        }
+
+        failures.openai.push(httpError(400, 'Bad Request'));
+        const badRequest = await llm.chat(messages);
+        if (badRequest.servedBy.provider !== 'gemini' || factory.getProviderHealth().circuits.length !== 0) {
+            throw new Error('A bad request counted against the provider');
+        }
+
+        failures.openai.push(httpError(503, 'Service Unavailable'));
+        const served = await llm.chat(messages);
+        if (served.content !== 'Answer from gemini' || served.servedBy.model !== 'gemini-2.5-flash'
+            || !served.servedBy.fallback || served.servedBy.failed.join() !== 'openai') {
+            throw new Error(`Unexpected fallback: ${JSON.stringify(served)}`);
+        }
+
+        failures.openai.push(httpError(500, 'Internal Server Error'));
+        failures.gemini.push(new Error('fetch failed'));
+        const servedLast = await llm.chat(messages);
+        if (servedLast.servedBy.provider !== 'anthropic' || servedLast.servedBy.failed.join() !== 'openai,gemini') {
+            throw new Error(`Second fallback not used: ${JSON.stringify(servedLast.servedBy)}`);
+        }
+
+        const usageRows = sqliteClient.getDb().prepare('SELECT provider, feature FROM ai_usage ORDER BY created_at, rowid').all();
+        if (usageRows.map(row => row.provider).join() !== 'openai,gemini,gemini,anthropic' || usageRows.some(row => row.feature !== 'research')) {
+            throw new Error(`Usage not recorded for the serving provider: ${JSON.stringify(usageRows)}`);
+        }
+        console.log('✅ Rate limits retried with backoff, failures served by the next provider and recorded under it\n');
+
+        // 3. Circuit breaker
+        console.log('3. Skipping a provider that keeps failing...');
+        failures.openai.push(httpError(502, 'Bad Gateway'));
+        await llm.chat(messages);
+        const callsWhenOpen = calls.openai;
+        const skipped = await llm.chat(messages);
+        const health = factory.getProviderHealth();
+        const openai = health.circuits.find(circuit => circuit.provider === 'openai');
+        if (calls.openai !== callsWhenOpen || skipped.servedBy.provider !== 'gemini' || !skipped.servedBy.fallback
+            || skipped.servedBy.failed.length !== 0 || openai?.state !== 'open' || openai.failures !== 3
+            || health.served.research.provider !== 'gemini') {
+            throw new Error(`Circuit not opened after 3 failures: ${JSON.stringify(health)}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+        const recovered = await llm.chat(messages);
+        if (recovered.servedBy.provider !== 'openai' || factory.getProviderHealth().circuits.length !== 0) {
+            throw new Error('Provider not tried again after the cooldown');
+        }
+        console.log('✅ Circuit opens after 3 failures and closes once a trial call succeeds\n');
+
+        // 4. Errors reaching the caller
+        console.log('4. Failing when no provider can answer...');
+        const single = factory.createLLM('openai', { apiKey: 'openai-key', model: 'gpt-4.1', feature: 'ask' });
+        failures.openai.push(httpError(401, 'Unauthorized'));
+        const singleError = await single.chat(messages).catch(error => error);
+        failures.openai.push(httpError(500, 'Internal Server Error'));
+        failures.gemini.push(new Error('fetch failed'));
+        failures.anthropic.push(httpError(529, 'Overloaded'), httpError(529, 'Overloaded'), httpError(529, 'Overloaded'));
+        const chainError = await llm.chat(messages).catch(error => error);
+        if (singleError.message !== 'OpenAI API error: 401 Unauthorized'
+            || !/openai: .*500.*; gemini: fetch failed; anthropic: .*529/.test(chainError.message) || chainError.failures.length !== 3) {
+            throw new Error(`Unexpected errors: ${singleError.message} / ${chainError.message}`);
+        }
+        console.log('✅ A lone provider fails as before; a chain reports every provider\'s error\n');
+
+        // 5. Streaming
+        console.log('5. Falling back before a stream starts...');
+        factory.resetCircuits();
+        const streamingLLM = factory.createStreamingLLM('openai', { apiKey: 'openai-key', model: 'gpt-4.1', feature: 'ask', fallbacks });
+        failures.openai.push(httpError(503, 'Service Unavailable'));
+        const response = await streamingLLM.streamChat(messages);
+        if (!(response instanceof Response) || response.servedBy.provider !== 'gemini' || !(await response.text()).includes('gemini')) {
+            throw new Error('Stream not served by the fallback');
+        }
+        console.log('✅ Stream served by the next provider');
+
+        console.log('\n✅ All provider fallback checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for PDF page tracking
+ * Parses viewer window titles, stores page transitions and checks reading metrics
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Reading Metrics Test ===\n');
+
+        // Mock the Electron app requirement
+        const mockApp = {
+            getPath: () => '/tmp/glass-test'
+        };
+        require.cache[require.resolve('electron')] = {
+            exports: { app: mockApp }
+        };
+
+        // Run against the local repository as a signed-out user
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        mockModule('./src/features/common/services/authService', {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        });
+        mockModule('./src/features/common/services/firebaseClient', {});
+
+        const path = require('path');
+        const fs = require('fs');
+        const ReadingService = require('./src/features/research/services/readingService');
+        const readingService = new ReadingService();
+
+        // 1. Window titles
+        console.log('1. Parsing viewer window titles...');
+        const titles = [
+            ['attention.pdf – Page 3 of 12', { title: 'attention.pdf', page: 3, pageCount: 12 }],
+            ['attention.pdf (page 4 of 12) - Adobe Acrobat Reader (64-bit)', { title: 'attention.pdf', page: 4, viewer: 'acrobat' }],
+            ['attention.pdf : Page 7 — Okular', { title: 'attention.pdf', page: 7, viewer: 'okular' }],
+            ['attention.pdf (3/12) - Evince', { title: 'attention.pdf', page: 3, pageCount: 12, viewer: 'evince' }],
+            ['Vaswani et al. - Attention Is All You Need - p. 5 - Zotero', { title: 'Attention Is All You Need', page: 5, viewer: 'zotero' }],
+            ['attention.pdf - Adobe Acrobat Reader', { title: 'attention.pdf', page: null }]
+        ];
+        for (const [windowTitle, expected] of titles) {
+            const parsed = readingService.parseWindowTitle(windowTitle);
+            for (const [key, value] of Object.entries(expected)) {
+                if (parsed[key] !== value) {
+                    throw new Error(`"${windowTitle}" parsed ${key} as ${parsed[key]}, expected ${value}`);
+                }
+            }
+        }
+        console.log('✅ Titles and pages extracted for every viewer\n');
+
+        // 2. Store transitions for two sessions on the same paper
+        console.log('2. Storing page transitions...');
+        const testDir = '/tmp/glass-test';
+        if (!fs.existsSync(testDir)) {
+            fs.mkdirSync(testDir, { recursive: true });
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        const dbPath = path.join(testDir, 'test-reading-metrics.db');
+        if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+
+        const researchRepository = require('./src/features/research/repositories');
+        await researchRepository.initialize();
+
+        const minute = 60 * 1000;
+        const base = new Date('2025-03-10T09:00:00.000Z').getTime();
+        const at = (minutes) => new Date(base + minutes * minute).toISOString();
+
+        const first = await researchRepository.createSession({ title: 'attention.pdf', start_time: at(0) });
+        await researchRepository.updateSession(first.id, { end_time: at(10), duration_ms: 10 * minute });
+        // Pages 1-3, a 5 second flip past page 4, then back to page 2
+        for (const [page, minutes] of [[1, 0], [2, 2], [3, 4], [4, 6], [2, 6.05]]) {
+            await researchRepository.addEvent({
+                session_id: first.id,
+                event_type: 'page_transition',
+                event_data: { to_page: page, page_count: 12 },
+                timestamp: at(minutes)
+            });
+        }
+
+        const second = await researchRepository.createSession({ title: 'attention.pdf', start_time: at(60) });
+        await researchRepository.updateSession(second.id, { end_time: at(66), duration_ms: 6 * minute });
+        for (const [page, minutes] of [[3, 60], [5, 63]]) {
+            await researchRepository.addEvent({
+                session_id: second.id,
+                event_type: 'page_transition',
+                event_data: { to_page: page, page_count: 12 },
+                timestamp: at(minutes)
+            });
+        }
+
+        const events = await researchRepository.getSessionEvents(first.id, 'page_transition');
+        if (events.length !== 5 || events[0].event_data.to_page !== 1) {
+            throw new Error(`Unexpected stored events: ${JSON.stringify(events)}`);
+        }
+        console.log('✅ Transitions stored in research_events\n');
+
+        // 3. Metrics
+        console.log('3. Computing reading metrics...');
+        const session = await researchRepository.getSessionById(first.id);
+        const { session: sessionMetrics, paper } = await readingService.getReadingMetrics(session);
+
+        if (sessionMetrics.pagesRead !== 3 || sessionMetrics.transitions !== 5) {
+            throw new Error(`Skimmed page counted as read: ${JSON.stringify(sessionMetrics)}`);
+        }
+        if (sessionMetrics.rereadSections.length !== 1 || sessionMetrics.rereadSections[0].startPage !== 2) {
+            throw new Error(`Unexpected re-read sections: ${JSON.stringify(sessionMetrics.rereadSections)}`);
+        }
+        if (paper.sessionCount !== 2 || paper.pagesRead !== 4 || paper.progress !== 33) {
+            throw new Error(`Unexpected paper metrics: ${JSON.stringify(paper)}`);
+        }
+        const rereadPages = paper.rereadSections.map(section => `${section.startPage}-${section.endPage}`);
+        if (rereadPages.join(',') !== '2-3') {
+            throw new Error(`Unexpected paper re-reads: ${rereadPages}`);
+        }
+        console.log(`✅ ${paper.pagesRead} pages read at ${paper.pagesPerHour} pages/hour, re-read pages ${rereadPages}`);
+
+        sqliteClient.close();
+        console.log('\n✅ All reading metrics checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exit(1);
+    }
+}
+
+runTest();
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for perceptual-hash deduplication of captures
+ * Checks that re-encoded or barely changed screens hash alike and different ones do not, that
+ * automatic captures of an unchanged screen reuse a recent AI analysis, and that the calls
+ * made and saved are reported in the tracking status
+ */
+
+const WIDTH = 320;
+const HEIGHT = 200;
+
+// Images drawn by a function of the pixel position; resizing samples the same drawing
+function fakeImage(draw, width = WIDTH, height = HEIGHT) {
+    return {
+        getSize: () => ({ width, height }),
+        isEmpty: () => width === 0 || height === 0,
+        resize: (size) => fakeImage((x, y) => draw(x * width / size.width, y * height / size.height), size.width, size.height),
+        toBitmap: () => {
+            const bitmap = Buffer.alloc(width * height * 4);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const grey = draw(x, y);
+                    bitmap.fill(grey, (y * width + x) * 4, (y * width + x) * 4 + 3);
+                    bitmap[(y * width + x) * 4 + 3] = 0xff;
+                }
+            }
+            return bitmap;
+        },
+        toJPEG: () => Buffer.from('jpeg'),
+        toPNG: () => Buffer.from('png')
+    };
+}
+
+// An editor: text lines of varying length on a light background
+const editor = (x, y) => (y % 20 < 8 && x < 40 + ((y * 37) % 240) ? 30 : 235);
+// The same editor with a blinking cursor and a clock that ticked
+const editorLater = (x, y) => ((x >= 300 && y < 10) || (x >= 100 && x < 102 && y >= 60 && y < 68) ? 120 : editor(x, y));
+// A video call: dark tiles
+const call = (x, y) => ((Math.floor(x / 80) + Math.floor(y / 50)) % 2 ? 20 : 90 + (x % 7));
+
+async function runTest() {
+    try {
+        console.log('=== Screen Deduplication Test ===\n');
+
+        let screen = editor;
+        require.cache[require.resolve('electron')] = {
+            exports: {
+                app: { getPath: () => '/tmp/glass-test' },
+                BrowserWindow: { getAllWindows: () => [] },
+                nativeImage: {
+                    createFromBuffer: (buffer) => buffer.toString() === 'editor' ? fakeImage(editor) : fakeImage(() => 0, 0, 0)
+                }
+            }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        mockModule('./src/features/common/services/authService', {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        });
+        mockModule('./src/features/common/services/firebaseClient', {});
+        mockModule('./src/features/common/ai/factory', { createLLM: () => null });
+        mockModule('./src/features/common/services/modelStateService', {});
+        mockModule('./src/features/common/services/redactionService', {
+            checkWindow: () => ({ blocked: false, reason: null }),
+            getStatus: async () => ({ ocr_available: true, screenshots_withheld: false })
+        });
+        mockModule('./src/features/common/utils/screenCapture', {
+            CAPTURE_MODES: ['focused', 'all', 'selected'],
+            listDisplays: () => [],
+            captureDisplays: async () => ({ image: fakeImage(screen), width: WIDTH, height: HEIGHT, mode: 'focused', displays: [] })
+        });
+        let activeWindow = { app: 'Code', title: 'train.py', url: null };
+        mockModule('./src/features/common/utils/activeWindow', { getActiveWindow: async () => activeWindow });
+
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const dbPath = path.join(testDir, 'test-screen-deduplication.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+
+        // 1. Hashing
+        console.log('1. Hashing screens...');
+        const { hashImage, hashScreenshot, hammingDistance, isSimilar } = require('./src/features/common/utils/perceptualHash');
+        const editorHash = hashImage(fakeImage(editor));
+        const laterHash = hashImage(fakeImage(editorLater));
+        const callHash = hashImage(fakeImage(call));
+        if (!/^[0-9a-f]{64}$/.test(editorHash) || hashImage(fakeImage(editor, 1280, 800)) !== editorHash) {
+            throw new Error(`Unexpected hash: ${editorHash}`);
+        }
+        if (!isSimilar(editorHash, laterHash) || isSimilar(editorHash, callHash) || hammingDistance(editorHash, null) !== 256) {
+            throw new Error(`Unexpected distances: ${hammingDistance(editorHash, laterHash)}, ${hammingDistance(editorHash, callHash)}`);
+        }
+        if (hashScreenshot(Buffer.from('editor').toString('base64')) !== editorHash || hashScreenshot('bm90IGFuIGltYWdl') !== null) {
+            throw new Error('Screenshots not hashed from their decoded image');
+        }
+        console.log(`✅ Same screen at any size hashes alike, small changes differ in ${hammingDistance(editorHash, laterHash)} of 256 bits, another screen in ${hammingDistance(editorHash, callHash)}\n`);
+
+        // 2. Cache keys of the research analysis
+        console.log('2. Keying research analyses...');
+        const AnalysisService = require('./src/features/research/ai/analysisService');
+        const analysisService = new AnalysisService();
+        const editorBase64 = Buffer.from('editor').toString('base64');
+        const context = { activeApplication: 'Code', windowTitle: 'train.py' };
+        const key = analysisService.generateCacheKey(editorBase64, { ...context, timestamp: 1 });
+        if (key !== analysisService.generateCacheKey(editorBase64, { ...context, timestamp: 2 })
+            || key === analysisService.generateCacheKey(editorBase64, { ...context, windowTitle: 'eval.py' })
+            || analysisService.generateCacheKey('bm90IGFuIGltYWdl', context) === analysisService.generateCacheKey('b3RoZXIgZGF0YQ==', context)) {
+            throw new Error('Cache keys depend on the capture time or ignore the window');
+        }
+        console.log('✅ Keyed by screen and window, not by when it was captured\n');
+
+        // 3. Automatic captures
+        console.log('3. Reusing analyses of unchanged screens...');
+        const activityService = require('./src/features/activity/activityService');
+        activityService.settings.enableSmartAnalysis = true;
+        let aiCalls = 0;
+        activityService.analyzeScreenshot = async () => {
+            aiCalls++;
+            return { category: 'Focus', activity_title: `Analysis ${aiCalls}`, confidence: 0.9, details: { productivity_indicator: 'high' }, insights: '' };
+        };
+
+        await activityService._performActivityCapture();
+        screen = editorLater;
+        await activityService._performActivityCapture();
+        const reused = activityService.lastAnalysis;
+        activeWindow = { app: 'Terminal', title: 'train.py', url: null };
+        await activityService._performActivityCapture();
+        screen = call;
+        activeWindow = { app: 'Zoom', title: 'Lab meeting', url: null };
+        await activityService._performActivityCapture();
+        if (aiCalls !== 3 || !reused.reused_analysis || reused.activity_title !== 'Analysis 1' || activityService.lastAnalysis.reused_analysis) {
+            throw new Error(`Unexpected AI calls: ${aiCalls}, ${JSON.stringify(reused)}`);
+        }
+
+        // Manual captures always ask
+        await activityService.performManualCapture();
+        const status = await activityService.getTrackingStatus();
+        if (aiCalls !== 4 || status.analysisCalls.made !== 4 || status.analysisCalls.saved !== 1) {
+            throw new Error(`Unexpected call counts: ${JSON.stringify(status.analysisCalls)}`);
+        }
+
+        const hashes = sqliteClient.getDb().prepare('SELECT screenshot_hash FROM activity_captures ORDER BY rowid').all()
+            .map(row => row.screenshot_hash);
+        if (hashes.length !== 5 || hashes[0] !== editorHash || hashes[1] !== laterHash || hashes[3] !== callHash) {
+            throw new Error(`Unexpected stored hashes: ${JSON.stringify(hashes)}`);
+        }
+        console.log('✅ Unchanged screen in the same app reused, new app or screen analyzed, counts in the tracking status');
+
+        // Analyses older than 5 minutes, or from before time away, are not reused
+        activityService.lastAnalyzedScreen.at -= 6 * 60 * 1000;
+        await activityService._performActivityCapture();
+        await activityService._performActivityCapture();
+        const reusedRecent = activityService.lastAnalysis.reused_analysis;
+        await activityService._handleAway({ since: Date.now(), reason: 'idle' });
+        await activityService._performActivityCapture();
+        if (aiCalls !== 6 || !reusedRecent || activityService.lastAnalysis.reused_analysis) {
+            throw new Error(`Stale analysis reused: ${aiCalls} AI calls`);
+        }
+        console.log('✅ Old analyses and ones from before time away analyzed again');
+
+        sqliteClient.close();
+        console.log('\n✅ All screen deduplication checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest().then(() => process.exit());
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for local screenshot redaction
+ * Checks blocked apps and titles, masking of emails, API keys and custom patterns found by OCR,
+ * withholding screenshots without OCR, the audit log and its cap, and that analysis only sends
+ * redacted images
+ */
+
+const WIDTH = 200;
+const HEIGHT = 100;
+
+// Images whose bitmap is white until painted over
+function fakeImage(bitmap) {
+    return {
+        getSize: () => ({ width: WIDTH, height: HEIGHT }),
+        toBitmap: () => bitmap,
+        toPNG: () => Buffer.concat([Buffer.from([0x89]), Buffer.from('masked')]),
+        toJPEG: () => Buffer.from('masked jpeg'),
+        pixel: (x, y) => bitmap.readUInt32LE((y * WIDTH + x) * 4)
+    };
+}
+
+async function runTest() {
+    try {
+        console.log('=== Screenshot Redaction Test ===\n');
+
+        let maskedImage = null;
+        require.cache[require.resolve('electron')] = {
+            exports: {
+                app: { getPath: () => '/tmp/glass-test' },
+                BrowserWindow: { getAllWindows: () => [] },
+                nativeImage: {
+                    createFromBuffer: () => fakeImage(Buffer.alloc(WIDTH * HEIGHT * 4, 0xff)),
+                    createFromBitmap: (bitmap) => (maskedImage = fakeImage(bitmap))
+                }
+            }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        mockModule('./src/features/common/services/authService', {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        });
+        mockModule('./src/features/common/services/firebaseClient', {});
+
+        // 1. Reading Tesseract output
+        console.log('1. Reading OCR output...');
+        const { parseTsv } = require('./src/features/common/utils/ocr');
+        const tsv = [
+            'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+            '4\t1\t1\t1\t1\t0\t10\t10\t150\t12\t-1\t',
+            '5\t1\t1\t1\t1\t1\t10\t10\t40\t12\t96\tContact',
+            '5\t1\t1\t1\t1\t2\t55\t10\t105\t12\t91\tjane.doe@uni.edu',
+            '5\t1\t1\t1\t2\t1\t10\t40\t60\t12\t90\tapi_key',
+            '5\t1\t1\t1\t2\t2\t75\t40\t8\t12\t90\t=',
+            '5\t1\t1\t1\t2\t3\t88\t40\t100\t12\t88\tsk-proj-abcdefghijklmnop1234',
+            '5\t1\t1\t1\t3\t1\t10\t70\t70\t12\t93\tParticipant',
+            '5\t1\t1\t1\t3\t2\t85\t70\t40\t12\t92\tP-0042'
+        ].join('\n');
+        const lines = parseTsv(tsv);
+        if (lines.length !== 3 || lines[0].text !== 'Contact jane.doe@uni.edu' || lines[0].words[1].start !== 8
+            || lines[1].text !== 'api_key = sk-proj-abcdefghijklmnop1234' || lines[2].words[1].left !== 85) {
+            throw new Error(`Unexpected OCR lines: ${JSON.stringify(lines)}`);
+        }
+        console.log('✅ Words grouped into lines with their boxes and character ranges\n');
+
+        // Local OCR is whatever the test says it is
+        let ocrAvailable = true;
+        mockModule('./src/features/common/utils/ocr', {
+            isOcrAvailable: async () => ocrAvailable,
+            recognizeLines: async () => lines
+        });
+
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const dbPath = path.join(testDir, 'test-screenshot-redaction.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+
+        const redactionService = require('./src/features/common/services/redactionService');
+        const auditLog = () => redactionService.getAuditLog();
+
+        // 2. Settings
+        console.log('2. Validating redaction settings...');
+        const defaults = redactionService.getSettings();
+        if (!defaults.enabled || !defaults.mask_emails || !defaults.mask_secrets || defaults.send_without_ocr) {
+            throw new Error(`Unexpected defaults: ${JSON.stringify(defaults)}`);
+        }
+        for (const [changes, expected] of [
+            [{ blocked_titles: ['(unclosed'] }, 'Invalid title pattern'],
+            [{ custom_patterns: [{ name: 'Bad', pattern: '[' }] }, 'Invalid pattern'],
+            [{ blocked_apps: 'REDCap' }, 'must be a list']
+        ]) {
+            try {
+                redactionService.updateSettings(changes);
+                throw new Error(`Accepted ${JSON.stringify(changes)}`);
+            } catch (error) {
+                if (!error.message.includes(expected)) throw error;
+            }
+        }
+        const saved = redactionService.updateSettings({
+            blocked_apps: ['REDCap', ' REDCap ', ''],
+            blocked_titles: ['participant_\\d+\\.xlsx'],
+            custom_patterns: [{ name: 'Participant ID', pattern: 'P-\\d{4}' }]
+        });
+        if (saved.blocked_apps.join() !== 'REDCap' || saved.custom_patterns[0].name !== 'Participant ID' || !saved.mask_emails) {
+            throw new Error(`Settings not saved: ${JSON.stringify(saved)}`);
+        }
+        console.log('✅ Invalid patterns rejected, lists trimmed and saved\n');
+
+        // 3. Blocked windows
+        console.log('3. Skipping blocked windows...');
+        const blockedApp = redactionService.checkWindow({ app: 'redcap', title: 'Study dashboard' }, 'activity');
+        const blockedTitle = redactionService.checkWindow({ app: 'Excel', title: 'participant_017.xlsx' }, 'research');
+        const allowed = redactionService.checkWindow({ app: 'Code', title: 'train.py' }, 'activity');
+        const entries = auditLog();
+        if (!blockedApp.blocked || !blockedTitle.blocked || allowed.blocked || entries.length !== 2
+            || entries.some(entry => entry.action !== 'blocked') || JSON.stringify(entries).includes('participant_017')) {
+            throw new Error(`Unexpected blocks: ${JSON.stringify(entries)}`);
+        }
+        // Only the foreground window is checked: unknown windows and other displays are not captured
+        const unknown = redactionService.checkWindow({ app: null, title: null }, 'activity');
+        const allDisplays = redactionService.checkWindow({ app: 'Code', title: 'train.py' }, 'activity', { captureMode: 'all' });
+        const focusedDisplay = redactionService.checkWindow({ app: 'Code', title: 'train.py' }, 'activity', { captureMode: 'focused' });
+        if (!unknown.blocked || !allDisplays.blocked || focusedDisplay.blocked || auditLog().length !== 4) {
+            throw new Error(`Capture allowed without knowing what is on screen: ${JSON.stringify([unknown, allDisplays, focusedDisplay])}`);
+        }
+        redactionService.updateSettings({ blocked_apps: [], blocked_titles: [] });
+        if (redactionService.checkWindow({ app: null, title: null }, 'activity', { captureMode: 'all' }).blocked) {
+            throw new Error('Capture blocked without any blocked apps or titles');
+        }
+        redactionService.updateSettings({ blocked_apps: ['REDCap'], blocked_titles: ['participant_\\d+\\.xlsx'] });
+        console.log('✅ Blocked apps and titles skipped and audited without the window title, unknown windows and other displays too\n');
+
+        // 4. Masking
+        console.log('4. Masking sensitive text...');
+        const screenshot = Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64');
+        const masked = await redactionService.redactScreenshot(screenshot, { source: 'research', windowContext: { app: 'Code' } });
+        if (masked.action !== 'masked' || masked.regions !== 3 || masked.mimeType !== 'image/png' || masked.base64 === screenshot) {
+            throw new Error(`Unexpected redaction: ${JSON.stringify(masked)}`);
+        }
+        const black = 0xff000000;
+        const white = 0xffffffff;
+        if (maskedImage.pixel(60, 15) !== black || maskedImage.pixel(20, 15) !== white     // email, not "Contact"
+            || maskedImage.pixel(20, 45) !== black || maskedImage.pixel(180, 45) !== black  // the whole assignment
+            || maskedImage.pixel(90, 75) !== black || maskedImage.pixel(20, 75) !== white   // the id, not "Participant"
+            || maskedImage.pixel(5, 95) !== white) {
+            throw new Error('Wrong regions painted over');
+        }
+        const maskEntry = auditLog()[0];
+        if (maskEntry.action !== 'masked' || maskEntry.regions !== 3 || maskEntry.matches.email !== 1 || maskEntry.matches.secret !== 1
+            || maskEntry.matches['Participant ID'] !== 1 || JSON.stringify(maskEntry).includes('jane.doe')) {
+            throw new Error(`Unexpected audit entry: ${JSON.stringify(maskEntry)}`);
+        }
+        if (redactionService.redactText('Inbox - jane.doe@uni.edu') !== 'Inbox - [redacted]') {
+            throw new Error('Email left in window title');
+        }
+        console.log('✅ Emails, keys and custom patterns blacked out, counts audited without the text\n');
+
+        // 5. Without OCR
+        console.log('5. Handling missing OCR...');
+        ocrAvailable = false;
+        const withheld = await redactionService.redactScreenshot(screenshot, { source: 'activity', windowContext: { app: 'Code' } });
+        const withheldStatus = await redactionService.getStatus();
+        redactionService.updateSettings({ send_without_ocr: true });
+        const unmasked = await redactionService.redactScreenshot(screenshot, { source: 'activity', windowContext: { app: 'Code' } });
+        const unmaskedStatus = await redactionService.getStatus();
+        const [unmaskedEntry, withheldEntry] = auditLog();
+        if (withheld.action !== 'withheld' || withheld.base64 !== null || unmasked.action !== 'unmasked' || unmasked.base64 !== screenshot
+            || withheldEntry.action !== 'withheld' || unmaskedEntry.reason !== 'OCR unavailable'
+            || withheldStatus.ocr_available || !withheldStatus.screenshots_withheld || unmaskedStatus.screenshots_withheld) {
+            throw new Error(`Unexpected handling without OCR: ${withheld.action}, ${unmasked.action}`);
+        }
+        redactionService.updateSettings({ send_without_ocr: false });
+        ocrAvailable = true;
+        console.log('✅ Screenshots withheld without OCR unless sending them unmasked is allowed, and reported as such\n');
+
+        // The audit log keeps the latest entries
+        const auditRepository = require('./src/features/common/repositories/redaction/sqlite.repository');
+        for (let i = 0; i < 3; i++) {
+            auditRepository.addAuditEntry('test_user', { source: 'activity', action: 'blocked', reason: `Entry ${i}` }, 5);
+        }
+        const kept = auditRepository.getAuditEntries('test_user', 10);
+        if (kept.length !== 5 || kept[0].reason !== 'Entry 2') {
+            throw new Error(`Audit log not capped: ${JSON.stringify(kept.map(entry => entry.reason))}`);
+        }
+        console.log('✅ Audit log keeps only its latest entries\n');
+
+        // 6. Analysis sends only redacted screenshots
+        console.log('6. Sending redacted screenshots for analysis...');
+        const sentImages = [];
+        const llm = {
+            chatJson: async (messages) => {
+                sentImages.push(messages[1].content.find(part => part.image_url).image_url.url);
+                return {
+                    content: JSON.stringify({
+                        category: 'Focus',
+                        activity_title: 'Coding',
+                        confidence: 0.9,
+                        details: { primary_application: 'Code', content_type: 'code', productivity_indicator: 'high', distraction_level: 'low' },
+                        insights: 'Steady coding'
+                    })
+                };
+            }
+        };
+        mockModule('./src/features/common/ai/factory', {
+            createLLM: () => llm,
+            generateStructured: require('./src/features/common/ai/structuredOutput').generateStructured
+        });
+        mockModule('./src/features/common/services/modelStateService', {
+            getLLMCandidates: async () => [{ provider: 'openai', model: 'gpt-4.1', apiKey: 'key' }]
+        });
+        mockModule('./src/features/common/utils/activeWindow', { getActiveWindow: async () => ({ app: 'Code', title: 'train.py', url: null }) });
+
+        const activityService = require('./src/features/activity/activityService');
+        activityService.settings.enableSmartAnalysis = true;
+        const analyzed = await activityService.analyzeScreenshot(screenshot, { windowContext: { app: 'Code', title: 'train.py' } });
+        const skipped = await activityService.analyzeScreenshot(screenshot, { windowContext: { app: 'REDCap', title: 'Study' } });
+        if (analyzed?.category !== 'Focus' || skipped !== null || sentImages.length !== 1
+            || sentImages[0] !== `data:image/png;base64,${masked.base64}`) {
+            throw new Error(`Unexpected images sent: ${JSON.stringify(sentImages)}`);
+        }
+
+        const AnalysisService = require('./src/features/research/ai/analysisService');
+        const analysisService = new AnalysisService();
+        analysisService.llmClient = { chatJson: async () => { throw new Error('Screenshot sent'); } };
+        ocrAvailable = false;
+        const fallback = await analysisService.analyzeScreenshot(screenshot, { activeApplication: 'Code', windowTitle: 'train.py', timestamp: Date.now() });
+        if (!fallback.fallback_reason?.includes('OCR unavailable') || fallback.productivity_score === undefined) {
+            throw new Error(`Withheld screenshot not analyzed locally: ${JSON.stringify(fallback)}`);
+        }
+        console.log('✅ Only masked screenshots reach the provider; withheld ones fall back to local heuristics');
+
+        sqliteClient.close();
+        console.log('\n✅ All screenshot redaction checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+// The analysis cache holds its entries on an hour-long timer
+runTest().then(() => process.exit());
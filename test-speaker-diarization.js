@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for speaker diarization in Listen
+ * Checks the local voice-print diarizer, Deepgram speaker labels, per-session speaker renaming
+ * and that speaker names reach saved transcripts and the summary prompt
+ */
+
+const SAMPLE_RATE = 24000;
+
+// Synthetic voiced speech: harmonics of a wobbling pitch shaped by the speaker's formants
+function voice({ pitch, formants }, seconds, phase = 0) {
+    const pcm = Buffer.alloc(Math.floor(seconds * SAMPLE_RATE) * 2);
+    let angle = 0;
+    for (let i = 0; i < pcm.length / 2; i++) {
+        const t = i / SAMPLE_RATE;
+        const f0 = pitch * (1 + 0.04 * Math.sin(2 * Math.PI * 3 * t + phase));
+        angle += (2 * Math.PI * f0) / SAMPLE_RATE;
+        let sample = 0;
+        for (let h = 1; h * pitch < 7000; h++) {
+            const gain = formants.reduce((sum, [center, width]) => sum + Math.exp(-(((h * f0 - center) / width) ** 2)), 0);
+            sample += (gain / h) * Math.sin(h * angle);
+        }
+        // Syllable-like loudness envelope
+        const envelope = 0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * t + phase);
+        pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample * envelope * 6000))), i * 2);
+    }
+    return pcm;
+}
+
+const ALICE = { pitch: 210, formants: [[850, 150], [1600, 200], [2800, 300]] };
+const BOB = { pitch: 105, formants: [[500, 120], [1000, 150], [2400, 250]] };
+
+async function runTest() {
+    let sttService = null;
+    try {
+        console.log('=== Speaker Diarization Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' }, BrowserWindow: { getAllWindows: () => [] } }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        const authService = {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        };
+        mockModule('./src/features/common/services/authService', authService);
+        mockModule('./src/features/common/services/firebaseClient', {});
+        const rendererEvents = [];
+        const listenWindow = { isDestroyed: () => false, webContents: { send: (channel, payload) => rendererEvents.push({ channel, payload }) } };
+        mockModule('./src/window/windowManager', { windowPool: new Map([['listen', listenWindow]]) });
+        mockModule('./src/features/activity/activityService', { createActivity: async () => {} });
+
+        // 1. Local voice prints
+        console.log('1. Diarizing synthetic voices locally...');
+        const { LocalDiarizer } = require('./src/features/common/ai/diarization/localDiarizer');
+        const diarizer = new LocalDiarizer({ sampleRate: SAMPLE_RATE });
+        const turns = [
+            diarizer.assign(voice(ALICE, 2, 0)),
+            diarizer.assign(voice(BOB, 2, 0)),
+            diarizer.assign(voice(ALICE, 1.5, 1)),
+            diarizer.assign(voice(BOB, 1.2, 2))
+        ];
+        if (turns.join(',') !== '1,2,1,2') {
+            throw new Error(`Voices not told apart: ${turns.join(',')}`);
+        }
+        if (diarizer.assign(Buffer.alloc(SAMPLE_RATE * 2)) !== null || diarizer.assign(voice(ALICE, 0.2)) !== null) {
+            throw new Error('Silence or a too-short utterance was attributed to a speaker');
+        }
+        const louder = Buffer.from(voice(ALICE, 1.5, 2));
+        for (let i = 0; i < louder.length; i += 2) louder.writeInt16LE(Math.round(louder.readInt16LE(i) * 0.3), i);
+        if (diarizer.assign(louder) !== 1) {
+            throw new Error('A quieter recording of the same voice was not matched');
+        }
+        console.log('✅ Same voice matched, different voices split, silence ignored\n');
+
+        // 2. Session storage
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const dbPath = path.join(testDir, 'test-speaker-diarization.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+        const db = sqliteClient.getDb();
+
+        // 3. Deepgram labels speakers itself
+        console.log('2. Labelling Deepgram results by speaker...');
+        const sttSessions = [];
+        mockModule('./src/features/common/ai/factory', {
+            createSTT: async (provider, options) => {
+                const session = { options, sent: [], sendRealtimeInput: async (payload) => session.sent.push(payload), close: async () => {} };
+                sttSessions.push(session);
+                return session;
+            },
+            createLLM: () => ({ chat: async () => ({ content: '' }) })
+        });
+        let sttModel = { provider: 'deepgram', model: 'nova-3', apiKey: 'test-key' };
+        mockModule('./src/features/common/services/modelStateService', { getCurrentModelInfo: async () => sttModel });
+        let diarizationEnabled = true;
+        mockModule('./src/features/settings/settingsService', { getSpeakerDiarization: async () => diarizationEnabled, getDefaultSummaryTemplate: async () => null });
+
+        require('./src/features/common/repositories/session').setAuthService(authService);
+        const listenService = require('./src/features/listen/listenService');
+        sttService = listenService.sttService;
+        listenService.summaryService.triggerAnalysisIfNeeded = () => {};
+        await listenService.initializeNewSession();
+        const sessionId = listenService.currentSessionId;
+        await sttService.initializeSttSessions('en', { diarize: await listenService._isDiarizationEnabled() });
+
+        const theirSession = sttSessions.find(session => session.options.sessionType === 'their');
+        if (!theirSession.options.diarize || theirSession.options.diarizer) {
+            throw new Error('Deepgram should diarize natively without a local diarizer');
+        }
+        const mySession = sttSessions.find(session => session.options.sessionType === 'my');
+        if (mySession.options.diarize) {
+            throw new Error('The microphone is always "Me" and should not be diarized');
+        }
+
+        const settle = () => new Promise(resolve => setImmediate(resolve));
+        const deepgramFinal = (transcript, speakers) => theirSession.options.callbacks.onmessage({
+            is_final: true,
+            channel: { alternatives: [{ transcript, words: speakers.map((speaker, i) => ({ word: `w${i}`, speaker })) }] }
+        });
+        const flush = async () => {
+            clearTimeout(sttService.theirCompletionTimer);
+            sttService.flushTheirCompletion();
+            await settle();
+        };
+
+        deepgramFinal('Welcome everyone to the lab meeting.', [0, 0, 0, 0, 0, 1]);
+        deepgramFinal('Let us start with the results.', [0, 0, 0, 0, 0]);
+        // A different speaker takes over: the first speaker's pending text is flushed as their own turn
+        deepgramFinal('The ablation numbers are in.', [1, 1, 1, 1, 1]);
+        await settle();
+        await flush();
+
+        let transcripts = db.prepare('SELECT speaker, speaker_id, text FROM transcripts WHERE session_id = ? ORDER BY rowid').all(sessionId);
+        const expected = [
+            ['Speaker 1', 'speaker_1', 'Welcome everyone to the lab meeting. Let us start with the results.'],
+            ['Speaker 2', 'speaker_2', 'The ablation numbers are in.']
+        ];
+        if (JSON.stringify(transcripts.map(t => [t.speaker, t.speaker_id, t.text])) !== JSON.stringify(expected)) {
+            throw new Error(`Unexpected diarized transcripts: ${JSON.stringify(transcripts)}`);
+        }
+        const finalUpdate = rendererEvents.filter(event => event.channel === 'stt-update').at(-1).payload;
+        if (finalUpdate.speakerId !== 'speaker_2' || finalUpdate.speakerName !== 'Speaker 2') {
+            throw new Error(`Renderer not told who spoke: ${JSON.stringify(finalUpdate)}`);
+        }
+        console.log('✅ Turns split and saved per speaker\n');
+
+        // 4. Renaming speakers
+        console.log('3. Renaming speakers...');
+        await listenService.handleTranscriptionComplete('Me', 'Thanks, can you share the plot?');
+        const renamed = await listenService.renameSpeaker('speaker_2', '  Dr. Alice Chen  ');
+        if (!renamed.success || renamed.name !== 'Dr. Alice Chen' || renamed.updated !== 1) {
+            throw new Error(`Rename failed: ${JSON.stringify(renamed)}`);
+        }
+        transcripts = db.prepare('SELECT speaker FROM transcripts WHERE session_id = ? AND speaker_id = ?').all(sessionId, 'speaker_2');
+        if (transcripts[0].speaker !== 'Dr. Alice Chen') {
+            throw new Error('Saved transcripts not relabeled');
+        }
+        if (!rendererEvents.some(event => event.channel === 'listen:speakerRenamed' && event.payload.name === 'Dr. Alice Chen')) {
+            throw new Error('Listen window not told about the new name');
+        }
+
+        deepgramFinal('Sure, sending it now.', [1, 1, 1, 1]);
+        await flush();
+        const latest = db.prepare('SELECT speaker FROM transcripts WHERE session_id = ? ORDER BY rowid DESC LIMIT 1').get(sessionId);
+        if (latest.speaker !== 'Dr. Alice Chen') {
+            throw new Error(`Later turns not saved under the new name: ${latest.speaker}`);
+        }
+
+        for (const [speakerId, name] of [['me', 'Not me'], ['speaker_x', 'Bob'], ['speaker_1', '   ']]) {
+            const rejected = await listenService.renameSpeaker(speakerId, name).then(() => false, () => true);
+            if (!rejected) throw new Error(`Invalid rename accepted: ${speakerId} -> "${name}"`);
+        }
+
+        const speakers = await listenService.getSpeakers(sessionId);
+        if (JSON.stringify(speakers) !== JSON.stringify([
+            { speaker_id: 'speaker_1', name: 'Speaker 1', renamed: false },
+            { speaker_id: 'speaker_2', name: 'Dr. Alice Chen', renamed: true }
+        ])) {
+            throw new Error(`Unexpected speaker list: ${JSON.stringify(speakers)}`);
+        }
+        console.log('✅ Names saved, applied to later turns, invalid renames rejected\n');
+
+        // 5. Summary prompt
+        console.log('4. Passing names to the summary prompt...');
+        const summary = listenService.summaryService;
+        const history = summary.getConversationHistory();
+        if (!history.includes('Dr. Alice Chen: The ablation numbers are in.') || !history.includes('me: Thanks, can you share the plot?')) {
+            throw new Error(`Summary history not relabeled: ${JSON.stringify(history)}`);
+        }
+        const promptMessages = [];
+        mockModule('./src/features/common/ai/factory', {
+            generateStructured: require('./src/features/common/ai/structuredOutput').generateStructured,
+            createLLM: () => ({
+                chat: async (messages) => {
+                    promptMessages.push(messages);
+                    return { content: JSON.stringify({ summary: ['Lab meeting'], topic: { name: 'Ablations', insights: [] }, explanation: '', questions: [] }) };
+                }
+            })
+        });
+        delete require.cache[require.resolve('./src/features/listen/summary/summaryService')];
+        const SummaryService = require('./src/features/listen/summary/summaryService');
+        const freshSummary = new SummaryService();
+        freshSummary.triggerAnalysisIfNeeded = () => {};
+        summary.conversationTurns.forEach(turn => freshSummary.addConversationTurn(turn.speaker, turn.text, turn.speakerId));
+        sttModel = { provider: 'openai', model: 'gpt-4.1', apiKey: 'test-key' };
+        await freshSummary.makeOutlineAndRequests(freshSummary.getConversationHistory());
+        const [systemMessage, userMessage] = promptMessages[0];
+        if (!systemMessage.content.includes('Dr. Alice Chen: Sure, sending it now.')) {
+            throw new Error('Named turns missing from the analysis prompt');
+        }
+        if (!userMessage.content.includes('the others are Speaker 1, Dr. Alice Chen')) {
+            throw new Error(`Participants missing from the analysis prompt: ${userMessage.content.slice(0, 300)}`);
+        }
+        console.log('✅ Prompt uses speaker names\n');
+
+        // 6. Local diarization for providers without it, and legacy "Them" rows
+        console.log('5. Falling back to the local diarizer...');
+        await sttService.closeSessions();
+        sttSessions.length = 0;
+        await sttService.initializeSttSessions('en', { diarize: true });
+        const openaiTheirs = sttSessions.find(session => session.options.sessionType === 'their');
+        if (openaiTheirs.options.diarize || !sttService.theirDiarizer) {
+            throw new Error('Expected a local diarizer for OpenAI transcription');
+        }
+        const completed = (transcript) => openaiTheirs.options.callbacks.onmessage({ type: 'conversation.item.input_audio_transcription.completed', transcript });
+        await sttService.sendSystemAudioContent(voice(BOB, 1.5).toString('base64'));
+        completed('First question from the audience.');
+        await flush();
+        await sttService.sendSystemAudioContent(voice(ALICE, 1.5).toString('base64'));
+        completed('Second question from someone else.');
+        await flush();
+        const localIds = db.prepare('SELECT speaker_id FROM transcripts WHERE session_id = ? ORDER BY rowid DESC LIMIT 2').all(sessionId).map(t => t.speaker_id);
+        if (localIds[0] === localIds[1] || !localIds.every(id => /^speaker_\d+$/.test(id))) {
+            throw new Error(`Local diarizer did not split the voices: ${localIds}`);
+        }
+        await sttService.closeSessions();
+
+        db.prepare('INSERT INTO transcripts (id, session_id, start_at, speaker, text, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+            .run('legacy-1', sessionId, 1, 'Them', 'Recorded before diarization', 1);
+        await listenService.renameSpeaker('them', 'Guest');
+        const legacy = db.prepare('SELECT speaker, speaker_id FROM transcripts WHERE id = ?').get('legacy-1');
+        if (legacy.speaker !== 'Guest' || legacy.speaker_id !== 'them') {
+            throw new Error(`Legacy transcript not renamed: ${JSON.stringify(legacy)}`);
+        }
+        console.log('✅ Local diarization and legacy transcripts handled');
+
+        console.log('\n✅ All speaker diarization checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    } finally {
+        // Stops the keep-alive and renewal timers
+        await sttService?.closeSessions();
+    }
+}
+
+runTest();
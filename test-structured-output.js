@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for structured (JSON schema) model output
+ * Checks schema validation, the Gemini schema conversion, the retry on invalid output,
+ * the Ollama request and screenshot analysis read from structured output
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Structured Output Test ===\n');
+
+        const {
+            parseJsonContent,
+            validateSchema,
+            toGeminiSchema,
+            generateStructured
+        } = require('./src/features/common/ai/structuredOutput');
+
+        // 1. Validation
+        console.log('1. Validating output against a schema...');
+        const schema = {
+            type: 'object',
+            properties: {
+                title: { type: 'string', maxLength: 10 },
+                score: { type: ['number', 'null'], minimum: 0, maximum: 10 },
+                mood: { type: 'string', enum: ['calm', 'busy'] },
+                tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+                owner: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'], additionalProperties: false }
+            },
+            required: ['title', 'score', 'mood', 'tags', 'owner'],
+            additionalProperties: false
+        };
+        const valid = { title: 'Lab', score: null, mood: 'calm', tags: ['a'], owner: { name: 'Ana' } };
+        if (validateSchema(valid, schema).length !== 0 || validateSchema({ ...valid, score: 7 }, schema).length !== 0) {
+            throw new Error(`Valid output rejected: ${validateSchema(valid, schema)}`);
+        }
+        const errors = validateSchema({ title: 'A very long title', score: 11, mood: 'Calm', tags: ['a', 'b', 3], owner: { name: 'Ana', age: 3 }, extra: true }, schema);
+        const expected = [
+            '$.title should be at most 10 characters',
+            '$.score should be at most 10',
+            '$.mood should be one of "calm", "busy"',
+            '$.tags should have at most 2 items',
+            '$.tags[2] should be string, got integer',
+            '$.owner.age is not allowed',
+            '$.extra is not allowed'
+        ];
+        if (JSON.stringify(errors) !== JSON.stringify(expected)) {
+            throw new Error(`Unexpected errors: ${JSON.stringify(errors)}`);
+        }
+        if (parseJsonContent('```json\n{"title": "Lab"}\n```').title !== 'Lab' || parseJsonContent('Here you go: {"a": 1}').a !== 1) {
+            throw new Error('JSON not read from fenced or wrapped responses');
+        }
+
+        const gemini = toGeminiSchema(schema);
+        if (gemini.additionalProperties !== undefined || gemini.properties.owner.additionalProperties !== undefined
+            || gemini.properties.score.type !== 'number' || gemini.properties.score.nullable !== true
+            || gemini.properties.tags.items.type !== 'string' || gemini.properties.mood.enum.length !== 2) {
+            throw new Error(`Unexpected Gemini schema: ${JSON.stringify(gemini)}`);
+        }
+        console.log('✅ Types, ranges, enums and nesting checked; Gemini schema uses nullable\n');
+
+        // 2. Retries
+        console.log('2. Retrying invalid output...');
+        const calls = [];
+        const replying = (replies) => ({
+            chatJson: async (messages, options) => {
+                calls.push({ messages, options });
+                return { content: replies.shift() };
+            }
+        });
+        const question = [{ role: 'user', content: 'Describe the lab' }];
+        const retried = await generateStructured(replying(['{"title": "Lab"}', JSON.stringify(valid)]), question, { name: 'lab', schema });
+        if (retried.attempts !== 2 || retried.data.owner.name !== 'Ana' || calls.length !== 2 || calls[0].options.schema !== schema) {
+            throw new Error(`Output not retried: ${JSON.stringify(retried)}`);
+        }
+        const [, answer, followUp] = calls[1].messages;
+        if (answer.role !== 'assistant' || answer.content !== '{"title": "Lab"}' || !followUp.content.includes('- $.score is required')) {
+            throw new Error(`Validation errors not sent back: ${JSON.stringify(calls[1].messages)}`);
+        }
+
+        calls.length = 0;
+        const failure = await generateStructured(replying(['no', '{"title": 1}', JSON.stringify(valid)]), question, { name: 'lab', schema, retries: 1 })
+            .then(() => null, error => error);
+        if (!failure || !failure.message.startsWith('Invalid lab from the model') || failure.content !== '{"title": 1}'
+            || !failure.validationErrors.includes('$.title should be string, got integer') || calls.length !== 2) {
+            throw new Error(`Invalid output not rejected after the retry: ${failure}`);
+        }
+
+        const prompted = [];
+        const plain = { chat: async (messages) => { prompted.push(messages); return { content: JSON.stringify(valid) }; } };
+        await generateStructured(plain, question, { name: 'lab', schema, retries: 0 });
+        if (prompted[0].length !== 2 || !prompted[0][1].content.includes('"required":["title","score","mood","tags","owner"]')) {
+            throw new Error('Schema not put in the prompt for an LLM without native structured output');
+        }
+        console.log('✅ Invalid output sent back once with its errors, then rejected\n');
+
+        // 3. Provider request
+        console.log('3. Sending the schema to Ollama...');
+        const bodies = [];
+        require.cache[require.resolve('node-fetch')] = {
+            exports: async (url, options) => {
+                bodies.push(JSON.parse(options.body));
+                return { ok: true, json: async () => ({ message: { content: JSON.stringify(valid) } }) };
+            }
+        };
+        const { createLLM } = require('./src/features/common/ai/factory');
+        const ollama = createLLM('ollama', { model: 'llama3.2:3b' });
+        const fromOllama = await generateStructured(ollama, [
+            { role: 'user', content: [{ type: 'text', text: 'Describe this' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }
+        ], { name: 'lab', schema });
+        if (fromOllama.data.title !== 'Lab' || JSON.stringify(bodies[0].format) !== JSON.stringify(schema)
+            || bodies[0].stream !== false || bodies[0].messages[0].images[0] !== 'AAAA') {
+            throw new Error(`Unexpected Ollama request: ${JSON.stringify(bodies[0])}`);
+        }
+        console.log('✅ Schema passed as format, images kept\n');
+
+        // 4. Screenshot analysis
+        console.log('4. Reading screenshot analysis from structured output...');
+        // Screenshots pass redaction unchanged
+        require.cache[require.resolve('./src/features/common/services/redactionService')] = {
+            exports: {
+                redactScreenshot: async (base64) => ({ action: 'clean', base64, mimeType: 'image/png', regions: 0, reason: null }),
+                redactText: (text) => text
+            }
+        };
+        const AnalysisService = require('./src/features/research/ai/analysisService');
+        const analysisService = new AnalysisService();
+        const requests = [];
+        analysisService.llmClient = {
+            chatJson: async (messages, options) => {
+                requests.push({ messages, options });
+                return {
+                    content: JSON.stringify({
+                        activity_type: 'deep work',
+                        productivity_score: 8,
+                        focus_quality: 'deep',
+                        applications: ['code editor'],
+                        visual_cues: 'A single full-screen editor',
+                        recommendations: ['Keep notifications muted'],
+                        summary: 'Focused coding session in a single editor.'
+                    })
+                };
+            }
+        };
+        const analysis = await analysisService.analyzeScreenshot('c2NyZWVu', { activeApplication: 'Code', timestamp: Date.now() });
+        const [system, user] = requests[0].messages;
+        if (requests[0].options.name !== 'screenshot_analysis' || !system.content.startsWith('You are')
+            || user.content[0].image_url.url !== 'data:image/png;base64,c2NyZWVu' || !user.content.some(part => part.text === '\nActive Application: Code')) {
+            throw new Error(`Unexpected analysis request: ${JSON.stringify(requests[0].messages).slice(0, 300)}`);
+        }
+        if (analysis.productivity_score !== 8 || analysis.activity_type !== 'deep work' || analysis.focus_quality !== 'deep'
+            || analysis.applications[0] !== 'code editor' || !analysis.tags.includes('high-productivity') || analysis.confidence_score !== 100) {
+            throw new Error(`Unexpected analysis: ${JSON.stringify(analysis)}`);
+        }
+        console.log('✅ Fields taken from the response instead of matched in free text');
+
+        console.log('\n✅ All structured output checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+// The analysis cache holds its entries on an hour-long timer
+runTest().then(() => process.exit());
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Listen summary templates
+ * Checks template validation, prompts, schemas and reading responses, the seeded defaults and custom
+ * templates in SQLite, and a session summarized with a template, then switched back
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Summary Templates Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' }, BrowserWindow: { getAllWindows: () => [] } }
+        };
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        const authService = {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        };
+        mockModule('./src/features/common/services/authService', authService);
+        mockModule('./src/features/common/services/firebaseClient', {});
+        const sent = [];
+        const listenWindow = { isDestroyed: () => false, webContents: { send: (channel, data) => sent.push({ channel, data }) } };
+        mockModule('./src/window/windowManager', { windowPool: new Map([['listen', listenWindow]]) });
+        mockModule('./src/features/activity/activityService', { createActivity: async () => {} });
+
+        // 1. Pure helpers
+        console.log('1. Validating templates, building prompts and parsing responses...');
+        const templates = require('./src/features/listen/summary/summaryTemplates');
+        const rejects = (sections) => {
+            try {
+                templates.normalizeTemplateSections(sections);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+        if (!rejects([]) || !rejects([{ title: '' }]) || !rejects([{ title: 'A', type: 'table' }])
+            || !rejects([{ title: 'Next steps' }, { title: 'Next Steps!' }])) {
+            throw new Error('Invalid sections were accepted');
+        }
+        const sections = templates.normalizeTemplateSections([
+            { title: 'Overview', type: 'text', max_items: 4 },
+            { title: 'Findings', max_items: 50 },
+            { title: 'Questions', type: 'numbered', max_items: 2, description: 'What to ask next' },
+        ]);
+        if (JSON.stringify(sections.map(s => [s.key, s.type, s.max_items])) !== JSON.stringify([
+            ['overview', 'text', 1], ['findings', 'bullets', 10], ['questions', 'numbered', 2]
+        ])) {
+            throw new Error(`Sections not normalized: ${JSON.stringify(sections)}`);
+        }
+
+        const template = { id: 'tpl', title: 'Lab meeting', instructions: 'A weekly lab meeting.', sections };
+        const prompt = templates.buildTemplatePrompt(template);
+        if (!prompt.startsWith('A weekly lab meeting.') || !prompt.includes('- overview: Overview: one short paragraph')
+            || !prompt.includes('- questions: Questions: up to 2 items, in order (What to ask next)')) {
+            throw new Error(`Unexpected prompt:\n${prompt}`);
+        }
+        const { validateSchema } = require('./src/features/common/ai/structuredOutput');
+        const schema = templates.buildTemplateSchema(template);
+        if (schema.properties.overview.type !== 'string' || schema.properties.findings.type !== 'array'
+            || validateSchema({ overview: 'Fine', findings: [], questions: [] }, schema).length !== 0
+            || validateSchema({ overview: ['Fine'], findings: [] }, schema).length !== 2) {
+            throw new Error(`Unexpected schema: ${JSON.stringify(schema)}`);
+        }
+
+        const parsed = templates.readTemplateResponse({
+            overview: 'The group reviewed the ablation results. Everyone agreed they hold up.',
+            findings: ['- Dropout matters', 'Dropout matters', 'Warmup does not', ' '],
+            questions: ['1) Should we rerun with seeds?', 'Who owns the figures?', 'One too many?'],
+        }, template);
+        if (JSON.stringify(parsed.sections.map(s => s.items)) !== JSON.stringify([
+            ['The group reviewed the ablation results. Everyone agreed they hold up.'],
+            ['Dropout matters', 'Warmup does not'],
+            ['Should we rerun with seeds?', 'Who owns the figures?'],
+        ]) || parsed.template.id !== 'tpl') {
+            throw new Error(`Response not read: ${JSON.stringify(parsed)}`);
+        }
+        const next = templates.readTemplateResponse({ overview: 'None', findings: ['Batch size matters'], questions: [] }, template, parsed);
+        if (next.sections[0].items[0] !== parsed.sections[0].items[0] || next.sections[1].items.join() !== 'Batch size matters'
+            || next.sections[2].items.length !== 2) {
+            throw new Error(`Previous sections not kept: ${JSON.stringify(next)}`);
+        }
+        if (!templates.buildTemplateContext(parsed).includes('- Findings: Dropout matters; Warmup does not')) {
+            throw new Error('Previous analysis missing from the context');
+        }
+        if (!templates.formatTemplateSections(parsed.sections).includes('**Questions**\n1. Should we rerun with seeds?\n2. Who owns the figures?')) {
+            throw new Error('Sections not formatted as markdown');
+        }
+        console.log('✅ Sections validated, schema built, list markers stripped, empty sections carried over\n');
+
+        // 2. Storage
+        console.log('2. Seeding defaults and storing custom templates...');
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const dbPath = path.join(testDir, 'test-summary-templates.db');
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        sqliteClient.connect(dbPath);
+        await sqliteClient.initTables();
+        const db = sqliteClient.getDb();
+
+        const requests = [];
+        let replies = [];
+        mockModule('./src/features/common/ai/factory', {
+            createSTT: async () => null,
+            generateStructured: require('./src/features/common/ai/structuredOutput').generateStructured,
+            createLLM: () => ({
+                chat: async (messages) => {
+                    requests.push(messages);
+                    return { content: replies.shift() || '' };
+                }
+            })
+        });
+        mockModule('./src/features/common/services/modelStateService', {
+            getCurrentModelInfo: async () => ({ provider: 'openai', model: 'gpt-4.1', apiKey: 'test-key' })
+        });
+        const settings = { summaryTemplateId: null };
+        mockModule('./src/features/settings/settingsService', {
+            getSpeakerDiarization: async () => false,
+            getDefaultSummaryTemplate: async () => settings.summaryTemplateId,
+            setDefaultSummaryTemplate: async (id) => {
+                settings.summaryTemplateId = id;
+                return { success: true };
+            }
+        });
+
+        require('./src/features/common/repositories/session').setAuthService(authService);
+        const listenService = require('./src/features/listen/listenService');
+
+        const initial = await listenService.getSummaryTemplates();
+        const defaultIds = initial.templates.map(t => t.id);
+        if (JSON.stringify(defaultIds) !== JSON.stringify(['advisor-one-on-one', 'journal-club', 'participant-interview'])
+            || initial.selectedId !== null || initial.templates.some(t => !t.is_default)) {
+            throw new Error(`Unexpected defaults: ${JSON.stringify(initial)}`);
+        }
+
+        const invalid = await listenService.createSummaryTemplate({ title: 'Empty', sections: [] }).then(() => false, () => true);
+        if (!invalid) throw new Error('A template without sections was saved');
+        const { id: customId } = await listenService.createSummaryTemplate({
+            title: ' Lab meeting ',
+            instructions: 'A weekly lab meeting.',
+            sections: [{ title: 'Overview', type: 'text' }, { title: 'Findings' }],
+        });
+        await listenService.updateSummaryTemplate(customId, {
+            title: 'Lab meeting',
+            instructions: 'A weekly lab meeting.',
+            sections: [...sections],
+        });
+        const editedDefault = await listenService.updateSummaryTemplate('journal-club', { title: 'Mine', sections }).then(() => false, () => true);
+        if (!editedDefault) throw new Error('A built-in template was edited');
+        const stored = db.prepare('SELECT * FROM summary_templates WHERE id = ?').get(customId);
+        if (stored.uid !== 'test_user' || stored.is_default !== 0 || JSON.parse(stored.sections_json).length !== 3) {
+            throw new Error(`Custom template not stored: ${JSON.stringify(stored)}`);
+        }
+        console.log('✅ Three defaults seeded, custom templates validated and editable, defaults read-only\n');
+
+        // 3. A session summarized with a template
+        console.log('3. Summarizing a session with the selected template...');
+        await listenService.setSummaryTemplate(customId);
+        if (settings.summaryTemplateId !== customId) throw new Error('Selection not saved as the default');
+
+        await listenService.initializeNewSession();
+        const sessionId = listenService.currentSessionId;
+        if (db.prepare('SELECT summary_template_id FROM sessions WHERE id = ?').get(sessionId).summary_template_id !== customId) {
+            throw new Error('Template not recorded on the session');
+        }
+
+        replies = [JSON.stringify({ overview: 'The ablations hold up.', findings: ['Dropout matters'], questions: ['Should we rerun with seeds?'] })];
+        sent.length = 0;
+        for (let i = 0; i < 5; i++) {
+            listenService.summaryService.addConversationTurn(i % 2 ? 'Them' : 'Me', `Turn ${i} about the ablations`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const [, { content: userPrompt }, { content: schemaPrompt }] = requests[requests.length - 1];
+        if (!userPrompt.includes('A weekly lab meeting.') || !userPrompt.includes('- findings: Findings') || userPrompt.includes('key topic')
+            || !schemaPrompt.includes('"findings":{"type":"array"')) {
+            throw new Error(`Template prompt not used:\n${userPrompt}\n${schemaPrompt}`);
+        }
+        const update = sent.find(message => message.channel === 'summary-update')?.data;
+        if (!update || update.template.id !== customId || update.sections[1].items[0] !== 'Dropout matters'
+            || update.actions[0] !== '❓ Should we rerun with seeds?') {
+            throw new Error(`Unexpected summary update: ${JSON.stringify(update)}`);
+        }
+        const summary = db.prepare('SELECT * FROM summaries WHERE session_id = ?').get(sessionId);
+        if (summary.template_id !== customId || summary.tldr !== 'The ablations hold up.'
+            || JSON.parse(summary.bullet_json).join() !== 'Dropout matters,Should we rerun with seeds?'
+            || JSON.parse(summary.sections_json).length !== 3 || !summary.text.includes('**Findings**\n- Dropout matters')) {
+            throw new Error(`Templated summary not saved: ${JSON.stringify(summary)}`);
+        }
+        console.log('✅ Template prompt sent, sections rendered and saved with their template\n');
+
+        // 4. Switching back and deleting
+        console.log('4. Switching a live session back to the built-in format...');
+        replies = [JSON.stringify({ summary: ['The ablations hold up'], topic: { name: 'Ablations', insights: ['Dropout matters'] }, explanation: '', questions: [] })];
+        sent.length = 0;
+        await listenService.setSummaryTemplate(null);
+        const builtIn = sent.find(message => message.channel === 'summary-update')?.data;
+        if (!builtIn || builtIn.sections || builtIn.topic.header !== 'Ablations:' || !requests[requests.length - 1][1].content.includes("key topic's name")) {
+            throw new Error(`Session not re-summarized in the built-in format: ${JSON.stringify(builtIn)}`);
+        }
+        const plain = db.prepare('SELECT template_id, sections_json FROM summaries WHERE session_id = ?').get(sessionId);
+        if (plain.template_id !== null || plain.sections_json !== null
+            || db.prepare('SELECT summary_template_id FROM sessions WHERE id = ?').get(sessionId).summary_template_id !== null) {
+            throw new Error('Built-in summary still marked with the template');
+        }
+
+        await listenService.setSummaryTemplate(customId);
+        await listenService.deleteSummaryTemplate(customId);
+        if (settings.summaryTemplateId !== null || listenService.summaryService.getTemplate() !== null
+            || db.prepare('SELECT COUNT(*) AS n FROM summary_templates WHERE id = ?').get(customId).n !== 0) {
+            throw new Error('Deleted template still in use');
+        }
+        const unknown = await listenService.setSummaryTemplate('missing').then(() => false, () => true);
+        if (!unknown) throw new Error('An unknown template was selected');
+        await listenService.closeSession();
+        console.log('✅ Switching re-summarizes the conversation, deleting falls back to the built-in format');
+
+        console.log('\n✅ All summary template checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the offline-first sync engine
+ * Syncs two local databases (two devices of one user) through the file backend and checks dirty
+ * marking, push, pull, last-writer-wins conflicts with their log, and deletions
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Sync Engine Test ===\n');
+
+        // Mock the Electron app requirement
+        require.cache[require.resolve('electron')] = {
+            exports: { app: { getPath: () => '/tmp/glass-test' } }
+        };
+        const authService = {
+            getCurrentUser: () => ({ isLoggedIn: false }),
+            getCurrentUserId: () => 'test_user'
+        };
+        require.cache[require.resolve('./src/features/common/services/authService')] = { exports: authService };
+
+        const path = require('path');
+        const fs = require('fs');
+        const testDir = '/tmp/glass-test';
+        fs.mkdirSync(testDir, { recursive: true });
+        const remotePath = path.join(testDir, 'test-sync-remote.json');
+        const devices = { a: path.join(testDir, 'test-sync-a.db'), b: path.join(testDir, 'test-sync-b.db') };
+        for (const file of [remotePath, ...Object.values(devices)]) {
+            for (const suffix of ['', '-wal', '-shm']) {
+                if (fs.existsSync(file + suffix)) fs.unlinkSync(file + suffix);
+            }
+        }
+
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        const useDevice = async (name, { init = false } = {}) => {
+            sqliteClient.close();
+            sqliteClient.connect(devices[name]);
+            if (init) await sqliteClient.initTables();
+        };
+        await useDevice('b', { init: true });
+        await useDevice('a', { init: true });
+
+        const sessionRepository = require('./src/features/common/repositories/session');
+        sessionRepository.setAuthService(authService);
+        const sttRepository = require('./src/features/listen/stt/repositories');
+        const summaryRepository = require('./src/features/listen/summary/repositories');
+        const presetRepository = require('./src/features/common/repositories/preset');
+        const syncService = require('./src/features/common/services/syncService');
+        const { createFileBackend } = require('./src/features/common/sync/fileBackend');
+        const { createMemoryBackend } = require('./src/features/common/sync/memoryBackend');
+        const backend = createFileBackend(remotePath);
+        syncService.setBackend(backend);
+        const db = () => sqliteClient.getDb();
+        const row = (table, id, key = 'id') => db().prepare(`SELECT * FROM ${table} WHERE ${key} = ?`).get(id);
+
+        // 1. Local writes
+        console.log('1. Marking local writes...');
+        const sessionId = await sessionRepository.create('listen');
+        const { id: transcriptId } = await sttRepository.addTranscript({ sessionId, speaker: 'Me', text: 'Shall we rerun the baseline?' });
+        await summaryRepository.saveSummary({ sessionId, tldr: 'Rerun the baseline', text: 'Baseline', bullet_json: '[]', action_json: '[]' });
+        const { id: presetId } = await presetRepository.create({ title: 'Reviewer', prompt: 'Be critical' });
+        const { id: scratchId } = await presetRepository.create({ title: 'Scratch', prompt: 'Delete me' });
+        await presetRepository.delete(scratchId);
+
+        const dirty = [row('sessions', sessionId), row('transcripts', transcriptId), row('summaries', sessionId, 'session_id'), row('prompt_presets', presetId)];
+        if (dirty.some(r => r.sync_state !== 'dirty' || !r.updated_at)) {
+            throw new Error(`Local writes not marked dirty: ${JSON.stringify(dirty.map(r => [r.sync_state, r.updated_at]))}`);
+        }
+        const defaults = db().prepare("SELECT COUNT(*) AS count FROM prompt_presets WHERE is_default = 1 AND sync_state = 'dirty'").get().count;
+        const tombstones = db().prepare('SELECT table_name, row_id, uid FROM sync_tombstones').all();
+        if (defaults !== 0 || tombstones.length !== 1 || tombstones[0].row_id !== scratchId || tombstones[0].uid !== 'test_user') {
+            throw new Error(`Unexpected defaults or tombstones: ${defaults}, ${JSON.stringify(tombstones)}`);
+        }
+        console.log('✅ Inserts and updates marked dirty, deletions leave a tombstone, built-in presets ignored\n');
+
+        // 2. Push
+        console.log('2. Pushing from device A...');
+        const pushed = await syncService.syncNow();
+        const remote = JSON.parse(fs.readFileSync(remotePath, 'utf8'));
+        if (pushed.pushed !== 5 || pushed.pulled !== 0 || remote.entries.length !== 5) {
+            throw new Error(`Unexpected push: ${JSON.stringify(pushed)}, ${remote.entries.length} remote records`);
+        }
+        const synced = row('sessions', sessionId);
+        if (synced.sync_state !== 'clean' || synced.synced_at !== synced.updated_at || syncService.getStatus().pending.deleted !== 0) {
+            throw new Error(`Pushed rows not marked clean: ${JSON.stringify(syncService.getStatus())}`);
+        }
+        if ((await syncService.syncNow()).pushed !== 0) {
+            throw new Error('Clean rows pushed again');
+        }
+        console.log('✅ Dirty rows and the deletion pushed, then marked clean\n');
+
+        // 3. Pull
+        console.log('3. Pulling into device B...');
+        await useDevice('b');
+        const pulled = await syncService.syncNow();
+        const pulledTranscript = row('transcripts', transcriptId);
+        if (pulled.pulled !== 4 || pulled.pushed !== 0 || pulledTranscript?.text !== 'Shall we rerun the baseline?'
+            || pulledTranscript.sync_state !== 'clean' || row('prompt_presets', scratchId)) {
+            throw new Error(`Unexpected pull: ${JSON.stringify(pulled)}, ${JSON.stringify(pulledTranscript)}`);
+        }
+        const found = db().prepare("SELECT rowid FROM transcripts_fts WHERE transcripts_fts MATCH 'baseline'").all();
+        if (found.length !== 1 || row('summaries', sessionId, 'session_id')?.tldr !== 'Rerun the baseline') {
+            throw new Error('Pulled rows not searchable or summary missing');
+        }
+        console.log('✅ Second device receives the rows as clean and indexes them for search\n');
+
+        // 4. Conflicts. Bookkeeping-style updates (changing sync_state) keep the given updated_at.
+        console.log('4. Resolving edits made on both devices...');
+        const base = row('sessions', sessionId).updated_at;
+        const edit = (table, id, column, value, updatedAt) => db()
+            .prepare(`UPDATE ${table} SET ${column} = ?, updated_at = ?, sync_state = 'dirty' WHERE id = ?`).run(value, updatedAt, id);
+
+        edit('sessions', sessionId, 'title', 'Title from B', base + 200);
+        edit('transcripts', transcriptId, 'text', 'Text from B', base + 250);
+        await syncService.syncNow();
+
+        await useDevice('a');
+        edit('sessions', sessionId, 'title', 'Title from A', base + 100);
+        edit('transcripts', transcriptId, 'text', 'Text from A', base + 300);
+        const resolved = await syncService.syncNow();
+        if (resolved.conflicts !== 2 || resolved.pushed !== 1 || row('sessions', sessionId).title !== 'Title from B'
+            || row('transcripts', transcriptId).text !== 'Text from A') {
+            throw new Error(`Unexpected conflict resolution: ${JSON.stringify(resolved)}`);
+        }
+        const conflicts = syncService.getConflicts();
+        const sessionConflict = conflicts.find(conflict => conflict.table_name === 'sessions');
+        const transcriptConflict = conflicts.find(conflict => conflict.table_name === 'transcripts');
+        if (sessionConflict?.winner !== 'remote' || sessionConflict.local.title !== 'Title from A' || sessionConflict.remote.title !== 'Title from B'
+            || transcriptConflict?.winner !== 'local' || transcriptConflict.remote_updated_at !== base + 250) {
+            throw new Error(`Conflicts not logged: ${JSON.stringify(conflicts)}`);
+        }
+
+        await useDevice('b');
+        await syncService.syncNow();
+        if (row('transcripts', transcriptId).text !== 'Text from A' || syncService.getConflicts().length !== 0) {
+            throw new Error('Winning local edit not received by the other device');
+        }
+        console.log('✅ Newer edit wins on both devices, each conflict logged with both versions\n');
+
+        // 5. Deletions
+        console.log('5. Syncing deletions...');
+        await presetRepository.delete(presetId);
+        await syncService.syncNow();
+
+        await useDevice('a');
+        edit('prompt_presets', presetId, 'prompt', 'Be constructive', base + 2000);
+        await sessionRepository.deleteWithRelatedData(sessionId);
+        // Deleted after the edits above
+        db().prepare('UPDATE sync_tombstones SET deleted_at = ?').run(base + 1000);
+        const deleted = await syncService.syncNow();
+        if (deleted.conflicts !== 1 || deleted.pushed !== 4 || row('prompt_presets', presetId).prompt !== 'Be constructive') {
+            throw new Error(`Edit after a remote deletion not kept: ${JSON.stringify(deleted)}`);
+        }
+
+        await useDevice('b');
+        const received = await syncService.syncNow();
+        if (row('sessions', sessionId) || row('transcripts', transcriptId) || row('summaries', sessionId, 'session_id')
+            || row('prompt_presets', presetId)?.prompt !== 'Be constructive' || syncService.getStatus().pending.deleted !== 0) {
+            throw new Error(`Deletion not applied: ${JSON.stringify(received)}`);
+        }
+        console.log('✅ Session deleted with its rows on both devices, a later edit restores a deleted preset\n');
+
+        // 6. Writes during a push and stale pushes
+        console.log('6. Keeping writes made while pushing...');
+        const { id: laterPresetId } = await presetRepository.create({ title: 'Later', prompt: 'v1' });
+        syncService.setBackend({
+            name: backend.name,
+            pull: backend.pull,
+            push: async (uid, records) => {
+                await presetRepository.update(laterPresetId, { title: 'Later', prompt: 'v2' });
+                return backend.push(uid, records);
+            }
+        });
+        await syncService.syncNow();
+        if (row('prompt_presets', laterPresetId).sync_state !== 'dirty') {
+            throw new Error('Row written during the push marked clean');
+        }
+        syncService.setBackend(backend);
+
+        const memory = createMemoryBackend();
+        const record = (updatedAt, title) => ({ table: 'sessions', id: 's1', uid: 'test_user', updated_at: updatedAt, deleted: false, data: { id: 's1', title } });
+        await memory.push('test_user', [record(10, 'new')]);
+        await memory.push('test_user', [record(5, 'stale')]);
+        const { records, cursor } = await memory.pull('test_user', null);
+        if (records.length !== 1 || records[0].data.title !== 'new' || (await memory.pull('test_user', cursor)).records.length !== 0
+            || (await memory.pull('someone_else', null)).records.length !== 0) {
+            throw new Error(`Unexpected memory backend behavior: ${JSON.stringify(records)}`);
+        }
+        console.log('✅ Rows written mid-push stay dirty; backends refuse stale versions and filter by user');
+
+        sqliteClient.close();
+        console.log('\n✅ All sync engine checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
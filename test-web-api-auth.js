@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for local web API authentication
+ * Checks token issuing, verification and rotation, and that /api rejects requests without a desktop-issued token
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Web API Authentication Test ===\n');
+
+        const mockModule = (modulePath, exports) => {
+            require.cache[require.resolve(modulePath)] = { exports };
+        };
+        mockModule('./src/features/common/services/authService', {
+            getCurrentUserId: () => 'desktop_user'
+        });
+
+        process.env.pickleglass_WEB_URL = 'http://localhost:4321';
+        const webSessionService = require('./src/features/common/services/webSessionService');
+        const { authenticateRequest } = require('./pickleglass_web/backend_node/middleware/auth');
+        const authenticate = authenticateRequest(webSessionService);
+
+        // Minimal stand-ins for the Express request and response
+        const request = (path, { headers = {}, query = {} } = {}) => ({
+            path,
+            query,
+            get: (name) => headers[name]
+        });
+        const run = (req) => {
+            const res = {
+                statusCode: 200,
+                status(code) { this.statusCode = code; return this; },
+                json(body) { this.body = body; return this; }
+            };
+            let passed = false;
+            authenticate(req, res, () => { passed = true; });
+            return { passed, res, req };
+        };
+
+        // 1. Tokens handed to pages opened by the desktop app
+        console.log('1. Issuing tokens...');
+        const url = webSessionService.buildWebUrl('/personalize?desktop=true');
+        const match = url.match(/^http:\/\/localhost:4321\/personalize\?desktop=true#token=(.+)$/);
+        if (!match) {
+            throw new Error(`Unexpected web URL: ${url}`);
+        }
+        const token = decodeURIComponent(match[1]);
+        if (!webSessionService.verifyToken(token).valid) {
+            throw new Error('Freshly issued token rejected');
+        }
+        console.log('✅ Token delivered in the URL fragment\n');
+
+        // 2. Requests without a valid token are refused
+        console.log('2. Rejecting unauthenticated requests...');
+        const [payload, signature] = token.split('.');
+        const forgedPayload = Buffer.from(JSON.stringify({ sid: 'guess', exp: Date.now() + 1e9 })).toString('base64url');
+        const cases = [
+            [request('/research/status'), 'missing'],
+            [request('/research/status', { headers: { 'X-User-ID': 'desktop_user' } }), 'missing'],
+            [request('/research/status', { headers: { Authorization: `Bearer ${payload}.${signature.slice(0, -2)}xx` } }), 'invalid'],
+            [request('/research/status', { headers: { Authorization: `Bearer ${forgedPayload}.${signature}` } }), 'invalid'],
+            [request('/research/status', { query: { token } }), 'missing']
+        ];
+        for (const [req, reason] of cases) {
+            const { passed, res } = run(req);
+            if (passed || res.statusCode !== 401 || res.body.reason !== reason) {
+                throw new Error(`Expected 401 (${reason}), got ${res.statusCode} ${JSON.stringify(res.body)}`);
+            }
+        }
+        console.log('✅ Missing, tampered and forged tokens get 401; X-User-ID is ignored\n');
+
+        // 3. Valid tokens authorize as the desktop user
+        console.log('3. Accepting valid tokens...');
+        const viaHeader = run(request('/research/status', { headers: { Authorization: `Bearer ${token}` } }));
+        if (!viaHeader.passed || viaHeader.req.uid !== 'desktop_user') {
+            throw new Error('Valid bearer token rejected');
+        }
+        if (!run(request('/events', { query: { token } })).passed) {
+            throw new Error('Event stream token in query string rejected');
+        }
+        console.log('✅ Bearer header (and ?token= for the event stream) accepted\n');
+
+        // 4. Rotation
+        console.log('4. Rotating tokens...');
+        const realNow = Date.now;
+        const rotated = webSessionService.rotateToken(token);
+        if (rotated.token === token || !webSessionService.verifyToken(rotated.token).valid) {
+            throw new Error('Rotation did not issue a new token');
+        }
+        if (!webSessionService.verifyToken(token).valid) {
+            throw new Error('Rotated token should survive the grace period');
+        }
+        Date.now = () => realNow() + 2 * 60 * 1000;
+        if (webSessionService.verifyToken(token).reason !== 'revoked' || !webSessionService.verifyToken(rotated.token).valid) {
+            throw new Error('Old token still valid after the grace period');
+        }
+        Date.now = () => realNow() + 2 * 60 * 60 * 1000;
+        if (webSessionService.verifyToken(rotated.token).reason !== 'expired') {
+            throw new Error('Token did not expire');
+        }
+        try {
+            webSessionService.rotateToken(rotated.token);
+            throw new Error('Expired token was rotated');
+        } catch (error) {
+            if (!error.message.includes('expired')) throw error;
+        }
+        Date.now = realNow;
+        console.log('✅ Rotated tokens retire after a grace period; expired tokens cannot be renewed\n');
+
+        // 5. A new launch invalidates everything
+        console.log('5. Restarting the app...');
+        const fresh = webSessionService.issueToken();
+        delete require.cache[require.resolve('./src/features/common/services/webSessionService')];
+        const relaunched = require('./src/features/common/services/webSessionService');
+        if (relaunched.verifyToken(fresh.token).valid) {
+            throw new Error('Token from a previous launch accepted');
+        }
+        console.log('✅ Tokens from earlier launches are rejected');
+
+        console.log('\n✅ All web API authentication checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+runTest();
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for workspace archive export/import
+ * Exports a workspace from one database and merges it into another
+ */
+
+async function runTest() {
+    try {
+        console.log('=== Workspace Archive Test ===\n');
+
+        // Mock the Electron app requirement
+        const mockApp = {
+            getPath: () => '/tmp/glass-test'
+        };
+        require.cache[require.resolve('electron')] = {
+            exports: { app: mockApp }
+        };
+
+        const path = require('path');
+        const fs = require('fs');
+
+        const testDir = '/tmp/glass-test';
+        if (!fs.existsSync(testDir)) {
+            fs.mkdirSync(testDir, { recursive: true });
+        }
+
+        const sqliteClient = require('./src/features/common/services/sqliteClient');
+        const researchRepository = require('./src/features/research/repositories/sqlite.repository');
+        const LATEST_SCHEMA = require('./src/features/common/config/schema');
+
+        const openDatabase = async (name) => {
+            sqliteClient.close();
+            const dbPath = path.join(testDir, name);
+            if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+            sqliteClient.connect(dbPath);
+            await sqliteClient.initTables();
+            await researchRepository.initialize();
+            return sqliteClient.getDb();
+        };
+
+        // 1. Build a source workspace
+        console.log('1. Creating source workspace...');
+        let db = await openDatabase('test-workspace-source.db');
+        const now = new Date().toISOString();
+
+        db.prepare(`INSERT INTO research_projects (id, uid, name) VALUES (?, ?, ?)`).run('project-1', 'machine_a', 'Thesis');
+        db.prepare(`
+            INSERT INTO activities (id, uid, title, category, start_time, project_id, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run('activity-1', 'machine_a', 'Reading papers', 'research', now, 'project-1', now, now);
+        db.prepare(`INSERT INTO activity_captures (id, uid, timestamp, created_at) VALUES (?, ?, ?, ?)`)
+            .run('capture-1', 'machine_a', now, now);
+        const sessionResult = db.prepare(`
+            INSERT INTO research_sessions (uid, title, start_time, project_id) VALUES (?, ?, ?, ?)
+        `).run('machine_a', 'attention.pdf', now, 'project-1');
+        db.prepare(`INSERT INTO research_analysis (session_id, uid, timestamp, productivity_score) VALUES (?, ?, ?, ?)`)
+            .run(sessionResult.lastInsertRowid, 'machine_a', now, 82);
+        db.prepare(`INSERT INTO sessions (id, uid, title, session_type) VALUES (?, ?, ?, ?)`)
+            .run('listen-1', 'machine_a', 'Lab meeting', 'listen');
+        db.prepare(`INSERT INTO summaries (session_id, text, tldr) VALUES (?, ?, ?)`)
+            .run('listen-1', 'Discussed results', 'Results look good');
+
+        const { tables, columns } = await researchRepository.exportWorkspaceTables('machine_a');
+        const archive = JSON.parse(JSON.stringify({
+            manifest: { schemaVersion: LATEST_SCHEMA.SCHEMA_VERSION, columns },
+            tables
+        }));
+        const exportedCount = Object.values(archive.tables).reduce((sum, rows) => sum + rows.length, 0);
+        if (exportedCount !== 7) {
+            throw new Error(`Expected 7 exported rows, got ${exportedCount}`);
+        }
+        console.log(`✅ Exported ${exportedCount} rows (schema version ${LATEST_SCHEMA.SCHEMA_VERSION})\n`);
+
+        // 2. Import into a target that already has a conflicting activity
+        console.log('2. Importing into target workspace...');
+        db = await openDatabase('test-workspace-target.db');
+        db.prepare(`
+            INSERT INTO activities (id, uid, title, category, start_time, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run('activity-1', 'machine_b', 'Local activity', 'focus', now, now, now);
+        // Occupy the source session id so the imported session must get a new one
+        db.prepare(`INSERT INTO research_sessions (uid, title, start_time) VALUES (?, ?, ?)`)
+            .run('machine_b', 'local.pdf', '2020-01-01T00:00:00.000Z');
+        // Another user of this machine already has a project under the archived id
+        db.prepare(`INSERT INTO research_projects (id, uid, name) VALUES (?, ?, ?)`).run('project-1', 'machine_c', 'Other thesis');
+
+        const firstImport = await researchRepository.importWorkspaceTables(archive.tables, 'machine_b', { conflictStrategy: 'skip' });
+        if (firstImport.activities.skipped !== 1 || firstImport.research_sessions.inserted !== 1) {
+            throw new Error(`Unexpected import stats: ${JSON.stringify(firstImport)}`);
+        }
+        const localActivity = db.prepare('SELECT title FROM activities WHERE id = ?').get('activity-1');
+        if (localActivity.title !== 'Local activity') {
+            throw new Error('Skip strategy overwrote a local row');
+        }
+        console.log('✅ Conflicting activity kept local copy');
+
+        const importedSession = db.prepare(`SELECT id, uid FROM research_sessions WHERE title = 'attention.pdf'`).get();
+        const importedAnalysis = db.prepare('SELECT session_id FROM research_analysis').get();
+        if (importedAnalysis.session_id !== importedSession.id || importedSession.uid !== 'machine_b') {
+            throw new Error('Analysis was not remapped to the imported session');
+        }
+        console.log('✅ Analysis remapped to new session id and rows re-owned by importing user');
+
+        // 3. Re-importing the same archive is idempotent
+        const secondImport = await researchRepository.importWorkspaceTables(archive.tables, 'machine_b', { conflictStrategy: 'skip' });
+        const inserted = Object.values(secondImport).reduce((sum, counts) => sum + counts.inserted, 0);
+        if (inserted !== 0) {
+            throw new Error(`Re-import inserted ${inserted} rows`);
+        }
+        console.log('✅ Re-import skipped every existing row');
+
+        // 4. keep-both duplicates conflicting rows under new ids
+        const thirdImport = await researchRepository.importWorkspaceTables(archive.tables, 'machine_b', { conflictStrategy: 'keep-both' });
+        const activityCount = db.prepare('SELECT COUNT(*) AS count FROM activities').get().count;
+        if (thirdImport.activities.duplicated !== 1 || activityCount !== 2) {
+            throw new Error(`keep-both did not duplicate the activity: ${JSON.stringify(thirdImport.activities)}`);
+        }
+        console.log('✅ keep-both imported conflicting activity under a new id');
+
+        // 5. replace only touches the importing user's rows
+        const fourthImport = await researchRepository.importWorkspaceTables(archive.tables, 'machine_b', { conflictStrategy: 'replace' });
+        const otherProject = db.prepare('SELECT uid, name FROM research_projects WHERE id = ?').get('project-1');
+        const ownProjects = db.prepare(`SELECT id FROM research_projects WHERE uid = 'machine_b'`).all();
+        const replacedActivity = db.prepare('SELECT title, project_id FROM activities WHERE id = ?').get('activity-1');
+        if (otherProject.uid !== 'machine_c' || otherProject.name !== 'Other thesis' || fourthImport.research_projects.replaced !== 1
+            || replacedActivity.title !== 'Reading papers' || !ownProjects.some(project => project.id === replacedActivity.project_id)) {
+            throw new Error(`replace overwrote another user's row: ${JSON.stringify({ otherProject, ownProjects, replacedActivity })}`);
+        }
+        console.log('✅ replace left another user\'s row with the same id alone');
+
+        sqliteClient.close();
+        console.log('\n✅ All workspace archive checks passed');
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exit(1);
+    }
+}
+
+runTest();